@@ -0,0 +1,72 @@
+-- Accounts, roles and login sessions.
+--
+-- users.role is not a foreign key: RoleService stores the default roles the
+-- first time permissions are checked, which can be after the first sign-up.
+
+CREATE TABLE users (
+  user_id           INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  full_name         VARCHAR(100) NOT NULL,
+  email             VARCHAR(255) NOT NULL,
+  password          VARCHAR(255) NOT NULL,
+  role              VARCHAR(32)  NOT NULL DEFAULT 'learner',
+  email_verified_at DATETIME     NULL,
+  created_at        DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id),
+  UNIQUE KEY uq_users_email (email),
+  KEY idx_users_role (role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE roles (
+  role        VARCHAR(32)  NOT NULL,
+  description VARCHAR(255) NULL,
+  PRIMARY KEY (role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE role_permissions (
+  role       VARCHAR(32) NOT NULL,
+  permission VARCHAR(64) NOT NULL,
+  PRIMARY KEY (role, permission),
+  CONSTRAINT fk_role_permissions_role FOREIGN KEY (role)
+    REFERENCES roles (role) ON DELETE CASCADE ON UPDATE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- One row per login; logging out sets revoked_at.
+CREATE TABLE auth_sessions (
+  session_id   CHAR(36)     NOT NULL,
+  user_id      INT UNSIGNED NOT NULL,
+  user_agent   VARCHAR(255) NULL,
+  created_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at DATETIME     NULL,
+  revoked_at   DATETIME     NULL,
+  PRIMARY KEY (session_id),
+  KEY idx_auth_sessions_user (user_id, revoked_at),
+  CONSTRAINT fk_auth_sessions_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Single-use refresh tokens, stored as SHA-256 hex digests.
+CREATE TABLE refresh_tokens (
+  token_hash CHAR(64) NOT NULL,
+  session_id CHAR(36) NOT NULL,
+  expires_at DATETIME NOT NULL,
+  used_at    DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (token_hash),
+  KEY idx_refresh_tokens_session (session_id),
+  CONSTRAINT fk_refresh_tokens_session FOREIGN KEY (session_id)
+    REFERENCES auth_sessions (session_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Email verification and password reset links, stored as SHA-256 hex digests.
+CREATE TABLE user_tokens (
+  token_hash CHAR(64)     NOT NULL,
+  user_id    INT UNSIGNED NOT NULL,
+  purpose    ENUM('verify_email', 'reset_password') NOT NULL,
+  expires_at DATETIME     NOT NULL,
+  used_at    DATETIME     NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (token_hash),
+  KEY idx_user_tokens_user (user_id, purpose),
+  CONSTRAINT fk_user_tokens_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS badges;
+DROP TABLE IF EXISTS scenario_steps;
+DROP TABLE IF EXISTS scenarios;
+DROP TABLE IF EXISTS level_prerequisites;
+DROP TABLE IF EXISTS levels;
@@ -0,0 +1,76 @@
+-- Levels, their scenarios and steps, and the badge awarded per level.
+--
+-- Deleting a level or scenario takes its content with it; progress rows
+-- that point at the content cascade as well (see 0003).
+
+CREATE TABLE levels (
+  level_id         INT UNSIGNED     NOT NULL AUTO_INCREMENT,
+  title            VARCHAR(100)     NOT NULL,
+  description      TEXT             NULL,
+  difficulty_order INT              NOT NULL DEFAULT 0,
+  -- Minimum score (0-100) a scenario needs to count as passed
+  pass_threshold   TINYINT UNSIGNED NOT NULL DEFAULT 100,
+  -- { type, min_score?, count? }; NULL means every scenario must pass
+  completion_rule  JSON             NULL,
+  PRIMARY KEY (level_id),
+  KEY idx_levels_order (difficulty_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE level_prerequisites (
+  level_id          INT UNSIGNED NOT NULL,
+  required_level_id INT UNSIGNED NOT NULL,
+  PRIMARY KEY (level_id, required_level_id),
+  KEY idx_level_prerequisites_required (required_level_id),
+  CONSTRAINT fk_level_prerequisites_level FOREIGN KEY (level_id)
+    REFERENCES levels (level_id) ON DELETE CASCADE,
+  CONSTRAINT fk_level_prerequisites_required FOREIGN KEY (required_level_id)
+    REFERENCES levels (level_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scenarios (
+  scenario_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  level_id    INT UNSIGNED NOT NULL,
+  title       VARCHAR(255) NOT NULL,
+  description TEXT         NULL,
+  image_url   VARCHAR(512) NULL,
+  PRIMARY KEY (scenario_id),
+  KEY idx_scenarios_level (level_id),
+  CONSTRAINT fk_scenarios_level FOREIGN KEY (level_id)
+    REFERENCES levels (level_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Multiple-choice steps use option_a..option_d and correct_action; the other
+-- question types keep their options and answer in options_json/answer_json.
+CREATE TABLE scenario_steps (
+  step_id          INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  scenario_id      INT UNSIGNED NOT NULL,
+  step_order       INT          NOT NULL,
+  question_text    TEXT         NOT NULL,
+  type             VARCHAR(32)  NOT NULL DEFAULT 'multiple_choice',
+  option_a         VARCHAR(255) NULL,
+  option_b         VARCHAR(255) NULL,
+  option_c         VARCHAR(255) NULL,
+  option_d         VARCHAR(255) NULL,
+  correct_action   VARCHAR(64)  NULL,
+  options_json     JSON         NULL,
+  answer_json      JSON         NULL,
+  -- Next step per option or outcome; NULL means "go to the next step_order"
+  branches_json    JSON         NULL,
+  feedback_message TEXT         NULL,
+  PRIMARY KEY (step_id),
+  KEY idx_scenario_steps_scenario (scenario_id, step_order),
+  CONSTRAINT fk_scenario_steps_scenario FOREIGN KEY (scenario_id)
+    REFERENCES scenarios (scenario_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE badges (
+  badge_id    INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  level_id    INT UNSIGNED NULL,
+  name        VARCHAR(100) NOT NULL,
+  description TEXT         NULL,
+  icon_url    VARCHAR(512) NULL,
+  PRIMARY KEY (badge_id),
+  KEY idx_badges_level (level_id),
+  CONSTRAINT fk_badges_level FOREIGN KEY (level_id)
+    REFERENCES levels (level_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
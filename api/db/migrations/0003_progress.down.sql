@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS user_badges;
+DROP TABLE IF EXISTS user_levels;
+DROP TABLE IF EXISTS scenario_session_answers;
+DROP TABLE IF EXISTS scenario_sessions;
+DROP TABLE IF EXISTS step_attempts;
+DROP TABLE IF EXISTS attempts;
@@ -0,0 +1,109 @@
+-- Learner progress: scored attempts with their answers, server-timed play
+-- sessions, unlocked/completed levels and earned badges.
+
+-- Every run is kept; best scores are computed from the history.
+CREATE TABLE attempts (
+  attempt_id   INT UNSIGNED     NOT NULL AUTO_INCREMENT,
+  user_id      INT UNSIGNED     NOT NULL,
+  scenario_id  INT UNSIGNED     NOT NULL,
+  score        TINYINT UNSIGNED NOT NULL,
+  completed_at DATETIME         NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (attempt_id),
+  KEY idx_attempts_user_scenario (user_id, scenario_id, score),
+  KEY idx_attempts_scenario (scenario_id),
+  CONSTRAINT fk_attempts_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_attempts_scenario FOREIGN KEY (scenario_id)
+    REFERENCES scenarios (scenario_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- user_action holds the canonical answer string, e.g. "B", "A,C" or "x,y".
+CREATE TABLE step_attempts (
+  step_attempt_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  attempt_id      INT UNSIGNED NOT NULL,
+  step_id         INT UNSIGNED NOT NULL,
+  user_action     VARCHAR(64)  NULL,
+  is_correct      BOOLEAN      NOT NULL DEFAULT FALSE,
+  time_taken_ms   INT UNSIGNED NULL,
+  answered_at     DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (step_attempt_id),
+  KEY idx_step_attempts_attempt (attempt_id),
+  KEY idx_step_attempts_step (step_id),
+  CONSTRAINT fk_step_attempts_attempt FOREIGN KEY (attempt_id)
+    REFERENCES attempts (attempt_id) ON DELETE CASCADE,
+  CONSTRAINT fk_step_attempts_step FOREIGN KEY (step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- A server-timed run through a scenario. step_started_at keeps milliseconds
+-- because answer times are measured from it.
+CREATE TABLE scenario_sessions (
+  session_id         CHAR(36)     NOT NULL,
+  user_id            INT UNSIGNED NOT NULL,
+  scenario_id        INT UNSIGNED NOT NULL,
+  status             ENUM('active', 'completed', 'abandoned') NOT NULL DEFAULT 'active',
+  current_step_index INT UNSIGNED NOT NULL DEFAULT 0,
+  current_step_id    INT UNSIGNED NULL,
+  step_started_at    DATETIME(3)  NULL,
+  attempt_id         INT UNSIGNED NULL,
+  started_at         DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at        DATETIME     NULL,
+  PRIMARY KEY (session_id),
+  KEY idx_scenario_sessions_user (user_id, scenario_id, status),
+  KEY idx_scenario_sessions_scenario (scenario_id),
+  CONSTRAINT fk_scenario_sessions_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_scenario_sessions_scenario FOREIGN KEY (scenario_id)
+    REFERENCES scenarios (scenario_id) ON DELETE CASCADE,
+  CONSTRAINT fk_scenario_sessions_step FOREIGN KEY (current_step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE SET NULL,
+  CONSTRAINT fk_scenario_sessions_attempt FOREIGN KEY (attempt_id)
+    REFERENCES attempts (attempt_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE scenario_session_answers (
+  session_id    CHAR(36)     NOT NULL,
+  step_id       INT UNSIGNED NOT NULL,
+  user_action   VARCHAR(64)  NULL,
+  is_correct    BOOLEAN      NOT NULL DEFAULT FALSE,
+  timed_out     BOOLEAN      NOT NULL DEFAULT FALSE,
+  time_taken_ms INT UNSIGNED NULL,
+  answered_at   DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (session_id, step_id),
+  KEY idx_scenario_session_answers_step (step_id),
+  CONSTRAINT fk_scenario_session_answers_session FOREIGN KEY (session_id)
+    REFERENCES scenario_sessions (session_id) ON DELETE CASCADE,
+  CONSTRAINT fk_scenario_session_answers_step FOREIGN KEY (step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- uq_user_levels is the key the upserts in UserLevelRepository rely on.
+CREATE TABLE user_levels (
+  user_level_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id       INT UNSIGNED NOT NULL,
+  level_id      INT UNSIGNED NOT NULL,
+  unlocked      BOOLEAN      NOT NULL DEFAULT FALSE,
+  completed     BOOLEAN      NOT NULL DEFAULT FALSE,
+  PRIMARY KEY (user_level_id),
+  UNIQUE KEY uq_user_levels (user_id, level_id),
+  KEY idx_user_levels_level (level_id),
+  CONSTRAINT fk_user_levels_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_user_levels_level FOREIGN KEY (level_id)
+    REFERENCES levels (level_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- uq_user_badges makes INSERT IGNORE award a badge at most once.
+CREATE TABLE user_badges (
+  user_badge_id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  user_id       INT UNSIGNED NOT NULL,
+  badge_id      INT UNSIGNED NOT NULL,
+  earned_at     DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_badge_id),
+  UNIQUE KEY uq_user_badges (user_id, badge_id),
+  KEY idx_user_badges_badge (badge_id),
+  CONSTRAINT fk_user_badges_user FOREIGN KEY (user_id)
+    REFERENCES users (user_id) ON DELETE CASCADE,
+  CONSTRAINT fk_user_badges_badge FOREIGN KEY (badge_id)
+    REFERENCES badges (badge_id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
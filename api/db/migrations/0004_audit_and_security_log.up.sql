@@ -0,0 +1,31 @@
+-- Append-only logs. They have no foreign keys so that entries outlive the
+-- accounts and records they mention.
+
+-- Admin overrides written by the auditAdminAction middleware. target_id is
+-- text because some targets are keyed by name (roles).
+CREATE TABLE admin_audit_log (
+  audit_id   INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  actor_id   INT UNSIGNED NOT NULL,
+  action     VARCHAR(64)  NOT NULL,
+  target_id  VARCHAR(64)  NULL,
+  details    JSON         NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (audit_id),
+  KEY idx_admin_audit_log_actor (actor_id),
+  KEY idx_admin_audit_log_action (action)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Login lockouts, unlocks and other security-relevant events.
+CREATE TABLE security_events (
+  event_id   INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  type       VARCHAR(64)  NOT NULL,
+  email      VARCHAR(255) NULL,
+  ip         VARCHAR(45)  NULL,
+  actor_id   INT UNSIGNED NULL,
+  details    JSON         NULL,
+  created_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (event_id),
+  KEY idx_security_events_type (type),
+  KEY idx_security_events_email (email),
+  KEY idx_security_events_ip (ip)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
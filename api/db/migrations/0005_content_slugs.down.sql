@@ -0,0 +1,3 @@
+ALTER TABLE scenario_steps DROP INDEX uq_scenario_steps_scenario_slug, DROP COLUMN slug;
+ALTER TABLE scenarios DROP INDEX uq_scenarios_level_slug, DROP COLUMN slug;
+ALTER TABLE levels DROP INDEX uq_levels_slug, DROP COLUMN slug;
@@ -0,0 +1,25 @@
+-- Stable keys for levels, scenarios and steps. Content packs
+-- (GET /api/levels/:id/export, POST /api/content/import) match records by
+-- slug, so a pack exported from one environment updates the same content
+-- in another, whatever auto-increment IDs the rows got there.
+
+ALTER TABLE levels ADD COLUMN slug VARCHAR(100) NULL AFTER level_id;
+ALTER TABLE scenarios ADD COLUMN slug VARCHAR(100) NULL AFTER level_id;
+ALTER TABLE scenario_steps ADD COLUMN slug VARCHAR(100) NULL AFTER scenario_id;
+
+-- Rows written before this migration get a slug made from their ID.
+UPDATE levels SET slug = CONCAT('level-', level_id) WHERE slug IS NULL;
+UPDATE scenarios SET slug = CONCAT('scenario-', scenario_id) WHERE slug IS NULL;
+UPDATE scenario_steps SET slug = CONCAT('step-', step_id) WHERE slug IS NULL;
+
+-- Level slugs are global; scenario slugs are unique within their level and
+-- step slugs within their scenario.
+ALTER TABLE levels
+  MODIFY slug VARCHAR(100) NOT NULL,
+  ADD UNIQUE KEY uq_levels_slug (slug);
+ALTER TABLE scenarios
+  MODIFY slug VARCHAR(100) NOT NULL,
+  ADD UNIQUE KEY uq_scenarios_level_slug (level_id, slug);
+ALTER TABLE scenario_steps
+  MODIFY slug VARCHAR(100) NOT NULL,
+  ADD UNIQUE KEY uq_scenario_steps_scenario_slug (scenario_id, slug);
@@ -0,0 +1,20 @@
+-- Answers to steps that no longer exist would break the restored foreign keys.
+DELETE FROM step_attempts WHERE step_id NOT IN (SELECT step_id FROM scenario_steps);
+DELETE FROM scenario_session_answers WHERE step_id NOT IN (SELECT step_id FROM scenario_steps);
+UPDATE scenario_sessions SET current_step_id = NULL
+  WHERE current_step_id IS NOT NULL AND current_step_id NOT IN (SELECT step_id FROM scenario_steps);
+
+ALTER TABLE scenario_sessions
+  ADD CONSTRAINT fk_scenario_sessions_step FOREIGN KEY (current_step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE SET NULL;
+ALTER TABLE scenario_session_answers
+  ADD CONSTRAINT fk_scenario_session_answers_step FOREIGN KEY (step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE CASCADE;
+ALTER TABLE step_attempts
+  ADD CONSTRAINT fk_step_attempts_step FOREIGN KEY (step_id)
+    REFERENCES scenario_steps (step_id) ON DELETE CASCADE;
+
+ALTER TABLE scenario_sessions DROP COLUMN scenario_version;
+ALTER TABLE attempts DROP COLUMN scenario_version;
+DROP TABLE IF EXISTS scenario_versions;
+ALTER TABLE scenarios DROP COLUMN published_version, DROP COLUMN status;
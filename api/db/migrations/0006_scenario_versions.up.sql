@@ -0,0 +1,54 @@
+-- Draft/review/published workflow for scenarios, with immutable published
+-- versions.
+--
+-- The scenarios and scenario_steps rows are the working copy authors edit.
+-- Publishing copies the working copy into scenario_versions; learners only
+-- ever play a published version, so edits stay invisible to them until the
+-- next publish, and a run is scored against the version it started on.
+
+-- status: draft (edited since the last publish, or never published), review
+-- (waiting for a reviewer) or published (the working copy is what learners
+-- play). published_version is the version learners play, NULL until the
+-- first publish.
+ALTER TABLE scenarios
+  ADD COLUMN status ENUM('draft', 'review', 'published') NOT NULL DEFAULT 'draft' AFTER image_url,
+  ADD COLUMN published_version INT UNSIGNED NULL AFTER status;
+
+-- Scenarios that already exist were live before this migration, so they stay
+-- live. Their first version is written from the working copy the first time
+-- it is played or edited (ScenarioVersionService#published).
+UPDATE scenarios SET status = 'published';
+
+-- steps holds the scenario's steps as they were published: the full step
+-- records, answers included, in step order.
+CREATE TABLE scenario_versions (
+  version_id   INT UNSIGNED NOT NULL AUTO_INCREMENT,
+  scenario_id  INT UNSIGNED NOT NULL,
+  version      INT UNSIGNED NOT NULL,
+  title        VARCHAR(255) NOT NULL,
+  description  TEXT         NULL,
+  image_url    VARCHAR(512) NULL,
+  steps        JSON         NOT NULL,
+  note         VARCHAR(255) NULL,
+  published_by INT UNSIGNED NULL,
+  published_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (version_id),
+  UNIQUE KEY uq_scenario_versions (scenario_id, version),
+  KEY idx_scenario_versions_publisher (published_by),
+  CONSTRAINT fk_scenario_versions_scenario FOREIGN KEY (scenario_id)
+    REFERENCES scenarios (scenario_id) ON DELETE CASCADE,
+  CONSTRAINT fk_scenario_versions_publisher FOREIGN KEY (published_by)
+    REFERENCES users (user_id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- The version a run was played against; NULL for runs recorded before this
+-- migration.
+ALTER TABLE attempts ADD COLUMN scenario_version INT UNSIGNED NULL AFTER scenario_id;
+ALTER TABLE scenario_sessions ADD COLUMN scenario_version INT UNSIGNED NULL AFTER scenario_id;
+
+-- Answers name steps of the version that was played. A step deleted from the
+-- working copy lives on in the published versions that hold it, so its
+-- answers must neither be deleted with it nor be refused.
+ALTER TABLE step_attempts DROP FOREIGN KEY fk_step_attempts_step;
+ALTER TABLE scenario_session_answers DROP FOREIGN KEY fk_scenario_session_answers_step;
+ALTER TABLE scenario_sessions DROP FOREIGN KEY fk_scenario_sessions_step;
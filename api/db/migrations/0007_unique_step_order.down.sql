@@ -0,0 +1,3 @@
+ALTER TABLE scenario_steps
+  ADD KEY idx_scenario_steps_scenario (scenario_id, step_order),
+  DROP INDEX uq_scenario_steps_scenario_order;
@@ -0,0 +1,22 @@
+-- A step's step_order is its position in the scenario, so no two steps of a
+-- scenario may share one. Steps are reordered with
+-- PUT /api/scenarios/:id/steps/order, which renumbers them all at once.
+
+-- Scenarios that already hold steps with the same order are renumbered
+-- 1..n, keeping ties in the order they were played (by step_id).
+UPDATE scenario_steps s
+JOIN (
+  SELECT step_id,
+         ROW_NUMBER() OVER (PARTITION BY scenario_id ORDER BY step_order, step_id) AS position
+  FROM scenario_steps
+  WHERE scenario_id IN (
+    SELECT scenario_id FROM scenario_steps GROUP BY scenario_id, step_order HAVING COUNT(*) > 1
+  )
+) renumbered ON renumbered.step_id = s.step_id
+SET s.step_order = renumbered.position;
+
+-- The unique key also serves lookups by scenario in step order, which the
+-- plain index did before.
+ALTER TABLE scenario_steps
+  ADD UNIQUE KEY uq_scenario_steps_scenario_order (scenario_id, step_order),
+  DROP INDEX idx_scenario_steps_scenario;
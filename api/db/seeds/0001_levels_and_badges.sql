@@ -0,0 +1,25 @@
+-- The six SimAid levels, each unlocked by finishing the one before it, and
+-- the badge awarded for each.
+
+INSERT INTO levels (level_id, slug, title, description, difficulty_order, pass_threshold, completion_rule) VALUES
+  (1, 'basics', 'Basics', 'Check for danger, get a response, call for help and put a casualty in the recovery position.', 1, 100, NULL),
+  (2, 'airway', 'Airway', 'Clear a blocked airway and keep blood flowing with CPR until help arrives.', 2, 100, NULL),
+  (3, 'bleeding', 'Bleeding', 'Control severe bleeding and look after wounds and fractures.', 3, 100, NULL),
+  (4, 'burns', 'Burns', 'Cool and cover burns from heat, hot liquids and electricity.', 4, 100, NULL),
+  (5, 'shock', 'Shock', 'Recognise shock, severe allergic reactions and other medical emergencies.', 5, 100, NULL),
+  (6, 'multi-trauma', 'Multi-Trauma', 'Take charge at scenes with several casualties and more than one hazard.', 6, 100, NULL);
+
+INSERT INTO level_prerequisites (level_id, required_level_id) VALUES
+  (2, 1),
+  (3, 2),
+  (4, 3),
+  (5, 4),
+  (6, 5);
+
+INSERT INTO badges (badge_id, level_id, name, description, icon_url) VALUES
+  (1, 1, 'First Responder', 'Completed every Basics scenario with a perfect score.', '/assets/badge1.jpg'),
+  (2, 2, 'Airway Guardian', 'Completed every Airway scenario with a perfect score.', '/assets/badge2.jpg'),
+  (3, 3, 'Bleeding Stopper', 'Completed every Bleeding scenario with a perfect score.', '/assets/badge3.jpg'),
+  (4, 4, 'Burn Specialist', 'Completed every Burns scenario with a perfect score.', '/assets/badge4.jpg'),
+  (5, 5, 'Shock Responder', 'Completed every Shock scenario with a perfect score.', '/assets/badge5.jpg'),
+  (6, 6, 'Scene Commander', 'Completed every Multi-Trauma scenario with a perfect score.', '/assets/badge6.jpg');
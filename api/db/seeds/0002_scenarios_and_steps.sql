@@ -0,0 +1,155 @@
+-- Two scenarios per level with three steps each. Multiple-choice steps use
+-- option_a..option_d and correct_action; true/false steps keep their answer
+-- in answer_json. The scenarios are published; their first version is
+-- written the first time they are played or edited.
+
+INSERT INTO scenarios (scenario_id, level_id, slug, title, description, image_url, status) VALUES
+  (1, 1, 'collapse-at-the-office', 'Collapse at the Office', 'A colleague slumps over their desk and does not answer when you call their name.', '/assets/office.png', 'published'),
+  (2, 1, 'fall-on-the-stairs', 'Fall on the Stairs', 'An older man has fallen down a short flight of stairs and is holding his head.', '/assets/headFall.png', 'published'),
+  (3, 2, 'choking-at-dinner', 'Choking at Dinner', 'A friend at the restaurant table suddenly grabs their throat and cannot speak.', '/assets/choking.png', 'published'),
+  (4, 2, 'cardiac-arrest-in-the-street', 'Cardiac Arrest in the Street', 'A woman collapses on the pavement. She is not breathing normally.', '/assets/cprAdult.png', 'published'),
+  (5, 3, 'deep-cut-in-the-kitchen', 'Deep Cut in the Kitchen', 'A knife slips while cutting bread and blood is pouring from the palm of the hand.', '/assets/bleeding.png', 'published'),
+  (6, 3, 'broken-arm-on-the-trail', 'Broken Arm on the Trail', 'A hiker has fallen on a rocky path; their forearm is bent and bone is visible.', '/assets/fracture.png', 'published'),
+  (7, 4, 'scald-from-a-kettle', 'Scald from a Kettle', 'A child has pulled a kettle of boiling water over their arm.', '/assets/kitchenBurn.png', 'published'),
+  (8, 4, 'shock-from-an-outlet', 'Shock from an Outlet', 'A man was pushing a broken plug into a wall socket and is lying on the floor.', '/assets/electric.png', 'published'),
+  (9, 5, 'allergic-reaction-at-a-party', 'Allergic Reaction at a Party', 'After eating a snack with peanuts, a teenager has a swollen face and is wheezing.', '/assets/anaphylaxis.png', 'published'),
+  (10, 5, 'heat-stroke-at-the-match', 'Heat Stroke at the Match', 'A spectator at an afternoon football match is confused, red-faced and no longer sweating.', '/assets/heatStroke.png', 'published'),
+  (11, 6, 'car-crash-on-the-highway', 'Car Crash on the Highway', 'Two cars have collided. One driver is walking around, one passenger is trapped and silent.', '/assets/accident.png', 'published'),
+  (12, 6, 'gas-leak-in-the-building', 'Gas Leak in the Building', 'There is a strong smell of gas in a stairwell and a neighbour has fainted on the landing.', '/assets/gazLeak.png', 'published');
+
+INSERT INTO scenario_steps
+  (step_id, scenario_id, slug, step_order, question_text, type,
+   option_a, option_b, option_c, option_d, correct_action,
+   options_json, answer_json, feedback_message)
+VALUES
+  -- 1. Collapse at the Office
+  (1, 1, 'step-1', 1, 'Your colleague has slumped over the desk. What do you do first?', 'multiple_choice',
+   'Check the area is safe, then speak loudly and tap their shoulders', 'Pour water on their face', 'Lift them onto the floor straight away', 'Go and look for the first aid kit',
+   'A', NULL, NULL, 'Always make sure the scene is safe, then check for a response.'),
+  (2, 1, 'step-2', 2, 'There is no response. What is your next action?', 'multiple_choice',
+   'Wait a few minutes to see if they wake up', 'Shout for help and call the emergency number', 'Give them something sweet to eat', 'Loosen their shoes',
+   'B', NULL, NULL, 'An unresponsive person needs professional help as early as possible.'),
+  (3, 1, 'step-3', 3, 'They are breathing normally. You should place them in the recovery position.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'true', 'The recovery position keeps the airway open while you wait for help.'),
+
+  -- 2. Fall on the Stairs
+  (4, 2, 'step-1', 1, 'The man is awake but dazed and may have hurt his neck. What do you do?', 'multiple_choice',
+   'Help him stand up to test his balance', 'Tell him to stay still and support his head in the position found', 'Turn his head to check for bleeding', 'Give him painkillers',
+   'B', NULL, NULL, 'After a fall, keep the head and neck still until help arrives.'),
+  (5, 2, 'step-2', 2, 'Which sign after a head injury means you must call for emergency help?', 'multiple_choice',
+   'A small bump on the forehead', 'Repeated vomiting or increasing drowsiness', 'He feels embarrassed', 'A graze on the elbow',
+   'B', NULL, NULL, 'Vomiting, drowsiness and confusion can point to a serious brain injury.'),
+  (6, 2, 'step-3', 3, 'It is fine to leave someone alone once they say they feel better after a head injury.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'false', 'Symptoms of a head injury can appear hours later; keep watching them.'),
+
+  -- 3. Choking at Dinner
+  (7, 3, 'step-1', 1, 'Your friend cannot speak, cough or breathe. What do you do first?', 'multiple_choice',
+   'Give them water to drink', 'Give up to five sharp back blows between the shoulder blades', 'Put your fingers down their throat', 'Lay them on their back',
+   'B', NULL, NULL, 'Back blows can dislodge the obstruction; blind finger sweeps can push it further in.'),
+  (8, 3, 'step-2', 2, 'The back blows have not worked. What next?', 'multiple_choice',
+   'Give up to five abdominal thrusts', 'Wait for the ambulance', 'Slap their face', 'Give more water',
+   'A', NULL, NULL, 'Alternate five back blows with five abdominal thrusts.'),
+  (9, 3, 'step-3', 3, 'They become unresponsive. What do you do?', 'multiple_choice',
+   'Keep giving abdominal thrusts while they are standing', 'Lower them to the floor, call for help and start CPR', 'Put them in the recovery position and wait', 'Leave to find a doctor',
+   'B', NULL, NULL, 'Chest compressions can also clear the airway once the person is unresponsive.'),
+
+  -- 4. Cardiac Arrest in the Street
+  (10, 4, 'step-1', 1, 'She is unresponsive and not breathing normally. What do you do first?', 'multiple_choice',
+   'Call the emergency number and send someone for a defibrillator', 'Check her pulse for one minute', 'Give her rescue breaths only', 'Raise her legs',
+   'A', NULL, NULL, 'Getting help and a defibrillator on the way is the first link in the chain of survival.'),
+  (11, 4, 'step-2', 2, 'Where and how do you give chest compressions?', 'multiple_choice',
+   'On the stomach, gently', 'In the centre of the chest, 5 to 6 cm deep, 100 to 120 per minute', 'On the left side of the chest, 2 cm deep', 'On the neck',
+   'B', NULL, NULL, 'Push hard and fast in the centre of the chest and let it rise fully between pushes.'),
+  (12, 4, 'step-3', 3, 'When the defibrillator arrives, you should switch it on and follow its spoken instructions.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'true', 'Defibrillators guide you step by step; keep compressions going until it tells you to stop.'),
+
+  -- 5. Deep Cut in the Kitchen
+  (13, 5, 'step-1', 1, 'Blood is flowing heavily from the palm. What do you do first?', 'multiple_choice',
+   'Rinse the wound under the tap for several minutes', 'Press firmly on the wound with a clean pad or cloth', 'Apply a tourniquet around the neck', 'Dab the wound with alcohol',
+   'B', NULL, NULL, 'Direct pressure is the fastest way to control bleeding.'),
+  (14, 5, 'step-2', 2, 'Blood soaks through the first pad. What now?', 'multiple_choice',
+   'Remove the pad and start again', 'Put a second pad on top and keep pressing', 'Stop pressing to let it clot', 'Put ice directly on the wound',
+   'B', NULL, NULL, 'Removing a soaked pad disturbs the clot; add another on top.'),
+  (15, 5, 'step-3', 3, 'The person turns pale, cold and clammy. What could be happening?', 'multiple_choice',
+   'They are just tired', 'They are going into shock from blood loss', 'They are allergic to the bandage', 'Nothing to worry about',
+   'B', NULL, NULL, 'Pale, cold, clammy skin after heavy bleeding is a sign of shock; call for help.'),
+
+  -- 6. Broken Arm on the Trail
+  (16, 6, 'step-1', 1, 'Bone is visible through the skin. What should you do with the wound?', 'multiple_choice',
+   'Push the bone back in', 'Cover it with a clean dressing without pressing on the bone', 'Leave it uncovered to breathe', 'Wash it with stream water',
+   'B', NULL, NULL, 'Cover an open fracture to reduce infection and press around, not on, the bone.'),
+  (17, 6, 'step-2', 2, 'How do you support the injured arm?', 'multiple_choice',
+   'Straighten it first', 'Support it in the position found, for example with a sling or padding', 'Ask the hiker to keep walking with the arm hanging', 'Tie it tightly to a stick',
+   'B', NULL, NULL, 'Never try to straighten a fracture; keep it still in a comfortable position.'),
+  (18, 6, 'step-3', 3, 'You should give the hiker plenty to eat and drink while you wait for help.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'false', 'They may need surgery under anaesthetic, so give nothing to eat or drink.'),
+
+  -- 7. Scald from a Kettle
+  (19, 7, 'step-1', 1, 'How do you cool the scald?', 'multiple_choice',
+   'Apply butter', 'Hold the arm under cool running water for at least 20 minutes', 'Put ice directly on it', 'Cover it with toothpaste',
+   'B', NULL, NULL, 'Cool running water for 20 minutes reduces the damage; ice and creams make it worse.'),
+  (20, 7, 'step-2', 2, 'What about the wet sleeve and the bracelet on that arm?', 'multiple_choice',
+   'Leave everything as it is', 'Remove them unless they are stuck to the skin', 'Pull them off even if stuck', 'Cut the skin around them',
+   'B', NULL, NULL, 'Remove clothing and jewellery before swelling starts, but never pull off anything stuck to the burn.'),
+  (21, 7, 'step-3', 3, 'What do you cover the burn with?', 'multiple_choice',
+   'A fluffy towel', 'Cling film laid loosely over it, or a clean plastic bag', 'Cotton wool', 'An adhesive plaster',
+   'B', NULL, NULL, 'Cling film does not stick to the burn and keeps it clean.'),
+
+  -- 8. Shock from an Outlet
+  (22, 8, 'step-1', 1, 'The man may still be touching the plug. What do you do first?', 'multiple_choice',
+   'Grab his arm and pull him away', 'Switch off the power at the mains before touching him', 'Throw water on him', 'Check his pulse straight away',
+   'B', NULL, NULL, 'Never touch someone who may still be in contact with electricity.'),
+  (23, 8, 'step-2', 2, 'He is unresponsive and not breathing normally. What do you do?', 'multiple_choice',
+   'Call for help and start CPR', 'Put him in the recovery position', 'Wait until he wakes up', 'Give him water',
+   'A', NULL, NULL, 'An electric shock can stop the heart; start CPR and get a defibrillator.'),
+  (24, 8, 'step-3', 3, 'Electrical burns can be deeper than they look on the surface.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'true', 'Current can damage tissue along its path; every electrical burn needs medical care.'),
+
+  -- 9. Allergic Reaction at a Party
+  (25, 9, 'step-1', 1, 'The teenager carries an adrenaline auto-injector. What do you do?', 'multiple_choice',
+   'Wait to see if the swelling goes down', 'Help them use the auto-injector in the outer thigh and call the emergency number', 'Give them an antacid', 'Make them vomit',
+   'B', NULL, NULL, 'Adrenaline is the first treatment for anaphylaxis; use it without delay.'),
+  (26, 9, 'step-2', 2, 'They are wheezing but conscious. How should they be positioned?', 'multiple_choice',
+   'Lying flat on their back', 'Sitting upright if breathing is the main problem', 'Standing and walking around', 'Head down between the knees',
+   'B', NULL, NULL, 'Sitting up makes breathing easier; lay them down with legs raised if they feel faint.'),
+  (27, 9, 'step-3', 3, 'After five minutes there is no improvement. What now?', 'multiple_choice',
+   'Give a second auto-injector if one is available', 'Give them food to settle the stomach', 'Let them sleep it off', 'Send them home',
+   'A', NULL, NULL, 'A second dose can be given after five minutes if symptoms do not improve.'),
+
+  -- 10. Heat Stroke at the Match
+  (28, 10, 'step-1', 1, 'What do you do first?', 'multiple_choice',
+   'Move them to a cool, shaded place and call for help', 'Give them a hot drink', 'Wrap them in a blanket', 'Tell them to keep watching the game',
+   'A', NULL, NULL, 'Heat stroke is an emergency; get them out of the heat and call for help.'),
+  (29, 10, 'step-2', 2, 'How do you cool them down?', 'multiple_choice',
+   'Remove outer clothing and cool with water and fanning', 'Cover them with warm clothes', 'Give them alcohol to drink', 'Do nothing until the ambulance arrives',
+   'A', NULL, NULL, 'Cool them as quickly as possible with water, fanning and cold packs at the neck and armpits.'),
+  (30, 10, 'step-3', 3, 'Confusion and hot, dry skin are warning signs of heat stroke.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'true', 'When the body stops sweating it can no longer cool itself.'),
+
+  -- 11. Car Crash on the Highway
+  (31, 11, 'step-1', 1, 'You stop at the crash. What is your first priority?', 'multiple_choice',
+   'Run to the trapped passenger', 'Make the scene safe: hazard lights, warning triangle, engines off', 'Take photos for the insurance', 'Move the cars off the road',
+   'B', NULL, NULL, 'You cannot help anyone if you become a casualty yourself.'),
+  (32, 11, 'step-2', 2, 'Who do you check first?', 'multiple_choice',
+   'The driver who is walking around and talking', 'The silent passenger trapped in the car', 'Whoever is closest to you', 'Bystanders on the roadside',
+   'B', NULL, NULL, 'A silent casualty may be unresponsive; noisy casualties are at least breathing.'),
+  (33, 11, 'step-3', 3, 'The passenger is breathing. Should you pull them out of the car?', 'multiple_choice',
+   'Yes, always move them out quickly', 'No, support their head and wait for rescue unless there is immediate danger such as fire', 'Yes, but only by the legs', 'Only if they ask you to',
+   'B', NULL, NULL, 'Moving a trapped casualty can worsen a spinal injury; only move them if staying is more dangerous.'),
+
+  -- 12. Gas Leak in the Building
+  (34, 12, 'step-1', 1, 'You smell gas in the stairwell. What must you avoid?', 'multiple_choice',
+   'Opening windows', 'Using light switches, lighters or phones near the leak', 'Leaving the building', 'Warning other residents',
+   'B', NULL, NULL, 'A spark can ignite the gas; use your phone only once you are outside.'),
+  (35, 12, 'step-2', 2, 'How do you help the neighbour who fainted?', 'multiple_choice',
+   'Give first aid on the spot in the stairwell', 'If it is safe to do so, move them to fresh air outside, then check breathing', 'Leave them and wait outside', 'Splash cold water on them',
+   'B', NULL, NULL, 'Get the casualty away from the gas first; then assess them in fresh air.'),
+  (36, 12, 'step-3', 3, 'You should call the emergency number from outside the building.', 'true_false',
+   NULL, NULL, NULL, NULL,
+   NULL, NULL, 'true', 'Call once you are a safe distance away, and tell them there is a gas leak.');
@@ -1,105 +1,130 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { healthCheck } from "./config/db.js";
+import { createContainer } from "./container.js";
+import { errorHandler, notFoundHandler } from "./middlewares/errorHandler.js";
 
 // 🧩 Import route modules
-import { userRoutes } from "./routes/userRoutes.js";
-import { levelRoutes } from "./routes/levelRoutes.js";
-import { scenarioRoutes } from "./routes/scenarioRoutes.js";
-import { scenarioStepRoutes } from "./routes/scenarioStepRoutes.js";
-import { badgeRoutes } from "./routes/badgesRoutes.js";
-import { attemptRoutes } from "./routes/attemptRoutes.js";
-import { userLevelRoutes } from "./routes/userLevelRoutes.js";
-import { userBadgeRoutes } from "./routes/userBadgeRoutes.js";
+import { createUserRoutes } from "./routes/userRoutes.js";
+import { createLevelRoutes } from "./routes/levelRoutes.js";
+import { createScenarioRoutes } from "./routes/scenarioRoutes.js";
+import { createScenarioStepRoutes } from "./routes/scenarioStepRoutes.js";
+import { createBadgeRoutes } from "./routes/badgesRoutes.js";
+import { createAttemptRoutes } from "./routes/attemptRoutes.js";
+import { createStepAttemptRoutes } from "./routes/stepAttemptRoutes.js";
+import { createUserLevelRoutes } from "./routes/userLevelRoutes.js";
+import { createUserBadgeRoutes } from "./routes/userBadgeRoutes.js";
+import { createAuditLogRoutes } from "./routes/auditLogRoutes.js";
+import { createRoleRoutes } from "./routes/roleRoutes.js";
+import { createSecurityEventRoutes } from "./routes/securityEventRoutes.js";
+import { createContentRoutes } from "./routes/contentRoutes.js";
 
 dotenv.config();
 
 /**
  * Express application setup.
  *
- * This file configures and initializes the Express app instance,
- * applies middlewares, mounts all API route modules, and defines
- * global error-handling and health-check logic.
+ * `createApp()` builds the app's object graph once (see `container.js`),
+ * applies middlewares, mounts all API route modules on it, and defines
+ * global error-handling and health-check logic. Each call returns a new,
+ * independent app, so tests can build one per case and pass fakes in.
  *
  * @module app
  * @requires express
  * @requires cors
  * @requires dotenv
- * @requires ./config/db.js
+ * @requires ./container.js
+ * @requires ./middlewares/errorHandler.js
  * @requires ./routes/userRoutes.js
  * @requires ./routes/levelRoutes.js
  * @requires ./routes/scenarioRoutes.js
  * @requires ./routes/scenarioStepRoutes.js
  * @requires ./routes/badgesRoutes.js
  * @requires ./routes/attemptRoutes.js
+ * @requires ./routes/stepAttemptRoutes.js
  * @requires ./routes/userLevelRoutes.js
  * @requires ./routes/userBadgeRoutes.js
+ * @requires ./routes/auditLogRoutes.js
+ * @requires ./routes/roleRoutes.js
+ * @requires ./routes/securityEventRoutes.js
+ * @requires ./routes/contentRoutes.js
+ *
+ * @function createApp
+ * @param {import("./container.js").ContainerDeps} [deps={}] - Replacements for the default
+ *   repositories, services, mailer, ... (see `createContainer`).
+ * @returns {import("express").Express} The configured app, not yet listening.
+ *
+ * @example
+ * import { createApp } from "./app.js";
+ *
+ * const app = createApp({ env: { ...process.env, DB_DRIVER: "memory" } });
+ * app.listen(4000);
  */
-export const app = express();
+export function createApp(deps = {}) {
+  const container = createContainer(deps);
+  const app = express();
 
-/**
- * ✅ Core middlewares
- * - `express.json()` for parsing JSON request bodies
- * - `express.urlencoded()` for form data
- * - `cors()` for enabling Cross-Origin Resource Sharing
- */
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
-app.use(cors());
+  /** The object graph the app was built from, e.g. for tests to reach the in-memory tables. */
+  app.locals.container = container;
 
-/**
- * 🩺 Health check endpoint
- * Provides a simple way to confirm that the API and database
- * connection are working correctly.
- *
- * @route GET /health
- * @returns {object} `{ ok: true }` if the database connection succeeds, or `{ ok: false }` otherwise.
- */
-app.get("/health", async (req, res) => {
-  try {
-    const ok = await healthCheck();
-    res.json({ ok });
-  } catch (e) {
-    console.error("Health check failed:", e.message);
-    res.status(500).json({ ok: false });
-  }
-});
+  /**
+   * ✅ Core middlewares
+   * - `express.json()` for parsing JSON request bodies
+   * - `express.urlencoded()` for form data
+   * - `cors()` for enabling Cross-Origin Resource Sharing
+   */
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(cors());
 
-/**
- * 🛣️ Main API route registration
- * All routes are namespaced under `/api/...`
- */
-app.use("/api/users", userRoutes);
-app.use("/api/levels", levelRoutes);
-app.use("/api/scenarios", scenarioRoutes);
-app.use("/api/scenario-steps", scenarioStepRoutes);
-app.use("/api/badges", badgeRoutes);
-app.use("/api/attempts", attemptRoutes);
-app.use("/api/user-levels", userLevelRoutes);
-app.use("/api/user-badges", userBadgeRoutes);
+  /**
+   * 🩺 Health check endpoint
+   * Provides a simple way to confirm that the API and database
+   * connection are working correctly.
+   *
+   * @route GET /health
+   * @returns {object} `{ ok: true }` if the database connection succeeds, or `{ ok: false }` otherwise.
+   */
+  app.get("/health", async (req, res) => {
+    try {
+      const ok = await container.persistence.healthCheck();
+      res.json({ ok });
+    } catch (e) {
+      console.error("Health check failed:", e.message);
+      res.status(500).json({ ok: false });
+    }
+  });
 
-/**
- * 🧾 Fallback handler for unknown routes
- * Returns a standardized JSON 404 response.
- *
- * @returns {object} `{ message: "Route not found" }`
- */
-app.use((req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
+  /**
+   * 🛣️ Main API route registration
+   * All routes are namespaced under `/api/...`
+   */
+  app.use("/api/users", createUserRoutes(container));
+  app.use("/api/levels", createLevelRoutes(container));
+  app.use("/api/scenarios", createScenarioRoutes(container));
+  app.use("/api/scenario-steps", createScenarioStepRoutes(container));
+  app.use("/api/badges", createBadgeRoutes(container));
+  app.use("/api/attempts", createAttemptRoutes(container));
+  app.use("/api/step-attempts", createStepAttemptRoutes(container));
+  app.use("/api/user-levels", createUserLevelRoutes(container));
+  app.use("/api/user-badges", createUserBadgeRoutes(container));
+  app.use("/api/audit-log", createAuditLogRoutes(container));
+  app.use("/api/roles", createRoleRoutes(container));
+  app.use("/api/security-events", createSecurityEventRoutes(container));
+  app.use("/api/content", createContentRoutes(container));
 
-/**
- * ⚙️ Global error handler
- * Logs and returns a consistent 500 response for uncaught errors.
- *
- * @param {Error} err - The error object.
- * @param {express.Request} req
- * @param {express.Response} res
- * @param {express.NextFunction} next
- * @returns {object} JSON error payload `{ message, error }`.
- */
-app.use((err, req, res, next) => {
-  console.error("Server error:", err);
-  res.status(500).json({ message: "Internal Server Error", error: err.message });
-});
+  /**
+   * 🧾 Fallback handler for unknown routes
+   * Answers with a `ROUTE_NOT_FOUND` error in the standard envelope.
+   */
+  app.use(notFoundHandler);
+
+  /**
+   * ⚙️ Global error handler
+   * Turns every error passed to `next()` into the JSON error envelope
+   * `{ error: true, code, message, details? }`. Always registered last.
+   */
+  app.use(errorHandler);
+
+  return app;
+}
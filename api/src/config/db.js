@@ -3,25 +3,32 @@ import dotenv from "dotenv";
 dotenv.config();
 
 /**
- * Creates a MySQL connection pool using environment variables.
- *
- * Environment variables required:
+ * Connection settings read from environment variables:
  * - DB_HOST: Database host
  * - DB_PORT: Database port
  * - DB_USER: Database user
  * - DB_PASSWORD: Database user password
  * - DB_NAME: Database name
  *
- * The pool allows concurrent database operations
- * and should be reused across the application.
+ * Shared by the pool and by the migration runner, which opens its own
+ * connection.
+ * @type {import('mysql2/promise').ConnectionOptions}
  */
-const pool = mysql.createPool({
+export const dbConfig = {
   port: process.env.DB_PORT,
   host: process.env.DB_HOST,
   user: process.env.DB_USER,
   password: process.env.DB_PASSWORD,
   database: process.env.DB_NAME,
-});
+};
+
+/**
+ * Creates a MySQL connection pool from `dbConfig`.
+ *
+ * The pool allows concurrent database operations
+ * and should be reused across the application.
+ */
+const pool = mysql.createPool(dbConfig);
 
 /**
  * Performs a simple MySQL health check by running `SELECT 1`.
@@ -45,6 +52,43 @@ export async function healthCheck() {
   }
 }
 
+/**
+ * Anything repositories can run queries on: the shared pool, or a single
+ * connection taken from it (used to join a transaction).
+ * @typedef {import('mysql2/promise').Pool|import('mysql2/promise').PoolConnection} Queryable
+ */
+
+/**
+ * Runs `work` inside a MySQL transaction on one pooled connection.
+ *
+ * The transaction is committed when `work` resolves and rolled back when it
+ * throws; the connection is always released back to the pool.
+ *
+ * @async
+ * @function withTransaction
+ * @template T
+ * @param {(conn: import('mysql2/promise').PoolConnection) => Promise<T>} work - Callback receiving the transaction connection.
+ * @returns {Promise<T>} Whatever `work` resolved with.
+ * @example
+ * const attempt = await withTransaction(async (conn) => {
+ *   return attemptRepo.create({ user_id: 1, scenario_id: 3, score: 100 }, conn);
+ * });
+ */
+export async function withTransaction(work) {
+  const conn = await pool.getConnection();
+  try {
+    await conn.beginTransaction();
+    const result = await work(conn);
+    await conn.commit();
+    return result;
+  } catch (error) {
+    await conn.rollback();
+    throw error;
+  } finally {
+    conn.release();
+  }
+}
+
 /**
  * Exports the MySQL connection pool for use throughout the application.
  * @type {import('mysql2/promise').Pool}
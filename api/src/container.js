@@ -0,0 +1,271 @@
+import { createRepositories } from "./domain/repositories/createRepositories.js";
+import { createMailer } from "./mail/createMailer.js";
+import { MemoryLoginAttemptStore } from "./stores/MemoryLoginAttemptStore.js";
+
+import { AccountTokenService } from "./services/AccountTokenService.js";
+import { AttemptService } from "./services/AttemptService.js";
+import { AuditLogService } from "./services/AuditLogService.js";
+import { AuthSessionService } from "./services/AuthSessionService.js";
+import { AwardService } from "./services/AwardService.js";
+import { BadgesService } from "./services/BadgesService.js";
+import { ContentPackService } from "./services/ContentPackService.js";
+import { LevelService } from "./services/LevelService.js";
+import { LoginThrottleService } from "./services/LoginThrottleService.js";
+import { ProgressService } from "./services/ProgressService.js";
+import { RoleService } from "./services/RoleService.js";
+import { ScenarioService } from "./services/ScenarioService.js";
+import { ScenarioSessionService } from "./services/ScenarioSessionService.js";
+import { ScenarioStepService } from "./services/ScenarioStepService.js";
+import { ScenarioVersionService } from "./services/ScenarioVersionService.js";
+import { SecurityEventService } from "./services/SecurityEventService.js";
+import { StepAttemptService } from "./services/StepAttemptService.js";
+import { UserBadgeService } from "./services/UserBadgeService.js";
+import { UserLevelService } from "./services/UserLevelService.js";
+import { UserService } from "./services/UserService.js";
+
+import { AttemptController } from "./controllers/AttemptController.js";
+import { AuditLogController } from "./controllers/AuditLogController.js";
+import { BadgesController } from "./controllers/BadgesController.js";
+import { ContentPackController } from "./controllers/ContentPackController.js";
+import { LevelController } from "./controllers/LevelController.js";
+import { RoleController } from "./controllers/RoleController.js";
+import { ScenarioController } from "./controllers/ScenarioController.js";
+import { ScenarioStepController } from "./controllers/ScenarioStepController.js";
+import { SecurityEventController } from "./controllers/SecurityEventController.js";
+import { StepAttemptController } from "./controllers/StepAttemptController.js";
+import { UserBadgeController } from "./controllers/UserBadgeController.js";
+import { UserController } from "./controllers/UserController.js";
+import { UserLevelController } from "./controllers/UserLevelController.js";
+
+import { createRequireAuth } from "./middlewares/requireAuth.js";
+import { createRequirePermission } from "./middlewares/requirePermission.js";
+import { createOwnerOrPermission } from "./middlewares/ownerOrPermission.js";
+import { createAuditAdminAction } from "./middlewares/auditAdminAction.js";
+
+/**
+ * One instance of every service, shared by all routers.
+ * @typedef {object} Services
+ * @property {AccountTokenService} accountTokens
+ * @property {AttemptService} attempts
+ * @property {AuditLogService} auditLog
+ * @property {AuthSessionService} authSessions
+ * @property {AwardService} awards
+ * @property {BadgesService} badges
+ * @property {ContentPackService} contentPacks
+ * @property {LevelService} levels
+ * @property {LoginThrottleService} loginThrottle
+ * @property {ProgressService} progress
+ * @property {RoleService} roles
+ * @property {ScenarioService} scenarios
+ * @property {ScenarioSessionService} scenarioSessions
+ * @property {ScenarioStepService} scenarioSteps
+ * @property {ScenarioVersionService} scenarioVersions
+ * @property {SecurityEventService} securityEvents
+ * @property {StepAttemptService} stepAttempts
+ * @property {UserBadgeService} userBadges
+ * @property {UserLevelService} userLevels
+ * @property {UserService} users
+ */
+
+/**
+ * One controller per router.
+ * @typedef {object} Controllers
+ * @property {AttemptController} attempts
+ * @property {AuditLogController} auditLog
+ * @property {BadgesController} badges
+ * @property {ContentPackController} contentPacks
+ * @property {LevelController} levels
+ * @property {RoleController} roles
+ * @property {ScenarioController} scenarios
+ * @property {ScenarioStepController} scenarioSteps
+ * @property {SecurityEventController} securityEvents
+ * @property {StepAttemptController} stepAttempts
+ * @property {UserBadgeController} userBadges
+ * @property {UserController} users
+ * @property {UserLevelController} userLevels
+ */
+
+/**
+ * The access-control middlewares, bound to the container's services.
+ * @typedef {object} Auth
+ * @property {import("express").RequestHandler} requireAuth
+ * @property {(permission: string) => import("express").RequestHandler} requirePermission
+ * @property {(permission: string, resolveOwnerId: Function) => import("express").RequestHandler} ownerOrPermission
+ * @property {(action: string, options?: object) => import("express").RequestHandler} auditAdminAction
+ */
+
+/**
+ * Everything the app is built from.
+ * @typedef {object} Container
+ * @property {import("./domain/repositories/createRepositories.js").Persistence} persistence
+ * @property {import("./domain/repositories/createRepositories.js").Repositories} repositories
+ * @property {Services} services
+ * @property {Controllers} controllers
+ * @property {Auth} auth
+ * @property {import("./mail/createMailer.js").Mailer} mailer
+ */
+
+/**
+ * What {@link createContainer} accepts. Anything left out is built from the
+ * environment; `repositories` and `services` may be partial, replacing only
+ * the entries they name.
+ * @typedef {object} ContainerDeps
+ * @property {NodeJS.ProcessEnv} [env=process.env] - Settings for the defaults (`DB_DRIVER`, `MAIL_TRANSPORT`, ...).
+ * @property {import("./domain/repositories/createRepositories.js").Persistence} [persistence]
+ * @property {Partial<import("./domain/repositories/createRepositories.js").Repositories>} [repositories]
+ * @property {Partial<Services>} [services]
+ * @property {import("./mail/createMailer.js").Mailer} [mailer]
+ * @property {import("./services/LoginThrottleService.js").LoginAttemptStore} [loginAttemptStore]
+ */
+
+/**
+ * Build the object graph of the API once: repositories, services,
+ * controllers and the auth middlewares.
+ *
+ * This is the only place that decides which implementation each piece gets.
+ * Services that several routers rely on, such as `progress` and `awards`,
+ * exist once and are handed to everyone who needs them.
+ *
+ * @function createContainer
+ * @param {ContainerDeps} [deps={}] - Replacements for the defaults, e.g. fakes in tests.
+ * @returns {Container}
+ *
+ * @example
+ * const container = createContainer({ env: { DB_DRIVER: "memory" } });
+ * await container.services.levels.listLevels();
+ *
+ * @example
+ * // Capture emails instead of sending them
+ * const sent = [];
+ * const container = createContainer({ mailer: { send: async (m) => sent.push(m) } });
+ */
+export function createContainer(deps = {}) {
+  const env = deps.env ?? process.env;
+  const persistence = deps.persistence ?? createRepositories(env);
+  const { withTransaction } = persistence;
+  const repositories = { ...persistence.repositories, ...deps.repositories };
+  const mailer = deps.mailer ?? createMailer(env);
+  const overrides = deps.services ?? {};
+
+  /** @type {Services} */
+  const services = {};
+  const provide = (name, build) => {
+    services[name] = overrides[name] ?? build();
+  };
+
+  provide("roles", () => new RoleService(repositories.roles, withTransaction));
+  provide("auditLog", () => new AuditLogService(repositories.auditLog));
+  provide("securityEvents", () => new SecurityEventService(repositories.securityEvents));
+  provide("authSessions", () => new AuthSessionService(repositories.authSessions, withTransaction));
+  provide("accountTokens", () => new AccountTokenService(repositories.userTokens, withTransaction));
+  provide(
+    "loginThrottle",
+    () =>
+      new LoginThrottleService(
+        deps.loginAttemptStore ?? new MemoryLoginAttemptStore(),
+        services.securityEvents
+      )
+  );
+  provide(
+    "users",
+    () =>
+      new UserService(
+        repositories.users,
+        services.authSessions,
+        services.accountTokens,
+        mailer,
+        services.loginThrottle
+      )
+  );
+
+  provide(
+    "scenarioVersions",
+    () =>
+      new ScenarioVersionService(
+        repositories.scenarios,
+        repositories.scenarioSteps,
+        repositories.scenarioVersions,
+        withTransaction
+      )
+  );
+  provide(
+    "scenarios",
+    () => new ScenarioService(repositories.scenarios, services.scenarioVersions, withTransaction)
+  );
+  provide(
+    "scenarioSteps",
+    () => new ScenarioStepService(repositories.scenarioSteps, withTransaction, services.scenarioVersions)
+  );
+  provide(
+    "scenarioSessions",
+    () => new ScenarioSessionService(repositories.scenarioSessions, services.scenarioVersions, withTransaction)
+  );
+  provide("awards", () => new AwardService(repositories.badges, repositories.userBadges));
+  provide(
+    "progress",
+    () =>
+      new ProgressService(
+        repositories.levels,
+        repositories.scenarios,
+        repositories.attempts,
+        repositories.stepAttempts,
+        repositories.userLevels,
+        services.scenarioSessions,
+        services.awards,
+        withTransaction
+      )
+  );
+  provide("levels", () => new LevelService(repositories.levels, services.progress, withTransaction));
+
+  provide("attempts", () => new AttemptService(repositories.attempts));
+  provide("stepAttempts", () => new StepAttemptService(repositories.stepAttempts));
+  provide("badges", () => new BadgesService(repositories.badges));
+  provide(
+    "contentPacks",
+    () =>
+      new ContentPackService(
+        repositories.levels,
+        repositories.scenarios,
+        repositories.scenarioSteps,
+        repositories.badges,
+        services.scenarioVersions,
+        withTransaction
+      )
+  );
+  provide("userBadges", () => new UserBadgeService(repositories.userBadges));
+  provide("userLevels", () => new UserLevelService(repositories.userLevels));
+
+  /** @type {Controllers} */
+  const controllers = {
+    attempts: new AttemptController(services.attempts),
+    auditLog: new AuditLogController(services.auditLog),
+    badges: new BadgesController(services.badges),
+    contentPacks: new ContentPackController(services.contentPacks),
+    levels: new LevelController(services.levels),
+    roles: new RoleController(services.roles),
+    scenarios: new ScenarioController(
+      services.scenarios,
+      services.scenarioVersions,
+      services.scenarioSessions,
+      services.progress
+    ),
+    scenarioSteps: new ScenarioStepController(services.scenarioSteps),
+    securityEvents: new SecurityEventController(services.securityEvents),
+    stepAttempts: new StepAttemptController(services.stepAttempts),
+    userBadges: new UserBadgeController(services.userBadges),
+    users: new UserController(services.users, services.roles),
+    userLevels: new UserLevelController(services.userLevels),
+  };
+
+  const requireAuth = createRequireAuth(repositories.authSessions);
+
+  /** @type {Auth} */
+  const auth = {
+    requireAuth,
+    requirePermission: createRequirePermission(requireAuth, services.roles),
+    ownerOrPermission: createOwnerOrPermission(services.roles),
+    auditAdminAction: createAuditAdminAction(services.auditLog),
+  };
+
+  return { persistence, repositories, services, controllers, auth, mailer };
+}
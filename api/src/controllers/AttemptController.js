@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import { NotFoundError, ValidationError } from '../utils/error.js';
 
 /**
  * Controller class responsible for handling HTTP requests related to user attempts.
@@ -14,21 +15,18 @@ export class AttemptController {
   }
 
   /**
-   * Validates incoming request using express-validator.
-   * Sends a 400 response if validation errors are found.
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
    * @param {import('express').Request} req - The Express request object.
-   * @param {import('express').Response} res - The Express response object.
-   * @returns {boolean} Returns true if validation failed and response is sent, otherwise false.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
@@ -60,9 +58,9 @@ export class AttemptController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const attempt = await this.attemptService.getAttempt(req.params.id);
-      if (!attempt) return res.status(404).json({ message: 'Attempt not found' });
+      if (!attempt) throw new NotFoundError('Attempt not found');
       res.json(attempt);
     } catch (e) {
       next(e);
@@ -70,7 +68,7 @@ export class AttemptController {
   };
 
   /**
-   * Retrieves a user's attempt for a specific scenario.
+   * Retrieves a user's best attempt for a specific scenario.
    *
    * @async
    * @method getUserAttempt
@@ -82,7 +80,7 @@ export class AttemptController {
     try {
       const { user_id, scenario_id } = req.params;
       const attempt = await this.attemptService.getUserAttempt(user_id, scenario_id);
-      if (!attempt) return res.status(404).json({ message: 'No attempt found' });
+      if (!attempt) throw new NotFoundError('No attempt found');
       res.json(attempt);
     } catch (e) {
       next(e);
@@ -90,7 +88,26 @@ export class AttemptController {
   };
 
   /**
-   * Creates or updates a user's best score for a scenario.
+   * Retrieves every attempt a user made on a specific scenario, oldest first.
+   *
+   * @async
+   * @method getUserAttemptHistory
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   */
+  getUserAttemptHistory = async (req, res, next) => {
+    try {
+      const { user_id, scenario_id } = req.params;
+      const history = await this.attemptService.getUserAttemptHistory(user_id, scenario_id);
+      res.json(history);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Records a new attempt for a user on a scenario.
    *
    * @async
    * @method save
@@ -100,9 +117,9 @@ export class AttemptController {
    */
   save = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const { user_id, scenario_id, score } = req.body;
-      const newAttempt = await this.attemptService.saveBestScore({ user_id, scenario_id, score });
+      const newAttempt = await this.attemptService.recordAttempt({ user_id, scenario_id, score });
       res.status(201).json(newAttempt);
     } catch (e) {
       next(e);
@@ -110,7 +127,7 @@ export class AttemptController {
   };
 
   /**
-   * Retrieves all attempts for a given user filtered by level.
+   * Retrieves a user's best score per scenario for a given level.
    *
    * @async
    * @method getUserAttemptsByLevel
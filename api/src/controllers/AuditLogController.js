@@ -0,0 +1,55 @@
+import { validationResult } from "express-validator";
+import { ValidationError } from "../utils/error.js";
+
+/**
+ * Controller exposing the admin audit log.
+ *
+ * Lets admins review every override of learner progress, badge awards
+ * and attempts made through the admin endpoints.
+ */
+export class AuditLogController {
+  /**
+   * @param {object} auditLogService - The AuditLogService instance.
+   */
+  constructor(auditLogService) {
+    this.auditLogService = auditLogService;
+  }
+
+  /**
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
+   */
+  _validate(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Lists audit entries, newest first.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req - Optional query: `actor_id`, `action`, `limit`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /audit-log?action=user_level.update&limit=20
+   */
+  list = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const { actor_id, action, limit } = req.query;
+      const entries = await this.auditLogService.list({ actor_id, action, limit });
+      res.json(entries);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -1,4 +1,5 @@
 import { validationResult } from "express-validator";
+import { NotFoundError, ValidationError } from "../utils/error.js";
 
 /**
  * Controller class responsible for handling all badge-related HTTP requests.
@@ -15,20 +16,17 @@ export class BadgesController {
 
   /**
    * Validates the incoming request using express-validator.
-   * If validation errors exist, returns a 400 Bad Request response.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
    * @param {import('express').Request} req - The Express request object.
-   * @param {import('express').Response} res - The Express response object.
-   * @returns {boolean} Returns true if validation fails and a response is sent, otherwise false.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
@@ -66,10 +64,10 @@ export class BadgesController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const badge = await this.badgesService.getBadge(req.params.id);
-      if (!badge) return res.status(404).json({ message: "Badge not found" });
+      if (!badge) throw new NotFoundError("Badge not found");
       res.json(badge);
     } catch (e) {
       next(e);
@@ -94,7 +92,7 @@ export class BadgesController {
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const newBadge = await this.badgesService.createBadge(req.body);
       res.status(201).json(newBadge);
@@ -120,14 +118,13 @@ export class BadgesController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const updatedBadge = await this.badgesService.updateBadge(
         req.params.id,
         req.body
       );
-      if (!updatedBadge)
-        return res.status(404).json({ message: "Badge not found" });
+      if (!updatedBadge) throw new NotFoundError("Badge not found");
       res.status(200).json(updatedBadge);
     } catch (e) {
       next(e);
@@ -148,10 +145,10 @@ export class BadgesController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const ok = await this.badgesService.deleteBadge(req.params.id);
-      if (!ok) return res.status(404).json({ message: "Badge not found" });
+      if (!ok) throw new NotFoundError("Badge not found");
       res.status(204).send();
     } catch (e) {
       next(e);
@@ -0,0 +1,88 @@
+import { validationResult } from "express-validator";
+import { ValidationError } from "../utils/error.js";
+import { serializeContentPack } from "../utils/contentPack.js";
+
+/**
+ * Media type sent for each export format.
+ * @type {Record<string, string>}
+ */
+const MEDIA_TYPES = { json: "application/json", yaml: "application/yaml" };
+
+/**
+ * Controller class for exporting levels as content packs and importing
+ * packs back.
+ */
+export class ContentPackController {
+  /**
+   * @param {import("../services/ContentPackService.js").ContentPackService} contentPackService - Reads and writes content packs.
+   */
+  constructor(contentPackService) {
+    this.contentPackService = contentPackService;
+  }
+
+  /**
+   * Validates the incoming request using express-validator.
+   * @private
+   * @param {import("express").Request} req
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
+   */
+  _validate(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Sends a level as a content pack file, JSON unless `?format=yaml`.
+   *
+   * @async
+   * @method exportLevel
+   * @param {import("express").Request} req - Path contains the level ID.
+   * @param {import("express").Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /levels/1/export?format=yaml
+   */
+  exportLevel = async (req, res, next) => {
+    try {
+      this._validate(req);
+
+      const format = req.query.format ?? "json";
+      const pack = await this.contentPackService.exportLevel(req.params.id);
+      res
+        .attachment(`${pack.level.slug}.${format}`)
+        .type(MEDIA_TYPES[format])
+        .send(serializeContentPack(pack, format));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Imports a content pack sent as JSON or YAML and answers with the
+   * report of what changed (or would change, with `?dry_run=true`).
+   *
+   * @async
+   * @method importPack
+   * @param {import("express").Request} req - Body is the pack.
+   * @param {import("express").Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /content/import?dry_run=true
+   * Content-Type: application/yaml
+   */
+  importPack = async (req, res, next) => {
+    try {
+      this._validate(req);
+
+      const report = await this.contentPackService.importPack(req.body, {
+        dryRun: req.query.dry_run === "true",
+      });
+      res.json(report);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
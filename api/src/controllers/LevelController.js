@@ -1,4 +1,5 @@
 import { validationResult } from 'express-validator';
+import { NotFoundError, ValidationError } from '../utils/error.js';
 
 /**
  * Controller class responsible for handling all level-related HTTP requests.
@@ -15,20 +16,17 @@ export class LevelController {
 
   /**
    * Validates the incoming request using express-validator.
-   * If validation errors exist, returns a 400 Bad Request response.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
    * @param {import('express').Request} req - The Express request object.
-   * @param {import('express').Response} res - The Express response object.
-   * @returns {boolean} Returns true if validation fails and a response is sent, otherwise false.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
@@ -66,16 +64,40 @@ export class LevelController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const level = await this.levelService.getLevel(req.params.id);
-      if (!level) return res.status(404).json({ message: 'Level not found' });
+      if (!level) throw new NotFoundError('Level not found');
       res.json(level);
     } catch (e) {
       next(e);
     }
   };
 
+  /**
+   * Retrieves the signed-in user's progress on a level, evaluated against
+   * the level's completion rule.
+   * @async
+   * @method progress
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /levels/:id/progress
+   */
+  progress = async (req, res, next) => {
+    try {
+      this._validate(req);
+
+      const progress = await this.levelService.getLevelProgress(req.params.id, req.user.id);
+      if (!progress) throw new NotFoundError('Level not found');
+      res.json(progress);
+    } catch (e) {
+      next(e);
+    }
+  };
+
   /**
    * Creates a new level entry.
    *
@@ -88,13 +110,17 @@ export class LevelController {
    * @example
    * POST /levels
    * {
-   *   "name": "Intermediate",
-   *   "description": "For users with some experience"
+   *   "title": "Intermediate",
+   *   "description": "For users with some experience",
+   *   "difficulty_order": 2,
+   *   "pass_threshold": 80,
+   *   "prerequisites": [1],
+   *   "completion_rule": { "type": "average", "min_score": 80 }
    * }
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const newLevel = await this.levelService.createLevel(req.body);
       res.status(201).json(newLevel);
@@ -117,10 +143,10 @@ export class LevelController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const updatedLevel = await this.levelService.updateLevel(req.params.id, req.body);
-      if (!updatedLevel) return res.status(404).json({ message: 'Level not found' });
+      if (!updatedLevel) throw new NotFoundError('Level not found');
       res.status(200).json(updatedLevel);
     } catch (e) {
       next(e);
@@ -141,10 +167,10 @@ export class LevelController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const ok = await this.levelService.deleteLevel(req.params.id);
-      if (!ok) return res.status(404).json({ message: 'Level not found' });
+      if (!ok) throw new NotFoundError('Level not found');
       res.status(204).send();
     } catch (e) {
       next(e);
@@ -0,0 +1,137 @@
+import { validationResult } from "express-validator";
+import { NotFoundError, ValidationError } from "../utils/error.js";
+
+/**
+ * Controller for managing roles and the permissions they grant.
+ *
+ * Handles HTTP requests for listing the permission catalog and for reading,
+ * saving and deleting roles.
+ */
+export class RoleController {
+  /**
+   * @param {object} roleService - The RoleService instance.
+   */
+  constructor(roleService) {
+    this.roleService = roleService;
+  }
+
+  /**
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
+   */
+  _validate(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Lists every permission the API checks.
+   *
+   * @method permissions
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @returns {void}
+   * @example
+   * GET /roles/permissions
+   */
+  permissions = (req, res) => {
+    res.json(this.roleService.listPermissions());
+  };
+
+  /**
+   * Lists every role with its permissions.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /roles
+   */
+  list = async (req, res, next) => {
+    try {
+      const roles = await this.roleService.listRoles();
+      res.json(roles);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves one role.
+   *
+   * @async
+   * @method get
+   * @param {import('express').Request} req - Expects `req.params.role`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /roles/instructor
+   */
+  get = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const role = await this.roleService.getRole(req.params.role);
+      if (!role) throw new NotFoundError("Role not found");
+      res.json(role);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Creates a role or replaces its permissions.
+   *
+   * @async
+   * @method save
+   * @param {import('express').Request} req - Expects `req.params.role` and `{ permissions, description? }` in the body.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /roles/reviewer
+   * { "permissions": ["step:read", "scenario:review"] }
+   */
+  save = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const { permissions, description } = req.body;
+      const role = await this.roleService.saveRole(req.params.role, { permissions, description });
+      res.json(role);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes a role nobody holds.
+   *
+   * @async
+   * @method delete
+   * @param {import('express').Request} req - Expects `req.params.role`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /roles/reviewer
+   */
+  delete = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const deleted = await this.roleService.deleteRole(req.params.role);
+      if (!deleted) throw new NotFoundError("Role not found");
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
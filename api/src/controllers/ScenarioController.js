@@ -1,58 +1,102 @@
 import { validationResult } from "express-validator";
+import { NotFoundError, ValidationError } from "../utils/error.js";
 import { generateScenarioFeedback } from "../utils/generateScenarioFeedback.js";
+import { orderSteps } from "../utils/scenarioBranching.js";
+import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
 
 /**
  * Controller for scenario-related endpoints.
  *
  * Handles listing scenarios, fetching a single scenario (with ordered steps),
- * CRUD admin operations, and user submissions that update attempts, level
- * progress, and badges.
+ * CRUD admin operations, the publishing workflow and version history,
+ * server-timed play sessions, and user submissions that update attempts,
+ * level progress, and badges. Learners only ever see published versions.
  */
 export class ScenarioController {
   /**
-   * @param {object} scenarioService
-   * @param {object} scenarioStepService
-   * @param {object} attemptRepo
-   * @param {object} badgeRepo
-   * @param {object} userBadgeRepo
-   * @param {object} userLevelRepo
+   * @param {import("../services/ScenarioService.js").ScenarioService} scenarioService
+   * @param {import("../services/ScenarioVersionService.js").ScenarioVersionService} versionService
+   * @param {import("../services/ScenarioSessionService.js").ScenarioSessionService} sessionService
+   * @param {import("../services/ProgressService.js").ProgressService} progressService
    */
-  constructor(
-    scenarioService,
-    scenarioStepService,
-    attemptRepo,
-    badgeRepo,
-    userBadgeRepo,
-    userLevelRepo
-  ) {
+  constructor(scenarioService, versionService, sessionService, progressService) {
     this.scenarioService = scenarioService;
-    this.scenarioStepService = scenarioStepService;
-    this.attemptRepo = attemptRepo;
-    this.badgeRepo = badgeRepo;
-    this.userBadgeRepo = userBadgeRepo;
-    this.userLevelRepo = userLevelRepo;
+    this.versionService = versionService;
+    this.sessionService = sessionService;
+    this.progressService = progressService;
   }
 
   /**
-   * Validates the request using express-validator.
-   * Sends 400 with error details if validation fails.
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
-   * @param {import('express').Request} req
-   * @param {import('express').Response} res
-   * @returns {boolean} true if validation failed and response sent; otherwise false
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
-   * Lists all scenarios.
+   * Builds the scored part of a run result from a `generateScenarioFeedback` report.
+   *
+   * @private
+   * @param {object} scenario - The played scenario.
+   * @param {object} report - Output of `generateScenarioFeedback`.
+   * @returns {object} Score, flags, summary and per-step feedback.
+   */
+  _runResult(scenario, report) {
+    return {
+      score: report.score,
+      all_correct: report.all_correct,
+      total_questions: report.total_questions,
+      correct_answers: report.correct_answers,
+      summary: report.summary,
+      steps_feedback: report.steps_feedback,
+      level_id: scenario.level_id,
+      scenario_id: scenario.scenario_id,
+    };
+  }
+
+  /**
+   * Persists a finished run for a user through `ProgressService#recordRun`
+   * (attempt, level progress, unlocks and badge) and adds a fresh snapshot
+   * of the scenario.
+   *
+   * Shared by the one-shot submit endpoint and the session-based play flow.
+   *
+   * @private
+   * @async
+   * @param {number} userId - The player's user ID.
+   * @param {object} scenario - The played scenario (needs `scenario_id`, `level_id` and `version`).
+   * @param {number} score - Score of the run (0–100).
+   * @param {Array<{step_id:number, user_action:(string|null), is_correct:boolean, time_taken_ms:(number|null)}>} stepAnswers
+   * @param {string|null} [sessionId] - Play session to link the new attempt to.
+   * @param {import("../config/db.js").Queryable} [conn] - Transaction the session's last answer is stored in.
+   * @returns {Promise<object>} `attempt_id`, `level_progress`, optional `awarded_badge` and `updated_scenario`.
+   */
+  async _recordResult(userId, scenario, score, stepAnswers, sessionId = null, conn = null) {
+    const result = await this.progressService.recordRun(
+      userId,
+      scenario,
+      score,
+      stepAnswers,
+      sessionId,
+      conn
+    );
+
+    // Include updated scenario snapshot with any relevant progress flags
+    const published = await this.versionService.getPlayable(scenario.scenario_id);
+    result.updated_scenario = published?.scenario ?? null;
+    return result;
+  }
+
+  /**
+   * Lists the published scenarios, as learners play them.
    *
    * @async
    * @method list
@@ -63,6 +107,26 @@ export class ScenarioController {
    * @example GET /scenarios
    */
   list = async (req, res, next) => {
+    try {
+      const scenarios = await this.versionService.listPublished();
+      res.json(scenarios);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists every scenario's working copy with its workflow status (Admin).
+   *
+   * @async
+   * @method listAuthoring
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example GET /scenarios/authoring
+   */
+  listAuthoring = async (req, res, next) => {
     try {
       const scenarios = await this.scenarioService.listScenarios();
       res.json(scenarios);
@@ -72,7 +136,10 @@ export class ScenarioController {
   };
 
   /**
-   * Gets a single scenario by ID and returns it with its ordered steps.
+   * Gets the published version of a scenario and returns it with its ordered steps.
+   * Steps are returned without `correct_action` and `feedback_message`;
+   * answers are only revealed one step at a time through a play session.
+   * Scenarios that were never published are not found.
    *
    * @async
    * @method get
@@ -84,39 +151,36 @@ export class ScenarioController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
-      const scenario = await this.scenarioService.getScenario(req.params.id);
-      if (!scenario)
-        return res.status(404).json({ message: "Scenario not found" });
+      const published = await this.versionService.getPlayable(Number(req.params.id));
+      if (!published) throw new NotFoundError("Scenario not found");
 
-      const steps = await this.scenarioStepService.getStepsByScenario(
-        req.params.id
-      );
-      res.json({ ...scenario, steps });
+      const { scenario, steps } = published;
+      res.json({ ...scenario, steps: orderSteps(steps).map(ScenarioStepDTO.toPublic) });
     } catch (e) {
       next(e);
     }
   };
 
   /**
-   * Lists scenarios by level ID.
+   * Lists the published scenarios of a level.
    *
    * @async
    * @method listByLevel
    * @param {import('express').Request} req
    * @param {import('express').Response} res
+   * @param {Function} next
    * @returns {Promise<void>}
    * @example GET /scenarios/level/:levelId
    */
-  listByLevel = async (req, res) => {
-    const levelId = Number(req.params.levelId);
-    if (!levelId) return res.status(400).json({ message: "Invalid level ID" });
+  listByLevel = async (req, res, next) => {
     try {
-      const scenarios = await this.scenarioService.listByLevel(levelId);
-      return res.json(scenarios);
-    } catch (err) {
-      return res.status(500).json({ message: err.message });
+      this._validate(req);
+      const scenarios = await this.versionService.listPublished(Number(req.params.levelId));
+      res.json(scenarios);
+    } catch (e) {
+      next(e);
     }
   };
 
@@ -133,7 +197,7 @@ export class ScenarioController {
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const newScenario = await this.scenarioService.createScenario(req.body);
       res.status(201).json(newScenario);
     } catch (e) {
@@ -154,13 +218,12 @@ export class ScenarioController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const updatedScenario = await this.scenarioService.updateScenario(
         req.params.id,
         req.body
       );
-      if (!updatedScenario)
-        return res.status(404).json({ message: "Scenario not found" });
+      if (!updatedScenario) throw new NotFoundError("Scenario not found");
       res.status(200).json(updatedScenario);
     } catch (e) {
       next(e);
@@ -180,10 +243,9 @@ export class ScenarioController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const ok = await this.scenarioService.deleteScenario(req.params.id);
-      if (!ok)
-        return res.status(404).json({ message: "Scenario not found" });
+      if (!ok) throw new NotFoundError("Scenario not found");
       res.status(204).send();
     } catch (e) {
       next(e);
@@ -191,148 +253,299 @@ export class ScenarioController {
   };
 
   /**
-   * Submits user answers for a scenario, calculates score and correctness,
-   * upserts the user's best score, updates level progress (including unlocking the next level),
+   * Moves a scenario to another workflow status (Admin). Publishing makes
+   * the working copy the version learners play; `note` is kept with it.
+   *
+   * @async
+   * @method setStatus
+   * @param {import('express').Request} req - Path contains :id; body contains { status, note? }.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /scenarios/:id/status
+   * { "status": "published", "note": "Reworded the CPR steps" }
+   */
+  setStatus = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const scenario = await this.versionService.changeStatus(Number(req.params.id), req.body.status, {
+        userId: req.user.id,
+        note: req.body.note ?? null,
+      });
+      if (!scenario) throw new NotFoundError("Scenario not found");
+      res.json(scenario);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists the published versions of a scenario, newest first (Admin).
+   *
+   * @async
+   * @method listVersions
+   * @param {import('express').Request} req - Path contains :id.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example GET /scenarios/:id/versions
+   */
+  listVersions = async (req, res, next) => {
+    try {
+      this._validate(req);
+      res.json(await this.versionService.listVersions(Number(req.params.id)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Gets one version of a scenario with its steps and answers (Admin).
+   *
+   * @async
+   * @method getVersion
+   * @param {import('express').Request} req - Path contains :id and :version.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example GET /scenarios/:id/versions/:version
+   */
+  getVersion = async (req, res, next) => {
+    try {
+      this._validate(req);
+      res.json(await this.versionService.getVersion(Number(req.params.id), Number(req.params.version)));
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Compares two states of a scenario (Admin): version numbers, `draft`
+   * for the working copy or `published`. Defaults to what changed since
+   * the last publish.
+   *
+   * @async
+   * @method diff
+   * @param {import('express').Request} req - Path contains :id; query may contain `from` and `to`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example GET /scenarios/:id/diff?from=2&to=draft
+   */
+  diff = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const ref = (value, fallback) => (value === undefined ? fallback : /^\d+$/.test(value) ? Number(value) : value);
+      res.json(
+        await this.versionService.diff(
+          Number(req.params.id),
+          ref(req.query.from, "published"),
+          ref(req.query.to, "draft")
+        )
+      );
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Publishes an earlier version again, as a new version (Admin). The
+   * working copy is not touched.
+   *
+   * @async
+   * @method rollback
+   * @param {import('express').Request} req - Path contains :id and :version; body may contain { note }.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example POST /scenarios/:id/versions/:version/rollback
+   */
+  rollback = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const version = await this.versionService.rollback(Number(req.params.id), Number(req.params.version), {
+        userId: req.user.id,
+        note: req.body?.note ?? null,
+      });
+      if (!version) throw new NotFoundError("Scenario not found");
+      res.status(201).json(version);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Submits user answers for the published version of a scenario, scores them with `generateScenarioFeedback`,
+   * records the attempt and one step attempt per answer, updates level progress (including unlocking the next level),
    * and awards a level-completion badge when applicable.
    *
-   * Response includes score, flags, level progress, optional awarded badge,
-   * and an updated scenario snapshot.
+   * Response includes score, flags, a summary message, per-step feedback
+   * (`steps_feedback`), the recorded attempt ID, level progress,
+   * optional awarded badge, and an updated scenario snapshot.
+   *
+   * The feedback holds every step's correct answer, answered or not, so the
+   * route is for staff who may read answers; learners play through sessions.
    *
    * @async
    * @method submit
-   * @param {import('express').Request} req - Body contains { userAnswers: string[] }; expects authenticated user (req.user?.id).
+   * @param {import('express').Request} req - Body contains { userAnswers, stepTimes? }, both objects keyed by step_id,
+   * with answers in the form of each step's question type. Only the steps on the path the answers lead through are
+   * scored. Expects authenticated user (req.user?.id).
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
    * @example
    * POST /scenarios/:id/submit
-   * { "userAnswers": ["A","C","B","D"] }
+   * { "userAnswers": { "7": "A", "8": ["B","D"], "9": true }, "stepTimes": { "7": 5200, "8": 12800, "9": 30000 } }
    */
   submit = async (req, res, next) => {
     try {
-      const { userAnswers } = req.body;
+      this._validate(req);
+      const { userAnswers, stepTimes } = req.body;
       const scenarioId = parseInt(req.params.id, 10);
 
-      if (!userAnswers || !Array.isArray(userAnswers)) {
-        return res.status(400).json({ message: "userAnswers must be an array." });
+      const published = await this.versionService.getPlayable(scenarioId);
+      if (!published) throw new NotFoundError("Scenario not found");
+
+      const { scenario, steps } = published;
+      if (steps.length === 0) throw new NotFoundError("No steps found for this scenario.");
+
+      const report = generateScenarioFeedback(userAnswers, steps);
+      const stepAnswers = report.steps_feedback.map((fb) => {
+        const raw = stepTimes?.[fb.step_id];
+        const ms = raw != null ? Number(raw) : NaN;
+        return {
+          step_id: fb.step_id,
+          user_action: fb.user_action,
+          is_correct: fb.is_correct,
+          time_taken_ms: Number.isFinite(ms) && ms >= 0 ? Math.round(ms) : null,
+        };
+      });
+
+      const result = this._runResult(scenario, report);
+
+      const userId = req.user?.id;
+      if (userId) {
+        Object.assign(
+          result,
+          await this._recordResult(userId, scenario, report.score, stepAnswers)
+        );
       }
 
-      const scenario = await this.scenarioService.getScenario(scenarioId);
-      if (!scenario)
-        return res.status(404).json({ message: "Scenario not found" });
+      return res.status(200).json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Starts a server-timed play session on the published version of a scenario
+   * and serves its first step. The level must be unlocked for the user.
+   *
+   * @async
+   * @method startSession
+   * @param {import('express').Request} req - Path contains :id; expects authenticated user.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example POST /scenarios/:id/sessions
+   */
+  startSession = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const scenarioId = Number(req.params.id);
+
+      const published = await this.versionService.getPlayable(scenarioId);
+      if (!published) throw new NotFoundError("Scenario not found");
+      await this.progressService.assertLevelUnlocked(req.user.id, published.scenario.level_id);
 
-      const steps = await this.scenarioStepService.getStepsByScenario(
+      const session = await this.sessionService.startSession(
+        req.user.id,
         scenarioId
       );
-      if (!steps || steps.length === 0) {
-        return res
-          .status(404)
-          .json({ message: "No steps found for this scenario." });
-      }
+      if (!session) throw new NotFoundError("No steps found for this scenario.");
+      res.status(201).json(session);
+    } catch (e) {
+      next(e);
+    }
+  };
 
-      const total = steps.length;
-      let correctCount = 0;
-
-      steps
-        .sort((a, b) => Number(a.step_order) - Number(b.step_order))
-        .forEach((step, i) => {
-          const picked = (userAnswers[i] || "").toString().toUpperCase();
-          const correct = (step.correct_action || "").toString().toUpperCase();
-          if (picked && picked === correct) correctCount += 1;
-        });
-
-      const score = Math.round((correctCount / total) * 100);
-      const allCorrect = correctCount === total;
-
-      const result = {
-        score,
-        all_correct: allCorrect,
-        level_id: scenario.level_id,
-        scenario_id: scenarioId,
-      };
+  /**
+   * Returns the state of a play session and serves its current step,
+   * starting that step's timer if it has not started yet.
+   *
+   * @async
+   * @method getSession
+   * @param {import('express').Request} req - Path contains :id and :sid.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example GET /scenarios/:id/sessions/:sid
+   */
+  getSession = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const session = await this.sessionService.getSession(
+        req.params.sid,
+        req.user.id,
+        Number(req.params.id)
+      );
+      res.json(session);
+    } catch (e) {
+      next(e);
+    }
+  };
 
-      const userId = req.user?.id;
-      if (userId) {
-        await this.attemptRepo.upsertBestScore({
-          user_id: userId,
-          scenario_id: scenarioId,
-          score,
-          all_correct: allCorrect,
-        });
-
-        const perfectInLevel =
-          await this.attemptRepo.countPerfectByUserInLevel(
-            userId,
-            scenario.level_id
-          );
-        const totalInLevel =
-          await this.scenarioService.scenarioRepository.countByLevel(
-            scenario.level_id
-          );
-
-        const completedThisLevel =
-          totalInLevel > 0 && perfectInLevel === totalInLevel;
-
-        await this.userLevelRepo.upsertProgress({
-          user_id: userId,
-          level_id: scenario.level_id,
-          unlocked: true,
-          completed: completedThisLevel,
-        });
-
-        if (completedThisLevel) {
-          const nextLevelId = scenario.level_id + 1;
-          if (scenario.level_id < 6) {
-            await this.userLevelRepo.upsertProgress({
-              user_id: userId,
-              level_id: nextLevelId,
-              unlocked: true,
-              completed: false,
-            });
-          }
-
-          result.level_progress = {
-            level_id: scenario.level_id,
-            completed: true,
-            next_level_unlocked: nextLevelId,
-          };
-
-          const badge = await this.badgeRepo.findByLevel(scenario.level_id);
-          if (badge) {
-            const existing = await this.userBadgeRepo.findByUserAndBadge(
-              userId,
-              badge.badge_id
-            );
-            if (!existing) {
-              await this.userBadgeRepo.create({
-                user_id: userId,
-                badge_id: badge.badge_id,
-              });
-              result.awarded_badge = {
-                badge_id: badge.badge_id,
-                name: badge.name,
-                description: badge.description,
-                icon_url: badge.icon_url,
-              };
-            }
-          }
-        } else {
-          result.level_progress = {
-            level_id: scenario.level_id,
-            completed: false,
-            perfect_in_level: perfectInLevel,
-            total_in_level: totalInLevel,
-          };
+  /**
+   * Checks the answer to the current step of a play session and returns its
+   * feedback. When the last step is answered the run is scored and recorded
+   * exactly like a submit, and the result is returned under `result`.
+   *
+   * @async
+   * @method answerStep
+   * @param {import('express').Request} req - Path contains :id, :sid and :stepId; body contains { user_action }.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /scenarios/:id/sessions/:sid/steps/:stepId/answer
+   * { "user_action": "B" }
+   */
+  answerStep = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const scenarioId = Number(req.params.id);
+      const userId = req.user.id;
+
+      // The run is recorded in the same transaction as its last answer
+      let scenario;
+      const outcome = await this.sessionService.answerStep(
+        req.params.sid,
+        userId,
+        scenarioId,
+        Number(req.params.stepId),
+        req.body.user_action ?? null,
+        async (run, conn) => {
+          ({ scenario } = await this.versionService.getPlayable(scenarioId, run.session.scenario_version));
+          return this._recordResult(userId, scenario, run.report.score, run.answers, req.params.sid, conn);
         }
+      );
 
-        // Include updated scenario snapshot with any relevant progress flags
-        const updatedScenario = await this.scenarioService.getScenario(
-          scenarioId
-        );
-        result.updated_scenario = updatedScenario;
+      const response = {
+        feedback: outcome.feedback,
+        finished: outcome.finished,
+        session: outcome.session,
+      };
+
+      if (outcome.finished) {
+        response.result = {
+          ...this._runResult(scenario, outcome.report),
+          ...outcome.recorded,
+        };
       }
 
-      return res.status(200).json(result);
+      res.json(response);
     } catch (e) {
       next(e);
     }
@@ -1,4 +1,8 @@
 import { validationResult } from "express-validator";
+import { NotFoundError, ValidationError } from "../utils/error.js";
+import { DEFAULT_QUESTION_TYPE } from "../utils/questionTypes.js";
+import { parseCsv } from "../utils/csv.js";
+import { STEP_CSV_COLUMNS, checkStepRow } from "../validators/scenarioStepValidator.js";
 
 /**
  * Controller responsible for managing scenario steps.
@@ -17,38 +21,107 @@ export class ScenarioStepController {
 
   /**
    * Validates the incoming request using express-validator.
-   * If validation fails, sends a 400 Bad Request response.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
-   * @param {import('express').Request} req - Express request object.
-   * @param {import('express').Response} res - Express response object.
-   * @returns {boolean} Returns true if validation failed and response was sent, otherwise false.
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Reads a step's type, options and answer from the request body.
+   * Multiple-choice steps may use the flat `option_a..option_d` and
+   * `correct_action` fields instead of `options` and `answer`.
+   *
+   * @private
+   * @param {object} body - The request body.
+   * @returns {{type: string, options: object|null, answer: *}}
+   */
+  _content(body) {
+    const type = body.type ?? DEFAULT_QUESTION_TYPE;
+    if (type === DEFAULT_QUESTION_TYPE && body.options === undefined) {
+      return {
+        type,
+        options: {
+          A: body.option_a,
+          B: body.option_b,
+          C: body.option_c,
+          D: body.option_d,
+        },
+        answer: body.correct_action,
+      };
     }
-    return false;
+    return { type, options: body.options ?? null, answer: body.answer };
   }
 
   /**
-   * Retrieves and returns all scenario steps.
+   * Reads the rows of a step CSV, keyed by column. Empty cells are left
+   * out, so they count as missing; blank rows are skipped.
+   *
+   * @private
+   * @param {*} text - The request body.
+   * @returns {Array<{row: number, values: Object<string, string>}>} `row` is the spreadsheet row number.
+   * @throws {ValidationError} If the file cannot be read or its header names unknown or too few columns.
+   */
+  _csvRows(text) {
+    const fail = (message, field = "body") => {
+      throw new ValidationError(message, [{ field, location: "body", message }]);
+    };
+
+    if (typeof text !== "string" || !text.trim()) fail("Send the steps as a CSV file (Content-Type: text/csv)");
+    let records;
+    try {
+      records = parseCsv(text);
+    } catch (error) {
+      fail(`The CSV file cannot be read: ${error.message}`);
+    }
+
+    const [header = [], ...rest] = records;
+    const columns = header.map((name) => name.trim().toLowerCase());
+    const unknown = columns.filter((name) => !STEP_CSV_COLUMNS.includes(name));
+    if (unknown.length) fail(`Unknown columns: ${unknown.join(", ")}`);
+    const missing = STEP_CSV_COLUMNS.filter((name) => name !== "feedback_message" && !columns.includes(name));
+    if (missing.length) fail(`Missing columns: ${missing.join(", ")}`);
+
+    const rows = rest
+      .map((cells, i) => ({
+        row: i + 2,
+        values: Object.fromEntries(
+          columns.map((name, c) => [name, cells[c]?.trim()]).filter(([, value]) => value)
+        ),
+      }))
+      .filter(({ values }) => Object.keys(values).length);
+    if (!rows.length) fail("The CSV file has no steps");
+    return rows;
+  }
+
+  /**
+   * Retrieves and returns all scenario steps, or the steps of one scenario
+   * in play order when `scenario_id` is given.
    * Commonly used for admin or debugging purposes.
    *
    * @async
    * @method list
-   * @param {import('express').Request} req
+   * @param {import('express').Request} req - Optional query parameter `scenario_id`.
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
    * @example
-   * GET /steps
+   * GET /scenario-steps?scenario_id=3
    */
   list = async (req, res, next) => {
     try {
-      const steps = await this.stepService.listScenarioSteps();
+      this._validate(req);
+      const scenarioId = req.query.scenario_id;
+      const steps = scenarioId
+        ? await this.stepService.getStepsByScenario(Number(scenarioId))
+        : await this.stepService.listScenarioSteps();
       res.json(steps);
     } catch (e) {
       next(e);
@@ -69,10 +142,10 @@ export class ScenarioStepController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const step = await this.stepService.getScenarioStep(req.params.id);
-      if (!step) return res.status(404).json({ message: "Step not found" });
+      if (!step) throw new NotFoundError("Step not found");
       res.json(step);
     } catch (e) {
       next(e);
@@ -80,11 +153,12 @@ export class ScenarioStepController {
   };
 
   /**
-   * Creates a new multiple-choice scenario step.
+   * Creates a new scenario step of any question type.
    *
    * @async
    * @method create
-   * @param {import('express').Request} req - The request body should include scenario_id, step_order, question_text, options, and correct_action.
+   * @param {import('express').Request} req - The request body should include scenario_id, step_order, question_text, and
+   * either `type`, `options` and `answer`, or (for multiple choice) option_a..option_d and correct_action.
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
@@ -101,34 +175,30 @@ export class ScenarioStepController {
    *   "correct_action": "B",
    *   "feedback_message": "Always assess before acting."
    * }
+   * @example
+   * POST /steps
+   * {
+   *   "scenario_id": 1,
+   *   "step_order": 3,
+   *   "question_text": "Which of these belong in a first-aid kit?",
+   *   "type": "multi_select",
+   *   "options": { "A": "Gloves", "B": "Matches", "C": "Bandages", "D": "Scissors" },
+   *   "answer": ["A", "C", "D"]
+   * }
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
-      const {
-        scenario_id,
-        step_order,
-        question_text,
-        option_a,
-        option_b,
-        option_c,
-        option_d,
-        correct_action,
-        feedback_message,
-      } = req.body;
+      const { scenario_id, slug, step_order, question_text, branches, feedback_message } = req.body;
 
       const newStep = await this.stepService.createScenarioStep({
         scenario_id,
+        slug,
         step_order,
         question_text,
-        options: {
-          A: option_a,
-          B: option_b,
-          C: option_c,
-          D: option_d,
-        },
-        correct_action,
+        ...this._content(req.body),
+        branches,
         feedback_message,
       });
 
@@ -138,6 +208,60 @@ export class ScenarioStepController {
     }
   };
 
+  /**
+   * Creates multiple-choice steps from a CSV file, one step per row.
+   *
+   * Rows are checked like `POST /scenario-steps` bodies. Valid rows are
+   * created together; invalid ones are reported by row and column and
+   * left out, so the author can fix and re-upload just those.
+   *
+   * @async
+   * @method importCsv
+   * @param {import('express').Request} req - The body is the CSV text.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /scenario-steps/import
+   * scenario_id,step_order,question_text,option_a,option_b,option_c,option_d,correct_action
+   * 1,4,Where do you press?,Center of chest,Stomach,Neck,Left arm,A
+   */
+  importCsv = async (req, res, next) => {
+    try {
+      const valid = [];
+      const errors = [];
+      for (const { row, values } of this._csvRows(req.body)) {
+        const problems = await checkStepRow(values);
+        if (problems.length) {
+          errors.push(...problems.map((p) => ({ row, ...p })));
+          continue;
+        }
+        valid.push({
+          row,
+          data: {
+            scenario_id: Number(values.scenario_id),
+            step_order: Number(values.step_order),
+            question_text: values.question_text,
+            ...this._content(values),
+            feedback_message: values.feedback_message ?? null,
+          },
+        });
+      }
+
+      const result = await this.stepService.importScenarioSteps(valid);
+      errors.push(...result.errors);
+      errors.sort((a, b) => a.row - b.row);
+
+      res.status(result.created.length ? 201 : 200).json({
+        created: result.created.length,
+        steps: result.created,
+        errors,
+      });
+    } catch (e) {
+      next(e);
+    }
+  };
+
   /**
    * Updates an existing scenario step by ID.
    *
@@ -152,43 +276,54 @@ export class ScenarioStepController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
-      const {
-        step_order,
-        question_text,
-        option_a,
-        option_b,
-        option_c,
-        option_d,
-        correct_action,
-        feedback_message,
-      } = req.body;
+      const { slug, step_order, question_text, branches, feedback_message } = req.body;
 
       const updatedStep = await this.stepService.updateScenarioStep(
         req.params.id,
         {
+          slug,
           step_order,
           question_text,
-          options: {
-            A: option_a,
-            B: option_b,
-            C: option_c,
-            D: option_d,
-          },
-          correct_action,
+          ...this._content(req.body),
+          branches,
           feedback_message,
         }
       );
 
-      if (!updatedStep)
-        return res.status(404).json({ message: "Step not found" });
+      if (!updatedStep) throw new NotFoundError("Step not found");
       res.status(200).json(updatedStep);
     } catch (e) {
       next(e);
     }
   };
 
+  /**
+   * Puts a scenario's steps in a new order, numbering them 1..n.
+   *
+   * @async
+   * @method reorder
+   * @param {import('express').Request} req - Path contains the scenario ID; body contains `step_ids` in the new order.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /scenarios/:id/steps/order
+   * { "step_ids": [12, 10, 11] }
+   */
+  reorder = async (req, res, next) => {
+    try {
+      this._validate(req);
+
+      const steps = await this.stepService.reorderScenarioSteps(Number(req.params.id), req.body.step_ids);
+      if (!steps) throw new NotFoundError("Scenario not found");
+      res.status(200).json(steps);
+    } catch (e) {
+      next(e);
+    }
+  };
+
   /**
    * Deletes a scenario step by ID.
    *
@@ -203,10 +338,10 @@ export class ScenarioStepController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const ok = await this.stepService.deleteScenarioStep(req.params.id);
-      if (!ok) return res.status(404).json({ message: "Step not found" });
+      if (!ok) throw new NotFoundError("Step not found");
       res.status(204).send();
     } catch (e) {
       next(e);
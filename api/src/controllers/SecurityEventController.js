@@ -0,0 +1,54 @@
+import { validationResult } from "express-validator";
+import { ValidationError } from "../utils/error.js";
+
+/**
+ * Controller exposing the security event log.
+ *
+ * Lets admins see login lockouts and who lifted them.
+ */
+export class SecurityEventController {
+  /**
+   * @param {object} securityEventService - The SecurityEventService instance.
+   */
+  constructor(securityEventService) {
+    this.securityEventService = securityEventService;
+  }
+
+  /**
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
+   */
+  _validate(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Lists security events, newest first.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req - Optional query: `type`, `email`, `ip`, `limit`.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /security-events?type=login.lockout
+   */
+  list = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const { type, email, ip, limit } = req.query;
+      const events = await this.securityEventService.list({ type, email, ip, limit });
+      res.json(events);
+    } catch (e) {
+      next(e);
+    }
+  };
+}
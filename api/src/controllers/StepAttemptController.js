@@ -0,0 +1,141 @@
+import { validationResult } from 'express-validator';
+import { NotFoundError, ValidationError } from '../utils/error.js';
+
+/**
+ * Controller class responsible for handling HTTP requests related to step attempts.
+ *
+ * A step attempt is a user's answer to a single scenario step. The scenario
+ * submit flow records them automatically; these endpoints expose them for
+ * inspection and analytics.
+ */
+export class StepAttemptController {
+  /**
+   * @param {object} stepAttemptService - Instance of the StepAttemptService.
+   */
+  constructor(stepAttemptService) {
+    this.stepAttemptService = stepAttemptService;
+  }
+
+  /**
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
+   *
+   * @private
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
+   */
+  _validate(req) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
+  }
+
+  /**
+   * Retrieves and returns a list of all step attempts.
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next - Express next middleware function.
+   * @example GET /step-attempts
+   */
+  list = async (req, res, next) => {
+    try {
+      const stepAttempts = await this.stepAttemptService.listStepAttempts();
+      res.json(stepAttempts);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves a specific step attempt by its ID.
+   *
+   * @async
+   * @method get
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @example GET /step-attempts/:id
+   */
+  get = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const stepAttempt = await this.stepAttemptService.getStepAttempt(req.params.id);
+      if (!stepAttempt) throw new NotFoundError('Step attempt not found');
+      res.json(stepAttempt);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves all step attempts recorded for a scenario attempt.
+   *
+   * @async
+   * @method getByAttempt
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @example GET /step-attempts/attempt/:attempt_id
+   */
+  getByAttempt = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const stepAttempts = await this.stepAttemptService.getByAttempt(req.params.attempt_id);
+      res.json(stepAttempts);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Creates a new step attempt record.
+   *
+   * @async
+   * @method create
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @example POST /step-attempts
+   */
+  create = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const { attempt_id, step_id, user_action, is_correct, time_taken_ms } = req.body;
+      const stepAttempt = await this.stepAttemptService.createStepAttempt({
+        attempt_id,
+        step_id,
+        user_action,
+        is_correct,
+        time_taken_ms,
+      });
+      res.status(201).json(stepAttempt);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes a step attempt by its ID.
+   *
+   * @async
+   * @method delete
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @example DELETE /step-attempts/:id
+   */
+  delete = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const ok = await this.stepAttemptService.deleteStepAttempt(req.params.id);
+      if (!ok) throw new NotFoundError('Step attempt not found');
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+}
@@ -1,9 +1,10 @@
 import { validationResult } from 'express-validator';
+import { NotFoundError, ValidationError } from '../utils/error.js';
 
 /**
  * Controller responsible for managing user badges.
  *
- * Provides endpoints to list, retrieve, create, update, and delete user badges.
+ * Provides endpoints to list, retrieve, create, and delete user badges.
  * Typically used for tracking badges assigned to users for achievements or milestones.
  */
 export class UserBadgeController {
@@ -15,38 +16,40 @@ export class UserBadgeController {
   }
 
   /**
-   * Validates the request using express-validator.
-   * If validation errors exist, responds with a 400 status and error details.
+   * Validates the incoming request using express-validator.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
    * @param {import('express').Request} req - The Express request object.
-   * @param {import('express').Response} res - The Express response object.
-   * @returns {boolean} Returns true if validation fails and response is sent; otherwise false.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
-   * Retrieves and returns a list of all user badges.
+   * Retrieves user badges: those of one user when `user_id` is given,
+   * otherwise all of them (admin use).
    *
    * @async
    * @method list
-   * @param {import('express').Request} req
+   * @param {import('express').Request} req - Optional query: `user_id`.
    * @param {import('express').Response} res
    * @param {Function} next - Express middleware function.
    * @returns {Promise<void>}
    * @example
    * GET /user-badges
+   * GET /user-badges?user_id=4
    */
   list = async (req, res, next) => {
     try {
-      const badges = await this.userBadgeService.listUserBadges();
+      const { user_id } = req.query || {};
+      const badges = user_id
+        ? await this.userBadgeService.getUserBadges(user_id)
+        : await this.userBadgeService.listUserBadges();
       res.json(badges);
     } catch (e) {
       next(e);
@@ -67,11 +70,10 @@ export class UserBadgeController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
-      const badge = await this.userBadgeService.getUserBadge(req.params.id);
-      if (!badge)
-        return res.status(404).json({ message: 'User badge not found' });
+      const badge = await this.userBadgeService.getUserBadgeById(req.params.id);
+      if (!badge) throw new NotFoundError('User badge not found');
       res.json(badge);
     } catch (e) {
       next(e);
@@ -96,7 +98,7 @@ export class UserBadgeController {
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const newBadge = await this.userBadgeService.createUserBadge(req.body);
       res.status(201).json(newBadge);
@@ -105,37 +107,6 @@ export class UserBadgeController {
     }
   };
 
-  /**
-   * Updates an existing user badge.
-   *
-   * @async
-   * @method update
-   * @param {import('express').Request} req - Path parameter should contain badge ID; body includes update data.
-   * @param {import('express').Response} res
-   * @param {Function} next
-   * @returns {Promise<void>}
-   * @example
-   * PUT /user-badges/:id
-   * {
-   *   "status": "revoked"
-   * }
-   */
-  update = async (req, res, next) => {
-    try {
-      if (this._validate(req, res)) return;
-
-      const updatedBadge = await this.userBadgeService.updateUserBadge(
-        req.params.id,
-        req.body
-      );
-      if (!updatedBadge)
-        return res.status(404).json({ message: 'User badge not found' });
-      res.status(200).json(updatedBadge);
-    } catch (e) {
-      next(e);
-    }
-  };
-
   /**
    * Deletes a user badge by ID.
    *
@@ -150,11 +121,10 @@ export class UserBadgeController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const ok = await this.userBadgeService.deleteUserBadge(req.params.id);
-      if (!ok)
-        return res.status(404).json({ message: 'User badge not found' });
+      if (!ok) throw new NotFoundError('User badge not found');
       res.status(204).send();
     } catch (e) {
       next(e);
@@ -1,35 +1,54 @@
 import { validationResult } from "express-validator";
+import { ForbiddenError, NotFoundError, ValidationError } from "../utils/error.js";
 
 /**
  * Controller responsible for handling user-related operations.
  *
- * Provides routes for registration, login, listing user badges,
+ * Provides routes for registration, email verification, login, token
+ * refresh, logout, password resets, self-service account management,
  * and performing standard CRUD operations on users.
  */
 export class UserController {
   /**
    * @param {object} service - The UserService instance handling user-related business logic.
+   * @param {object} roleService - The RoleService instance, used to list the permissions of the signed-in user.
    */
-  constructor(service) {
+  constructor(service, roleService) {
     this.service = service;
+    this.roleService = roleService;
+  }
+
+  /**
+   * Refuses to hand out, or to touch an account holding, a role with
+   * permissions the signed-in user does not have.
+   *
+   * @private
+   * @param {import('express').Request} req - Expects authenticated user (req.user.role).
+   * @param {string|undefined} role - The role being given or held; nothing to check when absent.
+   * @returns {Promise<void>}
+   * @throws {ForbiddenError} `ROLE_NOT_GRANTABLE` if the role grants more than the user holds.
+   */
+  async _assertMayManage(req, role) {
+    if (role === undefined || (await this.roleService.canGrant(req.user.role, role))) return;
+    throw new ForbiddenError(
+      `Only users holding every permission of the ${role} role may manage it`,
+      "ROLE_NOT_GRANTABLE"
+    );
   }
 
   /**
    * Validates the incoming request using express-validator.
-   * Sends a 400 response if validation errors are found.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
-   * @param {import('express').Request} req - Express request object.
-   * @param {import('express').Response} res - Express response object.
-   * @returns {boolean} Returns true if validation fails and response is sent; otherwise false.
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
@@ -51,7 +70,7 @@ export class UserController {
    */
   register = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const user = await this.service.register(req.body);
       res.status(201).json(user);
     } catch (e) {
@@ -60,7 +79,7 @@ export class UserController {
   };
 
   /**
-   * Authenticates a user and returns a token.
+   * Authenticates a user and returns an access token and a refresh token.
    *
    * @async
    * @method login
@@ -77,34 +96,321 @@ export class UserController {
    */
   login = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
-      const token = await this.service.login(req.body.email, req.body.password);
-      res.status(200).json(token);
+      this._validate(req);
+      const session = await this.service.login(
+        req.body.email,
+        req.body.password,
+        req.get("user-agent"),
+        req.ip
+      );
+      res.status(200).json(session);
     } catch (e) {
       next(e);
     }
   };
 
   /**
-   * Lists all badges associated with the authenticated user.
+   * Verifies an email address with the token from the verification link.
    *
    * @async
-   * @method list
+   * @method verifyEmail
+   * @param {import('express').Request} req - Body should contain token.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/verify-email
+   * { "token": "Zk3p..." }
+   */
+  verifyEmail = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const user = await this.service.verifyEmail(req.body.token);
+      res.status(200).json(user);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Emails a new verification link. Always answers 202, whether or not the
+   * address belongs to an unverified account.
+   *
+   * @async
+   * @method resendVerification
+   * @param {import('express').Request} req - Body should contain email.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/verify-email/resend
+   * { "email": "jane@example.com" }
+   */
+  resendVerification = async (req, res, next) => {
+    try {
+      this._validate(req);
+      await this.service.resendVerification(req.body.email);
+      res.status(202).json({
+        message: "If that address needs verifying, a new link is on its way.",
+      });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Emails a password reset link. Always answers 202, whether or not the
+   * address has an account.
+   *
+   * @async
+   * @method forgotPassword
+   * @param {import('express').Request} req - Body should contain email.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/forgot-password
+   * { "email": "jane@example.com" }
+   */
+  forgotPassword = async (req, res, next) => {
+    try {
+      this._validate(req);
+      await this.service.forgotPassword(req.body.email);
+      res.status(202).json({
+        message: "If an account exists for that address, a reset link is on its way.",
+      });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Sets a new password with the token from a password reset link.
+   *
+   * @async
+   * @method resetPassword
+   * @param {import('express').Request} req - Body should contain token and password.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/reset-password
+   * { "token": "Zk3p...", "password": "newSecret123" }
+   */
+  resetPassword = async (req, res, next) => {
+    try {
+      this._validate(req);
+      await this.service.resetPassword(req.body.token, req.body.password);
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Exchanges a refresh token for a new access token and refresh token.
+   *
+   * @async
+   * @method refresh
+   * @param {import('express').Request} req - Body should contain refresh_token.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/refresh
+   * { "refresh_token": "q1Vx..." }
+   */
+  refresh = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const tokens = await this.service.refresh(req.body.refresh_token);
+      res.status(200).json(tokens);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Logs out the current device by revoking the session of its refresh token.
+   *
+   * @async
+   * @method logout
+   * @param {import('express').Request} req - Body should contain refresh_token.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/logout
+   * { "refresh_token": "q1Vx..." }
+   */
+  logout = async (req, res, next) => {
+    try {
+      this._validate(req);
+      await this.service.logout(req.body.refresh_token);
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Logs out every device of the authenticated user.
+   *
+   * @async
+   * @method logoutAll
    * @param {import('express').Request} req - Expects authenticated user (req.user.id).
    * @param {import('express').Response} res
    * @param {Function} next
    * @returns {Promise<void>}
    * @example
-   * GET /users/badges
+   * POST /users/logout-all
    */
-  list = async (req, res, next) => {
+  logoutAll = async (req, res, next) => {
+    try {
+      const result = await this.service.logoutAll(req.user.id);
+      res.status(200).json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Retrieves the authenticated user's own account, with the permissions
+   * their role grants so the client can show the screens they may use.
+   *
+   * @async
+   * @method me
+   * @param {import('express').Request} req - Expects authenticated user (req.user.id).
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /users/me
+   */
+  me = async (req, res, next) => {
+    try {
+      const user = await this.service.getProfile(req.user.id);
+      if (!user) throw new NotFoundError("User not found");
+      res.json({ ...user, permissions: await this.roleService.permissionsOf(user.role) });
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Updates the authenticated user's own profile (name only).
+   *
+   * @async
+   * @method updateMe
+   * @param {import('express').Request} req - Body should contain full_name.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /users/me
+   * { "full_name": "Jane Q. Doe" }
+   */
+  updateMe = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const user = await this.service.updateProfile(req.user.id, { full_name: req.body.full_name });
+      if (!user) throw new NotFoundError("User not found");
+      res.json(user);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Changes the authenticated user's password after checking the current one.
+   *
+   * @async
+   * @method changePassword
+   * @param {import('express').Request} req - Body should contain current_password and new_password.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * PUT /users/me/password
+   * { "current_password": "oldSecret", "new_password": "newSecret123" }
+   */
+  changePassword = async (req, res, next) => {
+    try {
+      this._validate(req);
+      await this.service.changePassword(
+        req.user.id,
+        req.user.sid,
+        req.body.current_password,
+        req.body.new_password
+      );
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Deletes the authenticated user's account after checking their password.
+   *
+   * @async
+   * @method deleteMe
+   * @param {import('express').Request} req - Body should contain password.
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * DELETE /users/me
+   * { "password": "secret123" }
+   */
+  deleteMe = async (req, res, next) => {
     try {
-      const userId = req.user?.id;
-      if (!userId) return res.status(401).json({ message: "Unauthorized" });
+      this._validate(req);
+      await this.service.deleteAccount(req.user.id, req.body.password);
+      res.status(204).send();
+    } catch (e) {
+      next(e);
+    }
+  };
 
-      // Assuming userBadgeService is available within the same context
-      const badges = await this.userBadgeService.listUserBadgesByUserId(userId);
-      res.json(badges);
+  /**
+   * Lifts a login lockout on a user's account.
+   *
+   * @async
+   * @method unlock
+   * @param {import('express').Request} req - Path parameter contains user ID; expects authenticated admin (req.user.id).
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * POST /users/4/unlock
+   */
+  unlock = async (req, res, next) => {
+    try {
+      this._validate(req);
+      const result = await this.service.unlockLogin(req.params.id, req.user.id);
+      if (!result) throw new NotFoundError("User not found");
+      res.json(result);
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /**
+   * Lists all users (admin or system use).
+   *
+   * @async
+   * @method list
+   * @param {import('express').Request} req
+   * @param {import('express').Response} res
+   * @param {Function} next
+   * @returns {Promise<void>}
+   * @example
+   * GET /users
+   */
+  list = async (req, res, next) => {
+    try {
+      const users = await this.service.listUsers();
+      res.status(200).json(users);
     } catch (e) {
       next(e);
     }
@@ -124,10 +430,10 @@ export class UserController {
    */
   get = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
 
       const user = await this.service.getUser(req.params.id);
-      if (!user) return res.status(404).json({ message: "User not found" });
+      if (!user) throw new NotFoundError("User not found");
       res.status(200).json(user);
     } catch (e) {
       next(e);
@@ -148,7 +454,8 @@ export class UserController {
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
+      await this._assertMayManage(req, req.body.role);
 
       const newUser = await this.service.createUser(req.body);
       res.status(201).json(newUser);
@@ -171,11 +478,15 @@ export class UserController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
+
+      const user = await this.service.getUser(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+      await this._assertMayManage(req, user.role);
+      await this._assertMayManage(req, req.body.role);
 
       const updatedUser = await this.service.updateUser(req.params.id, req.body);
-      if (!updatedUser)
-        return res.status(404).json({ message: "User not found" });
+      if (!updatedUser) throw new NotFoundError("User not found");
       res.status(200).json(updatedUser);
     } catch (e) {
       next(e);
@@ -196,10 +507,14 @@ export class UserController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
+
+      const user = await this.service.getUser(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+      await this._assertMayManage(req, user.role);
 
       const ok = await this.service.deleteUser(req.params.id);
-      if (!ok) return res.status(404).json({ message: "User not found" });
+      if (!ok) throw new NotFoundError("User not found");
       res.status(204).send();
     } catch (e) {
       next(e);
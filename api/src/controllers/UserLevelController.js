@@ -1,4 +1,5 @@
 import { validationResult } from "express-validator";
+import { NotFoundError, ValidationError } from "../utils/error.js";
 
 /**
  * Controller responsible for managing user level progress.
@@ -16,20 +17,17 @@ export class UserLevelController {
 
   /**
    * Validates the incoming request using express-validator.
-   * Sends 400 with validation error details if any are present.
+   * Throws a ValidationError listing the failed fields, which the error
+   * handler sends as a 400 response.
    *
    * @private
-   * @param {import('express').Request} req
-   * @param {import('express').Response} res
-   * @returns {boolean} true if validation failed and a response was sent, otherwise false
+   * @param {import('express').Request} req - The Express request object.
+   * @returns {void}
+   * @throws {ValidationError} If validation fails.
    */
-  _validate(req, res) {
+  _validate(req) {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      res.status(400).json({ errors: errors.array() });
-      return true;
-    }
-    return false;
+    if (!errors.isEmpty()) throw ValidationError.fromExpressValidator(errors.array());
   }
 
   /**
@@ -56,7 +54,7 @@ export class UserLevelController {
 
       if (user_id && level_id) {
         const row = await this.userLevelService.getUserLevel(user_id, level_id);
-        if (!row) return res.status(404).json({ message: "User level not found" });
+        if (!row) throw new NotFoundError("User level not found");
         return res.json(row);
       }
 
@@ -86,9 +84,9 @@ export class UserLevelController {
    */
   getById = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const level = await this.userLevelService.getById(req.params.id);
-      if (!level) return res.status(404).json({ message: "User level not found" });
+      if (!level) throw new NotFoundError("User level not found");
       res.json(level);
     } catch (e) {
       next(e);
@@ -109,7 +107,7 @@ export class UserLevelController {
    */
   listByUser = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const rows = await this.userLevelService.getUserLevels(req.params.user_id);
       res.json(rows);
     } catch (e) {
@@ -131,12 +129,12 @@ export class UserLevelController {
    */
   getByUserAndLevel = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const row = await this.userLevelService.getUserLevel(
         req.params.user_id,
         req.params.level_id
       );
-      if (!row) return res.status(404).json({ message: "User level not found" });
+      if (!row) throw new NotFoundError("User level not found");
       res.json(row);
     } catch (e) {
       next(e);
@@ -157,7 +155,7 @@ export class UserLevelController {
    */
   create = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const newLevel = await this.userLevelService.createUserLevel(req.body);
       res.status(201).json(newLevel);
     } catch (e) {
@@ -181,12 +179,12 @@ export class UserLevelController {
    */
   update = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const updatedLevel = await this.userLevelService.updateUserLevelStatus(
         req.params.id,
         req.body
       );
-      if (!updatedLevel) return res.status(404).json({ message: "User level not found" });
+      if (!updatedLevel) throw new NotFoundError("User level not found");
       res.status(200).json(updatedLevel);
     } catch (e) {
       next(e);
@@ -210,7 +208,7 @@ export class UserLevelController {
    */
   upsert = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const { user_id, level_id, unlocked = false, completed = false } = req.body || {};
       const row = await this.userLevelService.upsertUserLevelProgress({
         user_id,
@@ -238,9 +236,9 @@ export class UserLevelController {
    */
   delete = async (req, res, next) => {
     try {
-      if (this._validate(req, res)) return;
+      this._validate(req);
       const ok = await this.userLevelService.deleteUserLevel(req.params.id);
-      if (!ok) return res.status(404).json({ message: "User level not found" });
+      if (!ok) throw new NotFoundError("User level not found");
       res.status(204).send();
     } catch (e) {
       next(e);
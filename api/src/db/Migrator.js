@@ -0,0 +1,193 @@
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Migration file names: `<version>_<name>.up.sql` and `<version>_<name>.down.sql`.
+ */
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * A migration found on disk.
+ * @typedef {object} Migration
+ * @property {string} version - Zero-padded version, e.g. `0003`.
+ * @property {string} name - Name part of the file, e.g. `progress`.
+ * @property {string} up - Path of the script that applies it.
+ * @property {string} down - Path of the script that reverts it.
+ */
+
+/**
+ * Applies and reverts the versioned SQL migrations in `db/migrations`, and
+ * loads the seed data in `db/seeds`.
+ *
+ * Applied versions are recorded in the `schema_migrations` table. MySQL
+ * commits schema changes immediately, so a migration that fails halfway is
+ * not rolled back: fix the script, undo what it did by hand, and run it
+ * again. Seeds only contain data and run in one transaction.
+ *
+ * The connection must be opened with `multipleStatements: true`, since each
+ * script is sent as a whole.
+ *
+ * @class Migrator
+ * @example
+ * const migrator = new Migrator(conn, { migrationsDir, seedsDir });
+ * await migrator.migrate();
+ */
+export class Migrator {
+  /**
+   * @param {import("mysql2/promise").Connection} conn - Connection opened with `multipleStatements: true`.
+   * @param {object} dirs
+   * @param {string} dirs.migrationsDir - Directory of the migration scripts.
+   * @param {string} dirs.seedsDir - Directory of the seed scripts.
+   */
+  constructor(conn, { migrationsDir, seedsDir }) {
+    this.conn = conn;
+    this.migrationsDir = migrationsDir;
+    this.seedsDir = seedsDir;
+  }
+
+  /**
+   * Create the table recording applied migrations.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureTable() {
+    await this.conn.query(
+      `CREATE TABLE IF NOT EXISTS schema_migrations (
+         version    VARCHAR(32)  NOT NULL,
+         name       VARCHAR(255) NOT NULL,
+         applied_at DATETIME     NOT NULL DEFAULT CURRENT_TIMESTAMP,
+         PRIMARY KEY (version)
+       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;`
+    );
+  }
+
+  /**
+   * Read the migrations on disk, oldest first.
+   * @private
+   * @returns {Promise<Migration[]>}
+   * @throws {Error} If a version lacks its up or down script.
+   */
+  async _migrations() {
+    const byVersion = new Map();
+    for (const file of await readdir(this.migrationsDir)) {
+      const match = MIGRATION_FILE.exec(file);
+      if (!match) continue;
+      const [, version, name, direction] = match;
+      const entry = byVersion.get(version) ?? { version, name };
+      entry[direction] = path.join(this.migrationsDir, file);
+      byVersion.set(version, entry);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) =>
+      a.version.localeCompare(b.version, undefined, { numeric: true })
+    );
+    for (const m of migrations) {
+      if (!m.up || !m.down) {
+        throw new Error(`Migration ${m.version}_${m.name} needs both an .up.sql and a .down.sql script`);
+      }
+    }
+    return migrations;
+  }
+
+  /**
+   * Versions already applied, mapped to when they were applied.
+   * @private
+   * @returns {Promise<Map<string, Date>>}
+   */
+  async _applied() {
+    await this._ensureTable();
+    const [rows] = await this.conn.query(
+      `SELECT version, applied_at FROM schema_migrations ORDER BY version ASC;`
+    );
+    return new Map(rows.map((r) => [r.version, r.applied_at]));
+  }
+
+  /**
+   * List every migration and whether it has been applied.
+   * @returns {Promise<Array<{version: string, name: string, applied_at: Date|null}>>}
+   */
+  async status() {
+    const applied = await this._applied();
+    return (await this._migrations()).map(({ version, name }) => ({
+      version,
+      name,
+      applied_at: applied.get(version) ?? null,
+    }));
+  }
+
+  /**
+   * Apply every pending migration, oldest first.
+   * @returns {Promise<Migration[]>} The migrations applied.
+   */
+  async migrate() {
+    const applied = await this._applied();
+    const pending = (await this._migrations()).filter((m) => !applied.has(m.version));
+
+    for (const m of pending) {
+      await this.conn.query(await readFile(m.up, "utf8"));
+      await this.conn.query(
+        `INSERT INTO schema_migrations (version, name) VALUES (?, ?);`,
+        [m.version, m.name]
+      );
+    }
+    return pending;
+  }
+
+  /**
+   * Revert the most recently applied migrations, newest first.
+   * @param {number} [steps=1] - How many migrations to revert; `Infinity` reverts all.
+   * @returns {Promise<Migration[]>} The migrations reverted.
+   * @throws {Error} If an applied version has no script on disk.
+   */
+  async rollback(steps = 1) {
+    const applied = await this._applied();
+    const migrations = new Map((await this._migrations()).map((m) => [m.version, m]));
+    const toRevert = [...applied.keys()]
+      .sort((a, b) => b.localeCompare(a, undefined, { numeric: true }))
+      .slice(0, steps);
+
+    const reverted = [];
+    for (const version of toRevert) {
+      const m = migrations.get(version);
+      if (!m) throw new Error(`Applied migration ${version} has no scripts in ${this.migrationsDir}`);
+      await this.conn.query(await readFile(m.down, "utf8"));
+      await this.conn.query(`DELETE FROM schema_migrations WHERE version = ?;`, [version]);
+      reverted.push(m);
+    }
+    return reverted;
+  }
+
+  /**
+   * Load the seed scripts, in file name order, unless the database already
+   * has levels.
+   * @returns {Promise<string[]>} The seed files run; empty when skipped.
+   */
+  async seed() {
+    const [[{ count }]] = await this.conn.query(`SELECT COUNT(*) AS count FROM levels;`);
+    if (Number(count) > 0) return [];
+
+    const files = (await readdir(this.seedsDir)).filter((f) => f.endsWith(".sql")).sort();
+    await this.conn.beginTransaction();
+    try {
+      for (const file of files) {
+        await this.conn.query(await readFile(path.join(this.seedsDir, file), "utf8"));
+      }
+      await this.conn.commit();
+    } catch (error) {
+      await this.conn.rollback();
+      throw error;
+    }
+    return files;
+  }
+
+  /**
+   * Revert every migration, apply them all again and load the seeds.
+   * @returns {Promise<{reverted: Migration[], applied: Migration[], seeded: string[]}>}
+   */
+  async reset() {
+    const reverted = await this.rollback(Infinity);
+    const applied = await this.migrate();
+    const seeded = await this.seed();
+    return { reverted, applied, seeded };
+  }
+}
@@ -0,0 +1,92 @@
+import mysql from "mysql2/promise";
+import path from "path";
+import { fileURLToPath } from "url";
+import { dbConfig } from "../config/db.js";
+import { Migrator } from "./Migrator.js";
+
+/**
+ * 🗄️ Database command line
+ *
+ * Runs the migrations and seeds against the database configured in `.env`.
+ *
+ * ```
+ * npm run db:migrate         # apply pending migrations
+ * npm run db:rollback [n]    # revert the last n migrations (default 1)
+ * npm run db:seed            # load the seed data into an empty database
+ * npm run db:reset           # revert everything, migrate and seed
+ * npm run db:status          # list migrations and when they were applied
+ * ```
+ *
+ * `db:reset` drops every table, so it refuses to run when
+ * `NODE_ENV=production` unless `--force` is passed.
+ *
+ * @module db/cli
+ */
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../db");
+const [command = "status", ...args] = process.argv.slice(2);
+
+/**
+ * @param {Array<{version: string, name: string}>} migrations
+ * @param {string} verb
+ */
+const report = (migrations, verb) => {
+  if (!migrations.length) console.log(`Nothing to ${verb}.`);
+  for (const m of migrations) console.log(`${verb}: ${m.version}_${m.name}`);
+};
+
+const commands = {
+  async migrate(migrator) {
+    report(await migrator.migrate(), "migrate");
+  },
+
+  async rollback(migrator) {
+    const steps = args[0] === "all" ? Infinity : Number(args[0] ?? 1);
+    if (!(steps > 0)) throw new Error(`Invalid number of migrations to roll back: ${args[0]}`);
+    report(await migrator.rollback(steps), "roll back");
+  },
+
+  async seed(migrator) {
+    const files = await migrator.seed();
+    if (!files.length) console.log("Database already has levels; seeds skipped (use db:reset for a fresh copy).");
+    for (const f of files) console.log(`seed: ${f}`);
+  },
+
+  async reset(migrator) {
+    if (process.env.NODE_ENV === "production" && !args.includes("--force")) {
+      throw new Error("Refusing to reset a production database without --force");
+    }
+    const { reverted, applied, seeded } = await migrator.reset();
+    report(reverted, "roll back");
+    report(applied, "migrate");
+    for (const f of seeded) console.log(`seed: ${f}`);
+  },
+
+  async status(migrator) {
+    for (const m of await migrator.status()) {
+      const when = m.applied_at ? new Date(m.applied_at).toISOString() : "pending";
+      console.log(`${m.version}_${m.name}  ${when}`);
+    }
+  },
+};
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(", ")}`);
+  process.exit(1);
+}
+
+let conn;
+try {
+  conn = await mysql.createConnection({ ...dbConfig, multipleStatements: true });
+  await commands[command](
+    new Migrator(conn, {
+      migrationsDir: path.join(root, "migrations"),
+      seedsDir: path.join(root, "seeds"),
+    })
+  );
+} catch (error) {
+  console.error(`❌ db:${command} failed:`, error.message);
+  process.exitCode = 1;
+} finally {
+  await conn?.end();
+}
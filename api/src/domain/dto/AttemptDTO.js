@@ -10,13 +10,15 @@ export default class AttemptDTO {
    * @param {number} params.attempt_id - Unique identifier of the attempt.
    * @param {number} params.user_id - ID of the user who made the attempt.
    * @param {number} params.scenario_id - ID of the related scenario.
+   * @param {number|null} params.scenario_version - Version of the scenario that was played.
    * @param {number} params.score - Score achieved in the attempt.
    * @param {string|Date} params.completed_at - Timestamp when the attempt was completed.
    */
-  constructor({ attempt_id, user_id, scenario_id, score, completed_at }) {
+  constructor({ attempt_id, user_id, scenario_id, scenario_version = null, score, completed_at }) {
     this.attempt_id = attempt_id;
     this.user_id = user_id;
     this.scenario_id = scenario_id;
+    this.scenario_version = scenario_version;
     this.score = score;
     this.completed_at = completed_at;
   }
@@ -0,0 +1,39 @@
+/**
+ * Data Transfer Object (DTO) representing an admin audit log entry.
+ *
+ * Returned by the audit log endpoint so admins can review overrides of
+ * learner progress, badge awards and attempts.
+ */
+export default class AuditLogDTO {
+  /**
+   * @param {object} params - Audit entry properties.
+   * @param {number} params.audit_id - Unique identifier of the entry.
+   * @param {number} params.actor_id - ID of the admin who performed the action.
+   * @param {string} params.action - Action name (e.g. `user_badge.create`).
+   * @param {string|null} params.target_id - ID of the record acted on, when known.
+   * @param {object|null} params.details - Route params, request body and response status.
+   * @param {string|Date} params.created_at - When the action was performed.
+   */
+  constructor({ audit_id, actor_id, action, target_id, details, created_at }) {
+    this.audit_id = audit_id;
+    this.actor_id = actor_id;
+    this.action = action;
+    this.target_id = target_id;
+    this.details = details;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Creates an `AuditLogDTO` instance from an entity.
+   *
+   * @static
+   * @method fromEntity
+   * @param {object} entity - The audit log entity.
+   * @returns {AuditLogDTO} A new `AuditLogDTO` instance.
+   * @example
+   * const dto = AuditLogDTO.fromEntity(entry);
+   */
+  static fromEntity(entity) {
+    return new AuditLogDTO(entity);
+  }
+}
@@ -1,37 +1,51 @@
 /**
- * Data Transfer Object (DTO) representing a badge record.
+ * Data Transfer Object (DTO) representing a level record.
  *
- * Used to transfer badge data between layers of the application,
- * ensuring a consistent structure for responses and logic handling.
+ * Used to transfer level data between layers of the application,
+ * including the rules that decide when the level is completed and unlocked.
  */
-export default class BadgeDTO {
+export default class LevelDTO {
   /**
-   * @param {object} params - Badge properties.
-   * @param {number} params.badge_id - Unique identifier of the badge.
-   * @param {string} params.name - Name of the badge.
-   * @param {string} params.description - Description of the badge.
-   * @param {number} params.level_id - Associated level ID for which this badge applies.
-   * @param {string} [params.icon_url] - Optional URL for the badge icon.
+   * @param {object} params - Level properties.
+   * @param {number} params.level_id - Unique identifier of the level.
+   * @param {string|null} params.slug - Stable key of the level.
+   * @param {string} params.title - Title of the level.
+   * @param {string} [params.description] - Description of the level.
+   * @param {number} params.difficulty_order - Position of the level in the learning path.
+   * @param {number} params.pass_threshold - Minimum score a scenario needs to count as passed.
+   * @param {number[]} params.prerequisites - IDs of levels that must be completed first.
+   * @param {object|null} params.completion_rule - Rule deciding when the level is completed.
    */
-  constructor({ badge_id, name, description, level_id, icon_url }) {
-    this.badge_id = badge_id;
-    this.name = name;
-    this.description = description;
+  constructor({
+    level_id,
+    slug,
+    title,
+    description,
+    difficulty_order,
+    pass_threshold,
+    prerequisites,
+    completion_rule,
+  }) {
     this.level_id = level_id;
-    this.icon_url = icon_url;
+    this.slug = slug;
+    this.title = title;
+    this.description = description;
+    this.difficulty_order = difficulty_order;
+    this.pass_threshold = pass_threshold;
+    this.prerequisites = prerequisites;
+    this.completion_rule = completion_rule;
   }
 
   /**
-   * Creates a BadgeDTO instance from a plain entity object.
-   *
+   * Creates a LevelDTO instance from a plain entity object.
    * @static
    * @method fromEntity
-   * @param {object} entity - The badge entity object.
-   * @returns {BadgeDTO} A new BadgeDTO instance.
+   * @param {object} entity - The level entity object.
+   * @returns {LevelDTO} A new LevelDTO instance.
    * @example
-   * const dto = BadgeDTO.fromEntity(dbRecord);
+   * const dto = LevelDTO.fromEntity(dbRecord);
    */
   static fromEntity(entity) {
-    return new BadgeDTO(entity);
+    return new LevelDTO(entity);
   }
 }
@@ -0,0 +1,30 @@
+/**
+ * Data Transfer Object (DTO) representing a role and its permissions.
+ */
+export default class RoleDTO {
+  /**
+   * @param {object} params - Role properties.
+   * @param {string} params.role - Role key.
+   * @param {string|null} params.description - Human-readable description.
+   * @param {string[]} params.permissions - Permissions granted to the role.
+   */
+  constructor({ role, description, permissions }) {
+    this.role = role;
+    this.description = description;
+    this.permissions = permissions;
+  }
+
+  /**
+   * Creates a `RoleDTO` instance from a role entity.
+   *
+   * @static
+   * @method fromEntity
+   * @param {object} entity - The role entity.
+   * @returns {RoleDTO} A new `RoleDTO` instance.
+   * @example
+   * const dto = RoleDTO.fromEntity(role);
+   */
+  static fromEntity(entity) {
+    return new RoleDTO(entity);
+  }
+}
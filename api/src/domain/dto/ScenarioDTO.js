@@ -9,16 +9,22 @@ export default class ScenarioDTO {
    * @param {object} params - Scenario properties.
    * @param {number} params.scenario_id - Unique identifier of the scenario.
    * @param {number} params.level_id - Identifier of the level this scenario belongs to.
+   * @param {string|null} params.slug - Stable key of the scenario within its level.
    * @param {string} params.title - Title of the scenario.
    * @param {string} [params.description] - Detailed description of the scenario.
    * @param {string} [params.image_url] - Optional image URL representing the scenario.
+   * @param {string} params.status - Workflow status: `draft`, `review` or `published`.
+   * @param {number|null} params.published_version - Version learners play.
    */
-  constructor({ scenario_id, level_id, title, description, image_url }) {
+  constructor({ scenario_id, level_id, slug, title, description, image_url, status, published_version }) {
     this.scenario_id = scenario_id;
     this.level_id = level_id;
+    this.slug = slug;
     this.title = title;
     this.description = description;
     this.image_url = image_url;
+    this.status = status;
+    this.published_version = published_version;
   }
 
   /**
@@ -34,4 +40,26 @@ export default class ScenarioDTO {
   static fromEntity(entity) {
     return new ScenarioDTO(entity);
   }
+
+  /**
+   * The scenario as learners see it: the title, description and image of
+   * the version they play, and that version's number under `version`.
+   *
+   * @static
+   * @method fromVersion
+   * @param {object} entity - The scenario entity.
+   * @param {import("../entities/ScenarioVersionEntity.js").default} version - Its published version.
+   * @returns {{scenario_id: number, level_id: number, slug: string, title: string, description: string, image_url: string, version: number}}
+   */
+  static fromVersion(entity, version) {
+    return {
+      scenario_id: entity.scenario_id,
+      level_id: entity.level_id,
+      slug: entity.slug,
+      title: version.title,
+      description: version.description,
+      image_url: version.image_url,
+      version: version.version,
+    };
+  }
 }
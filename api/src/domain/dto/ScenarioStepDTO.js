@@ -1,8 +1,10 @@
+import { publicOptions } from "../../utils/questionTypes.js";
+
 /**
  * Data Transfer Object (DTO) representing a single step within a scenario.
  *
- * Each step includes a question, multiple-choice options, the correct action,
- * and an optional feedback message. Used to structure step data between
+ * Each step includes a question type, a question, its options, the correct
+ * answer, and an optional feedback message. Used to structure step data between
  * the database layer, services, and controllers.
  */
 export default class ScenarioStepDTO {
@@ -10,27 +12,39 @@ export default class ScenarioStepDTO {
    * @param {object} params - Step properties.
    * @param {number} params.step_id - Unique identifier for the step.
    * @param {number} params.scenario_id - ID of the scenario this step belongs to.
+   * @param {string|null} params.slug - Stable key of the step within its scenario.
    * @param {number} params.step_order - Step sequence order within the scenario.
    * @param {string} params.question_text - Text of the question or prompt for this step.
-   * @param {object} params.options - Object containing the multiple-choice options (A–D).
-   * @param {string} params.correct_action - The correct answer/action for the step.
+   * @param {string} params.type - Question type (see `utils/questionTypes.js`).
+   * @param {object|null} params.options - Options for the step; their shape depends on `type`.
+   * @param {*} params.answer - The correct answer; its shape depends on `type`.
+   * @param {string|null} params.correct_action - The correct option key of a multiple-choice step.
+   * @param {Object<string, number|string>|null} params.branches - Next step per option or outcome, if the step branches.
    * @param {string} [params.feedback_message] - Optional feedback shown after answering.
    */
   constructor({
     step_id,
     scenario_id,
+    slug,
     step_order,
     question_text,
+    type,
     options,
+    answer,
     correct_action,
+    branches,
     feedback_message,
   }) {
     this.step_id = step_id;
     this.scenario_id = scenario_id;
+    this.slug = slug;
     this.step_order = step_order;
     this.question_text = question_text;
+    this.type = type;
     this.options = options;
+    this.answer = answer;
     this.correct_action = correct_action;
+    this.branches = branches;
     this.feedback_message = feedback_message;
   }
 
@@ -48,11 +62,38 @@ export default class ScenarioStepDTO {
     return new ScenarioStepDTO({
       step_id: entity.step_id,
       scenario_id: entity.scenario_id,
+      slug: entity.slug,
       step_order: entity.step_order,
       question_text: entity.question_text,
+      type: entity.type,
       options: entity.options,
+      answer: entity.answer,
       correct_action: entity.correct_action,
+      branches: entity.branches,
       feedback_message: entity.feedback_message,
     });
   }
+
+  /**
+   * Returns a learner-safe copy of a step, without the correct answer
+   * the feedback text (which often gives the answer away) or the branches.
+   * Ordering items come back shuffled.
+   *
+   * @static
+   * @method toPublic
+   * @param {ScenarioStepDTO|object} step - A step DTO or entity.
+   * @returns {{step_id:number, scenario_id:number, step_order:number, question_text:string, type:string, options:object}}
+   * @example
+   * res.json(steps.map(ScenarioStepDTO.toPublic));
+   */
+  static toPublic(step) {
+    return {
+      step_id: step.step_id,
+      scenario_id: step.scenario_id,
+      step_order: step.step_order,
+      question_text: step.question_text,
+      type: step.type,
+      options: publicOptions(step),
+    };
+  }
 }
@@ -0,0 +1,64 @@
+import ScenarioStepDTO from "./ScenarioStepDTO.js";
+
+/**
+ * Data Transfer Object (DTO) representing a published version of a scenario.
+ *
+ * Versions are only shown to content staff; they hold the correct answers.
+ */
+export default class ScenarioVersionDTO {
+  /**
+   * @param {object} params - Scenario version properties.
+   * @param {number} params.scenario_id - ID of the versioned scenario.
+   * @param {number} params.version - Version number.
+   * @param {string} params.title - Scenario title.
+   * @param {string|null} params.description - Scenario description.
+   * @param {string|null} params.image_url - Scenario image URL.
+   * @param {object[]} params.steps - The steps as published.
+   * @param {string|null} params.note - Publisher's note.
+   * @param {number|null} params.published_by - ID of the publisher.
+   * @param {string|Date} params.published_at - When the version was published.
+   */
+  constructor({ scenario_id, version, title, description, image_url, steps, note, published_by, published_at }) {
+    this.scenario_id = scenario_id;
+    this.version = version;
+    this.title = title;
+    this.description = description;
+    this.image_url = image_url;
+    this.steps = steps.map((step) => new ScenarioStepDTO(step));
+    this.note = note;
+    this.published_by = published_by;
+    this.published_at = published_at;
+  }
+
+  /**
+   * Creates a `ScenarioVersionDTO` instance from a version entity.
+   *
+   * @static
+   * @method fromEntity
+   * @param {import("../entities/ScenarioVersionEntity.js").default} entity
+   * @returns {ScenarioVersionDTO}
+   */
+  static fromEntity(entity) {
+    return new ScenarioVersionDTO(entity);
+  }
+
+  /**
+   * A version without its steps, for history lists.
+   *
+   * @static
+   * @method toSummary
+   * @param {import("../entities/ScenarioVersionEntity.js").default} entity
+   * @returns {{scenario_id: number, version: number, title: string, step_count: number, note: string|null, published_by: number|null, published_at: string|Date}}
+   */
+  static toSummary(entity) {
+    return {
+      scenario_id: entity.scenario_id,
+      version: entity.version,
+      title: entity.title,
+      step_count: entity.steps.length,
+      note: entity.note,
+      published_by: entity.published_by,
+      published_at: entity.published_at,
+    };
+  }
+}
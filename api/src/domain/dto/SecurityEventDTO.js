@@ -0,0 +1,41 @@
+/**
+ * Data Transfer Object (DTO) representing a security event.
+ *
+ * Returned by the security event endpoint so admins can see which accounts
+ * and addresses were locked out, and who unlocked them.
+ */
+export default class SecurityEventDTO {
+  /**
+   * @param {object} params - Security event properties.
+   * @param {number} params.event_id - Unique identifier of the event.
+   * @param {string} params.type - Event type (e.g. `login.lockout`).
+   * @param {string|null} params.email - Account email, if any.
+   * @param {string|null} params.ip - Client IP address, if any.
+   * @param {number|null} params.actor_id - Admin who caused the event, if any.
+   * @param {object|null} params.details - Extra details.
+   * @param {string|Date} params.created_at - When the event happened.
+   */
+  constructor({ event_id, type, email, ip, actor_id, details, created_at }) {
+    this.event_id = event_id;
+    this.type = type;
+    this.email = email;
+    this.ip = ip;
+    this.actor_id = actor_id;
+    this.details = details;
+    this.created_at = created_at;
+  }
+
+  /**
+   * Creates a `SecurityEventDTO` instance from an entity.
+   *
+   * @static
+   * @method fromEntity
+   * @param {object} entity - The security event entity.
+   * @returns {SecurityEventDTO} A new `SecurityEventDTO` instance.
+   * @example
+   * const dto = SecurityEventDTO.fromEntity(event);
+   */
+  static fromEntity(entity) {
+    return new SecurityEventDTO(entity);
+  }
+}
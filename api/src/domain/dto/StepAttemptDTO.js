@@ -12,13 +12,25 @@ export default class StepAttemptDTO {
    * @param {number} params.step_id - Identifier of the related scenario step.
    * @param {string} params.user_action - The user’s selected answer/action.
    * @param {boolean} params.is_correct - Indicates whether the user’s action was correct.
+   * @param {number|null} [params.time_taken_ms] - Time spent on the step, in milliseconds.
+   * @param {string|Date} [params.answered_at] - Timestamp when the answer was recorded.
    */
-  constructor({ step_attempt_id, attempt_id, step_id, user_action, is_correct }) {
+  constructor({
+    step_attempt_id,
+    attempt_id,
+    step_id,
+    user_action,
+    is_correct,
+    time_taken_ms,
+    answered_at,
+  }) {
     this.step_attempt_id = step_attempt_id;
     this.attempt_id = attempt_id;
     this.step_id = step_id;
     this.user_action = user_action;
     this.is_correct = is_correct;
+    this.time_taken_ms = time_taken_ms ?? null;
+    this.answered_at = answered_at;
   }
 
   /**
@@ -11,9 +11,10 @@ export default class UserDTO {
    * @param {string} params.full_name - Full name of the user.
    * @param {string} params.email - Email address of the user.
    * @param {string} params.role - User role (e.g., "admin", "student", "instructor").
+   * @param {string|Date|null} [params.email_verified_at] - When the email address was confirmed.
    * @param {string|Date} params.created_at - Timestamp when the user was created.
    */
-  constructor({ user_id, full_name, email, role, created_at }) {
+  constructor({ user_id, full_name, email, role, email_verified_at, created_at }) {
     /**
      * Unique identifier for the user.
      * @type {number}
@@ -38,6 +39,12 @@ export default class UserDTO {
      */
     this.role = role;
 
+    /**
+     * Whether the user has confirmed their email address.
+     * @type {boolean}
+     */
+    this.email_verified = Boolean(email_verified_at);
+
     /**
      * The date and time the user record was created.
      * @type {string|Date}
@@ -58,7 +65,7 @@ export default class UserDTO {
   static fromEntity(entity) {
     if (!entity) return null;
 
-    const { user_id, full_name, email, role, created_at } = entity;
-    return new UserDTO({ user_id, full_name, email, role, created_at });
+    const { user_id, full_name, email, role, email_verified_at, created_at } = entity;
+    return new UserDTO({ user_id, full_name, email, role, email_verified_at, created_at });
   }
 }
@@ -10,10 +10,11 @@ export default class AttemptEntity {
    * @param {number} params.attempt_id - Unique identifier of the attempt record.
    * @param {number} params.user_id - ID of the user who made the attempt.
    * @param {number} params.scenario_id - ID of the scenario associated with this attempt.
+   * @param {number|null} [params.scenario_version] - Version of the scenario that was played.
    * @param {number} params.score - The score obtained for this attempt.
    * @param {string|Date} params.completed_at - Timestamp when the attempt was completed.
    */
-  constructor({ attempt_id, user_id, scenario_id, score, completed_at }) {
+  constructor({ attempt_id, user_id, scenario_id, scenario_version = null, score, completed_at }) {
     /**
      * Unique ID of the attempt record.
      * @type {number}
@@ -32,6 +33,13 @@ export default class AttemptEntity {
      */
     this.scenario_id = scenario_id;
 
+    /**
+     * Version of the scenario the attempt was played against; null for
+     * attempts recorded before scenarios were versioned.
+     * @type {number|null}
+     */
+    this.scenario_version = scenario_version;
+
     /**
      * Score earned by the user for this attempt.
      * @type {number}
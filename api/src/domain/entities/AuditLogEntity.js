@@ -0,0 +1,54 @@
+/**
+ * Entity class representing one entry of the admin audit log.
+ *
+ * Every admin override of learner data (progress, awards, attempts) leaves
+ * an entry recording who did what to which record.
+ */
+export default class AuditLogEntity {
+  /**
+   * @param {object} params - Audit entry properties.
+   * @param {number} params.audit_id - Unique identifier of the entry.
+   * @param {number} params.actor_id - ID of the admin who performed the action.
+   * @param {string} params.action - Action name (e.g. `user_level.update`).
+   * @param {string|null} [params.target_id] - ID of the record acted on, when known.
+   * @param {string|object|null} [params.details] - JSON details (route params, request body, response status).
+   * @param {string|Date} params.created_at - When the action was performed.
+   */
+  constructor({ audit_id, actor_id, action, target_id, details, created_at }) {
+    /**
+     * Unique ID of the entry.
+     * @type {number}
+     */
+    this.audit_id = audit_id;
+
+    /**
+     * ID of the admin who performed the action.
+     * @type {number}
+     */
+    this.actor_id = actor_id;
+
+    /**
+     * Action name, `<resource>.<verb>`.
+     * @type {string}
+     */
+    this.action = action;
+
+    /**
+     * ID of the record acted on, when known.
+     * @type {string|null}
+     */
+    this.target_id = target_id ?? null;
+
+    /**
+     * Request details: route params, request body and response status.
+     * @type {object|null}
+     */
+    this.details = typeof details === "string" ? JSON.parse(details) : details ?? null;
+
+    /**
+     * When the action was performed.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Entity class representing a login session (one signed-in device or browser).
+ * Access tokens name their session, and every refresh token belongs to one,
+ * so revoking a session logs that device out everywhere at once.
+ */
+export default class AuthSessionEntity {
+  /**
+   * @param {object} params - Session properties.
+   * @param {string} params.session_id - Unique identifier (UUID) of the session.
+   * @param {number} params.user_id - ID of the signed-in user.
+   * @param {string|null} [params.user_agent] - User agent that opened the session.
+   * @param {string|Date} params.created_at - When the user signed in.
+   * @param {string|Date|null} [params.last_used_at] - When a refresh token of the session was last used.
+   * @param {string|Date|null} [params.revoked_at] - When the session was revoked (null while active).
+   */
+  constructor({
+    session_id,
+    user_id,
+    user_agent,
+    created_at,
+    last_used_at,
+    revoked_at,
+  }) {
+    /**
+     * Unique session ID (UUID).
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * ID of the signed-in user.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * User agent that opened the session.
+     * @type {string|null}
+     */
+    this.user_agent = user_agent ?? null;
+
+    /**
+     * When the user signed in.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+
+    /**
+     * When the session last refreshed its tokens.
+     * @type {string|Date|null}
+     */
+    this.last_used_at = last_used_at ?? null;
+
+    /**
+     * When the session was revoked; null while it is active.
+     * @type {Date|null}
+     */
+    this.revoked_at = revoked_at ? new Date(revoked_at) : null;
+  }
+}
@@ -8,17 +8,36 @@ export default class LevelEntity {
   /**
    * @param {object} params - Level entity properties.
    * @param {number} params.level_id - Unique identifier for the level.
+   * @param {string|null} [params.slug] - Stable key of the level, used by content packs.
    * @param {string} params.title - Title or name of the level.
    * @param {string} [params.description] - Optional description of the level’s purpose or theme.
    * @param {number} params.difficulty_order - Numeric order indicating the difficulty or sequence of the level.
+   * @param {number} [params.pass_threshold=100] - Minimum score (0–100) a scenario needs to count as passed.
+   * @param {number[]} [params.prerequisites] - IDs of levels that must be completed before this one unlocks.
+   * @param {object|string|null} [params.completion_rule] - Rule deciding when the level is completed (JSON).
    */
-  constructor({ level_id, title, description, difficulty_order }) {
+  constructor({
+    level_id,
+    slug = null,
+    title,
+    description,
+    difficulty_order,
+    pass_threshold = 100,
+    prerequisites = [],
+    completion_rule = null,
+  }) {
     /**
      * Unique ID of the level.
      * @type {number}
      */
     this.level_id = level_id;
 
+    /**
+     * Stable key of the level (e.g. `basics`), the same in every environment.
+     * @type {string|null}
+     */
+    this.slug = slug;
+
     /**
      * Title or name of the level.
      * @type {string}
@@ -37,5 +56,26 @@ export default class LevelEntity {
      * @type {number}
      */
     this.difficulty_order = difficulty_order;
+
+    /**
+     * Minimum score (0–100) a scenario needs to count as passed for this level.
+     * @type {number}
+     */
+    this.pass_threshold = Number(pass_threshold);
+
+    /**
+     * IDs of levels that must be completed before this one unlocks.
+     * When empty, the level directly before it in `difficulty_order` is required.
+     * @type {number[]}
+     */
+    this.prerequisites = prerequisites.map(Number);
+
+    /**
+     * Rule deciding when the level is completed, e.g. `{ type: "average", min_score: 80 }`.
+     * Null means every scenario must reach `pass_threshold`.
+     * @type {{type:string, min_score?:number, count?:number}|null}
+     */
+    this.completion_rule =
+      typeof completion_rule === "string" ? JSON.parse(completion_rule) : completion_rule;
   }
 }
@@ -0,0 +1,46 @@
+/**
+ * Entity class representing a stored refresh token.
+ * Only the token's hash is kept; a token can be exchanged once, after which
+ * it is marked as used and replaced by a new one from the same session.
+ */
+export default class RefreshTokenEntity {
+  /**
+   * @param {object} params - Refresh token properties.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {string} params.session_id - ID of the login session the token belongs to.
+   * @param {string|Date} params.expires_at - When the token stops being accepted.
+   * @param {string|Date|null} [params.used_at] - When the token was exchanged (null if unused).
+   * @param {string|Date} [params.created_at] - When the token was issued.
+   */
+  constructor({ token_hash, session_id, expires_at, used_at, created_at }) {
+    /**
+     * SHA-256 hash of the token.
+     * @type {string}
+     */
+    this.token_hash = token_hash;
+
+    /**
+     * ID of the login session the token belongs to.
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * When the token stops being accepted.
+     * @type {Date}
+     */
+    this.expires_at = new Date(expires_at);
+
+    /**
+     * When the token was exchanged for a new one; null while unused.
+     * @type {Date|null}
+     */
+    this.used_at = used_at ? new Date(used_at) : null;
+
+    /**
+     * When the token was issued.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
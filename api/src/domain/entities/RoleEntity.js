@@ -0,0 +1,33 @@
+/**
+ * Entity class representing a role and the permissions it grants.
+ *
+ * Users carry one role (`users.role`); what that role may do is stored in
+ * `role_permissions` rather than hard-coded, so admins can adjust it.
+ */
+export default class RoleEntity {
+  /**
+   * @param {object} params - Role properties.
+   * @param {string} params.role - Role key (e.g. `instructor`).
+   * @param {string|null} [params.description] - Human-readable description.
+   * @param {string[]} [params.permissions] - Permissions granted to the role.
+   */
+  constructor({ role, description, permissions }) {
+    /**
+     * Role key, as stored in `users.role`.
+     * @type {string}
+     */
+    this.role = role;
+
+    /**
+     * Human-readable description of the role.
+     * @type {string|null}
+     */
+    this.description = description ?? null;
+
+    /**
+     * Permissions granted to the role, sorted.
+     * @type {string[]}
+     */
+    this.permissions = [...(permissions || [])].sort();
+  }
+}
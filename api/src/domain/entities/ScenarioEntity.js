@@ -9,11 +9,23 @@ export default class ScenarioEntity {
    * @param {object} params - Scenario entity properties.
    * @param {number} params.scenario_id - Unique identifier for the scenario.
    * @param {number} params.level_id - ID of the level this scenario belongs to.
+   * @param {string|null} [params.slug] - Stable key of the scenario within its level.
    * @param {string} params.title - Title or short name of the scenario.
    * @param {string} [params.description] - Optional detailed description of the scenario.
    * @param {string} [params.image_url] - Optional URL of an image representing the scenario.
+   * @param {string} [params.status] - Workflow status: `draft`, `review` or `published`.
+   * @param {number|null} [params.published_version] - Version learners play; null until first published.
    */
-  constructor({ scenario_id, level_id, title, description, image_url }) {
+  constructor({
+    scenario_id,
+    level_id,
+    slug = null,
+    title,
+    description,
+    image_url,
+    status = "draft",
+    published_version = null,
+  }) {
     /**
      * Unique ID of the scenario.
      * @type {number}
@@ -26,6 +38,12 @@ export default class ScenarioEntity {
      */
     this.level_id = level_id;
 
+    /**
+     * Stable key of the scenario, unique within its level.
+     * @type {string|null}
+     */
+    this.slug = slug;
+
     /**
      * The title or short name of the scenario.
      * @type {string}
@@ -43,5 +61,18 @@ export default class ScenarioEntity {
      * @type {string|undefined}
      */
     this.image_url = image_url;
+
+    /**
+     * Where the working copy stands: `draft` (changed since the last
+     * publish), `review` (waiting for a reviewer) or `published`.
+     * @type {string}
+     */
+    this.status = status;
+
+    /**
+     * Number of the version learners play, or null when none was written yet.
+     * @type {number|null}
+     */
+    this.published_version = published_version == null ? null : Number(published_version);
   }
 }
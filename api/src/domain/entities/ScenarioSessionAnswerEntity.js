@@ -0,0 +1,66 @@
+/**
+ * Entity class representing one answer given inside a scenario play session.
+ */
+export default class ScenarioSessionAnswerEntity {
+  /**
+   * @param {object} params - Answer properties.
+   * @param {string} params.session_id - ID of the session the answer belongs to.
+   * @param {number} params.step_id - ID of the answered step.
+   * @param {string|null} params.user_action - The option picked (null if the step timed out).
+   * @param {boolean|number} params.is_correct - Whether the answer was correct.
+   * @param {boolean|number} params.timed_out - Whether the server deadline had passed.
+   * @param {number} params.time_taken_ms - Time between serving the step and receiving the answer.
+   * @param {string|Date} [params.answered_at] - When the answer was recorded.
+   */
+  constructor({
+    session_id,
+    step_id,
+    user_action,
+    is_correct,
+    timed_out,
+    time_taken_ms,
+    answered_at,
+  }) {
+    /**
+     * ID of the session the answer belongs to.
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * ID of the answered step.
+     * @type {number}
+     */
+    this.step_id = step_id;
+
+    /**
+     * The option picked, or null when the step timed out.
+     * @type {string|null}
+     */
+    this.user_action = user_action;
+
+    /**
+     * Whether the answer was correct.
+     * @type {boolean}
+     */
+    this.is_correct = Boolean(is_correct);
+
+    /**
+     * Whether the server-side deadline had passed when the answer arrived.
+     * @type {boolean}
+     */
+    this.timed_out = Boolean(timed_out);
+
+    /**
+     * Time spent on the step, in milliseconds.
+     * @type {number}
+     */
+    this.time_taken_ms = time_taken_ms;
+
+    /**
+     * Date and time when the answer was recorded.
+     * @type {string|Date}
+     */
+    this.answered_at = answered_at;
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * Entity class representing a server-side play session of a scenario.
+ *
+ * A session tracks which step the user is currently on and when that step
+ * was served, so answer deadlines are enforced by the server instead of the client.
+ */
+export default class ScenarioSessionEntity {
+  /**
+   * @param {object} params - Session properties.
+   * @param {string} params.session_id - Unique identifier (UUID) of the session.
+   * @param {number} params.user_id - ID of the user playing the scenario.
+   * @param {number} params.scenario_id - ID of the scenario being played.
+   * @param {number|null} [params.scenario_version] - Version of the scenario being played.
+   * @param {string} params.status - Session state: `active`, `completed` or `abandoned`.
+   * @param {number} params.current_step_index - Number of steps answered so far.
+   * @param {number|null} params.current_step_id - ID of the step awaiting an answer (null once finished).
+   * @param {string|Date|null} params.step_started_at - When the current step was served (null until served).
+   * @param {number|null} [params.attempt_id] - Attempt recorded when the session completed.
+   * @param {string|Date} params.started_at - When the session was created.
+   * @param {string|Date|null} [params.finished_at] - When the last step was answered.
+   */
+  constructor({
+    session_id,
+    user_id,
+    scenario_id,
+    scenario_version = null,
+    status,
+    current_step_index,
+    current_step_id,
+    step_started_at,
+    attempt_id,
+    started_at,
+    finished_at,
+  }) {
+    /**
+     * Unique session ID (UUID).
+     * @type {string}
+     */
+    this.session_id = session_id;
+
+    /**
+     * ID of the user playing the scenario.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * ID of the scenario being played.
+     * @type {number}
+     */
+    this.scenario_id = scenario_id;
+
+    /**
+     * Version of the scenario being played. The run keeps to it even when a
+     * newer version is published meanwhile.
+     * @type {number|null}
+     */
+    this.scenario_version = scenario_version;
+
+    /**
+     * Session state (`active`, `completed` or `abandoned`).
+     * @type {string}
+     */
+    this.status = status;
+
+    /**
+     * Number of steps answered so far; with branching this is the position
+     * on the learner's path, not in `step_order`.
+     * @type {number}
+     */
+    this.current_step_index = Number(current_step_index);
+
+    /**
+     * ID of the step awaiting an answer; null once the run has finished.
+     * @type {number|null}
+     */
+    this.current_step_id = current_step_id ?? null;
+
+    /**
+     * When the current step was served; its deadline is measured from here.
+     * @type {Date|null}
+     */
+    this.step_started_at = step_started_at ? new Date(step_started_at) : null;
+
+    /**
+     * Attempt recorded when the session completed.
+     * @type {number|null}
+     */
+    this.attempt_id = attempt_id ?? null;
+
+    /**
+     * Date and time when the session was created.
+     * @type {string|Date}
+     */
+    this.started_at = started_at;
+
+    /**
+     * Date and time when the last step was answered.
+     * @type {string|Date|null}
+     */
+    this.finished_at = finished_at ?? null;
+  }
+}
@@ -1,33 +1,57 @@
+import { DEFAULT_QUESTION_TYPE } from "../../utils/questionTypes.js";
+
+/**
+ * JSON columns come back parsed from mysql2, but may be strings on other drivers.
+ * @param {*} value
+ * @returns {*}
+ */
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value ?? null;
+
 /**
  * Entity class representing a single step within a scenario in the database.
  *
  * Each scenario step corresponds to one interactive question or action point,
- * containing multiple-choice options, the correct answer, and feedback messaging.
+ * containing its question type, options, the correct answer, and feedback messaging.
+ *
+ * Multiple-choice steps keep their texts in the `option_a..option_d` and
+ * `correct_action` columns; every other type stores its options and answer
+ * as JSON in `options_json` and `answer_json` (see `utils/questionTypes.js`).
  */
 export default class ScenarioStepEntity {
   /**
    * @param {object} params - Scenario step entity properties.
    * @param {number} params.step_id - Unique identifier for the scenario step.
    * @param {number} params.scenario_id - ID of the scenario this step belongs to.
+   * @param {string|null} [params.slug] - Stable key of the step within its scenario.
    * @param {number} params.step_order - The sequential order of the step within the scenario.
    * @param {string} params.question_text - The main question or prompt displayed to the user.
-   * @param {string} params.option_a - Text for option A.
-   * @param {string} params.option_b - Text for option B.
-   * @param {string} params.option_c - Text for option C.
-   * @param {string} params.option_d - Text for option D.
-   * @param {string} params.correct_action - The correct option key ('A', 'B', 'C', or 'D').
+   * @param {string} [params.type] - Question type; defaults to 'multiple_choice'.
+   * @param {string|null} [params.option_a] - Text for option A (multiple choice).
+   * @param {string|null} [params.option_b] - Text for option B (multiple choice).
+   * @param {string|null} [params.option_c] - Text for option C (multiple choice).
+   * @param {string|null} [params.option_d] - Text for option D (multiple choice).
+   * @param {string|null} [params.correct_action] - The correct option key ('A', 'B', 'C', or 'D') of a multiple-choice step.
+   * @param {string|object|null} [params.options_json] - Options of other question types (JSON).
+   * @param {string|*|null} [params.answer_json] - Correct answer of other question types (JSON).
+   * @param {string|object|null} [params.branches_json] - Next step per option or outcome (JSON).
    * @param {string} [params.feedback_message] - Optional feedback message shown after answering.
    */
   constructor({
     step_id,
     scenario_id,
+    slug = null,
     step_order,
     question_text,
+    type,
     option_a,
     option_b,
     option_c,
     option_d,
     correct_action,
+    options_json,
+    answer_json,
+    branches_json,
     feedback_message,
   }) {
     /**
@@ -42,6 +66,12 @@ export default class ScenarioStepEntity {
      */
     this.scenario_id = scenario_id;
 
+    /**
+     * Stable key of the step, unique within its scenario.
+     * @type {string|null}
+     */
+    this.slug = slug;
+
     /**
      * The order in which this step appears in the scenario.
      * @type {number}
@@ -55,21 +85,39 @@ export default class ScenarioStepEntity {
     this.question_text = question_text;
 
     /**
-     * Available multiple-choice options for the step.
-     * @type {{A: string, B: string, C: string, D: string}}
+     * Question type of the step.
+     * @type {string}
+     */
+    this.type = type || DEFAULT_QUESTION_TYPE;
+
+    const isChoice = this.type === DEFAULT_QUESTION_TYPE;
+
+    /**
+     * Options shown for the step; their shape depends on `type`.
+     * @type {object|null}
      */
-    this.options = {
-      A: option_a,
-      B: option_b,
-      C: option_c,
-      D: option_d,
-    };
+    this.options = isChoice
+      ? { A: option_a, B: option_b, C: option_c, D: option_d }
+      : parseJson(options_json);
 
     /**
-     * The correct answer option key ('A', 'B', 'C', or 'D').
-     * @type {string}
+     * The correct option key of a multiple-choice step, null for other types.
+     * @type {string|null}
+     */
+    this.correct_action = isChoice ? correct_action : null;
+
+    /**
+     * The correct answer; its shape depends on `type`.
+     * @type {*}
+     */
+    this.answer = isChoice ? correct_action : parseJson(answer_json);
+
+    /**
+     * Next step per option key or outcome (`correct` / `incorrect`); a step ID
+     * or "end". Null when the step simply continues in `step_order`.
+     * @type {Object<string, number|string>|null}
      */
-    this.correct_action = correct_action;
+    this.branches = parseJson(branches_json);
 
     /**
      * Optional feedback message to display after the user's response.
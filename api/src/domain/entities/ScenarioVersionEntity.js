@@ -0,0 +1,102 @@
+/**
+ * JSON columns come back parsed from mysql2, but may be strings on other drivers.
+ * @param {*} value
+ * @returns {*}
+ */
+const parseJson = (value) =>
+  typeof value === "string" ? JSON.parse(value) : value ?? null;
+
+/**
+ * Entity class representing a published version of a scenario.
+ *
+ * A version is an immutable copy of the scenario's details and steps, taken
+ * when it was published. Learners play versions, never the working copy.
+ */
+export default class ScenarioVersionEntity {
+  /**
+   * @param {object} params - Scenario version properties.
+   * @param {number} params.version_id - Unique identifier of the row.
+   * @param {number} params.scenario_id - ID of the versioned scenario.
+   * @param {number} params.version - Version number, counting from 1 per scenario.
+   * @param {string} params.title - Scenario title at publish time.
+   * @param {string|null} [params.description] - Scenario description at publish time.
+   * @param {string|null} [params.image_url] - Scenario image at publish time.
+   * @param {string|object[]} params.steps - The steps as published (JSON), answers included.
+   * @param {string|null} [params.note] - What the publisher said about the version.
+   * @param {number|null} [params.published_by] - ID of the user who published it.
+   * @param {string|Date} params.published_at - When it was published.
+   */
+  constructor({
+    version_id,
+    scenario_id,
+    version,
+    title,
+    description = null,
+    image_url = null,
+    steps,
+    note = null,
+    published_by = null,
+    published_at,
+  }) {
+    /**
+     * Unique ID of the row.
+     * @type {number}
+     */
+    this.version_id = version_id;
+
+    /**
+     * ID of the versioned scenario.
+     * @type {number}
+     */
+    this.scenario_id = scenario_id;
+
+    /**
+     * Version number within the scenario.
+     * @type {number}
+     */
+    this.version = Number(version);
+
+    /**
+     * Title learners see.
+     * @type {string}
+     */
+    this.title = title;
+
+    /**
+     * Description learners see.
+     * @type {string|null}
+     */
+    this.description = description;
+
+    /**
+     * Image learners see.
+     * @type {string|null}
+     */
+    this.image_url = image_url;
+
+    /**
+     * Steps in step order, shaped like `ScenarioStepDTO` records.
+     * @type {object[]}
+     */
+    this.steps = parseJson(steps) ?? [];
+
+    /**
+     * Publisher's note, e.g. what changed or which version was restored.
+     * @type {string|null}
+     */
+    this.note = note;
+
+    /**
+     * ID of the user who published the version; null for versions written
+     * from content that was live before versioning, or whose publisher was deleted.
+     * @type {number|null}
+     */
+    this.published_by = published_by;
+
+    /**
+     * When the version was published.
+     * @type {string|Date}
+     */
+    this.published_at = published_at;
+  }
+}
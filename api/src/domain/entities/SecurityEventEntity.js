@@ -0,0 +1,61 @@
+/**
+ * Entity class representing one entry of the security event log.
+ *
+ * Security events record things that happened to accounts rather than
+ * changes made by admins: login lockouts and their removal.
+ */
+export default class SecurityEventEntity {
+  /**
+   * @param {object} params - Security event properties.
+   * @param {number} params.event_id - Unique identifier of the event.
+   * @param {string} params.type - Event type (e.g. `login.lockout`).
+   * @param {string|null} [params.email] - Account email the event concerns, if any.
+   * @param {string|null} [params.ip] - Client IP address the event concerns, if any.
+   * @param {number|null} [params.actor_id] - Admin who caused the event (for unlocks).
+   * @param {string|object|null} [params.details] - JSON details (lockout scope, duration, failures).
+   * @param {string|Date} params.created_at - When the event happened.
+   */
+  constructor({ event_id, type, email, ip, actor_id, details, created_at }) {
+    /**
+     * Unique ID of the event.
+     * @type {number}
+     */
+    this.event_id = event_id;
+
+    /**
+     * Event type, `<area>.<event>`.
+     * @type {string}
+     */
+    this.type = type;
+
+    /**
+     * Account email the event concerns, if any.
+     * @type {string|null}
+     */
+    this.email = email ?? null;
+
+    /**
+     * Client IP address the event concerns, if any.
+     * @type {string|null}
+     */
+    this.ip = ip ?? null;
+
+    /**
+     * Admin who caused the event, for manual actions such as unlocks.
+     * @type {number|null}
+     */
+    this.actor_id = actor_id ?? null;
+
+    /**
+     * Extra details of the event.
+     * @type {object|null}
+     */
+    this.details = typeof details === "string" ? JSON.parse(details) : details ?? null;
+
+    /**
+     * When the event happened.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
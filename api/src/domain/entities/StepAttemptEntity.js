@@ -0,0 +1,70 @@
+/**
+ * Entity class representing a step attempt record in the database.
+ *
+ * Each record stores a user's answer to a single scenario step
+ * as part of a parent scenario attempt.
+ */
+export default class StepAttemptEntity {
+  /**
+   * @param {object} params - Step attempt properties.
+   * @param {number} params.step_attempt_id - Unique identifier of the step attempt record.
+   * @param {number} params.attempt_id - ID of the parent scenario attempt.
+   * @param {number} params.step_id - ID of the scenario step that was answered.
+   * @param {string|null} params.user_action - The option the user picked (null if unanswered).
+   * @param {boolean|number} params.is_correct - Whether the answer was correct.
+   * @param {number|null} [params.time_taken_ms] - Time the user spent on the step, in milliseconds.
+   * @param {string|Date} [params.answered_at] - Timestamp when the answer was recorded.
+   */
+  constructor({
+    step_attempt_id,
+    attempt_id,
+    step_id,
+    user_action,
+    is_correct,
+    time_taken_ms,
+    answered_at,
+  }) {
+    /**
+     * Unique ID of the step attempt record.
+     * @type {number}
+     */
+    this.step_attempt_id = step_attempt_id;
+
+    /**
+     * ID of the parent scenario attempt.
+     * @type {number}
+     */
+    this.attempt_id = attempt_id;
+
+    /**
+     * ID of the scenario step that was answered.
+     * @type {number}
+     */
+    this.step_id = step_id;
+
+    /**
+     * The option the user picked, or null when the step timed out.
+     * @type {string|null}
+     */
+    this.user_action = user_action;
+
+    /**
+     * Whether the user's answer was correct.
+     * MySQL returns TINYINT(1), so the value is normalized to a boolean.
+     * @type {boolean}
+     */
+    this.is_correct = Boolean(is_correct);
+
+    /**
+     * Time spent on the step, in milliseconds (null if not reported).
+     * @type {number|null}
+     */
+    this.time_taken_ms = time_taken_ms ?? null;
+
+    /**
+     * Date and time when the answer was recorded.
+     * @type {string|Date}
+     */
+    this.answered_at = answered_at;
+  }
+}
@@ -13,9 +13,10 @@ export default class UserEntity {
    * @param {string} params.email - Email address of the user (must be unique).
    * @param {string} params.password - Hashed password for authentication.
    * @param {string} params.role - Role assigned to the user (e.g., 'admin', 'student', 'instructor').
+   * @param {string|Date|null} [params.email_verified_at] - When the user confirmed their email address (null until then).
    * @param {string|Date} params.created_at - Timestamp indicating when the user was created.
    */
-  constructor({ user_id, full_name, email, password, role, created_at }) {
+  constructor({ user_id, full_name, email, password, role, email_verified_at = null, created_at }) {
     /**
      * Unique ID for the user.
      * @type {number}
@@ -47,6 +48,12 @@ export default class UserEntity {
      */
     this.role = role;
 
+    /**
+     * When the user confirmed their email address; null until then.
+     * @type {string|Date|null}
+     */
+    this.email_verified_at = email_verified_at;
+
     /**
      * Date and time when the user record was created.
      * @type {string|Date}
@@ -0,0 +1,52 @@
+/**
+ * Entity class representing a single-use account token, sent by email to
+ * verify an address or reset a password. Only the token's hash is stored.
+ */
+export default class UserTokenEntity {
+  /**
+   * @param {object} params - User token properties.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {number} params.user_id - ID of the user the token was issued to.
+   * @param {"verify_email"|"reset_password"} params.purpose - What the token may be used for.
+   * @param {string|Date} params.expires_at - When the token stops being accepted.
+   * @param {string|Date|null} [params.used_at] - When the token was used (null if unused).
+   * @param {string|Date} [params.created_at] - When the token was issued.
+   */
+  constructor({ token_hash, user_id, purpose, expires_at, used_at, created_at }) {
+    /**
+     * SHA-256 hash of the token.
+     * @type {string}
+     */
+    this.token_hash = token_hash;
+
+    /**
+     * ID of the user the token was issued to.
+     * @type {number}
+     */
+    this.user_id = user_id;
+
+    /**
+     * What the token may be used for.
+     * @type {"verify_email"|"reset_password"}
+     */
+    this.purpose = purpose;
+
+    /**
+     * When the token stops being accepted.
+     * @type {Date}
+     */
+    this.expires_at = new Date(expires_at);
+
+    /**
+     * When the token was used, or superseded by a newer one; null while usable.
+     * @type {Date|null}
+     */
+    this.used_at = used_at ? new Date(used_at) : null;
+
+    /**
+     * When the token was issued.
+     * @type {string|Date}
+     */
+    this.created_at = created_at;
+  }
+}
@@ -0,0 +1,176 @@
+import { readdirSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { healthCheck as mysqlHealthCheck, withTransaction as mysqlTransaction } from "../../config/db.js";
+
+import { AttemptRepository } from "./mysql/AttemptRepository.js";
+import { AuditLogRepository } from "./mysql/AuditLogRepository.js";
+import { AuthSessionRepository } from "./mysql/AuthSessionRepository.js";
+import { BadgesRepository } from "./mysql/BadgesRepository.js";
+import { LevelRepository } from "./mysql/LevelRepository.js";
+import { RoleRepository } from "./mysql/RoleRepository.js";
+import { ScenarioRepository } from "./mysql/ScenarioRepository.js";
+import { ScenarioSessionRepository } from "./mysql/ScenarioSessionRepository.js";
+import { ScenarioStepRepository } from "./mysql/ScenarioStepRepository.js";
+import { ScenarioVersionRepository } from "./mysql/ScenarioVersionRepository.js";
+import { SecurityEventRepository } from "./mysql/SecurityEventRepository.js";
+import { StepAttemptRepository } from "./mysql/StepAttemptRepository.js";
+import { UserBadgeRepository } from "./mysql/UserBadgeRepository.js";
+import { UserLevelRepository } from "./mysql/UserLevelRepository.js";
+import { UserRepository } from "./mysql/UserRepository.js";
+import { UserTokenRepository } from "./mysql/UserTokenRepository.js";
+
+import { MemoryDatabase } from "./memory/MemoryDatabase.js";
+import { MemoryAttemptRepository } from "./memory/MemoryAttemptRepository.js";
+import { MemoryAuditLogRepository } from "./memory/MemoryAuditLogRepository.js";
+import { MemoryAuthSessionRepository } from "./memory/MemoryAuthSessionRepository.js";
+import { MemoryBadgesRepository } from "./memory/MemoryBadgesRepository.js";
+import { MemoryLevelRepository } from "./memory/MemoryLevelRepository.js";
+import { MemoryRoleRepository } from "./memory/MemoryRoleRepository.js";
+import { MemoryScenarioRepository } from "./memory/MemoryScenarioRepository.js";
+import { MemoryScenarioSessionRepository } from "./memory/MemoryScenarioSessionRepository.js";
+import { MemoryScenarioStepRepository } from "./memory/MemoryScenarioStepRepository.js";
+import { MemoryScenarioVersionRepository } from "./memory/MemoryScenarioVersionRepository.js";
+import { MemorySecurityEventRepository } from "./memory/MemorySecurityEventRepository.js";
+import { MemoryStepAttemptRepository } from "./memory/MemoryStepAttemptRepository.js";
+import { MemoryUserBadgeRepository } from "./memory/MemoryUserBadgeRepository.js";
+import { MemoryUserLevelRepository } from "./memory/MemoryUserLevelRepository.js";
+import { MemoryUserRepository } from "./memory/MemoryUserRepository.js";
+import { MemoryUserTokenRepository } from "./memory/MemoryUserTokenRepository.js";
+
+const SEEDS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../../../db/seeds");
+
+/**
+ * One instance of every repository. The MySQL classes define the interface;
+ * the in-memory ones implement the same methods.
+ * @typedef {object} Repositories
+ * @property {AttemptRepository} attempts
+ * @property {AuditLogRepository} auditLog
+ * @property {AuthSessionRepository} authSessions
+ * @property {BadgesRepository} badges
+ * @property {LevelRepository} levels
+ * @property {RoleRepository} roles
+ * @property {ScenarioRepository} scenarios
+ * @property {ScenarioSessionRepository} scenarioSessions
+ * @property {ScenarioStepRepository} scenarioSteps
+ * @property {ScenarioVersionRepository} scenarioVersions
+ * @property {SecurityEventRepository} securityEvents
+ * @property {StepAttemptRepository} stepAttempts
+ * @property {UserBadgeRepository} userBadges
+ * @property {UserLevelRepository} userLevels
+ * @property {UserRepository} users
+ * @property {UserTokenRepository} userTokens
+ */
+
+/**
+ * Repositories together with the driver-specific pieces services need.
+ * @typedef {object} Persistence
+ * @property {"mysql"|"memory"} driver - The driver in use.
+ * @property {Repositories} repositories
+ * @property {<T>(work: (conn: any) => Promise<T>) => Promise<T>} withTransaction -
+ *   Run `work` in a transaction; pass `conn` on to the repositories called inside it.
+ * @property {() => Promise<boolean>} healthCheck - Whether the storage can be reached.
+ * @property {MemoryDatabase} [db] - The tables, for the `memory` driver.
+ */
+
+/**
+ * @param {MemoryDatabase} db
+ * @returns {Repositories}
+ */
+function memoryRepositories(db) {
+  return {
+    attempts: new MemoryAttemptRepository(db),
+    auditLog: new MemoryAuditLogRepository(db),
+    authSessions: new MemoryAuthSessionRepository(db),
+    badges: new MemoryBadgesRepository(db),
+    levels: new MemoryLevelRepository(db),
+    roles: new MemoryRoleRepository(db),
+    scenarios: new MemoryScenarioRepository(db),
+    scenarioSessions: new MemoryScenarioSessionRepository(db),
+    scenarioSteps: new MemoryScenarioStepRepository(db),
+    scenarioVersions: new MemoryScenarioVersionRepository(db),
+    securityEvents: new MemorySecurityEventRepository(db),
+    stepAttempts: new MemoryStepAttemptRepository(db),
+    userBadges: new MemoryUserBadgeRepository(db),
+    userLevels: new MemoryUserLevelRepository(db),
+    users: new MemoryUserRepository(db),
+    userTokens: new MemoryUserTokenRepository(db),
+  };
+}
+
+/**
+ * @returns {Repositories}
+ */
+function mysqlRepositories() {
+  return {
+    attempts: new AttemptRepository(),
+    auditLog: new AuditLogRepository(),
+    authSessions: new AuthSessionRepository(),
+    badges: new BadgesRepository(),
+    levels: new LevelRepository(),
+    roles: new RoleRepository(),
+    scenarios: new ScenarioRepository(),
+    scenarioSessions: new ScenarioSessionRepository(),
+    scenarioSteps: new ScenarioStepRepository(),
+    scenarioVersions: new ScenarioVersionRepository(),
+    securityEvents: new SecurityEventRepository(),
+    stepAttempts: new StepAttemptRepository(),
+    userBadges: new UserBadgeRepository(),
+    userLevels: new UserLevelRepository(),
+    users: new UserRepository(),
+    userTokens: new UserTokenRepository(),
+  };
+}
+
+/**
+ * Create the repositories of the persistence driver selected by the
+ * environment.
+ *
+ * Environment variables:
+ * - DB_DRIVER: `mysql` (default) or `memory`
+ * - DB_MEMORY_SEED: `false` to start the `memory` driver with empty tables
+ *   instead of loading `db/seeds`
+ *
+ * The `memory` driver needs no database server and forgets everything on
+ * restart; use it for local development and tests. The `mysql` driver uses
+ * the shared pool from `config/db.js`.
+ *
+ * @function createRepositories
+ * @param {NodeJS.ProcessEnv} [env=process.env] - Where to read the settings from.
+ * @returns {Persistence}
+ * @throws {Error} If the driver is unknown.
+ *
+ * @example
+ * const { repositories, withTransaction } = createRepositories({ DB_DRIVER: "memory" });
+ * const levels = await repositories.levels.findAll();
+ */
+export function createRepositories(env = process.env) {
+  const driver = (env.DB_DRIVER || "mysql").toLowerCase();
+
+  switch (driver) {
+    case "mysql":
+      return {
+        driver,
+        repositories: mysqlRepositories(),
+        withTransaction: mysqlTransaction,
+        healthCheck: mysqlHealthCheck,
+      };
+    case "memory": {
+      const db = new MemoryDatabase();
+      if (env.DB_MEMORY_SEED !== "false") {
+        for (const file of readdirSync(SEEDS_DIR).filter((f) => f.endsWith(".sql")).sort()) {
+          db.loadSql(readFileSync(path.join(SEEDS_DIR, file), "utf8"));
+        }
+      }
+      return {
+        driver,
+        db,
+        repositories: memoryRepositories(db),
+        withTransaction: (work) => db.transaction(work),
+        healthCheck: async () => true,
+      };
+    }
+    default:
+      throw new Error(`Unknown DB_DRIVER "${driver}" (use mysql or memory)`);
+  }
+}
@@ -0,0 +1,91 @@
+import AttemptEntity from "../../entities/AttemptEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/AttemptRepository.js").AttemptRepository}.
+ *
+ * The trailing `db` parameters exist for interface compatibility and are
+ * ignored: every call works on the shared {@link MemoryDatabase}.
+ *
+ * @class MemoryAttemptRepository
+ * @implements {import("../mysql/AttemptRepository.js").AttemptRepository}
+ */
+export class MemoryAttemptRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<AttemptEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("attempts"), "-completed_at").map((r) => new AttemptEntity(r));
+  }
+
+  /** @returns {Promise<AttemptEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("attempts", { attempt_id: id });
+    return row ? new AttemptEntity(row) : null;
+  }
+
+  /** @returns {Promise<AttemptEntity|null>} The best attempt, latest first on ties. */
+  async findByUserAndScenario(user_id, scenario_id) {
+    const [best] = orderBy(
+      this.db.select("attempts", { user_id, scenario_id }),
+      "-score",
+      "-completed_at",
+      "-attempt_id"
+    );
+    return best ? new AttemptEntity(best) : null;
+  }
+
+  /** @returns {Promise<AttemptEntity[]>} Oldest first. */
+  async findHistoryByUserAndScenario(user_id, scenario_id) {
+    return orderBy(
+      this.db.select("attempts", { user_id, scenario_id }),
+      "completed_at",
+      "attempt_id"
+    ).map((r) => new AttemptEntity(r));
+  }
+
+  /** @returns {Promise<AttemptEntity>} */
+  async create({ user_id, scenario_id, scenario_version = null, score }) {
+    return new AttemptEntity(
+      this.db.insert("attempts", { user_id, scenario_id, scenario_version, score })
+    );
+  }
+
+  /**
+   * The user's attempts in the level's scenarios.
+   * @private
+   */
+  _attemptsInLevel(user_id, level_id) {
+    const scenarioIds = new Set(
+      this.db.select("scenarios", { level_id }).map((s) => s.scenario_id)
+    );
+    return this.db
+      .select("attempts", { user_id })
+      .filter((a) => scenarioIds.has(a.scenario_id));
+  }
+
+  /** @returns {Promise<number>} Scenarios of the level the user scored 100 in. */
+  async countPerfectByUserInLevel(user_id, level_id) {
+    const perfect = this._attemptsInLevel(user_id, level_id).filter((a) => a.score === 100);
+    return new Set(perfect.map((a) => a.scenario_id)).size;
+  }
+
+  /** @returns {Promise<number>} */
+  async countScenariosInLevel(level_id) {
+    return this.db.select("scenarios", { level_id }).length;
+  }
+
+  /** @returns {Promise<Array<{scenario_id: number, score: number}>>} Best score per scenario. */
+  async getUserAttemptsByLevel(user_id, level_id) {
+    const best = new Map();
+    for (const { scenario_id, score } of this._attemptsInLevel(user_id, level_id)) {
+      best.set(scenario_id, Math.max(best.get(scenario_id) ?? 0, score));
+    }
+    return [...best].map(([scenario_id, score]) => ({ scenario_id, score }));
+  }
+}
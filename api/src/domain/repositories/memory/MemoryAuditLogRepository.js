@@ -0,0 +1,38 @@
+import AuditLogEntity from "../../entities/AuditLogEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/AuditLogRepository.js").AuditLogRepository}.
+ *
+ * @class MemoryAuditLogRepository
+ * @implements {import("../mysql/AuditLogRepository.js").AuditLogRepository}
+ */
+export class MemoryAuditLogRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<number>} The new entry's ID. */
+  async create({ actor_id, action, target_id = null, details = null }) {
+    const row = this.db.insert("admin_audit_log", {
+      actor_id,
+      action,
+      target_id: target_id == null ? null : String(target_id),
+      details: details ? JSON.stringify(details) : null,
+    });
+    return row.audit_id;
+  }
+
+  /** @returns {Promise<AuditLogEntity[]>} Newest first. */
+  async findAll({ actor_id, action, limit = 100 } = {}) {
+    const where = {};
+    if (actor_id) where.actor_id = actor_id;
+    if (action) where.action = action;
+    return orderBy(this.db.select("admin_audit_log", where), "-audit_id")
+      .slice(0, Number(limit))
+      .map((row) => new AuditLogEntity(row));
+  }
+}
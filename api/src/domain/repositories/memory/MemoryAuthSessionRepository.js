@@ -0,0 +1,85 @@
+import AuthSessionEntity from "../../entities/AuthSessionEntity.js";
+import RefreshTokenEntity from "../../entities/RefreshTokenEntity.js";
+
+/**
+ * In-memory {@link import("../mysql/AuthSessionRepository.js").AuthSessionRepository}.
+ *
+ * @class MemoryAuthSessionRepository
+ * @implements {import("../mysql/AuthSessionRepository.js").AuthSessionRepository}
+ */
+export class MemoryAuthSessionRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<void>} */
+  async createSession({ session_id, user_id, user_agent = null }) {
+    this.db.insert("auth_sessions", {
+      session_id,
+      user_id,
+      user_agent: user_agent ? String(user_agent).slice(0, 255) : null,
+    });
+  }
+
+  /** @returns {Promise<AuthSessionEntity|null>} */
+  async findSession(session_id) {
+    const row = this.db.find("auth_sessions", { session_id });
+    return row ? new AuthSessionEntity(row) : null;
+  }
+
+  /** @returns {Promise<boolean>} True if the session exists and is not revoked. */
+  async isActive(session_id) {
+    return this.db.find("auth_sessions", { session_id })?.revoked_at === null;
+  }
+
+  /** @returns {Promise<void>} */
+  async touchSession(session_id) {
+    this.db.update("auth_sessions", { session_id }, { last_used_at: new Date() });
+  }
+
+  /** @returns {Promise<boolean>} True if the session was active. */
+  async revokeSession(session_id) {
+    const revoked = this.db.update(
+      "auth_sessions",
+      (s) => s.session_id === session_id && s.revoked_at === null,
+      { revoked_at: new Date() }
+    );
+    return revoked > 0;
+  }
+
+  /** @returns {Promise<number>} Sessions revoked. */
+  async revokeAllForUser(user_id, db, except_session_id = null) {
+    return this.db.update(
+      "auth_sessions",
+      (s) =>
+        s.user_id === Number(user_id) &&
+        s.revoked_at === null &&
+        s.session_id !== (except_session_id ?? ""),
+      { revoked_at: new Date() }
+    );
+  }
+
+  /** @returns {Promise<void>} */
+  async addRefreshToken({ token_hash, session_id, expires_at }) {
+    this.db.insert("refresh_tokens", { token_hash, session_id, expires_at });
+  }
+
+  /** @returns {Promise<RefreshTokenEntity|null>} */
+  async findRefreshToken(token_hash) {
+    const row = this.db.find("refresh_tokens", { token_hash });
+    return row ? new RefreshTokenEntity(row) : null;
+  }
+
+  /** @returns {Promise<boolean>} True if this call used it; false if it was already used. */
+  async markRefreshTokenUsed(token_hash) {
+    const marked = this.db.update(
+      "refresh_tokens",
+      (t) => t.token_hash === token_hash && t.used_at === null,
+      { used_at: new Date() }
+    );
+    return marked > 0;
+  }
+}
@@ -0,0 +1,51 @@
+import BadgesEntity from "../../entities/BadgesEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/BadgesRepository.js").BadgesRepository}.
+ *
+ * @class MemoryBadgesRepository
+ * @implements {import("../mysql/BadgesRepository.js").BadgesRepository}
+ */
+export class MemoryBadgesRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<BadgesEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("badges"), "-badge_id").map((row) => new BadgesEntity(row));
+  }
+
+  /** @returns {Promise<BadgesEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("badges", { badge_id: id });
+    return row ? new BadgesEntity(row) : null;
+  }
+
+  /** @returns {Promise<BadgesEntity|null>} */
+  async findByLevel(level_id) {
+    const row = this.db.find("badges", { level_id });
+    return row ? new BadgesEntity(row) : null;
+  }
+
+  /** @returns {Promise<BadgesEntity>} */
+  async create({ level_id, name, description, icon_url }) {
+    return new BadgesEntity(this.db.insert("badges", { level_id, name, description, icon_url }));
+  }
+
+  /** @returns {Promise<BadgesEntity|null>} Null if the badge does not exist. */
+  async update(id, { level_id, name, description, icon_url }) {
+    const changes = { level_id: level_id ?? null, name: name ?? null, description: description ?? null, icon_url: icon_url ?? null };
+    if (!this.db.update("badges", { badge_id: id }, changes)) return null;
+    return this.findById(id);
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(id) {
+    return this.db.delete("badges", { badge_id: id }) > 0;
+  }
+}
@@ -0,0 +1,379 @@
+import { AsyncLocalStorage } from "async_hooks";
+import { SCHEMA } from "./schema.js";
+import { parseInserts } from "./parseInserts.js";
+
+/**
+ * Build an error shaped like the ones mysql2 throws, so the global error
+ * handler maps it to the same response (e.g. `ER_DUP_ENTRY` → 409).
+ *
+ * @param {string} code - MySQL error code.
+ * @param {string} message
+ * @returns {Error & {code: string}}
+ */
+export function sqlError(code, message) {
+  return Object.assign(new Error(message), { code, sqlMessage: message });
+}
+
+/**
+ * Sort rows like `ORDER BY`. Each key is a column name, prefixed with `-`
+ * for descending order. NULLs sort first, as in MySQL.
+ *
+ * @template T
+ * @param {T[]} rows
+ * @param {...string} keys - e.g. `"-completed_at", "attempt_id"`.
+ * @returns {T[]} The same array, sorted in place.
+ */
+export function orderBy(rows, ...keys) {
+  const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a == null) return -1;
+    if (b == null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+  };
+  return rows.sort((a, b) => {
+    for (const key of keys) {
+      const desc = key.startsWith("-");
+      const column = desc ? key.slice(1) : key;
+      const result = compare(a[column], b[column]);
+      if (result) return desc ? -result : result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Rows to act on: a column → value map compared after coercion to the
+ * column's type, or a predicate on the stored row.
+ * @typedef {Object<string, *>|((row: object) => boolean)} Where
+ */
+
+/**
+ * Tables kept in process memory, used by the `memory` persistence driver.
+ *
+ * Rows are plain objects keyed by column, like the rows mysql2 returns, and
+ * the rules the repositories count on are enforced from {@link SCHEMA}:
+ * column defaults and types (ids become numbers, flags become 0/1), primary
+ * and unique keys, auto-increment ids and foreign keys with their delete
+ * action. Violations throw errors carrying the MySQL error code.
+ *
+ * Every read returns copies, so callers cannot change stored rows by
+ * accident. {@link MemoryDatabase#transaction} runs one transaction at a
+ * time and restores the tables if it throws; writes made outside of it by
+ * concurrent requests are not isolated, which is fine for tests and local
+ * development but not for production.
+ *
+ * @class MemoryDatabase
+ * @example
+ * const db = new MemoryDatabase();
+ * db.insert("levels", { title: "Basics", difficulty_order: 1 });
+ * db.select("levels", { level_id: "1" }); // → [{ level_id: 1, title: "Basics", ... }]
+ */
+export class MemoryDatabase {
+  /**
+   * @param {Object<string, import("./schema.js").TableDef>} [schema=SCHEMA]
+   */
+  constructor(schema = SCHEMA) {
+    this.schema = schema;
+    /** @type {Object<string, object[]>} */
+    this.tables = Object.fromEntries(Object.keys(schema).map((t) => [t, []]));
+    /** @type {Object<string, number>} Last id handed out per auto-increment table. */
+    this.sequences = Object.fromEntries(Object.keys(schema).map((t) => [t, 0]));
+    this._transaction = new AsyncLocalStorage();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * @private
+   * @param {string} table
+   * @returns {import("./schema.js").TableDef}
+   */
+  _def(table) {
+    const def = this.schema[table];
+    if (!def) throw sqlError("ER_NO_SUCH_TABLE", `Table '${table}' doesn't exist`);
+    return def;
+  }
+
+  /**
+   * Coerce a value to a column's type, as MySQL does on write.
+   * @private
+   */
+  _coerce(def, column, value) {
+    const spec = def.columns[column];
+    if (!spec) throw sqlError("ER_BAD_FIELD_ERROR", `Unknown column '${column}'`);
+    if (value === undefined || value === null) return null;
+    switch (spec.type) {
+      case "int":
+        return Number(value);
+      case "bool":
+        return Number(value) ? 1 : 0;
+      case "date":
+        return new Date(value);
+      case "json":
+        return typeof value === "string" ? value : JSON.stringify(value);
+      default:
+        return String(value);
+    }
+  }
+
+  /**
+   * @private
+   * @param {import("./schema.js").TableDef} def
+   * @param {Where} where
+   * @returns {(row: object) => boolean}
+   */
+  _matcher(def, where) {
+    if (typeof where === "function") return where;
+    const wanted = Object.entries(where).map(([column, value]) => [
+      column,
+      this._coerce(def, column, value),
+    ]);
+    // As in SQL, `column = NULL` matches nothing; use a predicate for IS NULL
+    return (row) =>
+      wanted.every(([column, value]) =>
+        value instanceof Date ? row[column]?.getTime() === value.getTime() : value !== null && row[column] === value
+      );
+  }
+
+  /**
+   * Throw if `row` clashes with another row on the primary or a unique key.
+   * @private
+   */
+  _checkUnique(table, def, row, self = null) {
+    for (const columns of [def.key, ...(def.unique ?? [])]) {
+      if (columns.some((c) => row[c] == null)) continue;
+      const clash = this.tables[table].find(
+        (other) => other !== self && columns.every((c) => other[c] === row[c])
+      );
+      if (clash) {
+        throw sqlError(
+          "ER_DUP_ENTRY",
+          `Duplicate entry '${columns.map((c) => row[c]).join("-")}' for key '${table}.${columns.join("_")}'`
+        );
+      }
+    }
+  }
+
+  /**
+   * Throw if `row` references a parent row that does not exist.
+   * @private
+   */
+  _checkReferences(table, def, row) {
+    for (const fk of def.foreignKeys ?? []) {
+      if (fk.columns.some((c) => row[c] == null)) continue;
+      const parent = this.tables[fk.table].some((p) =>
+        fk.references.every((ref, i) => p[ref] === row[fk.columns[i]])
+      );
+      if (!parent) {
+        throw sqlError(
+          "ER_NO_REFERENCED_ROW_2",
+          `Cannot add or update a child row: ${table}.${fk.columns.join(",")} references a missing ${fk.table} row`
+        );
+      }
+    }
+  }
+
+  /**
+   * Read rows.
+   * @param {string} table
+   * @param {Where} [where={}] - Which rows; all of them by default.
+   * @returns {object[]} Copies of the matching rows, in insertion order.
+   */
+  select(table, where = {}) {
+    const matches = this._matcher(this._def(table), where);
+    return this.tables[table].filter(matches).map((row) => ({ ...row }));
+  }
+
+  /**
+   * Read the first matching row.
+   * @param {string} table
+   * @param {Where} where
+   * @returns {object|null} A copy of the row, or null.
+   */
+  find(table, where) {
+    const matches = this._matcher(this._def(table), where);
+    const row = this.tables[table].find(matches);
+    return row ? { ...row } : null;
+  }
+
+  /**
+   * Insert a row, filling omitted columns with their default and the
+   * auto-increment column from the table's sequence.
+   *
+   * @param {string} table
+   * @param {object} values - Column → value.
+   * @param {object} [options]
+   * @param {boolean} [options.ignore=false] - Return null on a duplicate key instead of throwing (`INSERT IGNORE`).
+   * @returns {object|null} A copy of the stored row, or null when ignored.
+   * @throws {Error} `ER_DUP_ENTRY` or `ER_NO_REFERENCED_ROW_2`.
+   */
+  insert(table, values, { ignore = false } = {}) {
+    const def = this._def(table);
+    const row = {};
+    for (const [column, spec] of Object.entries(def.columns)) {
+      const value =
+        values[column] !== undefined
+          ? values[column]
+          : typeof spec.default === "function"
+            ? spec.default()
+            : spec.default;
+      row[column] = this._coerce(def, column, value);
+    }
+    for (const column of Object.keys(values)) {
+      if (!def.columns[column]) throw sqlError("ER_BAD_FIELD_ERROR", `Unknown column '${column}'`);
+    }
+
+    const auto = def.autoIncrement;
+    if (auto && row[auto] == null) row[auto] = this.sequences[table] + 1;
+
+    try {
+      this._checkUnique(table, def, row);
+    } catch (error) {
+      if (ignore && error.code === "ER_DUP_ENTRY") return null;
+      throw error;
+    }
+    this._checkReferences(table, def, row);
+
+    if (auto) this.sequences[table] = Math.max(this.sequences[table], row[auto]);
+    this.tables[table].push(row);
+    return { ...row };
+  }
+
+  /**
+   * Insert a row, or update the row it clashes with on a key
+   * (`INSERT … ON DUPLICATE KEY UPDATE`).
+   *
+   * @param {string} table
+   * @param {object} values - Column → value to insert.
+   * @param {object|((existing: object) => object)} changes - Columns to set on the existing row.
+   * @returns {object} A copy of the inserted or updated row.
+   */
+  upsert(table, values, changes) {
+    try {
+      return this.insert(table, values);
+    } catch (error) {
+      if (error.code !== "ER_DUP_ENTRY") throw error;
+    }
+    const def = this._def(table);
+    const probe = {};
+    for (const column of Object.keys(def.columns)) {
+      probe[column] = this._coerce(def, column, values[column]);
+    }
+    const existing = this.tables[table].find((other) =>
+      [def.key, ...(def.unique ?? [])].some(
+        (columns) =>
+          columns.every((c) => probe[c] != null) && columns.every((c) => other[c] === probe[c])
+      )
+    );
+    this.update(table, (row) => row === existing, changes);
+    return { ...existing };
+  }
+
+  /**
+   * Update rows.
+   *
+   * @param {string} table
+   * @param {Where} where - Which rows.
+   * @param {object|((row: object) => object)} changes - Columns to set, or a function of the current row returning them.
+   * @returns {number} Rows matched, like mysql2's `affectedRows`.
+   * @throws {Error} `ER_DUP_ENTRY` or `ER_NO_REFERENCED_ROW_2`; no row is changed then.
+   */
+  update(table, where, changes) {
+    const def = this._def(table);
+    const matches = this._matcher(def, where);
+    const planned = [];
+
+    for (const row of this.tables[table].filter(matches)) {
+      const set = typeof changes === "function" ? changes({ ...row }) : changes;
+      const next = { ...row };
+      for (const [column, value] of Object.entries(set)) {
+        if (value !== undefined) next[column] = this._coerce(def, column, value);
+      }
+      this._checkUnique(table, def, next, row);
+      this._checkReferences(table, def, next);
+      planned.push([row, next]);
+    }
+
+    for (const [row, next] of planned) Object.assign(row, next);
+    return planned.length;
+  }
+
+  /**
+   * Delete rows, then apply the foreign keys' `ON DELETE` action to the rows
+   * referencing them.
+   *
+   * @param {string} table
+   * @param {Where} where - Which rows.
+   * @returns {number} Rows deleted from `table` (cascaded rows are not counted).
+   */
+  delete(table, where) {
+    const def = this._def(table);
+    const matches = this._matcher(def, where);
+    const doomed = this.tables[table].filter(matches);
+    if (!doomed.length) return 0;
+
+    this.tables[table] = this.tables[table].filter((row) => !doomed.includes(row));
+
+    for (const [child, childDef] of Object.entries(this.schema)) {
+      for (const fk of childDef.foreignKeys ?? []) {
+        if (fk.table !== table) continue;
+        const references = (row) =>
+          doomed.some((parent) => fk.references.every((ref, i) => parent[ref] === row[fk.columns[i]]));
+        if (fk.onDelete === "set null") {
+          for (const row of this.tables[child].filter(references)) {
+            for (const column of fk.columns) row[column] = null;
+          }
+        } else {
+          this.delete(child, references);
+        }
+      }
+    }
+    return doomed.length;
+  }
+
+  /**
+   * Run `work` as a transaction: transactions run one at a time, and the
+   * tables are restored to where they were if `work` throws. A transaction
+   * started inside another one joins it.
+   *
+   * @template T
+   * @param {(db: MemoryDatabase) => Promise<T>} work - Receives this database in place of a connection.
+   * @returns {Promise<T>} Whatever `work` resolved with.
+   */
+  transaction(work) {
+    if (this._transaction.getStore()) return work(this);
+
+    const run = this._queue.then(() =>
+      this._transaction.run(true, async () => {
+        const snapshot = structuredClone({ tables: this.tables, sequences: this.sequences });
+        try {
+          return await work(this);
+        } catch (error) {
+          this.tables = snapshot.tables;
+          this.sequences = snapshot.sequences;
+          throw error;
+        }
+      })
+    );
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Load the rows of a SQL script made of INSERT statements, such as the
+   * files in `db/seeds`. Explicit ids move the sequences forward, so later
+   * inserts get fresh ids.
+   *
+   * @param {string} sql
+   * @returns {number} Rows inserted.
+   */
+  loadSql(sql) {
+    let count = 0;
+    for (const { table, rows } of parseInserts(sql)) {
+      for (const row of rows) {
+        this.insert(table, row);
+        count++;
+      }
+    }
+    return count;
+  }
+}
@@ -0,0 +1,110 @@
+import LevelEntity from "../../entities/LevelEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/LevelRepository.js").LevelRepository}.
+ *
+ * @class MemoryLevelRepository
+ * @implements {import("../mysql/LevelRepository.js").LevelRepository}
+ */
+export class MemoryLevelRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * @private
+   * @param {object} row - A `levels` row.
+   * @returns {LevelEntity}
+   */
+  _toEntity(row) {
+    const prerequisites = orderBy(
+      this.db.select("level_prerequisites", { level_id: row.level_id }),
+      "required_level_id"
+    ).map((p) => p.required_level_id);
+    return new LevelEntity({ ...row, prerequisites });
+  }
+
+  /** @returns {Promise<LevelEntity[]>} By difficulty order, then ID. */
+  async findAll() {
+    return orderBy(this.db.select("levels"), "difficulty_order", "level_id").map((r) =>
+      this._toEntity(r)
+    );
+  }
+
+  /** @returns {Promise<number|null>} The smallest level ID above the given one. */
+  async findNextLevelId(currentLevelId) {
+    const [next] = orderBy(
+      this.db.select("levels", (l) => l.level_id > Number(currentLevelId)),
+      "level_id"
+    );
+    return next ? next.level_id : null;
+  }
+
+  /** @returns {Promise<LevelEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("levels", { level_id: id });
+    return row ? this._toEntity(row) : null;
+  }
+
+  /** @returns {Promise<LevelEntity>} */
+  async create({
+    slug,
+    title,
+    description,
+    difficulty_order,
+    pass_threshold = 100,
+    prerequisites,
+    completion_rule = null,
+  }) {
+    const row = this.db.insert("levels", {
+      slug,
+      title,
+      description: description ?? null,
+      difficulty_order,
+      pass_threshold,
+      completion_rule: completion_rule ? JSON.stringify(completion_rule) : null,
+    });
+    if (prerequisites) await this.setPrerequisites(row.level_id, prerequisites);
+    return this.findById(row.level_id);
+  }
+
+  /** @returns {Promise<LevelEntity|null>} Null if the level does not exist. */
+  async update(
+    id,
+    { slug, title, description, difficulty_order, pass_threshold, prerequisites, completion_rule }
+  ) {
+    const updated = this.db.update("levels", { level_id: id }, (level) => ({
+      slug: slug ?? level.slug,
+      title: title ?? null,
+      description: description ?? null,
+      difficulty_order: difficulty_order ?? null,
+      pass_threshold: pass_threshold ?? level.pass_threshold,
+      completion_rule:
+        completion_rule === undefined
+          ? level.completion_rule
+          : completion_rule
+            ? JSON.stringify(completion_rule)
+            : null,
+    }));
+    if (!updated) return null;
+    if (prerequisites) await this.setPrerequisites(id, prerequisites);
+    return this.findById(id);
+  }
+
+  /** @returns {Promise<void>} */
+  async setPrerequisites(level_id, required_level_ids) {
+    this.db.delete("level_prerequisites", { level_id });
+    for (const required_level_id of required_level_ids) {
+      this.db.insert("level_prerequisites", { level_id, required_level_id });
+    }
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(id) {
+    return this.db.delete("levels", { level_id: id }) > 0;
+  }
+}
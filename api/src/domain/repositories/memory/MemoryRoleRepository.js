@@ -0,0 +1,64 @@
+import RoleEntity from "../../entities/RoleEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/RoleRepository.js").RoleRepository}.
+ *
+ * @class MemoryRoleRepository
+ * @implements {import("../mysql/RoleRepository.js").RoleRepository}
+ */
+export class MemoryRoleRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * @private
+   * @param {object} row - A `roles` row.
+   * @returns {RoleEntity}
+   */
+  _toEntity({ role, description }) {
+    const permissions = this.db.select("role_permissions", { role }).map((g) => g.permission);
+    return new RoleEntity({ role, description, permissions });
+  }
+
+  /** @returns {Promise<RoleEntity[]>} Sorted by name. */
+  async findAll() {
+    return orderBy(this.db.select("roles"), "role").map((r) => this._toEntity(r));
+  }
+
+  /** @returns {Promise<RoleEntity|null>} */
+  async findByRole(role) {
+    const row = this.db.find("roles", { role });
+    return row ? this._toEntity(row) : null;
+  }
+
+  /**
+   * Create or update a role and replace its permissions. The description is
+   * kept when `description` is undefined.
+   * @returns {Promise<RoleEntity>}
+   */
+  async save({ role, description, permissions }) {
+    this.db.upsert("roles", { role, description: description ?? null }, (current) => ({
+      description: description !== undefined ? description ?? null : current.description,
+    }));
+    this.db.delete("role_permissions", { role });
+    for (const permission of permissions) {
+      this.db.insert("role_permissions", { role, permission });
+    }
+    return this.findByRole(role);
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(role) {
+    return this.db.delete("roles", { role }) > 0;
+  }
+
+  /** @returns {Promise<number>} Users holding any of the roles. */
+  async countUsers(roles) {
+    return this.db.select("users", (u) => roles.includes(u.role)).length;
+  }
+}
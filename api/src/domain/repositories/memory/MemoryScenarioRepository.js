@@ -0,0 +1,79 @@
+import ScenarioEntity from "../../entities/ScenarioEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/ScenarioRepository.js").ScenarioRepository}.
+ *
+ * @class MemoryScenarioRepository
+ * @implements {import("../mysql/ScenarioRepository.js").ScenarioRepository}
+ */
+export class MemoryScenarioRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<ScenarioEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("scenarios"), "-scenario_id").map((r) => new ScenarioEntity(r));
+  }
+
+  /** @returns {Promise<ScenarioEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("scenarios", { scenario_id: id });
+    return row ? new ScenarioEntity(row) : null;
+  }
+
+  /** @returns {Promise<ScenarioEntity[]>} Oldest first. */
+  async listByLevel(level_id) {
+    return orderBy(this.db.select("scenarios", { level_id }), "scenario_id").map(
+      (r) => new ScenarioEntity(r)
+    );
+  }
+
+  /** @returns {Promise<ScenarioEntity>} */
+  async create({ level_id, slug, title, description, image_url }) {
+    return new ScenarioEntity(
+      this.db.insert("scenarios", { level_id, slug, title, description, image_url })
+    );
+  }
+
+  /**
+   * Update a scenario; its slug is kept when `slug` is undefined.
+   * @returns {Promise<ScenarioEntity|null>} Null if the scenario does not exist.
+   */
+  async update(id, { level_id, slug, title, description, image_url }) {
+    const updated = this.db.update("scenarios", { scenario_id: id }, (scenario) => ({
+      level_id: level_id ?? null,
+      slug: slug ?? scenario.slug,
+      title: title ?? null,
+      description: description ?? null,
+      image_url: image_url ?? null,
+    }));
+    return updated ? this.findById(id) : null;
+  }
+
+  /**
+   * Set the status; `published_version` is kept when `publishedVersion` is undefined.
+   * @returns {Promise<boolean>} False if the scenario does not exist.
+   */
+  async setStatus(id, status, publishedVersion) {
+    const updated = this.db.update("scenarios", { scenario_id: id }, (scenario) => ({
+      status,
+      published_version: publishedVersion ?? scenario.published_version,
+    }));
+    return updated > 0;
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(id) {
+    return this.db.delete("scenarios", { scenario_id: id }) > 0;
+  }
+
+  /** @returns {Promise<number>} */
+  async countByLevel(level_id) {
+    return this.db.select("scenarios", { level_id }).length;
+  }
+}
@@ -0,0 +1,106 @@
+import ScenarioSessionEntity from "../../entities/ScenarioSessionEntity.js";
+import ScenarioSessionAnswerEntity from "../../entities/ScenarioSessionAnswerEntity.js";
+
+/**
+ * In-memory {@link import("../mysql/ScenarioSessionRepository.js").ScenarioSessionRepository}.
+ *
+ * Updates are guarded by the same conditions as the SQL ones (status, step
+ * index), so concurrent answers to one step still only advance it once.
+ *
+ * @class MemoryScenarioSessionRepository
+ * @implements {import("../mysql/ScenarioSessionRepository.js").ScenarioSessionRepository}
+ */
+export class MemoryScenarioSessionRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<ScenarioSessionEntity|null>} */
+  async findById(session_id) {
+    const row = this.db.find("scenario_sessions", { session_id });
+    return row ? new ScenarioSessionEntity(row) : null;
+  }
+
+  /** @returns {Promise<ScenarioSessionEntity>} The new, active session. */
+  async create({ session_id, user_id, scenario_id, scenario_version, current_step_id, step_started_at }) {
+    this.db.insert("scenario_sessions", {
+      session_id,
+      user_id,
+      scenario_id,
+      scenario_version,
+      status: "active",
+      current_step_index: 0,
+      current_step_id,
+      step_started_at,
+    });
+    return this.findById(session_id);
+  }
+
+  /** @returns {Promise<number>} Sessions abandoned. */
+  async abandonActive(user_id, scenario_id) {
+    return this.db.update(
+      "scenario_sessions",
+      (s) =>
+        s.user_id === Number(user_id) &&
+        s.scenario_id === Number(scenario_id) &&
+        s.status === "active",
+      { status: "abandoned" }
+    );
+  }
+
+  /** @returns {Promise<boolean>} True if this call started the clock. */
+  async startCurrentStep(session_id, started_at) {
+    const started = this.db.update(
+      "scenario_sessions",
+      (s) => s.session_id === session_id && s.status === "active" && s.step_started_at === null,
+      { step_started_at: started_at }
+    );
+    return started > 0;
+  }
+
+  /** @returns {Promise<boolean>} True if this call moved the session forward. */
+  async advance(session_id, from_index, next_step_id, finished) {
+    const advanced = this.db.update(
+      "scenario_sessions",
+      (s) =>
+        s.session_id === session_id &&
+        s.status === "active" &&
+        s.current_step_index === Number(from_index),
+      (s) => ({
+        current_step_index: s.current_step_index + 1,
+        current_step_id: next_step_id ?? null,
+        step_started_at: null,
+        status: finished ? "completed" : s.status,
+        finished_at: finished ? new Date() : s.finished_at,
+      })
+    );
+    return advanced > 0;
+  }
+
+  /** @returns {Promise<void>} */
+  async setAttempt(session_id, attempt_id) {
+    this.db.update("scenario_sessions", { session_id }, { attempt_id });
+  }
+
+  /** @returns {Promise<void>} */
+  async addAnswer({ session_id, step_id, user_action, is_correct, timed_out, time_taken_ms }) {
+    this.db.insert("scenario_session_answers", {
+      session_id,
+      step_id,
+      user_action,
+      is_correct,
+      timed_out,
+      time_taken_ms,
+    });
+  }
+
+  /** @returns {Promise<ScenarioSessionAnswerEntity[]>} */
+  async findAnswers(session_id) {
+    return this.db
+      .select("scenario_session_answers", { session_id })
+      .map((row) => new ScenarioSessionAnswerEntity(row));
+  }
+}
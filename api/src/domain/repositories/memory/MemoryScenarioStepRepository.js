@@ -0,0 +1,139 @@
+import ScenarioStepEntity from "../../entities/ScenarioStepEntity.js";
+import { DEFAULT_QUESTION_TYPE } from "../../../utils/questionTypes.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/ScenarioStepRepository.js").ScenarioStepRepository}.
+ *
+ * Steps are stored in the same columns as in MySQL: multiple-choice steps
+ * in `option_a..option_d` and `correct_action`, other types as JSON in
+ * `options_json` and `answer_json`.
+ *
+ * @class MemoryScenarioStepRepository
+ * @implements {import("../mysql/ScenarioStepRepository.js").ScenarioStepRepository}
+ */
+export class MemoryScenarioStepRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Content columns of a question, keyed by column name.
+   * @private
+   */
+  _content(type, options, answer) {
+    if (type === DEFAULT_QUESTION_TYPE) {
+      return {
+        option_a: options.A,
+        option_b: options.B,
+        option_c: options.C,
+        option_d: options.D,
+        correct_action: answer,
+        options_json: null,
+        answer_json: null,
+      };
+    }
+    return {
+      option_a: null,
+      option_b: null,
+      option_c: null,
+      option_d: null,
+      correct_action: null,
+      options_json: options == null ? null : JSON.stringify(options),
+      answer_json: JSON.stringify(answer),
+    };
+  }
+
+  /** @returns {Promise<ScenarioStepEntity[]>} By scenario, then step order. */
+  async findAll() {
+    return orderBy(this.db.select("scenario_steps"), "scenario_id", "step_order").map(
+      (row) => new ScenarioStepEntity(row)
+    );
+  }
+
+  /** @returns {Promise<ScenarioStepEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("scenario_steps", { step_id: id });
+    return row ? new ScenarioStepEntity(row) : null;
+  }
+
+  /** @returns {Promise<ScenarioStepEntity[]>} In step order. */
+  async findByScenario(scenario_id) {
+    return orderBy(this.db.select("scenario_steps", { scenario_id }), "step_order").map(
+      (row) => new ScenarioStepEntity(row)
+    );
+  }
+
+  /** @returns {Promise<ScenarioStepEntity>} */
+  async create({
+    scenario_id,
+    slug,
+    step_order,
+    question_text,
+    type = DEFAULT_QUESTION_TYPE,
+    options,
+    answer,
+    branches = null,
+    feedback_message,
+  }) {
+    const row = this.db.insert("scenario_steps", {
+      scenario_id,
+      slug,
+      step_order,
+      question_text,
+      type,
+      ...this._content(type, options, answer),
+      branches_json: branches ? JSON.stringify(branches) : null,
+      feedback_message: feedback_message ?? null,
+    });
+    return new ScenarioStepEntity(row);
+  }
+
+  /**
+   * Update a step; its slug and branches are kept when undefined.
+   * @returns {Promise<ScenarioStepEntity|null>} Null if the step does not exist.
+   */
+  async update(id, {
+    slug,
+    step_order,
+    question_text,
+    type = DEFAULT_QUESTION_TYPE,
+    options,
+    answer,
+    branches,
+    feedback_message,
+  }) {
+    const updated = this.db.update("scenario_steps", { step_id: id }, (step) => ({
+      slug: slug ?? step.slug,
+      step_order: step_order ?? null,
+      question_text: question_text ?? null,
+      type,
+      ...this._content(type, options, answer),
+      branches_json:
+        branches === undefined ? step.branches_json : branches ? JSON.stringify(branches) : null,
+      feedback_message: feedback_message ?? null,
+    }));
+    return updated ? this.findById(id) : null;
+  }
+
+  /** Moves steps to new orders in two passes, so steps can swap places. @returns {Promise<void>} */
+  async renumber(scenario_id, orders) {
+    if (!orders.length) return;
+
+    const inUse = this.db.select("scenario_steps", { scenario_id }).map((s) => s.step_order);
+    const parking = Math.max(0, ...inUse, ...orders.map((o) => o.step_order));
+    for (const offset of [parking, 0]) {
+      for (const { step_id, step_order } of orders) {
+        this.db.update("scenario_steps", { scenario_id, step_id }, { step_order: offset + step_order });
+      }
+    }
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(id) {
+    return this.db.delete("scenario_steps", { step_id: id }) > 0;
+  }
+}
@@ -0,0 +1,52 @@
+import ScenarioVersionEntity from "../../entities/ScenarioVersionEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/ScenarioVersionRepository.js").ScenarioVersionRepository}.
+ *
+ * @class MemoryScenarioVersionRepository
+ * @implements {import("../mysql/ScenarioVersionRepository.js").ScenarioVersionRepository}
+ */
+export class MemoryScenarioVersionRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<ScenarioVersionEntity[]>} Newest first. */
+  async listByScenario(scenario_id) {
+    return orderBy(this.db.select("scenario_versions", { scenario_id }), "-version").map(
+      (row) => new ScenarioVersionEntity(row)
+    );
+  }
+
+  /** @returns {Promise<ScenarioVersionEntity|null>} */
+  async find(scenario_id, version) {
+    const row = this.db.find("scenario_versions", { scenario_id, version });
+    return row ? new ScenarioVersionEntity(row) : null;
+  }
+
+  /** @returns {Promise<number>} 0 when the scenario has no version yet. */
+  async latestVersion(scenario_id) {
+    const versions = this.db.select("scenario_versions", { scenario_id }).map((row) => row.version);
+    return versions.length ? Math.max(...versions) : 0;
+  }
+
+  /** @returns {Promise<ScenarioVersionEntity>} */
+  async create({ scenario_id, version, title, description, image_url, steps, note, published_by }) {
+    return new ScenarioVersionEntity(
+      this.db.insert("scenario_versions", {
+        scenario_id,
+        version,
+        title,
+        description,
+        image_url,
+        steps,
+        note,
+        published_by,
+      })
+    );
+  }
+}
@@ -0,0 +1,40 @@
+import SecurityEventEntity from "../../entities/SecurityEventEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/SecurityEventRepository.js").SecurityEventRepository}.
+ *
+ * @class MemorySecurityEventRepository
+ * @implements {import("../mysql/SecurityEventRepository.js").SecurityEventRepository}
+ */
+export class MemorySecurityEventRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<number>} The new event's ID. */
+  async create({ type, email = null, ip = null, actor_id = null, details = null }) {
+    const row = this.db.insert("security_events", {
+      type,
+      email,
+      ip,
+      actor_id,
+      details: details ? JSON.stringify(details) : null,
+    });
+    return row.event_id;
+  }
+
+  /** @returns {Promise<SecurityEventEntity[]>} Newest first. */
+  async findAll({ type, email, ip, limit = 100 } = {}) {
+    const where = {};
+    if (type) where.type = type;
+    if (email) where.email = email;
+    if (ip) where.ip = ip;
+    return orderBy(this.db.select("security_events", where), "-event_id")
+      .slice(0, Number(limit))
+      .map((row) => new SecurityEventEntity(row));
+  }
+}
@@ -0,0 +1,69 @@
+import StepAttemptEntity from "../../entities/StepAttemptEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/StepAttemptRepository.js").StepAttemptRepository}.
+ *
+ * @class MemoryStepAttemptRepository
+ * @implements {import("../mysql/StepAttemptRepository.js").StepAttemptRepository}
+ */
+export class MemoryStepAttemptRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<StepAttemptEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("step_attempts"), "-step_attempt_id").map(
+      (row) => new StepAttemptEntity(row)
+    );
+  }
+
+  /** @returns {Promise<StepAttemptEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("step_attempts", { step_attempt_id: id });
+    return row ? new StepAttemptEntity(row) : null;
+  }
+
+  /** @returns {Promise<StepAttemptEntity[]>} In the order of the scenario's steps. */
+  async findByAttempt(attempt_id) {
+    const stepOrder = new Map(
+      this.db.select("scenario_steps").map((s) => [s.step_id, s.step_order])
+    );
+    return orderBy(
+      this.db
+        .select("step_attempts", { attempt_id })
+        .map((row) => ({ ...row, step_order: stepOrder.get(row.step_id) })),
+      "step_order"
+    ).map(({ step_order, ...row }) => new StepAttemptEntity(row));
+  }
+
+  /** @returns {Promise<StepAttemptEntity>} */
+  async create({ attempt_id, step_id, user_action, is_correct, time_taken_ms = null }) {
+    return new StepAttemptEntity(
+      this.db.insert("step_attempts", { attempt_id, step_id, user_action, is_correct, time_taken_ms })
+    );
+  }
+
+  /** @returns {Promise<number>} Rows inserted. */
+  async createMany(rows) {
+    for (const r of rows) {
+      this.db.insert("step_attempts", {
+        attempt_id: r.attempt_id,
+        step_id: r.step_id,
+        user_action: r.user_action,
+        is_correct: r.is_correct,
+        time_taken_ms: r.time_taken_ms ?? null,
+      });
+    }
+    return rows.length;
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(id) {
+    return this.db.delete("step_attempts", { step_attempt_id: id }) > 0;
+  }
+}
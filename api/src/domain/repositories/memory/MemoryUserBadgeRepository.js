@@ -0,0 +1,61 @@
+import UserBadgeEntity from "../../entities/UserBadgeEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/UserBadgeRepository.js").UserBadgeRepository}.
+ *
+ * @class MemoryUserBadgeRepository
+ * @implements {import("../mysql/UserBadgeRepository.js").UserBadgeRepository}
+ */
+export class MemoryUserBadgeRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<UserBadgeEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("user_badges"), "-user_badge_id").map(
+      (row) => new UserBadgeEntity(row)
+    );
+  }
+
+  /** @returns {Promise<UserBadgeEntity|null>} */
+  async findById(user_badge_id) {
+    const row = this.db.find("user_badges", { user_badge_id });
+    return row ? new UserBadgeEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserBadgeEntity[]>} Most recently earned first. */
+  async findByUser(user_id) {
+    return orderBy(this.db.select("user_badges", { user_id }), "-earned_at").map(
+      (row) => new UserBadgeEntity(row)
+    );
+  }
+
+  /** @returns {Promise<UserBadgeEntity|null>} */
+  async findByUserAndBadge(user_id, badge_id) {
+    const row = this.db.find("user_badges", { user_id, badge_id });
+    return row ? new UserBadgeEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserBadgeEntity>} */
+  async create({ user_id, badge_id, earned_at }) {
+    return new UserBadgeEntity(
+      this.db.insert("user_badges", { user_id, badge_id, earned_at: earned_at || new Date() })
+    );
+  }
+
+  /** @returns {Promise<UserBadgeEntity|null>} The new award, or null if the user already had the badge. */
+  async awardOnce({ user_id, badge_id }) {
+    const row = this.db.insert("user_badges", { user_id, badge_id }, { ignore: true });
+    return row ? new UserBadgeEntity(row) : null;
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(user_badge_id) {
+    return this.db.delete("user_badges", { user_badge_id }) > 0;
+  }
+}
@@ -0,0 +1,82 @@
+import UserLevelEntity from "../../entities/UserLevelEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/UserLevelRepository.js").UserLevelRepository}.
+ *
+ * @class MemoryUserLevelRepository
+ * @implements {import("../mysql/UserLevelRepository.js").UserLevelRepository}
+ */
+export class MemoryUserLevelRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<UserLevelEntity[]>} By user, then level. */
+  async findAll() {
+    return orderBy(this.db.select("user_levels"), "user_id", "level_id").map(
+      (r) => new UserLevelEntity(r)
+    );
+  }
+
+  /** @returns {Promise<UserLevelEntity[]>} By level. */
+  async findByUser(user_id) {
+    return orderBy(this.db.select("user_levels", { user_id }), "level_id").map(
+      (r) => new UserLevelEntity(r)
+    );
+  }
+
+  /** @returns {Promise<UserLevelEntity|null>} */
+  async findByUserAndLevel(user_id, level_id) {
+    const row = this.db.find("user_levels", { user_id, level_id });
+    return row ? new UserLevelEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserLevelEntity|null>} */
+  async findById(user_level_id) {
+    const row = this.db.find("user_levels", { user_level_id });
+    return row ? new UserLevelEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserLevelEntity>} */
+  async create({ user_id, level_id, unlocked = false, completed = false }) {
+    return new UserLevelEntity(
+      this.db.insert("user_levels", { user_id, level_id, unlocked, completed })
+    );
+  }
+
+  /** @returns {Promise<UserLevelEntity|null>} Null if the record does not exist. */
+  async updateStatus(user_level_id, { unlocked, completed }) {
+    const updated = this.db.update(
+      "user_levels",
+      { user_level_id },
+      { unlocked: unlocked ?? null, completed: completed ?? null }
+    );
+    return updated ? this.findById(user_level_id) : null;
+  }
+
+  /** @returns {Promise<UserLevelEntity>} The record after the insert or update. */
+  async upsertProgress({ user_id, level_id, unlocked, completed }) {
+    const values = { user_id, level_id, unlocked, completed };
+    return new UserLevelEntity(this.db.upsert("user_levels", values, { unlocked, completed }));
+  }
+
+  /**
+   * Make sure the record exists, without changing its flags. Rows cannot be
+   * locked in memory; callers get the same serialisation from running inside
+   * {@link import("./MemoryDatabase.js").MemoryDatabase#transaction}.
+   * @returns {Promise<UserLevelEntity>}
+   */
+  async lockProgress(user_id, level_id) {
+    const values = { user_id, level_id, unlocked: false, completed: false };
+    return new UserLevelEntity(this.db.upsert("user_levels", values, {}));
+  }
+
+  /** @returns {Promise<boolean>} */
+  async delete(user_level_id) {
+    return this.db.delete("user_levels", { user_level_id }) > 0;
+  }
+}
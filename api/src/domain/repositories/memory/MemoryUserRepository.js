@@ -0,0 +1,70 @@
+import UserEntity from "../../entities/UserEntity.js";
+import { orderBy } from "./MemoryDatabase.js";
+
+/**
+ * In-memory {@link import("../mysql/UserRepository.js").UserRepository}.
+ *
+ * @class MemoryUserRepository
+ * @implements {import("../mysql/UserRepository.js").UserRepository}
+ */
+export class MemoryUserRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<UserEntity[]>} Newest first. */
+  async findAll() {
+    return orderBy(this.db.select("users"), "-user_id").map((row) => new UserEntity(row));
+  }
+
+  /** @returns {Promise<UserEntity|null>} */
+  async findById(id) {
+    const row = this.db.find("users", { user_id: id });
+    return row ? new UserEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserEntity|null>} */
+  async findByEmail(email) {
+    const row = this.db.find("users", { email });
+    return row ? new UserEntity(row) : null;
+  }
+
+  /** @returns {Promise<UserEntity>} */
+  async create({ name, full_name, email, password, role = "learner" }) {
+    const row = this.db.insert("users", {
+      full_name: full_name ?? name ?? null,
+      email,
+      password,
+      role,
+    });
+    return new UserEntity(row);
+  }
+
+  /** @returns {Promise<UserEntity|null>} Null if the user does not exist. */
+  async update(id, { full_name, name, email, password, role }) {
+    const changes = { full_name: full_name ?? name, email, password, role };
+    if (Object.values(changes).every((v) => v === undefined)) return this.findById(id);
+    const updated = this.db.update("users", { user_id: id }, changes);
+    return updated ? this.findById(id) : null;
+  }
+
+  /** @returns {Promise<boolean>} */
+  async markEmailVerified(id) {
+    const updated = this.db.update("users", { user_id: id }, (user) => ({
+      email_verified_at: user.email_verified_at ?? new Date(),
+    }));
+    return updated > 0;
+  }
+
+  /**
+   * Delete the user; their sessions, tokens, progress and attempts go with
+   * them through the foreign keys.
+   * @returns {Promise<boolean>}
+   */
+  async delete(id) {
+    return this.db.transaction(async () => this.db.delete("users", { user_id: id }) > 0);
+  }
+}
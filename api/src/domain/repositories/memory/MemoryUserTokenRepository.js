@@ -0,0 +1,46 @@
+import UserTokenEntity from "../../entities/UserTokenEntity.js";
+
+/**
+ * In-memory {@link import("../mysql/UserTokenRepository.js").UserTokenRepository}.
+ *
+ * @class MemoryUserTokenRepository
+ * @implements {import("../mysql/UserTokenRepository.js").UserTokenRepository}
+ */
+export class MemoryUserTokenRepository {
+  /**
+   * @param {import("./MemoryDatabase.js").MemoryDatabase} db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /** @returns {Promise<void>} */
+  async create({ token_hash, user_id, purpose, expires_at }) {
+    this.db.insert("user_tokens", { token_hash, user_id, purpose, expires_at });
+  }
+
+  /** @returns {Promise<UserTokenEntity|null>} */
+  async find(token_hash, purpose) {
+    const row = this.db.find("user_tokens", { token_hash, purpose });
+    return row ? new UserTokenEntity(row) : null;
+  }
+
+  /** @returns {Promise<boolean>} True if this call used the token. */
+  async markUsed(token_hash) {
+    const marked = this.db.update(
+      "user_tokens",
+      (t) => t.token_hash === token_hash && t.used_at === null,
+      { used_at: new Date() }
+    );
+    return marked > 0;
+  }
+
+  /** @returns {Promise<number>} Tokens invalidated. */
+  async invalidateForUser(user_id, purpose) {
+    return this.db.update(
+      "user_tokens",
+      (t) => t.user_id === Number(user_id) && t.purpose === purpose && t.used_at === null,
+      { used_at: new Date() }
+    );
+  }
+}
@@ -0,0 +1,138 @@
+/**
+ * Reads the `INSERT INTO … VALUES …` statements of a SQL script, so the
+ * seed files in `db/seeds` can be loaded into the in-memory database.
+ *
+ * Only what the seeds use is understood: `--` comments, `'quoted'` strings
+ * (with `''` or `\'` escapes), numbers, `NULL`, `TRUE` and `FALSE`. Anything
+ * else (functions, sub-queries, other statements) is rejected rather than
+ * loaded half-way.
+ *
+ * @module domain/repositories/memory/parseInserts
+ */
+
+const ESCAPES = { n: "\n", r: "\r", t: "\t", 0: "\0" };
+
+/**
+ * Split a script into tokens: `{ type: "word"|"number"|"string"|"punct", value }`.
+ * @param {string} sql
+ * @returns {Array<{type: string, value: string|number}>}
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "-" && sql[i + 1] === "-") {
+      while (i < sql.length && sql[i] !== "\n") i++;
+    } else if (ch === "'") {
+      let value = "";
+      i++;
+      for (;;) {
+        if (i >= sql.length) throw new Error("Unterminated string in SQL seed");
+        if (sql[i] === "\\") {
+          value += ESCAPES[sql[i + 1]] ?? sql[i + 1];
+          i += 2;
+        } else if (sql[i] === "'" && sql[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (sql[i] === "'") {
+          i++;
+          break;
+        } else {
+          value += sql[i++];
+        }
+      }
+      tokens.push({ type: "string", value });
+    } else if (/[-\d.]/.test(ch)) {
+      const match = /^-?\d+(\.\d+)?/.exec(sql.slice(i));
+      if (!match) throw new Error(`Unexpected "${ch}" in SQL seed`);
+      tokens.push({ type: "number", value: Number(match[0]) });
+      i += match[0].length;
+    } else if (/[A-Za-z_`]/.test(ch)) {
+      const match = /^`?([A-Za-z_][\w]*)`?/.exec(sql.slice(i));
+      tokens.push({ type: "word", value: match[1] });
+      i += match[0].length;
+    } else if ("(),;".includes(ch)) {
+      tokens.push({ type: "punct", value: ch });
+      i++;
+    } else {
+      throw new Error(`Unexpected "${ch}" in SQL seed`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Parse the INSERT statements of a script.
+ *
+ * @param {string} sql - Script made only of INSERT statements and comments.
+ * @returns {Array<{table: string, rows: object[]}>} One entry per statement, rows keyed by column.
+ * @throws {Error} On any statement or value the parser does not understand.
+ *
+ * @example
+ * parseInserts("INSERT INTO levels (level_id, title) VALUES (1, 'Basics');");
+ * // → [{ table: "levels", rows: [{ level_id: 1, title: "Basics" }] }]
+ */
+export function parseInserts(sql) {
+  const tokens = tokenize(sql);
+  const statements = [];
+  let pos = 0;
+
+  const next = () => tokens[pos++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || String(token.value).toUpperCase() !== value) {
+      throw new Error(`Expected "${value}" in SQL seed, got "${token?.value ?? "end of script"}"`);
+    }
+  };
+  const list = (readItem) => {
+    expect("(");
+    const items = [readItem()];
+    while (tokens[pos]?.value === ",") {
+      pos++;
+      items.push(readItem());
+    }
+    expect(")");
+    return items;
+  };
+  const readColumn = () => {
+    const token = next();
+    if (token?.type !== "word") throw new Error(`Expected a column name in SQL seed, got "${token?.value}"`);
+    return token.value;
+  };
+  const readValue = () => {
+    const token = next();
+    if (token?.type === "string" || token?.type === "number") return token.value;
+    const word = token?.type === "word" ? token.value.toUpperCase() : null;
+    if (word === "NULL") return null;
+    if (word === "TRUE") return 1;
+    if (word === "FALSE") return 0;
+    throw new Error(`Unsupported value "${token?.value}" in SQL seed`);
+  };
+
+  while (pos < tokens.length) {
+    expect("INSERT");
+    expect("INTO");
+    const table = readColumn();
+    const columns = list(readColumn);
+    expect("VALUES");
+
+    const rows = [];
+    for (;;) {
+      const values = list(readValue);
+      if (values.length !== columns.length) {
+        throw new Error(`Row of ${values.length} values for ${columns.length} columns in ${table} seed`);
+      }
+      rows.push(Object.fromEntries(columns.map((c, i) => [c, values[i]])));
+      if (tokens[pos]?.value !== ",") break;
+      pos++;
+    }
+    expect(";");
+    statements.push({ table, rows });
+  }
+  return statements;
+}
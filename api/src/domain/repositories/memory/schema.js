@@ -0,0 +1,345 @@
+/**
+ * Tables of the in-memory database, mirroring `db/migrations`.
+ *
+ * Only what the repositories rely on is described: column types (used to
+ * coerce values the way MySQL would), defaults, primary and unique keys,
+ * auto-increment columns and foreign keys with their `ON DELETE` action.
+ * Keep it in step with the migrations when the schema changes.
+ *
+ * @module domain/repositories/memory/schema
+ */
+
+/**
+ * @typedef {object} ColumnDef
+ * @property {"int"|"string"|"bool"|"date"|"json"} type - How written values are coerced.
+ * @property {*|(() => *)} default - Value used when an insert omits the column.
+ */
+
+/**
+ * @typedef {object} ForeignKeyDef
+ * @property {string[]} columns - Referencing columns.
+ * @property {string} table - Referenced table.
+ * @property {string[]} references - Referenced columns.
+ * @property {"cascade"|"set null"} onDelete - What happens to referencing rows.
+ */
+
+/**
+ * @typedef {object} TableDef
+ * @property {Object<string, ColumnDef>} columns
+ * @property {string[]} key - Primary key columns.
+ * @property {string} [autoIncrement] - Column filled from the table's sequence.
+ * @property {string[][]} [unique] - Unique keys besides the primary key.
+ * @property {ForeignKeyDef[]} [foreignKeys]
+ */
+
+const column = (type, defaultValue = null) => ({ type, default: defaultValue });
+const now = () => new Date();
+
+const INT = column("int");
+const TEXT = column("string");
+const DATE = column("date");
+const CREATED = column("date", now);
+const JSON_DOC = column("json");
+const FLAG = column("bool", 0);
+
+const fk = (columns, table, references, onDelete = "cascade") => ({
+  columns,
+  table,
+  references,
+  onDelete,
+});
+
+/** @type {Object<string, TableDef>} */
+export const SCHEMA = {
+  users: {
+    columns: {
+      user_id: INT,
+      full_name: TEXT,
+      email: TEXT,
+      password: TEXT,
+      role: column("string", "learner"),
+      email_verified_at: DATE,
+      created_at: CREATED,
+    },
+    key: ["user_id"],
+    autoIncrement: "user_id",
+    unique: [["email"]],
+  },
+
+  roles: {
+    columns: { role: TEXT, description: TEXT },
+    key: ["role"],
+  },
+
+  role_permissions: {
+    columns: { role: TEXT, permission: TEXT },
+    key: ["role", "permission"],
+    foreignKeys: [fk(["role"], "roles", ["role"])],
+  },
+
+  auth_sessions: {
+    columns: {
+      session_id: TEXT,
+      user_id: INT,
+      user_agent: TEXT,
+      created_at: CREATED,
+      last_used_at: DATE,
+      revoked_at: DATE,
+    },
+    key: ["session_id"],
+    foreignKeys: [fk(["user_id"], "users", ["user_id"])],
+  },
+
+  refresh_tokens: {
+    columns: {
+      token_hash: TEXT,
+      session_id: TEXT,
+      expires_at: DATE,
+      used_at: DATE,
+      created_at: CREATED,
+    },
+    key: ["token_hash"],
+    foreignKeys: [fk(["session_id"], "auth_sessions", ["session_id"])],
+  },
+
+  user_tokens: {
+    columns: {
+      token_hash: TEXT,
+      user_id: INT,
+      purpose: TEXT,
+      expires_at: DATE,
+      used_at: DATE,
+      created_at: CREATED,
+    },
+    key: ["token_hash"],
+    foreignKeys: [fk(["user_id"], "users", ["user_id"])],
+  },
+
+  levels: {
+    columns: {
+      level_id: INT,
+      slug: TEXT,
+      title: TEXT,
+      description: TEXT,
+      difficulty_order: column("int", 0),
+      pass_threshold: column("int", 100),
+      completion_rule: JSON_DOC,
+    },
+    key: ["level_id"],
+    autoIncrement: "level_id",
+    unique: [["slug"]],
+  },
+
+  level_prerequisites: {
+    columns: { level_id: INT, required_level_id: INT },
+    key: ["level_id", "required_level_id"],
+    foreignKeys: [
+      fk(["level_id"], "levels", ["level_id"]),
+      fk(["required_level_id"], "levels", ["level_id"]),
+    ],
+  },
+
+  scenarios: {
+    columns: {
+      scenario_id: INT,
+      level_id: INT,
+      slug: TEXT,
+      title: TEXT,
+      description: TEXT,
+      image_url: TEXT,
+      status: column("string", "draft"),
+      published_version: INT,
+    },
+    key: ["scenario_id"],
+    autoIncrement: "scenario_id",
+    unique: [["level_id", "slug"]],
+    foreignKeys: [fk(["level_id"], "levels", ["level_id"])],
+  },
+
+  scenario_versions: {
+    columns: {
+      version_id: INT,
+      scenario_id: INT,
+      version: INT,
+      title: TEXT,
+      description: TEXT,
+      image_url: TEXT,
+      steps: JSON_DOC,
+      note: TEXT,
+      published_by: INT,
+      published_at: CREATED,
+    },
+    key: ["version_id"],
+    autoIncrement: "version_id",
+    unique: [["scenario_id", "version"]],
+    foreignKeys: [
+      fk(["scenario_id"], "scenarios", ["scenario_id"]),
+      fk(["published_by"], "users", ["user_id"], "set null"),
+    ],
+  },
+
+  scenario_steps: {
+    columns: {
+      step_id: INT,
+      scenario_id: INT,
+      slug: TEXT,
+      step_order: INT,
+      question_text: TEXT,
+      type: column("string", "multiple_choice"),
+      option_a: TEXT,
+      option_b: TEXT,
+      option_c: TEXT,
+      option_d: TEXT,
+      correct_action: TEXT,
+      options_json: JSON_DOC,
+      answer_json: JSON_DOC,
+      branches_json: JSON_DOC,
+      feedback_message: TEXT,
+    },
+    key: ["step_id"],
+    autoIncrement: "step_id",
+    unique: [["scenario_id", "slug"], ["scenario_id", "step_order"]],
+    foreignKeys: [fk(["scenario_id"], "scenarios", ["scenario_id"])],
+  },
+
+  badges: {
+    columns: {
+      badge_id: INT,
+      level_id: INT,
+      name: TEXT,
+      description: TEXT,
+      icon_url: TEXT,
+    },
+    key: ["badge_id"],
+    autoIncrement: "badge_id",
+    foreignKeys: [fk(["level_id"], "levels", ["level_id"])],
+  },
+
+  attempts: {
+    columns: {
+      attempt_id: INT,
+      user_id: INT,
+      scenario_id: INT,
+      scenario_version: INT,
+      score: INT,
+      completed_at: CREATED,
+    },
+    key: ["attempt_id"],
+    autoIncrement: "attempt_id",
+    foreignKeys: [
+      fk(["user_id"], "users", ["user_id"]),
+      fk(["scenario_id"], "scenarios", ["scenario_id"]),
+    ],
+  },
+
+  step_attempts: {
+    columns: {
+      step_attempt_id: INT,
+      attempt_id: INT,
+      step_id: INT,
+      user_action: TEXT,
+      is_correct: FLAG,
+      time_taken_ms: INT,
+      answered_at: CREATED,
+    },
+    key: ["step_attempt_id"],
+    autoIncrement: "step_attempt_id",
+    foreignKeys: [fk(["attempt_id"], "attempts", ["attempt_id"])],
+  },
+
+  scenario_sessions: {
+    columns: {
+      session_id: TEXT,
+      user_id: INT,
+      scenario_id: INT,
+      scenario_version: INT,
+      status: column("string", "active"),
+      current_step_index: column("int", 0),
+      current_step_id: INT,
+      step_started_at: DATE,
+      attempt_id: INT,
+      started_at: CREATED,
+      finished_at: DATE,
+    },
+    key: ["session_id"],
+    foreignKeys: [
+      fk(["user_id"], "users", ["user_id"]),
+      fk(["scenario_id"], "scenarios", ["scenario_id"]),
+      fk(["attempt_id"], "attempts", ["attempt_id"], "set null"),
+    ],
+  },
+
+  scenario_session_answers: {
+    columns: {
+      session_id: TEXT,
+      step_id: INT,
+      user_action: TEXT,
+      is_correct: FLAG,
+      timed_out: FLAG,
+      time_taken_ms: INT,
+      answered_at: CREATED,
+    },
+    key: ["session_id", "step_id"],
+    foreignKeys: [fk(["session_id"], "scenario_sessions", ["session_id"])],
+  },
+
+  user_levels: {
+    columns: {
+      user_level_id: INT,
+      user_id: INT,
+      level_id: INT,
+      unlocked: FLAG,
+      completed: FLAG,
+    },
+    key: ["user_level_id"],
+    autoIncrement: "user_level_id",
+    unique: [["user_id", "level_id"]],
+    foreignKeys: [
+      fk(["user_id"], "users", ["user_id"]),
+      fk(["level_id"], "levels", ["level_id"]),
+    ],
+  },
+
+  user_badges: {
+    columns: {
+      user_badge_id: INT,
+      user_id: INT,
+      badge_id: INT,
+      earned_at: CREATED,
+    },
+    key: ["user_badge_id"],
+    autoIncrement: "user_badge_id",
+    unique: [["user_id", "badge_id"]],
+    foreignKeys: [
+      fk(["user_id"], "users", ["user_id"]),
+      fk(["badge_id"], "badges", ["badge_id"]),
+    ],
+  },
+
+  admin_audit_log: {
+    columns: {
+      audit_id: INT,
+      actor_id: INT,
+      action: TEXT,
+      target_id: TEXT,
+      details: JSON_DOC,
+      created_at: CREATED,
+    },
+    key: ["audit_id"],
+    autoIncrement: "audit_id",
+  },
+
+  security_events: {
+    columns: {
+      event_id: INT,
+      type: TEXT,
+      email: TEXT,
+      ip: TEXT,
+      actor_id: INT,
+      details: JSON_DOC,
+      created_at: CREATED,
+    },
+    key: ["event_id"],
+    autoIncrement: "event_id",
+  },
+};
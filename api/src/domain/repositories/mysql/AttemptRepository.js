@@ -0,0 +1,188 @@
+import { pool } from "../../../config/db.js";
+import AttemptEntity from "../../entities/AttemptEntity.js";
+
+/**
+ * Repository class responsible for managing database operations related to user attempts.
+ *
+ * Handles queries for retrieving, inserting, updating, and counting attempt records.
+ * Each method returns raw data wrapped as an {@link AttemptEntity} instance.
+ */
+export class AttemptRepository {
+  /**
+   * Retrieves all attempts from the database.
+   *
+   * @async
+   * @method findAll
+   * @returns {Promise<AttemptEntity[]>} A list of all attempts ordered by completion time.
+   * @example
+   * const attempts = await attemptRepo.findAll();
+   */
+  async findAll() {
+    const sql = `
+      SELECT attempt_id, user_id, scenario_id, scenario_version, score, completed_at
+      FROM attempts
+      ORDER BY completed_at DESC;
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(row => new AttemptEntity(row));
+  }
+
+  /**
+   * Finds a specific attempt by its ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The ID of the attempt to find.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<AttemptEntity|null>} The matching attempt or null if not found.
+   * @example
+   * const attempt = await attemptRepo.findById(10);
+   */
+  async findById(id, db = pool) {
+    const sql = `
+      SELECT attempt_id, user_id, scenario_id, scenario_version, score, completed_at
+      FROM attempts
+      WHERE attempt_id = ?;
+    `;
+    const [rows] = await db.query(sql, [id]);
+    return rows.length ? new AttemptEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves a user's best attempt for a given scenario.
+   *
+   * Every submission is stored as its own row, so the best score is computed
+   * from the full history: highest score first, most recent on ties.
+   *
+   * @async
+   * @method findByUserAndScenario
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @returns {Promise<AttemptEntity|null>} The best attempt or null if none exists.
+   * @example
+   * const attempt = await attemptRepo.findByUserAndScenario(1, 5);
+   */
+  async findByUserAndScenario(user_id, scenario_id) {
+    const sql = `
+      SELECT attempt_id, user_id, scenario_id, scenario_version, score, completed_at
+      FROM attempts
+      WHERE user_id = ? AND scenario_id = ?
+      ORDER BY score DESC, completed_at DESC, attempt_id DESC
+      LIMIT 1;
+    `;
+    const [rows] = await pool.query(sql, [user_id, scenario_id]);
+    return rows.length ? new AttemptEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves every attempt a user made on a given scenario, oldest first.
+   *
+   * @async
+   * @method findHistoryByUserAndScenario
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @returns {Promise<AttemptEntity[]>} The user's attempts in chronological order.
+   * @example
+   * const history = await attemptRepo.findHistoryByUserAndScenario(1, 5);
+   */
+  async findHistoryByUserAndScenario(user_id, scenario_id) {
+    const sql = `
+      SELECT attempt_id, user_id, scenario_id, scenario_version, score, completed_at
+      FROM attempts
+      WHERE user_id = ? AND scenario_id = ?
+      ORDER BY completed_at ASC, attempt_id ASC;
+    `;
+    const [rows] = await pool.query(sql, [user_id, scenario_id]);
+    return rows.map(row => new AttemptEntity(row));
+  }
+
+  /**
+   * Records a new attempt for a user on a scenario.
+   * Earlier attempts are kept, so `attempts` must not have a unique key on
+   * `(user_id, scenario_id)`.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Attempt parameters.
+   * @param {number} params.user_id - The user ID.
+   * @param {number} params.scenario_id - The scenario ID.
+   * @param {number|null} [params.scenario_version] - The version of the scenario that was played.
+   * @param {number} params.score - The score achieved.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<AttemptEntity|null>} The newly inserted attempt.
+   * @example
+   * const attempt = await attemptRepo.create({ user_id: 1, scenario_id: 3, score: 95 });
+   */
+  async create({ user_id, scenario_id, scenario_version = null, score }, db = pool) {
+    const sql = `
+      INSERT INTO attempts (user_id, scenario_id, scenario_version, score)
+      VALUES (?, ?, ?, ?);
+    `;
+    const [result] = await db.query(sql, [user_id, scenario_id, scenario_version, score]);
+    return this.findById(result.insertId, db);
+  }
+
+  /**
+   * Counts the scenarios in a specific level a user has scored 100 on at least once.
+   *
+   * @async
+   * @method countPerfectByUserInLevel
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<number>} The number of perfectly completed scenarios.
+   * @example
+   * const perfectCount = await attemptRepo.countPerfectByUserInLevel(2, 4);
+   */
+  async countPerfectByUserInLevel(user_id, level_id, db = pool) {
+    const sql = `
+      SELECT COUNT(DISTINCT sa.scenario_id) AS perfect_count
+      FROM attempts sa
+      JOIN scenarios s ON s.scenario_id = sa.scenario_id
+      WHERE sa.user_id = ? AND s.level_id = ? AND sa.score = 100;
+    `;
+    const [rows] = await db.query(sql, [user_id, level_id]);
+    return parseInt(rows[0].perfect_count || 0, 10);
+  }
+
+  /**
+   * Counts the total number of scenarios available in a given level.
+   *
+   * @async
+   * @method countScenariosInLevel
+   * @param {number} level_id - The level ID.
+   * @returns {Promise<number>} Total number of scenarios in that level.
+   * @example
+   * const total = await attemptRepo.countScenariosInLevel(1);
+   */
+  async countScenariosInLevel(level_id) {
+    const sql = `SELECT COUNT(*) AS total FROM scenarios WHERE level_id = ?;`;
+    const [rows] = await pool.query(sql, [level_id]);
+    return parseInt(rows[0].total || 0, 10);
+  }
+
+  /**
+   * Retrieves a user's best score per scenario for a specific level.
+   *
+   * @async
+   * @method getUserAttemptsByLevel
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<Array<{scenario_id: number, score: number}>>}
+   * A list of scenario IDs and the best score reached on each.
+   * @example
+   * const attempts = await attemptRepo.getUserAttemptsByLevel(5, 2);
+   */
+  async getUserAttemptsByLevel(user_id, level_id, db = pool) {
+    const sql = `
+      SELECT a.scenario_id, MAX(a.score) AS score
+      FROM attempts a
+      JOIN scenarios s ON a.scenario_id = s.scenario_id
+      WHERE a.user_id = ? AND s.level_id = ?
+      GROUP BY a.scenario_id;
+    `;
+    const [rows] = await db.query(sql, [user_id, level_id]);
+    return rows;
+  }
+}
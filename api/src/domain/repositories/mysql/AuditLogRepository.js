@@ -0,0 +1,74 @@
+import { pool } from "../../../config/db.js";
+import AuditLogEntity from "../../entities/AuditLogEntity.js";
+
+/**
+ * Repository class for the `admin_audit_log` table.
+ *
+ * The log is append-only: entries are created and read, never changed.
+ */
+export class AuditLogRepository {
+  /**
+   * Appends an entry to the audit log.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Entry data.
+   * @param {number} params.actor_id - ID of the admin who performed the action.
+   * @param {string} params.action - Action name (e.g. `attempt.create`).
+   * @param {string|number|null} [params.target_id] - ID of the record acted on.
+   * @param {object|null} [params.details] - Extra details, stored as JSON.
+   * @returns {Promise<number>} The new entry's ID.
+   * @example
+   * await auditLogRepo.create({ actor_id: 1, action: "user_level.delete", target_id: 8 });
+   */
+  async create({ actor_id, action, target_id = null, details = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO admin_audit_log (actor_id, action, target_id, details)
+       VALUES (?, ?, ?, ?);`,
+      [
+        actor_id,
+        action,
+        target_id == null ? null : String(target_id),
+        details ? JSON.stringify(details) : null,
+      ]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Lists audit entries, newest first.
+   *
+   * @async
+   * @method findAll
+   * @param {object} [filters] - Optional filters.
+   * @param {number} [filters.actor_id] - Only entries by this admin.
+   * @param {string} [filters.action] - Only entries with this action.
+   * @param {number} [filters.limit=100] - Maximum number of entries.
+   * @returns {Promise<AuditLogEntity[]>} Matching entries.
+   * @example
+   * const entries = await auditLogRepo.findAll({ action: "user_badge.create", limit: 20 });
+   */
+  async findAll({ actor_id, action, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (actor_id) {
+      where.push("actor_id = ?");
+      params.push(actor_id);
+    }
+    if (action) {
+      where.push("action = ?");
+      params.push(action);
+    }
+    params.push(Number(limit));
+
+    const [rows] = await pool.query(
+      `SELECT audit_id, actor_id, action, target_id, details, created_at
+       FROM admin_audit_log
+       ${where.length ? "WHERE " + where.join(" AND ") : ""}
+       ORDER BY audit_id DESC
+       LIMIT ?;`,
+      params
+    );
+    return rows.map((row) => new AuditLogEntity(row));
+  }
+}
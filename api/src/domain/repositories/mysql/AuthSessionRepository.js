@@ -0,0 +1,186 @@
+import { pool } from "../../../config/db.js";
+import AuthSessionEntity from "../../entities/AuthSessionEntity.js";
+import RefreshTokenEntity from "../../entities/RefreshTokenEntity.js";
+
+/**
+ * Repository class for login sessions and their refresh tokens.
+ *
+ * Manages the `auth_sessions` table (one row per signed-in device) and the
+ * `refresh_tokens` table (one row per issued refresh token, keyed by its
+ * SHA-256 hash, with a foreign key to its session).
+ */
+export class AuthSessionRepository {
+  /**
+   * Creates a new active session.
+   *
+   * @async
+   * @method createSession
+   * @param {object} params - Session data.
+   * @param {string} params.session_id - The session UUID.
+   * @param {number} params.user_id - The signed-in user.
+   * @param {string|null} [params.user_agent] - The client's user agent.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   * @example
+   * await authSessionRepo.createSession({ session_id, user_id: 4, user_agent: "Mozilla/5.0" });
+   */
+  async createSession({ session_id, user_id, user_agent = null }, db = pool) {
+    await db.query(
+      `INSERT INTO auth_sessions (session_id, user_id, user_agent) VALUES (?, ?, ?);`,
+      [session_id, user_id, user_agent ? String(user_agent).slice(0, 255) : null]
+    );
+  }
+
+  /**
+   * Finds a session by its ID.
+   *
+   * @async
+   * @method findSession
+   * @param {string} session_id - The session UUID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<AuthSessionEntity|null>} The session or null if not found.
+   */
+  async findSession(session_id, db = pool) {
+    const [rows] = await db.query(
+      `SELECT session_id, user_id, user_agent, created_at, last_used_at, revoked_at
+       FROM auth_sessions
+       WHERE session_id = ?
+       LIMIT 1;`,
+      [session_id]
+    );
+    return rows.length ? new AuthSessionEntity(rows[0]) : null;
+  }
+
+  /**
+   * Checks whether a session exists and has not been revoked.
+   *
+   * @async
+   * @method isActive
+   * @param {string} session_id - The session UUID.
+   * @returns {Promise<boolean>} True if the session can still be used.
+   */
+  async isActive(session_id) {
+    const [rows] = await pool.query(
+      `SELECT 1 FROM auth_sessions WHERE session_id = ? AND revoked_at IS NULL LIMIT 1;`,
+      [session_id]
+    );
+    return rows.length > 0;
+  }
+
+  /**
+   * Records that a session has just refreshed its tokens.
+   *
+   * @async
+   * @method touchSession
+   * @param {string} session_id - The session UUID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   */
+  async touchSession(session_id, db = pool) {
+    await db.query(
+      `UPDATE auth_sessions SET last_used_at = CURRENT_TIMESTAMP WHERE session_id = ?;`,
+      [session_id]
+    );
+  }
+
+  /**
+   * Revokes one session. Revoking an already revoked session is a no-op.
+   *
+   * @async
+   * @method revokeSession
+   * @param {string} session_id - The session UUID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} True if the session was active and is now revoked.
+   */
+  async revokeSession(session_id, db = pool) {
+    const [result] = await db.query(
+      `UPDATE auth_sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE session_id = ? AND revoked_at IS NULL;`,
+      [session_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Revokes every active session of a user ("log out all devices"),
+   * optionally keeping one.
+   *
+   * @async
+   * @method revokeAllForUser
+   * @param {number} user_id - The user ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @param {string|null} [except_session_id=null] - Session to leave active (e.g. the caller's own).
+   * @returns {Promise<number>} Number of sessions revoked.
+   */
+  async revokeAllForUser(user_id, db = pool, except_session_id = null) {
+    const [result] = await db.query(
+      `UPDATE auth_sessions
+       SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL AND session_id <> ?;`,
+      [user_id, except_session_id ?? ""]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Stores a newly issued refresh token.
+   *
+   * @async
+   * @method addRefreshToken
+   * @param {object} params - Token data.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {string} params.session_id - The session the token belongs to.
+   * @param {Date} params.expires_at - When the token expires.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   */
+  async addRefreshToken({ token_hash, session_id, expires_at }, db = pool) {
+    await db.query(
+      `INSERT INTO refresh_tokens (token_hash, session_id, expires_at) VALUES (?, ?, ?);`,
+      [token_hash, session_id, expires_at]
+    );
+  }
+
+  /**
+   * Finds a refresh token by its hash.
+   *
+   * @async
+   * @method findRefreshToken
+   * @param {string} token_hash - SHA-256 hash of the token.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<RefreshTokenEntity|null>} The token or null if unknown.
+   */
+  async findRefreshToken(token_hash, db = pool) {
+    const [rows] = await db.query(
+      `SELECT token_hash, session_id, expires_at, used_at, created_at
+       FROM refresh_tokens
+       WHERE token_hash = ?
+       LIMIT 1;`,
+      [token_hash]
+    );
+    return rows.length ? new RefreshTokenEntity(rows[0]) : null;
+  }
+
+  /**
+   * Marks a refresh token as used.
+   *
+   * The update only succeeds while the token is unused, so two concurrent
+   * refreshes with the same token cannot both be accepted.
+   *
+   * @async
+   * @method markRefreshTokenUsed
+   * @param {string} token_hash - SHA-256 hash of the token.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} True if this call claimed the token.
+   */
+  async markRefreshTokenUsed(token_hash, db = pool) {
+    const [result] = await db.query(
+      `UPDATE refresh_tokens
+       SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND used_at IS NULL;`,
+      [token_hash]
+    );
+    return result.affectedRows > 0;
+  }
+}
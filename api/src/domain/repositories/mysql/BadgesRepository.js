@@ -1,5 +1,5 @@
-import { pool } from "../../config/db.js";
-import BadgesEntity from "../entities/BadgesEntity.js";
+import { pool } from "../../../config/db.js";
+import BadgesEntity from "../../entities/BadgesEntity.js";
 
 /**
  * Repository class for managing CRUD operations on the `badges` table.
@@ -54,18 +54,19 @@ export class BadgesRepository {
    * @async
    * @method findByLevel
    * @param {number} level_id - The level ID to search for.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<BadgesEntity|null>} The badge entity or null if not found.
    * @example
    * const badge = await badgesRepo.findByLevel(2);
    */
-  async findByLevel(level_id) {
+  async findByLevel(level_id, db = pool) {
     const sql = `
       SELECT badge_id, level_id, name, description, icon_url
       FROM badges
       WHERE level_id = ?
       LIMIT 1;
     `;
-    const [rows] = await pool.query(sql, [level_id]);
+    const [rows] = await db.query(sql, [level_id]);
     return rows.length ? new BadgesEntity(rows[0]) : null;
   }
 
@@ -79,6 +80,7 @@ export class BadgesRepository {
    * @param {string} params.name - The badge name.
    * @param {string} params.description - Description of the badge.
    * @param {string} [params.icon_url] - Optional icon URL for the badge.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<BadgesEntity|null>} The newly created badge entity or null if creation failed.
    * @example
    * const newBadge = await badgesRepo.create({
@@ -88,13 +90,13 @@ export class BadgesRepository {
    *   icon_url: "https://cdn.example.com/icons/master.png"
    * });
    */
-  async create({ level_id, name, description, icon_url }) {
+  async create({ level_id, name, description, icon_url }, db = pool) {
     const sql = `
       INSERT INTO badges (level_id, name, description, icon_url)
       VALUES (?, ?, ?, ?)
       RETURNING badge_id, level_id, name, description, icon_url;
     `;
-    const [rows] = await pool.query(sql, [level_id, name, description, icon_url]);
+    const [rows] = await db.query(sql, [level_id, name, description, icon_url]);
     return rows.length ? new BadgesEntity(rows[0]) : null;
   }
 
@@ -109,6 +111,7 @@ export class BadgesRepository {
    * @param {string} params.name - Updated badge name.
    * @param {string} params.description - Updated badge description.
    * @param {string} [params.icon_url] - Updated badge icon URL.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<BadgesEntity|null>} The updated badge entity or null if not found.
    * @example
    * const updated = await badgesRepo.update(4, {
@@ -118,14 +121,14 @@ export class BadgesRepository {
    *   icon_url: "https://cdn.example.com/icons/expert.png"
    * });
    */
-  async update(id, { level_id, name, description, icon_url }) {
+  async update(id, { level_id, name, description, icon_url }, db = pool) {
     const sql = `
       UPDATE badges
       SET level_id = ?, name = ?, description = ?, icon_url = ?
       WHERE badge_id = ?
       RETURNING badge_id, level_id, name, description, icon_url;
     `;
-    const [rows] = await pool.query(sql, [level_id, name, description, icon_url, id]);
+    const [rows] = await db.query(sql, [level_id, name, description, icon_url, id]);
     return rows.length ? new BadgesEntity(rows[0]) : null;
   }
 
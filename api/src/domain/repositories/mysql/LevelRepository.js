@@ -0,0 +1,244 @@
+// src/domain/repositories/mysql/LevelRepository.js
+import { pool } from "../../../config/db.js";
+import LevelEntity from "../../entities/LevelEntity.js";
+
+/**
+ * Repository class for managing CRUD operations on the `levels` table.
+ *
+ * Handles level data persistence, retrieval, and update logic,
+ * returning all results as {@link LevelEntity} instances for consistency.
+ */
+export class LevelRepository {
+  /**
+   * Retrieves all levels ordered by their difficulty order (ascending).
+   *
+   * @async
+   * @method findAll
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<LevelEntity[]>} A list of all level entities, with their prerequisites.
+   * @example
+   * const levels = await levelRepo.findAll();
+   */
+  async findAll(db = pool) {
+    const sql = `
+      SELECT level_id, slug, title, description, difficulty_order, pass_threshold, completion_rule
+      FROM levels
+      ORDER BY difficulty_order ASC, level_id ASC
+    `;
+    const [rows] = await db.query(sql);
+    const prereqs = await this._prerequisitesByLevel(null, db);
+    return rows.map(
+      r => new LevelEntity({ ...r, prerequisites: prereqs.get(Number(r.level_id)) || [] })
+    );
+  }
+
+  /**
+   * Finds the next level’s ID that comes after the current level.
+   *
+   * @async
+   * @method findNextLevelId
+   * @param {number} currentLevelId - The current level ID.
+   * @returns {Promise<number|null>} The next level ID or null if none exists.
+   * @example
+   * const nextId = await levelRepo.findNextLevelId(2);
+   */
+  async findNextLevelId(currentLevelId) {
+    const [rows] = await pool.query(
+      `SELECT MIN(level_id) AS next_level
+         FROM levels
+        WHERE level_id > ?`,
+      [currentLevelId]
+    );
+    const next = rows?.[0]?.next_level;
+    return next != null ? Number(next) : null;
+  }
+
+  /**
+   * Retrieves a level by its ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The ID of the level to retrieve.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<LevelEntity|null>} The matching level or null if not found.
+   * @example
+   * const level = await levelRepo.findById(1);
+   */
+  async findById(id, db = pool) {
+    const sql = `
+      SELECT level_id, slug, title, description, difficulty_order, pass_threshold, completion_rule
+      FROM levels
+      WHERE level_id = ?
+      LIMIT 1
+    `;
+    const [rows] = await db.query(sql, [id]);
+    if (!rows.length) return null;
+    const prereqs = await this._prerequisitesByLevel([Number(id)], db);
+    return new LevelEntity({ ...rows[0], prerequisites: prereqs.get(Number(id)) || [] });
+  }
+
+  /**
+   * Creates a new level record in the database.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Level creation parameters.
+   * @param {string} params.slug - Stable key of the level (unique).
+   * @param {string} params.title - Title or name of the level.
+   * @param {string} [params.description] - Optional description of the level.
+   * @param {number} params.difficulty_order - The difficulty or order ranking of the level.
+   * @param {number} [params.pass_threshold=100] - Minimum score for a scenario to count as passed.
+   * @param {number[]} [params.prerequisites] - IDs of levels that must be completed first.
+   * @param {object|null} [params.completion_rule] - Completion rule; null uses `pass_threshold` for every scenario.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<LevelEntity>} The newly created level entity.
+   * @example
+   * const newLevel = await levelRepo.create({
+   *   slug: "advanced",
+   *   title: "Advanced",
+   *   description: "High difficulty stage",
+   *   difficulty_order: 3,
+   *   pass_threshold: 80,
+   *   prerequisites: [1, 2]
+   * });
+   */
+  async create(
+    {
+      slug,
+      title,
+      description,
+      difficulty_order,
+      pass_threshold = 100,
+      prerequisites,
+      completion_rule = null,
+    },
+    db = pool
+  ) {
+    const insertSql = `
+      INSERT INTO levels (slug, title, description, difficulty_order, pass_threshold, completion_rule)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    const [result] = await db.query(insertSql, [
+      slug,
+      title,
+      description,
+      difficulty_order,
+      pass_threshold,
+      completion_rule ? JSON.stringify(completion_rule) : null,
+    ]);
+    if (prerequisites) await this.setPrerequisites(result.insertId, prerequisites, db);
+    return this.findById(result.insertId, db);
+  }
+
+  /**
+   * Updates an existing level record.
+   *
+   * @async
+   * @method update
+   * @param {number} id - The ID of the level to update.
+   * @param {object} params - Updated level data.
+   * @param {string} [params.slug] - New slug; unchanged when omitted.
+   * @param {string} params.title - New level title.
+   * @param {string} [params.description] - Updated description.
+   * @param {number} params.difficulty_order - New difficulty or sequence order.
+   * @param {number} [params.pass_threshold] - New pass threshold; unchanged when omitted.
+   * @param {number[]} [params.prerequisites] - New prerequisite list; unchanged when omitted.
+   * @param {object|null} [params.completion_rule] - New completion rule; unchanged when omitted, cleared with null.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<LevelEntity|null>} The updated level entity, or null if not found.
+   * @example
+   * const updated = await levelRepo.update(2, {
+   *   title: "Expert Mode",
+   *   description: "Updated description",
+   *   difficulty_order: 4
+   * });
+   */
+  async update(
+    id,
+    { slug, title, description, difficulty_order, pass_threshold, prerequisites, completion_rule },
+    db = pool
+  ) {
+    const updateSql = `
+      UPDATE levels
+      SET slug = COALESCE(?, slug), title = ?, description = ?, difficulty_order = ?,
+          pass_threshold = COALESCE(?, pass_threshold),
+          completion_rule = IF(?, ?, completion_rule)
+      WHERE level_id = ?
+      LIMIT 1
+    `;
+    const [result] = await db.query(updateSql, [
+      slug ?? null,
+      title,
+      description,
+      difficulty_order,
+      pass_threshold ?? null,
+      completion_rule !== undefined,
+      completion_rule ? JSON.stringify(completion_rule) : null,
+      id,
+    ]);
+    if (result.affectedRows === 0) return null;
+    if (prerequisites) await this.setPrerequisites(id, prerequisites, db);
+    return this.findById(id, db);
+  }
+
+  /**
+   * Replaces the prerequisite list of a level.
+   * @async
+   * @method setPrerequisites
+   * @param {number} level_id - The level whose prerequisites change.
+   * @param {number[]} required_level_ids - Levels that must be completed first (empty to use the default order).
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   * @example
+   * await levelRepo.setPrerequisites(4, [2, 3]);
+   */
+  async setPrerequisites(level_id, required_level_ids, db = pool) {
+    await db.query(`DELETE FROM level_prerequisites WHERE level_id = ?`, [level_id]);
+    if (!required_level_ids.length) return;
+    await db.query(
+      `INSERT INTO level_prerequisites (level_id, required_level_id) VALUES ?`,
+      [required_level_ids.map(req => [level_id, req])]
+    );
+  }
+
+  /**
+   * Loads the prerequisites of some levels, or of every level.
+   * @private
+   * @async
+   * @param {number[]|null} level_ids - Levels to load, or null for all of them.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<Map<number, number[]>>} Required level IDs per level ID.
+   */
+  async _prerequisitesByLevel(level_ids, db = pool) {
+    if (level_ids && !level_ids.length) return new Map();
+    const [rows] = await db.query(
+      `SELECT level_id, required_level_id
+       FROM level_prerequisites
+       ${level_ids ? "WHERE level_id IN (?)" : ""}
+       ORDER BY level_id, required_level_id`,
+      level_ids ? [level_ids] : []
+    );
+    const byLevel = new Map();
+    for (const r of rows) {
+      const id = Number(r.level_id);
+      if (!byLevel.has(id)) byLevel.set(id, []);
+      byLevel.get(id).push(Number(r.required_level_id));
+    }
+    return byLevel;
+  }
+
+  /**
+   * Deletes a level record by its ID.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The ID of the level to delete.
+   * @returns {Promise<boolean>} True if deletion succeeded, false otherwise.
+   * @example
+   * const deleted = await levelRepo.delete(5);
+   */
+  async delete(id) {
+    const [result] = await pool.query(`DELETE FROM levels WHERE level_id = ? LIMIT 1`, [id]);
+    return result.affectedRows > 0;
+  }
+}
@@ -0,0 +1,121 @@
+import { pool } from "../../../config/db.js";
+import RoleEntity from "../../entities/RoleEntity.js";
+
+/**
+ * Repository class for roles and their permissions.
+ *
+ * Manages the `roles` table (one row per role) and the `role_permissions`
+ * table (one row per permission a role grants, cascading on role delete).
+ */
+export class RoleRepository {
+  /**
+   * Retrieves every role with its permissions.
+   *
+   * @async
+   * @method findAll
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<RoleEntity[]>} All roles, ordered by key.
+   * @example
+   * const roles = await roleRepo.findAll();
+   */
+  async findAll(db = pool) {
+    const [roles] = await db.query(
+      `SELECT role, description FROM roles ORDER BY role ASC;`
+    );
+    const [grants] = await db.query(
+      `SELECT role, permission FROM role_permissions;`
+    );
+
+    const byRole = new Map();
+    for (const { role, permission } of grants) {
+      if (!byRole.has(role)) byRole.set(role, []);
+      byRole.get(role).push(permission);
+    }
+    return roles.map(
+      (r) => new RoleEntity({ ...r, permissions: byRole.get(r.role) || [] })
+    );
+  }
+
+  /**
+   * Finds one role with its permissions.
+   *
+   * @async
+   * @method findByRole
+   * @param {string} role - The role key.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<RoleEntity|null>} The role or null if it does not exist.
+   */
+  async findByRole(role, db = pool) {
+    const [rows] = await db.query(
+      `SELECT role, description FROM roles WHERE role = ? LIMIT 1;`,
+      [role]
+    );
+    if (!rows.length) return null;
+
+    const [grants] = await db.query(
+      `SELECT permission FROM role_permissions WHERE role = ?;`,
+      [role]
+    );
+    return new RoleEntity({ ...rows[0], permissions: grants.map((g) => g.permission) });
+  }
+
+  /**
+   * Creates a role or updates its description, then replaces its permissions.
+   * Run it inside a transaction so the permission set never appears half-written.
+   *
+   * @async
+   * @method save
+   * @param {object} params - Role data.
+   * @param {string} params.role - The role key.
+   * @param {string|null} [params.description] - Description (kept when omitted on update).
+   * @param {string[]} params.permissions - The complete set of permissions.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<RoleEntity>} The saved role.
+   * @example
+   * await roleRepo.save({ role: "reviewer", permissions: ["scenario:review"] }, conn);
+   */
+  async save({ role, description, permissions }, db = pool) {
+    await db.query(
+      `INSERT INTO roles (role, description) VALUES (?, ?)
+       ON DUPLICATE KEY UPDATE description = IF(?, VALUES(description), description);`,
+      [role, description ?? null, description !== undefined]
+    );
+    await db.query(`DELETE FROM role_permissions WHERE role = ?;`, [role]);
+    if (permissions.length) {
+      await db.query(
+        `INSERT INTO role_permissions (role, permission) VALUES ?;`,
+        [permissions.map((p) => [role, p])]
+      );
+    }
+    return this.findByRole(role, db);
+  }
+
+  /**
+   * Deletes a role; its permissions go with it.
+   *
+   * @async
+   * @method delete
+   * @param {string} role - The role key.
+   * @returns {Promise<boolean>} True if the role existed.
+   */
+  async delete(role) {
+    const [result] = await pool.query(`DELETE FROM roles WHERE role = ?;`, [role]);
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Counts the users holding a role.
+   *
+   * @async
+   * @method countUsers
+   * @param {string[]} roles - The role key and any legacy aliases of it.
+   * @returns {Promise<number>} Number of users with one of the roles.
+   */
+  async countUsers(roles) {
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) AS count FROM users WHERE role IN (?);`,
+      [roles]
+    );
+    return Number(rows[0].count);
+  }
+}
@@ -1,6 +1,6 @@
-// src/domain/repositories/ScenarioRepository.js
-import { pool } from "../../config/db.js";
-import ScenarioEntity from "../entities/ScenarioEntity.js";
+// src/domain/repositories/mysql/ScenarioRepository.js
+import { pool } from "../../../config/db.js";
+import ScenarioEntity from "../../entities/ScenarioEntity.js";
 
 /**
  * Repository class responsible for managing CRUD operations on the `scenarios` table.
@@ -20,7 +20,7 @@ export class ScenarioRepository {
    */
   async findAll() {
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT scenario_id, level_id, slug, title, description, image_url, status, published_version
       FROM scenarios
       ORDER BY scenario_id DESC;
     `;
@@ -34,17 +34,18 @@ export class ScenarioRepository {
    * @async
    * @method findById
    * @param {number} id - The scenario ID to search for.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<ScenarioEntity|null>} The matching scenario or null if not found.
    * @example
    * const scenario = await scenarioRepo.findById(12);
    */
-  async findById(id) {
+  async findById(id, db = pool) {
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT scenario_id, level_id, slug, title, description, image_url, status, published_version
       FROM scenarios
       WHERE scenario_id = ?;
     `;
-    const [rows] = await pool.query(sql, [id]);
+    const [rows] = await db.query(sql, [id]);
     return rows.length ? new ScenarioEntity(rows[0]) : null;
   }
 
@@ -54,18 +55,19 @@ export class ScenarioRepository {
    * @async
    * @method listByLevel
    * @param {number} level_id - The level ID to filter by.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<ScenarioEntity[]>} A list of scenarios belonging to the given level.
    * @example
    * const levelScenarios = await scenarioRepo.listByLevel(2);
    */
-  async listByLevel(level_id) {
+  async listByLevel(level_id, db = pool) {
     const sql = `
-      SELECT scenario_id, level_id, title, description, image_url
+      SELECT scenario_id, level_id, slug, title, description, image_url, status, published_version
       FROM scenarios
       WHERE level_id = ?
       ORDER BY scenario_id ASC;
     `;
-    const [rows] = await pool.query(sql, [level_id]);
+    const [rows] = await db.query(sql, [level_id]);
     return rows.map(row => new ScenarioEntity(row));
   }
 
@@ -76,25 +78,28 @@ export class ScenarioRepository {
    * @method create
    * @param {object} params - Scenario creation properties.
    * @param {number} params.level_id - ID of the level this scenario belongs to.
+   * @param {string} params.slug - Stable key of the scenario (unique within its level).
    * @param {string} params.title - Title of the scenario.
    * @param {string} [params.description] - Optional scenario description.
    * @param {string} [params.image_url] - Optional URL to an image representing the scenario.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<ScenarioEntity>} The newly created scenario entity.
    * @example
    * const newScenario = await scenarioRepo.create({
    *   level_id: 3,
+   *   slug: "emergency-response-training",
    *   title: "Emergency Response Training",
    *   description: "Handle simulated crisis scenarios effectively.",
    *   image_url: "/images/scenario3.png"
    * });
    */
-  async create({ level_id, title, description, image_url }) {
+  async create({ level_id, slug, title, description, image_url }, db = pool) {
     const insertSql = `
-      INSERT INTO scenarios (level_id, title, description, image_url)
-      VALUES (?, ?, ?, ?);
+      INSERT INTO scenarios (level_id, slug, title, description, image_url)
+      VALUES (?, ?, ?, ?, ?);
     `;
-    const [result] = await pool.query(insertSql, [level_id, title, description, image_url]);
-    return this.findById(result.insertId);
+    const [result] = await db.query(insertSql, [level_id, slug, title, description, image_url]);
+    return this.findById(result.insertId, db);
   }
 
   /**
@@ -105,9 +110,11 @@ export class ScenarioRepository {
    * @param {number} id - The scenario ID to update.
    * @param {object} params - Updated scenario fields.
    * @param {number} params.level_id - Associated level ID.
+   * @param {string} [params.slug] - New slug; unchanged when omitted.
    * @param {string} params.title - Updated title.
    * @param {string} [params.description] - Updated description.
    * @param {string} [params.image_url] - Updated image URL.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<ScenarioEntity|null>} The updated scenario or null if not found.
    * @example
    * const updatedScenario = await scenarioRepo.update(5, {
@@ -117,15 +124,38 @@ export class ScenarioRepository {
    *   image_url: "/assets/scenario5.png"
    * });
    */
-  async update(id, { level_id, title, description, image_url }) {
+  async update(id, { level_id, slug, title, description, image_url }, db = pool) {
     const updateSql = `
       UPDATE scenarios
-      SET level_id = ?, title = ?, description = ?, image_url = ?
+      SET level_id = ?, slug = COALESCE(?, slug), title = ?, description = ?, image_url = ?
       WHERE scenario_id = ?;
     `;
-    const [result] = await pool.query(updateSql, [level_id, title, description, image_url, id]);
+    const [result] = await db.query(updateSql, [level_id, slug ?? null, title, description, image_url, id]);
     if (result.affectedRows === 0) return null;
-    return this.findById(id);
+    return this.findById(id, db);
+  }
+
+  /**
+   * Sets a scenario's workflow status and, when given, the version learners play.
+   *
+   * @async
+   * @method setStatus
+   * @param {number} id - The scenario ID.
+   * @param {"draft"|"review"|"published"} status - The new status.
+   * @param {number} [publishedVersion] - The version to serve; unchanged when omitted.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} False if the scenario does not exist.
+   * @example
+   * await scenarioRepo.setStatus(5, "published", 3, conn);
+   */
+  async setStatus(id, status, publishedVersion, db = pool) {
+    const sql = `
+      UPDATE scenarios
+      SET status = ?, published_version = COALESCE(?, published_version)
+      WHERE scenario_id = ?;
+    `;
+    const [result] = await db.query(sql, [status, publishedVersion ?? null, id]);
+    return result.affectedRows > 0;
   }
 
   /**
@@ -152,13 +182,14 @@ export class ScenarioRepository {
    * @async
    * @method countByLevel
    * @param {number} level_id - The level ID to count scenarios for.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<number>} The total number of scenarios in the specified level.
    * @example
    * const count = await scenarioRepo.countByLevel(4);
    */
-  async countByLevel(level_id) {
+  async countByLevel(level_id, db = pool) {
     const sql = `SELECT COUNT(*) AS total FROM scenarios WHERE level_id = ?;`;
-    const [rows] = await pool.query(sql, [level_id]);
+    const [rows] = await db.query(sql, [level_id]);
     return parseInt(rows[0].total, 10);
   }
 }
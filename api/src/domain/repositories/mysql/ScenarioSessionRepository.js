@@ -0,0 +1,191 @@
+import { pool } from "../../../config/db.js";
+import ScenarioSessionEntity from "../../entities/ScenarioSessionEntity.js";
+import ScenarioSessionAnswerEntity from "../../entities/ScenarioSessionAnswerEntity.js";
+
+/**
+ * Repository class for server-side scenario play sessions.
+ *
+ * Manages the `scenario_sessions` table (one row per run) and the
+ * `scenario_session_answers` table (one row per answered step,
+ * with a primary key on `(session_id, step_id)`).
+ */
+export class ScenarioSessionRepository {
+  /**
+   * Finds a session by its ID.
+   *
+   * @async
+   * @method findById
+   * @param {string} session_id - The session UUID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioSessionEntity|null>} The session or null if not found.
+   * @example
+   * const session = await sessionRepo.findById("6f1c...");
+   */
+  async findById(session_id, db = pool) {
+    const sql = `
+      SELECT session_id, user_id, scenario_id, scenario_version, status, current_step_index,
+             current_step_id, step_started_at, attempt_id, started_at, finished_at
+      FROM scenario_sessions
+      WHERE session_id = ?
+      LIMIT 1;
+    `;
+    const [rows] = await db.query(sql, [session_id]);
+    return rows.length ? new ScenarioSessionEntity(rows[0]) : null;
+  }
+
+  /**
+   * Creates a new active session whose first step is served immediately.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Session data.
+   * @param {string} params.session_id - The session UUID.
+   * @param {number} params.user_id - The user ID.
+   * @param {number} params.scenario_id - The scenario ID.
+   * @param {number} params.scenario_version - The version of the scenario being played.
+   * @param {number} params.current_step_id - The first step of the run.
+   * @param {Date} params.step_started_at - When the first step was served.
+   * @returns {Promise<ScenarioSessionEntity|null>} The created session.
+   * @example
+   * await sessionRepo.create({ session_id, user_id: 1, scenario_id: 3, current_step_id: 7, step_started_at: new Date() });
+   */
+  async create({ session_id, user_id, scenario_id, scenario_version, current_step_id, step_started_at }) {
+    const sql = `
+      INSERT INTO scenario_sessions
+        (session_id, user_id, scenario_id, scenario_version, status, current_step_index, current_step_id, step_started_at)
+      VALUES (?, ?, ?, ?, 'active', 0, ?, ?);
+    `;
+    await pool.query(sql, [session_id, user_id, scenario_id, scenario_version, current_step_id, step_started_at]);
+    return this.findById(session_id);
+  }
+
+  /**
+   * Marks every active session of a user on a scenario as abandoned.
+   * Called when a new run starts so only one session per scenario stays active.
+   *
+   * @async
+   * @method abandonActive
+   * @param {number} user_id - The user ID.
+   * @param {number} scenario_id - The scenario ID.
+   * @returns {Promise<number>} Number of sessions abandoned.
+   */
+  async abandonActive(user_id, scenario_id) {
+    const [result] = await pool.query(
+      `UPDATE scenario_sessions
+       SET status = 'abandoned'
+       WHERE user_id = ? AND scenario_id = ? AND status = 'active';`,
+      [user_id, scenario_id]
+    );
+    return result.affectedRows;
+  }
+
+  /**
+   * Starts the clock for the current step if it has not been served yet.
+   *
+   * @async
+   * @method startCurrentStep
+   * @param {string} session_id - The session UUID.
+   * @param {Date} started_at - When the step was served.
+   * @returns {Promise<boolean>} True if the clock was started by this call.
+   */
+  async startCurrentStep(session_id, started_at) {
+    const [result] = await pool.query(
+      `UPDATE scenario_sessions
+       SET step_started_at = ?
+       WHERE session_id = ? AND status = 'active' AND step_started_at IS NULL;`,
+      [started_at, session_id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Moves a session past the step at `from_index` (the number of steps
+   * answered so far) onto `next_step_id`, the step its branches lead to.
+   *
+   * The update only succeeds while the session is still on that step, so two
+   * concurrent answers for the same step cannot both be accepted.
+   *
+   * @async
+   * @method advance
+   * @param {string} session_id - The session UUID.
+   * @param {number} from_index - The step index being answered.
+   * @param {number|null} next_step_id - The next step, or null when the run ends.
+   * @param {boolean} finished - Whether this was the last step.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} True if the session advanced.
+   */
+  async advance(session_id, from_index, next_step_id, finished, db = pool) {
+    const [result] = await db.query(
+      `UPDATE scenario_sessions
+       SET current_step_index = current_step_index + 1,
+           current_step_id = ?,
+           step_started_at = NULL,
+           status = IF(?, 'completed', status),
+           finished_at = IF(?, CURRENT_TIMESTAMP, finished_at)
+       WHERE session_id = ? AND status = 'active' AND current_step_index = ?;`,
+      [next_step_id, finished, finished, session_id, from_index]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Links a completed session to the attempt it produced.
+   *
+   * @async
+   * @method setAttempt
+   * @param {string} session_id - The session UUID.
+   * @param {number} attempt_id - The recorded attempt ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   */
+  async setAttempt(session_id, attempt_id, db = pool) {
+    await db.query(
+      `UPDATE scenario_sessions SET attempt_id = ? WHERE session_id = ?;`,
+      [attempt_id, session_id]
+    );
+  }
+
+  /**
+   * Records an answer for a step of a session.
+   *
+   * @async
+   * @method addAnswer
+   * @param {object} params - Answer data.
+   * @param {string} params.session_id - The session UUID.
+   * @param {number} params.step_id - The answered step ID.
+   * @param {string|null} params.user_action - The option picked (null on timeout).
+   * @param {boolean} params.is_correct - Whether the answer was correct.
+   * @param {boolean} params.timed_out - Whether the deadline had passed.
+   * @param {number} params.time_taken_ms - Time spent on the step.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   */
+  async addAnswer({ session_id, step_id, user_action, is_correct, timed_out, time_taken_ms }, db = pool) {
+    const sql = `
+      INSERT INTO scenario_session_answers
+        (session_id, step_id, user_action, is_correct, timed_out, time_taken_ms)
+      VALUES (?, ?, ?, ?, ?, ?);
+    `;
+    await db.query(sql, [session_id, step_id, user_action, is_correct, timed_out, time_taken_ms]);
+  }
+
+  /**
+   * Retrieves all answers of a session.
+   *
+   * @async
+   * @method findAnswers
+   * @param {string} session_id - The session UUID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioSessionAnswerEntity[]>} The session's answers.
+   */
+  async findAnswers(session_id, db = pool) {
+    const sql = `
+      SELECT session_id, step_id, user_action, is_correct, timed_out,
+             time_taken_ms, answered_at
+      FROM scenario_session_answers
+      WHERE session_id = ?;
+    `;
+    const [rows] = await db.query(sql, [session_id]);
+    return rows.map(row => new ScenarioSessionAnswerEntity(row));
+  }
+}
@@ -0,0 +1,292 @@
+import { pool } from "../../../config/db.js";
+import ScenarioStepEntity from "../../entities/ScenarioStepEntity.js";
+import { DEFAULT_QUESTION_TYPE } from "../../../utils/questionTypes.js";
+
+/**
+ * Repository class responsible for managing CRUD operations on the `scenario_steps` table.
+ *
+ * Each scenario step represents a question or decision point within a scenario.
+ * This repository provides methods for retrieving, creating, updating, and deleting steps.
+ */
+export class ScenarioStepRepository {
+  /**
+   * Map a step's type, options and answer to the column values that store them.
+   * Multiple-choice steps use the `option_a..option_d` / `correct_action`
+   * columns; other types use the `options_json` / `answer_json` columns.
+   * @private
+   * @param {string} type - Question type.
+   * @param {object|null} options - Step options.
+   * @param {*} answer - Correct answer.
+   * @returns {Array<*>} `[option_a, option_b, option_c, option_d, correct_action, options_json, answer_json]`
+   */
+  _contentColumns(type, options, answer) {
+    if (type === DEFAULT_QUESTION_TYPE) {
+      return [options.A, options.B, options.C, options.D, answer, null, null];
+    }
+    return [
+      null, null, null, null, null,
+      options == null ? null : JSON.stringify(options),
+      JSON.stringify(answer),
+    ];
+  }
+
+  /**
+   * Retrieves all scenario steps from the database.
+   * Mainly used for administrative or debugging purposes.
+   *
+   * @async
+   * @method findAll
+   * @returns {Promise<ScenarioStepEntity[]>} A list of all scenario step entities.
+   * @example
+   * const steps = await scenarioStepRepo.findAll();
+   */
+  async findAll() {
+    const sql = `
+      SELECT step_id, scenario_id, slug, step_order, question_text, type,
+             option_a, option_b, option_c, option_d,
+             correct_action, options_json, answer_json, branches_json, feedback_message
+      FROM scenario_steps
+      ORDER BY scenario_id, step_order ASC;
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(row => new ScenarioStepEntity(row));
+  }
+
+  /**
+   * Retrieves a single scenario step by its unique ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The ID of the step to retrieve.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioStepEntity|null>} The matching step entity, or null if not found.
+   * @example
+   * const step = await scenarioStepRepo.findById(15);
+   */
+  async findById(id, db = pool) {
+    const sql = `
+      SELECT step_id, scenario_id, slug, step_order, question_text, type,
+             option_a, option_b, option_c, option_d,
+             correct_action, options_json, answer_json, branches_json, feedback_message
+      FROM scenario_steps
+      WHERE step_id = ?;
+    `;
+    const [rows] = await db.query(sql, [id]);
+    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves all steps belonging to a specific scenario, ordered by their step order.
+   *
+   * @async
+   * @method findByScenario
+   * @param {number} scenario_id - The ID of the scenario whose steps to fetch.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioStepEntity[]>} A list of step entities for the scenario.
+   * @example
+   * const steps = await scenarioStepRepo.findByScenario(3);
+   */
+  async findByScenario(scenario_id, db = pool) {
+    const sql = `
+      SELECT step_id, scenario_id, slug, step_order, question_text, type,
+             option_a, option_b, option_c, option_d,
+             correct_action, options_json, answer_json, branches_json, feedback_message
+      FROM scenario_steps
+      WHERE scenario_id = ?
+      ORDER BY step_order ASC;
+    `;
+    const [rows] = await db.query(sql, [scenario_id]);
+    return rows.map(row => new ScenarioStepEntity(row));
+  }
+
+  /**
+   * Creates a new scenario step.
+   * @async
+   * @method create
+   * @param {object} params - Step creation parameters.
+   * @param {number} params.scenario_id - ID of the scenario the step belongs to.
+   * @param {string} params.slug - Stable key of the step (unique within its scenario).
+   * @param {number} params.step_order - The sequence order of the step.
+   * @param {string} params.question_text - The question text for this step.
+   * @param {string} [params.type='multiple_choice'] - Question type.
+   * @param {object|null} params.options - Step options; their shape depends on `type`.
+   * @param {*} params.answer - The correct answer; its shape depends on `type`.
+   * @param {Object<string, number|string>|null} [params.branches] - Next step per option or outcome.
+   * @param {string} [params.feedback_message] - Optional feedback to display after answering.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioStepEntity|null>} The newly created step entity or null if creation failed.
+   * @example
+   * const newStep = await scenarioStepRepo.create({
+   *   scenario_id: 1,
+   *   slug: "step-2",
+   *   step_order: 2,
+   *   question_text: "What should you do first?",
+   *   type: "multiple_choice",
+   *   options: { A: "Call for help", B: "Assess the situation", C: "Run", D: "Ignore" },
+   *   answer: "B",
+   *   feedback_message: "Always assess before acting."
+   * });
+   */
+  async create({
+    scenario_id,
+    slug,
+    step_order,
+    question_text,
+    type = DEFAULT_QUESTION_TYPE,
+    options,
+    answer,
+    branches = null,
+    feedback_message,
+  }, db = pool) {
+    const sql = `
+      INSERT INTO scenario_steps (
+        scenario_id, slug, step_order, question_text, type,
+        option_a, option_b, option_c, option_d,
+        correct_action, options_json, answer_json, branches_json, feedback_message
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      RETURNING step_id, scenario_id, slug, step_order, question_text, type,
+                option_a, option_b, option_c, option_d,
+                correct_action, options_json, answer_json, branches_json, feedback_message;
+    `;
+    const [rows] = await db.query(sql, [
+      scenario_id,
+      slug,
+      step_order,
+      question_text,
+      type,
+      ...this._contentColumns(type, options, answer),
+      branches ? JSON.stringify(branches) : null,
+      feedback_message
+    ]);
+    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+  }
+
+  /**
+   * Updates an existing scenario step by its ID.
+   *
+   * @async
+   * @method update
+   * @param {number} id - The ID of the step to update.
+   * @param {object} params - Updated step data.
+   * @param {string} [params.slug] - New slug; unchanged when omitted.
+   * @param {number} params.step_order - Updated step order.
+   * @param {string} params.question_text - Updated question text.
+   * @param {string} [params.type='multiple_choice'] - Updated question type.
+   * @param {object|null} params.options - Updated options.
+   * @param {*} params.answer - Updated correct answer.
+   * @param {Object<string, number|string>|null} [params.branches] - Updated branches; null clears them, omitted keeps them.
+   * @param {string} [params.feedback_message] - Updated feedback message.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioStepEntity|null>} The updated step entity or null if not found.
+   * @example
+   * const updated = await scenarioStepRepo.update(4, {
+   *   step_order: 2,
+   *   question_text: "Check breathing before starting compressions?",
+   *   type: "true_false",
+   *   options: null,
+   *   answer: true,
+   *   feedback_message: "Always check breathing first."
+   * });
+   */
+  async update(id, {
+    slug,
+    step_order,
+    question_text,
+    type = DEFAULT_QUESTION_TYPE,
+    options,
+    answer,
+    branches,
+    feedback_message,
+  }, db = pool) {
+    const sql = `
+      UPDATE scenario_steps
+      SET slug = COALESCE(?, slug),
+          step_order = ?,
+          question_text = ?,
+          type = ?,
+          option_a = ?,
+          option_b = ?,
+          option_c = ?,
+          option_d = ?,
+          correct_action = ?,
+          options_json = ?,
+          answer_json = ?,
+          branches_json = IF(?, ?, branches_json),
+          feedback_message = ?
+      WHERE step_id = ?
+      RETURNING step_id, scenario_id, slug, step_order, question_text, type,
+                option_a, option_b, option_c, option_d,
+                correct_action, options_json, answer_json, branches_json, feedback_message;
+    `;
+    const [rows] = await db.query(sql, [
+      slug ?? null,
+      step_order,
+      question_text,
+      type,
+      ...this._contentColumns(type, options, answer),
+      branches !== undefined,
+      branches ? JSON.stringify(branches) : null,
+      feedback_message,
+      id
+    ]);
+    return rows.length ? new ScenarioStepEntity(rows[0]) : null;
+  }
+
+  /**
+   * Moves steps of a scenario to new orders. `(scenario_id, step_order)` is
+   * unique, so the steps are first parked above every order in use and then
+   * set to their new orders; steps can swap places this way. The new orders
+   * must not be held by steps left out of `orders`.
+   *
+   * @async
+   * @method renumber
+   * @param {number} scenario_id - The scenario the steps belong to.
+   * @param {Array<{step_id: number, step_order: number}>} orders - New order of each step to move.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   * @example
+   * // Swap the first two steps
+   * await scenarioStepRepo.renumber(3, [{ step_id: 11, step_order: 2 }, { step_id: 12, step_order: 1 }], conn);
+   */
+  async renumber(scenario_id, orders, db = pool) {
+    if (!orders.length) return;
+
+    const [[{ top }]] = await db.query(
+      `SELECT COALESCE(MAX(step_order), 0) AS top FROM scenario_steps WHERE scenario_id = ?`,
+      [scenario_id]
+    );
+    const parking = Math.max(top, ...orders.map((o) => o.step_order));
+    const sql = `
+      UPDATE scenario_steps
+      SET step_order = CASE step_id ${orders.map(() => "WHEN ? THEN ?").join(" ")} END
+      WHERE scenario_id = ? AND step_id IN (?);
+    `;
+    for (const offset of [parking, 0]) {
+      await db.query(sql, [
+        ...orders.flatMap((o) => [o.step_id, offset + o.step_order]),
+        scenario_id,
+        orders.map((o) => o.step_id),
+      ]);
+    }
+  }
+
+  /**
+   * Deletes a scenario step from the database.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The ID of the step to delete.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} True if deletion succeeded, false otherwise.
+   * @example
+   * const removed = await scenarioStepRepo.delete(10);
+   */
+  async delete(id, db = pool) {
+    const [result] = await db.query(
+      `DELETE FROM scenario_steps WHERE step_id = ?`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
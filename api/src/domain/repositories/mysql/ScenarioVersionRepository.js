@@ -0,0 +1,113 @@
+import { pool } from "../../../config/db.js";
+import ScenarioVersionEntity from "../../entities/ScenarioVersionEntity.js";
+
+const COLUMNS = `version_id, scenario_id, version, title, description, image_url, steps,
+      note, published_by, published_at`;
+
+/**
+ * Repository class for the `scenario_versions` table: the published,
+ * immutable versions of each scenario.
+ *
+ * Versions are only ever inserted; there is no update or delete.
+ * Results are returned as {@link ScenarioVersionEntity} instances.
+ */
+export class ScenarioVersionRepository {
+  /**
+   * Lists a scenario's versions, newest first.
+   *
+   * @async
+   * @method listByScenario
+   * @param {number} scenario_id - The scenario ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioVersionEntity[]>}
+   * @example
+   * const history = await versionRepo.listByScenario(3);
+   */
+  async listByScenario(scenario_id, db = pool) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM scenario_versions
+      WHERE scenario_id = ?
+      ORDER BY version DESC;
+    `;
+    const [rows] = await db.query(sql, [scenario_id]);
+    return rows.map((row) => new ScenarioVersionEntity(row));
+  }
+
+  /**
+   * Retrieves one version of a scenario.
+   *
+   * @async
+   * @method find
+   * @param {number} scenario_id - The scenario ID.
+   * @param {number} version - The version number.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioVersionEntity|null>} Null if the scenario has no such version.
+   * @example
+   * const v2 = await versionRepo.find(3, 2);
+   */
+  async find(scenario_id, version, db = pool) {
+    const sql = `
+      SELECT ${COLUMNS}
+      FROM scenario_versions
+      WHERE scenario_id = ? AND version = ?;
+    `;
+    const [rows] = await db.query(sql, [scenario_id, version]);
+    return rows.length ? new ScenarioVersionEntity(rows[0]) : null;
+  }
+
+  /**
+   * Highest version number of a scenario.
+   *
+   * @async
+   * @method latestVersion
+   * @param {number} scenario_id - The scenario ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<number>} 0 when the scenario has no version yet.
+   */
+  async latestVersion(scenario_id, db = pool) {
+    const sql = `SELECT MAX(version) AS latest FROM scenario_versions WHERE scenario_id = ?;`;
+    const [rows] = await db.query(sql, [scenario_id]);
+    return Number(rows[0].latest ?? 0);
+  }
+
+  /**
+   * Inserts a version. `(scenario_id, version)` is unique, so two
+   * concurrent publishes of the same number fail with `ER_DUP_ENTRY`.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Version properties.
+   * @param {number} params.scenario_id - The scenario ID.
+   * @param {number} params.version - The version number.
+   * @param {string} params.title - Scenario title.
+   * @param {string|null} [params.description] - Scenario description.
+   * @param {string|null} [params.image_url] - Scenario image URL.
+   * @param {object[]} params.steps - The steps, as `ScenarioStepDTO` records.
+   * @param {string|null} [params.note] - Publisher's note.
+   * @param {number|null} [params.published_by] - ID of the publisher.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<ScenarioVersionEntity>} The stored version.
+   */
+  async create(
+    { scenario_id, version, title, description = null, image_url = null, steps, note = null, published_by = null },
+    db = pool
+  ) {
+    const sql = `
+      INSERT INTO scenario_versions
+        (scenario_id, version, title, description, image_url, steps, note, published_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+    `;
+    await db.query(sql, [
+      scenario_id,
+      version,
+      title,
+      description,
+      image_url,
+      JSON.stringify(steps),
+      note,
+      published_by,
+    ]);
+    return this.find(scenario_id, version, db);
+  }
+}
@@ -0,0 +1,75 @@
+import { pool } from "../../../config/db.js";
+import SecurityEventEntity from "../../entities/SecurityEventEntity.js";
+
+/**
+ * Repository class for the `security_events` table.
+ *
+ * Like the admin audit log, the table is append-only.
+ */
+export class SecurityEventRepository {
+  /**
+   * Appends an event.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Event data.
+   * @param {string} params.type - Event type (e.g. `login.lockout`).
+   * @param {string|null} [params.email] - Account email the event concerns.
+   * @param {string|null} [params.ip] - Client IP address the event concerns.
+   * @param {number|null} [params.actor_id] - Admin who caused the event.
+   * @param {object|null} [params.details] - Extra details, stored as JSON.
+   * @returns {Promise<number>} The new event's ID.
+   * @example
+   * await securityEventRepo.create({ type: "login.lockout", email: "jane@example.com", details: { seconds: 60 } });
+   */
+  async create({ type, email = null, ip = null, actor_id = null, details = null }) {
+    const [result] = await pool.query(
+      `INSERT INTO security_events (type, email, ip, actor_id, details)
+       VALUES (?, ?, ?, ?, ?);`,
+      [type, email, ip, actor_id, details ? JSON.stringify(details) : null]
+    );
+    return result.insertId;
+  }
+
+  /**
+   * Lists events, newest first.
+   *
+   * @async
+   * @method findAll
+   * @param {object} [filters] - Optional filters.
+   * @param {string} [filters.type] - Only events of this type.
+   * @param {string} [filters.email] - Only events concerning this email.
+   * @param {string} [filters.ip] - Only events concerning this IP address.
+   * @param {number} [filters.limit=100] - Maximum number of events.
+   * @returns {Promise<SecurityEventEntity[]>} Matching events.
+   * @example
+   * const lockouts = await securityEventRepo.findAll({ type: "login.lockout", limit: 20 });
+   */
+  async findAll({ type, email, ip, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (type) {
+      where.push("type = ?");
+      params.push(type);
+    }
+    if (email) {
+      where.push("email = ?");
+      params.push(email);
+    }
+    if (ip) {
+      where.push("ip = ?");
+      params.push(ip);
+    }
+    params.push(Number(limit));
+
+    const [rows] = await pool.query(
+      `SELECT event_id, type, email, ip, actor_id, details, created_at
+       FROM security_events
+       ${where.length ? "WHERE " + where.join(" AND ") : ""}
+       ORDER BY event_id DESC
+       LIMIT ?;`,
+      params
+    );
+    return rows.map((row) => new SecurityEventEntity(row));
+  }
+}
@@ -0,0 +1,162 @@
+import { pool } from "../../../config/db.js";
+import StepAttemptEntity from "../../entities/StepAttemptEntity.js";
+
+/**
+ * Repository class responsible for managing the `step_attempts` table.
+ *
+ * Each record stores one answer given during a scenario attempt, which makes
+ * per-question analytics (accuracy, time spent) possible.
+ * Results are returned as {@link StepAttemptEntity} instances.
+ */
+export class StepAttemptRepository {
+  /**
+   * Retrieves all step attempts, most recent first.
+   *
+   * @async
+   * @method findAll
+   * @returns {Promise<StepAttemptEntity[]>} A list of all step attempts.
+   * @example
+   * const stepAttempts = await stepAttemptRepo.findAll();
+   */
+  async findAll() {
+    const sql = `
+      SELECT step_attempt_id, attempt_id, step_id, user_action,
+             is_correct, time_taken_ms, answered_at
+      FROM step_attempts
+      ORDER BY step_attempt_id DESC;
+    `;
+    const [rows] = await pool.query(sql);
+    return rows.map(row => new StepAttemptEntity(row));
+  }
+
+  /**
+   * Finds a step attempt by its ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<StepAttemptEntity|null>} The matching step attempt or null if not found.
+   * @example
+   * const stepAttempt = await stepAttemptRepo.findById(3);
+   */
+  async findById(id) {
+    const sql = `
+      SELECT step_attempt_id, attempt_id, step_id, user_action,
+             is_correct, time_taken_ms, answered_at
+      FROM step_attempts
+      WHERE step_attempt_id = ?;
+    `;
+    const [rows] = await pool.query(sql, [id]);
+    return rows.length ? new StepAttemptEntity(rows[0]) : null;
+  }
+
+  /**
+   * Retrieves all step attempts recorded for a scenario attempt,
+   * ordered by the steps' position in the scenario.
+   *
+   * @async
+   * @method findByAttempt
+   * @param {number} attempt_id - The parent attempt ID.
+   * @returns {Promise<StepAttemptEntity[]>} The step attempts of that attempt.
+   * @example
+   * const answers = await stepAttemptRepo.findByAttempt(12);
+   */
+  async findByAttempt(attempt_id) {
+    const sql = `
+      SELECT sa.step_attempt_id, sa.attempt_id, sa.step_id, sa.user_action,
+             sa.is_correct, sa.time_taken_ms, sa.answered_at
+      FROM step_attempts sa
+      JOIN scenario_steps ss ON ss.step_id = sa.step_id
+      WHERE sa.attempt_id = ?
+      ORDER BY ss.step_order ASC;
+    `;
+    const [rows] = await pool.query(sql, [attempt_id]);
+    return rows.map(row => new StepAttemptEntity(row));
+  }
+
+  /**
+   * Records a single step attempt.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Step attempt data.
+   * @param {number} params.attempt_id - The parent attempt ID.
+   * @param {number} params.step_id - The answered step ID.
+   * @param {string|null} params.user_action - The option picked by the user.
+   * @param {boolean} params.is_correct - Whether the answer was correct.
+   * @param {number|null} [params.time_taken_ms] - Time spent on the step, in milliseconds.
+   * @returns {Promise<StepAttemptEntity|null>} The newly created step attempt.
+   * @example
+   * const stepAttempt = await stepAttemptRepo.create({
+   *   attempt_id: 12,
+   *   step_id: 7,
+   *   user_action: "C",
+   *   is_correct: false,
+   *   time_taken_ms: 8400
+   * });
+   */
+  async create({ attempt_id, step_id, user_action, is_correct, time_taken_ms = null }) {
+    const sql = `
+      INSERT INTO step_attempts (attempt_id, step_id, user_action, is_correct, time_taken_ms)
+      VALUES (?, ?, ?, ?, ?);
+    `;
+    const [result] = await pool.query(sql, [
+      attempt_id,
+      step_id,
+      user_action,
+      is_correct,
+      time_taken_ms,
+    ]);
+    return this.findById(result.insertId);
+  }
+
+  /**
+   * Records several step attempts in a single multi-row INSERT.
+   * Used by the scenario submit flow to store every answer of an attempt at once.
+   *
+   * @async
+   * @method createMany
+   * @param {Array<{attempt_id:number, step_id:number, user_action:(string|null), is_correct:boolean, time_taken_ms?:(number|null)}>} rows
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<number>} The number of inserted rows.
+   * @example
+   * await stepAttemptRepo.createMany([
+   *   { attempt_id: 12, step_id: 7, user_action: "A", is_correct: true, time_taken_ms: 5100 },
+   *   { attempt_id: 12, step_id: 8, user_action: null, is_correct: false, time_taken_ms: 30000 }
+   * ]);
+   */
+  async createMany(rows, db = pool) {
+    if (!rows.length) return 0;
+    const sql = `
+      INSERT INTO step_attempts (attempt_id, step_id, user_action, is_correct, time_taken_ms)
+      VALUES ?;
+    `;
+    const values = rows.map(r => [
+      r.attempt_id,
+      r.step_id,
+      r.user_action,
+      r.is_correct,
+      r.time_taken_ms ?? null,
+    ]);
+    const [result] = await db.query(sql, [values]);
+    return result.affectedRows;
+  }
+
+  /**
+   * Deletes a step attempt by its ID.
+   *
+   * @async
+   * @method delete
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<boolean>} True if the record was deleted, otherwise false.
+   * @example
+   * const deleted = await stepAttemptRepo.delete(5);
+   */
+  async delete(id) {
+    const [result] = await pool.query(
+      "DELETE FROM step_attempts WHERE step_attempt_id = ?",
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+}
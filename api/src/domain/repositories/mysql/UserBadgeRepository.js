@@ -1,5 +1,5 @@
-import { pool } from "../../config/db.js";
-import UserBadgeEntity from "../entities/UserBadgeEntity.js";
+import { pool } from "../../../config/db.js";
+import UserBadgeEntity from "../../entities/UserBadgeEntity.js";
 
 /**
  * Repository class for managing user-badge relationships in the `user_badges` table.
@@ -27,6 +27,27 @@ export class UserBadgeRepository {
     return rows.map(row => new UserBadgeEntity(row));
   }
 
+  /**
+   * Retrieves a user-badge record by its unique ID.
+   *
+   * @async
+   * @method findById
+   * @param {number} user_badge_id - The user-badge record ID.
+   * @returns {Promise<UserBadgeEntity|null>} The matching record or null if not found.
+   * @example
+   * const userBadge = await userBadgeRepo.findById(3);
+   */
+  async findById(user_badge_id) {
+    const sql = `
+      SELECT user_badge_id, user_id, badge_id, earned_at
+      FROM user_badges
+      WHERE user_badge_id = ?
+      LIMIT 1
+    `;
+    const [rows] = await pool.query(sql, [user_badge_id]);
+    return rows.length ? new UserBadgeEntity(rows[0]) : null;
+  }
+
   /**
    * Retrieves all badges earned by a specific user.
    *
@@ -55,18 +76,19 @@ export class UserBadgeRepository {
    * @method findByUserAndBadge
    * @param {number} user_id - The user ID.
    * @param {number} badge_id - The badge ID.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<UserBadgeEntity|null>} The matching record or null if not found.
    * @example
    * const existingBadge = await userBadgeRepo.findByUserAndBadge(2, 10);
    */
-  async findByUserAndBadge(user_id, badge_id) {
+  async findByUserAndBadge(user_id, badge_id, db = pool) {
     const sql = `
       SELECT user_badge_id, user_id, badge_id, earned_at
       FROM user_badges
       WHERE user_id = ? AND badge_id = ?
       LIMIT 1
     `;
-    const [rows] = await pool.query(sql, [user_id, badge_id]);
+    const [rows] = await db.query(sql, [user_id, badge_id]);
     return rows.length ? new UserBadgeEntity(rows[0]) : null;
   }
 
@@ -119,6 +141,34 @@ export class UserBadgeRepository {
     }
   }
 
+  /**
+   * Awards a badge to a user unless they already hold it.
+   *
+   * Relies on the unique key `(user_id, badge_id)` on `user_badges`: the
+   * `INSERT IGNORE` is a no-op when the pair exists, so parallel requests can
+   * never award the same badge twice.
+   *
+   * @async
+   * @method awardOnce
+   * @param {object} params - Award data.
+   * @param {number} params.user_id - The ID of the user earning the badge.
+   * @param {number} params.badge_id - The ID of the badge earned.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<UserBadgeEntity|null>} The new record, or null if the user already had the badge.
+   * @example
+   * const awarded = await userBadgeRepo.awardOnce({ user_id: 1, badge_id: 4 });
+   * if (!awarded) console.log("Badge already earned.");
+   */
+  async awardOnce({ user_id, badge_id }, db = pool) {
+    const sql = `
+      INSERT IGNORE INTO user_badges (user_id, badge_id, earned_at)
+      VALUES (?, ?, NOW())
+    `;
+    const [result] = await db.query(sql, [user_id, badge_id]);
+    if (!result.affectedRows) return null;
+    return this.findByUserAndBadge(user_id, badge_id, db);
+  }
+
   /**
    * Deletes a user-badge record from the database by its unique ID.
    *
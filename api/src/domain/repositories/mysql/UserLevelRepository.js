@@ -1,5 +1,5 @@
-import { pool } from "../../config/db.js";
-import UserLevelEntity from "../entities/UserLevelEntity.js";
+import { pool } from "../../../config/db.js";
+import UserLevelEntity from "../../entities/UserLevelEntity.js";
 
 /**
  * Repository class responsible for managing user progress across levels in the `user_levels` table.
@@ -33,18 +33,19 @@ export class UserLevelRepository {
    * @async
    * @method findByUser
    * @param {number} user_id - The ID of the user whose levels to retrieve.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<UserLevelEntity[]>} A list of levels associated with the user.
    * @example
    * const userLevels = await userLevelRepo.findByUser(3);
    */
-  async findByUser(user_id) {
+  async findByUser(user_id, db = pool) {
     const sql = `
       SELECT user_level_id, user_id, level_id, unlocked, completed
       FROM user_levels
       WHERE user_id = ?
       ORDER BY level_id ASC
     `;
-    const [rows] = await pool.query(sql, [user_id]);
+    const [rows] = await db.query(sql, [user_id]);
     return rows.map((r) => new UserLevelEntity(r));
   }
 
@@ -55,18 +56,19 @@ export class UserLevelRepository {
    * @method findByUserAndLevel
    * @param {number} user_id - The ID of the user.
    * @param {number} level_id - The ID of the level.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<UserLevelEntity|null>} The matching record, or null if not found.
    * @example
    * const record = await userLevelRepo.findByUserAndLevel(2, 5);
    */
-  async findByUserAndLevel(user_id, level_id) {
+  async findByUserAndLevel(user_id, level_id, db = pool) {
     const sql = `
       SELECT user_level_id, user_id, level_id, unlocked, completed
       FROM user_levels
       WHERE user_id = ? AND level_id = ?
       LIMIT 1
     `;
-    const [rows] = await pool.query(sql, [user_id, level_id]);
+    const [rows] = await db.query(sql, [user_id, level_id]);
     return rows.length ? new UserLevelEntity(rows[0]) : null;
   }
 
@@ -168,6 +170,7 @@ export class UserLevelRepository {
    * @param {number} params.level_id - The level ID.
    * @param {boolean} params.unlocked - Whether the level is unlocked.
    * @param {boolean} params.completed - Whether the level is completed.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
    * @returns {Promise<UserLevelEntity>} The inserted or updated user-level entity.
    * @example
    * const progress = await userLevelRepo.upsertProgress({
@@ -177,7 +180,7 @@ export class UserLevelRepository {
    *   completed: false
    * });
    */
-  async upsertProgress({ user_id, level_id, unlocked, completed }) {
+  async upsertProgress({ user_id, level_id, unlocked, completed }, db = pool) {
     // Ensure UNIQUE KEY (user_id, level_id) exists in table
     const sql = `
       INSERT INTO user_levels (user_id, level_id, unlocked, completed)
@@ -186,8 +189,45 @@ export class UserLevelRepository {
         unlocked = VALUES(unlocked),
         completed = VALUES(completed)
     `;
-    await pool.query(sql, [user_id, level_id, unlocked, completed]);
-    return this.findByUserAndLevel(user_id, level_id);
+    await db.query(sql, [user_id, level_id, unlocked, completed]);
+    return this.findByUserAndLevel(user_id, level_id, db);
+  }
+
+  /**
+   * Makes sure a progress row exists for the user and level and locks it
+   * until the surrounding transaction ends. A new row starts locked and an
+   * existing row keeps its flags; unlocking is up to the caller.
+   *
+   * Concurrent scenario submissions for the same user and level queue up on
+   * this row lock, so progress and badge decisions are made one at a time.
+   * Must be called with a transaction connection; on the pool the lock is
+   * released immediately.
+   *
+   * @async
+   * @method lockProgress
+   * @param {number} user_id - The user ID.
+   * @param {number} level_id - The level ID.
+   * @param {import("../../../config/db.js").Queryable} db - Transaction connection to lock with.
+   * @returns {Promise<UserLevelEntity|null>} The locked user-level record.
+   * @example
+   * await withTransaction((conn) => userLevelRepo.lockProgress(2, 3, conn));
+   */
+  async lockProgress(user_id, level_id, db) {
+    await db.query(
+      `INSERT INTO user_levels (user_id, level_id, unlocked, completed)
+       VALUES (?, ?, FALSE, FALSE)
+       ON DUPLICATE KEY UPDATE user_level_id = user_level_id;`,
+      [user_id, level_id]
+    );
+    const [rows] = await db.query(
+      `SELECT user_level_id, user_id, level_id, unlocked, completed
+       FROM user_levels
+       WHERE user_id = ? AND level_id = ?
+       LIMIT 1
+       FOR UPDATE;`,
+      [user_id, level_id]
+    );
+    return rows.length ? new UserLevelEntity(rows[0]) : null;
   }
 
   /**
@@ -1,5 +1,5 @@
-import { pool } from "../../config/db.js";
-import UserEntity from "../entities/UserEntity.js";
+import { pool, withTransaction } from "../../../config/db.js";
+import UserEntity from "../../entities/UserEntity.js";
 
 /**
  * Repository class responsible for managing persistence operations
@@ -21,7 +21,7 @@ export class UserRepository {
    */
   async findAll() {
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, password, role, email_verified_at, created_at
       FROM users
       ORDER BY user_id DESC
     `;
@@ -41,7 +41,7 @@ export class UserRepository {
    */
   async findById(id) {
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, password, role, email_verified_at, created_at
       FROM users
       WHERE user_id = ?
       LIMIT 1
@@ -63,7 +63,7 @@ export class UserRepository {
    */
   async findByEmail(email) {
     const sql = `
-      SELECT user_id, full_name, email, password, role, created_at
+      SELECT user_id, full_name, email, password, role, email_verified_at, created_at
       FROM users
       WHERE email = ?
       LIMIT 1
@@ -84,7 +84,7 @@ export class UserRepository {
    * @param {string} [params.full_name] - The user’s full name.
    * @param {string} params.email - The user’s email address.
    * @param {string} params.password - The user’s hashed password.
-   * @param {string} [params.role="user"] - The user’s assigned role.
+   * @param {string} [params.role="learner"] - The user’s assigned role.
    * @returns {Promise<UserEntity>} The newly created user entity.
    * @example
    * const newUser = await userRepo.create({
@@ -94,7 +94,7 @@ export class UserRepository {
    *   role: "admin"
    * });
    */
-  async create({ name, full_name, email, password, role = "user" }) {
+  async create({ name, full_name, email, password, role = "learner" }) {
     const finalName = full_name ?? name ?? null;
 
     const insertSql = `
@@ -120,7 +120,7 @@ export class UserRepository {
    * @param {string} [params.name] - Alternative name field.
    * @param {string} [params.email] - Updated email.
    * @param {string} [params.password] - Updated (hashed) password.
-   * @param {string} [params.role] - Updated role (e.g., `user`, `admin`).
+   * @param {string} [params.role] - Updated role (e.g., `learner`, `admin`).
    * @returns {Promise<UserEntity|null>} The updated user or null if not found.
    * @example
    * const updatedUser = await userRepo.update(4, {
@@ -156,7 +156,32 @@ export class UserRepository {
   }
 
   /**
-   * Deletes a user record by ID.
+   * Marks a user's email address as verified (keeps the first verification time).
+   *
+   * @async
+   * @method markEmailVerified
+   * @param {number} id - The user ID.
+   * @returns {Promise<boolean>} True if the user exists.
+   * @example
+   * await userRepo.markEmailVerified(4);
+   */
+  async markEmailVerified(id) {
+    const [result] = await pool.query(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+       WHERE user_id = ?`,
+      [id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Deletes a user together with everything that belongs to them: attempts
+   * and their step attempts, scenario sessions and their answers, level
+   * progress, earned badges, login sessions and emailed tokens. Runs in one
+   * transaction, so a failure leaves the account untouched.
+   *
+   * Admin audit entries are kept; they reference the user by ID only.
    *
    * @async
    * @method delete
@@ -167,10 +192,34 @@ export class UserRepository {
    * if (deleted) console.log("User successfully removed.");
    */
   async delete(id) {
-    const [result] = await pool.query(
-      "DELETE FROM users WHERE user_id = ?",
-      [id]
-    );
-    return result.affectedRows > 0;
+    return withTransaction(async (conn) => {
+      await conn.query(
+        `DELETE sa FROM step_attempts sa
+         JOIN attempts a ON a.attempt_id = sa.attempt_id
+         WHERE a.user_id = ?`,
+        [id]
+      );
+      await conn.query("DELETE FROM attempts WHERE user_id = ?", [id]);
+      await conn.query(
+        `DELETE ssa FROM scenario_session_answers ssa
+         JOIN scenario_sessions ss ON ss.session_id = ssa.session_id
+         WHERE ss.user_id = ?`,
+        [id]
+      );
+      await conn.query("DELETE FROM scenario_sessions WHERE user_id = ?", [id]);
+      await conn.query("DELETE FROM user_levels WHERE user_id = ?", [id]);
+      await conn.query("DELETE FROM user_badges WHERE user_id = ?", [id]);
+      await conn.query(
+        `DELETE rt FROM refresh_tokens rt
+         JOIN auth_sessions s ON s.session_id = rt.session_id
+         WHERE s.user_id = ?`,
+        [id]
+      );
+      await conn.query("DELETE FROM auth_sessions WHERE user_id = ?", [id]);
+      await conn.query("DELETE FROM user_tokens WHERE user_id = ?", [id]);
+
+      const [result] = await conn.query("DELETE FROM users WHERE user_id = ?", [id]);
+      return result.affectedRows > 0;
+    });
   }
 }
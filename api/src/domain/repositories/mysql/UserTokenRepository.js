@@ -0,0 +1,91 @@
+import { pool } from "../../../config/db.js";
+import UserTokenEntity from "../../entities/UserTokenEntity.js";
+
+/**
+ * Repository class for the `user_tokens` table: single-use tokens that
+ * verify an email address or reset a password.
+ *
+ * Rows are keyed by the token's hash; the plain token only ever exists in
+ * the email sent to the user.
+ */
+export class UserTokenRepository {
+  /**
+   * Stores a new token.
+   *
+   * @async
+   * @method create
+   * @param {object} params - Token data.
+   * @param {string} params.token_hash - SHA-256 hash of the token.
+   * @param {number} params.user_id - The user the token is issued to.
+   * @param {"verify_email"|"reset_password"} params.purpose - What the token is for.
+   * @param {Date} params.expires_at - Expiry time.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<void>}
+   */
+  async create({ token_hash, user_id, purpose, expires_at }, db = pool) {
+    await db.query(
+      `INSERT INTO user_tokens (token_hash, user_id, purpose, expires_at) VALUES (?, ?, ?, ?);`,
+      [token_hash, user_id, purpose, expires_at]
+    );
+  }
+
+  /**
+   * Finds a token by hash and purpose.
+   *
+   * @async
+   * @method find
+   * @param {string} token_hash - SHA-256 hash of the token.
+   * @param {"verify_email"|"reset_password"} purpose - The expected purpose.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<UserTokenEntity|null>} The token or null if unknown.
+   */
+  async find(token_hash, purpose, db = pool) {
+    const [rows] = await db.query(
+      `SELECT token_hash, user_id, purpose, expires_at, used_at, created_at
+       FROM user_tokens
+       WHERE token_hash = ? AND purpose = ?
+       LIMIT 1;`,
+      [token_hash, purpose]
+    );
+    return rows.length ? new UserTokenEntity(rows[0]) : null;
+  }
+
+  /**
+   * Marks a token as used, unless it already was.
+   * Only one of two concurrent callers gets `true`.
+   *
+   * @async
+   * @method markUsed
+   * @param {string} token_hash - SHA-256 hash of the token.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<boolean>} True if this call consumed the token.
+   */
+  async markUsed(token_hash, db = pool) {
+    const [result] = await db.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND used_at IS NULL;`,
+      [token_hash]
+    );
+    return result.affectedRows > 0;
+  }
+
+  /**
+   * Marks every unused token of a user for one purpose as used, so only the
+   * most recently emailed link keeps working.
+   *
+   * @async
+   * @method invalidateForUser
+   * @param {number} user_id - The user ID.
+   * @param {"verify_email"|"reset_password"} purpose - Which tokens to invalidate.
+   * @param {import("../../../config/db.js").Queryable} [db=pool] - Pool or transaction connection to query with.
+   * @returns {Promise<number>} Number of tokens invalidated.
+   */
+  async invalidateForUser(user_id, purpose, db = pool) {
+    const [result] = await db.query(
+      `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND purpose = ? AND used_at IS NULL;`,
+      [user_id, purpose]
+    );
+    return result.affectedRows;
+  }
+}
@@ -0,0 +1,30 @@
+/**
+ * Mailer that prints messages to the server console instead of sending them.
+ *
+ * Meant for local development: verification and password reset links show
+ * up in the terminal running the API.
+ *
+ * @class ConsoleMailer
+ * @implements {import("./createMailer.js").Mailer}
+ */
+export class ConsoleMailer {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.from] - Sender address shown in the output.
+   */
+  constructor({ from } = {}) {
+    this.from = from;
+  }
+
+  /**
+   * Print a message.
+   * @async
+   * @param {import("./createMailer.js").MailMessage} message - The message to "send".
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text }) {
+    console.log(
+      [`📧 Mail from ${this.from} to ${to}`, `Subject: ${subject}`, "", text, ""].join("\n")
+    );
+  }
+}
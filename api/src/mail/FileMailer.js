@@ -0,0 +1,54 @@
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+
+/**
+ * Mailer that writes each message to a `.eml` file instead of sending it.
+ *
+ * Any mail client can open the files, which makes it easy to check the HTML
+ * version of a message during development or in end-to-end tests.
+ *
+ * @class FileMailer
+ * @implements {import("./createMailer.js").Mailer}
+ */
+export class FileMailer {
+  /**
+   * @param {object} options
+   * @param {string} options.dir - Directory the `.eml` files are written to (created if missing).
+   * @param {string} [options.from] - Sender address.
+   */
+  constructor({ dir, from }) {
+    this.dir = dir;
+    this.from = from;
+  }
+
+  /**
+   * Write a message to `<dir>/<timestamp>-<recipient>.eml`.
+   * @async
+   * @param {import("./createMailer.js").MailMessage} message - The message to store.
+   * @returns {Promise<void>}
+   */
+  async send({ to, subject, text, html }) {
+    const boundary = `simaid-${Date.now().toString(36)}`;
+    const lines = [
+      `From: ${this.from}`,
+      `To: ${to}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      "MIME-Version: 1.0",
+      `Content-Type: multipart/alternative; boundary="${boundary}"`,
+      "",
+      `--${boundary}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "",
+      text,
+    ];
+    if (html) {
+      lines.push("", `--${boundary}`, "Content-Type: text/html; charset=utf-8", "", html);
+    }
+    lines.push("", `--${boundary}--`, "");
+
+    await mkdir(this.dir, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, "-")}-${to.replace(/[^\w.@-]/g, "_")}.eml`;
+    await writeFile(path.join(this.dir, name), lines.join("\r\n"), "utf8");
+  }
+}
@@ -0,0 +1,39 @@
+import nodemailer from "nodemailer";
+
+/**
+ * Mailer that delivers messages through an SMTP server (via nodemailer).
+ *
+ * @class SmtpMailer
+ * @implements {import("./createMailer.js").Mailer}
+ */
+export class SmtpMailer {
+  /**
+   * @param {object} options
+   * @param {string} options.host - SMTP host.
+   * @param {number} [options.port=587] - SMTP port.
+   * @param {boolean} [options.secure=false] - Use TLS from the start (usually with port 465).
+   * @param {string} [options.user] - Login user; omit for servers without authentication.
+   * @param {string} [options.pass] - Login password.
+   * @param {string} [options.from] - Sender address.
+   */
+  constructor({ host, port = 587, secure = false, user, pass, from }) {
+    this.from = from;
+    this.transport = nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      ...(user && { auth: { user, pass } }),
+    });
+  }
+
+  /**
+   * Send a message.
+   * @async
+   * @param {import("./createMailer.js").MailMessage} message - The message to send.
+   * @returns {Promise<void>}
+   * @throws {Error} If the SMTP server rejects the message.
+   */
+  async send({ to, subject, text, html }) {
+    await this.transport.sendMail({ from: this.from, to, subject, text, html });
+  }
+}
@@ -0,0 +1,61 @@
+import { ConsoleMailer } from "./ConsoleMailer.js";
+import { FileMailer } from "./FileMailer.js";
+import { SmtpMailer } from "./SmtpMailer.js";
+
+/**
+ * An outgoing email.
+ * @typedef {object} MailMessage
+ * @property {string} to - Recipient address.
+ * @property {string} subject - Subject line.
+ * @property {string} text - Plain-text body.
+ * @property {string} [html] - HTML body.
+ */
+
+/**
+ * Anything that can deliver a {@link MailMessage}. Services only depend on
+ * this interface, so adapters can be swapped through configuration.
+ * @typedef {object} Mailer
+ * @property {(message: MailMessage) => Promise<void>} send - Deliver a message.
+ */
+
+/**
+ * Create the mailer selected by the environment.
+ *
+ * Environment variables:
+ * - MAIL_TRANSPORT: `console` (default), `file` or `smtp`
+ * - MAIL_FROM: Sender address (default `SimAid <no-reply@simaid.local>`)
+ * - MAIL_DIR: Output directory of the `file` transport (default `./tmp/mail`)
+ * - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS: `smtp` transport settings
+ *
+ * @function createMailer
+ * @param {NodeJS.ProcessEnv} [env=process.env] - Where to read the settings from.
+ * @returns {Mailer} The configured mailer.
+ * @throws {Error} If the transport is unknown or `SMTP_HOST` is missing for `smtp`.
+ *
+ * @example
+ * const mailer = createMailer();
+ * await mailer.send({ to: "jane@example.com", subject: "Hi", text: "Hello!" });
+ */
+export function createMailer(env = process.env) {
+  const from = env.MAIL_FROM || "SimAid <no-reply@simaid.local>";
+  const transport = (env.MAIL_TRANSPORT || "console").toLowerCase();
+
+  switch (transport) {
+    case "console":
+      return new ConsoleMailer({ from });
+    case "file":
+      return new FileMailer({ dir: env.MAIL_DIR || "./tmp/mail", from });
+    case "smtp":
+      if (!env.SMTP_HOST) throw new Error("SMTP_HOST env var is missing");
+      return new SmtpMailer({
+        host: env.SMTP_HOST,
+        port: Number(env.SMTP_PORT) || 587,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from,
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (use console, file or smtp)`);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Escape text for use inside HTML.
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+/**
+ * Build a message with a single call-to-action link.
+ * @param {object} params
+ * @param {string} params.to - Recipient address.
+ * @param {string} params.subject - Subject line.
+ * @param {string} params.name - Recipient's name, for the greeting.
+ * @param {string} params.intro - Sentence explaining why the mail was sent.
+ * @param {string} params.action - Link label.
+ * @param {string} params.link - The link.
+ * @param {string} params.outro - Closing note (expiry, what to do if unexpected).
+ * @returns {import("./createMailer.js").MailMessage}
+ */
+const actionMessage = ({ to, subject, name, intro, action, link, outro }) => ({
+  to,
+  subject,
+  text: `Hi ${name},\n\n${intro}\n\n${action}: ${link}\n\n${outro}\n\n— The SimAid team`,
+  html: `<p>Hi ${escapeHtml(name)},</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(link)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>
+<p>— The SimAid team</p>`,
+});
+
+/**
+ * Email asking a new user to confirm their address.
+ *
+ * @function verificationEmail
+ * @param {object} params
+ * @param {string} params.to - Recipient address.
+ * @param {string} params.name - Recipient's name.
+ * @param {string} params.link - Verification link.
+ * @param {number} params.ttlHours - Hours until the link expires.
+ * @returns {import("./createMailer.js").MailMessage}
+ */
+export const verificationEmail = ({ to, name, link, ttlHours }) =>
+  actionMessage({
+    to,
+    subject: "Verify your SimAid email address",
+    name,
+    intro: "Please confirm your email address to start training with SimAid.",
+    action: "Verify my email",
+    link,
+    outro: `This link expires in ${ttlHours} hours. If you did not create an account, you can ignore this email.`,
+  });
+
+/**
+ * Email with a link to choose a new password.
+ *
+ * @function passwordResetEmail
+ * @param {object} params
+ * @param {string} params.to - Recipient address.
+ * @param {string} params.name - Recipient's name.
+ * @param {string} params.link - Password reset link.
+ * @param {number} params.ttlMinutes - Minutes until the link expires.
+ * @returns {import("./createMailer.js").MailMessage}
+ */
+export const passwordResetEmail = ({ to, name, link, ttlMinutes }) =>
+  actionMessage({
+    to,
+    subject: "Reset your SimAid password",
+    name,
+    intro: "We received a request to reset the password of your SimAid account.",
+    action: "Choose a new password",
+    link,
+    outro: `This link expires in ${ttlMinutes} minutes and can be used once. If you did not ask for a reset, you can ignore this email; your password stays the same.`,
+  });
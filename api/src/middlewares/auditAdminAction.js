@@ -0,0 +1,55 @@
+/**
+ * Creates the `auditAdminAction` middleware factory, which records an admin
+ * override in the audit log.
+ *
+ * The entry is written once the response has been sent, and only if the
+ * action succeeded (status below 400). It stores the admin's ID, the action
+ * name, the target record's ID (the `idParam` path parameter, or `idField`
+ * of the JSON response for creates) and the route params and request body,
+ * with passwords and tokens redacted.
+ *
+ * Must run after `requirePermission`, which sets `req.user`.
+ *
+ * @function createAuditAdminAction
+ * @param {import('../services/AuditLogService.js').AuditLogService} auditLog - Where entries are written.
+ * @returns {(action: string, options?: {idField?: string, idParam?: string}) => import('express').RequestHandler}
+ *   `auditAdminAction(action, options)`: `action` is the action name, `<resource>.<verb>` (e.g.
+ *   `user_level.update`); `options.idField` is the response field holding the ID of a newly created
+ *   record, and `options.idParam` (default `id`) the path parameter holding the target's ID.
+ *
+ * @example
+ * import { createAuditAdminAction } from './middlewares/auditAdminAction.js';
+ *
+ * const auditAdminAction = createAuditAdminAction(auditLogService);
+ * router.post('/', requirePermission('progress:write'), auditAdminAction('user_badge.create', { idField: 'user_badge_id' }), controller.create);
+ */
+export const createAuditAdminAction = (auditLog) => (action, { idField, idParam = 'id' } = {}) => (req, res, next) => {
+  const params = { ...req.params };
+  let payload;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    payload = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) return;
+
+    auditLog
+      .record({
+        actor_id: req.user.id,
+        action,
+        target_id: params[idParam] ?? (idField ? payload?.[idField] : null),
+        details: {
+          method: req.method,
+          path: req.originalUrl,
+          params,
+          body: req.body,
+          status: res.statusCode,
+        },
+      })
+      .catch((err) => console.error('Audit log write failed:', err.message));
+  });
+
+  next();
+};
@@ -1,11 +1,101 @@
-import { AppError } from '../utils/error.js';
+import { AppError, ConflictError, NotFoundError } from '../utils/error.js';
+
+/**
+ * MySQL errors that mean the database cannot be reached, mapped to the
+ * message sent with the 503 response.
+ */
+const mysqlConnectionErrors = {
+  ECONNREFUSED: 'Database connection was refused',
+  PROTOCOL_CONNECTION_LOST: 'Database connection was lost',
+  ER_ACCESS_DENIED_ERROR: 'Database access denied',
+  ER_BAD_DB_ERROR: 'Database not found',
+};
+
+/**
+ * Finds the MySQL error behind an error, following the `cause` chain that
+ * services keep when they wrap repository errors.
+ *
+ * @param {unknown} err - The error passed to the handler.
+ * @returns {{code: string, sqlMessage?: string}|null} The MySQL error, or null.
+ */
+function findDatabaseError(err) {
+  for (let e = err, depth = 0; e && depth < 5; e = e.cause, depth++) {
+    if (typeof e.code === 'string' && (e.code.startsWith('ER_') || mysqlConnectionErrors[e.code])) {
+      return e;
+    }
+  }
+  return null;
+}
+
+/**
+ * Turns whatever reached the handler into an AppError, or null when it is
+ * an unexpected failure that should be reported as a 500.
+ *
+ * @param {unknown} err - The error passed to the handler.
+ * @returns {AppError|null}
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  // Errors raised by express.json() / express.urlencoded() carry their own status
+  if (err?.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, 'INVALID_JSON');
+  }
+  if (err?.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413);
+  }
+
+  const dbError = findDatabaseError(err);
+  if (!dbError) return null;
+
+  if (mysqlConnectionErrors[dbError.code]) {
+    return new AppError(mysqlConnectionErrors[dbError.code], 503, 'DATABASE_UNAVAILABLE');
+  }
+  if (dbError.code === 'ER_DUP_ENTRY') {
+    return new ConflictError('A record with the same unique value already exists', 'DUPLICATE_ENTRY');
+  }
+  if (dbError.code === 'ER_NO_REFERENCED_ROW_2') {
+    return new AppError('A referenced record does not exist', 400, 'INVALID_REFERENCE');
+  }
+  if (dbError.code === 'ER_ROW_IS_REFERENCED_2') {
+    return new ConflictError('The record is still referenced by other records', 'STILL_REFERENCED');
+  }
+  return null;
+}
+
+/**
+ * Express handler for requests that matched no route.
+ *
+ * Registered after every router so unknown paths get the same error
+ * envelope as everything else.
+ *
+ * @function notFoundHandler
+ * @param {import('express').Request} req - The Express request object.
+ * @param {import('express').Response} res - The Express response object.
+ * @param {import('express').NextFunction} next - The Express next middleware function.
+ * @returns {void}
+ */
+export function notFoundHandler(req, res, next) {
+  next(new NotFoundError('Route not found', 'ROUTE_NOT_FOUND'));
+}
 
 /**
  * Global Express error-handling middleware.
  *
- * Centralizes application error responses, ensuring consistent structure and logging.
- * Handles known custom, validation, and MySQL errors gracefully, while providing
- * meaningful feedback to clients and controlled error visibility in development mode.
+ * Every error response of the API goes through here and has the same shape:
+ *
+ * ```json
+ * { "error": true, "code": "VALIDATION_FAILED", "message": "title is required", "details": [...] }
+ * ```
+ *
+ * `code` is stable and meant for programs; `message` is meant for people and
+ * may change. `details` is only present when there is something to add, such
+ * as the fields that failed validation.
+ *
+ * AppErrors keep their status and code. Body-parser and MySQL errors
+ * (duplicate keys, missing foreign keys, lost connections) are mapped to
+ * client or 503 errors, also when a service wrapped them. Anything else is a
+ * 500 whose message is hidden outside development.
  *
  * @function errorHandler
  * @param {Error} err - The error object thrown during route or middleware execution.
@@ -17,83 +107,38 @@ import { AppError } from '../utils/error.js';
  * @example
  * // Usage in Express app
  * import express from 'express';
- * import { errorHandler } from './middlewares/errorHandler.js';
+ * import { errorHandler, notFoundHandler } from './middlewares/errorHandler.js';
  *
  * const app = express();
  * app.use('/api', routes);
+ * app.use(notFoundHandler);
  * app.use(errorHandler); // Always added last
  */
 export function errorHandler(err, req, res, next) {
-  // Log error details with timestamp and request context
-  console.error(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
-  console.error('Error:', err);
-
-  /**
-   * Handle custom application errors thrown using AppError.
-   * Example: throw new AppError('Unauthorized access', 401);
-   */
-  if (err instanceof AppError) {
-    return res.status(err.status).json({
-      error: true,
-      message: err.message,
-    });
-  }
-
-  /**
-   * Handle validation-related errors (e.g., from Joi or express-validator).
-   */
-  if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: true,
-      message: 'Validation Error',
-      details: err.message,
-    });
-  }
+  if (res.headersSent) return next(err);
 
-  /**
-   * Handle MySQL connection-related errors.
-   * Maps specific MySQL error codes to descriptive messages.
-   */
-  const mysqlConnectionErrors = {
-    ECONNREFUSED: 'Database connection was refused',
-    PROTOCOL_CONNECTION_LOST: 'Database connection was lost',
-    ER_ACCESS_DENIED_ERROR: 'Database access denied',
-    ER_BAD_DB_ERROR: 'Database not found',
-  };
+  const appError = toAppError(err);
 
-  if (mysqlConnectionErrors[err.code]) {
-    return res.status(503).json({
-      error: true,
-      message: mysqlConnectionErrors[err.code],
-    });
+  if (!appError || appError.status >= 500) {
+    console.error(`[${new Date().toISOString()}] ${req.method} ${req.originalUrl}`);
+    console.error('Error:', err);
   }
 
-  /**
-   * Handle MySQL constraint violations such as duplicate or foreign key errors.
-   */
-  if (err.code === 'ER_DUP_ENTRY') {
-    return res.status(400).json({
+  if (!appError) {
+    return res.status(500).json({
       error: true,
-      message: 'Duplicate entry',
-      details: err.sqlMessage,
+      code: 'INTERNAL_ERROR',
+      message: 'Internal server error',
+      ...(process.env.NODE_ENV === 'development' && { details: err?.message }),
     });
   }
 
-  if (err.code === 'ER_NO_REFERENCED_ROW_2') {
-    return res.status(400).json({
-      error: true,
-      message: 'Foreign key constraint fails',
-      details: err.sqlMessage,
-    });
-  }
+  if (appError.retryAfter) res.set('Retry-After', String(appError.retryAfter));
 
-  /**
-   * Default fallback for unhandled errors.
-   * Returns a generic 500 error with optional detailed information in development mode.
-   */
-  res.status(500).json({
+  res.status(appError.status).json({
     error: true,
-    message: 'Internal server error',
-    ...(process.env.NODE_ENV === 'development' && { details: err.message }),
+    code: appError.code,
+    message: appError.message,
+    ...(appError.details !== undefined && { details: appError.details }),
   });
 }
@@ -0,0 +1,38 @@
+import { ForbiddenError } from '../utils/error.js';
+
+/**
+ * Creates the `ownerOrPermission` middleware factory, which lets a request
+ * through for the owner of the data, or for a user whose role grants `permission`.
+ *
+ * `resolveOwnerId` tells whose data the request touches: the `user_id` in the
+ * path or query, or the owner of a stored record. When it resolves to
+ * nothing (e.g. no `user_id` filter, or a record that does not exist), only
+ * users holding the permission may continue, so learners cannot probe other
+ * people's IDs.
+ *
+ * Must run after `requireAuth`.
+ *
+ * @function createOwnerOrPermission
+ * @param {import('../services/RoleService.js').RoleService} roleService - Answers the permission checks.
+ * @returns {(permission: string, resolveOwnerId: (req: import('express').Request) => (number|string|null|undefined|Promise<number|string|null|undefined>)) => import('express').RequestHandler}
+ *   `ownerOrPermission(permission, resolveOwnerId)`: `permission` grants access to anyone's data
+ *   (e.g. `progress:read:cohort`), and `resolveOwnerId` returns the ID of the user who owns the requested data.
+ *
+ * @example
+ * import { createOwnerOrPermission } from './middlewares/ownerOrPermission.js';
+ *
+ * const ownerOrPermission = createOwnerOrPermission(roleService);
+ * // Learners may only read their own attempts; instructors may read anyone's
+ * router.get('/user/:user_id/history', requireAuth, ownerOrPermission('progress:read:cohort', (req) => req.params.user_id), controller.history);
+ */
+export const createOwnerOrPermission = (roleService) => (permission, resolveOwnerId) => async (req, res, next) => {
+  try {
+    const ownerId = await resolveOwnerId(req);
+    if (ownerId != null && Number(ownerId) === Number(req.user?.id)) return next();
+    if (await roleService.hasPermission(req.user?.role, permission)) return next();
+  } catch (err) {
+    return next(err);
+  }
+
+  return next(new ForbiddenError('You can only access your own progress', 'NOT_OWNER'));
+};
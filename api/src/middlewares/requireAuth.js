@@ -1,12 +1,13 @@
 import { verifyAccess } from '../utils/jwt.js';
+import { UnauthorizedError } from '../utils/error.js';
 
 /**
- * Express middleware that enforces authentication using a Bearer JWT token.
+ * Creates the Express middleware that enforces authentication using a Bearer JWT token.
  *
  * This middleware verifies the presence and validity of a JWT in the
  * `Authorization` header of incoming requests. If valid, it attaches the decoded
  * user information to `req.user` and allows the request to proceed. Otherwise,
- * it responds with an HTTP `401 Unauthorized` error.
+ * it passes an `UnauthorizedError` (HTTP 401) on to the error handler.
  *
  * Expected header format:
  * ```
@@ -14,49 +15,58 @@ import { verifyAccess } from '../utils/jwt.js';
  * ```
  *
  * The JWT is verified using the `verifyAccess()` utility, which should validate
- * signature, expiration, and claims.
+ * signature, expiration, and claims. The token must also name a login session
+ * (`sid` claim) that has not been revoked by a logout, so logging out takes
+ * effect immediately instead of when the token expires.
  *
- * @function requireAuth
- * @param {import('express').Request} req - The Express request object.
- * @param {import('express').Response} res - The Express response object.
- * @param {import('express').NextFunction} next - The next middleware function.
- * @returns {void}
+ * The app builds it once in `container.js` and hands it to the routers as
+ * `auth.requireAuth`.
+ *
+ * @function createRequireAuth
+ * @param {import('../domain/repositories/mysql/AuthSessionRepository.js').AuthSessionRepository} authSessionRepository - Tells whether a session is still active.
+ * @returns {import('express').RequestHandler} The middleware.
  *
  * @example
  * import express from 'express';
- * import { requireAuth } from './middlewares/requireAuth.js';
+ * import { createRequireAuth } from './middlewares/requireAuth.js';
  *
+ * const requireAuth = createRequireAuth(repositories.authSessions);
  * const router = express.Router();
  *
  * // Protect all routes below this middleware
  * router.use(requireAuth);
  *
  * router.get('/profile', (req, res) => {
- *   res.json({ message: `Welcome user ${req.user.id}`, role: req.user.role });
+ *   res.json({ message: `Welcome user ${req.user.id}`, role: req.user.role, session: req.user.sid });
  * });
  */
-export const requireAuth = (req, res, next) => {
+export const createRequireAuth = (authSessionRepository) => async (req, res, next) => {
   const authHeader = req.headers.authorization || '';
   const [scheme, token] = authHeader.split(' ');
 
   // Ensure proper Bearer token format
   if (scheme !== 'Bearer' || !token) {
-    return res.status(401).json({
-      error: true,
-      message: 'Missing or invalid authorization header',
-    });
+    return next(new UnauthorizedError('Missing or invalid authorization header', 'TOKEN_MISSING'));
   }
 
+  let payload;
   try {
-    // Verify JWT and attach payload to request
-    const payload = verifyAccess(token);
-    req.user = { id: payload.sub, role: payload.role };
-    next();
+    payload = verifyAccess(token);
   } catch (err) {
     // Handle invalid or expired token
-    return res.status(401).json({
-      error: true,
-      message: 'Invalid or expired token',
-    });
+    return next(new UnauthorizedError('Invalid or expired token', 'TOKEN_INVALID'));
+  }
+
+  try {
+    // Tokens issued before sessions existed carry no sid and are rejected too
+    if (!payload.sid || !(await authSessionRepository.isActive(payload.sid))) {
+      return next(new UnauthorizedError('Session has been revoked', 'SESSION_REVOKED'));
+    }
+  } catch (err) {
+    return next(err);
   }
+
+  // Attach payload to request
+  req.user = { id: payload.sub, role: payload.role, sid: payload.sid };
+  next();
 };
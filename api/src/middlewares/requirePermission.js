@@ -0,0 +1,36 @@
+import { ForbiddenError } from '../utils/error.js';
+
+/**
+ * Creates the `requirePermission` middleware factory, which authenticates the
+ * request and checks that the user's role grants a permission.
+ *
+ * It runs `requireAuth` first (401 without a valid, unrevoked access token),
+ * then fails with a `ForbiddenError` (403) if the role lacks the permission. The
+ * `admin` role passes every check. Which role grants what is stored in the
+ * database and managed through `/api/roles`.
+ *
+ * @function createRequirePermission
+ * @param {import('express').RequestHandler} requireAuth - The middleware from `createRequireAuth`.
+ * @param {import('../services/RoleService.js').RoleService} roleService - Answers the permission checks.
+ * @returns {(permission: string) => import('express').RequestHandler}
+ *   Takes the permission required, e.g. `scenario:write`, and returns the middleware.
+ *
+ * @example
+ * import { createRequirePermission } from './middlewares/requirePermission.js';
+ *
+ * const requirePermission = createRequirePermission(requireAuth, roleService);
+ * router.post('/levels', requirePermission('level:write'), controller.create);
+ */
+export const createRequirePermission = (requireAuth, roleService) => (permission) => (req, res, next) =>
+  requireAuth(req, res, async (err) => {
+    if (err) return next(err);
+
+    try {
+      if (!(await roleService.hasPermission(req.user.role, permission))) {
+        return next(new ForbiddenError(`Missing permission: ${permission}`, 'MISSING_PERMISSION'));
+      }
+    } catch (e) {
+      return next(e);
+    }
+    next();
+  });
@@ -1,7 +1,4 @@
 import { Router } from "express";
-import { AttemptRepository } from "../domain/repositories/AttemptRepository.js";
-import { AttemptService } from "../services/AttemptService.js";
-import { AttemptController } from "../Controllers/AttemptController.js";
 import { body, param } from "express-validator";
 
 /**
@@ -9,31 +6,24 @@ import { body, param } from "express-validator";
  *
  * This module defines endpoints for managing user attempts within scenarios,
  * including listing all attempts, retrieving attempts by user or scenario,
- * and saving new or updated scores.
+ * reading a user's attempt history, and recording new scores.
  *
- * It composes the route layer by connecting:
- * - Repository (`AttemptRepository`): database access
- * - Service (`AttemptService`): business logic
- * - Controller (`AttemptController`): request handling and responses
+ * Learners can only read their own attempts. Attempts are recorded by the
+ * server when a scenario is submitted (`POST /scenarios/:id/submit`);
+ * `POST /attempts` is an admin override recorded in the audit log.
+ *
+ * The attempt repository is only used to find whose attempt a request
+ * touches; everything else goes through `AttemptController`.
  *
  * @module attemptRoutes
  *
  * @example
  * import express from "express";
- * import { attemptRoutes } from "./routes/attemptRoutes.js";
+ * import { createAttemptRoutes } from "./routes/attemptRoutes.js";
  *
  * const app = express();
- * app.use("/attempts", attemptRoutes);
- */
-const repo = new AttemptRepository();
-const service = new AttemptService(repo);
-const controller = new AttemptController(service);
-
-/**
- * Express Router instance for attempt routes.
- * @type {import('express').Router}
+ * app.use("/attempts", createAttemptRoutes(container));
  */
-export const attemptRoutes = Router();
 
 /**
  * Validation middleware for the `id` route parameter.
@@ -44,7 +34,7 @@ const idParam = [
 ];
 
 /**
- * Validation middleware for creating or updating attempts.
+ * Validation middleware for recording attempts.
  * Validates that:
  * - `user_id` and `scenario_id` are positive integers.
  * - `score` is an integer between 0 and 100.
@@ -62,40 +52,108 @@ const upsertAttempt = [
 ];
 
 /**
- * 📋 Attempt Routes
- *
- * @route GET /attempts
- * @summary Retrieve all attempts (admin/debug).
- *
- * @route GET /attempts/:id
- * @summary Retrieve a single attempt by ID.
- * @param {number} id - Attempt ID.
- *
- * @route GET /attempts/user/:user_id/scenario/:scenario_id
- * @summary Retrieve a specific user's attempt for a given scenario.
- * @param {number} user_id - User ID.
- * @param {number} scenario_id - Scenario ID.
- *
- * @route GET /attempts/user/:user_id/level/:level_id
- * @summary Retrieve all attempts by user for a given level.
- * @param {number} user_id - User ID.
- * @param {number} level_id - Level ID.
- *
- * @route POST /attempts
- * @summary Create or update an attempt score (upsert behavior).
- * @bodyParam {number} user_id - The user's ID.
- * @bodyParam {number} scenario_id - The associated scenario ID.
- * @bodyParam {number} score - Score between 0 and 100.
+ * Build the attempt router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-attemptRoutes.get(
-  "/user/:user_id/level/:level_id",
-  controller.getUserAttemptsByLevel
-);
+export function createAttemptRoutes({ controllers, repositories, auth }) {
+  const { requireAuth, requirePermission, ownerOrPermission, auditAdminAction } = auth;
+  const controller = controllers.attempts;
+  const repo = repositories.attempts;
+
+  /**
+   * Owner of a stored attempt.
+   * @param {import('express').Request} req
+   * @returns {Promise<number|undefined>}
+   */
+  const recordOwner = async (req) => (await repo.findById(req.params.id))?.user_id;
+
+  /**
+   * Owner named by the `:user_id` path parameter.
+   * @param {import('express').Request} req
+   * @returns {string}
+   */
+  const pathUser = (req) => req.params.user_id;
+
+  /**
+   * Express Router instance for attempt routes.
+   * @type {import('express').Router}
+   */
+  const attemptRoutes = Router();
+
+  /**
+   * 📋 Attempt Routes
+   *
+   * Every route requires authentication (`requireAuth`).
+   *
+   * @route GET /attempts
+   * @summary Retrieve all attempts.
+   * @access Roles granting `progress:read:cohort`
+   *
+   * @route GET /attempts/:id
+   * @summary Retrieve a single attempt by ID.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @param {number} id - Attempt ID.
+   *
+   * @route GET /attempts/user/:user_id/scenario/:scenario_id
+   * @summary Retrieve a user's best attempt for a given scenario.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @param {number} user_id - User ID.
+   * @param {number} scenario_id - Scenario ID.
+   *
+   * @route GET /attempts/user/:user_id/scenario/:scenario_id/history
+   * @summary Retrieve every attempt a user made on a given scenario, oldest first.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @param {number} user_id - User ID.
+   * @param {number} scenario_id - Scenario ID.
+   *
+   * @route GET /attempts/user/:user_id/level/:level_id
+   * @summary Retrieve a user's best score per scenario for a given level.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @param {number} user_id - User ID.
+   * @param {number} level_id - Level ID.
+   *
+   * @route POST /attempts
+   * @summary Record an attempt manually (earlier attempts are kept).
+   * @access Roles granting `progress:write` (audited as `attempt.create`)
+   * @bodyParam {number} user_id - The user's ID.
+   * @bodyParam {number} scenario_id - The associated scenario ID.
+   * @bodyParam {number} score - Score between 0 and 100.
+   */
+  attemptRoutes.get(
+    "/user/:user_id/level/:level_id",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", pathUser),
+    controller.getUserAttemptsByLevel
+  );
+
+  attemptRoutes.get("/", requirePermission("progress:read:cohort"), controller.list);
+  attemptRoutes.get(
+    "/:id",
+    requireAuth,
+    idParam,
+    ownerOrPermission("progress:read:cohort", recordOwner),
+    controller.get
+  );
+  attemptRoutes.get(
+    "/user/:user_id/scenario/:scenario_id",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", pathUser),
+    controller.getUserAttempt
+  );
+  attemptRoutes.get(
+    "/user/:user_id/scenario/:scenario_id/history",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", pathUser),
+    controller.getUserAttemptHistory
+  );
+  attemptRoutes.post(
+    "/",
+    requirePermission("progress:write"),
+    auditAdminAction("attempt.create", { idField: "attempt_id" }),
+    upsertAttempt,
+    controller.save
+  );
 
-attemptRoutes.get("/", controller.list);
-attemptRoutes.get("/:id", idParam, controller.get);
-attemptRoutes.get(
-  "/user/:user_id/scenario/:scenario_id",
-  controller.getUserAttempt
-);
-attemptRoutes.post("/", upsertAttempt, controller.save);
+  return attemptRoutes;
+}
@@ -0,0 +1,65 @@
+import { Router } from "express";
+import { query } from "express-validator";
+
+/**
+ * Express router module for the admin audit log.
+ *
+ * Entries are written by the `auditAdminAction` middleware on the admin
+ * override endpoints of user levels, user badges, attempts and step attempts;
+ * this router only reads them.
+ *
+ * @module auditLogRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { createAuditLogRoutes } from "./routes/auditLogRoutes.js";
+ *
+ * const app = express();
+ * app.use("/audit-log", createAuditLogRoutes(container));
+ */
+
+/**
+ * Validation middleware for the audit log filters.
+ */
+const listFilters = [
+  query("actor_id").optional().isInt({ gt: 0 }).withMessage("actor_id must be a positive integer"),
+  query("action").optional().isString().isLength({ max: 64 }).withMessage("action must be a string"),
+  query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("limit must be between 1 and 500"),
+];
+
+/**
+ * Build the audit log router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
+ */
+export function createAuditLogRoutes({ controllers, auth }) {
+  const { requirePermission } = auth;
+  const controller = controllers.auditLog;
+
+  /**
+   * Express Router instance for audit log routes.
+   * @type {import('express').Router}
+   */
+  const auditLogRoutes = Router();
+
+  /**
+   * @route GET /audit-log
+   * @summary List admin overrides, newest first.
+   * @access Roles granting `audit:read` (admin always)
+   * @middleware requirePermission - Requires `audit:read`.
+   * @queryParam {number} [actor_id] - Only entries by this admin.
+   * @queryParam {string} [action] - Only entries with this action (e.g. `user_badge.create`).
+   * @queryParam {number} [limit=100] - Maximum number of entries (1–500).
+   * @returns {AuditLog[]} 200 - Audit entries.
+   * @example
+   * GET /audit-log?action=user_level.upsert
+   * Response: [{
+   *   audit_id: 12, actor_id: 1, action: "user_level.upsert", target_id: null,
+   *   details: { method: "POST", path: "/api/user-levels/upsert", params: {}, body: { user_id: 4, level_id: 2, unlocked: true }, status: 200 },
+   *   created_at: "2025-03-10T14:00:00Z"
+   * }]
+   */
+  auditLogRoutes.get("/", requirePermission("audit:read"), listFilters, controller.list);
+
+  return auditLogRoutes;
+}
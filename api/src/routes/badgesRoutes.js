@@ -1,10 +1,5 @@
 import { Router } from "express";
-import { BadgesRepository } from "../domain/repositories/BadgesRepository.js";
-import { BadgesService } from "../services/BadgesService.js";
-import { BadgesController } from "../controllers/BadgesController.js";
 import { idParam, upsertBadge } from "../validators/badgeValidator.js";
-import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
 
 /**
  * Express router module for managing badge-related API routes.
@@ -17,109 +12,114 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  *
  * @example
  * import express from "express";
- * import { badgeRoutes } from "./routes/badgeRoutes.js";
+ * import { createBadgeRoutes } from "./routes/badgeRoutes.js";
  *
  * const app = express();
- * app.use("/badges", badgeRoutes);
+ * app.use("/badges", createBadgeRoutes(container));
  */
-const repo = new BadgesRepository();
-const service = new BadgesService(repo);
-const controller = new BadgesController(service);
 
 /**
- * Express Router instance for badge routes.
- * @type {import('express').Router}
+ * Build the badge router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const badgeRoutes = Router();
+export function createBadgeRoutes({ controllers, auth }) {
+  const { requirePermission } = auth;
+  const controller = controllers.badges;
 
-/*
-|--------------------------------------------------------------------------
-| PUBLIC ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Express Router instance for badge routes.
+   * @type {import('express').Router}
+   */
+  const badgeRoutes = Router();
 
-/**
- * @route GET /badges
- * @summary Retrieve a list of all available badges.
- * @access Public
- * @returns {Badge[]} 200 - A list of badges.
- * @example
- * GET /badges
- * Response: [{ badge_id: 1, name: "Explorer", level_id: 2, ... }]
- */
-badgeRoutes.get("/", controller.list);
+  /*
+  |--------------------------------------------------------------------------
+  | PUBLIC ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route GET /badges/:id
- * @summary Retrieve a specific badge by its ID.
- * @access Public
- * @param {number} id - The badge ID.
- * @returns {Badge} 200 - Badge details.
- * @example
- * GET /badges/3
- * Response: { badge_id: 3, name: "Master", description: "Completed all levels" }
- */
-badgeRoutes.get("/:id", idParam, controller.get);
+  /**
+   * @route GET /badges
+   * @summary Retrieve a list of all available badges.
+   * @access Public
+   * @returns {Badge[]} 200 - A list of badges.
+   * @example
+   * GET /badges
+   * Response: [{ badge_id: 1, name: "Explorer", level_id: 2, ... }]
+   */
+  badgeRoutes.get("/", controller.list);
 
-/*
-|--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /badges/:id
+   * @summary Retrieve a specific badge by its ID.
+   * @access Public
+   * @param {number} id - The badge ID.
+   * @returns {Badge} 200 - Badge details.
+   * @example
+   * GET /badges/3
+   * Response: { badge_id: 3, name: "Master", description: "Completed all levels" }
+   */
+  badgeRoutes.get("/:id", idParam, controller.get);
 
-/**
- * @route POST /badges
- * @summary Create a new badge (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Ensures the user has admin privileges.
- * @middleware upsertBadge - Validates request body fields.
- * @bodyParam {string} name - The name of the badge.
- * @bodyParam {string} description - Description of the badge.
- * @bodyParam {number} level_id - Associated level ID.
- * @bodyParam {string} [icon_url] - Optional icon URL.
- * @returns {Badge} 201 - The created badge entity.
- * @example
- * POST /badges
- * Body: { "level_id": 3, "name": "Pro Explorer", "description": "Completed level 3" }
- */
-badgeRoutes.post("/", requireAuth, isAdmin, upsertBadge, controller.create);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN-PROTECTED ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route PUT /badges/:id
- * @summary Update an existing badge (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Ensures admin privileges.
- * @middleware idParam - Validates badge ID.
- * @middleware upsertBadge - Validates request body.
- * @param {number} id - The badge ID to update.
- * @bodyParam {string} [name] - New badge name.
- * @bodyParam {string} [description] - New description.
- * @bodyParam {number} [level_id] - Updated level ID.
- * @bodyParam {string} [icon_url] - Updated icon URL.
- * @returns {Badge} 200 - The updated badge entity.
- * @example
- * PUT /badges/2
- * Body: { "name": "Elite Performer", "icon_url": "/icons/elite.png" }
- */
-badgeRoutes.put(
-  "/:id",
-  requireAuth,
-  isAdmin,
-  [...idParam, ...upsertBadge],
-  controller.update
-);
+  /**
+   * @route POST /badges
+   * @summary Create a new badge (admin-only).
+   * @access Roles granting `badge:write` (admin always)
+   * @middleware requirePermission - Requires `badge:write`.
+   * @middleware upsertBadge - Validates request body fields.
+   * @bodyParam {string} name - The name of the badge.
+   * @bodyParam {string} description - Description of the badge.
+   * @bodyParam {number} level_id - Associated level ID.
+   * @bodyParam {string} [icon_url] - Optional icon URL, or a path such as `/assets/badge1.jpg`.
+   * @returns {Badge} 201 - The created badge entity.
+   * @example
+   * POST /badges
+   * Body: { "level_id": 3, "name": "Pro Explorer", "description": "Completed level 3" }
+   */
+  badgeRoutes.post("/", requirePermission("badge:write"), upsertBadge, controller.create);
 
-/**
- * @route DELETE /badges/:id
- * @summary Delete a badge by its ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
- * @param {number} id - The badge ID.
- * @returns {void} 204 - Successfully deleted, no content.
- * @example
- * DELETE /badges/4
- */
-badgeRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+  /**
+   * @route PUT /badges/:id
+   * @summary Update an existing badge (admin-only).
+   * @access Roles granting `badge:write` (admin always)
+   * @middleware requirePermission - Requires `badge:write`.
+   * @middleware idParam - Validates badge ID.
+   * @middleware upsertBadge - Validates request body.
+   * @param {number} id - The badge ID to update.
+   * @bodyParam {string} [name] - New badge name.
+   * @bodyParam {string} [description] - New description.
+   * @bodyParam {number} [level_id] - Updated level ID.
+   * @bodyParam {string} [icon_url] - Updated icon URL.
+   * @returns {Badge} 200 - The updated badge entity.
+   * @example
+   * PUT /badges/2
+   * Body: { "name": "Elite Performer", "icon_url": "/icons/elite.png" }
+   */
+  badgeRoutes.put(
+    "/:id",
+    requirePermission("badge:write"),
+    [...idParam, ...upsertBadge],
+    controller.update
+  );
+
+  /**
+   * @route DELETE /badges/:id
+   * @summary Delete a badge by its ID (admin-only).
+   * @access Roles granting `badge:write` (admin always)
+   * @middleware requirePermission - Requires `badge:write`.
+   * @param {number} id - The badge ID.
+   * @returns {void} 204 - Successfully deleted, no content.
+   * @example
+   * DELETE /badges/4
+   */
+  badgeRoutes.delete("/:id", requirePermission("badge:write"), idParam, controller.delete);
+
+  return badgeRoutes;
+}
@@ -0,0 +1,59 @@
+import express, { Router } from "express";
+import { importPack } from "../validators/contentValidator.js";
+
+/**
+ * Express router module for content packs: whole levels moved between
+ * environments as versioned JSON or YAML files. Levels are exported from
+ * `GET /levels/:id/export` (see `levelRoutes.js`).
+ *
+ * @module contentRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { createContentRoutes } from "./routes/contentRoutes.js";
+ *
+ * const app = express();
+ * app.use("/content", createContentRoutes(container));
+ */
+
+/**
+ * Build the content pack router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
+ */
+export function createContentRoutes({ controllers, auth }) {
+  const { requirePermission, auditAdminAction } = auth;
+  const controller = controllers.contentPacks;
+
+  /**
+   * Express Router instance for content pack routes.
+   * @type {import('express').Router}
+   */
+  const contentRoutes = Router();
+
+  /**
+   * @route POST /content/import
+   * @summary Import a level with its badge, scenarios and steps from a content pack.
+   * @access Roles granting `content:import` (admin always)
+   * @middleware requirePermission - Requires `content:import`.
+   * @middleware auditAdminAction - Records the import in the audit log.
+   * @middleware importPack - Validates the query string.
+   * @queryParam {boolean} [dry_run=false] - Report the changes without keeping them.
+   * @body The pack, as `application/json` or as YAML (`application/yaml`, `text/yaml`, `text/plain`).
+   * @returns {object} 200 - `{ dry_run, level_id, slug, summary: { create, update, delete, unchanged }, changes: [{ type, action, key, id, changes? }] }`.
+   * @returns {object} 400 - The pack cannot be read or is invalid (`details` lists every problem), or a prerequisite is unknown.
+   * @example
+   * POST /content/import?dry_run=true
+   * Body: { "format": "simaid-content-pack", "version": 1, "level": { "slug": "basics", ... } }
+   */
+  contentRoutes.post(
+    "/import",
+    requirePermission("content:import"),
+    auditAdminAction("content.import", { idField: "level_id" }),
+    express.text({ type: ["application/yaml", "application/x-yaml", "text/yaml", "text/plain"], limit: "1mb" }),
+    importPack,
+    controller.importPack
+  );
+
+  return contentRoutes;
+}
@@ -1,10 +1,6 @@
 import { Router } from "express";
-import { LevelRepository } from "../domain/repositories/LevelRepository.js";
-import { LevelService } from "../services/LevelService.js";
-import { LevelController } from "../controllers/LevelController.js";
 import { idParam, upsertLevel } from "../validators/levelValidator.js";
-import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import { exportLevel } from "../validators/contentValidator.js";
 
 /**
  * Express router module for managing game or course levels.
@@ -16,107 +12,156 @@ import { isAdmin } from "../middlewares/isAdmin.js";
  *
  * @example
  * import express from "express";
- * import { levelRoutes } from "./routes/levelRoutes.js";
+ * import { createLevelRoutes } from "./routes/levelRoutes.js";
  *
  * const app = express();
- * app.use("/levels", levelRoutes);
+ * app.use("/levels", createLevelRoutes(container));
  */
-const repo = new LevelRepository();
-const service = new LevelService(repo);
-const controller = new LevelController(service);
 
 /**
- * Express Router instance for level routes.
- * @type {import('express').Router}
+ * Build the level router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const levelRoutes = Router();
+export function createLevelRoutes({ controllers, auth }) {
+  const { requireAuth, requirePermission } = auth;
+  const controller = controllers.levels;
 
-/*
-|--------------------------------------------------------------------------
-| PUBLIC ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Express Router instance for level routes.
+   * @type {import('express').Router}
+   */
+  const levelRoutes = Router();
 
-/**
- * @route GET /levels
- * @summary Retrieve a list of all available levels.
- * @access Public
- * @returns {Level[]} 200 - List of level entities.
- * @example
- * GET /levels
- * Response: [{ level_id: 1, title: "Beginner", description: "Introduction level" }]
- */
-levelRoutes.get("/", controller.list);
+  /*
+  |--------------------------------------------------------------------------
+  | PUBLIC ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route GET /levels/:id
- * @summary Retrieve details of a specific level by its ID.
- * @access Public
- * @param {number} id - The level ID.
- * @returns {Level} 200 - The level details.
- * @example
- * GET /levels/3
- * Response: { level_id: 3, title: "Advanced", description: "High difficulty level" }
- */
-levelRoutes.get("/:id", idParam, controller.get);
+  /**
+   * @route GET /levels
+   * @summary Retrieve a list of all available levels.
+   * @access Public
+   * @returns {Level[]} 200 - List of level entities.
+   * @example
+   * GET /levels
+   * Response: [{ level_id: 1, title: "Beginner", description: "Introduction level", difficulty_order: 1, pass_threshold: 100, prerequisites: [] }]
+   */
+  levelRoutes.get("/", controller.list);
 
-/*
-|--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /levels/:id
+   * @summary Retrieve details of a specific level by its ID.
+   * @access Public
+   * @param {number} id - The level ID.
+   * @returns {Level} 200 - The level details.
+   * @example
+   * GET /levels/3
+   * Response: { level_id: 3, title: "Advanced", description: "High difficulty level" }
+   */
+  levelRoutes.get("/:id", idParam, controller.get);
 
-/**
- * @route POST /levels
- * @summary Create a new level (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Ensures the user has administrative privileges.
- * @middleware upsertLevel - Validates the request body.
- * @bodyParam {string} title - The level title.
- * @bodyParam {string} description - The level description.
- * @bodyParam {number} difficulty_order - The order or difficulty ranking.
- * @returns {Level} 201 - The created level entity.
- * @example
- * POST /levels
- * Body: { "title": "Expert", "description": "Hardest stage", "difficulty_order": 5 }
- */
-levelRoutes.post("/", requireAuth, isAdmin, upsertLevel, controller.create);
+  /*
+  |--------------------------------------------------------------------------
+  | AUTHENTICATED ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route PUT /levels/:id
- * @summary Update an existing level (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins only.
- * @middleware idParam - Validates the level ID parameter.
- * @middleware upsertLevel - Validates the request body.
- * @param {number} id - The ID of the level to update.
- * @bodyParam {string} [title] - Updated title.
- * @bodyParam {string} [description] - Updated description.
- * @bodyParam {number} [difficulty_order] - Updated difficulty order.
- * @returns {Level} 200 - The updated level entity.
- * @example
- * PUT /levels/2
- * Body: { "title": "Intermediate+", "difficulty_order": 3 }
- */
-levelRoutes.put(
-  "/:id",
-  requireAuth,
-  isAdmin,
-  [...idParam, ...upsertLevel],
-  controller.update
-);
+  /**
+   * @route GET /levels/:id/progress
+   * @summary Get the signed-in user's progress on a level against its completion rule.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures the user is authenticated.
+   * @middleware idParam - Validates the level ID parameter.
+   * @param {number} id - The level ID.
+   * @returns {object} 200 - `{ level_id, rule, completed, total_in_level, played_in_level, average_score, perfect_in_level, pass_threshold, passed_in_level, remaining, needs_work }`.
+   * @returns {object} 404 - Level not found.
+   * @example
+   * GET /levels/2/progress
+   * Response: { "level_id": 2, "rule": { "type": "min_each", "min_score": 80 }, "completed": false, "remaining": 1, "needs_work": [7], ... }
+   */
+  levelRoutes.get("/:id/progress", requireAuth, idParam, controller.progress);
 
-/**
- * @route DELETE /levels/:id
- * @summary Delete a level by its ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
- * @param {number} id - The ID of the level to delete.
- * @returns {void} 204 - Successfully deleted, no response body.
- * @example
- * DELETE /levels/4
- */
-levelRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN-PROTECTED ROUTES
+  |--------------------------------------------------------------------------
+  */
+
+  /**
+   * @route GET /levels/:id/export
+   * @summary Download a level with its badge, scenarios and steps as a content pack.
+   * @access Roles granting `step:read` (admin always)
+   * @middleware requirePermission - Requires `step:read`, since the pack holds every answer.
+   * @middleware exportLevel - Validates the level ID and format.
+   * @param {number} id - The level ID.
+   * @queryParam {string} [format=json] - `json` or `yaml`.
+   * @returns {string} 200 - The pack as an attachment named `<level slug>.<format>`.
+   * @returns {object} 404 - Level not found.
+   * @example
+   * GET /levels/1/export?format=yaml
+   */
+  levelRoutes.get("/:id/export", requirePermission("step:read"), exportLevel, controllers.contentPacks.exportLevel);
+
+  /**
+   * @route POST /levels
+   * @summary Create a new level (admin-only).
+   * @access Roles granting `level:write` (admin always)
+   * @middleware requirePermission - Requires `level:write`.
+   * @middleware upsertLevel - Validates the request body.
+   * @bodyParam {string} title - The level title.
+   * @bodyParam {string} description - The level description.
+   * @bodyParam {number} difficulty_order - Position in the learning path (unlock order).
+   * @bodyParam {number} [pass_threshold=100] - Minimum scenario score (0–100) that counts as passed.
+   * @bodyParam {number[]} [prerequisites] - Levels that must be completed first; defaults to the previous level by `difficulty_order`.
+   * @bodyParam {object|null} [completion_rule] - `{ type: "min_each"|"average", min_score }` or `{ type: "perfect_count", count }`; null means every scenario must reach `pass_threshold`.
+   * @returns {Level} 201 - The created level entity.
+   * @returns {object} 400 - Validation error, unknown prerequisite, or a prerequisite cycle.
+   * @example
+   * POST /levels
+   * Body: { "title": "Expert", "description": "Hardest stage", "difficulty_order": 5, "pass_threshold": 80, "prerequisites": [3, 4] }
+   */
+  levelRoutes.post("/", requirePermission("level:write"), upsertLevel, controller.create);
+
+  /**
+   * @route PUT /levels/:id
+   * @summary Update an existing level (admin-only).
+   * @access Roles granting `level:write` (admin always)
+   * @middleware requirePermission - Requires `level:write`.
+   * @middleware idParam - Validates the level ID parameter.
+   * @middleware upsertLevel - Validates the request body.
+   * @param {number} id - The ID of the level to update.
+   * @bodyParam {string} [title] - Updated title.
+   * @bodyParam {string} [description] - Updated description.
+   * @bodyParam {number} [difficulty_order] - Updated difficulty order.
+   * @bodyParam {number} [pass_threshold] - Updated pass threshold (unchanged when omitted).
+   * @bodyParam {number[]} [prerequisites] - Replacement prerequisite list (unchanged when omitted; `[]` restores the default).
+   * @bodyParam {object|null} [completion_rule] - Replacement completion rule (unchanged when omitted; null restores the default).
+   * @returns {Level} 200 - The updated level entity.
+   * @returns {object} 400 - Validation error, unknown prerequisite, or a prerequisite cycle.
+   * @example
+   * PUT /levels/2
+   * Body: { "title": "Intermediate+", "difficulty_order": 3 }
+   */
+  levelRoutes.put(
+    "/:id",
+    requirePermission("level:write"),
+    [...idParam, ...upsertLevel],
+    controller.update
+  );
+
+  /**
+   * @route DELETE /levels/:id
+   * @summary Delete a level by its ID (admin-only).
+   * @access Roles granting `level:write` (admin always)
+   * @middleware requirePermission - Requires `level:write`.
+   * @param {number} id - The ID of the level to delete.
+   * @returns {void} 204 - Successfully deleted, no response body.
+   * @example
+   * DELETE /levels/4
+   */
+  levelRoutes.delete("/:id", requirePermission("level:write"), idParam, controller.delete);
+
+  return levelRoutes;
+}
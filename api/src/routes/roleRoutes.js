@@ -0,0 +1,121 @@
+import { Router } from "express";
+import { roleParam, saveRole } from "../validators/roleValidator.js";
+
+/**
+ * Express router module for managing roles and their permissions.
+ *
+ * Every route requires the `role:manage` permission, which only the `admin`
+ * role holds by default. Changes are recorded in the audit log and apply to
+ * permission checks immediately.
+ *
+ * @module roleRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { createRoleRoutes } from "./routes/roleRoutes.js";
+ *
+ * const app = express();
+ * app.use("/roles", createRoleRoutes(container));
+ */
+
+/**
+ * Build the role router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
+ */
+export function createRoleRoutes({ controllers, auth }) {
+  const { requirePermission, auditAdminAction } = auth;
+  const controller = controllers.roles;
+
+  /**
+   * Express Router instance for role routes.
+   * @type {import('express').Router}
+   */
+  const roleRoutes = Router();
+
+  /**
+   * @route GET /roles
+   * @summary List every role with the permissions it grants.
+   * @access Roles granting `role:manage` (admin always)
+   * @middleware requirePermission - Requires `role:manage`.
+   * @returns {Role[]} 200 - All roles.
+   * @example
+   * GET /roles
+   * Response: [
+   *   { role: "admin", description: null, permissions: ["audit:read", "badge:write", ...] },
+   *   { role: "instructor", description: null, permissions: ["progress:read:cohort", "step:read"] }
+   * ]
+   */
+  roleRoutes.get("/", requirePermission("role:manage"), controller.list);
+
+  /**
+   * @route GET /roles/permissions
+   * @summary List every permission a role can grant.
+   * @access Roles granting `role:manage` (admin always)
+   * @middleware requirePermission - Requires `role:manage`.
+   * @returns {object[]} 200 - `{ permission, description }` pairs.
+   * @example
+   * GET /roles/permissions
+   * Response: [{ permission: "level:write", description: "Create, edit and delete levels" }, ...]
+   */
+  roleRoutes.get("/permissions", requirePermission("role:manage"), controller.permissions);
+
+  /**
+   * @route GET /roles/:role
+   * @summary Get one role.
+   * @access Roles granting `role:manage` (admin always)
+   * @middleware requirePermission - Requires `role:manage`.
+   * @middleware roleParam - Validates the role key.
+   * @param {string} role - The role key.
+   * @returns {Role} 200 - The role.
+   * @returns {object} 404 - Role not found.
+   */
+  roleRoutes.get("/:role", requirePermission("role:manage"), roleParam, controller.get);
+
+  /**
+   * @route PUT /roles/:role
+   * @summary Create a role, or replace the permissions of an existing one.
+   * @access Roles granting `role:manage` (admin always)
+   * @middleware requirePermission - Requires `role:manage`.
+   * @middleware auditAdminAction - Records `role.update` in the audit log.
+   * @middleware roleParam, saveRole - Validate the role key and body.
+   * @param {string} role - The role key.
+   * @bodyParam {string[]} permissions - The complete set of permissions the role grants.
+   * @bodyParam {string} [description] - Description of the role.
+   * @returns {Role} 200 - The saved role.
+   * @returns {object} 400 - The admin role, a legacy role name, or an unknown permission.
+   * @example
+   * PUT /roles/reviewer
+   * Body: { "permissions": ["step:read", "scenario:review", "scenario:publish"] }
+   */
+  roleRoutes.put(
+    "/:role",
+    requirePermission("role:manage"),
+    auditAdminAction("role.update", { idParam: "role" }),
+    [...roleParam, ...saveRole],
+    controller.save
+  );
+
+  /**
+   * @route DELETE /roles/:role
+   * @summary Delete a role that no user holds.
+   * @access Roles granting `role:manage` (admin always)
+   * @middleware requirePermission - Requires `role:manage`.
+   * @middleware auditAdminAction - Records `role.delete` in the audit log.
+   * @middleware roleParam - Validates the role key.
+   * @param {string} role - The role key.
+   * @returns {void} 204 - Role deleted.
+   * @returns {object} 400 - The admin or learner role.
+   * @returns {object} 404 - Role not found.
+   * @returns {object} 409 - Users still hold the role.
+   */
+  roleRoutes.delete(
+    "/:role",
+    requirePermission("role:manage"),
+    auditAdminAction("role.delete", { idParam: "role" }),
+    roleParam,
+    controller.delete
+  );
+
+  return roleRoutes;
+}
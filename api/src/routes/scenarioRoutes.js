@@ -1,180 +1,354 @@
 import { Router } from "express";
-import { ScenarioRepository } from "../domain/repositories/ScenarioRepository.js";
-import { ScenarioService } from "../services/ScenarioService.js";
-import { ScenarioController } from "../Controllers/ScenarioController.js";
-import { idParam, upsertScenario } from "../validators/scenarioValidator.js";
-import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
-import { ScenarioStepRepository } from "../domain/repositories/ScenarioStepRepository.js";
-import { ScenarioStepService } from "../services/ScenarioStepService.js";
-import { AttemptRepository } from "../domain/repositories/AttemptRepository.js";
-import { BadgesRepository } from "../domain/repositories/BadgesRepository.js";
-import { UserBadgeRepository } from "../domain/repositories/UserBadgeRepository.js";
-import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.js";
+import {
+  idParam,
+  levelParam,
+  upsertScenario,
+  sessionParams,
+  answerStep,
+  statusChange,
+  versionParams,
+  rollback,
+  diffQuery,
+  stepOrder,
+  submitAnswers,
+} from "../validators/scenarioValidator.js";
+import { STATUS_PERMISSIONS } from "../utils/scenarioVersions.js";
 
 /**
  * Express router module for handling scenario-related routes.
  *
  * Provides public and admin-protected endpoints for listing, retrieving,
- * creating, updating, deleting, and submitting scenario answers.
+ * creating, updating, deleting, playing (server-timed sessions), and
+ * submitting scenario answers, plus the publishing workflow. Public routes
+ * serve the published version of each scenario (see
+ * `utils/scenarioVersions.js`); admin routes work on the working copy.
  *
- * This module composes multiple dependencies:
- * - **Repositories** for database access (Scenario, Steps, Attempts, Badges, etc.)
- * - **Services** for domain logic and business rules
- * - **Controllers** for request/response handling
+ * The controller and middlewares come from the app's container
+ * (`src/container.js`); recording a run goes through the shared
+ * `ProgressService`.
  *
  * @module scenarioRoutes
  *
  * @example
  * import express from "express";
- * import { scenarioRoutes } from "./routes/scenarioRoutes.js";
+ * import { createScenarioRoutes } from "./routes/scenarioRoutes.js";
  *
  * const app = express();
- * app.use("/scenarios", scenarioRoutes);
+ * app.use("/scenarios", createScenarioRoutes(container));
  */
-const scenarioRepo = new ScenarioRepository();
-const scenarioSvc = new ScenarioService(scenarioRepo);
 
-const stepRepo = new ScenarioStepRepository();
-const stepSvc = new ScenarioStepService(stepRepo);
+/**
+ * Build the scenario router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
+ */
+export function createScenarioRoutes({ controllers, auth }) {
+  const { requireAuth, requirePermission, auditAdminAction } = auth;
+  const controller = controllers.scenarios;
 
-const attemptRepo = new AttemptRepository();
-const badgeRepo = new BadgesRepository();
-const userBadgeRepo = new UserBadgeRepository();
-const userLevelRepo = new UserLevelRepository();
+  /** Requires the permission for the status asked for; see `STATUS_PERMISSIONS`. */
+  const requireStatusPermission = (req, res, next) =>
+    requirePermission(STATUS_PERMISSIONS[req.body?.status] ?? "scenario:write")(req, res, next);
 
-// Debugging helper (optional)
-console.log("Repo methods:", Object.getOwnPropertyNames(ScenarioRepository.prototype));
+  /**
+   * Express Router instance for scenario routes.
+   * @type {import('express').Router}
+   */
+  const scenarioRoutes = Router();
 
-/**
- * Initialize the controller with all required dependencies.
- * @type {ScenarioController}
- */
-const controller = new ScenarioController(
-  scenarioSvc,
-  stepSvc,
-  attemptRepo,
-  badgeRepo,
-  userBadgeRepo,
-  userLevelRepo
-);
+  /*
+  |--------------------------------------------------------------------------
+  | PUBLIC ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * Express Router instance for scenario routes.
- * @type {import('express').Router}
- */
-export const scenarioRoutes = Router();
+  /**
+   * @route GET /scenarios/level/:levelId
+   * @summary Retrieve the published scenarios that belong to a specific level.
+   * @access Public
+   * @param {number} levelId - The ID of the level.
+   * @returns {Scenario[]} 200 - A list of scenarios for the specified level.
+   * @returns {object} 400 - `levelId` is not a positive integer.
+   * @example
+   * GET /scenarios/level/2
+   * Response: [{ scenario_id: 5, level_id: 2, title: "Warehouse Fire", version: 3 }]
+   */
+  scenarioRoutes.get("/level/:levelId", levelParam, controller.listByLevel);
 
-/*
-|--------------------------------------------------------------------------
-| PUBLIC ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /scenarios
+   * @summary Retrieve all published scenarios, as learners play them.
+   * @access Public
+   * @returns {Scenario[]} 200 - A list of published scenarios with the `version` served.
+   * @example
+   * GET /scenarios
+   */
+  scenarioRoutes.get("/", controller.list);
 
-/**
- * @route GET /scenarios/level/:levelId
- * @summary Retrieve all scenarios that belong to a specific level.
- * @access Public
- * @param {number} levelId - The ID of the level.
- * @returns {Scenario[]} 200 - A list of scenarios for the specified level.
- * @example
- * GET /scenarios/level/2
- * Response: [{ scenario_id: 5, level_id: 2, title: "Warehouse Fire" }]
- */
-scenarioRoutes.get("/level/:levelId", controller.listByLevel);
+  /**
+   * @route GET /scenarios/authoring
+   * @summary List every scenario's working copy with its status (registered before `/:id`).
+   * @access Roles granting `step:read` (admin always)
+   * @middleware requirePermission - Requires `step:read`.
+   * @returns {Scenario[]} 200 - Scenarios with `status` and `published_version`.
+   * @example
+   * GET /scenarios/authoring
+   * Response: [{ scenario_id: 4, title: "Evacuation Drill", status: "review", published_version: 2 }]
+   */
+  scenarioRoutes.get("/authoring", requirePermission("step:read"), controller.listAuthoring);
 
-/**
- * @route GET /scenarios
- * @summary Retrieve all available scenarios.
- * @access Public
- * @returns {Scenario[]} 200 - A list of all scenarios.
- * @example
- * GET /scenarios
- */
-scenarioRoutes.get("/", controller.list);
+  /**
+   * @route GET /scenarios/:id
+   * @summary Retrieve the published version of a scenario (including its steps, without answers).
+   * @access Public
+   * @param {number} id - Scenario ID.
+   * @returns {Scenario} 200 - The scenario object with ordered steps; `correct_action` and `feedback_message` are omitted.
+   * @returns {object} 404 - No such scenario, or it was never published.
+   * @example
+   * GET /scenarios/4
+   * Response: { scenario_id: 4, title: "Evacuation Drill", steps: [...] }
+   */
+  scenarioRoutes.get("/:id", idParam, controller.get);
 
-/**
- * @route GET /scenarios/:id
- * @summary Retrieve a scenario by its ID (including its steps).
- * @access Public
- * @param {number} id - Scenario ID.
- * @returns {Scenario} 200 - The scenario object with ordered steps.
- * @example
- * GET /scenarios/4
- * Response: { scenario_id: 4, title: "Evacuation Drill", steps: [...] }
- */
-scenarioRoutes.get("/:id", idParam, controller.get);
+  /**
+   * @route POST /scenarios/:id/submit
+   * @summary Score a whole run at once and update progress/badges, for staff checking content.
+   * @access Roles granting `step:read` (admin always). The response reveals every step's correct answer and the
+   * run is timed by the client, so learners play through sessions instead.
+   * @middleware requirePermission - Requires `step:read`.
+   * @param {number} id - Scenario ID.
+   * @bodyParam {object} userAnswers - Answers keyed by step_id. Only the steps on the branch path the answers lead
+   * through are scored; a step without an answer counts as unanswered.
+   * @bodyParam {object} [stepTimes] - Milliseconds spent on each step, keyed by step_id.
+   * @returns {object} 200 - Submission result with score, progress, and badges.
+   * @returns {object} 400 - `userAnswers` or `stepTimes` is not keyed by step_id.
+   * @returns {object} 403 - The user may not read step answers, or has not unlocked the scenario's level (`LEVEL_LOCKED`).
+   * @example
+   * POST /scenarios/3/submit
+   * Body: { "userAnswers": { "7": "A", "8": "C", "9": "D" } }
+   * Response: { "score": 100, "level_progress": {...}, "awarded_badge": {...} }
+   */
+  scenarioRoutes.post("/:id/submit", requirePermission("step:read"), submitAnswers, controller.submit);
 
-/**
- * @route POST /scenarios/:id/submit
- * @summary Submit user answers for a scenario and update progress/badges.
- * @access Authenticated Users
- * @middleware requireAuth - Ensures the user is logged in.
- * @param {number} id - Scenario ID.
- * @bodyParam {Array<string>} userAnswers - Array of selected actions ("A", "B", "C", or "D").
- * @returns {object} 200 - Submission result with score, progress, and badges.
- * @example
- * POST /scenarios/3/submit
- * Body: { "userAnswers": ["A", "C", "D"] }
- * Response: { "score": 100, "level_progress": {...}, "awarded_badge": {...} }
- */
-scenarioRoutes.post("/:id/submit", requireAuth, controller.submit);
+  /*
+  |--------------------------------------------------------------------------
+  | PLAY SESSIONS (server-timed, one step at a time)
+  |--------------------------------------------------------------------------
+  */
 
-/*
-|--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route POST /scenarios/:id/sessions
+   * @summary Start a play session and serve the first step (its timer starts now).
+   * @access Authenticated Users
+   * @middleware requireAuth - Ensures the user is logged in.
+   * @param {number} id - Scenario ID.
+   * @returns {object} 201 - Session view with `session_id`, `current_step`, `step_deadline` and `secs_per_step`.
+   * @returns {object} 403 - The user has not unlocked the scenario's level (`LEVEL_LOCKED`).
+   * @example
+   * POST /scenarios/3/sessions
+   * Response: { "session_id": "6f1c…", "total_steps": 4, "branching": false, "current_step": { "step_id": 9, ... }, "step_deadline": "…" }
+   */
+  scenarioRoutes.post("/:id/sessions", requireAuth, idParam, controller.startSession);
 
-/**
- * @route POST /scenarios
- * @summary Create a new scenario (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
- * @middleware upsertScenario - Validates the scenario payload.
- * @bodyParam {number} level_id - Associated level ID.
- * @bodyParam {string} title - Scenario title.
- * @bodyParam {string} description - Scenario description.
- * @bodyParam {string} [image_url] - Optional scenario image URL.
- * @returns {Scenario} 201 - The newly created scenario.
- * @example
- * POST /scenarios
- * Body: { "level_id": 2, "title": "Factory Safety Drill", "description": "Handle emergencies safely" }
- */
-scenarioRoutes.post("/", requireAuth, isAdmin, upsertScenario, controller.create);
+  /**
+   * @route GET /scenarios/:id/sessions/:sid
+   * @summary Get a session's state and serve its current step (starting its timer if needed).
+   * @access Authenticated Users (session owner)
+   * @middleware requireAuth - Ensures the user is logged in.
+   * @param {number} id - Scenario ID.
+   * @param {string} sid - Session ID.
+   * @returns {object} 200 - Session view.
+   */
+  scenarioRoutes.get("/:id/sessions/:sid", requireAuth, sessionParams, controller.getSession);
 
-/**
- * @route PUT /scenarios/:id
- * @summary Update an existing scenario by its ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
- * @middleware idParam - Validates scenario ID.
- * @middleware upsertScenario - Validates payload.
- * @param {number} id - Scenario ID.
- * @returns {Scenario} 200 - Updated scenario details.
- * @example
- * PUT /scenarios/5
- * Body: { "title": "Updated Drill", "image_url": "/images/drill.png" }
- */
-scenarioRoutes.put(
-  "/:id",
-  requireAuth,
-  isAdmin,
-  [...idParam, ...upsertScenario],
-  controller.update
-);
+  /**
+   * @route POST /scenarios/:id/sessions/:sid/steps/:stepId/answer
+   * @summary Answer the current step; returns its feedback. Late answers count as timed out.
+   * @access Authenticated Users (session owner)
+   * @middleware requireAuth - Ensures the user is logged in.
+   * @param {number} id - Scenario ID.
+   * @param {string} sid - Session ID.
+   * @param {number} stepId - The step being answered (must be the current one).
+   * @bodyParam {*} user_action - The answer for the step's type ("B", ["A","C"], true, { x, y }),
+   * or null when the client timer ran out.
+   * @returns {object} 200 - `{ feedback, finished, session, result? }`; `result` matches the submit response.
+   * @returns {object} 409 - The step is not the current one, or was already answered.
+   * @example
+   * POST /scenarios/3/sessions/6f1c…/steps/9/answer
+   * Body: { "user_action": "B" }
+   */
+  scenarioRoutes.post(
+    "/:id/sessions/:sid/steps/:stepId/answer",
+    requireAuth,
+    answerStep,
+    controller.answerStep
+  );
 
-/**
- * @route DELETE /scenarios/:id
- * @summary Delete a scenario by its ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
- * @param {number} id - Scenario ID.
- * @returns {void} 204 - Successfully deleted.
- * @example
- * DELETE /scenarios/3
- */
-scenarioRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN-PROTECTED ROUTES
+  |--------------------------------------------------------------------------
+  */
+
+  /**
+   * @route POST /scenarios
+   * @summary Create a new scenario (admin-only).
+   * @access Roles granting `scenario:write` (admin always)
+   * @middleware requirePermission - Requires `scenario:write`.
+   * @middleware upsertScenario - Validates the scenario payload.
+   * @bodyParam {number} level_id - Associated level ID.
+   * @bodyParam {string} title - Scenario title.
+   * @bodyParam {string} description - Scenario description.
+   * @bodyParam {string} [image_url] - Optional scenario image URL.
+   * @returns {Scenario} 201 - The newly created scenario.
+   * @example
+   * POST /scenarios
+   * Body: { "level_id": 2, "title": "Factory Safety Drill", "description": "Handle emergencies safely" }
+   */
+  scenarioRoutes.post("/", requirePermission("scenario:write"), upsertScenario, controller.create);
+
+  /**
+   * @route PUT /scenarios/:id
+   * @summary Update an existing scenario by its ID (admin-only).
+   * @access Roles granting `scenario:write` (admin always)
+   * @middleware requirePermission - Requires `scenario:write`.
+   * @middleware idParam - Validates scenario ID.
+   * @middleware upsertScenario - Validates payload.
+   * @param {number} id - Scenario ID.
+   * @returns {Scenario} 200 - Updated scenario details.
+   * @example
+   * PUT /scenarios/5
+   * Body: { "title": "Updated Drill", "image_url": "/images/drill.png" }
+   */
+  scenarioRoutes.put(
+    "/:id",
+    requirePermission("scenario:write"),
+    [...idParam, ...upsertScenario],
+    controller.update
+  );
+
+  /**
+   * @route DELETE /scenarios/:id
+   * @summary Delete a scenario by its ID (admin-only).
+   * @access Roles granting `scenario:write` (admin always)
+   * @middleware requirePermission - Requires `scenario:write`.
+   * @param {number} id - Scenario ID.
+   * @returns {void} 204 - Successfully deleted.
+   * @example
+   * DELETE /scenarios/3
+   */
+  scenarioRoutes.delete("/:id", requirePermission("scenario:write"), idParam, controller.delete);
+
+  /**
+   * @route PUT /scenarios/:id/steps/order
+   * @summary Put a scenario's steps in a new order; they are numbered 1..n in one transaction.
+   * @access Roles granting `step:write` (admin always)
+   * @middleware requirePermission - Requires `step:write`.
+   * @middleware stepOrder - Validates the list of step IDs.
+   * @param {number} id - Scenario ID.
+   * @bodyParam {number[]} step_ids - Every step of the scenario, once, in the new order.
+   * @returns {ScenarioStep[]} 200 - The steps in their new order.
+   * @returns {object} 400 - `STEP_ORDER_MISMATCH`: `step_ids` is not exactly the scenario's steps;
+   * or the new order leaves a branch problem.
+   * @returns {object} 404 - No such scenario.
+   * @example
+   * PUT /scenarios/4/steps/order
+   * Body: { "step_ids": [12, 10, 11] }
+   */
+  scenarioRoutes.put(
+    "/:id/steps/order",
+    requirePermission("step:write"),
+    stepOrder,
+    controllers.scenarioSteps.reorder
+  );
+
+  /*
+  |--------------------------------------------------------------------------
+  | PUBLISHING WORKFLOW AND VERSIONS
+  |--------------------------------------------------------------------------
+  */
+
+  /**
+   * @route PUT /scenarios/:id/status
+   * @summary Move a scenario to another status: submit for review, send back to draft, or publish.
+   * @access `scenario:write` to submit for review, `scenario:review` to send back, `scenario:publish` to publish
+   * @middleware requireStatusPermission - Requires the permission for the status asked for.
+   * @middleware auditAdminAction - Logs the change, including the note.
+   * @param {number} id - Scenario ID.
+   * @bodyParam {string} status - `draft`, `review` or `published`.
+   * @bodyParam {string} [note] - Why; kept with the version when publishing.
+   * @returns {Scenario} 200 - The scenario with its new status and `published_version`.
+   * @returns {object} 400 - `EMPTY_SCENARIO`: publishing a scenario without steps.
+   * @returns {object} 409 - `INVALID_STATUS_TRANSITION`: the scenario cannot move there from its current status.
+   * @example
+   * PUT /scenarios/4/status
+   * Body: { "status": "published", "note": "Clearer recovery position step" }
+   */
+  scenarioRoutes.put(
+    "/:id/status",
+    requireStatusPermission,
+    statusChange,
+    auditAdminAction("scenario.status"),
+    controller.setStatus
+  );
+
+  /**
+   * @route GET /scenarios/:id/versions
+   * @summary List a scenario's published versions, newest first, without steps.
+   * @access Roles granting `step:read` (admin always)
+   * @param {number} id - Scenario ID.
+   * @returns {object[]} 200 - `{ version, title, step_count, note, published_by, published_at }` per version.
+   */
+  scenarioRoutes.get("/:id/versions", requirePermission("step:read"), idParam, controller.listVersions);
+
+  /**
+   * @route GET /scenarios/:id/versions/:version
+   * @summary Retrieve one version of a scenario with its steps and answers.
+   * @access Roles granting `step:read` (admin always)
+   * @param {number} id - Scenario ID.
+   * @param {number} version - Version number.
+   * @returns {object} 200 - The version.
+   * @returns {object} 404 - No such version.
+   */
+  scenarioRoutes.get(
+    "/:id/versions/:version",
+    requirePermission("step:read"),
+    versionParams,
+    controller.getVersion
+  );
+
+  /**
+   * @route GET /scenarios/:id/diff
+   * @summary Compare two states of a scenario; steps are matched by slug.
+   * @access Roles granting `step:read` (admin always)
+   * @param {number} id - Scenario ID.
+   * @queryParam {string} [from=published] - A version number, `published` or `draft`.
+   * @queryParam {string} [to=draft] - A version number, `published` or `draft`.
+   * @returns {object} 200 - `{ from, to, summary, changes }`, shaped like a content pack import report.
+   * @example
+   * GET /scenarios/4/diff?from=1&to=draft
+   * Response: { "summary": { "create": 1, "update": 1, "delete": 0, "unchanged": 3 }, "changes": [...] }
+   */
+  scenarioRoutes.get("/:id/diff", requirePermission("step:read"), diffQuery, controller.diff);
+
+  /**
+   * @route POST /scenarios/:id/versions/:version/rollback
+   * @summary Publish an earlier version again as the newest version; the working copy is left as it is.
+   * @access Roles granting `scenario:publish` (admin always)
+   * @middleware auditAdminAction - Logs the rollback.
+   * @param {number} id - Scenario ID.
+   * @param {number} version - The version to bring back.
+   * @bodyParam {string} [note] - Defaults to "Rollback to version N".
+   * @returns {object} 201 - The new version.
+   * @returns {object} 409 - `ALREADY_PUBLISHED`: learners already play that version.
+   */
+  scenarioRoutes.post(
+    "/:id/versions/:version/rollback",
+    requirePermission("scenario:publish"),
+    rollback,
+    auditAdminAction("scenario.rollback"),
+    controller.rollback
+  );
+
+  return scenarioRoutes;
+}
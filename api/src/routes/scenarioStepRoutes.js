@@ -1,146 +1,193 @@
-import { Router } from "express";
-import { ScenarioStepRepository } from "../domain/repositories/ScenarioStepRepository.js";
-import { ScenarioStepService } from "../services/ScenarioStepService.js";
-import { ScenarioStepController } from "../Controllers/ScenarioStepController.js";
-import { idParam, upsertScenarioStep } from "../validators/scenarioStepValidator.js";
-import { requireAuth } from "../middlewares/requireAuth.js";
-import { isAdmin } from "../middlewares/isAdmin.js";
+import express, { Router } from "express";
+import { idParam, listQuery, upsertScenarioStep } from "../validators/scenarioStepValidator.js";
 
 /**
  * Express router module for managing scenario step operations.
  *
  * Provides routes for listing, retrieving, creating, updating, and deleting
- * scenario steps (individual multiple-choice questions within a scenario).
- * Public routes are available for reading data, while creation, modification,
- * and deletion require admin authorization.
+ * scenario steps (individual questions within a scenario: multiple choice,
+ * true/false, multi-select, ordering or image hotspot).
+ * Every route requires admin authorization because steps carry their correct
+ * answers; learners read steps through `GET /scenarios/:id` and play sessions.
  *
  * @module scenarioStepRoutes
  *
  * @example
  * import express from "express";
- * import { scenarioStepRoutes } from "./routes/scenarioStepRoutes.js";
+ * import { createScenarioStepRoutes } from "./routes/scenarioStepRoutes.js";
  *
  * const app = express();
- * app.use("/scenario-steps", scenarioStepRoutes);
+ * app.use("/scenario-steps", createScenarioStepRoutes(container));
  */
-const repo = new ScenarioStepRepository();
-const service = new ScenarioStepService(repo);
-const controller = new ScenarioStepController(service);
 
 /**
- * Express Router instance for scenario step routes.
- * @type {import('express').Router}
+ * Build the scenario step router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const scenarioStepRoutes = Router();
+export function createScenarioStepRoutes({ controllers, auth }) {
+  const { requirePermission, auditAdminAction } = auth;
+  const controller = controllers.scenarioSteps;
 
-/*
-|--------------------------------------------------------------------------
-| PUBLIC ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Express Router instance for scenario step routes.
+   * @type {import('express').Router}
+   */
+  const scenarioStepRoutes = Router();
 
-/**
- * @route GET /scenario-steps
- * @summary Retrieve a list of all scenario steps.
- * @access Public
- * @returns {ScenarioStep[]} 200 - List of all steps across scenarios.
- * @example
- * GET /scenario-steps
- * Response: [{ step_id: 1, scenario_id: 3, question_text: "What is the first action?" }]
- */
-scenarioStepRoutes.get("/", controller.list);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN READ ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route GET /scenario-steps/:id
- * @summary Retrieve a single scenario step by its ID.
- * @access Public
- * @param {number} id - The ID of the scenario step.
- * @returns {ScenarioStep} 200 - The step details.
- * @example
- * GET /scenario-steps/5
- * Response: {
- *   step_id: 5,
- *   scenario_id: 2,
- *   question_text: "Choose the safest response",
- *   options: { A: "Call for help", B: "Ignore", C: "Run", D: "Wait" },
- *   correct_action: "A"
- * }
- */
-scenarioStepRoutes.get("/:id", idParam, controller.get);
+  /**
+   * @route GET /scenario-steps
+   * @summary Retrieve a list of all scenario steps, including answers (admin-only).
+   * @access Roles granting `step:read` (admin always)
+   * @middleware requirePermission - Requires `step:read`.
+   * @queryParam {number} [scenario_id] - Only the steps of this scenario, in step order.
+   * @returns {ScenarioStep[]} 200 - List of steps.
+   * @example
+   * GET /scenario-steps?scenario_id=3
+   * Response: [{ step_id: 1, scenario_id: 3, question_text: "What is the first action?" }]
+   */
+  scenarioStepRoutes.get("/", requirePermission("step:read"), listQuery, controller.list);
 
-/*
-|--------------------------------------------------------------------------
-| ADMIN-PROTECTED ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /scenario-steps/:id
+   * @summary Retrieve a single scenario step by its ID, including its answer (admin-only).
+   * @access Roles granting `step:read` (admin always)
+   * @middleware requirePermission - Requires `step:read`.
+   * @param {number} id - The ID of the scenario step.
+   * @returns {ScenarioStep} 200 - The step details.
+   * @example
+   * GET /scenario-steps/5
+   * Response: {
+   *   step_id: 5,
+   *   scenario_id: 2,
+   *   question_text: "Choose the safest response",
+   *   options: { A: "Call for help", B: "Ignore", C: "Run", D: "Wait" },
+   *   correct_action: "A"
+   * }
+   */
+  scenarioStepRoutes.get("/:id", requirePermission("step:read"), idParam, controller.get);
 
-/**
- * @route POST /scenario-steps
- * @summary Create a new scenario step (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures the user is authenticated.
- * @middleware isAdmin - Restricts access to admin users.
- * @middleware upsertScenarioStep - Validates the request body.
- * @bodyParam {number} scenario_id - ID of the associated scenario.
- * @bodyParam {number} step_order - The step order within the scenario.
- * @bodyParam {string} question_text - The question or prompt.
- * @bodyParam {string} option_a - Option A text.
- * @bodyParam {string} option_b - Option B text.
- * @bodyParam {string} option_c - Option C text.
- * @bodyParam {string} option_d - Option D text.
- * @bodyParam {string} correct_action - The correct answer ("A", "B", "C", or "D").
- * @bodyParam {string} feedback_message - Feedback for the user.
- * @returns {ScenarioStep} 201 - The created step entity.
- * @example
- * POST /scenario-steps
- * Body: {
- *   "scenario_id": 2,
- *   "step_order": 1,
- *   "question_text": "What should you do first?",
- *   "option_a": "Evacuate",
- *   "option_b": "Hide",
- *   "option_c": "Call supervisor",
- *   "option_d": "Wait",
- *   "correct_action": "A",
- *   "feedback_message": "Always evacuate when safe."
- * }
- */
-scenarioStepRoutes.post("/", requireAuth, isAdmin, upsertScenarioStep, controller.create);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN-PROTECTED ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route PUT /scenario-steps/:id
- * @summary Update an existing scenario step (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admin users.
- * @middleware idParam - Validates step ID.
- * @middleware upsertScenarioStep - Validates the request body.
- * @param {number} id - Step ID.
- * @returns {ScenarioStep} 200 - Updated step details.
- * @example
- * PUT /scenario-steps/4
- * Body: {
- *   "question_text": "Update question text",
- *   "correct_action": "B"
- * }
- */
-scenarioStepRoutes.put(
-  "/:id",
-  requireAuth,
-  isAdmin,
-  [...idParam, ...upsertScenarioStep],
-  controller.update
-);
+  /**
+   * @route POST /scenario-steps
+   * @summary Create a new scenario step (admin-only).
+   * @access Roles granting `step:write` (admin always)
+   * @middleware requirePermission - Requires `step:write`.
+   * @middleware upsertScenarioStep - Validates the request body.
+   * @bodyParam {number} scenario_id - ID of the associated scenario.
+   * @bodyParam {number} step_order - The step order within the scenario.
+   * @bodyParam {string} question_text - The question or prompt.
+   * @bodyParam {string} [type] - "multiple_choice" (default), "true_false", "multi_select", "ordering" or "hotspot".
+   * @bodyParam {object} [options] - Options shaped for the type (see `utils/questionTypes.js`).
+   * @bodyParam {*} [answer] - The correct answer shaped for the type.
+   * @bodyParam {string} [option_a] - Option A text (multiple choice without `options`).
+   * @bodyParam {string} [option_b] - Option B text.
+   * @bodyParam {string} [option_c] - Option C text.
+   * @bodyParam {string} [option_d] - Option D text.
+   * @bodyParam {string} [correct_action] - The correct answer ("A", "B", "C", or "D").
+   * @bodyParam {object|null} [branches] - Next step per option key or "correct"/"incorrect": a step ID or "end".
+   * Without a matching branch the run continues by step_order. Rejected with 400 if the scenario's
+   * branches would point outside it, loop, or leave a step unreachable.
+   * @bodyParam {string} feedback_message - Feedback for the user.
+   * @returns {ScenarioStep} 201 - The created step entity.
+   * @example
+   * POST /scenario-steps
+   * Body: {
+   *   "scenario_id": 2,
+   *   "step_order": 1,
+   *   "question_text": "What should you do first?",
+   *   "option_a": "Evacuate",
+   *   "option_b": "Hide",
+   *   "option_c": "Call supervisor",
+   *   "option_d": "Wait",
+   *   "correct_action": "A",
+   *   "feedback_message": "Always evacuate when safe."
+   * }
+   * @example
+   * POST /scenario-steps
+   * Body: {
+   *   "scenario_id": 2,
+   *   "step_order": 2,
+   *   "question_text": "Tap where you would place your hands for compressions",
+   *   "type": "hotspot",
+   *   "options": { "image_url": "/img/torso.png", "alt": "Front of an adult torso" },
+   *   "answer": { "x": 50, "y": 42, "radius": 8 }
+   * }
+   */
+  scenarioStepRoutes.post("/", requirePermission("step:write"), upsertScenarioStep, controller.create);
 
-/**
- * @route DELETE /scenario-steps/:id
- * @summary Delete a scenario step by ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins only.
- * @param {number} id - Step ID.
- * @returns {void} 204 - Successfully deleted.
- * @example
- * DELETE /scenario-steps/6
- */
-scenarioStepRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+  /**
+   * @route POST /scenario-steps/import
+   * @summary Create multiple-choice steps in bulk from a CSV file (admin-only).
+   * @access Roles granting `step:write` (admin always)
+   * @middleware requirePermission - Requires `step:write`.
+   * @middleware auditAdminAction - Records the import in the audit log.
+   * @body `text/csv` with a header row naming the columns `scenario_id`, `step_order`, `question_text`,
+   *   `option_a`–`option_d`, `correct_action` and optionally `feedback_message`, in any order.
+   * @returns {object} 201 - `{ created, steps, errors: [{ row, field, message }] }` when at least one row was
+   *   inserted; 200 with the same shape when none was. `row` is the spreadsheet row (the header is row 1).
+   * @returns {object} 400 - The file cannot be read, its columns are wrong, or the new steps break a scenario's branches.
+   * @example
+   * POST /scenario-steps/import
+   * Content-Type: text/csv
+   * Body:
+   * scenario_id,step_order,question_text,option_a,option_b,option_c,option_d,correct_action,feedback_message
+   * 2,3,Where do you press?,Center of chest,Stomach,Neck,Left arm,A,Push hard and fast.
+   */
+  scenarioStepRoutes.post(
+    "/import",
+    requirePermission("step:write"),
+    auditAdminAction("scenario_step.import"),
+    express.text({ type: ["text/csv", "text/plain", "application/vnd.ms-excel"], limit: "1mb" }),
+    controller.importCsv
+  );
+
+  /**
+   * @route PUT /scenario-steps/:id
+   * @summary Update an existing scenario step (admin-only).
+   * @access Roles granting `step:write` (admin always)
+   * @middleware requirePermission - Requires `step:write`.
+   * @middleware idParam - Validates step ID.
+   * @middleware upsertScenarioStep - Validates the request body.
+   * @param {number} id - Step ID.
+   * @returns {ScenarioStep} 200 - Updated step details.
+   * @example
+   * PUT /scenario-steps/4
+   * Body: {
+   *   "question_text": "Update question text",
+   *   "correct_action": "B"
+   * }
+   */
+  scenarioStepRoutes.put(
+    "/:id",
+    requirePermission("step:write"),
+    [...idParam, ...upsertScenarioStep],
+    controller.update
+  );
+
+  /**
+   * @route DELETE /scenario-steps/:id
+   * @summary Delete a scenario step by ID (admin-only).
+   * @access Roles granting `step:write` (admin always)
+   * @middleware requirePermission - Requires `step:write`.
+   * @param {number} id - Step ID.
+   * @returns {void} 204 - Successfully deleted.
+   * @returns {object} 400 - Another step still branches to this one.
+   * @example
+   * DELETE /scenario-steps/6
+   */
+  scenarioStepRoutes.delete("/:id", requirePermission("step:write"), idParam, controller.delete);
+
+  return scenarioStepRoutes;
+}
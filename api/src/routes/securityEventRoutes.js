@@ -0,0 +1,67 @@
+import { Router } from "express";
+import { query } from "express-validator";
+
+/**
+ * Express router module for the security event log.
+ *
+ * Events are written by `LoginThrottleService` when an account or IP
+ * address is locked out after repeated failed logins, and when an admin
+ * unlocks an account; this router only reads them.
+ *
+ * @module securityEventRoutes
+ *
+ * @example
+ * import express from "express";
+ * import { createSecurityEventRoutes } from "./routes/securityEventRoutes.js";
+ *
+ * const app = express();
+ * app.use("/security-events", createSecurityEventRoutes(container));
+ */
+
+/**
+ * Validation middleware for the security event filters.
+ */
+const listFilters = [
+  query("type").optional().isString().isLength({ max: 64 }).withMessage("type must be a string"),
+  query("email").optional().isEmail().withMessage("email must be a valid email address"),
+  query("ip").optional().isIP().withMessage("ip must be an IP address"),
+  query("limit").optional().isInt({ min: 1, max: 500 }).withMessage("limit must be between 1 and 500"),
+];
+
+/**
+ * Build the security event router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
+ */
+export function createSecurityEventRoutes({ controllers, auth }) {
+  const { requirePermission } = auth;
+  const controller = controllers.securityEvents;
+
+  /**
+   * Express Router instance for security event routes.
+   * @type {import('express').Router}
+   */
+  const securityEventRoutes = Router();
+
+  /**
+   * @route GET /security-events
+   * @summary List security events (login lockouts and unlocks), newest first.
+   * @access Roles granting `audit:read` (admin always)
+   * @middleware requirePermission - Requires `audit:read`.
+   * @queryParam {string} [type] - Only events of this type (`login.lockout`, `login.unlock`).
+   * @queryParam {string} [email] - Only events concerning this account.
+   * @queryParam {string} [ip] - Only events concerning this IP address.
+   * @queryParam {number} [limit=100] - Maximum number of events (1–500).
+   * @returns {SecurityEvent[]} 200 - Security events.
+   * @example
+   * GET /security-events?type=login.lockout
+   * Response: [{
+   *   event_id: 3, type: "login.lockout", email: "jane@example.com", ip: "203.0.113.7", actor_id: null,
+   *   details: { scope: "account", seconds: 120, lockouts: 2, locked_until: "2025-03-10T14:02:00.000Z" },
+   *   created_at: "2025-03-10T14:00:00Z"
+   * }]
+   */
+  securityEventRoutes.get("/", requirePermission("audit:read"), listFilters, controller.list);
+
+  return securityEventRoutes;
+}
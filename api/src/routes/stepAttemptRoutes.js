@@ -1,117 +1,178 @@
 import { Router } from 'express';
-import { StepAttemptRepository } from '../domain/repositories/StepAttemptRepository.js';
-import { StepAttemptService } from '../services/StepAttemptService.js';
-import { StepAttemptController } from '../Controllers/StepAttemptController.js';
-import { idParam, upsertStepAttempt } from '../validators/stepAttemptValidator.js';
+import { idParam, attemptIdParam, upsertStepAttempt } from '../validators/stepAttemptValidator.js';
 
 /**
  * Express router module for handling scenario step attempts.
  *
  * These routes manage user responses to individual scenario steps —
  * allowing admins or the app to list, fetch, create, and delete step-level attempts.
- * Typically, a "step attempt" is recorded automatically when a user answers a question
- * during a scenario simulation.
+ * Step attempts are recorded by the server when a scenario is submitted.
+ * Learners can only read the step attempts of their own attempts; creating or
+ * deleting one is an admin override recorded in the audit log.
  *
  * @module stepAttemptRoutes
  *
  * @example
  * import express from "express";
- * import { stepAttemptRoutes } from "./routes/stepAttemptRoutes.js";
+ * import { createStepAttemptRoutes } from "./routes/stepAttemptRoutes.js";
  *
  * const app = express();
- * app.use("/step-attempts", stepAttemptRoutes);
+ * app.use("/step-attempts", createStepAttemptRoutes(container));
  */
-const repo = new StepAttemptRepository();
-const service = new StepAttemptService(repo);
-const controller = new StepAttemptController(service);
 
 /**
- * Express Router instance for step attempt routes.
- * @type {import('express').Router}
+ * Build the step attempt router.
+ * @param {import('../container.js').Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const stepAttemptRoutes = Router();
+export function createStepAttemptRoutes({ controllers, repositories, auth }) {
+  const { requireAuth, requirePermission, ownerOrPermission, auditAdminAction } = auth;
+  const controller = controllers.stepAttempts;
+  const repo = repositories.stepAttempts;
+  const attemptRepo = repositories.attempts;
 
-/*
-|--------------------------------------------------------------------------
-| ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Owner of the scenario attempt a step attempt belongs to.
+   * @param {import('express').Request} req
+   * @returns {Promise<number|undefined>}
+   */
+  const stepAttemptOwner = async (req) => {
+    const stepAttempt = await repo.findById(req.params.id);
+    return stepAttempt ? (await attemptRepo.findById(stepAttempt.attempt_id))?.user_id : undefined;
+  };
 
-/**
- * @route GET /step-attempts
- * @summary Retrieve all step attempts.
- * @access Admin / Debug
- * @returns {StepAttempt[]} 200 - List of all recorded step attempts.
- * @example
- * GET /step-attempts
- * Response: [
- *   { step_attempt_id: 1, attempt_id: 12, step_id: 5, user_action: "A", is_correct: true }
- * ]
- */
-stepAttemptRoutes.get('/', controller.list);
+  /**
+   * Owner of the scenario attempt named by `:attempt_id`.
+   * @param {import('express').Request} req
+   * @returns {Promise<number|undefined>}
+   */
+  const attemptOwner = async (req) => (await attemptRepo.findById(req.params.attempt_id))?.user_id;
 
-/**
- * @route GET /step-attempts/:id
- * @summary Retrieve a single step attempt by its ID.
- * @access Admin / Debug
- * @param {number} id - The unique ID of the step attempt.
- * @returns {StepAttempt} 200 - Step attempt details.
- * @example
- * GET /step-attempts/3
- * Response: {
- *   step_attempt_id: 3,
- *   attempt_id: 14,
- *   step_id: 7,
- *   user_action: "B",
- *   is_correct: false
- * }
- */
-stepAttemptRoutes.get('/:id', idParam, controller.get);
+  /**
+   * Express Router instance for step attempt routes.
+   * @type {import('express').Router}
+   */
+  const stepAttemptRoutes = Router();
 
-/**
- * @route GET /step-attempts/attempt/:attempt_id
- * @summary Retrieve all step attempts associated with a given scenario attempt.
- * @access Admin / Debug
- * @param {number} attempt_id - The ID of the parent scenario attempt.
- * @returns {StepAttempt[]} 200 - List of related step attempts.
- * @example
- * GET /step-attempts/attempt/10
- * Response: [
- *   { step_attempt_id: 5, step_id: 2, user_action: "A", is_correct: true },
- *   { step_attempt_id: 6, step_id: 3, user_action: "C", is_correct: false }
- * ]
- */
-stepAttemptRoutes.get('/attempt/:attempt_id', controller.getByAttempt);
+  /*
+  |--------------------------------------------------------------------------
+  | ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route POST /step-attempts
- * @summary Create a new step attempt record (usually triggered automatically when a user answers a question).
- * @access Public / Application-level
- * @middleware upsertStepAttempt - Validates request body parameters.
- * @bodyParam {number} attempt_id - ID of the associated scenario attempt.
- * @bodyParam {number} step_id - ID of the step being answered.
- * @bodyParam {string} user_action - The user’s selected answer (e.g., "A", "B", "C", or "D").
- * @bodyParam {boolean} is_correct - Whether the user’s action was correct.
- * @returns {StepAttempt} 201 - The newly created step attempt.
- * @example
- * POST /step-attempts
- * Body: {
- *   "attempt_id": 14,
- *   "step_id": 7,
- *   "user_action": "C",
- *   "is_correct": false
- * }
- */
-stepAttemptRoutes.post('/', upsertStepAttempt, controller.create);
+  /**
+   * @route GET /step-attempts
+   * @summary Retrieve all step attempts.
+   * @access Roles granting `progress:read:cohort` (admin always)
+   * @middleware requirePermission - Requires `progress:read:cohort`.
+   * @returns {StepAttempt[]} 200 - List of all recorded step attempts.
+   * @example
+   * GET /step-attempts
+   * Response: [
+   *   { step_attempt_id: 1, attempt_id: 12, step_id: 5, user_action: "A", is_correct: true }
+   * ]
+   */
+  stepAttemptRoutes.get('/', requirePermission('progress:read:cohort'), controller.list);
 
-/**
- * @route DELETE /step-attempts/:id
- * @summary Delete a specific step attempt by its ID.
- * @access Admin / Debug
- * @middleware idParam - Validates step attempt ID parameter.
- * @param {number} id - Step attempt ID.
- * @returns {void} 204 - Successfully deleted, no response body.
- * @example
- * DELETE /step-attempts/5
- */
-stepAttemptRoutes.delete('/:id', idParam, controller.delete);
+  /**
+   * @route GET /step-attempts/:id
+   * @summary Retrieve a single step attempt by its ID.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - The parent attempt must belong to the caller unless they hold `progress:read:cohort`.
+   * @param {number} id - The unique ID of the step attempt.
+   * @returns {StepAttempt} 200 - Step attempt details.
+   * @example
+   * GET /step-attempts/3
+   * Response: {
+   *   step_attempt_id: 3,
+   *   attempt_id: 14,
+   *   step_id: 7,
+   *   user_action: "B",
+   *   is_correct: false
+   * }
+   */
+  stepAttemptRoutes.get(
+    '/:id',
+    requireAuth,
+    idParam,
+    ownerOrPermission('progress:read:cohort', stepAttemptOwner),
+    controller.get
+  );
+
+  /**
+   * @route GET /step-attempts/attempt/:attempt_id
+   * @summary Retrieve all step attempts associated with a given scenario attempt.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - The attempt must belong to the caller unless they hold `progress:read:cohort`.
+   * @middleware attemptIdParam - Validates the attempt ID parameter.
+   * @param {number} attempt_id - The ID of the parent scenario attempt.
+   * @returns {StepAttempt[]} 200 - List of related step attempts, in step order.
+   * @example
+   * GET /step-attempts/attempt/10
+   * Response: [
+   *   { step_attempt_id: 5, step_id: 2, user_action: "A", is_correct: true },
+   *   { step_attempt_id: 6, step_id: 3, user_action: "C", is_correct: false }
+   * ]
+   */
+  stepAttemptRoutes.get(
+    '/attempt/:attempt_id',
+    requireAuth,
+    attemptIdParam,
+    ownerOrPermission('progress:read:cohort', attemptOwner),
+    controller.getByAttempt
+  );
+
+  /**
+   * @route POST /step-attempts
+   * @summary Create a step attempt record manually.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `step_attempt.create` in the audit log.
+   * @middleware upsertStepAttempt - Validates request body parameters.
+   * @bodyParam {number} attempt_id - ID of the associated scenario attempt.
+   * @bodyParam {number} step_id - ID of the step being answered.
+   * @bodyParam {string|null} user_action - The user’s selected answer in canonical form (e.g., "B", "A,C", "TRUE"), or null on timeout.
+   * @bodyParam {boolean} is_correct - Whether the user’s action was correct.
+   * @bodyParam {number} [time_taken_ms] - Time spent on the step, in milliseconds.
+   * @returns {StepAttempt} 201 - The newly created step attempt.
+   * @example
+   * POST /step-attempts
+   * Body: {
+   *   "attempt_id": 14,
+   *   "step_id": 7,
+   *   "user_action": "C",
+   *   "is_correct": false
+   * }
+   */
+  stepAttemptRoutes.post(
+    '/',
+    requirePermission('progress:write'),
+    auditAdminAction('step_attempt.create', { idField: 'step_attempt_id' }),
+    upsertStepAttempt,
+    controller.create
+  );
+
+  /**
+   * @route DELETE /step-attempts/:id
+   * @summary Delete a specific step attempt by its ID.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `step_attempt.delete` in the audit log.
+   * @middleware idParam - Validates step attempt ID parameter.
+   * @param {number} id - Step attempt ID.
+   * @returns {void} 204 - Successfully deleted, no response body.
+   * @example
+   * DELETE /step-attempts/5
+   */
+  stepAttemptRoutes.delete(
+    '/:id',
+    requirePermission('progress:write'),
+    auditAdminAction('step_attempt.delete'),
+    idParam,
+    controller.delete
+  );
+
+  return stepAttemptRoutes;
+}
@@ -1,112 +1,144 @@
 import { Router } from "express";
-import { UserBadgeRepository } from "../domain/repositories/UserBadgeRepository.js";
-import { UserBadgeService } from "../services/UserBadgeService.js";
-import { UserBadgeController } from "../Controllers/UserBadgeController.js";
 import { idParam, upsertUserBadge } from "../validators/userBadgeValidator.js";
 
 /**
  * Express router module for handling user-badge relationships.
  *
  * These routes manage which badges users have earned — allowing listing,
- * retrieval, creation, updating, and deletion of user badge records.
- * Typically, user badges are created automatically when users reach specific
- * milestones or achievements in the application.
+ * retrieval, creation, and deletion of user badge records.
+ *
+ * Badges are awarded by the server when a scenario is submitted
+ * (`POST /scenarios/:id/submit`). Learners can only read their own awards;
+ * creating or revoking an award is an admin override recorded in the audit log.
  *
  * @module userBadgeRoutes
  *
  * @example
  * import express from "express";
- * import { userBadgeRoutes } from "./routes/userBadgeRoutes.js";
+ * import { createUserBadgeRoutes } from "./routes/userBadgeRoutes.js";
  *
  * const app = express();
- * app.use("/user-badges", userBadgeRoutes);
+ * app.use("/user-badges", createUserBadgeRoutes(container));
  */
-const repo = new UserBadgeRepository();
-const service = new UserBadgeService(repo);
-const controller = new UserBadgeController(service);
 
 /**
- * Express Router instance for user badge routes.
- * @type {import('express').Router}
+ * Build the user badge router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const userBadgeRoutes = Router();
+export function createUserBadgeRoutes({ controllers, repositories, auth }) {
+  const { requireAuth, requirePermission, ownerOrPermission, auditAdminAction } = auth;
+  const controller = controllers.userBadges;
+  const repo = repositories.userBadges;
 
-/*
-|--------------------------------------------------------------------------
-| ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Owner of a stored user-badge record.
+   * @param {import('express').Request} req
+   * @returns {Promise<number|undefined>}
+   */
+  const recordOwner = async (req) => (await repo.findById(req.params.id))?.user_id;
 
-/**
- * @route GET /user-badges
- * @summary Retrieve all user badge records.
- * @access Admin / Debug
- * @returns {UserBadge[]} 200 - List of all user badges.
- * @example
- * GET /user-badges
- * Response: [
- *   { user_badge_id: 1, user_id: 4, badge_id: 2, earned_at: "2025-01-05T12:00:00Z" }
- * ]
- */
-userBadgeRoutes.get("/", controller.list);
+  /**
+   * Express Router instance for user badge routes.
+   * @type {import('express').Router}
+   */
+  const userBadgeRoutes = Router();
 
-/**
- * @route GET /user-badges/:id
- * @summary Retrieve a single user badge record by its ID.
- * @access Admin / Debug
- * @param {number} id - The user badge record ID.
- * @returns {UserBadge} 200 - The user badge details.
- * @example
- * GET /user-badges/3
- * Response: {
- *   user_badge_id: 3,
- *   user_id: 7,
- *   badge_id: 1,
- *   earned_at: "2025-02-15T08:45:00Z"
- * }
- */
-userBadgeRoutes.get("/:id", idParam, controller.get);
+  /*
+  |--------------------------------------------------------------------------
+  | ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route POST /user-badges
- * @summary Create a new user badge record.
- * @access Application / System
- * @middleware upsertUserBadge - Validates the request body.
- * @bodyParam {number} user_id - ID of the user earning the badge.
- * @bodyParam {number} badge_id - ID of the earned badge.
- * @bodyParam {string|Date} [earned_at] - Optional date/time when badge was earned.
- * @returns {UserBadge} 201 - Newly created user badge record.
- * @example
- * POST /user-badges
- * Body: { "user_id": 5, "badge_id": 3 }
- */
-userBadgeRoutes.post("/", upsertUserBadge, controller.create);
+  /**
+   * @route GET /user-badges
+   * @summary Retrieve all user badge records, or those of one user.
+   * @access Owner (with `user_id` = self) / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - `user_id` must be the caller's own ID unless they hold `progress:read:cohort`.
+   * @queryParam {number} [user_id] - Only badges earned by this user.
+   * @returns {UserBadge[]} 200 - List of user badges.
+   * @example
+   * GET /user-badges?user_id=4
+   * Response: [
+   *   { user_badge_id: 1, user_id: 4, badge_id: 2, earned_at: "2025-01-05T12:00:00Z" }
+   * ]
+   */
+  userBadgeRoutes.get(
+    "/",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", (req) => req.query.user_id),
+    controller.list
+  );
 
-/**
- * @route PUT /user-badges/:id
- * @summary Update an existing user badge record.
- * @access Admin / System
- * @middleware idParam - Validates the user badge ID.
- * @middleware upsertUserBadge - Validates body fields.
- * @param {number} id - ID of the user badge record to update.
- * @bodyParam {number} [user_id] - Updated user ID.
- * @bodyParam {number} [badge_id] - Updated badge ID.
- * @bodyParam {string|Date} [earned_at] - Updated timestamp.
- * @returns {UserBadge} 200 - Updated user badge record.
- * @example
- * PUT /user-badges/5
- * Body: { "earned_at": "2025-03-10T14:00:00Z" }
- */
-userBadgeRoutes.put("/:id", [...idParam, ...upsertUserBadge], controller.update);
+  /**
+   * @route GET /user-badges/:id
+   * @summary Retrieve a single user badge record by its ID.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - The award must belong to the caller unless they hold `progress:read:cohort`.
+   * @param {number} id - The user badge record ID.
+   * @returns {UserBadge} 200 - The user badge details.
+   * @example
+   * GET /user-badges/3
+   * Response: {
+   *   user_badge_id: 3,
+   *   user_id: 7,
+   *   badge_id: 1,
+   *   earned_at: "2025-02-15T08:45:00Z"
+   * }
+   */
+  userBadgeRoutes.get(
+    "/:id",
+    requireAuth,
+    idParam,
+    ownerOrPermission("progress:read:cohort", recordOwner),
+    controller.get
+  );
 
-/**
- * @route DELETE /user-badges/:id
- * @summary Delete a user badge record by its ID.
- * @access Admin / Debug
- * @middleware idParam - Validates the ID parameter.
- * @param {number} id - The ID of the user badge record to delete.
- * @returns {void} 204 - Successfully deleted, no content returned.
- * @example
- * DELETE /user-badges/7
- */
-userBadgeRoutes.delete("/:id", idParam, controller.delete);
+  /**
+   * @route POST /user-badges
+   * @summary Award a badge to a user manually.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_badge.create` in the audit log.
+   * @middleware upsertUserBadge - Validates the request body.
+   * @bodyParam {number} user_id - ID of the user earning the badge.
+   * @bodyParam {number} badge_id - ID of the earned badge.
+   * @bodyParam {string|Date} [earned_at] - Optional date/time when badge was earned.
+   * @returns {UserBadge} 201 - Newly created user badge record.
+   * @returns {object} 409 - The user already holds this badge.
+   * @example
+   * POST /user-badges
+   * Body: { "user_id": 5, "badge_id": 3 }
+   */
+  userBadgeRoutes.post(
+    "/",
+    requirePermission("progress:write"),
+    auditAdminAction("user_badge.create", { idField: "user_badge_id" }),
+    upsertUserBadge,
+    controller.create
+  );
+
+  /**
+   * @route DELETE /user-badges/:id
+   * @summary Revoke an award by deleting its user badge record.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_badge.delete` in the audit log.
+   * @middleware idParam - Validates the ID parameter.
+   * @param {number} id - The ID of the user badge record to delete.
+   * @returns {void} 204 - Successfully deleted, no content returned.
+   * @example
+   * DELETE /user-badges/7
+   */
+  userBadgeRoutes.delete(
+    "/:id",
+    requirePermission("progress:write"),
+    auditAdminAction("user_badge.delete"),
+    idParam,
+    controller.delete
+  );
+
+  return userBadgeRoutes;
+}
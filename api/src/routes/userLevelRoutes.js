@@ -1,8 +1,5 @@
 import { Router } from "express";
-import { UserLevelRepository } from "../domain/repositories/UserLevelRepository.js";
-import { UserLevelService } from "../services/UserLevelService.js";
-import { UserLevelController } from "../Controllers/UserLevelController.js";
-import { idParam /*, upsertUserLevel*/ } from "../validators/userLevelValidator.js";
+import { idParam, upsertUserLevel, updateUserLevelStatus } from "../validators/userLevelValidator.js";
 
 /**
  * Express router module for managing user-level relationships.
@@ -16,159 +13,238 @@ import { idParam /*, upsertUserLevel*/ } from "../validators/userLevelValidator.
  * - Fetching records by user, level, or ID
  * - Creating, updating, deleting, or upserting user-level progress
  *
+ * Authorization:
+ * - Learners can only read their own progress; instructors and admins can read
+ *   anyone's (`ownerOrPermission` with `progress:read:cohort`).
+ * - Progress is written by the server when a scenario is submitted
+ *   (`POST /scenarios/:id/submit`). The write routes below are admin
+ *   overrides; each successful call is recorded in the audit log.
+ *
  * @module userLevelRoutes
  *
  * @example
  * import express from "express";
- * import { userLevelRoutes } from "./routes/userLevelRoutes.js";
+ * import { createUserLevelRoutes } from "./routes/userLevelRoutes.js";
  *
  * const app = express();
- * app.use("/user-levels", userLevelRoutes);
+ * app.use("/user-levels", createUserLevelRoutes(container));
  */
-const repo = new UserLevelRepository();
-const service = new UserLevelService(repo);
-const controller = new UserLevelController(service);
 
 /**
- * Express Router instance for user-level routes.
- * @type {import('express').Router}
+ * Build the user level router.
+ * @param {import("../container.js").Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const userLevelRoutes = Router();
+export function createUserLevelRoutes({ controllers, repositories, auth }) {
+  const { requireAuth, requirePermission, ownerOrPermission, auditAdminAction } = auth;
+  const controller = controllers.userLevels;
+  const repo = repositories.userLevels;
 
-/*
-|--------------------------------------------------------------------------
-| PUBLIC / ADMIN LISTING & QUERY ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * Owner of a stored user-level record.
+   * @param {import('express').Request} req
+   * @returns {Promise<number|undefined>}
+   */
+  const recordOwner = async (req) => (await repo.findById(req.params.id))?.user_id;
 
-/**
- * @route GET /user-levels
- * @summary Retrieve all user-level records or filter by user and/or level.
- * @access Public / Admin
- * @queryParam {number} [user_id] - Filter by user ID.
- * @queryParam {number} [level_id] - Filter by level ID.
- * @returns {UserLevel[]} 200 - List of user-level relationships.
- * @example
- * GET /user-levels
- * Response: [{ user_level_id: 1, user_id: 2, level_id: 1, unlocked: true, completed: false }]
- *
- * GET /user-levels?user_id=3
- * Response: [{ level_id: 2, unlocked: true, completed: true }]
- */
-userLevelRoutes.get("/", controller.list);
+  /**
+   * Express Router instance for user-level routes.
+   * @type {import('express').Router}
+   */
+  const userLevelRoutes = Router();
 
-/**
- * @route GET /user-levels/:id
- * @summary Retrieve a user-level record by its primary key (ID).
- * @access Admin / Debug
- * @param {number} id - Unique user-level record ID.
- * @returns {UserLevel} 200 - A specific user-level record.
- * @example
- * GET /user-levels/5
- * Response: { user_level_id: 5, user_id: 1, level_id: 2, unlocked: true, completed: false }
- */
-userLevelRoutes.get("/:id", idParam, controller.getById);
+  /*
+  |--------------------------------------------------------------------------
+  | LISTING & QUERY ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/*
-|--------------------------------------------------------------------------
-| USER-SCOPED ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /user-levels
+   * @summary Retrieve all user-level records or filter by user and/or level.
+   * @access Owner (with `user_id` = self) / Roles granting `progress:read:cohort` (any filter or none)
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - `user_id` must be the caller's own ID unless they hold `progress:read:cohort`.
+   * @queryParam {number} [user_id] - Filter by user ID.
+   * @queryParam {number} [level_id] - Filter by level ID.
+   * @returns {UserLevel[]} 200 - List of user-level relationships.
+   * @example
+   * GET /user-levels
+   * Response: [{ user_level_id: 1, user_id: 2, level_id: 1, unlocked: true, completed: false }]
+   *
+   * GET /user-levels?user_id=3
+   * Response: [{ level_id: 2, unlocked: true, completed: true }]
+   */
+  userLevelRoutes.get(
+    "/",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", (req) => req.query.user_id),
+    controller.list
+  );
 
-/**
- * @route GET /user-levels/by-user/:user_id/levels
- * @summary Retrieve all level progress records for a specific user.
- * @access Public / Authenticated User
- * @param {number} user_id - The ID of the user.
- * @returns {UserLevel[]} 200 - List of user-level progress records.
- * @example
- * GET /user-levels/by-user/4/levels
- * Response: [
- *   { level_id: 1, unlocked: true, completed: true },
- *   { level_id: 2, unlocked: true, completed: false }
- * ]
- */
-userLevelRoutes.get("/by-user/:user_id/levels", controller.listByUser);
+  /**
+   * @route GET /user-levels/:id
+   * @summary Retrieve a user-level record by its primary key (ID).
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - The record must belong to the caller unless they hold `progress:read:cohort`.
+   * @param {number} id - Unique user-level record ID.
+   * @returns {UserLevel} 200 - A specific user-level record.
+   * @example
+   * GET /user-levels/5
+   * Response: { user_level_id: 5, user_id: 1, level_id: 2, unlocked: true, completed: false }
+   */
+  userLevelRoutes.get(
+    "/:id",
+    requireAuth,
+    idParam,
+    ownerOrPermission("progress:read:cohort", recordOwner),
+    controller.getById
+  );
 
-/**
- * @route GET /user-levels/by-user/:user_id/levels/:level_id
- * @summary Retrieve a specific level progress record for a user.
- * @access Public / Authenticated User
- * @param {number} user_id - The ID of the user.
- * @param {number} level_id - The ID of the level.
- * @returns {UserLevel} 200 - Specific progress record for the user and level.
- * @example
- * GET /user-levels/by-user/3/levels/2
- * Response: { user_id: 3, level_id: 2, unlocked: true, completed: false }
- */
-userLevelRoutes.get(
-  "/by-user/:user_id/levels/:level_id",
-  controller.getByUserAndLevel
-);
+  /*
+  |--------------------------------------------------------------------------
+  | USER-SCOPED ROUTES
+  |--------------------------------------------------------------------------
+  */
 
-/*
-|--------------------------------------------------------------------------
-| CRUD ROUTES
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route GET /user-levels/by-user/:user_id/levels
+   * @summary Retrieve all level progress records for a specific user.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - `user_id` must be the caller's own ID unless they hold `progress:read:cohort`.
+   * @param {number} user_id - The ID of the user.
+   * @returns {UserLevel[]} 200 - List of user-level progress records.
+   * @example
+   * GET /user-levels/by-user/4/levels
+   * Response: [
+   *   { level_id: 1, unlocked: true, completed: true },
+   *   { level_id: 2, unlocked: true, completed: false }
+   * ]
+   */
+  userLevelRoutes.get(
+    "/by-user/:user_id/levels",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", (req) => req.params.user_id),
+    controller.listByUser
+  );
 
-/**
- * @route POST /user-levels
- * @summary Create a new user-level record.
- * @access Admin / System
- * @bodyParam {number} user_id - ID of the user.
- * @bodyParam {number} level_id - ID of the level.
- * @bodyParam {boolean} [unlocked=false] - Whether the level is unlocked.
- * @bodyParam {boolean} [completed=false] - Whether the level is completed.
- * @returns {UserLevel} 201 - The created user-level record.
- * @example
- * POST /user-levels
- * Body: { "user_id": 4, "level_id": 2, "unlocked": true, "completed": false }
- */
-userLevelRoutes.post("/", /* upsertUserLevel,*/ controller.create);
+  /**
+   * @route GET /user-levels/by-user/:user_id/levels/:level_id
+   * @summary Retrieve a specific level progress record for a user.
+   * @access Owner / Roles granting `progress:read:cohort`
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware ownerOrPermission - `user_id` must be the caller's own ID unless they hold `progress:read:cohort`.
+   * @param {number} user_id - The ID of the user.
+   * @param {number} level_id - The ID of the level.
+   * @returns {UserLevel} 200 - Specific progress record for the user and level.
+   * @example
+   * GET /user-levels/by-user/3/levels/2
+   * Response: { user_id: 3, level_id: 2, unlocked: true, completed: false }
+   */
+  userLevelRoutes.get(
+    "/by-user/:user_id/levels/:level_id",
+    requireAuth,
+    ownerOrPermission("progress:read:cohort", (req) => req.params.user_id),
+    controller.getByUserAndLevel
+  );
 
-/**
- * @route PUT /user-levels/:id
- * @summary Update an existing user-level record.
- * @access Admin / System
- * @param {number} id - The ID of the user-level record to update.
- * @bodyParam {boolean} [unlocked] - Updated unlocked status.
- * @bodyParam {boolean} [completed] - Updated completed status.
- * @returns {UserLevel} 200 - The updated user-level record.
- * @example
- * PUT /user-levels/5
- * Body: { "completed": true }
- */
-userLevelRoutes.put("/:id", /* [...idParam, ...upsertUserLevel],*/ controller.update);
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN OVERRIDE ROUTES (audited)
+  |--------------------------------------------------------------------------
+  */
 
-/**
- * @route DELETE /user-levels/:id
- * @summary Delete a user-level record by its ID.
- * @access Admin / Debug
- * @param {number} id - The ID of the record to delete.
- * @returns {void} 204 - Successfully deleted.
- * @example
- * DELETE /user-levels/8
- */
-userLevelRoutes.delete("/:id", idParam, controller.delete);
+  /**
+   * @route POST /user-levels
+   * @summary Create a new user-level record.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_level.create` in the audit log.
+   * @middleware upsertUserLevel - Validates the request body.
+   * @bodyParam {number} user_id - ID of the user.
+   * @bodyParam {number} level_id - ID of the level.
+   * @bodyParam {boolean} [unlocked=false] - Whether the level is unlocked.
+   * @bodyParam {boolean} [completed=false] - Whether the level is completed.
+   * @returns {UserLevel} 201 - The created user-level record.
+   * @example
+   * POST /user-levels
+   * Body: { "user_id": 4, "level_id": 2, "unlocked": true, "completed": false }
+   */
+  userLevelRoutes.post(
+    "/",
+    requirePermission("progress:write"),
+    auditAdminAction("user_level.create", { idField: "user_level_id" }),
+    upsertUserLevel,
+    controller.create
+  );
 
-/*
-|--------------------------------------------------------------------------
-| UPSERT ROUTE
-|--------------------------------------------------------------------------
-*/
+  /**
+   * @route PUT /user-levels/:id
+   * @summary Update an existing user-level record.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_level.update` in the audit log.
+   * @middleware updateUserLevelStatus - Validates the status fields.
+   * @param {number} id - The ID of the user-level record to update.
+   * @bodyParam {boolean} [unlocked] - Updated unlocked status.
+   * @bodyParam {boolean} [completed] - Updated completed status.
+   * @returns {UserLevel} 200 - The updated user-level record.
+   * @example
+   * PUT /user-levels/5
+   * Body: { "completed": true }
+   */
+  userLevelRoutes.put(
+    "/:id",
+    requirePermission("progress:write"),
+    auditAdminAction("user_level.update"),
+    [...idParam, ...updateUserLevelStatus],
+    controller.update
+  );
 
-/**
- * @route POST /user-levels/upsert
- * @summary Create or update a user’s progress for a specific level (idempotent operation).
- * @access System / Application
- * @bodyParam {number} user_id - ID of the user.
- * @bodyParam {number} level_id - ID of the level.
- * @bodyParam {boolean} [unlocked=false] - Unlock status.
- * @bodyParam {boolean} [completed=false] - Completion status.
- * @returns {UserLevel} 200 - The created or updated user-level record.
- * @example
- * POST /user-levels/upsert
- * Body: { "user_id": 3, "level_id": 1, "unlocked": true, "completed": true }
- */
-userLevelRoutes.post("/upsert", /* upsertUserLevel,*/ controller.upsert);
+  /**
+   * @route DELETE /user-levels/:id
+   * @summary Delete a user-level record by its ID.
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_level.delete` in the audit log.
+   * @param {number} id - The ID of the record to delete.
+   * @returns {void} 204 - Successfully deleted.
+   * @example
+   * DELETE /user-levels/8
+   */
+  userLevelRoutes.delete(
+    "/:id",
+    requirePermission("progress:write"),
+    auditAdminAction("user_level.delete"),
+    idParam,
+    controller.delete
+  );
+
+  /**
+   * @route POST /user-levels/upsert
+   * @summary Create or update a user’s progress for a specific level (idempotent operation).
+   * @access Roles granting `progress:write` (admin always)
+   * @middleware requirePermission - Requires `progress:write`.
+   * @middleware auditAdminAction - Records `user_level.upsert` in the audit log.
+   * @middleware upsertUserLevel - Validates the request body.
+   * @bodyParam {number} user_id - ID of the user.
+   * @bodyParam {number} level_id - ID of the level.
+   * @bodyParam {boolean} [unlocked=false] - Unlock status.
+   * @bodyParam {boolean} [completed=false] - Completion status.
+   * @returns {UserLevel} 200 - The created or updated user-level record.
+   * @example
+   * POST /user-levels/upsert
+   * Body: { "user_id": 3, "level_id": 1, "unlocked": true, "completed": true }
+   */
+  userLevelRoutes.post(
+    "/upsert",
+    requirePermission("progress:write"),
+    auditAdminAction("user_level.upsert", { idField: "user_level_id" }),
+    upsertUserLevel,
+    controller.upsert
+  );
+
+  return userLevelRoutes;
+}
@@ -1,139 +1,352 @@
 import { Router } from 'express';
-import { UserRepository } from '../domain/repositories/UserRepository.js';
-import { UserService } from '../services/UserService.js';
-import { UserController } from '../Controllers/UserController.js';
-import { idParam, upsertUser } from '../validators/userValidator.js';
-import { requireAuth } from "../middlewares/requireAuth.js"; 
-import { isAdmin } from "../middlewares/isAdmin.js";  
+import {
+  idParam,
+  upsertUser,
+  registerBody,
+  loginBody,
+  refreshTokenBody,
+  emailBody,
+  accountTokenBody,
+  resetPasswordBody,
+  updateProfileBody,
+  changePasswordBody,
+  confirmPasswordBody,
+} from '../validators/userValidator.js';
 
 /**
  * Express router module for handling user management and authentication.
  *
- * Provides routes for user registration, login, and admin-level CRUD operations.
- * Authentication middleware (`requireAuth`) and authorization checks (`isAdmin`)
- * are applied to protect sensitive endpoints.
+ * Provides routes for user registration, email verification, login, token
+ * refresh, logout, password resets, self-service account management
+ * (`/users/me`), and admin-level CRUD operations.
+ * Authentication middleware (`requireAuth`) and permission checks
+ * (`requirePermission`, `user:read` / `user:write`) protect sensitive endpoints.
  *
  * @module userRoutes
  *
  * @example
  * import express from "express";
- * import { userRoutes } from "./routes/userRoutes.js";
+ * import { createUserRoutes } from "./routes/userRoutes.js";
  *
  * const app = express();
- * app.use("/users", userRoutes);
+ * app.use("/users", createUserRoutes(container));
  */
-const repo = new UserRepository();
-const service = new UserService(repo);
-const controller = new UserController(service);
 
 /**
- * Express Router instance for user-related routes.
- * @type {import('express').Router}
+ * Build the user router.
+ * @param {import('../container.js').Container} container - The app's controllers, middlewares and repositories.
+ * @returns {import('express').Router}
  */
-export const userRoutes = Router();
+export function createUserRoutes({ controllers, services, auth }) {
+  const { requireAuth, requirePermission } = auth;
+  const controller = controllers.users;
 
-/**
- * @route POST /users/register
- * @summary Register a new user account.
- * @access Public
- * @bodyParam {string} full_name - The user's full name.
- * @bodyParam {string} email - The user's email address.
- * @bodyParam {string} password - The user's chosen password.
- * @returns {User} 201 - Newly created user account.
- * @example
- * POST /users/register
- * Body: { "full_name": "John Doe", "email": "john@example.com", "password": "secret123" }
- */
-userRoutes.post("/register", controller.register);
+  /**
+   * Express Router instance for user-related routes.
+   * @type {import('express').Router}
+   */
+  const userRoutes = Router();
 
-/**
- * @route POST /users/login
- * @summary Authenticate a user and return a JWT token.
- * @access Public
- * @bodyParam {string} email - User's registered email.
- * @bodyParam {string} password - User's password.
- * @returns {object} 200 - Authentication token and user info.
- * @example
- * POST /users/login
- * Body: { "email": "john@example.com", "password": "secret123" }
- * Response: { "token": "jwt_token_here", "user": {...} }
- */
-userRoutes.post("/login", controller.login);
+  /**
+   * @route POST /users/register
+   * @summary Register a new user account.
+   * Self-registered accounts always get the `learner` role, and must verify
+   * their email address (link sent by email) before they can log in.
+   * @access Public
+   * @bodyParam {string} full_name - The user's full name.
+   * @bodyParam {string} email - The user's email address.
+   * @bodyParam {string} password - The user's chosen password (at least 6 characters).
+   * @returns {User} 201 - Newly created user account.
+   * @returns {object} 400 - `VALIDATION_FAILED`: a field is missing or invalid.
+   * @example
+   * POST /users/register
+   * Body: { "full_name": "John Doe", "email": "john@example.com", "password": "secret123" }
+   */
+  userRoutes.post("/register", registerBody, controller.register);
 
-/**
- * @route GET /users
- * @summary Retrieve a list of all users (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admin users.
- * @returns {User[]} 200 - List of all registered users.
- * @example
- * GET /users
- * Response: [{ user_id: 1, full_name: "John Doe", email: "john@example.com", role: "user" }]
- */
-userRoutes.get("/", requireAuth, isAdmin, controller.list);
+  /**
+   * @route POST /users/login
+   * @summary Authenticate a user and open a login session.
+   * Repeated failures lock out the account (5 failures by default) and the
+   * client's IP address (20 failures) with exponential backoff.
+   * @access Public
+   * @bodyParam {string} email - User's registered email.
+   * @bodyParam {string} password - User's password.
+   * @returns {object} 200 - Short-lived access token, refresh token and user info.
+   * @returns {object} 400 - `VALIDATION_FAILED`: the email or password is missing or malformed.
+   * @returns {object} 401 - Wrong email or password.
+   * @returns {object} 403 - The email address has not been verified yet.
+   * @returns {object} 429 - Locked out; the `Retry-After` header gives the seconds left.
+   * @example
+   * POST /users/login
+   * Body: { "email": "john@example.com", "password": "secret123" }
+   * Response: { "token": "jwt_token_here", "refresh_token": "q1Vx...", "expires_in": "15m", "user": {...} }
+   */
+  userRoutes.post("/login", loginBody, controller.login);
 
-/**
- * @route GET /users/:id
- * @summary Retrieve a user by their ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts to admins.
- * @param {number} id - User ID.
- * @returns {User} 200 - User details.
- * @example
- * GET /users/3
- * Response: { user_id: 3, full_name: "Alice Smith", email: "alice@example.com" }
- */
-userRoutes.get("/:id", requireAuth, isAdmin, idParam, controller.get);
+  /**
+   * @route POST /users/verify-email
+   * @summary Verify an email address with the token from the verification link.
+   * @access Public (requires the emailed token)
+   * @middleware accountTokenBody - Validates the token.
+   * @bodyParam {string} token - Token from the verification link.
+   * @returns {User} 200 - The verified user.
+   * @returns {object} 400 - Invalid, expired or already used link.
+   * @example
+   * POST /users/verify-email
+   * Body: { "token": "Zk3p..." }
+   */
+  userRoutes.post("/verify-email", accountTokenBody, controller.verifyEmail);
 
-/**
- * @route POST /users
- * @summary Create a new user manually (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
- * @middleware upsertUser - Validates body parameters.
- * @bodyParam {string} full_name - User’s full name.
- * @bodyParam {string} email - User’s email address.
- * @bodyParam {string} password - User’s password.
- * @bodyParam {string} [role="user"] - Optional user role.
- * @returns {User} 201 - Created user record.
- * @example
- * POST /users
- * Body: { "full_name": "Admin User", "email": "admin@example.com", "password": "admin123", "role": "admin" }
- */
-userRoutes.post("/", requireAuth, isAdmin, upsertUser, controller.create);
+  /**
+   * @route POST /users/verify-email/resend
+   * @summary Email a new verification link; earlier links stop working.
+   * @access Public
+   * @middleware emailBody - Validates the email address.
+   * @bodyParam {string} email - The address to verify.
+   * @returns {object} 202 - `{ message }`, the same for every address.
+   * @example
+   * POST /users/verify-email/resend
+   * Body: { "email": "john@example.com" }
+   */
+  userRoutes.post("/verify-email/resend", emailBody, controller.resendVerification);
 
-/**
- * @route PUT /users/:id
- * @summary Update an existing user (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
- * @middleware idParam - Validates user ID parameter.
- * @middleware upsertUser - Validates update fields.
- * @param {number} id - User ID to update.
- * @bodyParam {string} [full_name] - Updated name.
- * @bodyParam {string} [email] - Updated email.
- * @bodyParam {string} [password] - Updated password.
- * @bodyParam {string} [role] - Updated role (e.g., "user" or "admin").
- * @returns {User} 200 - Updated user details.
- * @example
- * PUT /users/5
- * Body: { "full_name": "Updated Name", "role": "admin" }
- */
-userRoutes.put("/:id", requireAuth, isAdmin, [...idParam, ...upsertUser], controller.update);
+  /**
+   * @route POST /users/forgot-password
+   * @summary Email a password reset link; earlier links stop working.
+   * @access Public
+   * @middleware emailBody - Validates the email address.
+   * @bodyParam {string} email - The account's email address.
+   * @returns {object} 202 - `{ message }`, the same whether or not the account exists.
+   * @example
+   * POST /users/forgot-password
+   * Body: { "email": "john@example.com" }
+   */
+  userRoutes.post("/forgot-password", emailBody, controller.forgotPassword);
 
-/**
- * @route DELETE /users/:id
- * @summary Delete a user account by ID (admin-only).
- * @access Admin
- * @middleware requireAuth - Ensures authentication.
- * @middleware isAdmin - Restricts access to admins.
- * @param {number} id - The ID of the user to delete.
- * @returns {void} 204 - Successfully deleted, no content returned.
- * @example
- * DELETE /users/4
- */
-userRoutes.delete("/:id", requireAuth, isAdmin, idParam, controller.delete);
+  /**
+   * @route POST /users/reset-password
+   * @summary Choose a new password with the token from a reset link.
+   * Logs the user out of every device.
+   * @access Public (requires the emailed token)
+   * @middleware resetPasswordBody - Validates the token and new password.
+   * @bodyParam {string} token - Token from the reset link.
+   * @bodyParam {string} password - The new password (at least 6 characters).
+   * @returns {void} 204 - Password changed.
+   * @returns {object} 400 - Invalid, expired or already used link.
+   * @example
+   * POST /users/reset-password
+   * Body: { "token": "Zk3p...", "password": "newSecret123" }
+   */
+  userRoutes.post("/reset-password", resetPasswordBody, controller.resetPassword);
+
+  /**
+   * @route POST /users/refresh
+   * @summary Exchange a refresh token for a new access token and refresh token.
+   * @access Public (requires a valid refresh token)
+   * @middleware refreshTokenBody - Validates the refresh token.
+   * @bodyParam {string} refresh_token - The refresh token from the last login or refresh.
+   * @returns {object} 200 - `{ token, refresh_token, expires_in }`.
+   * @returns {object} 401 - Unknown, expired or revoked token. Reusing an already
+   * exchanged token revokes its whole session.
+   * @example
+   * POST /users/refresh
+   * Body: { "refresh_token": "q1Vx..." }
+   * Response: { "token": "jwt_token_here", "refresh_token": "Zr8k...", "expires_in": "15m" }
+   */
+  userRoutes.post("/refresh", refreshTokenBody, controller.refresh);
+
+  /**
+   * @route POST /users/logout
+   * @summary Log out this device by revoking the session of the given refresh token.
+   * @access Public (requires the device's refresh token)
+   * @middleware refreshTokenBody - Validates the refresh token.
+   * @bodyParam {string} refresh_token - The device's refresh token.
+   * @returns {void} 204 - Session revoked (also returned if it already was).
+   * @example
+   * POST /users/logout
+   * Body: { "refresh_token": "q1Vx..." }
+   */
+  userRoutes.post("/logout", refreshTokenBody, controller.logout);
+
+  /**
+   * @route POST /users/logout-all
+   * @summary Log out all devices of the authenticated user.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures authentication.
+   * @returns {object} 200 - `{ revoked }`, the number of sessions revoked.
+   * The access token used for this call stops working as well.
+   * @example
+   * POST /users/logout-all
+   * Response: { "revoked": 3 }
+   */
+  userRoutes.post("/logout-all", requireAuth, controller.logoutAll);
+
+  /*
+  |--------------------------------------------------------------------------
+  | SELF-SERVICE ROUTES (the signed-in user's own account)
+  |--------------------------------------------------------------------------
+  | Declared before `/:id` so that "me" is not taken for an ID.
+  */
+
+  /**
+   * @route GET /users/me
+   * @summary Get the authenticated user's own account and the permissions of their role.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures authentication.
+   * @returns {User} 200 - The user, with `permissions` (sorted permission names).
+   * @example
+   * GET /users/me
+   * Response: { id: 4, name: "Jane Doe", email: "jane@example.com", role: "learner", email_verified: true, created_at: "...", permissions: [] }
+   */
+  userRoutes.get("/me", requireAuth, controller.me);
+
+  /**
+   * @route PUT /users/me
+   * @summary Update the authenticated user's name.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware updateProfileBody - Validates the new name.
+   * @bodyParam {string} full_name - The new full name (1–100 characters).
+   * @returns {User} 200 - The updated user.
+   * @example
+   * PUT /users/me
+   * Body: { "full_name": "Jane Q. Doe" }
+   */
+  userRoutes.put("/me", requireAuth, updateProfileBody, controller.updateMe);
+
+  /**
+   * @route PUT /users/me/password
+   * @summary Change the authenticated user's password.
+   * Other devices are logged out; this one stays signed in.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware changePasswordBody - Validates both passwords.
+   * @bodyParam {string} current_password - The current password.
+   * @bodyParam {string} new_password - The new password (at least 6 characters).
+   * @returns {void} 204 - Password changed.
+   * @returns {object} 400 - The current password is wrong.
+   * @example
+   * PUT /users/me/password
+   * Body: { "current_password": "secret123", "new_password": "newSecret456" }
+   */
+  userRoutes.put("/me/password", requireAuth, changePasswordBody, controller.changePassword);
+
+  /**
+   * @route DELETE /users/me
+   * @summary Delete the authenticated user's account.
+   * Their attempts, scenario sessions, level progress, badges and login
+   * sessions are deleted with it.
+   * @access Authenticated
+   * @middleware requireAuth - Ensures authentication.
+   * @middleware confirmPasswordBody - Requires the current password.
+   * @bodyParam {string} password - The current password, to confirm.
+   * @returns {void} 204 - Account deleted.
+   * @returns {object} 400 - The password is wrong.
+   * @example
+   * DELETE /users/me
+   * Body: { "password": "secret123" }
+   */
+  userRoutes.delete("/me", requireAuth, confirmPasswordBody, controller.deleteMe);
+
+  /*
+  |--------------------------------------------------------------------------
+  | ADMIN ROUTES
+  |--------------------------------------------------------------------------
+  */
+
+  /**
+   * @route GET /users
+   * @summary Retrieve a list of all users (admin-only).
+   * @access Roles granting `user:read` (admin always)
+   * @middleware requirePermission - Requires `user:read`.
+   * @returns {User[]} 200 - List of all registered users.
+   * @example
+   * GET /users
+   * Response: [{ user_id: 1, full_name: "John Doe", email: "john@example.com", role: "learner" }]
+   */
+  userRoutes.get("/", requirePermission("user:read"), controller.list);
+
+  /**
+   * @route GET /users/:id
+   * @summary Retrieve a user by their ID (admin-only).
+   * @access Roles granting `user:read` (admin always)
+   * @middleware requirePermission - Requires `user:read`.
+   * @param {number} id - User ID.
+   * @returns {User} 200 - User details.
+   * @example
+   * GET /users/3
+   * Response: { user_id: 3, full_name: "Alice Smith", email: "alice@example.com" }
+   */
+  userRoutes.get("/:id", requirePermission("user:read"), idParam, controller.get);
+
+  /**
+   * @route POST /users
+   * @summary Create a new user manually (admin-only).
+   * @access Roles granting `user:write` (admin always)
+   * @middleware requirePermission - Requires `user:write`.
+   * @middleware upsertUser - Validates body parameters.
+   * @bodyParam {string} full_name - User’s full name.
+   * @bodyParam {string} email - User’s email address.
+   * @bodyParam {string} password - User’s password.
+   * @bodyParam {string} [role="learner"] - Optional role; must exist in `/api/roles`.
+   * @returns {User} 201 - Created user record.
+   * @returns {object} 403 - `ROLE_NOT_GRANTABLE`: the role grants permissions the caller does not hold
+   * (only admins may make admins).
+   * @example
+   * POST /users
+   * Body: { "full_name": "Admin User", "email": "admin@example.com", "password": "admin123", "role": "admin" }
+   */
+  userRoutes.post("/", requirePermission("user:write"), upsertUser(services.roles), controller.create);
+
+  /**
+   * @route PUT /users/:id
+   * @summary Update an existing user (admin-only).
+   * @access Roles granting `user:write` (admin always)
+   * @middleware requirePermission - Requires `user:write`.
+   * @middleware idParam - Validates user ID parameter.
+   * @middleware upsertUser - Validates update fields.
+   * @param {number} id - User ID to update.
+   * @bodyParam {string} [full_name] - Updated name.
+   * @bodyParam {string} [email] - Updated email.
+   * @bodyParam {string} [password] - Updated password.
+   * @bodyParam {string} [role] - Updated role (e.g., "instructor"); must exist in `/api/roles`.
+   * @returns {User} 200 - Updated user details.
+   * @returns {object} 403 - `ROLE_NOT_GRANTABLE`: the user's current or new role grants permissions the
+   * caller does not hold.
+   * @example
+   * PUT /users/5
+   * Body: { "full_name": "Updated Name", "role": "admin" }
+   */
+  userRoutes.put("/:id", requirePermission("user:write"), [...idParam, ...upsertUser(services.roles)], controller.update);
+
+  /**
+   * @route DELETE /users/:id
+   * @summary Delete a user account by ID (admin-only), with their progress and sessions.
+   * @access Roles granting `user:write` (admin always)
+   * @middleware requirePermission - Requires `user:write`.
+   * @param {number} id - The ID of the user to delete.
+   * @returns {void} 204 - Successfully deleted, no content returned.
+   * @returns {object} 403 - `ROLE_NOT_GRANTABLE`: the user's role grants permissions the caller does not hold.
+   * @example
+   * DELETE /users/4
+   */
+  userRoutes.delete("/:id", requirePermission("user:write"), idParam, controller.delete);
+
+  /**
+   * @route POST /users/:id/unlock
+   * @summary Lift a login lockout on a user's account and reset its backoff.
+   * Recorded in the security event log (`login.unlock`).
+   * @access Roles granting `user:write` (admin always)
+   * @middleware requirePermission - Requires `user:write`.
+   * @param {number} id - The user ID.
+   * @returns {object} 200 - `{ unlocked }`, whether the account was locked out.
+   * @returns {object} 404 - User not found.
+   * @example
+   * POST /users/4/unlock
+   * Response: { "unlocked": true }
+   */
+  userRoutes.post("/:id/unlock", requirePermission("user:write"), idParam, controller.unlock);
+
+  return userRoutes;
+}
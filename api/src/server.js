@@ -1,4 +1,4 @@
-import { app } from './app.js';
+import { createApp } from './app.js';
 import dotenv from 'dotenv';
 import 'dotenv/config'; 
 
@@ -8,7 +8,7 @@ dotenv.config();
  * 🌐 Application Entry Point
  *
  * This file initializes environment variables and starts the Express server.
- * It imports the configured Express `app` from `app.js` and begins listening
+ * It builds the Express app with `createApp()` from `app.js` and begins listening
  * on the port defined in `.env` or defaults to port **4000**.
  *
  * @module server
@@ -18,6 +18,7 @@ dotenv.config();
 
 // ✅ Load environment variables
 const port = process.env.PORT || 4000;
+const app = createApp();
 
 /**
  * 🚀 Start the server
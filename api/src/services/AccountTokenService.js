@@ -0,0 +1,107 @@
+import { randomBytes } from "crypto";
+import { AppError, wrapError } from "../utils/error.js";
+import { hashToken } from "../utils/jwt.js";
+
+/**
+ * What an account token may be used for.
+ * @enum {string}
+ */
+export const TOKEN_PURPOSES = Object.freeze({
+  VERIFY_EMAIL: "verify_email",
+  RESET_PASSWORD: "reset_password",
+});
+
+/**
+ * Lifetime of an email verification link, in hours.
+ * @type {number}
+ */
+export const EMAIL_VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+/**
+ * Lifetime of a password reset link, in minutes.
+ * @type {number}
+ */
+export const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+
+/**
+ * Service layer for the single-use tokens emailed to users.
+ *
+ * Issuing a token for a purpose invalidates the user's earlier tokens for
+ * that purpose, so only the latest link works. A token is consumed the
+ * first time it is used and rejected after it expires.
+ *
+ * @class AccountTokenService
+ */
+export class AccountTokenService {
+  /**
+   * Creates an instance of AccountTokenService.
+   * @param {import("../domain/repositories/mysql/UserTokenRepository.js").UserTokenRepository} userTokenRepository - Repository managing account tokens.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transaction that swaps a user's tokens.
+   */
+  constructor(userTokenRepository, withTransaction) {
+    this.userTokenRepository = userTokenRepository;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Issue a new token for a user.
+   * @async
+   * @param {number} userId - The user the token is for.
+   * @param {string} purpose - One of {@link TOKEN_PURPOSES}.
+   * @param {number} ttlMs - Lifetime in milliseconds.
+   * @returns {Promise<string>} The plain token, to be put in a link.
+   * @throws {Error} If the token cannot be stored.
+   * @example
+   * const token = await accountTokenService.issue(4, TOKEN_PURPOSES.RESET_PASSWORD, 30 * 60 * 1000);
+   */
+  async issue(userId, purpose, ttlMs) {
+    try {
+      const token = randomBytes(32).toString("base64url");
+      await this.withTransaction(async (conn) => {
+        await this.userTokenRepository.invalidateForUser(userId, purpose, conn);
+        await this.userTokenRepository.create(
+          {
+            token_hash: hashToken(token),
+            user_id: userId,
+            purpose,
+            expires_at: new Date(Date.now() + ttlMs),
+          },
+          conn
+        );
+      });
+      return token;
+    } catch (error) {
+      throw wrapError(error, `Failed to issue ${purpose} token`);
+    }
+  }
+
+  /**
+   * Consume a token.
+   * @async
+   * @param {string} token - The plain token from the link.
+   * @param {string} purpose - The purpose the token must have been issued for.
+   * @returns {Promise<number>} The ID of the user the token belongs to.
+   * @throws {AppError} 400 if the token is unknown, expired, or already used.
+   * @throws {Error} If the lookup fails.
+   * @example
+   * const userId = await accountTokenService.consume(req.body.token, TOKEN_PURPOSES.VERIFY_EMAIL);
+   */
+  async consume(token, purpose) {
+    try {
+      const tokenHash = hashToken(token);
+      const stored = await this.userTokenRepository.find(tokenHash, purpose);
+      if (!stored) throw new AppError("This link is invalid", 400, "TOKEN_INVALID");
+      if (stored.used_at) throw new AppError("This link has already been used", 400, "TOKEN_USED");
+      if (stored.expires_at.getTime() <= Date.now()) {
+        throw new AppError("This link has expired", 400, "TOKEN_EXPIRED");
+      }
+
+      const claimed = await this.userTokenRepository.markUsed(tokenHash);
+      if (!claimed) throw new AppError("This link has already been used", 400, "TOKEN_USED");
+
+      return stored.user_id;
+    } catch (error) {
+      throw wrapError(error, `Failed to use ${purpose} token`);
+    }
+  }
+}
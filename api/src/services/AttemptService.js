@@ -1,4 +1,5 @@
 import AttemptDTO from '../domain/dto/AttemptDTO.js';
+import { wrapError } from '../utils/error.js';
 
 /**
  * Service layer for managing user attempts within scenarios.
@@ -12,7 +13,7 @@ import AttemptDTO from '../domain/dto/AttemptDTO.js';
 export class AttemptService {
   /**
    * Creates an instance of AttemptService.
-   * @param {import('../domain/repositories/AttemptRepository.js').AttemptRepository} attemptRepository - The repository for attempt data.
+   * @param {import('../domain/repositories/mysql/AttemptRepository.js').AttemptRepository} attemptRepository - The repository for attempt data.
    */
   constructor(attemptRepository) {
     this.attemptRepository = attemptRepository;
@@ -31,7 +32,7 @@ export class AttemptService {
       const attempts = await this.attemptRepository.findAll();
       return attempts.map(AttemptDTO.fromEntity);
     } catch (error) {
-      throw new Error('Failed to list attempts: ' + error.message);
+      throw wrapError(error, 'Failed to list attempts');
     }
   }
 
@@ -49,16 +50,16 @@ export class AttemptService {
       const attempt = await this.attemptRepository.findById(id);
       return attempt ? AttemptDTO.fromEntity(attempt) : null;
     } catch (error) {
-      throw new Error(`Failed to get attempt with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get attempt with id ${id}`);
     }
   }
 
   /**
-   * Retrieve a user's attempt for a specific scenario.
+   * Retrieve a user's best attempt for a specific scenario.
    * @async
    * @param {number} user_id - The ID of the user.
    * @param {number} scenario_id - The ID of the scenario.
-   * @returns {Promise<AttemptDTO|null>} The user's attempt, or null if not found.
+   * @returns {Promise<AttemptDTO|null>} The user's best attempt, or null if not found.
    * @throws {Error} If retrieval fails.
    * @example
    * const attempt = await attemptService.getUserAttempt(3, 10);
@@ -68,35 +69,54 @@ export class AttemptService {
       const attempt = await this.attemptRepository.findByUserAndScenario(user_id, scenario_id);
       return attempt ? AttemptDTO.fromEntity(attempt) : null;
     } catch (error) {
-      throw new Error(`Failed to get user attempt: ${error.message}`);
+      throw wrapError(error, 'Failed to get user attempt');
     }
   }
 
   /**
-   * Create or update the best score for a given user and scenario.
-   * If a previous score exists, only updates if the new score is higher.
+   * Retrieve every attempt a user made on a scenario, oldest first.
+   * @async
+   * @param {number} user_id - The ID of the user.
+   * @param {number} scenario_id - The ID of the scenario.
+   * @returns {Promise<AttemptDTO[]>} The user's attempt history for the scenario.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const history = await attemptService.getUserAttemptHistory(3, 10);
+   */
+  async getUserAttemptHistory(user_id, scenario_id) {
+    try {
+      const attempts = await this.attemptRepository.findHistoryByUserAndScenario(user_id, scenario_id);
+      return attempts.map(AttemptDTO.fromEntity);
+    } catch (error) {
+      throw wrapError(error, 'Failed to get attempt history');
+    }
+  }
+
+  /**
+   * Record a new attempt for a given user and scenario.
+   * Previous attempts are kept; best scores are computed from the history.
    * @async
    * @param {object} data - Attempt data (user_id, scenario_id, score).
-   * @returns {Promise<AttemptDTO>} The updated or newly created attempt.
+   * @returns {Promise<AttemptDTO>} The newly recorded attempt.
    * @throws {Error} If saving fails.
    * @example
-   * await attemptService.saveBestScore({ user_id: 2, scenario_id: 4, score: 90 });
+   * await attemptService.recordAttempt({ user_id: 2, scenario_id: 4, score: 90 });
    */
-  async saveBestScore(data) {
+  async recordAttempt(data) {
     try {
-      const attempt = await this.attemptRepository.upsertBestScore(data);
+      const attempt = await this.attemptRepository.create(data);
       return AttemptDTO.fromEntity(attempt);
     } catch (error) {
-      throw new Error('Failed to save best score: ' + error.message);
+      throw wrapError(error, 'Failed to record attempt');
     }
   }
 
   /**
-   * Count the number of perfect (100%) attempts for a user in a specific level.
+   * Count the scenarios a user has completed with a perfect (100%) score in a specific level.
    * @async
    * @param {number} user_id - The user ID.
    * @param {number} level_id - The level ID.
-   * @returns {Promise<number>} The count of perfect attempts.
+   * @returns {Promise<number>} The count of perfectly completed scenarios.
    * @example
    * const perfectCount = await attemptService.countPerfectByUserInLevel(5, 2);
    */
@@ -117,11 +137,11 @@ export class AttemptService {
   }
 
   /**
-   * Retrieve all attempts by a user for a given level.
+   * Retrieve a user's best score per scenario for a given level.
    * @async
    * @param {number} userId - The user ID.
    * @param {number} levelId - The level ID.
-   * @returns {Promise<object[]>} Array of attempts with scenario IDs and scores.
+   * @returns {Promise<object[]>} Array of scenario IDs with their best scores.
    * @example
    * const attempts = await attemptService.getUserAttemptsByLevel(4, 2);
    */
@@ -0,0 +1,75 @@
+import AuditLogDTO from "../domain/dto/AuditLogDTO.js";
+import { wrapError } from "../utils/error.js";
+
+/**
+ * Fields never copied from a request body into the audit log.
+ * @type {string[]}
+ */
+const REDACTED_FIELDS = ["password", "refresh_token"];
+
+/**
+ * Service layer for the admin audit log.
+ *
+ * Records admin overrides of learner data and lists them for review.
+ *
+ * @class AuditLogService
+ */
+export class AuditLogService {
+  /**
+   * Creates an instance of AuditLogService.
+   * @param {import("../domain/repositories/mysql/AuditLogRepository.js").AuditLogRepository} auditLogRepository - Repository for audit entries.
+   */
+  constructor(auditLogRepository) {
+    this.auditLogRepository = auditLogRepository;
+  }
+
+  /**
+   * Record an admin action.
+   * Secrets in `details.body` are redacted before storing.
+   * @async
+   * @param {object} entry - The action performed.
+   * @param {number} entry.actor_id - ID of the admin.
+   * @param {string} entry.action - Action name, `<resource>.<verb>`.
+   * @param {string|number|null} [entry.target_id] - ID of the record acted on.
+   * @param {object} [entry.details] - Route params, body and response status.
+   * @returns {Promise<number>} The new entry's ID.
+   * @throws {Error} If the entry cannot be stored.
+   * @example
+   * await auditLogService.record({ actor_id: 1, action: "attempt.create", details: { body } });
+   */
+  async record({ actor_id, action, target_id = null, details = {} }) {
+    try {
+      const body = details.body ? { ...details.body } : undefined;
+      for (const field of REDACTED_FIELDS) {
+        if (body && field in body) body[field] = "[redacted]";
+      }
+      return await this.auditLogRepository.create({
+        actor_id,
+        action,
+        target_id,
+        details: { ...details, ...(body ? { body } : {}) },
+      });
+    } catch (error) {
+      throw wrapError(error, `Failed to record audit entry ${action}`);
+    }
+  }
+
+  /**
+   * List audit entries, newest first.
+   * @async
+   * @param {object} [filters] - `actor_id`, `action` and `limit` (max 500).
+   * @returns {Promise<AuditLogDTO[]>} Matching entries.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const entries = await auditLogService.list({ actor_id: 1 });
+   */
+  async list(filters = {}) {
+    try {
+      const limit = Math.min(Number(filters.limit) || 100, 500);
+      const entries = await this.auditLogRepository.findAll({ ...filters, limit });
+      return entries.map(AuditLogDTO.fromEntity);
+    } catch (error) {
+      throw wrapError(error, "Failed to list audit entries");
+    }
+  }
+}
@@ -0,0 +1,208 @@
+import { randomUUID } from "crypto";
+import { UnauthorizedError, wrapError } from "../utils/error.js";
+import {
+  REFRESH_TOKEN_TTL_DAYS,
+  createRefreshToken,
+  hashToken,
+  signAccess,
+} from "../utils/jwt.js";
+
+/**
+ * Service layer for login sessions, refresh-token rotation and revocation.
+ *
+ * Signing in opens a session and returns a short-lived access token (a JWT
+ * naming the session in its `sid` claim) plus an opaque refresh token.
+ * Each refresh consumes the refresh token and issues a new pair. Presenting
+ * a refresh token that was already consumed means it leaked, so the whole
+ * session is revoked. A revoked session rejects its access tokens too
+ * (see `requireAuth`).
+ *
+ * @class AuthSessionService
+ */
+export class AuthSessionService {
+  /**
+   * Creates an instance of AuthSessionService.
+   * @param {import("../domain/repositories/mysql/AuthSessionRepository.js").AuthSessionRepository} authSessionRepository - Repository managing sessions and refresh tokens.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transactions that rotate refresh tokens.
+   */
+  constructor(authSessionRepository, withTransaction) {
+    this.authSessionRepository = authSessionRepository;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Sign a new access token and store a new refresh token for a session.
+   * @private
+   * @param {{user_id:number, role:string}} user - The session's user.
+   * @param {string} sessionId - The session ID.
+   * @param {import("../config/db.js").Queryable} [db] - Pool or transaction connection.
+   * @returns {Promise<{token: string, refresh_token: string}>}
+   */
+  async _issueTokens(user, sessionId, db) {
+    const refreshToken = createRefreshToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await this.authSessionRepository.addRefreshToken(
+      { token_hash: hashToken(refreshToken), session_id: sessionId, expires_at: expiresAt },
+      db
+    );
+
+    return {
+      token: signAccess({ sub: user.user_id, role: user.role, sid: sessionId }),
+      refresh_token: refreshToken,
+    };
+  }
+
+  /**
+   * Open a new session for a user who just signed in.
+   * @async
+   * @param {{user_id:number, role:string}} user - The authenticated user.
+   * @param {string|null} [userAgent] - The client's user agent, to tell devices apart.
+   * @returns {Promise<{token: string, refresh_token: string}>} Access token and refresh token.
+   * @throws {Error} If the session cannot be stored.
+   * @example
+   * const { token, refresh_token } = await authSessionService.start(user, req.get("user-agent"));
+   */
+  async start(user, userAgent = null) {
+    try {
+      return await this.withTransaction(async (conn) => {
+        const sessionId = randomUUID();
+        await this.authSessionRepository.createSession(
+          { session_id: sessionId, user_id: user.user_id, user_agent: userAgent },
+          conn
+        );
+        return this._issueTokens(user, sessionId, conn);
+      });
+    } catch (error) {
+      throw wrapError(error, "Failed to start session");
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   *
+   * The presented token is consumed. If it had already been consumed, the
+   * session is revoked, which also logs out whoever holds the newer token.
+   *
+   * @async
+   * @param {string} refreshToken - The refresh token from the last login or refresh.
+   * @param {(userId:number) => Promise<{user_id:number, role:string}|null>} loadUser - Loads the session's user, so the new access token carries their current role.
+   * @returns {Promise<{token: string, refresh_token: string}>} The new token pair.
+   * @throws {AppError} 401 if the token is unknown, expired, reused, or its session was revoked.
+   * @example
+   * const tokens = await authSessionService.refresh(refresh_token, (id) => userRepo.findById(id));
+   */
+  async refresh(refreshToken, loadUser) {
+    try {
+      const tokenHash = hashToken(refreshToken);
+      const stored = await this.authSessionRepository.findRefreshToken(tokenHash);
+      if (!stored) throw new UnauthorizedError("Invalid refresh token", "INVALID_REFRESH_TOKEN");
+
+      const session = await this.authSessionRepository.findSession(stored.session_id);
+      if (!session || session.revoked_at) throw new UnauthorizedError("Session has been revoked", "SESSION_REVOKED");
+
+      const claimed = await this.authSessionRepository.markRefreshTokenUsed(tokenHash);
+      if (!claimed) {
+        await this.authSessionRepository.revokeSession(stored.session_id);
+        throw new UnauthorizedError("Refresh token was already used; the session has been revoked", "REFRESH_TOKEN_REUSED");
+      }
+
+      if (stored.expires_at.getTime() <= Date.now()) {
+        throw new UnauthorizedError("Refresh token has expired", "REFRESH_TOKEN_EXPIRED");
+      }
+
+      const user = await loadUser(session.user_id);
+      if (!user) {
+        await this.authSessionRepository.revokeSession(stored.session_id);
+        throw new UnauthorizedError("Session has been revoked", "SESSION_REVOKED");
+      }
+
+      return await this.withTransaction(async (conn) => {
+        await this.authSessionRepository.touchSession(session.session_id, conn);
+        return this._issueTokens(user, session.session_id, conn);
+      });
+    } catch (error) {
+      throw wrapError(error, "Failed to refresh session");
+    }
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (log out this device).
+   * Unknown tokens and already revoked sessions are ignored, so logging out
+   * twice is harmless.
+   * @async
+   * @param {string} refreshToken - The device's refresh token.
+   * @returns {Promise<void>}
+   * @throws {Error} If revocation fails.
+   * @example
+   * await authSessionService.revokeByRefreshToken(refresh_token);
+   */
+  async revokeByRefreshToken(refreshToken) {
+    try {
+      const stored = await this.authSessionRepository.findRefreshToken(hashToken(refreshToken));
+      if (stored) await this.authSessionRepository.revokeSession(stored.session_id);
+    } catch (error) {
+      throw wrapError(error, "Failed to revoke session");
+    }
+  }
+
+  /**
+   * Revoke a session by ID.
+   * @async
+   * @param {string} sessionId - The session ID (the access token's `sid`).
+   * @returns {Promise<boolean>} True if the session was active.
+   * @throws {Error} If revocation fails.
+   */
+  async revoke(sessionId) {
+    try {
+      return await this.authSessionRepository.revokeSession(sessionId);
+    } catch (error) {
+      throw wrapError(error, `Failed to revoke session ${sessionId}`);
+    }
+  }
+
+  /**
+   * Revoke every session of a user (log out all devices).
+   * @async
+   * @param {number} userId - The user ID.
+   * @returns {Promise<number>} Number of sessions revoked.
+   * @throws {Error} If revocation fails.
+   * @example
+   * const count = await authSessionService.revokeAll(4);
+   */
+  async revokeAll(userId) {
+    try {
+      return await this.authSessionRepository.revokeAllForUser(userId);
+    } catch (error) {
+      throw wrapError(error, `Failed to revoke sessions of user ${userId}`);
+    }
+  }
+
+  /**
+   * Revoke every session of a user except one (log out the other devices).
+   * @async
+   * @param {number} userId - The user ID.
+   * @param {string} keepSessionId - The session to keep, usually the caller's `sid`.
+   * @returns {Promise<number>} Number of sessions revoked.
+   * @throws {Error} If revocation fails.
+   * @example
+   * await authSessionService.revokeOthers(req.user.id, req.user.sid);
+   */
+  async revokeOthers(userId, keepSessionId) {
+    try {
+      return await this.authSessionRepository.revokeAllForUser(userId, undefined, keepSessionId);
+    } catch (error) {
+      throw wrapError(error, `Failed to revoke sessions of user ${userId}`);
+    }
+  }
+
+  /**
+   * Whether a session can still be used.
+   * @async
+   * @param {string} sessionId - The session ID.
+   * @returns {Promise<boolean>}
+   */
+  async isActive(sessionId) {
+    return this.authSessionRepository.isActive(sessionId);
+  }
+}
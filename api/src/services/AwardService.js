@@ -0,0 +1,54 @@
+import { wrapError } from "../utils/error.js";
+
+/**
+ * Service layer for handing out badges.
+ *
+ * Every path that can earn a user a badge goes through here, so a badge is
+ * awarded the same way (once per user) whichever flow completed the level.
+ *
+ * @class AwardService
+ */
+export class AwardService {
+  /**
+   * @param {import("../domain/repositories/mysql/BadgesRepository.js").BadgesRepository} badgeRepository - Repository used to find a level's badge.
+   * @param {import("../domain/repositories/mysql/UserBadgeRepository.js").UserBadgeRepository} userBadgeRepository - Repository recording earned badges.
+   */
+  constructor(badgeRepository, userBadgeRepository) {
+    this.badgeRepository = badgeRepository;
+    this.userBadgeRepository = userBadgeRepository;
+  }
+
+  /**
+   * Award the badge of a completed level, unless the user already holds it.
+   * @async
+   * @param {number} userId - The user who completed the level.
+   * @param {number} levelId - The completed level.
+   * @param {import("../config/db.js").Queryable} [conn] - Transaction connection, when awarding inside one.
+   * @returns {Promise<{badge_id:number, name:string, description:string, icon_url:string}|null>}
+   *   The badge if it was awarded now; null if the level has none or the user already had it.
+   * @throws {Error} If reading or writing fails.
+   * @example
+   * const badge = await awardService.awardLevelBadge(5, 2, conn);
+   */
+  async awardLevelBadge(userId, levelId, conn) {
+    try {
+      const badge = await this.badgeRepository.findByLevel(levelId, conn);
+      if (!badge) return null;
+
+      const awarded = await this.userBadgeRepository.awardOnce(
+        { user_id: userId, badge_id: badge.badge_id },
+        conn
+      );
+      if (!awarded) return null;
+
+      return {
+        badge_id: badge.badge_id,
+        name: badge.name,
+        description: badge.description,
+        icon_url: badge.icon_url,
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to award the badge of level ${levelId}`);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import BadgesDTO from '../domain/dto/BadgesDTO.js';
+import { wrapError } from '../utils/error.js';
 
 /**
  * Service layer for managing badges.
@@ -12,7 +13,7 @@ import BadgesDTO from '../domain/dto/BadgesDTO.js';
 export class BadgesService {
   /**
    * Creates an instance of BadgesService.
-   * @param {import('../domain/repositories/BadgesRepository.js').BadgesRepository} badgesRepository - Repository handling badge data.
+   * @param {import('../domain/repositories/mysql/BadgesRepository.js').BadgesRepository} badgesRepository - Repository handling badge data.
    */
   constructor(badgesRepository) {
     this.badgesRepository = badgesRepository;
@@ -31,7 +32,7 @@ export class BadgesService {
       const badges = await this.badgesRepository.findAll();
       return badges.map(BadgesDTO.fromEntity);
     } catch (error) {
-      throw new Error('Failed to list badges: ' + error.message);
+      throw wrapError(error, 'Failed to list badges');
     }
   }
 
@@ -49,7 +50,7 @@ export class BadgesService {
       const badge = await this.badgesRepository.findById(id);
       return badge ? BadgesDTO.fromEntity(badge) : null;
     } catch (error) {
-      throw new Error(`Failed to get badge with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get badge with id ${id}`);
     }
   }
 
@@ -67,7 +68,7 @@ export class BadgesService {
       const badges = await this.badgesRepository.findByLevel(level_id);
       return badges.map(BadgesDTO.fromEntity);
     } catch (error) {
-      throw new Error(`Failed to get badges for level ${level_id}: ${error.message}`);
+      throw wrapError(error, `Failed to get badges for level ${level_id}`);
     }
   }
 
@@ -93,7 +94,7 @@ export class BadgesService {
       const badge = await this.badgesRepository.create(data);
       return BadgesDTO.fromEntity(badge);
     } catch (error) {
-      throw new Error('Failed to create badge: ' + error.message);
+      throw wrapError(error, 'Failed to create badge');
     }
   }
 
@@ -116,7 +117,7 @@ export class BadgesService {
       const badge = await this.badgesRepository.update(id, data);
       return badge ? BadgesDTO.fromEntity(badge) : null;
     } catch (error) {
-      throw new Error(`Failed to update badge with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to update badge with id ${id}`);
     }
   }
 
@@ -133,7 +134,7 @@ export class BadgesService {
     try {
       return await this.badgesRepository.delete(id);
     } catch (error) {
-      throw new Error(`Failed to delete badge with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete badge with id ${id}`);
     }
   }
 }
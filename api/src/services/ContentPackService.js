@@ -0,0 +1,394 @@
+import { AppError, NotFoundError, ValidationError, wrapError } from "../utils/error.js";
+import {
+  CONTENT_PACK_FORMAT,
+  CONTENT_PACK_VERSION,
+  diffFields,
+  mapBranches,
+  parseContentPack,
+  validateContentPack,
+} from "../utils/contentPack.js";
+import { findPrerequisiteCycle } from "../utils/levelProgression.js";
+import { DEFAULT_QUESTION_TYPE } from "../utils/questionTypes.js";
+import { findBranchProblems } from "../utils/scenarioBranching.js";
+
+/**
+ * Thrown at the end of a dry run so its transaction is rolled back; carries
+ * the report of what the import would have done.
+ * @private
+ */
+class DryRunRollback extends Error {
+  /** @param {object} report */
+  constructor(report) {
+    super("Dry run");
+    this.report = report;
+  }
+}
+
+/**
+ * Service layer for content packs: exporting a level with its badge,
+ * scenarios and steps, and importing one back (see `utils/contentPack.js`
+ * for the format).
+ *
+ * An import matches records by slug and creates or updates them: the level
+ * by its slug, the badge by its level, scenarios by slug within the level
+ * and steps by slug within their scenario. A scenario's steps become exactly
+ * the steps in the pack, so steps left out are deleted; scenarios left out
+ * of the pack are kept. A pack without a badge leaves the level's badge
+ * alone. Imported scenarios, and existing ones the import changes, are
+ * drafts: learners see the changes once they are published.
+ *
+ * @class ContentPackService
+ */
+export class ContentPackService {
+  /**
+   * @param {import("../domain/repositories/mysql/LevelRepository.js").LevelRepository} levelRepository
+   * @param {import("../domain/repositories/mysql/ScenarioRepository.js").ScenarioRepository} scenarioRepository
+   * @param {import("../domain/repositories/mysql/ScenarioStepRepository.js").ScenarioStepRepository} scenarioStepRepository
+   * @param {import("../domain/repositories/mysql/BadgesRepository.js").BadgesRepository} badgesRepository
+   * @param {import("./ScenarioVersionService.js").ScenarioVersionService} scenarioVersionService - Puts the scenarios an import changes back to draft.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transaction a whole import runs in.
+   */
+  constructor(
+    levelRepository,
+    scenarioRepository,
+    scenarioStepRepository,
+    badgesRepository,
+    scenarioVersionService,
+    withTransaction
+  ) {
+    this.levelRepository = levelRepository;
+    this.scenarioRepository = scenarioRepository;
+    this.scenarioStepRepository = scenarioStepRepository;
+    this.badgesRepository = badgesRepository;
+    this.scenarioVersionService = scenarioVersionService;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Export a level as a content pack.
+   * @async
+   * @param {number} levelId - The level to export.
+   * @returns {Promise<object>} The pack, ready to be serialized.
+   * @throws {NotFoundError} If the level does not exist.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const pack = await contentPackService.exportLevel(1);
+   * // { format: "simaid-content-pack", version: 1, exported_at: "...", level: { slug: "basics", ... } }
+   */
+  async exportLevel(levelId) {
+    try {
+      const level = await this.levelRepository.findById(levelId);
+      if (!level) throw new NotFoundError("Level not found");
+
+      const levelSlugs = new Map(
+        (await this.levelRepository.findAll()).map((l) => [Number(l.level_id), l.slug])
+      );
+      const badge = await this.badgesRepository.findByLevel(levelId);
+      const scenarios = await this.scenarioRepository.listByLevel(levelId);
+
+      return {
+        format: CONTENT_PACK_FORMAT,
+        version: CONTENT_PACK_VERSION,
+        exported_at: new Date().toISOString(),
+        level: {
+          slug: level.slug,
+          title: level.title,
+          description: level.description ?? null,
+          difficulty_order: level.difficulty_order,
+          pass_threshold: level.pass_threshold,
+          completion_rule: level.completion_rule ?? null,
+          prerequisites: level.prerequisites.map((id) => levelSlugs.get(id)),
+          badge: badge
+            ? { name: badge.name, description: badge.description ?? null, icon_url: badge.icon_url ?? null }
+            : null,
+          scenarios: await Promise.all(
+            scenarios.map(async (scenario) => {
+              const steps = await this.scenarioStepRepository.findByScenario(scenario.scenario_id);
+              const stepSlugs = new Map(steps.map((s) => [Number(s.step_id), s.slug]));
+              return {
+                slug: scenario.slug,
+                title: scenario.title,
+                description: scenario.description ?? null,
+                image_url: scenario.image_url ?? null,
+                steps: steps.map((step) => ({
+                  slug: step.slug,
+                  question_text: step.question_text,
+                  type: step.type,
+                  options: step.options ?? null,
+                  answer: step.answer,
+                  branches: mapBranches(step.branches, stepSlugs),
+                  feedback_message: step.feedback_message ?? null,
+                })),
+              };
+            })
+          ),
+        },
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to export level with id ${levelId}`);
+    }
+  }
+
+  /**
+   * Import a content pack in one transaction.
+   *
+   * The report lists every record the pack touches with what was done to it
+   * (`create`, `update`, `delete` or `unchanged`) and, for updates, the
+   * fields that changed. A dry run does the same work and reports the same
+   * way, then rolls everything back; the IDs of records it would create are
+   * null.
+   *
+   * @async
+   * @param {string|object} input - The pack, as JSON/YAML text or already parsed.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun=false] - Report the changes without keeping them.
+   * @returns {Promise<{dry_run: boolean, level_id: number|null, slug: string, summary: Object<string, number>, changes: object[]}>}
+   * @throws {ValidationError} If the pack cannot be read or is invalid.
+   * @throws {AppError} 400 if a prerequisite is unknown or the prerequisites would form a cycle.
+   * @throws {Error} If the import fails.
+   * @example
+   * const report = await contentPackService.importPack(yamlText, { dryRun: true });
+   * // { dry_run: true, level_id: 1, slug: "basics", summary: { create: 1, update: 2, delete: 0, unchanged: 9 }, changes: [...] }
+   */
+  async importPack(input, { dryRun = false } = {}) {
+    const pack = parseContentPack(input);
+    const problems = validateContentPack(pack);
+    if (problems.length) {
+      throw new ValidationError(`${problems[0].field}: ${problems[0].message}`, problems);
+    }
+
+    try {
+      return await this.withTransaction(async (conn) => {
+        const report = await this._importLevel(pack.level, dryRun, conn);
+        if (dryRun) throw new DryRunRollback(report);
+        return report;
+      });
+    } catch (error) {
+      if (error instanceof DryRunRollback) return error.report;
+      throw wrapError(error, "Failed to import content pack");
+    }
+  }
+
+  /**
+   * Write the level of a validated pack and everything in it.
+   * @private
+   * @async
+   * @param {object} pack - `pack.level`.
+   * @param {boolean} dryRun
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<object>} The import report.
+   */
+  async _importLevel(pack, dryRun, conn) {
+    const changes = [];
+    const record = (type, action, key, id, diff) => {
+      changes.push({
+        type,
+        action,
+        key,
+        id: dryRun && action === "create" ? null : Number(id),
+        ...(diff ? { changes: diff } : {}),
+      });
+    };
+
+    // 🧭 Level
+    const levels = await this.levelRepository.findAll(conn);
+    const levelIds = new Map(levels.map((l) => [l.slug, Number(l.level_id)]));
+    const levelSlugs = new Map(levels.map((l) => [Number(l.level_id), l.slug]));
+    const prerequisites = (pack.prerequisites ?? []).map((slug) => {
+      if (!levelIds.has(slug)) {
+        throw new AppError(`Prerequisite level "${slug}" does not exist`, 400, "INVALID_PREREQUISITE");
+      }
+      return levelIds.get(slug);
+    });
+
+    const levelFields = {
+      title: pack.title,
+      description: pack.description ?? null,
+      difficulty_order: pack.difficulty_order,
+      pass_threshold: pack.pass_threshold ?? 100,
+      completion_rule: pack.completion_rule ?? null,
+    };
+    const current = levels.find((l) => l.slug === pack.slug);
+    let levelId;
+    if (!current) {
+      const created = await this.levelRepository.create(
+        { ...levelFields, slug: pack.slug, prerequisites },
+        conn
+      );
+      levelId = Number(created.level_id);
+      record("level", "create", pack.slug, levelId);
+    } else {
+      levelId = Number(current.level_id);
+      const diff = diffFields(
+        { ...current, prerequisites: current.prerequisites.map((id) => levelSlugs.get(id)).sort() },
+        { ...levelFields, prerequisites: [...(pack.prerequisites ?? [])].sort() }
+      );
+      if (diff) await this.levelRepository.update(levelId, { ...levelFields, prerequisites }, conn);
+      record("level", diff ? "update" : "unchanged", pack.slug, levelId, diff);
+    }
+
+    const cycle = findPrerequisiteCycle(await this.levelRepository.findAll(conn));
+    if (cycle) {
+      throw new AppError(
+        `Level prerequisites form a cycle: ${cycle.join(" -> ")}`,
+        400,
+        "PREREQUISITE_CYCLE"
+      );
+    }
+
+    // 🏅 Badge
+    if (pack.badge) {
+      const badgeFields = {
+        name: pack.badge.name,
+        description: pack.badge.description ?? null,
+        icon_url: pack.badge.icon_url ?? null,
+      };
+      const badge = await this.badgesRepository.findByLevel(levelId, conn);
+      if (!badge) {
+        const created = await this.badgesRepository.create({ ...badgeFields, level_id: levelId }, conn);
+        record("badge", "create", pack.slug, created.badge_id);
+      } else {
+        const diff = diffFields(badge, badgeFields);
+        if (diff) await this.badgesRepository.update(badge.badge_id, { ...badgeFields, level_id: levelId }, conn);
+        record("badge", diff ? "update" : "unchanged", pack.slug, badge.badge_id, diff);
+      }
+    }
+
+    // 🎬 Scenarios and their steps
+    const scenarios = new Map(
+      (await this.scenarioRepository.listByLevel(levelId, conn)).map((s) => [s.slug, s])
+    );
+    for (const scenarioPack of pack.scenarios ?? []) {
+      const scenarioFields = {
+        title: scenarioPack.title,
+        description: scenarioPack.description ?? null,
+        image_url: scenarioPack.image_url ?? null,
+      };
+      const scenario = scenarios.get(scenarioPack.slug);
+      const firstChange = changes.length;
+      let scenarioId;
+      if (!scenario) {
+        const created = await this.scenarioRepository.create(
+          { ...scenarioFields, level_id: levelId, slug: scenarioPack.slug },
+          conn
+        );
+        scenarioId = Number(created.scenario_id);
+        record("scenario", "create", scenarioPack.slug, scenarioId);
+      } else {
+        scenarioId = Number(scenario.scenario_id);
+        await this.scenarioVersionService.ensureVersioned(scenarioId, conn);
+        const diff = diffFields(scenario, scenarioFields);
+        if (diff) await this.scenarioRepository.update(scenarioId, { ...scenarioFields, level_id: levelId }, conn);
+        record("scenario", diff ? "update" : "unchanged", scenarioPack.slug, scenarioId, diff);
+      }
+
+      await this._importSteps(scenarioId, scenarioPack, record, conn);
+      if (changes.slice(firstChange).some((c) => c.action !== "unchanged")) {
+        await this.scenarioVersionService.markDraft(scenarioId, conn);
+      }
+    }
+
+    const summary = { create: 0, update: 0, delete: 0, unchanged: 0 };
+    for (const change of changes) summary[change.action] += 1;
+
+    return {
+      dry_run: dryRun,
+      level_id: dryRun && !current ? null : levelId,
+      slug: pack.slug,
+      summary,
+      changes,
+    };
+  }
+
+  /**
+   * Make a scenario's steps match the pack. Steps missing from the pack are
+   * deleted and the others moved to their place in the pack, which frees
+   * the orders new steps take (orders are unique per scenario). New steps
+   * are then created without branches, so every slug has an ID, and each
+   * step is written with its branches.
+   * @private
+   * @async
+   * @param {number} scenarioId
+   * @param {object} scenarioPack - One entry of `level.scenarios`.
+   * @param {Function} record - Adds an entry to the import report.
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if the resulting branches are invalid.
+   */
+  async _importSteps(scenarioId, scenarioPack, record, conn) {
+    const existing = await this.scenarioStepRepository.findByScenario(scenarioId, conn);
+    const existingSlugs = new Map(existing.map((s) => [Number(s.step_id), s.slug]));
+    const bySlug = new Map(existing.map((s) => [s.slug, s]));
+    const key = (slug) => `${scenarioPack.slug}/${slug}`;
+
+    const packSteps = (scenarioPack.steps ?? []).map((step, i) => ({
+      slug: step.slug,
+      fields: {
+        step_order: i + 1,
+        question_text: step.question_text,
+        type: step.type ?? DEFAULT_QUESTION_TYPE,
+        options: step.options ?? null,
+        answer: step.answer,
+        feedback_message: step.feedback_message ?? null,
+      },
+      branches: step.branches ?? null,
+    }));
+
+    const kept = new Set(packSteps.map((s) => s.slug));
+    const removed = existing.filter((step) => !kept.has(step.slug));
+    for (const step of removed) {
+      await this.scenarioStepRepository.delete(step.step_id, conn);
+    }
+    await this.scenarioStepRepository.renumber(
+      scenarioId,
+      packSteps
+        .filter(({ slug, fields }) => bySlug.has(slug) && bySlug.get(slug).step_order !== fields.step_order)
+        .map(({ slug, fields }) => ({ step_id: bySlug.get(slug).step_id, step_order: fields.step_order })),
+      conn
+    );
+
+    const ids = new Map(existing.map((s) => [s.slug, Number(s.step_id)]));
+    const created = new Set();
+    for (const { slug, fields } of packSteps) {
+      if (bySlug.has(slug)) continue;
+      const step = await this.scenarioStepRepository.create(
+        { ...fields, scenario_id: scenarioId, slug, branches: null },
+        conn
+      );
+      ids.set(slug, Number(step.step_id));
+      created.add(slug);
+    }
+
+    for (const { slug, fields, branches } of packSteps) {
+      const id = ids.get(slug);
+      const withBranches = { ...fields, branches: mapBranches(branches, ids) };
+      if (created.has(slug)) {
+        if (branches) await this.scenarioStepRepository.update(id, withBranches, conn);
+        record("step", "create", key(slug), id);
+        continue;
+      }
+      const step = bySlug.get(slug);
+      const diff = diffFields(
+        { ...step, branches: mapBranches(step.branches, existingSlugs) },
+        { ...fields, branches }
+      );
+      if (diff) await this.scenarioStepRepository.update(id, withBranches, conn);
+      record("step", diff ? "update" : "unchanged", key(slug), id, diff);
+    }
+
+    for (const step of removed) {
+      record("step", "delete", key(step.slug), step.step_id);
+    }
+
+    const { unknown_targets, cycle, orphans } = findBranchProblems(
+      await this.scenarioStepRepository.findByScenario(scenarioId, conn)
+    );
+    if (unknown_targets.length || cycle || orphans.length) {
+      throw new AppError(
+        `Steps of scenario "${scenarioPack.slug}" do not form a valid branch graph`,
+        400,
+        "INVALID_BRANCH"
+      );
+    }
+  }
+}
@@ -1,4 +1,7 @@
 import LevelDTO from '../domain/dto/LevelDTO.js';
+import { AppError, wrapError } from '../utils/error.js';
+import { findPrerequisiteCycle } from '../utils/levelProgression.js';
+import { slugify, uniqueSlug } from '../utils/slug.js';
 
 /**
  * Service layer for handling Level-related business logic.
@@ -12,10 +15,48 @@ import LevelDTO from '../domain/dto/LevelDTO.js';
 export class LevelService {
   /**
    * Creates an instance of LevelService.
-   * @param {import('../domain/repositories/LevelRepository.js').LevelRepository} levelRepository - Repository for interacting with level data.
+   * @param {import('../domain/repositories/mysql/LevelRepository.js').LevelRepository} levelRepository - Repository for interacting with level data.
+   * @param {import('./ProgressService.js').ProgressService} progressService - Evaluates a user's progress on a level.
+   * @param {import('../domain/repositories/createRepositories.js').Persistence['withTransaction']} withTransaction - Opens the transaction a level and its prerequisites are written in.
    */
-  constructor(levelRepository) {
+  constructor(levelRepository, progressService, withTransaction) {
     this.levelRepository = levelRepository;
+    this.progressService = progressService;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Check the prerequisite graph after a level was written inside a transaction.
+   * Throwing rolls the write back.
+   * @private
+   * @async
+   * @param {number} levelId - The level that was created or updated.
+   * @param {import('mysql2/promise').PoolConnection} conn - The transaction connection.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if a prerequisite is unknown, the level requires itself, or the graph has a cycle.
+   */
+  async _assertValidPrerequisites(levelId, conn) {
+    const levels = await this.levelRepository.findAll(conn);
+    const ids = new Set(levels.map((l) => Number(l.level_id)));
+    const level = levels.find((l) => Number(l.level_id) === Number(levelId));
+
+    for (const req of level?.prerequisites ?? []) {
+      if (req === Number(levelId)) {
+        throw new AppError('A level cannot be its own prerequisite', 400, 'INVALID_PREREQUISITE');
+      }
+      if (!ids.has(req)) {
+        throw new AppError(`Prerequisite level ${req} does not exist`, 400, 'INVALID_PREREQUISITE');
+      }
+    }
+
+    const cycle = findPrerequisiteCycle(levels);
+    if (cycle) {
+      throw new AppError(
+        `Level prerequisites form a cycle: ${cycle.join(' -> ')}`,
+        400,
+        'PREREQUISITE_CYCLE'
+      );
+    }
   }
 
   /**
@@ -31,7 +72,7 @@ export class LevelService {
       const levels = await this.levelRepository.findAll();
       return levels.map(LevelDTO.fromEntity);
     } catch (error) {
-      throw new Error('Failed to list levels: ' + error.message);
+      throw wrapError(error, 'Failed to list levels');
     }
   }
 
@@ -49,18 +90,38 @@ export class LevelService {
       const level = await this.levelRepository.findById(id);
       return level ? LevelDTO.fromEntity(level) : null;
     } catch (error) {
-      throw new Error(`Failed to get level with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get level with id ${id}`);
     }
   }
 
+  /**
+   * Evaluate a user's progress on a level against its completion rule.
+   * @async
+   * @param {number} levelId - The level ID.
+   * @param {number} userId - The user ID.
+   * @returns {Promise<object|null>} The same `level_progress` shape the submit flow returns, or null if the level does not exist.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const progress = await levelService.getLevelProgress(2, 5);
+   * // { level_id: 2, rule: { type: "average", min_score: 80 }, completed: false, remaining: 6, ... }
+   */
+  async getLevelProgress(levelId, userId) {
+    return this.progressService.getLevelProgress(levelId, userId);
+  }
+
   /**
    * Create a new level entry.
    * @async
    * @param {object} data - Data for the new level.
+   * @param {string} [data.slug] - Stable key; derived from the title when omitted.
    * @param {string} data.title - The title of the level.
    * @param {string} data.description - Description of the level.
    * @param {number} data.difficulty_order - Numeric order representing difficulty.
+   * @param {number} [data.pass_threshold] - Minimum score for a scenario to count as passed (default 100).
+   * @param {number[]} [data.prerequisites] - IDs of levels that must be completed first.
+   * @param {object|null} [data.completion_rule] - Completion rule, e.g. `{ type: "perfect_count", count: 3 }`.
    * @returns {Promise<LevelDTO>} The newly created level DTO.
+   * @throws {AppError} 400 if the prerequisites are invalid.
    * @throws {Error} If creation fails.
    * @example
    * const newLevel = await levelService.createLevel({
@@ -71,10 +132,20 @@ export class LevelService {
    */
   async createLevel(data) {
     try {
-      const level = await this.levelRepository.create(data);
+      const level = await this.withTransaction(async (conn) => {
+        const slug =
+          data.slug ??
+          uniqueSlug(
+            slugify(data.title, 'level'),
+            (await this.levelRepository.findAll(conn)).map((l) => l.slug)
+          );
+        const created = await this.levelRepository.create({ ...data, slug }, conn);
+        await this._assertValidPrerequisites(created.level_id, conn);
+        return created;
+      });
       return LevelDTO.fromEntity(level);
     } catch (error) {
-      throw new Error('Failed to create level: ' + error.message);
+      throw wrapError(error, 'Failed to create level');
     }
   }
 
@@ -83,20 +154,29 @@ export class LevelService {
    * @async
    * @param {number} id - The ID of the level to update.
    * @param {object} data - Updated level fields.
+   * @param {string} [data.slug] - New slug; kept when omitted.
    * @param {string} [data.title] - Updated title.
    * @param {string} [data.description] - Updated description.
    * @param {number} [data.difficulty_order] - Updated difficulty order.
+   * @param {number} [data.pass_threshold] - Updated pass threshold.
+   * @param {number[]} [data.prerequisites] - Updated prerequisite list.
+   * @param {object|null} [data.completion_rule] - Updated completion rule (null restores the default).
    * @returns {Promise<LevelDTO|null>} The updated level DTO, or null if not found.
+   * @throws {AppError} 400 if the prerequisites are invalid.
    * @throws {Error} If update fails.
    * @example
    * const updatedLevel = await levelService.updateLevel(3, { title: "Expert Level" });
    */
   async updateLevel(id, data) {
     try {
-      const level = await this.levelRepository.update(id, data);
+      const level = await this.withTransaction(async (conn) => {
+        const updated = await this.levelRepository.update(id, data, conn);
+        if (updated) await this._assertValidPrerequisites(id, conn);
+        return updated;
+      });
       return level ? LevelDTO.fromEntity(level) : null;
     } catch (error) {
-      throw new Error(`Failed to update level with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to update level with id ${id}`);
     }
   }
 
@@ -113,7 +193,7 @@ export class LevelService {
     try {
       return await this.levelRepository.delete(id);
     } catch (error) {
-      throw new Error(`Failed to delete level with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete level with id ${id}`);
     }
   }
 }
@@ -0,0 +1,226 @@
+import { TooManyRequestsError } from "../utils/error.js";
+
+/**
+ * Failed-login bookkeeping for one account or one IP address.
+ * @typedef {object} LoginAttemptRecord
+ * @property {number} failures - Failures in the current window.
+ * @property {number} window_started_at - When the current window started (ms since epoch).
+ * @property {number} lockouts - Lockouts so far; each one doubles the next lockout's length.
+ * @property {number|null} locked_until - End of the current lockout (ms since epoch), or null.
+ */
+
+/**
+ * Where login attempt records are kept. The in-memory implementation is
+ * `stores/MemoryLoginAttemptStore.js`; anything with these three async
+ * methods (e.g. a Redis-backed store) can replace it. `update` must be
+ * atomic per key (e.g. a Lua script in Redis): parallel failed logins
+ * update the same record.
+ * @typedef {object} LoginAttemptStore
+ * @property {(key: string) => Promise<LoginAttemptRecord|null>} get - Read a record (null if absent or expired).
+ * @property {(key: string, change: (current: LoginAttemptRecord|null) => {value: LoginAttemptRecord, ttlMs: number}) => Promise<LoginAttemptRecord>} update
+ *   Atomically replace a record (null if absent or expired) with what `change` returns, expiring after its
+ *   `ttlMs`; resolves to the new record.
+ * @property {(key: string) => Promise<boolean>} delete - Delete a record.
+ */
+
+/**
+ * Default limits, overridable through the environment:
+ * - LOGIN_MAX_ACCOUNT_FAILURES: failures per account before a lockout (5)
+ * - LOGIN_MAX_IP_FAILURES: failures per IP address before a lockout (20)
+ * - LOGIN_FAILURE_WINDOW_MINUTES: window in which failures add up (15)
+ * - LOGIN_LOCKOUT_BASE_SECONDS: length of the first lockout (60)
+ * - LOGIN_LOCKOUT_MAX_SECONDS: longest lockout (3600)
+ * - LOGIN_LOCKOUT_RESET_HOURS: quiet time after which backoff starts over (24)
+ */
+export const LOGIN_THROTTLE_DEFAULTS = Object.freeze({
+  maxAccountFailures: Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5,
+  maxIpFailures: Number(process.env.LOGIN_MAX_IP_FAILURES) || 20,
+  windowMs: (Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15) * 60 * 1000,
+  baseLockoutMs: (Number(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000,
+  maxLockoutMs: (Number(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600) * 1000,
+  resetMs: (Number(process.env.LOGIN_LOCKOUT_RESET_HOURS) || 24) * 60 * 60 * 1000,
+});
+
+/**
+ * Service layer for login brute-force protection.
+ *
+ * Failed logins are counted per account (by email, whether or not it
+ * exists) and per client IP address. Reaching the limit locks that account
+ * or address out; each further lockout lasts twice as long as the previous
+ * one, up to a maximum. Lockouts and admin unlocks are written to the
+ * security event log.
+ *
+ * @class LoginThrottleService
+ */
+export class LoginThrottleService {
+  /**
+   * Creates an instance of LoginThrottleService.
+   * @param {LoginAttemptStore} store - Where attempt records are kept.
+   * @param {import("./SecurityEventService.js").SecurityEventService} securityEventService - Records lockouts and unlocks.
+   * @param {Partial<typeof LOGIN_THROTTLE_DEFAULTS>} [options] - Overrides of the default limits.
+   */
+  constructor(store, securityEventService, options = {}) {
+    this.store = store;
+    this.securityEventService = securityEventService;
+    this.options = { ...LOGIN_THROTTLE_DEFAULTS, ...options };
+  }
+
+  /**
+   * Store key of an account.
+   * @private
+   * @param {string} email
+   * @returns {string}
+   */
+  _accountKey(email) {
+    return `account:${String(email).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Store key of an IP address.
+   * @private
+   * @param {string} ip
+   * @returns {string}
+   */
+  _ipKey(ip) {
+    return `ip:${ip}`;
+  }
+
+  /**
+   * Refuse the login if the account or the IP address is locked out.
+   * Call it before checking the password, and again after counting a
+   * failure or before accepting a match: guesses sent in parallel all pass
+   * the first check, and the second one keeps their outcome hidden once the
+   * failures among them have locked the account or address.
+   * @async
+   * @param {string} email - The email being logged into.
+   * @param {string|null} ip - The client's IP address.
+   * @returns {Promise<void>}
+   * @throws {TooManyRequestsError} 429 with the seconds left in the lockout.
+   * @example
+   * await loginThrottle.assertAllowed(email, req.ip);
+   */
+  async assertAllowed(email, ip) {
+    const keys = [this._accountKey(email), ...(ip ? [this._ipKey(ip)] : [])];
+    for (const key of keys) {
+      const record = await this.store.get(key);
+      const remainingMs = (record?.locked_until ?? 0) - Date.now();
+      if (remainingMs > 0) {
+        const seconds = Math.ceil(remainingMs / 1000);
+        throw new TooManyRequestsError(
+          `Too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`,
+          seconds,
+          "LOGIN_LOCKED"
+        );
+      }
+    }
+  }
+
+  /**
+   * Count a failed login against the account and the IP address.
+   * @async
+   * @param {string} email - The email that was tried.
+   * @param {string|null} ip - The client's IP address.
+   * @returns {Promise<void>}
+   * @example
+   * await loginThrottle.recordFailure(email, req.ip);
+   */
+  async recordFailure(email, ip) {
+    await this._fail(this._accountKey(email), this.options.maxAccountFailures, {
+      scope: "account",
+      email,
+      ip,
+    });
+    if (ip) {
+      await this._fail(this._ipKey(ip), this.options.maxIpFailures, { scope: "ip", email: null, ip });
+    }
+  }
+
+  /**
+   * Add a failure to one record, locking it out when the limit is reached.
+   * The whole change is one atomic store update, so parallel failures are
+   * all counted.
+   * @private
+   * @param {string} key - Store key.
+   * @param {number} limit - Failures allowed per window.
+   * @param {{scope: string, email: string|null, ip: string|null}} subject - Who is being counted, for the event log.
+   * @returns {Promise<void>}
+   */
+  async _fail(key, limit, { scope, email, ip }) {
+    const { windowMs, baseLockoutMs, maxLockoutMs, resetMs } = this.options;
+    const now = Date.now();
+    let lockoutMs = 0;
+
+    const record = await this.store.update(key, (current) => {
+      const next = current ?? { failures: 0, window_started_at: now, lockouts: 0, locked_until: null };
+
+      // Guesses that were in flight when the lockout started do not extend it
+      if ((next.locked_until ?? 0) <= now) {
+        if (now - next.window_started_at > windowMs) {
+          next.failures = 0;
+          next.window_started_at = now;
+        }
+        next.failures += 1;
+
+        if (next.failures >= limit) {
+          lockoutMs = Math.min(baseLockoutMs * 2 ** next.lockouts, maxLockoutMs);
+          next.lockouts += 1;
+          next.failures = 0;
+          next.window_started_at = now;
+          next.locked_until = now + lockoutMs;
+        }
+      }
+      return { value: next, ttlMs: Math.max(resetMs, (next.locked_until ?? 0) - now) };
+    });
+
+    if (lockoutMs) {
+      this.securityEventService
+        .record({
+          type: "login.lockout",
+          email,
+          ip,
+          details: {
+            scope,
+            seconds: lockoutMs / 1000,
+            lockouts: record.lockouts,
+            locked_until: new Date(record.locked_until).toISOString(),
+          },
+        })
+        .catch((err) => console.error("Security event write failed:", err.message));
+    }
+  }
+
+  /**
+   * Forget an account's failures after a successful login. The IP address
+   * keeps its count, so one valid account cannot be used to reset it.
+   * @async
+   * @param {string} email - The account's email.
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(email) {
+    await this.store.delete(this._accountKey(email));
+  }
+
+  /**
+   * Lift an account's lockout and reset its backoff (admin action).
+   * @async
+   * @param {string} email - The account's email.
+   * @param {number} actorId - ID of the admin unlocking the account.
+   * @returns {Promise<{unlocked: boolean}>} Whether the account was locked out.
+   * @example
+   * const { unlocked } = await loginThrottle.unlock("jane@example.com", req.user.id);
+   */
+  async unlock(email, actorId) {
+    const key = this._accountKey(email);
+    const record = await this.store.get(key);
+    const unlocked = (record?.locked_until ?? 0) > Date.now();
+    await this.store.delete(key);
+
+    await this.securityEventService.record({
+      type: "login.unlock",
+      email,
+      actor_id: actorId,
+      details: { was_locked: unlocked, lockouts: record?.lockouts ?? 0 },
+    });
+    return { unlocked };
+  }
+}
@@ -0,0 +1,235 @@
+import { ForbiddenError, NotFoundError, wrapError } from "../utils/error.js";
+import {
+  evaluateLevelCompletion,
+  findUnlockableLevels,
+  orderLevels,
+  requiredLevelIds,
+} from "../utils/levelProgression.js";
+import { isPlayable } from "../utils/scenarioVersions.js";
+
+/**
+ * Service layer for a learner's progress through the levels.
+ *
+ * Records finished scenario runs and everything that follows from them:
+ * the attempt and its step attempts, whether the level is now completed
+ * (decided by the level's completion rule), which levels that unlocks, and
+ * the level badge. The level progress endpoint reads the same evaluation, so
+ * both always agree.
+ *
+ * @class ProgressService
+ */
+export class ProgressService {
+  /**
+   * Creates an instance of ProgressService.
+   * @param {import("../domain/repositories/mysql/LevelRepository.js").LevelRepository} levelRepository - Repository used to read levels and their prerequisites.
+   * @param {import("../domain/repositories/mysql/ScenarioRepository.js").ScenarioRepository} scenarioRepository - Repository used to list a level's scenarios.
+   * @param {import("../domain/repositories/mysql/AttemptRepository.js").AttemptRepository} attemptRepository - Repository storing attempts and best scores.
+   * @param {import("../domain/repositories/mysql/StepAttemptRepository.js").StepAttemptRepository} stepAttemptRepository - Repository storing the answer to each step.
+   * @param {import("../domain/repositories/mysql/UserLevelRepository.js").UserLevelRepository} userLevelRepository - Repository storing unlocked and completed levels.
+   * @param {import("./ScenarioSessionService.js").ScenarioSessionService} scenarioSessionService - Links a session-based run to its attempt.
+   * @param {import("./AwardService.js").AwardService} awardService - Awards the badge of a completed level.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transaction a run is recorded in.
+   */
+  constructor(
+    levelRepository,
+    scenarioRepository,
+    attemptRepository,
+    stepAttemptRepository,
+    userLevelRepository,
+    scenarioSessionService,
+    awardService,
+    withTransaction
+  ) {
+    this.levelRepository = levelRepository;
+    this.scenarioRepository = scenarioRepository;
+    this.attemptRepository = attemptRepository;
+    this.stepAttemptRepository = stepAttemptRepository;
+    this.userLevelRepository = userLevelRepository;
+    this.scenarioSessionService = scenarioSessionService;
+    this.awardService = awardService;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Evaluate a level's completion rule against a user's best scores.
+   * Only scenarios learners can play count towards it.
+   * @private
+   * @async
+   * @param {object} level - The level entity.
+   * @param {number} userId - The user ID.
+   * @param {import("../config/db.js").Queryable} [conn] - Transaction connection, when evaluating inside one.
+   * @returns {Promise<object>} `level_progress`: `level_id` plus the output of `evaluateLevelCompletion`.
+   */
+  async _evaluate(level, userId, conn) {
+    const levelId = Number(level.level_id);
+    const scenarios = (await this.scenarioRepository.listByLevel(levelId, conn)).filter(isPlayable);
+    const best = await this.attemptRepository.getUserAttemptsByLevel(userId, levelId, conn);
+    const evaluation = evaluateLevelCompletion(
+      level,
+      scenarios.map((sc) => Number(sc.scenario_id)),
+      new Map(best.map((r) => [Number(r.scenario_id), Number(r.score)]))
+    );
+    return { level_id: levelId, ...evaluation };
+  }
+
+  /**
+   * Check that a user may play a level: it is unlocked or completed for them,
+   * or every level it requires is completed (which always holds for an entry
+   * level, so new players can start without a progress row).
+   * @async
+   * @param {number} userId - The user ID.
+   * @param {number} levelId - The level ID.
+   * @param {import("../config/db.js").Queryable} [conn] - Transaction connection, when checking inside one.
+   * @returns {Promise<void>}
+   * @throws {NotFoundError} If the level does not exist.
+   * @throws {ForbiddenError} `LEVEL_LOCKED` if the level is not unlocked for the user.
+   * @example
+   * await progressService.assertLevelUnlocked(5, 2);
+   */
+  async assertLevelUnlocked(userId, levelId, conn) {
+    try {
+      const levels = await this.levelRepository.findAll(conn);
+      const level = levels.find((l) => Number(l.level_id) === Number(levelId));
+      if (!level) throw new NotFoundError("Level not found");
+
+      const progress = await this.userLevelRepository.findByUser(userId, conn);
+      const row = progress.find((p) => Number(p.level_id) === Number(levelId));
+      if (row && (Boolean(row.unlocked) || Boolean(row.completed))) return;
+
+      const completedIds = new Set(
+        progress.filter((p) => Boolean(p.completed)).map((p) => Number(p.level_id))
+      );
+      const required = requiredLevelIds(level, orderLevels(levels));
+      if (required.every((id) => completedIds.has(id))) return;
+
+      throw new ForbiddenError(`Level ${levelId} is locked`, "LEVEL_LOCKED");
+    } catch (error) {
+      throw wrapError(error, `Failed to check access to level ${levelId}`);
+    }
+  }
+
+  /**
+   * Evaluate a user's progress on a level against its completion rule.
+   * @async
+   * @param {number} levelId - The level ID.
+   * @param {number} userId - The user ID.
+   * @returns {Promise<object|null>} The `level_progress` a run returns, or null if the level does not exist.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const progress = await progressService.getLevelProgress(2, 5);
+   * // { level_id: 2, rule: { type: "average", min_score: 80 }, completed: false, remaining: 6, ... }
+   */
+  async getLevelProgress(levelId, userId) {
+    try {
+      const level = await this.levelRepository.findById(levelId);
+      return level ? await this._evaluate(level, userId) : null;
+    } catch (error) {
+      throw wrapError(error, `Failed to get progress for level ${levelId}`);
+    }
+  }
+
+  /**
+   * Record a finished run for a user: the attempt and its step attempts,
+   * the level's progress, the levels it unlocks and the level badge.
+   *
+   * Completing a level unlocks every level whose prerequisites are now all
+   * completed (see `utils/levelProgression.js`). A level stays completed once
+   * it is, even when a later run no longer meets its rule (e.g. after a new
+   * scenario was published in it); `level_progress.completed` says so too.
+   *
+   * Everything runs in one transaction, or in the caller's when `conn` is
+   * given (a session stores its last answer and the run together). The
+   * user's progress row for the level is locked first, so concurrent runs
+   * in the same level are applied one after another and cannot both award
+   * the badge. A run on a level the user has not unlocked is refused before
+   * anything is stored.
+   *
+   * @async
+   * @param {number} userId - The player's user ID.
+   * @param {{scenario_id:number, level_id:number, version?:number}} scenario - The played scenario and the version played.
+   * @param {number} score - Score of the run (0–100).
+   * @param {Array<{step_id:number, user_action:(string|null), is_correct:boolean, time_taken_ms:(number|null)}>} stepAnswers
+   * @param {string|null} [sessionId] - Play session to link the new attempt to.
+   * @param {import("../config/db.js").Queryable} [conn] - Transaction to record in instead of opening one.
+   * @returns {Promise<{attempt_id:(number|null), level_progress:object, awarded_badge?:object}>}
+   * @throws {ForbiddenError} `LEVEL_LOCKED` if the level is not unlocked for the user.
+   * @throws {Error} If recording fails; nothing is stored then.
+   * @example
+   * const recorded = await progressService.recordRun(5, scenario, 100, answers);
+   * // { attempt_id: 41, level_progress: { level_id: 1, completed: true, levels_unlocked: [2], ... }, awarded_badge: {...} }
+   */
+  async recordRun(userId, scenario, score, stepAnswers, sessionId = null, conn = null) {
+    const scenarioId = scenario.scenario_id;
+    const levelId = scenario.level_id;
+
+    try {
+      const record = async (conn) => {
+        const recorded = {};
+
+        const stored = await this.userLevelRepository.lockProgress(userId, levelId, conn);
+        await this.assertLevelUnlocked(userId, levelId, conn);
+
+        const attempt = await this.attemptRepository.create(
+          { user_id: userId, scenario_id: scenarioId, scenario_version: scenario.version ?? null, score },
+          conn
+        );
+        recorded.attempt_id = attempt?.attempt_id ?? null;
+
+        if (attempt) {
+          await this.stepAttemptRepository.createMany(
+            stepAnswers.map((a) => ({ ...a, attempt_id: attempt.attempt_id })),
+            conn
+          );
+          if (sessionId) {
+            await this.scenarioSessionService.linkAttempt(sessionId, attempt.attempt_id, conn);
+          }
+        }
+
+        const levels = await this.levelRepository.findAll(conn);
+        const level = levels.find((l) => Number(l.level_id) === Number(levelId));
+        const evaluation = await this._evaluate(level, userId, conn);
+        evaluation.completed ||= Boolean(stored?.completed);
+
+        await this.userLevelRepository.upsertProgress(
+          { user_id: userId, level_id: levelId, unlocked: true, completed: evaluation.completed },
+          conn
+        );
+
+        if (!evaluation.completed) {
+          recorded.level_progress = evaluation;
+          return recorded;
+        }
+
+        // Unlock every level whose prerequisites are now all completed
+        const progress = await this.userLevelRepository.findByUser(userId, conn);
+        const completedIds = progress
+          .filter((p) => Boolean(p.completed))
+          .map((p) => p.level_id);
+        const unlockedIds = progress
+          .filter((p) => Boolean(p.unlocked) || Boolean(p.completed))
+          .map((p) => p.level_id);
+        const newlyUnlocked = findUnlockableLevels(levels, completedIds, unlockedIds);
+
+        for (const unlockId of newlyUnlocked) {
+          await this.userLevelRepository.upsertProgress(
+            { user_id: userId, level_id: unlockId, unlocked: true, completed: false },
+            conn
+          );
+        }
+
+        recorded.level_progress = {
+          ...evaluation,
+          next_level_unlocked: newlyUnlocked[0] ?? null,
+          levels_unlocked: newlyUnlocked,
+        };
+
+        const badge = await this.awardService.awardLevelBadge(userId, levelId, conn);
+        if (badge) recorded.awarded_badge = badge;
+        return recorded;
+      };
+      return await (conn ? record(conn) : this.withTransaction(record));
+    } catch (error) {
+      throw wrapError(error, `Failed to record the run of scenario ${scenarioId}`);
+    }
+  }
+}
@@ -0,0 +1,250 @@
+import RoleDTO from "../domain/dto/RoleDTO.js";
+import { AppError, ConflictError, wrapError } from "../utils/error.js";
+import {
+  DEFAULT_ROLE,
+  DEFAULT_ROLE_PERMISSIONS,
+  PERMISSIONS,
+  ROLE_ALIASES,
+  SUPER_ROLE,
+  canonicalRole,
+  isPermission,
+} from "../utils/permissions.js";
+
+/**
+ * Service layer for roles and permission checks.
+ *
+ * Answers "may this role do that?" for `requirePermission`, and lets admins
+ * list, create, edit and delete roles. The first time the mapping is read
+ * and no role exists yet, the defaults from `utils/permissions.js` are stored.
+ *
+ * @class RoleService
+ */
+export class RoleService {
+  /**
+   * Creates an instance of RoleService.
+   * @param {import("../domain/repositories/mysql/RoleRepository.js").RoleRepository} roleRepository - Repository managing roles and permissions.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transactions that write roles.
+   */
+  constructor(roleRepository, withTransaction) {
+    this.roleRepository = roleRepository;
+    this.withTransaction = withTransaction;
+    /**
+     * Role key → granted permissions. The container builds one RoleService
+     * for `requirePermission` and the roles API alike, so a role change is
+     * seen by permission checks straight away. Null until first loaded.
+     * @type {Map<string, Set<string>>|null}
+     */
+    this.grantsCache = null;
+  }
+
+  /**
+   * Load the role → permissions mapping, storing the defaults on first use.
+   * @private
+   * @returns {Promise<Map<string, Set<string>>>}
+   */
+  async _grants() {
+    if (this.grantsCache) return this.grantsCache;
+
+    let roles = await this.roleRepository.findAll();
+    if (!roles.length) {
+      roles = await this.withTransaction(async (conn) => {
+        const seeded = [
+          await this.roleRepository.save({ role: SUPER_ROLE, permissions: [] }, conn),
+        ];
+        for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+          seeded.push(await this.roleRepository.save({ role, permissions }, conn));
+        }
+        return seeded;
+      });
+    }
+
+    this.grantsCache = new Map(roles.map((r) => [r.role, new Set(r.permissions)]));
+    return this.grantsCache;
+  }
+
+  /**
+   * Show the admin role with every permission, whatever is stored for it.
+   * @private
+   * @param {import("../domain/entities/RoleEntity.js").default} role
+   * @returns {RoleDTO}
+   */
+  _toDTO(role) {
+    return RoleDTO.fromEntity(
+      role.role === SUPER_ROLE ? { ...role, permissions: Object.keys(PERMISSIONS) } : role
+    );
+  }
+
+  /**
+   * Whether a role grants a permission.
+   * @async
+   * @param {string} role - The user's role (legacy names are accepted).
+   * @param {string} permission - The permission to check.
+   * @returns {Promise<boolean>}
+   * @example
+   * if (await roleService.hasPermission(req.user.role, "scenario:write")) { ... }
+   */
+  async hasPermission(role, permission) {
+    const key = canonicalRole(role);
+    if (key === SUPER_ROLE) return true;
+    const grants = await this._grants();
+    return grants.get(key)?.has(permission) ?? false;
+  }
+
+  /**
+   * Every permission a role grants, e.g. to let a client decide which
+   * screens to offer. The server still checks each request.
+   * @async
+   * @param {string} role - The user's role (legacy names are accepted).
+   * @returns {Promise<string[]>} Sorted permission names; empty for an unknown role.
+   * @example
+   * await roleService.permissionsOf("content_author"); // ["badge:write", "level:write", ...]
+   */
+  async permissionsOf(role) {
+    const key = canonicalRole(role);
+    if (key === SUPER_ROLE) return Object.keys(PERMISSIONS).sort();
+    const grants = await this._grants();
+    return [...(grants.get(key) ?? [])].sort();
+  }
+
+  /**
+   * Whether a role exists (legacy names count as their current role).
+   * @async
+   * @param {string} role - The role key.
+   * @returns {Promise<boolean>}
+   */
+  async roleExists(role) {
+    const grants = await this._grants();
+    return grants.has(canonicalRole(role));
+  }
+
+  /**
+   * Whether a user of one role may give another user a role: only a role
+   * whose permissions they all hold themselves, and the super role only
+   * when they have it too.
+   * @async
+   * @param {string} actorRole - Role of the user making the change.
+   * @param {string} role - Role being given, or held by the user being changed.
+   * @returns {Promise<boolean>}
+   * @example
+   * await roleService.canGrant("instructor", "admin"); // false
+   */
+  async canGrant(actorRole, role) {
+    const actor = canonicalRole(actorRole);
+    if (actor === SUPER_ROLE) return true;
+    if (canonicalRole(role) === SUPER_ROLE) return false;
+
+    const held = new Set(await this.permissionsOf(actor));
+    return (await this.permissionsOf(role)).every((permission) => held.has(permission));
+  }
+
+  /**
+   * List every permission the API knows.
+   * @returns {Array<{permission: string, description: string}>}
+   */
+  listPermissions() {
+    return Object.entries(PERMISSIONS).map(([permission, description]) => ({
+      permission,
+      description,
+    }));
+  }
+
+  /**
+   * List every role with its permissions.
+   * @async
+   * @returns {Promise<RoleDTO[]>}
+   * @throws {Error} If retrieval fails.
+   */
+  async listRoles() {
+    try {
+      await this._grants();
+      const roles = await this.roleRepository.findAll();
+      return roles.map((r) => this._toDTO(r));
+    } catch (error) {
+      throw wrapError(error, "Failed to list roles");
+    }
+  }
+
+  /**
+   * Get one role with its permissions.
+   * @async
+   * @param {string} role - The role key.
+   * @returns {Promise<RoleDTO|null>} The role, or null if it does not exist.
+   * @throws {Error} If retrieval fails.
+   */
+  async getRole(role) {
+    try {
+      await this._grants();
+      const found = await this.roleRepository.findByRole(canonicalRole(role));
+      return found ? this._toDTO(found) : null;
+    } catch (error) {
+      throw wrapError(error, `Failed to get role ${role}`);
+    }
+  }
+
+  /**
+   * Create a role, or replace the permissions of an existing one.
+   * @async
+   * @param {string} role - The role key.
+   * @param {object} data
+   * @param {string[]} data.permissions - The complete set of permissions.
+   * @param {string} [data.description] - Description of the role.
+   * @returns {Promise<RoleDTO>} The saved role.
+   * @throws {AppError} 400 for the admin role, a legacy role name or an unknown permission.
+   * @throws {Error} If saving fails.
+   * @example
+   * await roleService.saveRole("instructor", { permissions: ["progress:read:cohort"] });
+   */
+  async saveRole(role, { permissions, description }) {
+    try {
+      if (role === SUPER_ROLE) {
+        throw new AppError(`The ${SUPER_ROLE} role always holds every permission`, 400, "ROLE_PROTECTED");
+      }
+      if (Object.hasOwn(ROLE_ALIASES, role)) {
+        throw new AppError(`"${role}" is a legacy name of "${ROLE_ALIASES[role]}"`, 400, "ROLE_LEGACY_NAME");
+      }
+      const unknown = permissions.filter((p) => !isPermission(p));
+      if (unknown.length) {
+        throw new AppError(`Unknown permissions: ${unknown.join(", ")}`, 400, "UNKNOWN_PERMISSION");
+      }
+
+      await this._grants();
+      const saved = await this.withTransaction((conn) =>
+        this.roleRepository.save(
+          { role, description, permissions: [...new Set(permissions)] },
+          conn
+        )
+      );
+      this.grantsCache = null;
+      return this._toDTO(saved);
+    } catch (error) {
+      throw wrapError(error, `Failed to save role ${role}`);
+    }
+  }
+
+  /**
+   * Delete a role nobody holds.
+   * @async
+   * @param {string} role - The role key.
+   * @returns {Promise<boolean>} True if deleted, false if the role does not exist.
+   * @throws {AppError} 400 for the admin or default role; 409 if users still hold the role.
+   * @throws {Error} If deletion fails.
+   */
+  async deleteRole(role) {
+    try {
+      if (role === SUPER_ROLE || role === DEFAULT_ROLE) {
+        throw new AppError(`The ${role} role cannot be deleted`, 400, "ROLE_PROTECTED");
+      }
+      const aliases = Object.keys(ROLE_ALIASES).filter((a) => ROLE_ALIASES[a] === role);
+      const holders = await this.roleRepository.countUsers([role, ...aliases]);
+      if (holders > 0) {
+        throw new ConflictError(`${holders} user(s) still have the ${role} role`, "ROLE_IN_USE");
+      }
+
+      const deleted = await this.roleRepository.delete(role);
+      this.grantsCache = null;
+      return deleted;
+    } catch (error) {
+      throw wrapError(error, `Failed to delete role ${role}`);
+    }
+  }
+}
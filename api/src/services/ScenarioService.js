@@ -1,4 +1,6 @@
 import ScenarioDTO from '../domain/dto/ScenarioDTO.js';
+import { wrapError } from '../utils/error.js';
+import { slugify, uniqueSlug } from '../utils/slug.js';
 
 /**
  * Service layer for handling all Scenario-related operations.
@@ -12,10 +14,14 @@ import ScenarioDTO from '../domain/dto/ScenarioDTO.js';
 export class ScenarioService {
   /**
    * Creates an instance of ScenarioService.
-   * @param {import('../domain/repositories/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Repository for interacting with scenario data.
+   * @param {import('../domain/repositories/mysql/ScenarioRepository.js').ScenarioRepository} scenarioRepository - Repository for interacting with scenario data.
+   * @param {import('./ScenarioVersionService.js').ScenarioVersionService} scenarioVersionService - Puts an edited scenario back to draft.
+   * @param {import('../domain/repositories/createRepositories.js').Persistence['withTransaction']} withTransaction - Opens the transaction an update runs in.
    */
-  constructor(scenarioRepository) {
+  constructor(scenarioRepository, scenarioVersionService, withTransaction) {
     this.scenarioRepository = scenarioRepository;
+    this.scenarioVersionService = scenarioVersionService;
+    this.withTransaction = withTransaction;
   }
 
   // ------------------------------------------------------------
@@ -35,7 +41,7 @@ export class ScenarioService {
       const scenarios = await this.scenarioRepository.findAll();
       return scenarios.map(ScenarioDTO.fromEntity);
     } catch (error) {
-      throw new Error('Failed to list scenarios: ' + error.message);
+      throw wrapError(error, 'Failed to list scenarios');
     }
   }
 
@@ -57,7 +63,7 @@ export class ScenarioService {
       const scenario = await this.scenarioRepository.findById(id);
       return scenario ? ScenarioDTO.fromEntity(scenario) : null;
     } catch (error) {
-      throw new Error(`Failed to get scenario with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get scenario with id ${id}`);
     }
   }
 
@@ -76,7 +82,11 @@ export class ScenarioService {
       throw new Error("ScenarioRepository not initialized properly");
     }
 
-    return this.scenarioRepository.listByLevel(levelId);
+    try {
+      return await this.scenarioRepository.listByLevel(levelId);
+    } catch (error) {
+      throw wrapError(error, `Failed to list scenarios for level ${levelId}`);
+    }
   }
 
   // ------------------------------------------------------------
@@ -97,7 +107,7 @@ export class ScenarioService {
       const scenarios = await this.scenarioRepository.findByLevel(level_id);
       return scenarios.map(ScenarioDTO.fromEntity);
     } catch (error) {
-      throw new Error(`Failed to get scenarios for level ${level_id}: ${error.message}`);
+      throw wrapError(error, `Failed to get scenarios for level ${level_id}`);
     }
   }
 
@@ -129,7 +139,7 @@ export class ScenarioService {
         steps,
       };
     } catch (error) {
-      throw new Error(`Failed to get scenario with steps: ${error.message}`);
+      throw wrapError(error, 'Failed to get scenario with steps');
     }
   }
 
@@ -142,6 +152,7 @@ export class ScenarioService {
    * @async
    * @param {object} data - Scenario creation data.
    * @param {number} data.level_id - Associated level ID.
+   * @param {string} [data.slug] - Stable key within the level; derived from the title when omitted.
    * @param {string} data.title - Scenario title.
    * @param {string} data.description - Description of the scenario.
    * @param {string} [data.image_url] - Optional image URL.
@@ -156,10 +167,16 @@ export class ScenarioService {
    */
   async createScenario(data) {
     try {
-      const scenario = await this.scenarioRepository.create(data);
+      const slug =
+        data.slug ??
+        uniqueSlug(
+          slugify(data.title, 'scenario'),
+          (await this.scenarioRepository.listByLevel(data.level_id)).map((s) => s.slug)
+        );
+      const scenario = await this.scenarioRepository.create({ ...data, slug });
       return ScenarioDTO.fromEntity(scenario);
     } catch (error) {
-      throw new Error('Failed to create scenario: ' + error.message);
+      throw wrapError(error, 'Failed to create scenario');
     }
   }
 
@@ -168,10 +185,11 @@ export class ScenarioService {
   // ------------------------------------------------------------
 
   /**
-   * Update an existing scenario by ID.
+   * Update an existing scenario by ID. The scenario goes back to draft;
+   * learners keep playing its published version.
    * @async
    * @param {number} id - Scenario ID.
-   * @param {object} data - Updated scenario fields.
+   * @param {object} data - Updated scenario fields; the slug is kept when omitted.
    * @returns {Promise<ScenarioDTO|null>} Updated scenario DTO, or null if not found.
    * @throws {Error} If update fails.
    * @example
@@ -179,10 +197,13 @@ export class ScenarioService {
    */
   async updateScenario(id, data) {
     try {
-      const scenario = await this.scenarioRepository.update(id, data);
+      const scenario = await this.withTransaction(async (conn) => {
+        if (!(await this.scenarioVersionService.markDraft(id, conn))) return null;
+        return this.scenarioRepository.update(id, data, conn);
+      });
       return scenario ? ScenarioDTO.fromEntity(scenario) : null;
     } catch (error) {
-      throw new Error(`Failed to update scenario with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to update scenario with id ${id}`);
     }
   }
 
@@ -203,7 +224,7 @@ export class ScenarioService {
     try {
       return await this.scenarioRepository.delete(id);
     } catch (error) {
-      throw new Error(`Failed to delete scenario with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete scenario with id ${id}`);
     }
   }
 }
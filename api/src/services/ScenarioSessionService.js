@@ -0,0 +1,302 @@
+import { randomUUID } from "crypto";
+import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
+import { ConflictError, NotFoundError } from "../utils/error.js";
+import {
+  generateScenarioFeedback,
+  isCorrectAnswer,
+  normalizeAnswer,
+} from "../utils/generateScenarioFeedback.js";
+import { canonicalAnswer } from "../utils/questionTypes.js";
+import {
+  isBranching,
+  orderSteps,
+  resolveNextStep,
+} from "../utils/scenarioBranching.js";
+
+/**
+ * Seconds a learner has to answer each step.
+ * @type {number}
+ */
+export const SECS_PER_STEP = Number(process.env.STEP_TIME_LIMIT_SECS) || 30;
+
+/**
+ * Extra milliseconds allowed after the deadline to absorb network latency.
+ * @type {number}
+ */
+const DEADLINE_GRACE_MS = 2000;
+
+/**
+ * Service layer for server-authoritative scenario play.
+ *
+ * A session serves one step at a time, starts that step's clock when it is
+ * served, and checks each answer against the stored correct answer and the
+ * deadline. Correct answers never leave the server before a step is answered.
+ * After each answer the session moves to the step that answer branches to.
+ * A session plays the scenario version that was published when it started.
+ *
+ * @class ScenarioSessionService
+ */
+export class ScenarioSessionService {
+  /**
+   * Creates an instance of ScenarioSessionService.
+   * @param {import("../domain/repositories/mysql/ScenarioSessionRepository.js").ScenarioSessionRepository} sessionRepository - Repository for session data.
+   * @param {import("./ScenarioVersionService.js").ScenarioVersionService} scenarioVersionService - Service used to load the steps of a scenario version.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transaction an answer is stored in.
+   */
+  constructor(sessionRepository, scenarioVersionService, withTransaction) {
+    this.sessionRepository = sessionRepository;
+    this.scenarioVersionService = scenarioVersionService;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * Load the steps of a scenario version in play order.
+   * @private
+   * @param {number} scenarioId
+   * @param {number|null} [version] - The session's version; the published one when null.
+   * @returns {Promise<ScenarioStepDTO[]>} Empty when the scenario is not published.
+   */
+  async _orderedSteps(scenarioId, version = null) {
+    const played = await this.scenarioVersionService.getPlayable(scenarioId, version);
+    return played ? orderSteps(played.steps) : [];
+  }
+
+  /**
+   * The step a session is waiting on, or null when it is not active.
+   * @private
+   * @param {object} session
+   * @param {ScenarioStepDTO[]} steps - The scenario's steps in order.
+   * @returns {ScenarioStepDTO|null}
+   */
+  _currentStep(session, steps) {
+    if (session.status !== "active") return null;
+    return (
+      steps.find((s) => Number(s.step_id) === Number(session.current_step_id)) ||
+      null
+    );
+  }
+
+  /**
+   * Load a session and make sure it belongs to the given user and scenario.
+   * @private
+   * @param {string} sessionId
+   * @param {number} userId
+   * @param {number} scenarioId
+   * @returns {Promise<import("../domain/entities/ScenarioSessionEntity.js").default>}
+   * @throws {AppError} 404 if the session does not exist or belongs to someone else.
+   */
+  async _ownedSession(sessionId, userId, scenarioId) {
+    const session = await this.sessionRepository.findById(sessionId);
+    if (
+      !session ||
+      Number(session.user_id) !== Number(userId) ||
+      Number(session.scenario_id) !== Number(scenarioId)
+    ) {
+      throw new NotFoundError("Session not found");
+    }
+    return session;
+  }
+
+  /**
+   * Build the client view of a session: progress and the current (public)
+   * step. A step is only shown once it has been served and its clock runs;
+   * until then `current_step` is null and the client fetches the session.
+   * @private
+   * @param {object} session
+   * @param {ScenarioStepDTO[]} steps
+   * @returns {object}
+   */
+  _view(session, steps) {
+    const startedAt = session.step_started_at;
+    const current = startedAt ? this._currentStep(session, steps) : null;
+
+    return {
+      session_id: session.session_id,
+      scenario_id: session.scenario_id,
+      scenario_version: session.scenario_version,
+      status: session.status,
+      total_steps: steps.length,
+      branching: isBranching(steps),
+      answered_steps: Math.min(session.current_step_index, steps.length),
+      secs_per_step: SECS_PER_STEP,
+      current_step: current ? ScenarioStepDTO.toPublic(current) : null,
+      step_deadline: current ? new Date(startedAt.getTime() + SECS_PER_STEP * 1000) : null,
+      attempt_id: session.attempt_id,
+    };
+  }
+
+  /**
+   * Start a new run of a scenario and serve its first step.
+   * Any previous active run of the same scenario by the user is abandoned.
+   * @async
+   * @param {number} userId - The player's user ID.
+   * @param {number} scenarioId - The scenario ID.
+   * @returns {Promise<object|null>} Session view, or null if the scenario is not published or has no steps.
+   * @example
+   * const session = await sessionService.startSession(4, 2);
+   */
+  async startSession(userId, scenarioId) {
+    const played = await this.scenarioVersionService.getPlayable(scenarioId);
+    const steps = played ? orderSteps(played.steps) : [];
+    if (!steps.length) return null;
+
+    await this.sessionRepository.abandonActive(userId, scenarioId);
+    const session = await this.sessionRepository.create({
+      session_id: randomUUID(),
+      user_id: userId,
+      scenario_id: scenarioId,
+      scenario_version: played.scenario.version,
+      current_step_id: steps[0].step_id,
+      step_started_at: new Date(),
+    });
+    return this._view(session, steps);
+  }
+
+  /**
+   * Return the current state of a session.
+   * Serving the current step starts its clock if it has not started yet.
+   * @async
+   * @param {string} sessionId - The session UUID.
+   * @param {number} userId - The player's user ID.
+   * @param {number} scenarioId - The scenario ID.
+   * @returns {Promise<object>} Session view.
+   * @throws {AppError} 404 if the session is not found.
+   */
+  async getSession(sessionId, userId, scenarioId) {
+    let session = await this._ownedSession(sessionId, userId, scenarioId);
+    const steps = await this._orderedSteps(scenarioId, session.scenario_version);
+
+    if (session.status === "active" && !session.step_started_at) {
+      await this.sessionRepository.startCurrentStep(sessionId, new Date());
+      session = await this.sessionRepository.findById(sessionId);
+    }
+    return this._view(session, steps);
+  }
+
+  /**
+   * Check the answer to the current step of a session.
+   *
+   * Answers that arrive after the deadline are recorded as timed out and
+   * scored as wrong, whatever option was sent.
+   *
+   * Moving the session on, storing the answer and, on the last step,
+   * `onFinished` all run in one transaction: if recording the run fails, the
+   * session stays on its last step and the answer can be sent again.
+   *
+   * @async
+   * @param {string} sessionId - The session UUID.
+   * @param {number} userId - The player's user ID.
+   * @param {number} scenarioId - The scenario ID.
+   * @param {number} stepId - The step being answered.
+   * @param {*} userAction - The answer in any form accepted for the step's type
+   * (null when the client timer ran out).
+   * @param {(run: {report: object, answers: object[], session: object}, conn: import("../config/db.js").Queryable) => Promise<object>} [onFinished]
+   * Records a finished run inside the answer's transaction; what it resolves to is returned as `recorded`.
+   * @returns {Promise<{feedback: object, finished: boolean, session: object, answers?: object[], report?: object, recorded?: object}>}
+   * `session.current_step` is null: the next step is served, and its clock started, by {@link ScenarioSessionService#getSession}.
+   * When `finished` is true, `answers` holds every answer of the run in path order
+   * and `report` is the scored run from `generateScenarioFeedback`.
+   * @throws {AppError} 404 if the session is not found; 409 if the step is not the one being played.
+   */
+  async answerStep(sessionId, userId, scenarioId, stepId, userAction, onFinished) {
+    const session = await this._ownedSession(sessionId, userId, scenarioId);
+    if (session.status !== "active") {
+      throw new ConflictError("Session is no longer active", "SESSION_INACTIVE");
+    }
+
+    const steps = await this._orderedSteps(scenarioId, session.scenario_version);
+    const index = session.current_step_index;
+    const step = this._currentStep(session, steps);
+    if (!step || Number(step.step_id) !== Number(stepId)) {
+      throw new ConflictError("This step is not the current step of the session", "STEP_NOT_CURRENT");
+    }
+    if (!session.step_started_at) {
+      throw new ConflictError("This step has not been served yet", "STEP_NOT_SERVED");
+    }
+
+    const limitMs = SECS_PER_STEP * 1000;
+    const elapsed = Date.now() - session.step_started_at.getTime();
+    const timedOut = elapsed > limitMs + DEADLINE_GRACE_MS;
+
+    const picked = timedOut ? null : normalizeAnswer(userAction, step.type);
+    const correct = canonicalAnswer(step);
+    const isCorrect = isCorrectAnswer(step, picked);
+    const next = resolveNextStep(step, picked, isCorrect, steps);
+    const finished = !next;
+
+    const answer = {
+      session_id: sessionId,
+      step_id: step.step_id,
+      user_action: picked,
+      is_correct: isCorrect,
+      timed_out: timedOut || !picked,
+      time_taken_ms: Math.min(elapsed, limitMs),
+    };
+
+    const feedback = {
+      step_id: step.step_id,
+      step_order: step.step_order,
+      type: step.type,
+      user_action: picked,
+      correct_action: correct,
+      correct_answer: step.answer,
+      is_correct: isCorrect,
+      timed_out: answer.timed_out,
+      time_taken_ms: answer.time_taken_ms,
+      feedback_message: step.feedback_message || null,
+    };
+
+    return this.withTransaction(async (conn) => {
+      const advanced = await this.sessionRepository.advance(
+        sessionId,
+        index,
+        next ? next.step_id : null,
+        finished,
+        conn
+      );
+      if (!advanced) {
+        throw new ConflictError("This step has already been answered", "STEP_ALREADY_ANSWERED");
+      }
+      await this.sessionRepository.addAnswer(answer, conn);
+
+      const updated = await this.sessionRepository.findById(sessionId, conn);
+      const result = { feedback, finished, session: this._view(updated, steps) };
+      if (!finished) return result;
+
+      const rows = await this.sessionRepository.findAnswers(sessionId, conn);
+      const byStep = new Map(rows.map((r) => [Number(r.step_id), r]));
+      result.report = generateScenarioFeedback(
+        Object.fromEntries(rows.map((r) => [r.step_id, r.user_action])),
+        steps
+      );
+      result.answers = result.report.steps_feedback.map((fb) => {
+        const r = byStep.get(Number(fb.step_id));
+        return {
+          step_id: fb.step_id,
+          user_action: r?.user_action ?? null,
+          is_correct: !!r?.is_correct,
+          time_taken_ms: r?.time_taken_ms ?? null,
+        };
+      });
+      if (onFinished) {
+        result.recorded = await onFinished(
+          { report: result.report, answers: result.answers, session: result.session },
+          conn
+        );
+      }
+      return result;
+    });
+  }
+
+  /**
+   * Link a completed session to the attempt recorded from it.
+   * @async
+   * @param {string} sessionId - The session UUID.
+   * @param {number} attemptId - The attempt ID.
+   * @param {import("../config/db.js").Queryable} [db] - Transaction connection, when recording inside one.
+   * @returns {Promise<void>}
+   */
+  async linkAttempt(sessionId, attemptId, db) {
+    await this.sessionRepository.setAttempt(sessionId, attemptId, db);
+  }
+}
@@ -1,4 +1,7 @@
 import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
+import { AppError, ConflictError, ValidationError, wrapError } from "../utils/error.js";
+import { findBranchProblems } from "../utils/scenarioBranching.js";
+import { uniqueSlug } from "../utils/slug.js";
 
 /**
  * Service layer for managing scenario steps.
@@ -6,17 +9,95 @@ import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
  * Handles business logic for retrieving, creating, updating,
  * and deleting scenario step records. Converts raw repository
  * entities into DTOs (`ScenarioStepDTO`) before returning them
- * to controllers.
+ * to controllers. Every write re-checks the scenario's branch graph, and no
+ * two steps of a scenario may share a `step_order`.
  *
  * @class ScenarioStepService
  */
 export class ScenarioStepService {
   /**
    * Creates an instance of ScenarioStepService.
-   * @param {import("../domain/repositories/ScenarioStepRepository.js").ScenarioStepRepository} scenarioStepRepository - Repository used for scenario step data operations.
+   * @param {import("../domain/repositories/mysql/ScenarioStepRepository.js").ScenarioStepRepository} scenarioStepRepository - Repository used for scenario step data operations.
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Opens the transactions that write steps.
+   * @param {import("./ScenarioVersionService.js").ScenarioVersionService} scenarioVersionService - Puts a scenario back to draft when its steps change.
    */
-  constructor(scenarioStepRepository) {
+  constructor(scenarioStepRepository, withTransaction, scenarioVersionService) {
     this.scenarioStepRepository = scenarioStepRepository;
+    this.withTransaction = withTransaction;
+    this.scenarioVersionService = scenarioVersionService;
+  }
+
+  /**
+   * Insert a step, giving it the slug `step-<step_order>` (made unique in
+   * its scenario) when it has none.
+   * @private
+   * @param {object} data - Step fields, as for {@link ScenarioStepService#createScenarioStep}.
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<import("../domain/entities/ScenarioStepEntity.js").default>}
+   */
+  async _insert(data, conn) {
+    const slug =
+      data.slug ??
+      uniqueSlug(
+        `step-${data.step_order}`,
+        (await this.scenarioStepRepository.findByScenario(data.scenario_id, conn)).map((s) => s.slug)
+      );
+    return this.scenarioStepRepository.create({ ...data, slug }, conn);
+  }
+
+  /**
+   * Refuse a step order another step of the scenario already holds.
+   * @private
+   * @param {number} scenarioId - The scenario the step belongs to.
+   * @param {number} stepOrder - The order the step is given.
+   * @param {number|null} stepId - The step being saved, or null for a new one.
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<void>}
+   * @throws {ConflictError} 409 `STEP_ORDER_TAKEN`.
+   */
+  async _assertOrderFree(scenarioId, stepOrder, stepId, conn) {
+    const steps = await this.scenarioStepRepository.findByScenario(scenarioId, conn);
+    const holder = steps.find((s) => s.step_order === Number(stepOrder) && s.step_id !== Number(stepId));
+    if (holder) {
+      throw new ConflictError(
+        `Step ${holder.step_id} already has step_order ${stepOrder} in this scenario`,
+        "STEP_ORDER_TAKEN"
+      );
+    }
+  }
+
+  /**
+   * Make sure a scenario's branches still form a valid graph: every target
+   * exists, every step can be reached from the first one, and no path loops.
+   * Runs inside the write's transaction so an invalid change is rolled back.
+   * @private
+   * @param {number} scenarioId - The scenario whose steps changed.
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 describing the first problem found.
+   */
+  async _assertValidBranches(scenarioId, conn) {
+    const steps = await this.scenarioStepRepository.findByScenario(scenarioId, conn);
+    const { unknown_targets, cycle, orphans } = findBranchProblems(steps);
+
+    if (unknown_targets.length) {
+      const { step_id, key, target } = unknown_targets[0];
+      throw new AppError(
+        `Step ${step_id} branches "${key}" to step ${target}, which is not in this scenario`,
+        400,
+        "INVALID_BRANCH"
+      );
+    }
+    if (cycle) {
+      throw new AppError(`Scenario branches form a cycle: ${cycle.join(" -> ")}`, 400, "BRANCH_CYCLE");
+    }
+    if (orphans.length) {
+      throw new AppError(
+        `Steps ${orphans.join(", ")} cannot be reached from the first step`,
+        400,
+        "UNREACHABLE_STEP"
+      );
+    }
   }
 
   // 📋 Get all steps (mainly admin/debug)
@@ -35,7 +116,7 @@ export class ScenarioStepService {
       const steps = await this.scenarioStepRepository.findAll();
       return steps.map(ScenarioStepDTO.fromEntity);
     } catch (error) {
-      throw new Error("Failed to list scenario steps: " + error.message);
+      throw wrapError(error, "Failed to list scenario steps");
     }
   }
 
@@ -55,7 +136,7 @@ export class ScenarioStepService {
       const step = await this.scenarioStepRepository.findById(id);
       return step ? ScenarioStepDTO.fromEntity(step) : null;
     } catch (error) {
-      throw new Error(`Failed to get scenario step with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get scenario step with id ${id}`);
     }
   }
 
@@ -75,40 +156,108 @@ export class ScenarioStepService {
       const steps = await this.scenarioStepRepository.findByScenario(scenario_id);
       return steps.map(ScenarioStepDTO.fromEntity);
     } catch (error) {
-      throw new Error(`Failed to get steps for scenario ${scenario_id}: ${error.message}`);
+      throw wrapError(error, `Failed to get steps for scenario ${scenario_id}`);
     }
   }
 
-  // 🏗️ Create a new MCQ step
+  // 🏗️ Create a new step
 
   /**
-   * Create a new multiple-choice question (MCQ) step.
+   * Create a new step of any question type.
    * @async
    * @param {object} data - Step creation data.
    * @param {number} data.scenario_id - ID of the associated scenario.
+   * @param {string} [data.slug] - Stable key within the scenario; `step-<step_order>` when omitted.
    * @param {number} data.step_order - Order of the step in the scenario.
    * @param {string} data.question_text - The question text.
-   * @param {object} data.options - Available answer choices.
-   * @param {string} data.correct_action - The correct answer (e.g., 'A', 'B', 'C', 'D').
+   * @param {string} [data.type] - Question type (defaults to 'multiple_choice').
+   * @param {object|null} data.options - Options, shaped for the question type.
+   * @param {*} data.answer - The correct answer, shaped for the question type (e.g. 'B', ['A', 'C'], true).
+   * @param {Object<string, number|string>|null} [data.branches] - Next step per option or outcome (step ID or "end").
    * @param {string} [data.feedback_message] - Optional feedback message.
    * @returns {Promise<ScenarioStepDTO>} The created step DTO.
+   * @throws {ConflictError} 409 if another step of the scenario has the same `step_order`.
+   * @throws {AppError} 400 if the scenario's branches would become invalid.
    * @throws {Error} If creation fails.
    * @example
    * const step = await scenarioStepService.createScenarioStep({
    *   scenario_id: 1,
    *   step_order: 2,
-   *   question_text: "What is 2 + 2?",
-   *   options: { A: "3", B: "4", C: "5", D: "6" },
-   *   correct_action: "B",
-   *   feedback_message: "The correct answer is 4."
+   *   question_text: "Put the CPR steps in order",
+   *   type: "ordering",
+   *   options: { A: "Give 30 compressions", B: "Check for response", C: "Give 2 breaths" },
+   *   answer: ["B", "A", "C"],
+   *   feedback_message: "Check, compress, then breathe."
    * });
    */
   async createScenarioStep(data) {
     try {
-      const step = await this.scenarioStepRepository.create(data);
+      const step = await this.withTransaction(async (conn) => {
+        await this.scenarioVersionService.markDraft(data.scenario_id, conn);
+        await this._assertOrderFree(data.scenario_id, data.step_order, null, conn);
+        const created = await this._insert(data, conn);
+        await this._assertValidBranches(created.scenario_id, conn);
+        return created;
+      });
       return ScenarioStepDTO.fromEntity(step);
     } catch (error) {
-      throw new Error("Failed to create scenario step: " + error.message);
+      throw wrapError(error, "Failed to create scenario step");
+    }
+  }
+
+  // 📥 Bulk import (CSV rows)
+
+  /**
+   * Insert many steps in one transaction. Rows whose scenario does not
+   * exist, or whose `step_order` is already used in the scenario (by a
+   * step or an earlier row), are reported and skipped; if any other write
+   * fails, or a scenario's branches stop being valid, nothing is inserted.
+   * @async
+   * @param {Array<{row: number, data: object}>} rows - Validated steps with the row they came from.
+   * @returns {Promise<{created: ScenarioStepDTO[], errors: Array<{row: number, field: string, message: string}>}>}
+   * @throws {AppError} 400 if the new steps break a scenario's branches.
+   * @throws {Error} If the import fails.
+   * @example
+   * const { created, errors } = await scenarioStepService.importScenarioSteps([
+   *   { row: 2, data: { scenario_id: 1, step_order: 4, question_text: "...", options: {...}, answer: "B" } },
+   * ]);
+   */
+  async importScenarioSteps(rows) {
+    try {
+      return await this.withTransaction(async (conn) => {
+        const created = [];
+        const errors = [];
+        // Orders in use per scenario; null when the scenario does not exist
+        const scenarios = new Map();
+
+        for (const { row, data } of rows) {
+          const scenarioId = Number(data.scenario_id);
+          if (!scenarios.has(scenarioId)) {
+            const exists = await this.scenarioVersionService.markDraft(scenarioId, conn);
+            const steps = exists ? await this.scenarioStepRepository.findByScenario(scenarioId, conn) : null;
+            scenarios.set(scenarioId, steps && new Set(steps.map((s) => s.step_order)));
+          }
+          const orders = scenarios.get(scenarioId);
+          if (!orders) {
+            errors.push({ row, field: "scenario_id", message: `Scenario ${scenarioId} does not exist` });
+            continue;
+          }
+          const order = Number(data.step_order);
+          if (orders.has(order)) {
+            errors.push({ row, field: "step_order", message: `Scenario ${scenarioId} already has a step ${order}` });
+            continue;
+          }
+          orders.add(order);
+          created.push(await this._insert(data, conn));
+        }
+
+        for (const [scenarioId, orders] of scenarios) {
+          if (orders) await this._assertValidBranches(scenarioId, conn);
+        }
+        return { created: created.map(ScenarioStepDTO.fromEntity), errors };
+      });
+    } catch (error) {
+      throw wrapError(error, "Failed to import scenario steps");
     }
   }
 
@@ -120,26 +269,93 @@ export class ScenarioStepService {
    * @async
    * @param {number} id - The ID of the step to update.
    * @param {object} data - Updated step fields.
+   * @param {string} [data.slug] - New slug; kept when omitted.
    * @param {number} [data.step_order] - Updated order of the step.
    * @param {string} [data.question_text] - Updated question text.
-   * @param {object} [data.options] - Updated answer options.
-   * @param {string} [data.correct_action] - Updated correct answer.
+   * @param {string} [data.type] - Updated question type.
+   * @param {object|null} [data.options] - Updated options.
+   * @param {*} [data.answer] - Updated correct answer.
+   * @param {Object<string, number|string>|null} [data.branches] - Updated branches (null clears them).
    * @param {string} [data.feedback_message] - Updated feedback message.
    * @returns {Promise<ScenarioStepDTO|null>} The updated step DTO, or null if not found.
+   * @throws {ConflictError} 409 if another step of the scenario has the same `step_order`.
+   * @throws {AppError} 400 if the scenario's branches would become invalid.
    * @throws {Error} If update fails.
    * @example
    * const updated = await scenarioStepService.updateScenarioStep(3, {
    *   question_text: "What is the capital of France?",
    *   options: { A: "Berlin", B: "Madrid", C: "Paris", D: "Rome" },
-   *   correct_action: "C"
+   *   answer: "C"
    * });
    */
   async updateScenarioStep(id, data) {
     try {
-      const step = await this.scenarioStepRepository.update(id, data);
+      const step = await this.withTransaction(async (conn) => {
+        const current = await this.scenarioStepRepository.findById(id, conn);
+        if (!current) return null;
+        await this.scenarioVersionService.markDraft(current.scenario_id, conn);
+        await this._assertOrderFree(current.scenario_id, data.step_order, id, conn);
+        const updated = await this.scenarioStepRepository.update(id, data, conn);
+        await this._assertValidBranches(updated.scenario_id, conn);
+        return updated;
+      });
       return step ? ScenarioStepDTO.fromEntity(step) : null;
     } catch (error) {
-      throw new Error(`Failed to update scenario step with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to update scenario step with id ${id}`);
+    }
+  }
+
+  // 🔢 Reorder the steps of a scenario
+
+  /**
+   * Put a scenario's steps in a new order. The steps are numbered 1..n in
+   * the order given, in one transaction, so gaps left by earlier edits are
+   * closed as well.
+   * @async
+   * @param {number} scenarioId - The scenario whose steps move.
+   * @param {number[]} stepIds - Every step of the scenario, once, in the new order.
+   * @returns {Promise<ScenarioStepDTO[]|null>} The steps in their new order, or null if the scenario does not exist.
+   * @throws {ValidationError} 400 `STEP_ORDER_MISMATCH` if `stepIds` is not exactly the scenario's steps.
+   * @throws {AppError} 400 if the new order leaves the scenario's branches invalid.
+   * @throws {Error} If reordering fails.
+   * @example
+   * const steps = await scenarioStepService.reorderScenarioSteps(3, [12, 10, 11]);
+   */
+  async reorderScenarioSteps(scenarioId, stepIds) {
+    try {
+      const steps = await this.withTransaction(async (conn) => {
+        if (!(await this.scenarioVersionService.markDraft(scenarioId, conn))) return null;
+
+        const current = new Set(
+          (await this.scenarioStepRepository.findByScenario(scenarioId, conn)).map((s) => s.step_id)
+        );
+        const unknown = stepIds.filter((id) => !current.has(id));
+        const missing = [...current].filter((id) => !stepIds.includes(id));
+        const repeated = stepIds.filter((id, i) => stepIds.indexOf(id) !== i);
+        const problems = [
+          unknown.length && `steps ${unknown.join(", ")} are not in this scenario`,
+          missing.length && `steps ${missing.join(", ")} are missing`,
+          repeated.length && `steps ${repeated.join(", ")} are listed more than once`,
+        ].filter(Boolean);
+        if (problems.length) {
+          throw new ValidationError(
+            `step_ids must list every step of the scenario once: ${problems.join("; ")}`,
+            [{ field: "step_ids", location: "body", message: problems.join("; ") }],
+            "STEP_ORDER_MISMATCH"
+          );
+        }
+
+        await this.scenarioStepRepository.renumber(
+          scenarioId,
+          stepIds.map((step_id, i) => ({ step_id, step_order: i + 1 })),
+          conn
+        );
+        await this._assertValidBranches(scenarioId, conn);
+        return this.scenarioStepRepository.findByScenario(scenarioId, conn);
+      });
+      return steps ? steps.map(ScenarioStepDTO.fromEntity) : null;
+    } catch (error) {
+      throw wrapError(error, `Failed to reorder the steps of scenario ${scenarioId}`);
     }
   }
 
@@ -147,18 +363,27 @@ export class ScenarioStepService {
 
   /**
    * Delete a scenario step by ID.
+   * Steps that other steps branch to cannot be deleted until those branches change.
    * @async
    * @param {number} id - The step ID.
    * @returns {Promise<boolean>} True if deleted successfully, false otherwise.
+   * @throws {AppError} 400 if deleting the step would break the scenario's branches.
    * @throws {Error} If deletion fails.
    * @example
    * const success = await scenarioStepService.deleteScenarioStep(4);
    */
   async deleteScenarioStep(id) {
     try {
-      return await this.scenarioStepRepository.delete(id);
+      return await this.withTransaction(async (conn) => {
+        const step = await this.scenarioStepRepository.findById(id, conn);
+        if (!step) return false;
+        await this.scenarioVersionService.markDraft(step.scenario_id, conn);
+        await this.scenarioStepRepository.delete(id, conn);
+        await this._assertValidBranches(step.scenario_id, conn);
+        return true;
+      });
     } catch (error) {
-      throw new Error(`Failed to delete scenario step with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete scenario step with id ${id}`);
     }
   }
 }
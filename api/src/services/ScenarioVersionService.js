@@ -0,0 +1,390 @@
+import ScenarioDTO from "../domain/dto/ScenarioDTO.js";
+import ScenarioStepDTO from "../domain/dto/ScenarioStepDTO.js";
+import ScenarioVersionDTO from "../domain/dto/ScenarioVersionDTO.js";
+import { AppError, ConflictError, NotFoundError, wrapError } from "../utils/error.js";
+import { STATUS_TRANSITIONS, diffScenarioContent, isPlayable } from "../utils/scenarioVersions.js";
+
+/** Note on the version written for a scenario published before versioning. */
+const LEGACY_NOTE = "Published before versioning";
+
+/** What a diff compares against when a scenario was never published. */
+const NOTHING_PUBLISHED = { title: null, description: null, image_url: null, steps: [] };
+
+/**
+ * Service layer for the scenario publishing workflow (see
+ * `utils/scenarioVersions.js`).
+ *
+ * Moves scenarios between draft, review and published, writes a version
+ * on every publish and serves learners the version they should play.
+ * Other services call {@link ScenarioVersionService#markDraft} before
+ * they change a scenario's working copy.
+ *
+ * @class ScenarioVersionService
+ */
+export class ScenarioVersionService {
+  /**
+   * @param {import("../domain/repositories/mysql/ScenarioRepository.js").ScenarioRepository} scenarioRepository
+   * @param {import("../domain/repositories/mysql/ScenarioStepRepository.js").ScenarioStepRepository} scenarioStepRepository
+   * @param {import("../domain/repositories/mysql/ScenarioVersionRepository.js").ScenarioVersionRepository} scenarioVersionRepository
+   * @param {import("../domain/repositories/createRepositories.js").Persistence["withTransaction"]} withTransaction - Keeps a version and the status pointing at it together.
+   */
+  constructor(scenarioRepository, scenarioStepRepository, scenarioVersionRepository, withTransaction) {
+    this.scenarioRepository = scenarioRepository;
+    this.scenarioStepRepository = scenarioStepRepository;
+    this.scenarioVersionRepository = scenarioVersionRepository;
+    this.withTransaction = withTransaction;
+  }
+
+  /**
+   * The content of a scenario's working copy, shaped like a version.
+   * @private
+   * @async
+   * @param {object} scenario - The scenario entity.
+   * @param {import("../config/db.js").Queryable} [conn]
+   * @returns {Promise<{title: string, description: string|null, image_url: string|null, steps: ScenarioStepDTO[]}>}
+   */
+  async _workingCopy(scenario, conn) {
+    const steps = await this.scenarioStepRepository.findByScenario(scenario.scenario_id, conn);
+    return {
+      title: scenario.title,
+      description: scenario.description ?? null,
+      image_url: scenario.image_url ?? null,
+      steps: steps.map(ScenarioStepDTO.fromEntity),
+    };
+  }
+
+  /**
+   * Write the next version of a scenario.
+   * @private
+   * @async
+   * @param {number} scenarioId
+   * @param {object} content - Title, description, image and steps.
+   * @param {{userId?: number|null, note?: string|null}} meta
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<import("../domain/entities/ScenarioVersionEntity.js").default>}
+   */
+  async _writeVersion(scenarioId, content, { userId = null, note = null }, conn) {
+    const version = (await this.scenarioVersionRepository.latestVersion(scenarioId, conn)) + 1;
+    return this.scenarioVersionRepository.create(
+      {
+        scenario_id: scenarioId,
+        version,
+        title: content.title,
+        description: content.description,
+        image_url: content.image_url,
+        steps: content.steps,
+        note,
+        published_by: userId,
+      },
+      conn
+    );
+  }
+
+  /**
+   * Give a scenario published before versioning its first version, taken
+   * from the working copy. Other scenarios are returned as they are.
+   *
+   * Call it inside the transaction of any change to the working copy,
+   * before the change, so the version keeps what learners played so far.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection.
+   * @returns {Promise<object|null>} The scenario entity, or null if it does not exist.
+   */
+  async ensureVersioned(scenarioId, conn) {
+    const scenario = await this.scenarioRepository.findById(scenarioId, conn);
+    if (!scenario || scenario.published_version != null || scenario.status !== "published") return scenario;
+
+    const version = await this._writeVersion(
+      scenarioId,
+      await this._workingCopy(scenario, conn),
+      { note: LEGACY_NOTE },
+      conn
+    );
+    await this.scenarioRepository.setStatus(scenarioId, "published", version.version, conn);
+    return this.scenarioRepository.findById(scenarioId, conn);
+  }
+
+  /**
+   * Put a scenario back to draft because its working copy is about to
+   * change. Learners keep playing the published version.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {import("../config/db.js").Queryable} conn - Transaction connection of the change.
+   * @returns {Promise<object|null>} The scenario entity as it was, or null if it does not exist.
+   * @example
+   * await this.withTransaction(async (conn) => {
+   *   await scenarioVersionService.markDraft(step.scenario_id, conn);
+   *   await scenarioStepRepository.update(step.step_id, data, conn);
+   * });
+   */
+  async markDraft(scenarioId, conn) {
+    const scenario = await this.ensureVersioned(scenarioId, conn);
+    if (scenario && scenario.status !== "draft") {
+      await this.scenarioRepository.setStatus(scenarioId, "draft", undefined, conn);
+    }
+    return scenario;
+  }
+
+  /**
+   * The scenario entity and the version learners play, writing the first
+   * version of a scenario published before versioning.
+   * @private
+   * @async
+   * @param {object} scenario - A playable scenario entity.
+   * @returns {Promise<{scenario: object, version: import("../domain/entities/ScenarioVersionEntity.js").default}>}
+   */
+  async _published(scenario) {
+    let current = scenario;
+    if (current.published_version == null) {
+      try {
+        current = await this.withTransaction((conn) => this.ensureVersioned(scenario.scenario_id, conn));
+      } catch (error) {
+        // Another request wrote the first version in the meantime.
+        if (error.code !== "ER_DUP_ENTRY") throw error;
+        current = await this.scenarioRepository.findById(scenario.scenario_id);
+      }
+    }
+    const version = await this.scenarioVersionRepository.find(current.scenario_id, current.published_version);
+    return { scenario: current, version };
+  }
+
+  /**
+   * List the scenarios learners can play, as they play them.
+   *
+   * @async
+   * @param {number} [levelId] - Only scenarios of this level.
+   * @returns {Promise<Array<ReturnType<typeof ScenarioDTO.fromVersion>>>}
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const scenarios = await scenarioVersionService.listPublished(2);
+   */
+  async listPublished(levelId) {
+    try {
+      const scenarios =
+        levelId === undefined
+          ? await this.scenarioRepository.findAll()
+          : await this.scenarioRepository.listByLevel(levelId);
+      const published = [];
+      // One at a time: the first call may write a version in its own transaction.
+      for (const scenario of scenarios.filter(isPlayable)) {
+        const { scenario: current, version } = await this._published(scenario);
+        published.push(ScenarioDTO.fromVersion(current, version));
+      }
+      return published;
+    } catch (error) {
+      throw wrapError(error, "Failed to list published scenarios");
+    }
+  }
+
+  /**
+   * A scenario as learners play it, with its steps (answers included).
+   *
+   * Without `version`, this is the published version and null when the
+   * scenario has never been published. A session passes the version it
+   * started on, so republishing does not change a run in progress.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {number|null} [version] - A specific version.
+   * @returns {Promise<{scenario: ReturnType<typeof ScenarioDTO.fromVersion>, steps: ScenarioStepDTO[]}|null>}
+   *   Null if the scenario or version does not exist.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const { scenario, steps } = await scenarioVersionService.getPlayable(3);
+   */
+  async getPlayable(scenarioId, version = null) {
+    try {
+      let scenario = await this.scenarioRepository.findById(scenarioId);
+      if (!scenario) return null;
+
+      let played;
+      if (version != null) {
+        played = await this.scenarioVersionRepository.find(scenarioId, version);
+      } else {
+        if (!isPlayable(scenario)) return null;
+        ({ scenario, version: played } = await this._published(scenario));
+      }
+      if (!played) return null;
+
+      return {
+        scenario: ScenarioDTO.fromVersion(scenario, played),
+        steps: played.steps.map((step) => new ScenarioStepDTO(step)),
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to get the published scenario ${scenarioId}`);
+    }
+  }
+
+  /**
+   * List a scenario's versions, newest first, without their steps.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @returns {Promise<object[]>} See {@link ScenarioVersionDTO.toSummary}.
+   * @throws {NotFoundError} If the scenario does not exist.
+   * @throws {Error} If retrieval fails.
+   */
+  async listVersions(scenarioId) {
+    try {
+      if (!(await this.scenarioRepository.findById(scenarioId))) throw new NotFoundError("Scenario not found");
+      const versions = await this.scenarioVersionRepository.listByScenario(scenarioId);
+      return versions.map(ScenarioVersionDTO.toSummary);
+    } catch (error) {
+      throw wrapError(error, `Failed to list versions of scenario ${scenarioId}`);
+    }
+  }
+
+  /**
+   * Get one version of a scenario with its steps.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {number} version
+   * @returns {Promise<ScenarioVersionDTO>}
+   * @throws {NotFoundError} If the scenario or version does not exist.
+   * @throws {Error} If retrieval fails.
+   */
+  async getVersion(scenarioId, version) {
+    try {
+      const found = await this.scenarioVersionRepository.find(scenarioId, version);
+      if (!found) throw new NotFoundError(`Version ${version} of scenario ${scenarioId} not found`);
+      return ScenarioVersionDTO.fromEntity(found);
+    } catch (error) {
+      throw wrapError(error, `Failed to get version ${version} of scenario ${scenarioId}`);
+    }
+  }
+
+  /**
+   * Compare two states of a scenario: version numbers, `"draft"` for the
+   * working copy or `"published"` for what learners play. A scenario that
+   * was never published compares as empty, so every step shows as created.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {number|string} [from="published"]
+   * @param {number|string} [to="draft"]
+   * @returns {Promise<{scenario_id: number, from: number|string, to: number|string, summary: object, changes: object[]}>}
+   * @throws {NotFoundError} If the scenario or a version does not exist.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const { summary } = await scenarioVersionService.diff(3, 2, "draft");
+   * // { create: 1, update: 1, delete: 0, unchanged: 5 }
+   */
+  async diff(scenarioId, from = "published", to = "draft") {
+    try {
+      const scenario = await this.scenarioRepository.findById(scenarioId);
+      if (!scenario) throw new NotFoundError("Scenario not found");
+
+      const load = async (ref) => {
+        if (ref === "draft") return this._workingCopy(scenario);
+        if (ref === "published" && scenario.published_version == null) {
+          return scenario.status === "published" ? this._workingCopy(scenario) : NOTHING_PUBLISHED;
+        }
+        const number = ref === "published" ? scenario.published_version : Number(ref);
+        const version = await this.scenarioVersionRepository.find(scenarioId, number);
+        if (!version) throw new NotFoundError(`Version ${ref} of scenario ${scenarioId} not found`);
+        return version;
+      };
+      const [before, after] = [await load(from), await load(to)];
+
+      return {
+        scenario_id: Number(scenarioId),
+        from,
+        to,
+        ...diffScenarioContent(before, { ...after, slug: scenario.slug }),
+      };
+    } catch (error) {
+      throw wrapError(error, `Failed to compare versions of scenario ${scenarioId}`);
+    }
+  }
+
+  /**
+   * Move a scenario to another status. Publishing writes the working copy
+   * as a new version and points learners at it.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {"draft"|"review"|"published"} status
+   * @param {{userId?: number, note?: string|null}} [options] - The publisher and a note kept with the version.
+   * @returns {Promise<ScenarioDTO|null>} The updated scenario, or null if it does not exist.
+   * @throws {ConflictError} 409 `INVALID_STATUS_TRANSITION` if the scenario cannot move to `status` from its current one.
+   * @throws {AppError} 400 `EMPTY_SCENARIO` when publishing a scenario without steps.
+   * @throws {Error} If the update fails.
+   * @example
+   * await scenarioVersionService.changeStatus(3, "published", { userId: 7, note: "Fixed step 2 wording" });
+   */
+  async changeStatus(scenarioId, status, { userId = null, note = null } = {}) {
+    try {
+      return await this.withTransaction(async (conn) => {
+        const scenario = await this.ensureVersioned(scenarioId, conn);
+        if (!scenario) return null;
+        if (!STATUS_TRANSITIONS[scenario.status]?.includes(status)) {
+          throw new ConflictError(
+            `A scenario in ${scenario.status} cannot move to ${status}`,
+            "INVALID_STATUS_TRANSITION"
+          );
+        }
+
+        let publishedVersion;
+        if (status === "published") {
+          const content = await this._workingCopy(scenario, conn);
+          if (!content.steps.length) {
+            throw new AppError("A scenario needs at least one step to be published", 400, "EMPTY_SCENARIO");
+          }
+          publishedVersion = (await this._writeVersion(scenarioId, content, { userId, note }, conn)).version;
+        }
+        await this.scenarioRepository.setStatus(scenarioId, status, publishedVersion, conn);
+        return ScenarioDTO.fromEntity(await this.scenarioRepository.findById(scenarioId, conn));
+      });
+    } catch (error) {
+      throw wrapError(error, `Failed to change the status of scenario ${scenarioId}`);
+    }
+  }
+
+  /**
+   * Publish an earlier version again, as a new version. Learners play it
+   * from their next run; the working copy is left alone, so authors can
+   * fix what went wrong and publish once more.
+   *
+   * @async
+   * @param {number} scenarioId
+   * @param {number} version - The version to bring back.
+   * @param {{userId?: number, note?: string|null}} [options] - The note defaults to "Rollback to version N".
+   * @returns {Promise<ScenarioVersionDTO|null>} The new version, or null if the scenario does not exist.
+   * @throws {NotFoundError} If the version does not exist.
+   * @throws {ConflictError} 409 `ALREADY_PUBLISHED` if learners already play that version.
+   * @throws {Error} If the rollback fails.
+   * @example
+   * const restored = await scenarioVersionService.rollback(3, 2, { userId: 7 });
+   * restored.version; // 5
+   */
+  async rollback(scenarioId, version, { userId = null, note = null } = {}) {
+    try {
+      return await this.withTransaction(async (conn) => {
+        const scenario = await this.ensureVersioned(scenarioId, conn);
+        if (!scenario) return null;
+        const target = await this.scenarioVersionRepository.find(scenarioId, version, conn);
+        if (!target) throw new NotFoundError(`Version ${version} of scenario ${scenarioId} not found`);
+        if (target.version === scenario.published_version) {
+          throw new ConflictError(`Version ${version} is already published`, "ALREADY_PUBLISHED");
+        }
+
+        const created = await this._writeVersion(
+          scenarioId,
+          target,
+          { userId, note: note ?? `Rollback to version ${version}` },
+          conn
+        );
+        // The working copy no longer matches what learners play.
+        const status = scenario.status === "published" ? "draft" : scenario.status;
+        await this.scenarioRepository.setStatus(scenarioId, status, created.version, conn);
+        return ScenarioVersionDTO.fromEntity(created);
+      });
+    } catch (error) {
+      throw wrapError(error, `Failed to roll back scenario ${scenarioId} to version ${version}`);
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import SecurityEventDTO from "../domain/dto/SecurityEventDTO.js";
+import { wrapError } from "../utils/error.js";
+
+/**
+ * Service layer for the security event log.
+ *
+ * Records login lockouts and admin unlocks, and lists them for review.
+ *
+ * @class SecurityEventService
+ */
+export class SecurityEventService {
+  /**
+   * Creates an instance of SecurityEventService.
+   * @param {import("../domain/repositories/mysql/SecurityEventRepository.js").SecurityEventRepository} securityEventRepository - Repository for security events.
+   */
+  constructor(securityEventRepository) {
+    this.securityEventRepository = securityEventRepository;
+  }
+
+  /**
+   * Record a security event.
+   * @async
+   * @param {object} event - What happened.
+   * @param {string} event.type - Event type, `<area>.<event>` (e.g. `login.lockout`).
+   * @param {string|null} [event.email] - Account email the event concerns.
+   * @param {string|null} [event.ip] - Client IP address the event concerns.
+   * @param {number|null} [event.actor_id] - Admin who caused the event.
+   * @param {object} [event.details] - Extra details.
+   * @returns {Promise<number>} The new event's ID.
+   * @throws {Error} If the event cannot be stored.
+   * @example
+   * await securityEventService.record({ type: "login.unlock", email, actor_id: req.user.id });
+   */
+  async record(event) {
+    try {
+      return await this.securityEventRepository.create(event);
+    } catch (error) {
+      throw wrapError(error, `Failed to record security event ${event.type}`);
+    }
+  }
+
+  /**
+   * List security events, newest first.
+   * @async
+   * @param {object} [filters] - `type`, `email`, `ip` and `limit` (max 500).
+   * @returns {Promise<SecurityEventDTO[]>} Matching events.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const events = await securityEventService.list({ type: "login.lockout" });
+   */
+  async list(filters = {}) {
+    try {
+      const limit = Math.min(Number(filters.limit) || 100, 500);
+      const events = await this.securityEventRepository.findAll({ ...filters, limit });
+      return events.map(SecurityEventDTO.fromEntity);
+    } catch (error) {
+      throw wrapError(error, "Failed to list security events");
+    }
+  }
+}
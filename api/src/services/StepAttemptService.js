@@ -0,0 +1,130 @@
+import StepAttemptDTO from '../domain/dto/StepAttemptDTO.js';
+import { wrapError } from '../utils/error.js';
+
+/**
+ * Service layer for managing step attempts (individual answers within a scenario attempt).
+ *
+ * Wraps the repository, converts entities into DTOs (`StepAttemptDTO`)
+ * and provides the bulk recording used by the scenario submit flow.
+ *
+ * @class StepAttemptService
+ */
+export class StepAttemptService {
+  /**
+   * Creates an instance of StepAttemptService.
+   * @param {import('../domain/repositories/mysql/StepAttemptRepository.js').StepAttemptRepository} stepAttemptRepository - Repository for step attempt data.
+   */
+  constructor(stepAttemptRepository) {
+    this.stepAttemptRepository = stepAttemptRepository;
+  }
+
+  /**
+   * Retrieve all step attempts.
+   * @async
+   * @returns {Promise<StepAttemptDTO[]>} List of all step attempts.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const stepAttempts = await stepAttemptService.listStepAttempts();
+   */
+  async listStepAttempts() {
+    try {
+      const rows = await this.stepAttemptRepository.findAll();
+      return rows.map(StepAttemptDTO.fromEntity);
+    } catch (error) {
+      throw wrapError(error, 'Failed to list step attempts');
+    }
+  }
+
+  /**
+   * Retrieve a single step attempt by its ID.
+   * @async
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<StepAttemptDTO|null>} The step attempt DTO, or null if not found.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const stepAttempt = await stepAttemptService.getStepAttempt(3);
+   */
+  async getStepAttempt(id) {
+    try {
+      const row = await this.stepAttemptRepository.findById(id);
+      return row ? StepAttemptDTO.fromEntity(row) : null;
+    } catch (error) {
+      throw wrapError(error, `Failed to get step attempt with id ${id}`);
+    }
+  }
+
+  /**
+   * Retrieve all step attempts recorded for a scenario attempt.
+   * @async
+   * @param {number} attempt_id - The parent attempt ID.
+   * @returns {Promise<StepAttemptDTO[]>} The answers of that attempt, in step order.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const answers = await stepAttemptService.getByAttempt(12);
+   */
+  async getByAttempt(attempt_id) {
+    try {
+      const rows = await this.stepAttemptRepository.findByAttempt(attempt_id);
+      return rows.map(StepAttemptDTO.fromEntity);
+    } catch (error) {
+      throw wrapError(error, `Failed to get step attempts for attempt ${attempt_id}`);
+    }
+  }
+
+  /**
+   * Record a single step attempt.
+   * @async
+   * @param {object} data - Step attempt data (attempt_id, step_id, user_action, is_correct, time_taken_ms).
+   * @returns {Promise<StepAttemptDTO>} The created step attempt.
+   * @throws {Error} If creation fails.
+   * @example
+   * await stepAttemptService.createStepAttempt({ attempt_id: 12, step_id: 7, user_action: "B", is_correct: true });
+   */
+  async createStepAttempt(data) {
+    try {
+      const row = await this.stepAttemptRepository.create(data);
+      return StepAttemptDTO.fromEntity(row);
+    } catch (error) {
+      throw wrapError(error, 'Failed to create step attempt');
+    }
+  }
+
+  /**
+   * Record every answer of a scenario attempt at once.
+   * @async
+   * @param {number} attempt_id - The parent attempt ID.
+   * @param {Array<{step_id:number, user_action:(string|null), is_correct:boolean, time_taken_ms?:(number|null)}>} answers
+   * @returns {Promise<number>} Number of recorded step attempts.
+   * @throws {Error} If recording fails.
+   * @example
+   * await stepAttemptService.recordAttemptAnswers(12, [
+   *   { step_id: 7, user_action: "A", is_correct: true, time_taken_ms: 4200 }
+   * ]);
+   */
+  async recordAttemptAnswers(attempt_id, answers) {
+    try {
+      return await this.stepAttemptRepository.createMany(
+        answers.map((a) => ({ ...a, attempt_id }))
+      );
+    } catch (error) {
+      throw wrapError(error, `Failed to record answers for attempt ${attempt_id}`);
+    }
+  }
+
+  /**
+   * Delete a step attempt by its ID.
+   * @async
+   * @param {number} id - The step attempt ID.
+   * @returns {Promise<boolean>} True if deleted successfully, false otherwise.
+   * @throws {Error} If deletion fails.
+   * @example
+   * const success = await stepAttemptService.deleteStepAttempt(5);
+   */
+  async deleteStepAttempt(id) {
+    try {
+      return await this.stepAttemptRepository.delete(id);
+    } catch (error) {
+      throw wrapError(error, `Failed to delete step attempt with id ${id}`);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import UserBadgeDTO from '../domain/dto/UserBadgeDTO.js';
+import { ConflictError, wrapError } from '../utils/error.js';
 
 /**
  * Service layer for managing user badges.
@@ -11,7 +12,7 @@ import UserBadgeDTO from '../domain/dto/UserBadgeDTO.js';
 export class UserBadgeService {
   /**
    * Creates an instance of UserBadgeService.
-   * @param {import('../domain/repositories/UserBadgeRepository.js').UserBadgeRepository} userBadgeRepository - Repository for managing user badge data.
+   * @param {import('../domain/repositories/mysql/UserBadgeRepository.js').UserBadgeRepository} userBadgeRepository - Repository for managing user badge data.
    */
   constructor(userBadgeRepository) {
     this.userBadgeRepository = userBadgeRepository;
@@ -31,7 +32,7 @@ export class UserBadgeService {
       const badges = await this.userBadgeRepository.findAll();
       return badges.map(UserBadgeDTO.fromEntity);
     } catch (error) {
-      throw new Error('Failed to list user badges: ' + error.message);
+      throw wrapError(error, 'Failed to list user badges');
     }
   }
 
@@ -62,7 +63,25 @@ export class UserBadgeService {
       const badges = await this.userBadgeRepository.findByUser(user_id);
       return badges.map(UserBadgeDTO.fromEntity);
     } catch (error) {
-      throw new Error(`Failed to get badges for user ${user_id}: ${error.message}`);
+      throw wrapError(error, `Failed to get badges for user ${user_id}`);
+    }
+  }
+
+  /**
+   * Retrieve a user badge record by its ID.
+   * @async
+   * @param {number} user_badge_id - The user badge ID.
+   * @returns {Promise<UserBadgeDTO|null>} The user badge DTO, or null if not found.
+   * @throws {Error} If retrieval fails.
+   * @example
+   * const userBadge = await userBadgeService.getUserBadgeById(3);
+   */
+  async getUserBadgeById(user_badge_id) {
+    try {
+      const badge = await this.userBadgeRepository.findById(user_badge_id);
+      return badge ? UserBadgeDTO.fromEntity(badge) : null;
+    } catch (error) {
+      throw wrapError(error, `Failed to get user badge with id ${user_badge_id}`);
     }
   }
 
@@ -81,7 +100,7 @@ export class UserBadgeService {
       const badge = await this.userBadgeRepository.findByUserAndBadge(user_id, badge_id);
       return badge ? UserBadgeDTO.fromEntity(badge) : null;
     } catch (error) {
-      throw new Error(`Failed to get badge ${badge_id} for user ${user_id}: ${error.message}`);
+      throw wrapError(error, `Failed to get badge ${badge_id} for user ${user_id}`);
     }
   }
 
@@ -93,6 +112,7 @@ export class UserBadgeService {
    * @param {number} data.badge_id - The badge ID.
    * @param {Date} [data.earned_at] - Optional timestamp for when the badge was earned.
    * @returns {Promise<UserBadgeDTO>} The created user badge DTO.
+   * @throws {AppError} 409 if the user already holds the badge.
    * @throws {Error} If creation fails.
    * @example
    * const newBadge = await userBadgeService.createUserBadge({ user_id: 3, badge_id: 5 });
@@ -102,7 +122,10 @@ export class UserBadgeService {
       const badge = await this.userBadgeRepository.create(data);
       return UserBadgeDTO.fromEntity(badge);
     } catch (error) {
-      throw new Error('Failed to create user badge: ' + error.message);
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new ConflictError('User already has this badge', 'BADGE_ALREADY_AWARDED');
+      }
+      throw wrapError(error, 'Failed to create user badge');
     }
   }
 
@@ -119,7 +142,7 @@ export class UserBadgeService {
     try {
       return await this.userBadgeRepository.delete(user_badge_id);
     } catch (error) {
-      throw new Error(`Failed to delete user badge with id ${user_badge_id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete user badge with id ${user_badge_id}`);
     }
   }
 }
@@ -13,7 +13,7 @@ import UserLevelDTO from "../domain/dto/UserLevelDTO.js";
 export class UserLevelService {
   /**
    * Creates an instance of UserLevelService.
-   * @param {import("../domain/repositories/UserLevelRepository.js").UserLevelRepository} userLevelRepository - Repository managing user-level data.
+   * @param {import("../domain/repositories/mysql/UserLevelRepository.js").UserLevelRepository} userLevelRepository - Repository managing user-level data.
    */
   constructor(userLevelRepository) {
     this.userLevelRepository = userLevelRepository;
@@ -1,34 +1,89 @@
 import bcrypt from "bcrypt";
 import UserDTO from "../domain/dto/UserDTO.js";
-import { signAccess } from "../utils/jwt.js";
+import { JWT_EXPIRES_IN } from "../utils/jwt.js";
+import { DEFAULT_ROLE } from "../utils/permissions.js";
+import {
+  AppError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  wrapError,
+} from "../utils/error.js";
+import { passwordResetEmail, verificationEmail } from "../mail/templates.js";
+import {
+  EMAIL_VERIFICATION_TTL_HOURS,
+  PASSWORD_RESET_TTL_MINUTES,
+  TOKEN_PURPOSES,
+} from "./AccountTokenService.js";
+
+/**
+ * Base URL of the web app, used to build the links in emails.
+ * @type {string}
+ */
+const APP_URL = (process.env.APP_URL || "http://localhost:5173").replace(/\/$/, "");
 
 /**
  * Service layer for user management and authentication.
  *
- * Handles registration, login, and administrative user management.
- * It performs password hashing, token generation, and converts
- * database entities into DTOs (`UserDTO`).
+ * Handles registration, email verification, login, logout, password resets
+ * and administrative user management. It performs password hashing,
+ * delegates token issuing and revocation to `AuthSessionService` and
+ * `AccountTokenService`, sends account emails through the mailer, and
+ * converts database entities into DTOs (`UserDTO`).
  *
  * @class UserService
  */
 export class UserService {
   /**
    * Creates an instance of UserService.
-   * @param {import("../domain/repositories/UserRepository.js").UserRepository} userRepository - Repository managing user data.
+   * @param {import("../domain/repositories/mysql/UserRepository.js").UserRepository} userRepository - Repository managing user data.
+   * @param {import("./AuthSessionService.js").AuthSessionService} authSessionService - Service managing login sessions and refresh tokens.
+   * @param {import("./AccountTokenService.js").AccountTokenService} accountTokenService - Service managing email verification and password reset tokens.
+   * @param {import("../mail/createMailer.js").Mailer} mailer - Sends account emails.
+   * @param {import("./LoginThrottleService.js").LoginThrottleService} loginThrottle - Counts failed logins and enforces lockouts.
    */
-  constructor(userRepository) {
+  constructor(userRepository, authSessionService, accountTokenService, mailer, loginThrottle) {
     this.userRepository = userRepository;
+    this.authSessionService = authSessionService;
+    this.accountTokenService = accountTokenService;
+    this.mailer = mailer;
+    this.loginThrottle = loginThrottle;
+  }
+
+  /**
+   * Email a user a fresh verification link.
+   * @private
+   * @param {import("../domain/entities/UserEntity.js").default} user
+   * @returns {Promise<void>}
+   */
+  async _sendVerificationEmail(user) {
+    const token = await this.accountTokenService.issue(
+      user.user_id,
+      TOKEN_PURPOSES.VERIFY_EMAIL,
+      EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+    );
+    await this.mailer.send(
+      verificationEmail({
+        to: user.email,
+        name: user.full_name,
+        link: `${APP_URL}/verify-email?token=${token}`,
+        ttlHours: EMAIL_VERIFICATION_TTL_HOURS,
+      })
+    );
   }
 
   /**
    * Register a new user.
-   * Hashes the password before saving and sets a default role (`user`).
+   * Hashes the password before saving. Self-registered accounts always get
+   * the default `learner` role; any `role` in the data is ignored. The new
+   * account cannot log in until its email address is verified through the
+   * link emailed here.
    * @async
    * @param {object} data - User registration data.
    * @param {string} data.full_name - Full name of the user.
    * @param {string} data.email - Email address.
    * @param {string} data.password - Plain text password.
-   * @param {string} [data.role="user"] - Optional role (e.g., "admin").
    * @returns {Promise<UserDTO>} The newly registered user DTO.
    * @throws {Error} If email already exists or creation fails.
    * @example
@@ -40,46 +95,283 @@ export class UserService {
    */
   async register(data) {
     const existing = await this.userRepository.findByEmail(data.email);
-    if (existing) throw new Error("Email already in use");
+    if (existing) throw new ConflictError("Email already in use", "EMAIL_TAKEN");
 
     const hashedPassword = await bcrypt.hash(data.password, 10);
 
-    // Default role = 'user' unless explicitly set (e.g., admin creating another admin)
     const user = await this.userRepository.create({
       ...data,
       password: hashedPassword,
-      role: data.role || "user",
+      role: DEFAULT_ROLE,
     });
 
+    try {
+      await this._sendVerificationEmail(user);
+    } catch (error) {
+      // The account exists either way; the user can ask for a new link.
+      console.error("Verification email failed:", error.message);
+    }
+
     return UserDTO.fromEntity(user);
   }
 
   /**
-   * Authenticate a user and generate an access token.
-   * Verifies email and password, then signs a JWT token with role information.
+   * Email a new verification link, replacing any earlier one.
+   * Does nothing for unknown or already verified addresses, so the response
+   * does not reveal which emails have accounts.
+   * @async
+   * @param {string} email - The address to verify.
+   * @returns {Promise<void>}
+   * @throws {Error} If the token cannot be issued or the email cannot be sent.
+   * @example
+   * await userService.resendVerification("jane@example.com");
+   */
+  async resendVerification(email) {
+    const user = await this.userRepository.findByEmail(email);
+    if (!user || user.email_verified_at) return;
+    await this._sendVerificationEmail(user);
+  }
+
+  /**
+   * Verify an email address with the token from the verification link.
+   * @async
+   * @param {string} token - The token from the link.
+   * @returns {Promise<UserDTO>} The verified user.
+   * @throws {AppError} 400 if the token is invalid, expired or already used.
+   * @example
+   * const user = await userService.verifyEmail(req.body.token);
+   */
+  async verifyEmail(token) {
+    const userId = await this.accountTokenService.consume(token, TOKEN_PURPOSES.VERIFY_EMAIL);
+    await this.userRepository.markEmailVerified(userId);
+    return UserDTO.fromEntity(await this.userRepository.findById(userId));
+  }
+
+  /**
+   * Email a password reset link, replacing any earlier one.
+   * Does nothing for unknown addresses, so the response does not reveal
+   * which emails have accounts.
+   * @async
+   * @param {string} email - The account's email address.
+   * @returns {Promise<void>}
+   * @throws {Error} If the token cannot be issued or the email cannot be sent.
+   * @example
+   * await userService.forgotPassword("jane@example.com");
+   */
+  async forgotPassword(email) {
+    const user = await this.userRepository.findByEmail(email);
+    if (!user) return;
+
+    const token = await this.accountTokenService.issue(
+      user.user_id,
+      TOKEN_PURPOSES.RESET_PASSWORD,
+      PASSWORD_RESET_TTL_MINUTES * 60 * 1000
+    );
+    await this.mailer.send(
+      passwordResetEmail({
+        to: user.email,
+        name: user.full_name,
+        link: `${APP_URL}/reset-password?token=${token}`,
+        ttlMinutes: PASSWORD_RESET_TTL_MINUTES,
+      })
+    );
+  }
+
+  /**
+   * Set a new password with the token from a password reset link.
+   * Every session of the user is revoked, and the email address counts as
+   * verified since the link was received there.
+   * @async
+   * @param {string} token - The token from the link.
+   * @param {string} password - The new plain text password.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if the token is invalid, expired or already used.
+   * @example
+   * await userService.resetPassword(req.body.token, req.body.password);
+   */
+  async resetPassword(token, password) {
+    const userId = await this.accountTokenService.consume(token, TOKEN_PURPOSES.RESET_PASSWORD);
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await this.userRepository.update(userId, { password: hashedPassword });
+    await this.userRepository.markEmailVerified(userId);
+    await this.authSessionService.revokeAll(userId);
+  }
+
+  /**
+   * Authenticate a user and open a login session.
+   * Verifies email and password, then issues a short-lived access token
+   * (with role and session ID) and a refresh token. Failed attempts count
+   * towards a lockout of the account and of the client's IP address.
    * @async
    * @param {string} email - The user's email.
    * @param {string} password - The user's plain text password.
-   * @returns {Promise<{user: UserDTO, token: string}>} Authenticated user data and access token.
-   * @throws {Error} If authentication fails.
+   * @param {string|null} [userAgent] - The client's user agent, stored with the session.
+   * @param {string|null} [ip] - The client's IP address, for brute-force protection.
+   * @returns {Promise<{user: UserDTO, token: string, refresh_token: string, expires_in: string}>} Authenticated user data and tokens.
+   * @throws {import("../utils/error.js").TooManyRequestsError} 429 while the account or IP address is locked out.
+   * @throws {AppError} 401 for a wrong email or password; 403 if the email address is not verified yet.
    * @example
-   * const { user, token } = await userService.login("jane@example.com", "securePass123");
+   * const { user, token, refresh_token } = await userService.login("jane@example.com", "securePass123");
    */
-  async login(email, password) {
+  async login(email, password, userAgent = null, ip = null) {
+    await this.loginThrottle.assertAllowed(email, ip);
+
     const user = await this.userRepository.findByEmail(email);
-    if (!user) throw new Error("Invalid email or password");
+    const match = user ? await bcrypt.compare(password, user.password) : false;
+    if (!match) await this.loginThrottle.recordFailure(email, ip);
+    await this.loginThrottle.assertAllowed(email, ip);
+    if (!match) {
+      throw new UnauthorizedError("Invalid email or password", "INVALID_CREDENTIALS");
+    }
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) throw new Error("Invalid email or password");
+    await this.loginThrottle.recordSuccess(email);
+    if (!user.email_verified_at) {
+      throw new ForbiddenError("Please verify your email address before logging in", "EMAIL_NOT_VERIFIED");
+    }
 
-    // Include role in token payload
-    const token = signAccess({ sub: user.user_id, role: user.role });
+    const tokens = await this.authSessionService.start(user, userAgent);
     return {
       user: UserDTO.fromEntity(user),
-      token,
+      ...tokens,
+      expires_in: JWT_EXPIRES_IN,
     };
   }
 
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * The new access token carries the user's current role.
+   * @async
+   * @param {string} refreshToken - The refresh token from the last login or refresh.
+   * @returns {Promise<{token: string, refresh_token: string, expires_in: string}>} The new tokens.
+   * @throws {import("../utils/error.js").AppError} 401 if the token is invalid, expired, reused or revoked.
+   * @example
+   * const { token, refresh_token } = await userService.refresh(oldRefreshToken);
+   */
+  async refresh(refreshToken) {
+    const tokens = await this.authSessionService.refresh(refreshToken, (id) =>
+      this.userRepository.findById(id)
+    );
+    return { ...tokens, expires_in: JWT_EXPIRES_IN };
+  }
+
+  /**
+   * Log out one device by revoking the session of its refresh token.
+   * @async
+   * @param {string} refreshToken - The device's refresh token.
+   * @returns {Promise<void>}
+   * @throws {Error} If revocation fails.
+   * @example
+   * await userService.logout(refresh_token);
+   */
+  async logout(refreshToken) {
+    await this.authSessionService.revokeByRefreshToken(refreshToken);
+  }
+
+  /**
+   * Log out all devices of a user by revoking every session.
+   * @async
+   * @param {number} userId - The user ID.
+   * @returns {Promise<{revoked: number}>} Number of sessions revoked.
+   * @throws {Error} If revocation fails.
+   * @example
+   * const { revoked } = await userService.logoutAll(4);
+   */
+  async logoutAll(userId) {
+    const revoked = await this.authSessionService.revokeAll(userId);
+    return { revoked };
+  }
+
+  // -------------------------------------------------------------
+  // 🙋 Self-service methods (the signed-in user's own account)
+  // -------------------------------------------------------------
+
+  /**
+   * Load a user and check their current password.
+   * @private
+   * @param {number} userId - The user ID.
+   * @param {string} password - The plain text password to check.
+   * @returns {Promise<import("../domain/entities/UserEntity.js").default>} The user.
+   * @throws {AppError} 404 if the account no longer exists; 400 if the password is wrong.
+   */
+  async _confirmPassword(userId, password) {
+    const user = await this.userRepository.findById(userId);
+    if (!user) throw new NotFoundError("Account not found");
+    if (!(await bcrypt.compare(password, user.password))) {
+      throw new AppError("Current password is incorrect", 400, "WRONG_PASSWORD");
+    }
+    return user;
+  }
+
+  /**
+   * Get the signed-in user's own account.
+   * @async
+   * @param {number} userId - The user ID from the access token.
+   * @returns {Promise<UserDTO|null>} The user, or null if the account no longer exists.
+   * @example
+   * const me = await userService.getProfile(req.user.id);
+   */
+  async getProfile(userId) {
+    return UserDTO.fromEntity(await this.userRepository.findById(userId));
+  }
+
+  /**
+   * Update the signed-in user's own profile. Only the name can be changed
+   * here; email and role changes go through an admin.
+   * @async
+   * @param {number} userId - The user ID from the access token.
+   * @param {object} data
+   * @param {string} data.full_name - The new full name.
+   * @returns {Promise<UserDTO|null>} The updated user, or null if the account no longer exists.
+   * @throws {Error} If the update fails.
+   * @example
+   * const me = await userService.updateProfile(req.user.id, { full_name: "Jane Q. Doe" });
+   */
+  async updateProfile(userId, { full_name }) {
+    try {
+      const user = await this.userRepository.update(userId, { full_name });
+      return UserDTO.fromEntity(user);
+    } catch (error) {
+      throw wrapError(error, "Failed to update profile");
+    }
+  }
+
+  /**
+   * Change the signed-in user's password after confirming the current one.
+   * Every other device is logged out; the session making the change stays
+   * signed in.
+   * @async
+   * @param {number} userId - The user ID from the access token.
+   * @param {string} sessionId - The caller's session ID (`sid` of the access token).
+   * @param {string} currentPassword - The current plain text password.
+   * @param {string} newPassword - The new plain text password.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if the current password is wrong; 404 if the account no longer exists.
+   * @example
+   * await userService.changePassword(req.user.id, req.user.sid, "oldSecret", "newSecret123");
+   */
+  async changePassword(userId, sessionId, currentPassword, newPassword) {
+    await this._confirmPassword(userId, currentPassword);
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+    await this.userRepository.update(userId, { password: hashedPassword });
+    await this.authSessionService.revokeOthers(userId, sessionId);
+  }
+
+  /**
+   * Delete the signed-in user's account after confirming their password,
+   * along with their attempts, level progress and badges.
+   * @async
+   * @param {number} userId - The user ID from the access token.
+   * @param {string} password - The current plain text password.
+   * @returns {Promise<void>}
+   * @throws {AppError} 400 if the password is wrong; 404 if the account no longer exists.
+   * @example
+   * await userService.deleteAccount(req.user.id, req.body.password);
+   */
+  async deleteAccount(userId, password) {
+    await this._confirmPassword(userId, password);
+    await this.userRepository.delete(userId);
+  }
+
   // -------------------------------------------------------------
   // 🔒 Admin-only methods
   // -------------------------------------------------------------
@@ -97,7 +389,7 @@ export class UserService {
       const users = await this.userRepository.findAll();
       return users.map(UserDTO.fromEntity);
     } catch (error) {
-      throw new Error("Failed to list users: " + error.message);
+      throw wrapError(error, "Failed to list users");
     }
   }
 
@@ -115,7 +407,7 @@ export class UserService {
       const user = await this.userRepository.findById(id);
       return user ? UserDTO.fromEntity(user) : null;
     } catch (error) {
-      throw new Error(`Failed to get user with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to get user with id ${id}`);
     }
   }
 
@@ -133,19 +425,20 @@ export class UserService {
       const user = await this.userRepository.findByEmail(email);
       return user ? UserDTO.fromEntity(user) : null;
     } catch (error) {
-      throw new Error(`Failed to get user with email ${email}: ${error.message}`);
+      throw wrapError(error, `Failed to get user with email ${email}`);
     }
   }
 
   /**
    * Create a new user (admin only).
-   * Automatically hashes the password before saving.
+   * Automatically hashes the password before saving. The email address is
+   * taken as verified, since an admin vouches for it.
    * @async
    * @param {object} data - User creation data.
    * @param {string} data.full_name - Full name.
    * @param {string} data.email - Email address.
    * @param {string} data.password - Plain text password.
-   * @param {string} [data.role="user"] - Optional role.
+   * @param {string} [data.role="learner"] - Optional role.
    * @returns {Promise<UserDTO>} The created user DTO.
    * @throws {Error} If creation fails.
    * @example
@@ -162,11 +455,12 @@ export class UserService {
       const user = await this.userRepository.create({
         ...data,
         password: hashedPassword,
-        role: data.role || "user",
+        role: data.role || DEFAULT_ROLE,
       });
-      return UserDTO.fromEntity(user);
+      await this.userRepository.markEmailVerified(user.user_id);
+      return UserDTO.fromEntity(await this.userRepository.findById(user.user_id));
     } catch (error) {
-      throw new Error("Failed to create user: " + error.message);
+      throw wrapError(error, "Failed to create user");
     }
   }
 
@@ -194,12 +488,28 @@ export class UserService {
       const user = await this.userRepository.update(id, updatedData);
       return user ? UserDTO.fromEntity(user) : null;
     } catch (error) {
-      throw new Error(`Failed to update user with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to update user with id ${id}`);
     }
   }
 
   /**
-   * Delete a user record by ID.
+   * Lift a login lockout on a user's account (admin only).
+   * @async
+   * @param {number} id - The user ID.
+   * @param {number} actorId - ID of the admin performing the unlock.
+   * @returns {Promise<{unlocked: boolean}|null>} Whether the account was locked out, or null if the user does not exist.
+   * @throws {Error} If the unlock cannot be recorded.
+   * @example
+   * const result = await userService.unlockLogin(4, req.user.id);
+   */
+  async unlockLogin(id, actorId) {
+    const user = await this.userRepository.findById(id);
+    if (!user) return null;
+    return this.loginThrottle.unlock(user.email, actorId);
+  }
+
+  /**
+   * Delete a user record by ID, along with their progress and sessions.
    * @async
    * @param {number} id - The user ID.
    * @returns {Promise<boolean>} True if deleted successfully, false otherwise.
@@ -211,7 +521,7 @@ export class UserService {
     try {
       return await this.userRepository.delete(id);
     } catch (error) {
-      throw new Error(`Failed to delete user with id ${id}: ${error.message}`);
+      throw wrapError(error, `Failed to delete user with id ${id}`);
     }
   }
 }
@@ -0,0 +1,81 @@
+/**
+ * Login attempt store that keeps records in process memory.
+ *
+ * Good for a single API instance. Records are lost on restart and are not
+ * shared between instances; run several instances behind a load balancer
+ * with a shared backend (e.g. Redis) implementing the same three methods.
+ *
+ * Expired records are dropped when read, and swept every `sweepEvery` writes
+ * so keys that are never read again do not pile up.
+ *
+ * @class MemoryLoginAttemptStore
+ * @implements {import("../services/LoginThrottleService.js").LoginAttemptStore}
+ */
+export class MemoryLoginAttemptStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.sweepEvery=1000] - Writes between two sweeps of expired records.
+   */
+  constructor({ sweepEvery = 1000 } = {}) {
+    /** @type {Map<string, {value: object, expiresAt: number}>} */
+    this.records = new Map();
+    this.sweepEvery = sweepEvery;
+    this.writes = 0;
+  }
+
+  /**
+   * Read a record.
+   * @async
+   * @param {string} key
+   * @returns {Promise<import("../services/LoginThrottleService.js").LoginAttemptRecord|null>}
+   */
+  async get(key) {
+    const entry = this.records.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.records.delete(key);
+      return null;
+    }
+    return { ...entry.value };
+  }
+
+  /**
+   * Read, change and write a record in one step. Nothing awaits between the
+   * read and the write, so concurrent updates of a key cannot interleave.
+   * @async
+   * @param {string} key
+   * @param {(current: import("../services/LoginThrottleService.js").LoginAttemptRecord|null) => {value: import("../services/LoginThrottleService.js").LoginAttemptRecord, ttlMs: number}} change
+   * @returns {Promise<import("../services/LoginThrottleService.js").LoginAttemptRecord>} The written record.
+   */
+  async update(key, change) {
+    const entry = this.records.get(key);
+    const current = entry && entry.expiresAt > Date.now() ? { ...entry.value } : null;
+    const { value, ttlMs } = change(current);
+    this.records.set(key, { value: { ...value }, expiresAt: Date.now() + ttlMs });
+    if (++this.writes % this.sweepEvery === 0) this._sweep();
+    return { ...value };
+  }
+
+  /**
+   * Delete a record.
+   * @async
+   * @param {string} key
+   * @returns {Promise<boolean>} True if a live record existed.
+   */
+  async delete(key) {
+    const existed = (await this.get(key)) !== null;
+    this.records.delete(key);
+    return existed;
+  }
+
+  /**
+   * Drop every expired record.
+   * @private
+   */
+  _sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.records) {
+      if (entry.expiresAt <= now) this.records.delete(key);
+    }
+  }
+}
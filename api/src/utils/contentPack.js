@@ -0,0 +1,304 @@
+/**
+ * Content packs: one level with its badge, scenarios and steps, in a form
+ * that can be moved from one database to another.
+ *
+ * Records are named by slug (see `slug.js`) rather than by ID: branches
+ * point at step slugs, prerequisites at level slugs. A step's `step_order`
+ * is its position in the list. Packs are written as JSON or YAML:
+ *
+ * ```yaml
+ * format: simaid-content-pack
+ * version: 1
+ * level:
+ *   slug: basics
+ *   title: Basics
+ *   difficulty_order: 1
+ *   prerequisites: []
+ *   badge: { name: First Responder, icon_url: /assets/badge1.jpg }
+ *   scenarios:
+ *     - slug: collapse-at-the-office
+ *       title: Collapse at the Office
+ *       steps:
+ *         - slug: step-1
+ *           question_text: Is the area safe?
+ *           type: true_false
+ *           answer: true
+ *           branches: { incorrect: end }
+ * ```
+ */
+import { isDeepStrictEqual } from "node:util";
+import YAML from "yaml";
+import { ValidationError } from "./error.js";
+import { completionRuleProblem } from "./levelProgression.js";
+import { DEFAULT_QUESTION_TYPE, QUESTION_TYPES, validateStepContent } from "./questionTypes.js";
+import { BRANCH_END, OUTCOME_KEYS, branchOptionKeys, findBranchProblems } from "./scenarioBranching.js";
+import { isSlug } from "./slug.js";
+
+/**
+ * Value of a pack's `format` field.
+ * @type {string}
+ */
+export const CONTENT_PACK_FORMAT = "simaid-content-pack";
+
+/**
+ * Pack version this API reads and writes.
+ * @type {number}
+ */
+export const CONTENT_PACK_VERSION = 1;
+
+/**
+ * Serializations a pack can be exported in.
+ * @type {string[]}
+ */
+export const CONTENT_PACK_TYPES = ["json", "yaml"];
+
+/**
+ * Fields whose values differ, as `{ field: { from, to } }`. Only the fields
+ * of `next` are compared; a missing current value counts as null.
+ *
+ * @function diffFields
+ * @param {object} current
+ * @param {object} next
+ * @returns {Object<string, {from: *, to: *}>|null} Null when nothing differs.
+ */
+export function diffFields(current, next) {
+  const changes = {};
+  for (const [field, to] of Object.entries(next)) {
+    const from = current[field] ?? null;
+    if (!isDeepStrictEqual(from, to)) changes[field] = { from, to };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+/**
+ * Replace the targets of a branch map using `lookup`; targets it does not
+ * know, and `"end"`, are kept as they are. Turns step IDs into slugs on
+ * export and back on import.
+ *
+ * @function mapBranches
+ * @param {Object<string, *>|null} branches
+ * @param {Map<*, *>} lookup
+ * @returns {Object<string, *>|null}
+ */
+export function mapBranches(branches, lookup) {
+  if (!branches) return null;
+  return Object.fromEntries(
+    Object.entries(branches).map(([key, target]) => [
+      key,
+      target === BRANCH_END ? target : lookup.get(target) ?? lookup.get(Number(target)) ?? target,
+    ])
+  );
+}
+
+const SLUG_MESSAGE = "must be lowercase letters and digits separated by single dashes (at most 100 characters)";
+
+/** @param {*} value @returns {boolean} */
+const isPlainObject = (value) => value !== null && typeof value === "object" && !Array.isArray(value);
+
+/** @param {*} value @param {number} min @param {number} max @returns {boolean} */
+const isText = (value, min, max) =>
+  typeof value === "string" && value.trim().length >= min && value.length <= max;
+
+/** @param {*} value @returns {boolean} */
+const isOptionalText = (value) => value == null || typeof value === "string";
+
+/**
+ * Read a pack sent as text (JSON is valid YAML, so one parser reads both)
+ * or already parsed by `express.json()`.
+ *
+ * @function parseContentPack
+ * @param {string|object} input - Request body.
+ * @returns {object} The pack, not yet validated.
+ * @throws {ValidationError} When the text is neither JSON nor YAML.
+ */
+export function parseContentPack(input) {
+  if (typeof input !== "string") return input;
+  try {
+    return YAML.parse(input);
+  } catch (error) {
+    const message = `Content pack is not valid JSON or YAML: ${error.message}`;
+    throw new ValidationError(message, [{ field: "body", location: "body", message }]);
+  }
+}
+
+/**
+ * Write a pack as JSON or YAML.
+ *
+ * @function serializeContentPack
+ * @param {object} pack
+ * @param {"json"|"yaml"} [type="json"]
+ * @returns {string}
+ */
+export function serializeContentPack(pack, type = "json") {
+  return type === "yaml" ? YAML.stringify(pack) : `${JSON.stringify(pack, null, 2)}\n`;
+}
+
+/**
+ * Check the steps of one scenario: their fields, that slugs are unique, and
+ * that the branches name steps of the same scenario and form a graph every
+ * run can finish.
+ * @param {Array<*>} steps
+ * @param {string} path - Field path of the steps list, e.g. `level.scenarios[0].steps`.
+ * @param {(field: string, message: string) => void} report - Records a problem.
+ */
+function checkSteps(steps, path, report) {
+  const slugs = steps.map((s) => s?.slug);
+  let valid = true;
+  const problem = (field, message) => {
+    valid = false;
+    report(field, message);
+  };
+
+  steps.forEach((step, i) => {
+    const at = `${path}[${i}]`;
+    if (!isPlainObject(step)) return problem(at, "step must be an object");
+
+    if (!isSlug(step.slug)) problem(`${at}.slug`, `slug ${SLUG_MESSAGE}`);
+    else if (slugs.indexOf(step.slug) !== i) problem(`${at}.slug`, `slug "${step.slug}" is used by another step`);
+
+    if (!isText(step.question_text, 5, 65535)) {
+      problem(`${at}.question_text`, "question_text must be at least 5 characters long");
+    }
+    if (!isOptionalText(step.feedback_message)) {
+      problem(`${at}.feedback_message`, "feedback_message must be a string");
+    }
+
+    const type = step.type ?? DEFAULT_QUESTION_TYPE;
+    if (!QUESTION_TYPES.includes(type)) {
+      problem(`${at}.type`, `type must be one of: ${QUESTION_TYPES.join(", ")}`);
+      return;
+    }
+    const content = validateStepContent(type, step.options ?? null, step.answer);
+    if (content) problem(`${at}.${/^(\w+ )?answer\b/.test(content) ? "answer" : "options"}`, content);
+
+    if (step.branches == null) return;
+    if (!isPlainObject(step.branches)) return problem(`${at}.branches`, "branches must be an object or null");
+    const allowed = [...branchOptionKeys({ type, options: step.options }), ...OUTCOME_KEYS];
+    for (const [key, target] of Object.entries(step.branches)) {
+      if (!allowed.includes(key)) {
+        problem(`${at}.branches.${key}`, `branch keys must be one of: ${allowed.join(", ")}`);
+      } else if (target !== BRANCH_END && !slugs.includes(target)) {
+        problem(`${at}.branches.${key}`, `branch target must be a step slug of this scenario or "${BRANCH_END}"`);
+      }
+    }
+  });
+
+  // The graph can only be walked once every step and branch is valid
+  if (!valid) return;
+
+  const graph = steps.map((s, i) => ({
+    step_id: i + 1,
+    step_order: i + 1,
+    type: s.type,
+    options: s.options,
+    answer: s.answer,
+    branches: s.branches
+      ? Object.fromEntries(
+          Object.entries(s.branches).map(([key, to]) => [key, to === BRANCH_END ? to : slugs.indexOf(to) + 1])
+        )
+      : null,
+  }));
+  const { cycle, orphans } = findBranchProblems(graph);
+  if (cycle) {
+    problem(path, `branches form a cycle: ${cycle.map((id) => slugs[id - 1]).join(" -> ")}`);
+  }
+  if (orphans.length) {
+    problem(path, `steps ${orphans.map((id) => slugs[id - 1]).join(", ")} cannot be reached from the first step`);
+  }
+}
+
+/**
+ * Check everything about a pack that does not depend on the database.
+ *
+ * Problems are reported like request validation failures, with the path of
+ * the offending field, e.g. `level.scenarios[0].steps[2].answer`.
+ *
+ * @function validateContentPack
+ * @param {*} pack - A parsed pack.
+ * @returns {Array<{field: string, location: string, message: string}>} Empty when the pack is valid.
+ *
+ * @example
+ * validateContentPack({ format: "simaid-content-pack", version: 2 });
+ * // [{ field: "version", location: "body", message: "version must be 1" }, ...]
+ */
+export function validateContentPack(pack) {
+  const problems = [];
+  const problem = (field, message) => problems.push({ field, location: "body", message });
+
+  if (!isPlainObject(pack)) {
+    problem("body", "content pack must be an object");
+    return problems;
+  }
+  if (pack.format !== CONTENT_PACK_FORMAT) problem("format", `format must be "${CONTENT_PACK_FORMAT}"`);
+  if (pack.version !== CONTENT_PACK_VERSION) problem("version", `version must be ${CONTENT_PACK_VERSION}`);
+
+  const level = pack.level;
+  if (!isPlainObject(level)) {
+    problem("level", "level must be an object");
+    return problems;
+  }
+
+  if (!isSlug(level.slug)) problem("level.slug", `slug ${SLUG_MESSAGE}`);
+  if (!isText(level.title, 1, 100)) problem("level.title", "title must be a string between 1–100 characters");
+  if (!isOptionalText(level.description)) problem("level.description", "description must be a string");
+  if (!(Number.isInteger(level.difficulty_order) && level.difficulty_order > 0)) {
+    problem("level.difficulty_order", "difficulty_order must be a positive integer");
+  }
+  if (
+    level.pass_threshold !== undefined &&
+    !(Number.isInteger(level.pass_threshold) && level.pass_threshold >= 0 && level.pass_threshold <= 100)
+  ) {
+    problem("level.pass_threshold", "pass_threshold must be an integer between 0 and 100");
+  }
+  if (level.completion_rule !== undefined) {
+    const rule = completionRuleProblem(level.completion_rule);
+    if (rule) problem("level.completion_rule", rule);
+  }
+
+  if (level.prerequisites !== undefined) {
+    if (!Array.isArray(level.prerequisites)) {
+      problem("level.prerequisites", "prerequisites must be an array of level slugs");
+    } else {
+      level.prerequisites.forEach((req, i) => {
+        if (!isSlug(req)) problem(`level.prerequisites[${i}]`, "each prerequisite must be a level slug");
+        else if (req === level.slug) problem(`level.prerequisites[${i}]`, "a level cannot be its own prerequisite");
+      });
+    }
+  }
+
+  if (level.badge != null) {
+    const badge = level.badge;
+    if (!isPlainObject(badge)) {
+      problem("level.badge", "badge must be an object or null");
+    } else {
+      if (!isText(badge.name, 1, 100)) problem("level.badge.name", "name must be a string between 1-100 characters");
+      if (!isOptionalText(badge.description)) problem("level.badge.description", "description must be a string");
+      if (!isOptionalText(badge.icon_url)) problem("level.badge.icon_url", "icon_url must be a string");
+    }
+  }
+
+  const scenarios = level.scenarios ?? [];
+  if (!Array.isArray(scenarios)) {
+    problem("level.scenarios", "scenarios must be an array");
+    return problems;
+  }
+  const scenarioSlugs = scenarios.map((s) => s?.slug);
+  scenarios.forEach((scenario, i) => {
+    const at = `level.scenarios[${i}]`;
+    if (!isPlainObject(scenario)) return problem(at, "scenario must be an object");
+
+    if (!isSlug(scenario.slug)) problem(`${at}.slug`, `slug ${SLUG_MESSAGE}`);
+    else if (scenarioSlugs.indexOf(scenario.slug) !== i) {
+      problem(`${at}.slug`, `slug "${scenario.slug}" is used by another scenario`);
+    }
+    if (!isText(scenario.title, 1, 255)) problem(`${at}.title`, "title must be a string between 1–255 characters");
+    if (!isOptionalText(scenario.description)) problem(`${at}.description`, "description must be a string");
+    if (!isOptionalText(scenario.image_url)) problem(`${at}.image_url`, "image_url must be a string");
+
+    const steps = scenario.steps ?? [];
+    if (!Array.isArray(steps)) return problem(`${at}.steps`, "steps must be an array");
+    checkSteps(steps, `${at}.steps`, problem);
+  });
+
+  return problems;
+}
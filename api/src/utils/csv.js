@@ -0,0 +1,64 @@
+/**
+ * CSV reading, as spreadsheets export it (RFC 4180): comma-separated
+ * cells, optionally in double quotes, where a quoted cell may hold commas,
+ * line breaks and doubled quotes (`""`). Lines end in LF or CRLF, and a
+ * leading byte order mark is ignored.
+ */
+
+/**
+ * Split CSV text into records.
+ *
+ * @function parseCsv
+ * @param {string} text
+ * @returns {string[][]} One array of cells per record; a trailing line break adds no record.
+ * @throws {Error} When a quoted cell is never closed.
+ *
+ * @example
+ * parseCsv('a,b\n1,"x, ""y"""\n'); // [["a", "b"], ["1", 'x, "y"']]
+ */
+export function parseCsv(text) {
+  const src = String(text ?? "").replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let cell = "";
+  let quoted = false;
+  let i = 0;
+
+  const endCell = () => {
+    record.push(cell);
+    cell = "";
+  };
+  const endRecord = () => {
+    endCell();
+    records.push(record);
+    record = [];
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') quoted = false;
+      else cell += ch;
+      i += 1;
+      continue;
+    }
+
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === ",") endCell();
+    else if (ch === "\n") endRecord();
+    else if (ch === "\r" && src[i + 1] === "\n") {
+      endRecord();
+      i += 1;
+    } else cell += ch;
+    i += 1;
+  }
+
+  if (quoted) throw new Error(`Quoted cell in record ${records.length + 1} is never closed`);
+  if (cell !== "" || record.length) endRecord();
+  return records;
+}
@@ -1,23 +1,202 @@
+/**
+ * Machine-readable error code sent for each HTTP status when the thrower
+ * does not name a more specific one.
+ * @type {Readonly<Record<number, string>>}
+ */
+export const DEFAULT_ERROR_CODES = Object.freeze({
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  503: "SERVICE_UNAVAILABLE",
+});
+
 /**
  * Custom application error class for consistent error handling.
  *
- * Extends the native `Error` object to include an HTTP status code,
- * allowing services and controllers to throw meaningful errors that
- * can be handled uniformly by middleware (e.g., `errorHandler`).
+ * Extends the native `Error` object to include an HTTP status code and a
+ * stable machine-readable `code`, allowing services and controllers to throw
+ * meaningful errors that `errorHandler` turns into the API's error envelope:
+ *
+ * ```json
+ * { "error": true, "code": "NOT_FOUND", "message": "Level not found" }
+ * ```
+ *
+ * Prefer the subclasses below; use AppError directly for statuses they do
+ * not cover.
  *
  * @class AppError
  * @extends Error
  * @example
- * throw new AppError("User not found", 404);
+ * throw new AppError("This link has expired", 400, "TOKEN_EXPIRED");
  */
 export class AppError extends Error {
   /**
    * Creates a new AppError instance.
    * @param {string} message - Error message to describe what went wrong.
    * @param {number} [status=400] - HTTP status code (default: 400 Bad Request).
+   * @param {string} [code] - Machine-readable code; defaults to the one for `status`.
+   * @param {unknown} [details] - Extra data for the client, e.g. the fields that failed validation.
    */
-  constructor(message, status = 400) {
+  constructor(message, status = 400, code = DEFAULT_ERROR_CODES[status] ?? "ERROR", details) {
     super(message);
+    this.name = new.target.name;
     this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+/**
+ * Error for requests whose input failed validation (400).
+ *
+ * @class ValidationError
+ * @extends AppError
+ * @example
+ * throw new ValidationError("title is required", [{ field: "title", location: "body", message: "title is required" }]);
+ */
+export class ValidationError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {Array<{field: string, location: string, message: string}>} [details] - The failed fields.
+   * @param {string} [code="VALIDATION_FAILED"] - Machine-readable code.
+   */
+  constructor(message, details, code = "VALIDATION_FAILED") {
+    super(message, 400, code, details);
+  }
+
+  /**
+   * Builds the error from express-validator failures. The first failure
+   * becomes the message so clients that only show `message` stay useful.
+   * @param {Array<{path?: string, location?: string, msg: string}>} failures - `validationResult(req).array()`.
+   * @returns {ValidationError}
+   */
+  static fromExpressValidator(failures) {
+    const details = failures.map((f) => ({
+      field: f.path ?? null,
+      location: f.location ?? null,
+      message: String(f.msg),
+    }));
+    return new ValidationError(details[0]?.message ?? "Invalid request", details);
+  }
+}
+
+/**
+ * Error for requests without valid credentials (401).
+ *
+ * @class UnauthorizedError
+ * @extends AppError
+ * @example
+ * throw new UnauthorizedError("Session has been revoked", "SESSION_REVOKED");
+ */
+export class UnauthorizedError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} [code="UNAUTHORIZED"] - Machine-readable code.
+   */
+  constructor(message, code = "UNAUTHORIZED") {
+    super(message, 401, code);
+  }
+}
+
+/**
+ * Error for authenticated requests the user is not allowed to make (403).
+ *
+ * @class ForbiddenError
+ * @extends AppError
+ * @example
+ * throw new ForbiddenError("Missing permission: level:write", "MISSING_PERMISSION");
+ */
+export class ForbiddenError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} [code="FORBIDDEN"] - Machine-readable code.
+   */
+  constructor(message, code = "FORBIDDEN") {
+    super(message, 403, code);
   }
 }
+
+/**
+ * Error for a resource that does not exist (404).
+ *
+ * @class NotFoundError
+ * @extends AppError
+ * @example
+ * throw new NotFoundError("Level not found");
+ */
+export class NotFoundError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} [code="NOT_FOUND"] - Machine-readable code.
+   */
+  constructor(message, code = "NOT_FOUND") {
+    super(message, 404, code);
+  }
+}
+
+/**
+ * Error for a request that clashes with the current state of a resource,
+ * such as a duplicate or an out-of-turn action (409).
+ *
+ * @class ConflictError
+ * @extends AppError
+ * @example
+ * throw new ConflictError("User already has this badge", "BADGE_ALREADY_AWARDED");
+ */
+export class ConflictError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {string} [code="CONFLICT"] - Machine-readable code.
+   */
+  constructor(message, code = "CONFLICT") {
+    super(message, 409, code);
+  }
+}
+
+/**
+ * Error for requests refused because the client made too many of them.
+ *
+ * Carries how long the client should wait, for the `Retry-After` header.
+ *
+ * @class TooManyRequestsError
+ * @extends AppError
+ * @example
+ * throw new TooManyRequestsError("Too many failed login attempts", 120);
+ */
+export class TooManyRequestsError extends AppError {
+  /**
+   * @param {string} message - Error message.
+   * @param {number} retryAfter - Seconds until the client may try again.
+   * @param {string} [code="TOO_MANY_REQUESTS"] - Machine-readable code.
+   */
+  constructor(message, retryAfter, code = "TOO_MANY_REQUESTS") {
+    super(message, 429, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+/**
+ * Adds context to an error caught in a service.
+ *
+ * AppErrors are returned unchanged so their status and code reach the
+ * client. Anything else is an unexpected failure: it becomes a plain Error
+ * naming the operation, with the original kept as `cause` so the error
+ * handler can still recognise database errors such as duplicate keys.
+ *
+ * @param {unknown} error - The caught error.
+ * @param {string} message - What was being done, e.g. `Failed to list levels`.
+ * @returns {Error} The error to throw.
+ * @example
+ * } catch (error) {
+ *   throw wrapError(error, `Failed to get level with id ${id}`);
+ * }
+ */
+export function wrapError(error, message) {
+  if (error instanceof AppError) return error;
+  return new Error(`${message}: ${error?.message ?? error}`, { cause: error });
+}
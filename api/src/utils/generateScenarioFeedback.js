@@ -1,33 +1,87 @@
+import {
+  DEFAULT_QUESTION_TYPE,
+  canonicalAnswer,
+  isAnswerCorrect,
+  normalizeUserAnswer,
+} from "./questionTypes.js";
+import { orderSteps, resolveNextStep } from "./scenarioBranching.js";
+
+/**
+ * Normalize a raw answer to its canonical form for a step type
+ * (see `questionTypes.js`).
+ *
+ * @function normalizeAnswer
+ * @param {*} answer - The raw answer (e.g. `"a"`, `" B "`, `["c", "a"]`, `null`).
+ * @param {string} [type="multiple_choice"] - The step type the answer is for.
+ * @returns {string|null} The canonical answer, or null when nothing was picked.
+ *
+ * @example
+ * normalizeAnswer(" b ");                       // "B"
+ * normalizeAnswer(["c", "a"], "multi_select");  // "A,C"
+ * normalizeAnswer("");                          // null
+ */
+export function normalizeAnswer(answer, type = DEFAULT_QUESTION_TYPE) {
+  return normalizeUserAnswer(type, answer);
+}
+
+/**
+ * Check a single answer against a step's correct answer, according to the
+ * step's type. A missing answer is never correct.
+ *
+ * @function isCorrectAnswer
+ * @param {object} step - Scenario step with a `type` and an `answer` (or a legacy `correct_action`).
+ * @param {*} answer - The raw answer given by the user.
+ * @returns {boolean} True when the answer matches the step's answer.
+ *
+ * @example
+ * isCorrectAnswer({ correct_action: "A" }, "a"); // true
+ * isCorrectAnswer({ type: "ordering", answer: ["B", "A"] }, ["B", "A"]); // true
+ * isCorrectAnswer({ correct_action: "A" }, null); // false
+ */
+export function isCorrectAnswer(step, answer) {
+  return isAnswerCorrect(step, normalizeAnswer(answer, step.type));
+}
+
 /**
  * Generate detailed feedback and a summary score for a user's scenario attempt.
  *
- * Compares a user's answers to the correct answers for each step in a scenario,
- * calculates their total score, and returns both a step-by-step feedback breakdown
- * and an overall performance summary.
+ * This is the single place where a scenario run is scored: the one-shot submit
+ * endpoint and the session-based play flow both build their result from it.
+ *
+ * The run is replayed from the first step, following each step's branches
+ * (see `scenarioBranching.js`), so only the steps on the path the learner
+ * took are scored. Without branches that path is every step in `step_order`.
+ *
+ * Answers are keyed by `step_id`, so they stay with their step whatever
+ * the steps' order. Each answer may take any form accepted for that step's
+ * type; a step without one counts as unanswered.
  *
  * @function generateScenarioFeedback
- * @param {string[]} userAnswers - Array of user-selected answers (e.g. `["A", "C", "B", "D"]`).
- * @param {Array<Object>} steps - Array of scenario step objects.  
+ * @param {Object<string, *>} userAnswers - User answers by step ID (e.g. `{ "7": "A", "8": ["B", "D"], "9": true }`).
+ * @param {Array<Object>} steps - Array of scenario step objects.
  * Each step should contain:
- *   - `correct_action` {string} — The correct answer (e.g., `"A"`)
- *   - `feedback_message` {string} — Custom feedback for this step
+ *   - `step_id` {number} — The step’s ID
  *   - `step_order` {number} — The step’s order in the scenario
- *   - `instruction` {string} — The question or instruction text
+ *   - `question_text` {string} — The question or instruction text
+ *   - `type` {string} — The question type (defaults to `"multiple_choice"`)
+ *   - `answer` {*} — The correct answer for that type (or a legacy `correct_action`)
+ *   - `feedback_message` {string} — Custom feedback for this step
  * @returns {object} Feedback summary object containing:
- * - `total_questions` {number} — Total number of questions
+ * - `total_questions` {number} — Number of questions on the path taken
  * - `correct_answers` {number} — Number of correct responses
- * - `score` {number} — Score percentage (0–100)
+ * - `score` {number} — Score percentage (0–100, rounded)
+ * - `all_correct` {boolean} — Whether every question was answered correctly
  * - `summary` {string} — Overall performance message
- * - `steps_feedback` {Array<Object>} — Per-step feedback details
+ * - `steps_feedback` {Array<Object>} — Per-step feedback details (with the step's type and options), in path order
  *
- * @throws {Error} If `userAnswers` or `steps` is not an array.
+ * @throws {Error} If `steps` is not an array or `userAnswers` is not an object keyed by step ID.
  *
  * @example
- * const userAnswers = ["A", "C", "B"];
+ * const userAnswers = { 7: "A", 8: "C", 9: "B" };
  * const steps = [
- *   { step_order: 1, correct_action: "A", feedback_message: "Good job!", instruction: "Pick A" },
- *   { step_order: 2, correct_action: "B", feedback_message: "Try again!", instruction: "Pick B" },
- *   { step_order: 3, correct_action: "B", instruction: "Pick B" }
+ *   { step_id: 7, step_order: 1, correct_action: "A", feedback_message: "Good job!", question_text: "Pick A" },
+ *   { step_id: 8, step_order: 2, correct_action: "B", feedback_message: "Try again!", question_text: "Pick B" },
+ *   { step_id: 9, step_order: 3, correct_action: "B", question_text: "Pick B" }
  * ];
  *
  * const feedback = generateScenarioFeedback(userAnswers, steps);
@@ -35,23 +89,33 @@
  * console.log(feedback.summary); // "You're getting there — keep practicing!"
  */
 export function generateScenarioFeedback(userAnswers, steps) {
-  if (!Array.isArray(userAnswers) || !Array.isArray(steps)) {
+  if (!Array.isArray(steps) || userAnswers === null || typeof userAnswers !== "object" || Array.isArray(userAnswers)) {
     throw new Error("Invalid input to generateScenarioFeedback");
   }
 
-  const totalSteps = steps.length;
+  const ordered = orderSteps(steps);
+  const answerFor = (step) => userAnswers[step.step_id];
+
   let correctCount = 0;
+  const detailedFeedback = [];
 
-  const detailedFeedback = steps.map((step, index) => {
-    const userAnswer = (userAnswers[index] || "").toUpperCase();
-    const correctAnswer = (step.correct_action || "").toUpperCase();
+  // No step can be visited twice: branch validation rejects cycles, and the
+  // length guard keeps a bad graph from looping forever.
+  let step = ordered[0];
+  while (step && detailedFeedback.length < ordered.length) {
+    const userAnswer = normalizeAnswer(answerFor(step), step.type);
+    const correctAnswer = canonicalAnswer(step);
 
-    const isCorrect = userAnswer === correctAnswer;
+    const isCorrect = isAnswerCorrect(step, userAnswer);
     if (isCorrect) correctCount++;
 
-    return {
+    detailedFeedback.push({
+      step_id: step.step_id,
       step_order: step.step_order,
-      question: step.instruction,
+      question: step.question_text,
+      type: step.type || DEFAULT_QUESTION_TYPE,
+      options: step.options ?? null,
+      user_action: userAnswer,
       selected_option: userAnswer || "No answer",
       correct_option: correctAnswer,
       is_correct: isCorrect,
@@ -60,14 +124,20 @@ export function generateScenarioFeedback(userAnswers, steps) {
         (isCorrect
           ? "✅ Correct!"
           : `❌ The correct answer was "${correctAnswer}".`),
-    };
-  });
+    });
+
+    step = resolveNextStep(step, userAnswer, isCorrect, ordered);
+  }
+
+  const totalSteps = detailedFeedback.length;
 
-  const score = ((correctCount / totalSteps) * 100).toFixed(0);
+  const score = totalSteps
+    ? Math.round((correctCount / totalSteps) * 100)
+    : 0;
 
   // 🎯 Generate summary message
   let summary;
-  if (score == 100) summary = "Perfect score! You mastered this scenario.";
+  if (score === 100) summary = "Perfect score! You mastered this scenario.";
   else if (score >= 75) summary = "Great effort! You got most of them right.";
   else if (score >= 50) summary = "You're getting there — keep practicing!";
   else summary = "You need more review. Try the scenario again.";
@@ -75,7 +145,8 @@ export function generateScenarioFeedback(userAnswers, steps) {
   return {
     total_questions: totalSteps,
     correct_answers: correctCount,
-    score: Number(score),
+    score,
+    all_correct: totalSteps > 0 && correctCount === totalSteps,
     summary,
     steps_feedback: detailedFeedback,
   };
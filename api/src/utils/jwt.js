@@ -1,8 +1,20 @@
 // src/utils/jwt.js
 import jwt from 'jsonwebtoken';
+import { createHash, randomBytes } from 'crypto';
 
 const JWT_SECRET = process.env.JWT_SECRET;
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+
+/**
+ * Lifetime of an access token, in `jsonwebtoken` notation (e.g. `15m`).
+ * @type {string}
+ */
+export const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+
+/**
+ * Lifetime of a refresh token, in days.
+ * @type {number}
+ */
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
 
 /**
  * Generate a signed JSON Web Token (JWT) for authentication.
@@ -10,13 +22,17 @@ const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
  * Uses the secret key defined in environment variables to sign
  * the payload and optionally specify an expiration time.
  *
+ * Access tokens are short-lived (`JWT_EXPIRES_IN`, 15 minutes by default) and
+ * carry the ID of the login session (`sid`) so that they stop working as soon
+ * as that session is revoked.
+ *
  * @function signAccess
- * @param {object} payload - The data to encode inside the token (e.g., `{ sub: userId, role: "admin" }`).
+ * @param {object} payload - The data to encode inside the token (e.g., `{ sub: userId, role: "admin", sid: "6f1c…" }`).
  * @returns {string} Signed JWT string.
  * @throws {Error} If `JWT_SECRET` is missing.
  *
  * @example
- * const token = signAccess({ sub: 1, role: "user" });
+ * const token = signAccess({ sub: 1, role: "learner", sid: sessionId });
  * console.log(token); // "eyJhbGciOiJIUzI1NiIsInR5cCI6..."
  */
 export function signAccess(payload) {
@@ -47,3 +63,33 @@ export function verifyAccess(token) {
   }
   return jwt.verify(token, JWT_SECRET);
 }
+
+/**
+ * Generate a new opaque refresh token.
+ *
+ * Refresh tokens are random strings, not JWTs; the server only keeps their
+ * hash (see {@link hashToken}) and looks them up on every refresh.
+ *
+ * @function createRefreshToken
+ * @returns {string} A URL-safe random token.
+ *
+ * @example
+ * const refreshToken = createRefreshToken(); // "q1Vx…"
+ */
+export function createRefreshToken() {
+  return randomBytes(48).toString('base64url');
+}
+
+/**
+ * Hash an opaque token for storage and lookup.
+ *
+ * @function hashToken
+ * @param {string} token - The raw token.
+ * @returns {string} Hex-encoded SHA-256 digest.
+ *
+ * @example
+ * const tokenHash = hashToken(refreshToken);
+ */
+export function hashToken(token) {
+  return createHash('sha256').update(String(token)).digest('hex');
+}
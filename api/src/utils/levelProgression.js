@@ -0,0 +1,244 @@
+/**
+ * Level progression rules.
+ *
+ * Completion: each level has a completion rule (see {@link resolveCompletionRule});
+ * by default every scenario must reach the level's `pass_threshold`.
+ *
+ * Unlocking: levels are ordered by `difficulty_order`. A level unlocks once
+ * every level it requires is completed. The required levels are the level's
+ * explicit `prerequisites` when it has any; otherwise it is the level directly
+ * before it in `difficulty_order`. The first level with no explicit
+ * prerequisites is open from the start.
+ */
+
+/**
+ * Sort levels by `difficulty_order`, then by ID for stable ordering.
+ *
+ * @function orderLevels
+ * @param {Array<{level_id:number, difficulty_order:number}>} levels
+ * @returns {Array<object>} A new, sorted array.
+ */
+export function orderLevels(levels) {
+  return [...levels].sort(
+    (a, b) =>
+      Number(a.difficulty_order) - Number(b.difficulty_order) ||
+      Number(a.level_id) - Number(b.level_id)
+  );
+}
+
+/**
+ * Return the IDs of the levels that must be completed before `level` unlocks.
+ *
+ * @function requiredLevelIds
+ * @param {{level_id:number, prerequisites?:number[]}} level - The level to check.
+ * @param {Array<object>} orderedLevels - All levels, sorted with {@link orderLevels}.
+ * @returns {number[]} Required level IDs (empty for an entry level).
+ *
+ * @example
+ * requiredLevelIds({ level_id: 4, prerequisites: [2, 3] }, ordered); // [2, 3]
+ */
+export function requiredLevelIds(level, orderedLevels) {
+  if (level.prerequisites?.length) return level.prerequisites.map(Number);
+
+  const index = orderedLevels.findIndex(
+    (l) => Number(l.level_id) === Number(level.level_id)
+  );
+  return index > 0 ? [Number(orderedLevels[index - 1].level_id)] : [];
+}
+
+/**
+ * Find the levels a user can unlock now.
+ *
+ * @function findUnlockableLevels
+ * @param {Array<object>} levels - All levels with `difficulty_order` and `prerequisites`.
+ * @param {Iterable<number>} completedIds - IDs of levels the user has completed.
+ * @param {Iterable<number>} unlockedIds - IDs of levels the user has already unlocked.
+ * @returns {number[]} IDs of newly unlockable levels, in `difficulty_order`.
+ *
+ * @example
+ * findUnlockableLevels(levels, [1, 2], [1, 2]); // [3]
+ */
+export function findUnlockableLevels(levels, completedIds, unlockedIds) {
+  const completed = new Set([...completedIds].map(Number));
+  const unlocked = new Set([...unlockedIds].map(Number));
+  const ordered = orderLevels(levels);
+
+  return ordered
+    .filter((level) => !unlocked.has(Number(level.level_id)))
+    .filter((level) =>
+      requiredLevelIds(level, ordered).every((id) => completed.has(id))
+    )
+    .map((level) => Number(level.level_id));
+}
+
+/**
+ * Look for a cycle in the level prerequisite graph, including the implicit
+ * "previous level" requirement. A cycle would make its levels impossible to unlock.
+ *
+ * @function findPrerequisiteCycle
+ * @param {Array<object>} levels - All levels with `difficulty_order` and `prerequisites`.
+ * @returns {number[]|null} Level IDs forming the cycle, or null if there is none.
+ *
+ * @example
+ * findPrerequisiteCycle([
+ *   { level_id: 1, difficulty_order: 1, prerequisites: [2] },
+ *   { level_id: 2, difficulty_order: 2, prerequisites: [] },
+ * ]); // [1, 2, 1]
+ */
+export function findPrerequisiteCycle(levels) {
+  const ordered = orderLevels(levels);
+  const edges = new Map(
+    ordered.map((l) => [Number(l.level_id), requiredLevelIds(l, ordered)])
+  );
+
+  const state = new Map(); // 1 = visiting, 2 = done
+  const path = [];
+
+  const visit = (id) => {
+    if (state.get(id) === 2) return null;
+    if (state.get(id) === 1) return [...path.slice(path.indexOf(id)), id];
+
+    state.set(id, 1);
+    path.push(id);
+    for (const next of edges.get(id) || []) {
+      const cycle = visit(next);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  for (const id of edges.keys()) {
+    const cycle = visit(id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Supported level completion rules.
+ * - `min_each`: every scenario scored at least `min_score`.
+ * - `average`: the average best score over all scenarios is at least `min_score`
+ *   (scenarios not played yet count as 0).
+ * - `perfect_count`: at least `count` scenarios scored 100.
+ * @type {string[]}
+ */
+export const COMPLETION_RULE_TYPES = ["min_each", "average", "perfect_count"];
+
+/**
+ * Check a stored completion rule (null means the default rule).
+ *
+ * @function completionRuleProblem
+ * @param {*} rule - A `completion_rule` value.
+ * @returns {string|null} A message describing the problem, or null when valid.
+ *
+ * @example
+ * completionRuleProblem({ type: "perfect_count", count: 0 });
+ * // "completion_rule.count must be a positive integer"
+ */
+export function completionRuleProblem(rule) {
+  if (rule === null) return null;
+  if (typeof rule !== "object" || Array.isArray(rule)) {
+    return "completion_rule must be an object or null";
+  }
+  if (!COMPLETION_RULE_TYPES.includes(rule.type)) {
+    return `completion_rule.type must be one of: ${COMPLETION_RULE_TYPES.join(", ")}`;
+  }
+  if (rule.type === "perfect_count") {
+    return Number.isInteger(rule.count) && rule.count >= 1
+      ? null
+      : "completion_rule.count must be a positive integer";
+  }
+  return Number.isInteger(rule.min_score) && rule.min_score >= 0 && rule.min_score <= 100
+    ? null
+    : "completion_rule.min_score must be an integer between 0 and 100";
+}
+
+/**
+ * Return the completion rule of a level. Levels without a stored rule
+ * complete when every scenario reaches the level's `pass_threshold`.
+ *
+ * @function resolveCompletionRule
+ * @param {{completion_rule?:object|null, pass_threshold?:number}} level
+ * @returns {{type:string, min_score?:number, count?:number}}
+ *
+ * @example
+ * resolveCompletionRule({ pass_threshold: 80 }); // { type: "min_each", min_score: 80 }
+ */
+export function resolveCompletionRule(level) {
+  const rule = level?.completion_rule;
+  if (rule && COMPLETION_RULE_TYPES.includes(rule.type)) {
+    return rule.type === "perfect_count"
+      ? { type: rule.type, count: Number(rule.count) }
+      : { type: rule.type, min_score: Number(rule.min_score) };
+  }
+  return { type: "min_each", min_score: Number(level?.pass_threshold ?? 100) };
+}
+
+/**
+ * Check a user's best scores against a level's completion rule.
+ *
+ * The result is returned to clients as `level_progress`, so it also explains
+ * what is still missing: `remaining` is the number of scenarios still below
+ * the target (`min_each`), average points still missing (`average`), or
+ * perfect scores still needed (`perfect_count`); `needs_work` lists the
+ * scenarios below the per-scenario target.
+ *
+ * @function evaluateLevelCompletion
+ * @param {object} level - The level (with `completion_rule` / `pass_threshold`).
+ * @param {number[]} scenarioIds - IDs of every scenario in the level.
+ * @param {Map<number, number>} bestScores - Best score per played scenario ID.
+ * @returns {object} Evaluation with `rule`, `completed`, counts, `remaining` and `needs_work`.
+ *
+ * @example
+ * evaluateLevelCompletion(
+ *   { completion_rule: { type: "average", min_score: 80 } },
+ *   [1, 2],
+ *   new Map([[1, 100], [2, 50]])
+ * ); // { completed: false, average_score: 75, remaining: 5, ... }
+ */
+export function evaluateLevelCompletion(level, scenarioIds, bestScores) {
+  const rule = resolveCompletionRule(level);
+  const passThreshold = Number(level?.pass_threshold ?? 100);
+  const total = scenarioIds.length;
+  const scores = scenarioIds.map((id) => Number(bestScores.get(Number(id)) ?? 0));
+  const played = scenarioIds.filter((id) => bestScores.has(Number(id))).length;
+
+  const exactAverage = total ? scores.reduce((a, b) => a + b, 0) / total : 0;
+  const averageScore = Math.floor(exactAverage);
+  const perfect = scores.filter((s) => s >= 100).length;
+  const passed = scores.filter((s) => s >= passThreshold).length;
+
+  const target = rule.type === "perfect_count" ? 100 : rule.min_score;
+  const needsWork = scenarioIds
+    .filter((_, i) => scores[i] < target)
+    .map(Number);
+
+  let completed;
+  let remaining;
+  if (rule.type === "average") {
+    completed = total > 0 && exactAverage >= rule.min_score;
+    remaining = Math.max(0, Math.ceil(rule.min_score - exactAverage));
+  } else if (rule.type === "perfect_count") {
+    const needed = Math.min(rule.count, total);
+    completed = total > 0 && perfect >= needed;
+    remaining = Math.max(0, needed - perfect);
+  } else {
+    completed = total > 0 && needsWork.length === 0;
+    remaining = needsWork.length;
+  }
+
+  return {
+    rule,
+    completed,
+    total_in_level: total,
+    played_in_level: played,
+    average_score: averageScore,
+    perfect_in_level: perfect,
+    pass_threshold: passThreshold,
+    passed_in_level: passed,
+    remaining,
+    needs_work: needsWork,
+  };
+}
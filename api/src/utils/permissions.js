@@ -0,0 +1,87 @@
+/**
+ * Roles and permissions.
+ *
+ * Permissions are `<resource>:<action>` strings (optionally with a scope,
+ * e.g. `progress:read:cohort`). Each role grants a set of them; the mapping
+ * is stored in `role_permissions` and editable by admins through
+ * `/api/roles`. The `admin` role always holds every permission, so admins
+ * can never lock themselves out of managing roles.
+ *
+ * Learners need no permission to play scenarios or read their own progress;
+ * those routes only require a signed-in user.
+ */
+
+/**
+ * Every permission the API checks, with a short description.
+ * @type {Record<string, string>}
+ */
+export const PERMISSIONS = {
+  "level:write": "Create, edit and delete levels",
+  "scenario:write": "Create, edit and delete scenarios",
+  "step:read": "List and read scenario steps with their answers",
+  "step:write": "Create, edit and delete scenario steps",
+  "scenario:review": "Review drafted scenario content",
+  "scenario:publish": "Publish or roll back scenario content",
+  "badge:write": "Create, edit and delete badges",
+  "content:import": "Import content packs, creating or replacing a level's content",
+  "progress:read:cohort": "Read any learner's progress, badges and attempts",
+  "progress:write": "Override learner progress, badge awards and attempts",
+  "user:read": "List and read user accounts",
+  "user:write": "Create, edit and delete user accounts",
+  "audit:read": "Read the admin audit log and security events",
+  "role:manage": "Manage roles and their permissions",
+};
+
+/**
+ * Role that holds every permission, whatever the stored mapping says.
+ * @type {string}
+ */
+export const SUPER_ROLE = "admin";
+
+/**
+ * Role given to self-registered users.
+ * @type {string}
+ */
+export const DEFAULT_ROLE = "learner";
+
+/**
+ * Older role names still found on user records, and the role they stand for.
+ * @type {Record<string, string>}
+ */
+export const ROLE_ALIASES = { user: DEFAULT_ROLE };
+
+/**
+ * Mapping stored on first start, before an admin has edited anything.
+ * @type {Record<string, string[]>}
+ */
+export const DEFAULT_ROLE_PERMISSIONS = {
+  learner: [],
+  instructor: ["progress:read:cohort", "step:read"],
+  content_author: ["level:write", "scenario:write", "step:read", "step:write", "badge:write", "content:import"],
+  reviewer: ["step:read", "scenario:review", "scenario:publish"],
+};
+
+/**
+ * Resolve legacy role names to their current name.
+ *
+ * @function canonicalRole
+ * @param {string} role
+ * @returns {string}
+ *
+ * @example
+ * canonicalRole("user"); // "learner"
+ */
+export function canonicalRole(role) {
+  return ROLE_ALIASES[role] ?? role;
+}
+
+/**
+ * Whether a string names a known permission.
+ *
+ * @function isPermission
+ * @param {string} permission
+ * @returns {boolean}
+ */
+export function isPermission(permission) {
+  return Object.hasOwn(PERMISSIONS, permission);
+}
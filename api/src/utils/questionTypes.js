@@ -0,0 +1,270 @@
+/**
+ * Question types a scenario step can use, and how each one is validated,
+ * normalized and scored.
+ *
+ * Every step stores its `options` and `answer` as JSON. The shape depends on
+ * the step `type`:
+ *
+ * | type              | options                                  | answer                      |
+ * |-------------------|------------------------------------------|-----------------------------|
+ * | `multiple_choice` | `{ A, B, C, D }` option texts            | `"B"`                       |
+ * | `true_false`      | optional labels `{ TRUE, FALSE }`        | `true` / `false`            |
+ * | `multi_select`    | `{ A, B, ... }` option texts (2–8)       | `["A", "C"]` (any order)    |
+ * | `ordering`        | `{ A, B, ... }` items to put in order    | `["B", "A", "C"]` (exact)   |
+ * | `hotspot`         | `{ image_url, alt? }`                    | `{ x, y, radius }` in % of the image |
+ *
+ * Learner answers are reduced to a canonical string so that they can be
+ * stored in `user_action` columns and compared: `"B"`, `"TRUE"`, `"A,C"`,
+ * `"B,A,C"` or `"x,y"` for a hotspot click.
+ */
+
+/**
+ * Supported step types.
+ * @type {string[]}
+ */
+export const QUESTION_TYPES = [
+  "multiple_choice",
+  "true_false",
+  "multi_select",
+  "ordering",
+  "hotspot",
+];
+
+/**
+ * Step type used when none is stored.
+ * @type {string}
+ */
+export const DEFAULT_QUESTION_TYPE = "multiple_choice";
+
+const CHOICE_KEYS = ["A", "B", "C", "D"];
+const OPTION_KEY = /^[A-H]$/;
+const DEFAULT_TRUE_FALSE_LABELS = { TRUE: "True", FALSE: "False" };
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isPercent = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 100;
+
+/**
+ * Split a raw list answer (`["a", "c"]` or `"a, c"`) into upper-cased keys.
+ * @param {*} raw
+ * @returns {string[]}
+ */
+function toKeyList(raw) {
+  const list = Array.isArray(raw) ? raw : (raw ?? "").toString().split(",");
+  return list
+    .map((k) => (k ?? "").toString().trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Check that `options` is a map of option keys (A–H) to non-empty texts.
+ * @param {*} options
+ * @param {number} min - Minimum number of options.
+ * @returns {string|null} Error message, or null when valid.
+ */
+function checkKeyedOptions(options, min) {
+  if (!isPlainObject(options)) return "options must be an object of option texts";
+  const keys = Object.keys(options);
+  if (keys.length < min || keys.length > 8) {
+    return `options must have between ${min} and 8 entries`;
+  }
+  if (!keys.every((k) => OPTION_KEY.test(k))) {
+    return "option keys must be single letters from A to H";
+  }
+  if (!keys.every((k) => typeof options[k] === "string" && options[k].trim())) {
+    return "every option must be a non-empty string";
+  }
+  return null;
+}
+
+/**
+ * Validate the `options` and `answer` of a step against its type.
+ *
+ * @function validateStepContent
+ * @param {string} type - One of {@link QUESTION_TYPES}.
+ * @param {*} options - The step options.
+ * @param {*} answer - The step's correct answer.
+ * @returns {string|null} A message describing the first problem, or null when valid.
+ *
+ * @example
+ * validateStepContent("multi_select", { A: "Gloves", B: "Mask" }, ["A", "Z"]);
+ * // "answer must only use keys from options"
+ */
+export function validateStepContent(type, options, answer) {
+  switch (type) {
+    case "multiple_choice": {
+      if (!isPlainObject(options) || !CHOICE_KEYS.every((k) => typeof options[k] === "string" && options[k].trim())) {
+        return "options must contain non-empty texts for A, B, C and D";
+      }
+      if (Object.keys(options).some((k) => !CHOICE_KEYS.includes(k))) {
+        return "multiple_choice options may only use the keys A, B, C and D";
+      }
+      return CHOICE_KEYS.includes(answer) ? null : "answer must be one of 'A', 'B', 'C' or 'D'";
+    }
+
+    case "true_false": {
+      if (options != null) {
+        if (!isPlainObject(options) || typeof options.TRUE !== "string" || typeof options.FALSE !== "string") {
+          return "true_false options, when given, must be labels { TRUE, FALSE }";
+        }
+      }
+      return typeof answer === "boolean" ? null : "answer must be true or false";
+    }
+
+    case "multi_select":
+    case "ordering": {
+      const problem = checkKeyedOptions(options, 2);
+      if (problem) return problem;
+      if (!Array.isArray(answer) || !answer.length) {
+        return "answer must be a non-empty array of option keys";
+      }
+      const keys = Object.keys(options);
+      if (!answer.every((k) => keys.includes(k))) {
+        return "answer must only use keys from options";
+      }
+      if (new Set(answer).size !== answer.length) {
+        return "answer must not repeat a key";
+      }
+      if (type === "ordering" && answer.length !== keys.length) {
+        return "ordering answer must list every option exactly once";
+      }
+      return null;
+    }
+
+    case "hotspot": {
+      if (!isPlainObject(options) || typeof options.image_url !== "string" || !options.image_url.trim()) {
+        return "hotspot options must include an image_url";
+      }
+      if (options.alt != null && typeof options.alt !== "string") {
+        return "hotspot alt text must be a string";
+      }
+      if (!isPlainObject(answer) || !isPercent(answer.x) || !isPercent(answer.y)) {
+        return "hotspot answer must have x and y between 0 and 100";
+      }
+      if (!(typeof answer.radius === "number" && answer.radius > 0 && answer.radius <= 100)) {
+        return "hotspot answer radius must be greater than 0 and at most 100";
+      }
+      return null;
+    }
+
+    default:
+      return `type must be one of ${QUESTION_TYPES.join(", ")}`;
+  }
+}
+
+/**
+ * Reduce a raw learner answer to its canonical string for the given type.
+ * Anything that cannot be read as an answer of that type counts as no answer.
+ *
+ * @function normalizeUserAnswer
+ * @param {string} type - The step type.
+ * @param {*} raw - The raw answer (e.g. `"b"`, `["c", "a"]`, `true`, `{ x: 40, y: 62 }`).
+ * @returns {string|null} The canonical answer, or null when nothing usable was given.
+ *
+ * @example
+ * normalizeUserAnswer("multi_select", ["c", "a"]); // "A,C"
+ * normalizeUserAnswer("hotspot", { x: 40.04, y: 62 }); // "40,62"
+ */
+export function normalizeUserAnswer(type, raw) {
+  if (raw == null) return null;
+
+  switch (type) {
+    case "true_false": {
+      const value = raw.toString().trim().toUpperCase();
+      return value === "TRUE" || value === "FALSE" ? value : null;
+    }
+
+    case "multi_select": {
+      const keys = [...new Set(toKeyList(raw))].sort();
+      return keys.length ? keys.join(",") : null;
+    }
+
+    case "ordering": {
+      const keys = toKeyList(raw);
+      return keys.length ? keys.join(",") : null;
+    }
+
+    case "hotspot": {
+      const [x, y] = isPlainObject(raw)
+        ? [raw.x, raw.y]
+        : raw.toString().split(",");
+      const px = Math.round(Number(x) * 10) / 10;
+      const py = Math.round(Number(y) * 10) / 10;
+      return isPercent(px) && isPercent(py) && x !== "" && y !== ""
+        ? `${px},${py}`
+        : null;
+    }
+
+    default: {
+      const value = raw.toString().trim().toUpperCase();
+      return value || null;
+    }
+  }
+}
+
+/**
+ * Return a step's correct answer in the same canonical form as
+ * {@link normalizeUserAnswer}. Hotspots return their target centre.
+ *
+ * @function canonicalAnswer
+ * @param {{type?:string, answer?:*, correct_action?:string}} step
+ * @returns {string|null}
+ *
+ * @example
+ * canonicalAnswer({ type: "true_false", answer: false }); // "FALSE"
+ */
+export function canonicalAnswer(step) {
+  const type = step.type || DEFAULT_QUESTION_TYPE;
+  const answer = step.answer ?? step.correct_action;
+  return normalizeUserAnswer(type, answer);
+}
+
+/**
+ * Check a canonical learner answer against a step.
+ *
+ * @function isAnswerCorrect
+ * @param {{type?:string, answer?:*, correct_action?:string}} step
+ * @param {string|null} picked - Answer already passed through {@link normalizeUserAnswer}.
+ * @returns {boolean}
+ *
+ * @example
+ * isAnswerCorrect({ type: "hotspot", answer: { x: 50, y: 50, radius: 10 } }, "55,52"); // true
+ */
+export function isAnswerCorrect(step, picked) {
+  if (!picked) return false;
+  const type = step.type || DEFAULT_QUESTION_TYPE;
+
+  if (type === "hotspot") {
+    const target = step.answer;
+    if (!isPlainObject(target)) return false;
+    const [x, y] = picked.split(",").map(Number);
+    return Math.hypot(x - target.x, y - target.y) <= target.radius;
+  }
+  return picked === canonicalAnswer(step);
+}
+
+/**
+ * Return a copy of a step's options that is safe to show before answering.
+ * Ordering items are shuffled so that their stored order does not give the
+ * sequence away; true/false steps get default labels when none are stored.
+ *
+ * @function publicOptions
+ * @param {{type?:string, options?:object}} step
+ * @returns {object|null}
+ */
+export function publicOptions(step) {
+  const type = step.type || DEFAULT_QUESTION_TYPE;
+
+  if (type === "true_false") return step.options || DEFAULT_TRUE_FALSE_LABELS;
+  if (type === "ordering" && isPlainObject(step.options)) {
+    const entries = Object.entries(step.options);
+    for (let i = entries.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [entries[i], entries[j]] = [entries[j], entries[i]];
+    }
+    return Object.fromEntries(entries);
+  }
+  return step.options ?? null;
+}
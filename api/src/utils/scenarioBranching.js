@@ -0,0 +1,185 @@
+import {
+  DEFAULT_QUESTION_TYPE,
+  canonicalAnswer,
+  isAnswerCorrect,
+} from "./questionTypes.js";
+
+/**
+ * Scenario branching rules.
+ *
+ * A step may carry a `branches` map that decides which step comes after it.
+ * Keys are either an option key of a single-pick step (`"A"`..`"D"`,
+ * `"TRUE"` / `"FALSE"`), or the outcome keys `"correct"` / `"incorrect"`
+ * for any type. Values are a step ID of the same scenario, or
+ * {@link BRANCH_END} to finish the run after this step.
+ *
+ * The next step is picked in this order:
+ * 1. the branch for the exact option picked,
+ * 2. the branch for the outcome (a missing or timed-out answer is `incorrect`),
+ * 3. the next step by `step_order` (the run ends after the last one).
+ *
+ * A scenario without branches therefore plays linearly, exactly as before.
+ */
+
+/**
+ * Branch target that ends the run.
+ * @type {string}
+ */
+export const BRANCH_END = "end";
+
+/**
+ * Outcome keys accepted in every step's `branches`.
+ * @type {string[]}
+ */
+export const OUTCOME_KEYS = ["correct", "incorrect"];
+
+/**
+ * Sort steps by `step_order`.
+ *
+ * @function orderSteps
+ * @param {Array<{step_order:number}>} steps
+ * @returns {Array<object>} A new, sorted array.
+ */
+export function orderSteps(steps) {
+  return [...steps].sort((a, b) => Number(a.step_order) - Number(b.step_order));
+}
+
+/**
+ * Option keys a step can branch on directly: the options of single-pick
+ * types, or none for the other types.
+ *
+ * @function branchOptionKeys
+ * @param {{type?:string, options?:object}} step
+ * @returns {string[]}
+ */
+export function branchOptionKeys(step) {
+  const type = step.type || DEFAULT_QUESTION_TYPE;
+  if (type === "true_false") return ["TRUE", "FALSE"];
+  if (type === DEFAULT_QUESTION_TYPE) return Object.keys(step.options || {});
+  return [];
+}
+
+/**
+ * Resolve the step that follows `step` for a given answer.
+ *
+ * @function resolveNextStep
+ * @param {object} step - The step just answered.
+ * @param {string|null} picked - The canonical answer (null when none was given).
+ * @param {boolean} isCorrect - Whether the answer was correct.
+ * @param {Array<object>} orderedSteps - Every step of the scenario, sorted with {@link orderSteps}.
+ * @returns {object|null} The next step, or null when the run ends.
+ *
+ * @example
+ * resolveNextStep({ step_id: 1, branches: { A: 4 } }, "A", false, ordered); // step 4
+ */
+export function resolveNextStep(step, picked, isCorrect, orderedSteps) {
+  const branches = step.branches || {};
+  let target;
+  if (picked != null && Object.hasOwn(branches, picked)) target = branches[picked];
+  else target = branches[isCorrect ? "correct" : "incorrect"];
+
+  if (target === BRANCH_END) return null;
+  if (target != null) {
+    return orderedSteps.find((s) => Number(s.step_id) === Number(target)) || null;
+  }
+
+  const index = orderedSteps.findIndex((s) => Number(s.step_id) === Number(step.step_id));
+  return orderedSteps[index + 1] || null;
+}
+
+/**
+ * Every step that can follow `step`, whatever the learner answers.
+ *
+ * @function possibleNextSteps
+ * @param {object} step
+ * @param {Array<object>} orderedSteps - Every step of the scenario, in order.
+ * @returns {Array<object|null>} Distinct next steps; null stands for the end of the run.
+ */
+export function possibleNextSteps(step, orderedSteps) {
+  const outcomes = branchOptionKeys(step).map((key) => [key, isAnswerCorrect(step, key)]);
+  outcomes.push([canonicalAnswer(step), true], [null, false]);
+
+  const next = new Map();
+  for (const [picked, isCorrect] of outcomes) {
+    const target = resolveNextStep(step, picked, isCorrect, orderedSteps);
+    next.set(target ? Number(target.step_id) : null, target);
+  }
+  return [...next.values()];
+}
+
+/**
+ * Check the branch graph of a scenario.
+ *
+ * - `unknown_targets`: branches pointing at steps that are not in the scenario.
+ * - `cycle`: step IDs forming a loop (a run could never end), or null.
+ * - `orphans`: steps no path from the first step can reach.
+ *
+ * @function findBranchProblems
+ * @param {Array<object>} steps - Every step of the scenario.
+ * @returns {{unknown_targets: Array<{step_id:number, key:string, target:*}>, cycle: number[]|null, orphans: number[]}}
+ *
+ * @example
+ * findBranchProblems([
+ *   { step_id: 1, step_order: 1, branches: { correct: 2, incorrect: 2 } },
+ *   { step_id: 2, step_order: 2, branches: { correct: 1, incorrect: "end" } },
+ * ]).cycle; // [1, 2, 1]
+ */
+export function findBranchProblems(steps) {
+  const ordered = orderSteps(steps);
+  const ids = new Set(ordered.map((s) => Number(s.step_id)));
+
+  const unknownTargets = [];
+  for (const step of ordered) {
+    for (const [key, target] of Object.entries(step.branches || {})) {
+      if (target !== BRANCH_END && !ids.has(Number(target))) {
+        unknownTargets.push({ step_id: Number(step.step_id), key, target });
+      }
+    }
+  }
+
+  const edges = new Map(
+    ordered.map((s) => [
+      Number(s.step_id),
+      possibleNextSteps(s, ordered).filter(Boolean).map((n) => Number(n.step_id)),
+    ])
+  );
+
+  const state = new Map(); // 1 = visiting, 2 = done
+  const path = [];
+  let cycle = null;
+
+  const visit = (id) => {
+    if (state.get(id) === 2) return null;
+    if (state.get(id) === 1) return [...path.slice(path.indexOf(id)), id];
+
+    state.set(id, 1);
+    path.push(id);
+    for (const next of edges.get(id) || []) {
+      const found = visit(next);
+      if (found) return found;
+    }
+    path.pop();
+    state.set(id, 2);
+    return null;
+  };
+
+  if (ordered.length) cycle = visit(Number(ordered[0].step_id));
+
+  const reachable = new Set(state.keys());
+  const orphans = cycle
+    ? []
+    : ordered.map((s) => Number(s.step_id)).filter((id) => !reachable.has(id));
+
+  return { unknown_targets: unknownTargets, cycle, orphans };
+}
+
+/**
+ * Whether any step of a scenario branches.
+ *
+ * @function isBranching
+ * @param {Array<{branches?:object|null}>} steps
+ * @returns {boolean}
+ */
+export function isBranching(steps) {
+  return steps.some((s) => s.branches && Object.keys(s.branches).length > 0);
+}
@@ -0,0 +1,133 @@
+import { diffFields, mapBranches } from "./contentPack.js";
+
+/**
+ * Scenario publishing workflow.
+ *
+ * A scenario row and its steps are the working copy that authors edit.
+ * Learners never play the working copy: they play the scenario's
+ * published version, a snapshot of its title, description, image and
+ * steps taken when it was published. Versions are numbered from 1 per
+ * scenario and never change once written.
+ *
+ * The working copy moves through three statuses:
+ *
+ * ```
+ * draft ──(scenario:write)──▶ review ──(scenario:publish)──▶ published
+ *   ▲                            │
+ *   └──────(scenario:review)─────┘
+ * ```
+ *
+ * Any edit of a scenario or its steps puts it back to `draft`; the version
+ * learners play stays as it is until the next publish. Scenarios published
+ * before versioning existed have no version yet and get their first one,
+ * from the working copy, the first time it is needed.
+ */
+
+/**
+ * Statuses of a scenario's working copy.
+ * @type {string[]}
+ */
+export const SCENARIO_STATUSES = ["draft", "review", "published"];
+
+/**
+ * For each status, the statuses it may move to.
+ * @type {Record<string, string[]>}
+ */
+export const STATUS_TRANSITIONS = {
+  draft: ["review"],
+  review: ["draft", "published"],
+  published: [],
+};
+
+/**
+ * Permission needed to move a scenario into each status.
+ * @type {Record<string, string>}
+ */
+export const STATUS_PERMISSIONS = {
+  review: "scenario:write",
+  draft: "scenario:review",
+  published: "scenario:publish",
+};
+
+/**
+ * Names accepted where a diff expects a version number: the working copy,
+ * and the version learners currently play.
+ * @type {string[]}
+ */
+export const VERSION_ALIASES = ["draft", "published"];
+
+/** Step fields compared by {@link diffScenarioContent}, besides branches. */
+const STEP_FIELDS = ["step_order", "question_text", "type", "options", "answer", "feedback_message"];
+
+/**
+ * Whether learners can play a scenario: it has a published version, or it
+ * was published before versioning and will get one when first played.
+ *
+ * @function isPlayable
+ * @param {{status: string, published_version: number|null}} scenario
+ * @returns {boolean}
+ */
+export function isPlayable(scenario) {
+  return scenario.published_version != null || scenario.status === "published";
+}
+
+/**
+ * Compare two snapshots of a scenario's content. Steps are matched by slug,
+ * and branches are compared by the slugs they point at, so a step that was
+ * deleted and recreated under the same slug still counts as the same step.
+ *
+ * @function diffScenarioContent
+ * @param {{title: string, description: string|null, image_url: string|null, steps: object[]}} from
+ * @param {{slug?: string, title: string, description: string|null, image_url: string|null, steps: object[]}} to
+ *   `slug` is only used as the key of the scenario's entry.
+ * @returns {{summary: {create: number, update: number, delete: number, unchanged: number}, changes: object[]}}
+ *   Changes are `{ type: "scenario"|"step", action, key, changes? }` as in a content pack import report;
+ *   the key of a step is its slug.
+ *
+ * @example
+ * diffScenarioContent(version1, workingCopy).summary; // { create: 1, update: 2, delete: 0, unchanged: 4 }
+ */
+export function diffScenarioContent(from, to) {
+  const changes = [];
+  const record = (type, action, key, diff) => changes.push({ type, action, key, ...(diff ? { changes: diff } : {}) });
+
+  const details = ({ title, description, image_url }) => ({
+    title,
+    description: description ?? null,
+    image_url: image_url ?? null,
+  });
+  const scenarioDiff = diffFields(details(from), details(to));
+  record("scenario", scenarioDiff ? "update" : "unchanged", to.slug ?? null, scenarioDiff);
+
+  /** Steps keyed by slug, with branches pointing at slugs. */
+  const comparable = (steps) => {
+    const slugs = new Map(steps.map((s) => [Number(s.step_id), s.slug]));
+    return new Map(
+      steps.map((step) => [
+        step.slug,
+        {
+          ...Object.fromEntries(STEP_FIELDS.map((field) => [field, step[field] ?? null])),
+          branches: mapBranches(step.branches, slugs),
+        },
+      ])
+    );
+  };
+  const before = comparable(from.steps);
+  const after = comparable(to.steps);
+
+  for (const [slug, step] of after) {
+    if (!before.has(slug)) {
+      record("step", "create", slug);
+      continue;
+    }
+    const diff = diffFields(before.get(slug), step);
+    record("step", diff ? "update" : "unchanged", slug, diff);
+  }
+  for (const slug of before.keys()) {
+    if (!after.has(slug)) record("step", "delete", slug);
+  }
+
+  const summary = { create: 0, update: 0, delete: 0, unchanged: 0 };
+  for (const change of changes) summary[change.action] += 1;
+  return { summary, changes };
+}
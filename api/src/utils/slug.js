@@ -0,0 +1,78 @@
+/**
+ * Slugs: the stable keys of levels, scenarios and steps (`basics`,
+ * `choking-at-dinner`, `step-2`).
+ *
+ * Auto-increment IDs differ from one database to the next, so content packs
+ * match records by slug instead. A slug is given once, when the record is
+ * created, and does not follow later title changes. Level slugs are unique
+ * overall, scenario slugs within their level and step slugs within their
+ * scenario.
+ */
+
+/**
+ * Longest slug the `slug` columns hold.
+ * @type {number}
+ */
+export const SLUG_MAX_LENGTH = 100;
+
+/**
+ * Lowercase letters and digits in dash-separated groups.
+ * @type {RegExp}
+ */
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+/**
+ * Whether a value is a well-formed slug.
+ *
+ * @function isSlug
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isSlug(value) {
+  return typeof value === "string" && value.length <= SLUG_MAX_LENGTH && SLUG_PATTERN.test(value);
+}
+
+/**
+ * Turn a title into a slug: accents dropped, everything but letters and
+ * digits collapsed into single dashes, cut at {@link SLUG_MAX_LENGTH}.
+ *
+ * @function slugify
+ * @param {string} text - Usually a title.
+ * @param {string} [fallback="item"] - Used when the text has no letters or digits.
+ * @returns {string}
+ *
+ * @example
+ * slugify("Choking at Dinner"); // "choking-at-dinner"
+ * slugify("Brûlure — 2ᵉ degré"); // "brulure-2e-degre"
+ */
+export function slugify(text, fallback = "item") {
+  const slug = String(text ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, SLUG_MAX_LENGTH)
+    .replace(/^-+|-+$/g, "");
+  return slug || fallback;
+}
+
+/**
+ * The first of `base`, `base-2`, `base-3`, ... that is not taken yet.
+ *
+ * @function uniqueSlug
+ * @param {string} base - Preferred slug.
+ * @param {Iterable<string|null>} taken - Slugs already used in the same scope.
+ * @returns {string}
+ *
+ * @example
+ * uniqueSlug("step-3", ["step-1", "step-3"]); // "step-3-2"
+ */
+export function uniqueSlug(base, taken) {
+  const used = new Set(taken);
+  if (!used.has(base)) return base;
+  for (let n = 2; ; n++) {
+    const suffix = `-${n}`;
+    const candidate = base.slice(0, SLUG_MAX_LENGTH - suffix.length).replace(/-+$/, "") + suffix;
+    if (!used.has(candidate)) return candidate;
+  }
+}
@@ -1,5 +1,13 @@
 import { param, body } from 'express-validator';
 
+/**
+ * Badge icons may also be paths served by the frontend (the seeded badges
+ * use `/assets/badgeN.jpg`); anything else must be a URL.
+ * @param {*} value - Value of `icon_url` from the request body.
+ * @returns {boolean}
+ */
+const isIconPath = (value) => typeof value === 'string' && /^\/[^\s/]\S*$/.test(value);
+
 export const idParam = [
   param('id')
     .isInt({ gt: 0 })
@@ -23,6 +31,7 @@ export const upsertBadge = [
 
   body('icon_url')
     .optional()
+    .if((value) => !isIconPath(value))
     .isURL()
-    .withMessage('icon_url must be a valid URL'),
+    .withMessage('icon_url must be a valid URL or a path starting with /'),
 ];
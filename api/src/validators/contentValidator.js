@@ -0,0 +1,21 @@
+import { param, query } from "express-validator";
+import { CONTENT_PACK_TYPES } from "../utils/contentPack.js";
+
+export const exportLevel = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+
+  query("format")
+    .optional()
+    .isIn(CONTENT_PACK_TYPES)
+    .withMessage(`format must be one of: ${CONTENT_PACK_TYPES.join(", ")}`),
+];
+
+// The pack itself is checked by the service, which reports every problem at once
+export const importPack = [
+  query("dry_run")
+    .optional()
+    .isIn(["true", "false"])
+    .withMessage("dry_run must be true or false"),
+];
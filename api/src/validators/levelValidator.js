@@ -1,4 +1,18 @@
 import { param, body } from "express-validator";
+import { completionRuleProblem } from "../utils/levelProgression.js";
+import { isSlug } from "../utils/slug.js";
+
+/**
+ * Check a level completion rule object.
+ * @param {*} rule - Value of `completion_rule` from the request body.
+ * @returns {true}
+ * @throws {Error} With a message describing the problem.
+ */
+const isCompletionRule = (rule) => {
+  const problem = completionRuleProblem(rule);
+  if (problem) throw new Error(problem);
+  return true;
+};
 
 export const idParam = [
   param("id")
@@ -7,6 +21,11 @@ export const idParam = [
 ];
 
 export const upsertLevel = [
+  body("slug")
+    .optional()
+    .custom(isSlug)
+    .withMessage("slug must be lowercase letters and digits separated by single dashes (at most 100 characters)"),
+
   body("title")
     .isString()
     .isLength({ min: 1, max: 100 })
@@ -20,4 +39,23 @@ export const upsertLevel = [
   body("difficulty_order")
     .isInt({ gt: 0 })
     .withMessage("difficulty_order must be a positive integer"),
+
+  body("pass_threshold")
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage("pass_threshold must be an integer between 0 and 100"),
+
+  body("prerequisites")
+    .optional()
+    .isArray()
+    .withMessage("prerequisites must be an array of level IDs"),
+
+  body("prerequisites.*")
+    .isInt({ gt: 0 })
+    .withMessage("each prerequisite must be a positive integer level ID")
+    .toInt(),
+
+  body("completion_rule")
+    .optional()
+    .custom(isCompletionRule),
 ];
@@ -0,0 +1,23 @@
+import { param, body } from "express-validator";
+
+export const roleParam = [
+  param("role")
+    .matches(/^[a-z][a-z0-9_]{1,31}$/)
+    .withMessage("role must be 2–32 lowercase letters, digits or underscores, starting with a letter"),
+];
+
+export const saveRole = [
+  body("permissions")
+    .isArray()
+    .withMessage("permissions must be an array"),
+
+  body("permissions.*")
+    .isString()
+    .withMessage("each permission must be a string"),
+
+  body("description")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 255 })
+    .withMessage("description must be a string of at most 255 characters"),
+];
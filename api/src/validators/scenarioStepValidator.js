@@ -1,14 +1,94 @@
-import { param, body } from "express-validator";
+import { param, body, query, validationResult } from "express-validator";
+import {
+  DEFAULT_QUESTION_TYPE,
+  QUESTION_TYPES,
+  validateStepContent,
+} from "../utils/questionTypes.js";
+import {
+  BRANCH_END,
+  OUTCOME_KEYS,
+  branchOptionKeys,
+} from "../utils/scenarioBranching.js";
+import { isSlug } from "../utils/slug.js";
+
+/**
+ * Multiple-choice steps may still be sent with the flat `option_a..option_d`
+ * and `correct_action` fields instead of `options` and `answer`.
+ * @param {*} _value
+ * @param {{req: import('express').Request}} meta
+ * @returns {boolean}
+ */
+const usesFlatChoices = (_value, { req }) =>
+  (req.body.type ?? DEFAULT_QUESTION_TYPE) === DEFAULT_QUESTION_TYPE &&
+  req.body.options === undefined;
+
+/**
+ * Check `options` and `answer` against the step type.
+ * @param {*} answer - Value of `answer` from the request body.
+ * @param {{req: import('express').Request}} meta
+ * @returns {true}
+ * @throws {Error} With a message describing the problem.
+ */
+const isStepContent = (answer, { req }) => {
+  const type = req.body.type ?? DEFAULT_QUESTION_TYPE;
+  const problem = validateStepContent(type, req.body.options ?? null, answer);
+  if (problem) throw new Error(problem);
+  return true;
+};
+
+/**
+ * Check the shape of a step's `branches`. Whether the targets exist and
+ * form a valid path is checked against the whole scenario when saving.
+ * @param {*} branches - Value of `branches` from the request body.
+ * @param {{req: import('express').Request}} meta
+ * @returns {true}
+ * @throws {Error} With a message describing the problem.
+ */
+const isBranches = (branches, { req }) => {
+  if (branches === null) return true;
+  if (typeof branches !== "object" || Array.isArray(branches)) {
+    throw new Error("branches must be an object or null");
+  }
+
+  const body = req.body;
+  const type = body.type ?? DEFAULT_QUESTION_TYPE;
+  const options =
+    body.options ??
+    { A: body.option_a, B: body.option_b, C: body.option_c, D: body.option_d };
+  const allowed = [...branchOptionKeys({ type, options }), ...OUTCOME_KEYS];
+
+  for (const [key, target] of Object.entries(branches)) {
+    if (!allowed.includes(key)) {
+      throw new Error(`branches key "${key}" must be one of: ${allowed.join(", ")}`);
+    }
+    if (target !== BRANCH_END && !(Number.isInteger(target) && target > 0)) {
+      throw new Error(`branches.${key} must be a step ID or "${BRANCH_END}"`);
+    }
+  }
+  return true;
+};
 
 export const idParam = [
   param("id").isInt({ gt: 0 }).withMessage("id must be a positive integer"),
 ];
 
+export const listQuery = [
+  query("scenario_id")
+    .optional()
+    .isInt({ gt: 0 })
+    .withMessage("scenario_id must be a positive integer"),
+];
+
 export const upsertScenarioStep = [
   body("scenario_id")
     .isInt({ gt: 0 })
     .withMessage("scenario_id must be a positive integer"),
 
+  body("slug")
+    .optional()
+    .custom(isSlug)
+    .withMessage("slug must be lowercase letters and digits separated by single dashes (at most 100 characters)"),
+
   body("step_order")
     .isInt({ gt: 0 })
     .withMessage("step_order must be a positive integer"),
@@ -18,17 +98,62 @@ export const upsertScenarioStep = [
     .isLength({ min: 5 })
     .withMessage("question_text must be at least 5 characters long"),
 
-  body("option_a").isString().notEmpty().withMessage("option_a is required"),
-  body("option_b").isString().notEmpty().withMessage("option_b is required"),
-  body("option_c").isString().notEmpty().withMessage("option_c is required"),
-  body("option_d").isString().notEmpty().withMessage("option_d is required"),
+  body("type")
+    .optional()
+    .isIn(QUESTION_TYPES)
+    .withMessage(`type must be one of: ${QUESTION_TYPES.join(", ")}`),
+
+  body("option_a").if(usesFlatChoices).isString().notEmpty().withMessage("option_a is required"),
+  body("option_b").if(usesFlatChoices).isString().notEmpty().withMessage("option_b is required"),
+  body("option_c").if(usesFlatChoices).isString().notEmpty().withMessage("option_c is required"),
+  body("option_d").if(usesFlatChoices).isString().notEmpty().withMessage("option_d is required"),
 
   body("correct_action")
+    .if(usesFlatChoices)
     .isIn(["A", "B", "C", "D"])
     .withMessage("correct_action must be one of 'A', 'B', 'C', or 'D'"),
 
+  body("answer")
+    .if((value, meta) => !usesFlatChoices(value, meta))
+    .custom(isStepContent),
+
+  body("branches")
+    .optional()
+    .custom(isBranches),
+
   body("feedback_message")
     .optional()
     .isString()
     .withMessage("feedback_message must be a string if provided"),
 ];
+
+/**
+ * Columns of a step CSV: a multiple-choice step with its flat fields, one
+ * row per step. Only `feedback_message` may be left out.
+ * @type {string[]}
+ */
+export const STEP_CSV_COLUMNS = [
+  "scenario_id",
+  "step_order",
+  "question_text",
+  "option_a",
+  "option_b",
+  "option_c",
+  "option_d",
+  "correct_action",
+  "feedback_message",
+];
+
+/**
+ * Check one CSV row with the {@link upsertScenarioStep} rules, the same
+ * ones a single `POST /scenario-steps` goes through.
+ * @param {Object<string, string>} values - The row's non-empty cells, by column.
+ * @returns {Promise<Array<{field: string, message: string}>>} Empty when the row is valid.
+ */
+export async function checkStepRow(values) {
+  const req = { body: values };
+  for (const chain of upsertScenarioStep) await chain.run(req);
+  return validationResult(req)
+    .array()
+    .map((failure) => ({ field: failure.path, message: String(failure.msg) }));
+}
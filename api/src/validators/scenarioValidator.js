@@ -1,4 +1,26 @@
-import { param, body } from "express-validator";
+import { param, body, query } from "express-validator";
+import { isSlug } from "../utils/slug.js";
+import { SCENARIO_STATUSES, VERSION_ALIASES } from "../utils/scenarioVersions.js";
+
+/**
+ * Check the rough shape of a learner answer. Whether it fits the step's
+ * question type is decided when it is scored; answers that do not fit
+ * count as no answer.
+ * @param {*} value - Value of `user_action` from the request body.
+ * @returns {true}
+ * @throws {Error} When the value is not an answer of any question type.
+ */
+const isAnswerShape = (value) => {
+  const ok =
+    (typeof value === "string" && value.length <= 64) ||
+    typeof value === "boolean" ||
+    (Array.isArray(value) && value.length <= 8 && value.every((k) => typeof k === "string" && k.length <= 2)) ||
+    (typeof value === "object" && !Array.isArray(value) && "x" in value && "y" in value);
+  if (!ok) {
+    throw new Error("user_action must be an option key, a list of keys, true/false, a point { x, y } or null");
+  }
+  return true;
+};
 
 export const idParam = [
   param("id")
@@ -6,12 +28,23 @@ export const idParam = [
     .withMessage("id must be a positive integer"),
 ];
 
+export const levelParam = [
+  param("levelId")
+    .isInt({ gt: 0 })
+    .withMessage("levelId must be a positive integer"),
+];
+
 // Validate scenario creation and update body
 export const upsertScenario = [
   body("level_id")
     .isInt({ gt: 0 })
     .withMessage("level_id must be a positive integer"),
 
+  body("slug")
+    .optional()
+    .custom(isSlug)
+    .withMessage("slug must be lowercase letters and digits separated by single dashes (at most 100 characters)"),
+
   body("title")
     .isString()
     .isLength({ min: 1, max: 255 })
@@ -27,3 +60,98 @@ export const upsertScenario = [
     .isString()
     .withMessage("image_url must be a string"),
 ];
+
+const note = body("note")
+  .optional({ values: "null" })
+  .isString()
+  .isLength({ max: 255 })
+  .withMessage("note must be a string of at most 255 characters");
+
+// Validate a workflow status change
+export const statusChange = [
+  ...idParam,
+  body("status")
+    .isIn(SCENARIO_STATUSES)
+    .withMessage(`status must be one of: ${SCENARIO_STATUSES.join(", ")}`),
+  note,
+];
+
+// Validate a version path param
+export const versionParams = [
+  ...idParam,
+  param("version")
+    .isInt({ gt: 0 })
+    .withMessage("version must be a positive integer"),
+];
+
+// Validate rolling back to a version
+export const rollback = [...versionParams, note];
+
+// Validate the two sides of a version diff
+export const diffQuery = [
+  ...idParam,
+  ...["from", "to"].map((side) =>
+    query(side)
+      .optional()
+      .custom((value) => VERSION_ALIASES.includes(value) || /^[1-9]\d*$/.test(value))
+      .withMessage(`${side} must be a version number, ${VERSION_ALIASES.join(" or ")}`)
+  ),
+];
+
+// Validate a new order for a scenario's steps
+export const stepOrder = [
+  ...idParam,
+  body("step_ids")
+    .isArray({ min: 1 })
+    .withMessage("step_ids must be a non-empty array of step IDs"),
+  body("step_ids.*")
+    .isInt({ gt: 0 })
+    .withMessage("step_ids must hold positive integers")
+    .toInt(),
+  body("step_ids")
+    .custom((ids) => new Set(ids.map(Number)).size === ids.length)
+    .withMessage("step_ids must not list a step twice"),
+];
+
+/**
+ * Check that answers or step times are keyed by step ID.
+ * @param {*} value - Value of `userAnswers` or `stepTimes` from the request body.
+ * @returns {boolean}
+ */
+const isKeyedByStep = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  Object.keys(value).every((key) => /^[1-9]\d*$/.test(key));
+
+// Validate a one-shot submission
+export const submitAnswers = [
+  ...idParam,
+  body("userAnswers")
+    .custom(isKeyedByStep)
+    .withMessage("userAnswers must be an object keyed by step_id"),
+  body("stepTimes")
+    .optional()
+    .custom(isKeyedByStep)
+    .withMessage("stepTimes must be an object keyed by step_id"),
+];
+
+// Validate play-session path params
+export const sessionParams = [
+  ...idParam,
+  param("sid")
+    .isUUID()
+    .withMessage("sid must be a valid session ID"),
+];
+
+// Validate a single step answer inside a play session
+export const answerStep = [
+  ...sessionParams,
+  param("stepId")
+    .isInt({ gt: 0 })
+    .withMessage("stepId must be a positive integer"),
+
+  body("user_action")
+    .optional({ values: "null" })
+    .custom(isAnswerShape),
+];
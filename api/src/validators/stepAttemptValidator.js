@@ -0,0 +1,38 @@
+import { param, body } from "express-validator";
+
+export const idParam = [
+  param("id")
+    .isInt({ gt: 0 })
+    .withMessage("id must be a positive integer"),
+];
+
+export const attemptIdParam = [
+  param("attempt_id")
+    .isInt({ gt: 0 })
+    .withMessage("attempt_id must be a positive integer"),
+];
+
+export const upsertStepAttempt = [
+  body("attempt_id")
+    .isInt({ gt: 0 })
+    .withMessage("attempt_id must be a positive integer"),
+
+  body("step_id")
+    .isInt({ gt: 0 })
+    .withMessage("step_id must be a positive integer"),
+
+  body("user_action")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 64 })
+    .withMessage("user_action must be a canonical answer string of at most 64 characters"),
+
+  body("is_correct")
+    .isBoolean()
+    .withMessage("is_correct must be a boolean"),
+
+  body("time_taken_ms")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("time_taken_ms must be a non-negative integer"),
+];
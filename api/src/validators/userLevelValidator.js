@@ -6,6 +6,18 @@ export const idParam = [
     .withMessage('id must be a positive integer'),
 ];
 
+export const updateUserLevelStatus = [
+  body('unlocked')
+    .optional()
+    .isBoolean()
+    .withMessage('unlocked must be a boolean'),
+
+  body('completed')
+    .optional()
+    .isBoolean()
+    .withMessage('completed must be a boolean'),
+];
+
 export const upsertUserLevel = [
   body('user_id')
     .isInt({ gt: 0 })
@@ -6,7 +6,13 @@ export const idParam = [
     .withMessage("id must be a positive integer"),
 ];
 
-export const upsertUser = [
+/**
+ * Rules for creating or updating a user. `role`, when given, must name a
+ * stored role, which is why the rules need the role service.
+ * @param {import("../services/RoleService.js").RoleService} roleService
+ * @returns {import("express-validator").ValidationChain[]}
+ */
+export const upsertUser = (roleService) => [
   body("full_name")
     .isString()
     .isLength({ min: 1, max: 100 })
@@ -24,6 +30,92 @@ export const upsertUser = [
 
   body("role")
     .optional()
-    .isIn(["user", "admin"])
-    .withMessage('role must be either "user" or "admin"'),
+    .isString()
+    .custom(async (role) => {
+      if (!(await roleService.roleExists(role))) throw new Error("role does not exist");
+    }),
+];
+
+export const registerBody = [
+  body("full_name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("full_name must be a string between 1–100 characters"),
+
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  body("password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("password must be at least 6 characters long"),
+];
+
+export const loginBody = [
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+
+  body("password")
+    .isString()
+    .notEmpty()
+    .withMessage("password is required"),
+];
+
+export const refreshTokenBody = [
+  body("refresh_token")
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage("refresh_token must be a non-empty string"),
+];
+
+export const emailBody = [
+  body("email")
+    .isEmail()
+    .withMessage("email must be a valid email address"),
+];
+
+export const accountTokenBody = [
+  body("token")
+    .isString()
+    .isLength({ min: 1, max: 128 })
+    .withMessage("token must be a non-empty string"),
+];
+
+export const resetPasswordBody = [
+  ...accountTokenBody,
+
+  body("password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("password must be at least 6 characters long"),
+];
+
+export const updateProfileBody = [
+  body("full_name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("full_name must be a string between 1–100 characters"),
+];
+
+export const changePasswordBody = [
+  body("current_password")
+    .isString()
+    .notEmpty()
+    .withMessage("current_password is required"),
+
+  body("new_password")
+    .isString()
+    .isLength({ min: 6 })
+    .withMessage("new_password must be at least 6 characters long"),
+];
+
+export const confirmPasswordBody = [
+  body("password")
+    .isString()
+    .notEmpty()
+    .withMessage("password is required to confirm"),
 ];
@@ -0,0 +1,242 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { signUp } from "./helpers/fixtures.js";
+
+describe("admin content management", () => {
+  let api;
+  let admin;
+  let learner;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+    learner = await signUp(api);
+  });
+
+  after(() => api.close());
+
+  const as = (session) => ({
+    get: (path) => api.request("GET", path, { token: session.token }),
+    post: (path, body) => api.request("POST", path, { token: session.token, body }),
+    put: (path, body) => api.request("PUT", path, { token: session.token, body }),
+    delete: (path) => api.request("DELETE", path, { token: session.token }),
+  });
+
+  it("tells an admin which permissions they hold", async () => {
+    const me = await as(admin).get("/api/users/me");
+    assert.ok(me.body.permissions.includes("level:write"));
+    assert.ok(me.body.permissions.includes("step:write"));
+  });
+
+  describe("levels", () => {
+    it("creates, reads, updates and deletes a level", async () => {
+      const created = await as(admin).post("/api/levels", {
+        title: "Water Safety",
+        description: "Drowning and cold water.",
+        difficulty_order: 7,
+        prerequisites: [6],
+        completion_rule: { type: "average", min_score: 80 },
+      });
+      assert.equal(created.status, 201);
+      assert.deepEqual(created.body.prerequisites, [6]);
+      const id = created.body.level_id;
+
+      const read = await api.request("GET", `/api/levels/${id}`);
+      assert.equal(read.status, 200);
+      assert.equal(read.body.title, "Water Safety");
+      assert.deepEqual(read.body.completion_rule, { type: "average", min_score: 80 });
+
+      const updated = await as(admin).put(`/api/levels/${id}`, {
+        title: "Water and Ice",
+        difficulty_order: 7,
+        pass_threshold: 90,
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.title, "Water and Ice");
+      assert.equal(updated.body.pass_threshold, 90);
+
+      assert.equal((await as(admin).delete(`/api/levels/${id}`)).status, 204);
+      assert.equal((await api.request("GET", `/api/levels/${id}`)).status, 404);
+    });
+
+    it("rolls back a prerequisite change that would form a cycle", async () => {
+      const res = await as(admin).put("/api/levels/1", {
+        title: "Basics",
+        difficulty_order: 1,
+        prerequisites: [2],
+      });
+      assert.equal(res.status, 400);
+      assert.equal(res.body.code, "PREREQUISITE_CYCLE");
+
+      const basics = await api.request("GET", "/api/levels/1");
+      assert.deepEqual(basics.body.prerequisites, []);
+    });
+
+    it("lets only roles with level:write change levels", async () => {
+      const res = await as(learner).post("/api/levels", { title: "Nope", difficulty_order: 8 });
+      assert.equal(res.status, 403);
+      assert.equal(res.body.code, "MISSING_PERMISSION");
+    });
+  });
+
+  describe("scenarios and steps", () => {
+    it("builds a scenario step by step and removes it again", async () => {
+      const scenario = await as(admin).post("/api/scenarios", {
+        level_id: 1,
+        title: "Cut Finger",
+        description: "A kitchen knife slipped.",
+      });
+      assert.equal(scenario.status, 201);
+      const scenarioId = scenario.body.scenario_id;
+
+      const step = await as(admin).post("/api/scenario-steps", {
+        scenario_id: scenarioId,
+        step_order: 1,
+        question_text: "What do you do first?",
+        option_a: "Apply direct pressure",
+        option_b: "Rinse it with hot water",
+        option_c: "Ignore it",
+        option_d: "Put butter on it",
+        correct_action: "A",
+        feedback_message: "Pressure stops the bleeding.",
+      });
+      assert.equal(step.status, 201);
+      assert.equal(step.body.correct_action, "A");
+      const stepId = step.body.step_id;
+
+      assert.equal((await api.request("GET", `/api/scenarios/${scenarioId}`)).status, 404, "drafts stay hidden");
+      for (const status of ["review", "published"]) {
+        assert.equal((await as(admin).put(`/api/scenarios/${scenarioId}/status`, { status })).status, 200);
+      }
+
+      const withSteps = await api.request("GET", `/api/scenarios/${scenarioId}`);
+      assert.equal(withSteps.body.steps.length, 1);
+      assert.equal(withSteps.body.steps[0].correct_action, undefined, "answers stay hidden from players");
+
+      const renamed = await as(admin).put(`/api/scenarios/${scenarioId}`, {
+        level_id: 1,
+        title: "Cut Finger in the Kitchen",
+      });
+      assert.equal(renamed.status, 200);
+      assert.equal(renamed.body.title, "Cut Finger in the Kitchen");
+
+      const changed = await as(admin).put(`/api/scenario-steps/${stepId}`, {
+        scenario_id: scenarioId,
+        step_order: 1,
+        question_text: "What do you do first?",
+        type: "true_false",
+        answer: true,
+      });
+      assert.equal(changed.status, 200);
+      assert.equal(changed.body.type, "true_false");
+      assert.equal(changed.body.answer, true);
+
+      assert.equal((await as(admin).get(`/api/scenario-steps/${stepId}`)).status, 200);
+      assert.equal((await as(admin).delete(`/api/scenario-steps/${stepId}`)).status, 204);
+      assert.equal((await as(admin).get(`/api/scenario-steps/${stepId}`)).status, 404);
+
+      assert.equal((await as(admin).delete(`/api/scenarios/${scenarioId}`)).status, 204);
+      assert.equal((await api.request("GET", `/api/scenarios/${scenarioId}`)).status, 404);
+    });
+
+    it("lists the steps of one scenario in play order", async () => {
+      const res = await as(admin).get("/api/scenario-steps?scenario_id=1");
+
+      assert.equal(res.status, 200);
+      assert.ok(res.body.length > 0);
+      assert.ok(res.body.every((step) => step.scenario_id === 1));
+      const orders = res.body.map((step) => step.step_order);
+      assert.deepEqual(orders, [...orders].sort((a, b) => a - b));
+    });
+
+    it("keeps step answers away from learners", async () => {
+      const res = await as(learner).get("/api/scenario-steps/1");
+      assert.equal(res.status, 403);
+    });
+
+    it("lets only roles with scenario:write change scenarios", async () => {
+      const res = await as(learner).delete("/api/scenarios/1");
+      assert.equal(res.status, 403);
+      assert.equal((await api.request("GET", "/api/scenarios/1")).status, 200);
+    });
+  });
+
+  describe("users", () => {
+    it("lists users for roles with user:read", async () => {
+      const res = await as(admin).get("/api/users");
+      assert.equal(res.status, 200);
+      const emails = res.body.map((u) => u.email);
+      assert.ok(emails.includes(admin.user.email));
+      assert.ok(emails.includes(learner.user.email));
+      assert.ok(res.body.every((u) => !("password" in u)));
+
+      assert.equal((await as(learner).get("/api/users")).status, 403);
+    });
+
+    it("lets user managers hand out only roles within their own permissions", async () => {
+      const role = await as(admin).put("/api/roles/support", { permissions: ["user:read", "user:write"] });
+      assert.equal(role.status, 200);
+      const support = await signUp(api, { role: "support" });
+      const newUser = (role) => ({ full_name: "New Hire", email: `hire-${role}@example.com`, password: "Secret123!", role });
+
+      for (const granted of ["admin", "content_author"]) {
+        const refused = await as(support).post("/api/users", newUser(granted));
+        assert.equal(refused.status, 403, granted);
+        assert.equal(refused.body.code, "ROLE_NOT_GRANTABLE");
+      }
+      assert.equal((await as(support).post("/api/users", newUser("learner"))).status, 201);
+
+      const self = { full_name: "Support", email: support.user.email, role: "admin" };
+      assert.equal((await as(support).put(`/api/users/${support.user.id}`, self)).status, 403);
+      const takeover = { full_name: "Admin", email: "mine@example.com" };
+      assert.equal((await as(support).put(`/api/users/${admin.user.id}`, takeover)).status, 403);
+      assert.equal((await as(support).delete(`/api/users/${admin.user.id}`)).status, 403);
+
+      assert.equal((await as(admin).post("/api/users", newUser("admin"))).status, 201);
+    });
+  });
+
+  describe("badges", () => {
+    it("creates, updates and deletes a badge", async () => {
+      const level = await as(admin).post("/api/levels", { title: "Extra", difficulty_order: 9 });
+
+      const created = await as(admin).post("/api/badges", {
+        level_id: level.body.level_id,
+        name: "Extra Mile",
+        description: "Finished the extra level.",
+        icon_url: "https://cdn.example.com/badges/extra.png",
+      });
+      assert.equal(created.status, 201);
+      const id = created.body.badge_id;
+
+      const updated = await as(admin).put(`/api/badges/${id}`, {
+        level_id: level.body.level_id,
+        name: "Extra Extra Mile",
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.name, "Extra Extra Mile");
+
+      assert.equal((await as(admin).delete(`/api/badges/${id}`)).status, 204);
+      assert.equal((await api.request("GET", `/api/badges/${id}`)).status, 404);
+    });
+
+    it("keeps a seeded badge's asset path when it is saved unchanged", async () => {
+      const seeded = await api.request("GET", "/api/badges/1");
+
+      const res = await as(admin).put("/api/badges/1", {
+        level_id: seeded.body.level_id,
+        name: seeded.body.name,
+        description: seeded.body.description,
+        icon_url: seeded.body.icon_url,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.icon_url, seeded.body.icon_url);
+    });
+
+    it("lets only roles with badge:write change badges", async () => {
+      const res = await as(learner).put("/api/badges/1", { level_id: 1, name: "Mine now" });
+      assert.equal(res.status, 403);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { PASSWORD, answersFor, playRun, seededLevel, signUp } from "./helpers/fixtures.js";
+
+describe("authentication", () => {
+  let api;
+
+  before(async () => {
+    api = await startApi();
+  });
+
+  after(() => api.close());
+
+  const login = (email, password = PASSWORD) =>
+    api.request("POST", "/api/users/login", { body: { email, password } });
+
+  /** Ask for a reset link and return the token it carries. */
+  const resetToken = async (email) => {
+    const asked = await api.request("POST", "/api/users/forgot-password", { body: { email } });
+    assert.equal(asked.status, 202);
+    const mail = api.outbox.findLast((message) => message.to === email);
+    return /reset-password\?token=([\w-]+)/.exec(mail.text)[1];
+  };
+
+  it("registers a user without exposing the password and emails a verification link", async () => {
+    const res = await api.request("POST", "/api/users/register", {
+      body: { full_name: "Jane Doe", email: "jane@example.com", password: PASSWORD },
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.email, "jane@example.com");
+    assert.equal(res.body.role, "learner");
+    assert.equal(res.body.email_verified, false);
+    assert.equal(res.body.password, undefined);
+
+    const mail = api.outbox.at(-1);
+    assert.equal(mail.to, "jane@example.com");
+    assert.match(mail.text, /verify-email\?token=[\w-]+/);
+  });
+
+  it("rejects a second account with the same email", async () => {
+    const res = await api.request("POST", "/api/users/register", {
+      body: { full_name: "Jane Again", email: "jane@example.com", password: PASSWORD },
+    });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, "EMAIL_TAKEN");
+  });
+
+  it("refuses to log in before the email is verified", async () => {
+    const res = await api.request("POST", "/api/users/login", {
+      body: { email: "jane@example.com", password: PASSWORD },
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "EMAIL_NOT_VERIFIED");
+  });
+
+  it("logs in after verification and answers /users/me with the token", async () => {
+    const token = /token=([\w-]+)/.exec(api.outbox.at(-1).text)[1];
+    const verified = await api.request("POST", "/api/users/verify-email", { body: { token } });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.email_verified, true);
+
+    const login = await api.request("POST", "/api/users/login", {
+      body: { email: "jane@example.com", password: PASSWORD },
+    });
+    assert.equal(login.status, 200);
+    assert.ok(login.body.token);
+    assert.ok(login.body.refresh_token);
+
+    const me = await api.request("GET", "/api/users/me", { token: login.body.token });
+    assert.equal(me.status, 200);
+    assert.equal(me.body.email, "jane@example.com");
+    assert.deepEqual(me.body.permissions, []);
+  });
+
+  it("rejects a wrong password with the same error as an unknown email", async () => {
+    const wrong = await api.request("POST", "/api/users/login", {
+      body: { email: "jane@example.com", password: "not-the-password" },
+    });
+    const unknown = await api.request("POST", "/api/users/login", {
+      body: { email: "nobody@example.com", password: PASSWORD },
+    });
+
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.code, "INVALID_CREDENTIALS");
+    assert.deepEqual(unknown.body, wrong.body);
+  });
+
+  it("rejects requests without a valid access token", async () => {
+    const missing = await api.request("GET", "/api/users/me");
+    assert.equal(missing.status, 401);
+    assert.equal(missing.body.code, "TOKEN_MISSING");
+
+    const invalid = await api.request("GET", "/api/users/me", { token: "not.a.jwt" });
+    assert.equal(invalid.status, 401);
+    assert.equal(invalid.body.code, "TOKEN_INVALID");
+  });
+
+  it("rotates refresh tokens and revokes the session when an old one is reused", async () => {
+    const session = await signUp(api);
+
+    const rotated = await api.request("POST", "/api/users/refresh", {
+      body: { refresh_token: session.refresh_token },
+    });
+    assert.equal(rotated.status, 200);
+    assert.notEqual(rotated.body.refresh_token, session.refresh_token);
+
+    const reused = await api.request("POST", "/api/users/refresh", {
+      body: { refresh_token: session.refresh_token },
+    });
+    assert.equal(reused.status, 401);
+    assert.equal(reused.body.code, "REFRESH_TOKEN_REUSED");
+
+    const me = await api.request("GET", "/api/users/me", { token: rotated.body.token });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.code, "SESSION_REVOKED");
+  });
+
+  it("ends the session on logout", async () => {
+    const session = await signUp(api);
+
+    const out = await api.request("POST", "/api/users/logout", {
+      body: { refresh_token: session.refresh_token },
+    });
+    assert.equal(out.status, 204);
+
+    const me = await api.request("GET", "/api/users/me", { token: session.token });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.code, "SESSION_REVOKED");
+  });
+
+  it("keeps learners out of admin routes", async () => {
+    const learner = await signUp(api);
+
+    const res = await api.request("GET", "/api/roles", { token: learner.token });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "MISSING_PERMISSION");
+  });
+
+  it("resets a forgotten password once and logs out every device", async () => {
+    const session = await signUp(api);
+    const { email } = session.user;
+    const token = await resetToken(email);
+
+    const reset = await api.request("POST", "/api/users/reset-password", { body: { token, password: "Fresh456!" } });
+    assert.equal(reset.status, 204);
+    assert.equal((await api.request("GET", "/api/users/me", { token: session.token })).body.code, "SESSION_REVOKED");
+    assert.equal((await login(email)).status, 401);
+    assert.equal((await login(email, "Fresh456!")).status, 200);
+
+    const again = await api.request("POST", "/api/users/reset-password", { body: { token, password: "Other789!" } });
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, "TOKEN_USED");
+    assert.equal((await login(email, "Fresh456!")).status, 200);
+  });
+
+  it("refuses an expired reset link", async (t) => {
+    const { email } = (await signUp(api)).user;
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+    const token = await resetToken(email);
+
+    t.mock.timers.tick(31 * 60 * 1000);
+    const res = await api.request("POST", "/api/users/reset-password", { body: { token, password: "Fresh456!" } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "TOKEN_EXPIRED");
+    assert.equal((await login(email)).status, 200, "the old password still works");
+  });
+
+  it("changes the password from /users/me and logs out the other devices", async () => {
+    const session = await signUp(api);
+    const { email } = session.user;
+    const other = (await login(email)).body;
+    const change = (current_password) =>
+      api.request("PUT", "/api/users/me/password", {
+        token: session.token,
+        body: { current_password, new_password: "Fresh456!" },
+      });
+
+    const wrong = await change("Wrong123!");
+    assert.equal(wrong.status, 400);
+    assert.equal(wrong.body.code, "WRONG_PASSWORD");
+    assert.equal((await login(email)).status, 200, "a wrong current password changes nothing");
+
+    assert.equal((await change(PASSWORD)).status, 204);
+    assert.equal((await api.request("GET", "/api/users/me", { token: session.token })).status, 200);
+    assert.equal((await api.request("GET", "/api/users/me", { token: other.token })).body.code, "SESSION_REVOKED");
+    assert.equal((await login(email)).status, 401);
+    assert.equal((await login(email, "Fresh456!")).status, 200);
+  });
+
+  it("deletes an account with its sessions and progress", async () => {
+    const session = await signUp(api);
+    const { id, email } = session.user;
+    const { repositories } = api.container;
+    const { level, scenarios: [{ scenario, steps }] } = await seededLevel(api.container, 1);
+
+    const played = await playRun(api, session, scenario.scenario_id, answersFor(steps));
+    assert.equal(played.status, 200);
+    const { attempt_id } = played.body.result;
+    const sid = played.body.session.session_id;
+
+    const refused = await api.request("DELETE", "/api/users/me", { token: session.token, body: { password: "Wrong123!" } });
+    assert.equal(refused.status, 400);
+    assert.equal(refused.body.code, "WRONG_PASSWORD");
+
+    const deleted = await api.request("DELETE", "/api/users/me", { token: session.token, body: { password: PASSWORD } });
+    assert.equal(deleted.status, 204);
+
+    assert.equal((await api.request("GET", "/api/users/me", { token: session.token })).status, 401);
+    const refreshed = await api.request("POST", "/api/users/refresh", { body: { refresh_token: session.refresh_token } });
+    assert.equal(refreshed.status, 401);
+    assert.equal((await login(email)).status, 401);
+
+    assert.equal(await repositories.attempts.findById(attempt_id), null);
+    assert.equal(await repositories.scenarioSessions.findById(sid), null);
+    assert.deepEqual(await repositories.userLevels.findByUser(id), []);
+    assert.deepEqual(await repositories.attempts.getUserAttemptsByLevel(id, level.level_id), []);
+  });
+});
@@ -0,0 +1,291 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import YAML from "yaml";
+import { startApi } from "./helpers/harness.js";
+import { seededLevel, signUp } from "./helpers/fixtures.js";
+
+describe("content packs", () => {
+  let api;
+  let admin;
+  let author;
+  let learner;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+    author = await signUp(api, { role: "content_author" });
+    learner = await signUp(api);
+  });
+
+  after(() => api.close());
+
+  const exportLevel = (id, format = "json", session = admin) =>
+    api.request("GET", `/api/levels/${id}/export?format=${format}`, { token: session.token });
+
+  const importPack = (pack, { dryRun = false, session = admin, yaml = false } = {}) =>
+    api.request("POST", `/api/content/import${dryRun ? "?dry_run=true" : ""}`, {
+      token: session.token,
+      body: yaml ? YAML.stringify(pack) : pack,
+      headers: yaml ? { "content-type": "application/yaml" } : undefined,
+    });
+
+  /** A fresh copy of a level's pack, to edit and import. */
+  const packOf = async (id) => structuredClone((await exportLevel(id)).body);
+
+  it("exports a level with its badge, scenarios and steps, keyed by slug", async () => {
+    const res = await exportLevel(2);
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /attachment; filename="airway\.json"/);
+
+    const seeded = await seededLevel(api.container, 2);
+    const { level } = res.body;
+    assert.equal(res.body.format, "simaid-content-pack");
+    assert.equal(res.body.version, 1);
+    assert.equal(level.slug, "airway");
+    assert.equal(level.badge.name, seeded.badge.name);
+    assert.equal(level.scenarios.length, seeded.scenarios.length);
+
+    const [first] = level.scenarios;
+    assert.equal(first.slug, seeded.scenarios[0].scenario.slug);
+    assert.deepEqual(
+      first.steps.map((s) => s.slug),
+      seeded.scenarios[0].steps.map((s) => s.slug)
+    );
+    assert.ok(first.steps.every((s) => !("step_id" in s) && s.answer !== undefined));
+  });
+
+  it("exports YAML that imports back without changes", async () => {
+    const res = await exportLevel(1, "yaml");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /application\/yaml/);
+
+    const report = await api.request("POST", "/api/content/import", {
+      token: admin.token,
+      body: res.body,
+      headers: { "content-type": "application/yaml" },
+    });
+    assert.equal(report.status, 200);
+    assert.equal(report.body.level_id, 1);
+    assert.deepEqual(report.body.summary, {
+      create: 0,
+      update: 0,
+      delete: 0,
+      unchanged: report.body.changes.length,
+    });
+  });
+
+  it("shows the diff of a dry run and keeps nothing", async () => {
+    const pack = await packOf(3);
+    const scenario = pack.level.scenarios[0];
+    const [kept, dropped] = scenario.steps;
+    scenario.title = "Renamed in the pack";
+    kept.question_text = "Reworded question?";
+    scenario.steps = [
+      kept,
+      {
+        slug: "call-for-help",
+        question_text: "Do you call for help?",
+        type: "true_false",
+        answer: true,
+        branches: { incorrect: "end" },
+      },
+      ...scenario.steps.slice(2),
+    ];
+
+    const before = await seededLevel(api.container, 3);
+    const res = await importPack(pack, { dryRun: true });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dry_run, true);
+    assert.deepEqual(
+      { create: res.body.summary.create, update: res.body.summary.update, delete: res.body.summary.delete },
+      { create: 1, update: 2, delete: 1 }
+    );
+
+    const find = (type, action) => res.body.changes.find((c) => c.type === type && c.action === action);
+    assert.equal(find("scenario", "update").changes.title.to, "Renamed in the pack");
+    assert.deepEqual(find("step", "update").changes, {
+      question_text: { from: before.scenarios[0].steps[0].question_text, to: "Reworded question?" },
+    });
+    assert.equal(find("step", "create").key, `${scenario.slug}/call-for-help`);
+    assert.equal(find("step", "create").id, null);
+    assert.equal(find("step", "delete").key, `${scenario.slug}/${dropped.slug}`);
+
+    assert.deepEqual(await seededLevel(api.container, 3), before);
+  });
+
+  it("upserts by slug, keeping the IDs of existing records", async () => {
+    const pack = await packOf(4);
+    const scenario = pack.level.scenarios[0];
+    const [first, second] = scenario.steps;
+    const before = await seededLevel(api.container, 4);
+    const scenarioId = before.scenarios[0].scenario.scenario_id;
+
+    first.question_text = "Cool the burn how?";
+    scenario.steps = [
+      { ...first, branches: { correct: "check-the-blisters", incorrect: second.slug } },
+      second,
+      {
+        slug: "check-the-blisters",
+        question_text: "Do you pop the blisters?",
+        type: "true_false",
+        answer: false,
+        feedback_message: "Leave blisters intact.",
+      },
+    ];
+    pack.level.badge = { ...pack.level.badge, description: "Cool, cover, call." };
+
+    const res = await importPack(pack);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.level_id, 4);
+
+    const after = await seededLevel(api.container, 4);
+    assert.equal(after.badge.badge_id, before.badge.badge_id);
+    assert.equal(after.badge.description, "Cool, cover, call.");
+    assert.equal(after.scenarios[0].scenario.scenario_id, scenarioId);
+
+    const steps = after.scenarios[0].steps;
+    assert.deepEqual(steps.map((s) => s.slug), [first.slug, second.slug, "check-the-blisters"]);
+    assert.deepEqual(steps.map((s) => s.step_order), [1, 2, 3]);
+    assert.equal(steps[0].step_id, before.scenarios[0].steps[0].step_id);
+    assert.equal(steps[0].question_text, "Cool the burn how?");
+    assert.deepEqual(steps[0].branches, { correct: steps[2].step_id, incorrect: steps[1].step_id });
+
+    const exported = await packOf(4);
+    assert.deepEqual(exported.level.scenarios[0].steps[0].branches, {
+      correct: "check-the-blisters",
+      incorrect: second.slug,
+    });
+  });
+
+  it("moves steps to their new places, even into each other's", async () => {
+    const pack = await packOf(5);
+    const scenario = pack.level.scenarios[0];
+    const [first, second, ...rest] = scenario.steps;
+    const before = await seededLevel(api.container, 5);
+    scenario.steps = [second, first, ...rest.slice(0, -1)];
+
+    const res = await importPack(pack);
+    assert.equal(res.status, 200);
+
+    const steps = (await seededLevel(api.container, 5)).scenarios[0].steps;
+    assert.deepEqual(steps.map((s) => s.slug), scenario.steps.map((s) => s.slug));
+    assert.deepEqual(steps.map((s) => s.step_order), scenario.steps.map((_, i) => i + 1));
+    assert.equal(steps[0].step_id, before.scenarios[0].steps[1].step_id);
+  });
+
+  it("creates a new level from a YAML pack", async () => {
+    const pack = {
+      format: "simaid-content-pack",
+      version: 1,
+      level: {
+        slug: "water-safety",
+        title: "Water Safety",
+        difficulty_order: 7,
+        prerequisites: ["multi-trauma"],
+        completion_rule: { type: "average", min_score: 80 },
+        badge: { name: "Lifeguard", icon_url: "/assets/badge7.jpg" },
+        scenarios: [
+          {
+            slug: "pool-rescue",
+            title: "Pool Rescue",
+            steps: [
+              {
+                slug: "reach",
+                question_text: "Reach, throw, don't go?",
+                type: "true_false",
+                answer: true,
+                branches: { incorrect: "end" },
+              },
+              {
+                slug: "breathing",
+                question_text: "Check for breathing first?",
+                type: "true_false",
+                answer: true,
+              },
+            ],
+          },
+        ],
+      },
+    };
+
+    const res = await importPack(pack, { yaml: true, session: author });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { create: 5, update: 0, delete: 0, unchanged: 0 });
+
+    const level = await api.request("GET", `/api/levels/${res.body.level_id}`);
+    assert.equal(level.body.slug, "water-safety");
+    assert.deepEqual(level.body.prerequisites, [6]);
+
+    const again = await importPack(pack, { yaml: true, session: author });
+    assert.equal(again.body.level_id, res.body.level_id);
+    assert.equal(again.body.summary.unchanged, 5);
+  });
+
+  it("reports every problem in an invalid pack", async () => {
+    const pack = await packOf(5);
+    const steps = pack.level.scenarios[0].steps;
+    pack.version = 2;
+    steps[0].answer = "Z";
+    steps[1].branches = { correct: "no-such-step" };
+
+    const res = await importPack(pack);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "VALIDATION_FAILED");
+    assert.deepEqual(
+      res.body.details.map((d) => d.field),
+      ["version", "level.scenarios[0].steps[0].answer", "level.scenarios[0].steps[1].branches.correct"]
+    );
+  });
+
+  it("rejects branches that loop and text that is not a pack", async () => {
+    const pack = await packOf(5);
+    const steps = pack.level.scenarios[0].steps;
+    steps[0].branches = { correct: steps[1].slug, incorrect: steps[1].slug };
+    steps[1].branches = { correct: steps[0].slug, incorrect: steps[0].slug };
+
+    const looping = await importPack(pack);
+    assert.equal(looping.status, 400);
+    assert.match(looping.body.message, /branches form a cycle/);
+
+    const garbage = await api.request("POST", "/api/content/import", {
+      token: admin.token,
+      body: "level: [unclosed",
+      headers: { "content-type": "application/yaml" },
+    });
+    assert.equal(garbage.status, 400);
+    assert.equal(garbage.body.details[0].field, "body");
+  });
+
+  it("rolls back an import whose prerequisite is unknown", async () => {
+    const pack = await packOf(6);
+    pack.level.title = "Never saved";
+    pack.level.prerequisites = ["no-such-level"];
+
+    const res = await importPack(pack);
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, "INVALID_PREREQUISITE");
+    assert.notEqual((await api.request("GET", "/api/levels/6")).body.title, "Never saved");
+  });
+
+  it("needs step:read to export and content:import to import", async () => {
+    assert.equal((await exportLevel(1, "json", learner)).status, 403);
+    const res = await importPack(await packOf(1), { session: learner });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "MISSING_PERMISSION");
+  });
+
+  it("gives records created through the API a slug", async () => {
+    const level = await api.request("POST", "/api/levels", {
+      token: admin.token,
+      body: { title: "Basics", difficulty_order: 9 },
+    });
+    assert.equal(level.status, 201);
+    assert.equal(level.body.slug, "basics-2");
+
+    const taken = await api.request("POST", "/api/levels", {
+      token: admin.token,
+      body: { slug: "airway", title: "Airway again", difficulty_order: 10 },
+    });
+    assert.equal(taken.status, 409);
+  });
+});
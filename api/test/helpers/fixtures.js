@@ -0,0 +1,163 @@
+/**
+ * Fixtures for the API tests. Content (levels, scenarios, steps, badges)
+ * is read from the seed data the in-memory database starts with, so tests
+ * follow the seeds when they change instead of repeating them; users are
+ * created through the API.
+ *
+ * @module test/helpers/fixtures
+ */
+
+/** Password of every user created by {@link signUp}. */
+export const PASSWORD = "Secret123!";
+
+let userCount = 0;
+
+/**
+ * The answer that scores a step, in the form the submit endpoint takes.
+ * @param {object} step - Step entity, with its correct answer.
+ * @returns {*}
+ */
+export function correctAnswer(step) {
+  return step.answer ?? step.correct_action;
+}
+
+/**
+ * An answer that does not score a step.
+ * @param {object} step - Step entity, with its correct answer.
+ * @returns {*}
+ */
+export function wrongAnswer(step) {
+  switch (step.type) {
+    case "multiple_choice":
+      return ["A", "B", "C", "D"].find((key) => key !== step.correct_action);
+    case "true_false":
+      return !step.answer;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answers to every step of a scenario, keyed by `step_id`.
+ * @param {object[]} steps - The scenario's step entities.
+ * @param {(step: object) => *} [pick=correctAnswer] - Picks the answer to a step.
+ * @returns {Object<number, *>}
+ */
+export function answersFor(steps, pick = correctAnswer) {
+  return Object.fromEntries(steps.map((step) => [step.step_id, pick(step)]));
+}
+
+/**
+ * Play a scenario through a server-timed session, as the player page does:
+ * serve each step, then answer it, until the run ends.
+ *
+ * @param {import("./harness.js").TestApi} api
+ * @param {{token: string}} session - The player's login.
+ * @param {number} scenarioId
+ * @param {Object<number, *>} answers - Answers keyed by `step_id`, e.g. from {@link answersFor}.
+ * @returns {Promise<import("./harness.js").ApiResponse>} The last answer's response; `body.result` holds the recorded run.
+ *
+ * @example
+ * const { body } = await playRun(api, player, scenario.scenario_id, answersFor(steps));
+ * body.result.score; // 100
+ */
+export async function playRun(api, { token }, scenarioId, answers) {
+  const base = `/api/scenarios/${scenarioId}/sessions`;
+  const started = await api.request("POST", base, { token });
+  if (started.status !== 201) return started;
+
+  let view = started.body;
+  for (;;) {
+    const stepId = view.current_step.step_id;
+    const answered = await api.request("POST", `${base}/${view.session_id}/steps/${stepId}/answer`, {
+      token,
+      body: { user_action: answers[stepId] ?? null },
+    });
+    if (answered.status !== 200 || answered.body.finished) return answered;
+    view = (await api.request("GET", `${base}/${view.session_id}`, { token })).body;
+  }
+}
+
+/**
+ * A seeded level with its scenarios, their steps and the level's badge.
+ *
+ * @param {import("../../src/container.js").Container} container
+ * @param {number} levelId
+ * @returns {Promise<{level: object, badge: object|null, scenarios: Array<{scenario: object, steps: object[]}>}>}
+ *
+ * @example
+ * const { scenarios, badge } = await seededLevel(api.container, 1);
+ */
+export async function seededLevel(container, levelId) {
+  const { levels, scenarios, scenarioSteps, badges } = container.repositories;
+  const level = await levels.findById(levelId);
+  if (!level) throw new Error(`Level ${levelId} is not in the seed data`);
+
+  const inLevel = await scenarios.listByLevel(levelId);
+  return {
+    level,
+    badge: await badges.findByLevel(levelId),
+    scenarios: await Promise.all(
+      inLevel.map(async (scenario) => ({
+        scenario,
+        steps: await scenarioSteps.findByScenario(scenario.scenario_id),
+      }))
+    ),
+  };
+}
+
+/**
+ * Unlock a level for a user, as completing its prerequisites would, so a
+ * test can play it without playing the levels before it first.
+ *
+ * @param {import("../../src/container.js").Container} container - `api.container` from the harness.
+ * @param {number} userId
+ * @param {number} levelId
+ * @returns {Promise<void>}
+ */
+export async function unlockLevel(container, userId, levelId) {
+  await container.repositories.userLevels.upsertProgress({
+    user_id: userId,
+    level_id: levelId,
+    unlocked: true,
+    completed: false,
+  });
+}
+
+/**
+ * Register a user through the API, verify their email with the link from
+ * the outbox and log them in.
+ *
+ * @param {import("./harness.js").TestApi} api
+ * @param {object} [options]
+ * @param {string} [options.role="learner"] - Role stored for the user before logging in (e.g. `admin`).
+ * @param {string} [options.email] - Defaults to a fresh address.
+ * @returns {Promise<{user: object, token: string, refresh_token: string}>} The login response.
+ *
+ * @example
+ * const admin = await signUp(api, { role: "admin" });
+ * await api.request("POST", "/api/levels", { token: admin.token, body: { ... } });
+ */
+export async function signUp(api, { role = "learner", email } = {}) {
+  userCount += 1;
+  const address = email ?? `user${userCount}@example.com`;
+
+  const registered = await api.request("POST", "/api/users/register", {
+    body: { full_name: `Test User ${userCount}`, email: address, password: PASSWORD },
+  });
+  if (registered.status !== 201) throw new Error(`Register failed: ${JSON.stringify(registered.body)}`);
+
+  const mail = api.outbox.findLast((message) => message.to === address);
+  const token = /token=([\w-]+)/.exec(mail?.text ?? "")?.[1];
+  await api.request("POST", "/api/users/verify-email", { body: { token } });
+
+  if (role !== "learner") {
+    await api.container.repositories.users.update(registered.body.id, { role });
+  }
+
+  const login = await api.request("POST", "/api/users/login", {
+    body: { email: address, password: PASSWORD },
+  });
+  if (login.status !== 200) throw new Error(`Login failed: ${JSON.stringify(login.body)}`);
+  return login.body;
+}
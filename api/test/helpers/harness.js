@@ -0,0 +1,81 @@
+/**
+ * Test harness: starts the API on a free port, backed by the in-memory
+ * persistence driver, so every test file gets its own database loaded from
+ * `db/seeds` and nothing touches MySQL.
+ *
+ * Emails are not sent: they land in `api.outbox`, where tests pick up
+ * verification and reset links.
+ *
+ * @module test/helpers/harness
+ */
+
+// Read once when utils/jwt.js is first imported, so it must be set before the app loads
+process.env.JWT_SECRET ||= "test-secret";
+
+const { createApp } = await import("../../src/app.js");
+
+/**
+ * @typedef {object} ApiResponse
+ * @property {number} status - HTTP status code.
+ * @property {*} body - Parsed JSON body, the text of any other body, or null for an empty one.
+ * @property {Headers} headers - Response headers.
+ */
+
+/**
+ * @typedef {object} TestApi
+ * @property {import("express").Express} app
+ * @property {import("../../src/container.js").Container} container - Repositories and services the app runs on.
+ * @property {import("../../src/mail/createMailer.js").MailMessage[]} outbox - Every email the app sent, oldest first.
+ * @property {(method: string, path: string, options?: {body?: *, token?: string, headers?: Object<string, string>}) => Promise<ApiResponse>} request
+ *   Strings are sent as they are, anything else as JSON; `headers` can set another content type.
+ * @property {() => Promise<void>} close - Stop the server.
+ */
+
+/**
+ * Start a fresh API.
+ *
+ * @param {import("../../src/container.js").ContainerDeps} [deps={}] - Extra replacements, passed to `createApp`.
+ * @returns {Promise<TestApi>}
+ *
+ * @example
+ * const api = await startApi();
+ * const { status, body } = await api.request("GET", "/api/levels");
+ * await api.close();
+ */
+export async function startApi(deps = {}) {
+  const outbox = [];
+  const app = createApp({
+    env: { ...process.env, DB_DRIVER: "memory", DB_MEMORY_SEED: "true" },
+    mailer: { send: async (message) => void outbox.push(message) },
+    ...deps,
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { body, token, headers: extra } = {}) => {
+    const headers = {};
+    if (body !== undefined) headers["content-type"] = "application/json";
+    Object.assign(headers, extra);
+    if (token) headers.authorization = `Bearer ${token}`;
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    const json = res.headers.get("content-type")?.includes("json");
+    return { status: res.status, body: !text ? null : json ? JSON.parse(text) : text, headers: res.headers };
+  };
+
+  const close = () =>
+    new Promise((resolve) => {
+      server.closeAllConnections();
+      server.close(() => resolve());
+    });
+
+  return { app, container: app.locals.container, outbox, request, close };
+}
@@ -0,0 +1,96 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { PASSWORD, signUp } from "./helpers/fixtures.js";
+
+describe("login lockout", () => {
+  let api;
+  let admin;
+  let locked;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+  });
+
+  after(() => api.close());
+
+  const login = (email, password = "Wrong123!", target = api) =>
+    target.request("POST", "/api/users/login", { body: { email, password } });
+
+  const events = async (type, email) =>
+    (await api.request("GET", `/api/security-events?type=${type}&email=${encodeURIComponent(email)}`, {
+      token: admin.token,
+    })).body;
+
+  it("locks an account out after five failed logins and logs the lockout", async () => {
+    locked = await signUp(api);
+    const { email } = locked.user;
+
+    for (let i = 0; i < 4; i++) assert.equal((await login(email)).status, 401);
+    const fifth = await login(email);
+    assert.equal(fifth.status, 429);
+    assert.equal(fifth.body.code, "LOGIN_LOCKED");
+    assert.equal(fifth.headers.get("retry-after"), "60");
+
+    assert.equal((await login(email, PASSWORD)).status, 429, "the right password waits too");
+
+    const [lockout] = await events("login.lockout", email);
+    assert.equal(lockout.details.scope, "account");
+    assert.equal(lockout.details.seconds, 60);
+    assert.equal(lockout.details.lockouts, 1);
+  });
+
+  it("lets an admin lift a lockout, and logs who did", async () => {
+    const { email, id } = locked.user;
+
+    const res = await api.request("POST", `/api/users/${id}/unlock`, { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { unlocked: true });
+    assert.equal((await login(email, PASSWORD)).status, 200);
+
+    const [unlock] = await events("login.unlock", email);
+    assert.equal(unlock.actor_id, admin.user.id);
+    assert.equal(unlock.details.was_locked, true);
+
+    const learner = await signUp(api);
+    const refused = await api.request("POST", `/api/users/${id}/unlock`, { token: learner.token });
+    assert.equal(refused.status, 403);
+  });
+
+  it("doubles the lockout each time an account is locked out again", async (t) => {
+    const { email } = (await signUp(api)).user;
+    t.mock.timers.enable({ apis: ["Date"], now: Date.now() });
+
+    for (let i = 0; i < 5; i++) await login(email);
+    assert.equal((await login(email)).headers.get("retry-after"), "60");
+
+    t.mock.timers.tick(61 * 1000);
+    for (let i = 0; i < 4; i++) assert.equal((await login(email)).status, 401);
+    const second = await login(email);
+    assert.equal(second.status, 429);
+    assert.equal(second.headers.get("retry-after"), "120");
+
+    const lockouts = await events("login.lockout", email);
+    assert.deepEqual(lockouts.map((e) => e.details.seconds).sort((a, b) => a - b), [60, 120]);
+  });
+
+  it("does not let parallel guesses get past the limit", async () => {
+    const fresh = await startApi();
+    try {
+      const { email } = (await signUp(fresh)).user;
+
+      const statuses = (await Promise.all(Array.from({ length: 30 }, () => login(email, "Wrong123!", fresh)))).map(
+        (res) => res.status
+      );
+      assert.ok(statuses.filter((s) => s === 401).length < 5, `answered: ${statuses.join(", ")}`);
+      assert.equal(statuses.filter((s) => s !== 401 && s !== 429).length, 0);
+      assert.equal((await login(email, PASSWORD, fresh)).status, 429);
+
+      const record = await fresh.container.services.loginThrottle.store.get(`account:${email}`);
+      assert.equal(record.lockouts, 1, "in-flight guesses do not extend the lockout");
+    } finally {
+      await fresh.close();
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { answersFor, correctAnswer, seededLevel, signUp, unlockLevel } from "./helpers/fixtures.js";
+
+describe("play sessions", () => {
+  let api;
+  let player;
+  let basics;
+
+  before(async () => {
+    api = await startApi();
+    player = await signUp(api);
+    basics = await seededLevel(api.container, 1);
+  });
+
+  after(() => api.close());
+
+  const as = (path, method = "GET", body) => api.request(method, path, { token: player.token, body });
+
+  it("serves the next step only once its clock is running", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+    const id = scenario.scenario_id;
+
+    const started = await as(`/api/scenarios/${id}/sessions`, "POST");
+    assert.equal(started.status, 201);
+    assert.equal(started.body.current_step.step_id, steps[0].step_id);
+    assert.ok(started.body.step_deadline);
+
+    const sid = started.body.session_id;
+    const answered = await as(`/api/scenarios/${id}/sessions/${sid}/steps/${steps[0].step_id}/answer`, "POST", {
+      user_action: correctAnswer(steps[0]),
+    });
+    assert.equal(answered.status, 200);
+    assert.equal(answered.body.session.current_step, null, "the next question stays hidden");
+    assert.equal(answered.body.session.step_deadline, null);
+
+    const early = await as(`/api/scenarios/${id}/sessions/${sid}/steps/${steps[1].step_id}/answer`, "POST", {
+      user_action: correctAnswer(steps[1]),
+    });
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, "STEP_NOT_SERVED");
+
+    const served = await as(`/api/scenarios/${id}/sessions/${sid}`);
+    assert.equal(served.body.current_step.step_id, steps[1].step_id);
+    assert.ok(served.body.step_deadline);
+  });
+
+  it("refuses levels the player has not unlocked", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 2)).scenarios;
+    const id = scenario.scenario_id;
+
+    const locked = await as(`/api/scenarios/${id}/sessions`, "POST");
+    assert.equal(locked.status, 403);
+    assert.equal(locked.body.code, "LEVEL_LOCKED");
+
+    const admin = await signUp(api, { role: "admin" });
+    const submitted = await api.request("POST", `/api/scenarios/${id}/submit`, {
+      token: admin.token,
+      body: { userAnswers: answersFor(steps) },
+    });
+    assert.equal(submitted.status, 403, "staff runs are refused too");
+    assert.equal(submitted.body.code, "LEVEL_LOCKED");
+    assert.deepEqual(await api.container.repositories.userLevels.findByUser(admin.user.id), []);
+
+    await unlockLevel(api.container, player.user.id, 2);
+    assert.equal((await as(`/api/scenarios/${id}/sessions`, "POST")).status, 201);
+  });
+
+  it("keeps the last step open when the run cannot be recorded", async (t) => {
+    const [{ scenario, steps }] = basics.scenarios;
+    const id = scenario.scenario_id;
+    const { attempts } = api.container.repositories;
+
+    let view = (await as(`/api/scenarios/${id}/sessions`, "POST")).body;
+    const sid = view.session_id;
+    const answer = (step) =>
+      as(`/api/scenarios/${id}/sessions/${sid}/steps/${step.step_id}/answer`, "POST", {
+        user_action: correctAnswer(step),
+      });
+
+    for (const step of steps.slice(0, -1)) {
+      assert.equal((await answer(step)).status, 200);
+      view = (await as(`/api/scenarios/${id}/sessions/${sid}`)).body;
+    }
+    const last = steps.at(-1);
+    assert.equal(view.current_step.step_id, last.step_id);
+
+    t.mock.method(attempts, "create", async () => {
+      throw new Error("disk full");
+    }, { times: 1 });
+    assert.equal((await answer(last)).status, 500);
+
+    const kept = await as(`/api/scenarios/${id}/sessions/${sid}`);
+    assert.equal(kept.body.status, "active");
+    assert.equal(kept.body.current_step.step_id, last.step_id);
+
+    const retried = await answer(last);
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.finished, true);
+    assert.equal(retried.body.result.score, 100);
+    const linked = await as(`/api/scenarios/${id}/sessions/${sid}`);
+    assert.equal(linked.body.attempt_id, retried.body.result.attempt_id);
+  });
+});
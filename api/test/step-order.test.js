@@ -0,0 +1,95 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { seededLevel, signUp } from "./helpers/fixtures.js";
+
+describe("step order", () => {
+  let api;
+  let admin;
+  let learner;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+    learner = await signUp(api);
+  });
+
+  after(() => api.close());
+
+  const reorder = (scenarioId, step_ids, session = admin) =>
+    api.request("PUT", `/api/scenarios/${scenarioId}/steps/order`, { token: session.token, body: { step_ids } });
+
+  const stepsOf = async (scenarioId) =>
+    (await api.request("GET", `/api/scenario-steps?scenario_id=${scenarioId}`, { token: admin.token })).body;
+
+  it("renumbers a scenario's steps in the order given", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 2)).scenarios;
+    const id = scenario.scenario_id;
+    const reversed = steps.map((s) => s.step_id).reverse();
+
+    const res = await reorder(id, reversed);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((s) => s.step_id), reversed);
+    assert.deepEqual(res.body.map((s) => s.step_order), steps.map((_, i) => i + 1));
+    assert.deepEqual((await stepsOf(id)).map((s) => s.step_id), reversed);
+
+    const played = await api.request("GET", `/api/scenarios/${id}`);
+    assert.deepEqual(
+      played.body.steps.map((s) => s.step_id),
+      steps.map((s) => s.step_id),
+      "learners keep the published order until the next publish"
+    );
+  });
+
+  it("refuses a list that is not exactly the scenario's steps", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 3)).scenarios;
+    const id = scenario.scenario_id;
+    const ids = steps.map((s) => s.step_id);
+
+    const missing = await reorder(id, ids.slice(1));
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, "STEP_ORDER_MISMATCH");
+
+    const foreign = await reorder(id, [...ids, 9999]);
+    assert.equal(foreign.body.code, "STEP_ORDER_MISMATCH");
+
+    const twice = await reorder(id, [ids[0], ...ids]);
+    assert.equal(twice.status, 400);
+    assert.equal(twice.body.details[0].field, "step_ids");
+
+    assert.deepEqual((await stepsOf(id)).map((s) => s.step_id), ids);
+    assert.equal((await reorder(9999, ids)).status, 404);
+    assert.equal((await reorder(id, ids, learner)).status, 403);
+  });
+
+  it("keeps step orders unique within a scenario", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 4)).scenarios;
+    const [first, second] = steps;
+    const step = {
+      scenario_id: scenario.scenario_id,
+      question_text: "Is the burn larger than a palm?",
+      type: "true_false",
+      answer: true,
+    };
+
+    const taken = await api.request("POST", "/api/scenario-steps", {
+      token: admin.token,
+      body: { ...step, step_order: first.step_order },
+    });
+    assert.equal(taken.status, 409);
+    assert.equal(taken.body.code, "STEP_ORDER_TAKEN");
+
+    const moved = await api.request("PUT", `/api/scenario-steps/${second.step_id}`, {
+      token: admin.token,
+      body: { ...step, step_order: first.step_order },
+    });
+    assert.equal(moved.status, 409);
+    assert.equal(moved.body.code, "STEP_ORDER_TAKEN");
+
+    const kept = await api.request("PUT", `/api/scenario-steps/${second.step_id}`, {
+      token: admin.token,
+      body: { ...step, step_order: second.step_order },
+    });
+    assert.equal(kept.status, 200, "a step may keep its own order");
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { signUp } from "./helpers/fixtures.js";
+
+const HEADER = "scenario_id,step_order,question_text,option_a,option_b,option_c,option_d,correct_action,feedback_message";
+
+describe("scenario step CSV import", () => {
+  let api;
+  let admin;
+  let learner;
+  let scenarioId;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+    learner = await signUp(api);
+
+    const scenario = await api.request("POST", "/api/scenarios", {
+      token: admin.token,
+      body: { level_id: 1, title: "Imported Scenario" },
+    });
+    scenarioId = scenario.body.scenario_id;
+  });
+
+  after(() => api.close());
+
+  const importCsv = (text, session = admin) =>
+    api.request("POST", "/api/scenario-steps/import", {
+      token: session.token,
+      body: text,
+      headers: { "content-type": "text/csv" },
+    });
+
+  const stepsOf = async (id) =>
+    (await api.request("GET", `/api/scenario-steps?scenario_id=${id}`, { token: admin.token })).body;
+
+  it("creates the valid rows and reports the others by row and column", async () => {
+    const res = await importCsv(
+      [
+        HEADER,
+        `${scenarioId},1,"Is the area safe, and are you?",Yes,No,Unsure,Skip,A,"Check for ""danger"" first."`,
+        `${scenarioId},2,Bad,Yes,No,Unsure,Skip,E,`,
+        "",
+        `${scenarioId},3,"Who do you call
+for help?",Ambulance,Friend,Nobody,Police,A,`,
+        `999,1,Does this scenario exist?,Yes,No,Maybe,Skip,B,`,
+      ].join("\r\n")
+    );
+    assert.equal(res.status, 201);
+    assert.equal(res.body.created, 2);
+    assert.deepEqual(
+      res.body.errors.map(({ row, field }) => [row, field]),
+      [
+        [3, "question_text"],
+        [3, "correct_action"],
+        [6, "scenario_id"],
+      ]
+    );
+
+    const steps = await stepsOf(scenarioId);
+    assert.deepEqual(steps.map((s) => s.step_order), [1, 3]);
+    assert.equal(steps[0].question_text, "Is the area safe, and are you?");
+    assert.equal(steps[0].feedback_message, 'Check for "danger" first.');
+    assert.equal(steps[1].question_text, "Who do you call\nfor help?");
+    assert.equal(steps[1].correct_action, "A");
+  });
+
+  it("takes the columns in any order and without feedback", async () => {
+    const res = await importCsv(
+      `Question_Text,correct_action,option_d,option_c,option_b,option_a,step_order,scenario_id\n` +
+        `Is the casualty breathing?,B,d,c,b,a,4,${scenarioId}\n`
+    );
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.errors, []);
+    assert.deepEqual(res.body.steps[0].options, { A: "a", B: "b", C: "c", D: "d" });
+  });
+
+  it("creates nothing and answers 200 when every row is invalid", async () => {
+    const res = await importCsv(`${HEADER}\n${scenarioId},0,Bad,a,b,c,d,A,\n`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.created, 0);
+    assert.equal(res.body.errors.length, 2);
+  });
+
+  it("rejects a file with missing or unknown columns", async () => {
+    const missing = await importCsv(`scenario_id,question_text\n${scenarioId},Is it safe?\n`);
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, "VALIDATION_FAILED");
+    assert.match(missing.body.message, /Missing columns: step_order, option_a/);
+
+    const unknown = await importCsv(`${HEADER},notes\n`);
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.message, /Unknown columns: notes/);
+
+    const unclosed = await importCsv(`${HEADER}\n${scenarioId},5,"Never closed,a,b,c,d,A,\n`);
+    assert.equal(unclosed.status, 400);
+    assert.equal(unclosed.body.details[0].field, "body");
+  });
+
+  it("skips rows whose step order the scenario already has", async () => {
+    const res = await importCsv(
+      [
+        HEADER,
+        `${scenarioId},1,Already step one?,a,b,c,d,A,`,
+        `${scenarioId},6,Is the airway clear?,a,b,c,d,B,`,
+        `${scenarioId},6,Also step six?,a,b,c,d,C,`,
+      ].join("\n")
+    );
+    assert.equal(res.status, 201);
+    assert.equal(res.body.created, 1);
+    assert.deepEqual(
+      res.body.errors.map(({ row, field }) => [row, field]),
+      [
+        [2, "step_order"],
+        [4, "step_order"],
+      ]
+    );
+    assert.equal((await stepsOf(scenarioId)).filter((s) => s.step_order === 6).length, 1);
+  });
+
+  it("needs step:write", async () => {
+    const res = await importCsv(`${HEADER}\n${scenarioId},5,Is it safe?,a,b,c,d,A,\n`, learner);
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, "MISSING_PERMISSION");
+  });
+});
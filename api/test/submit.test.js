@@ -0,0 +1,178 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { answersFor, correctAnswer, playRun, seededLevel, signUp, wrongAnswer } from "./helpers/fixtures.js";
+
+describe("recording scenario runs", () => {
+  let api;
+  let player;
+  let admin;
+  let basics;
+
+  before(async () => {
+    api = await startApi();
+    player = await signUp(api);
+    admin = await signUp(api, { role: "admin" });
+    basics = await seededLevel(api.container, 1);
+  });
+
+  after(() => api.close());
+
+  /** Play a run as the player; resolves to the recorded result. */
+  const play = async (scenarioId, answers) => {
+    const res = await playRun(api, player, scenarioId, answers);
+    assert.equal(res.status, 200);
+    return res.body.result;
+  };
+
+  const submit = (scenarioId, userAnswers, session = admin) =>
+    api.request("POST", `/api/scenarios/${scenarioId}/submit`, {
+      token: session.token,
+      body: { userAnswers },
+    });
+
+  it("scores wrong answers without completing the level", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+
+    const result = await play(scenario.scenario_id, answersFor(steps, wrongAnswer));
+
+    assert.equal(result.score, 0);
+    assert.equal(result.all_correct, false);
+    assert.ok(result.attempt_id);
+    assert.equal(result.level_progress.completed, false);
+    assert.equal(result.awarded_badge, undefined);
+    assert.ok(result.steps_feedback.every((step) => !step.is_correct));
+  });
+
+  it("keeps the level open until every scenario meets the completion rule", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+
+    const result = await play(scenario.scenario_id, answersFor(steps));
+
+    assert.equal(result.score, 100);
+    assert.equal(result.level_progress.completed, false);
+    assert.equal(result.awarded_badge, undefined);
+  });
+
+  it("completes the level, unlocks the next one and awards the level badge", async () => {
+    const { scenario, steps } = basics.scenarios.at(-1);
+
+    const result = await play(scenario.scenario_id, answersFor(steps));
+
+    assert.equal(result.level_progress.completed, true);
+    assert.deepEqual(result.level_progress.levels_unlocked, [2]);
+    assert.equal(result.awarded_badge.badge_id, basics.badge.badge_id);
+    assert.equal(result.updated_scenario.scenario_id, scenario.scenario_id);
+  });
+
+  it("does not award the badge twice", async () => {
+    const { scenario, steps } = basics.scenarios.at(-1);
+
+    const result = await play(scenario.scenario_id, answersFor(steps));
+
+    assert.equal(result.level_progress.completed, true);
+    assert.equal(result.awarded_badge, undefined);
+  });
+
+  it("shows the result in the player's badges, levels and history", async () => {
+    const userId = player.user.id;
+    const { token } = player;
+
+    const badges = await api.request("GET", `/api/user-badges?user_id=${userId}`, { token });
+    assert.equal(badges.status, 200);
+    assert.deepEqual(
+      badges.body.map((row) => row.badge_id),
+      [basics.badge.badge_id]
+    );
+
+    const levels = await api.request("GET", `/api/user-levels/by-user/${userId}/levels`, { token });
+    assert.equal(levels.status, 200);
+    const byLevel = new Map(levels.body.map((row) => [row.level_id, row]));
+    assert.ok(byLevel.get(1).completed);
+    assert.ok(byLevel.get(2).unlocked);
+    assert.ok(!byLevel.get(2).completed);
+    assert.equal(byLevel.has(3), false);
+
+    const [{ scenario }] = basics.scenarios;
+    const history = await api.request(
+      "GET",
+      `/api/attempts/user/${userId}/scenario/${scenario.scenario_id}/history`,
+      { token }
+    );
+    assert.equal(history.status, 200);
+    assert.deepEqual(
+      history.body.map((attempt) => attempt.score),
+      [0, 100]
+    );
+  });
+
+  it("does not let one player read another player's progress", async () => {
+    const other = await signUp(api);
+
+    const res = await api.request("GET", `/api/user-badges?user_id=${player.user.id}`, {
+      token: other.token,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("requires a logged-in player", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+
+    const res = await api.request("POST", `/api/scenarios/${scenario.scenario_id}/submit`, {
+      body: { userAnswers: answersFor(steps) },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("scores a whole run at once for staff, but not for learners", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+
+    const refused = await submit(scenario.scenario_id, {}, player);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, "MISSING_PERMISSION");
+    assert.equal(refused.body.steps_feedback, undefined, "no answers leak to learners");
+
+    const checked = await submit(scenario.scenario_id, answersFor(steps));
+    assert.equal(checked.status, 200);
+    assert.equal(checked.body.score, 100);
+  });
+
+  it("takes answers keyed by step_id, not by position", async () => {
+    const [{ scenario, steps }] = basics.scenarios;
+
+    const res = await submit(scenario.scenario_id, steps.map(correctAnswer));
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, "userAnswers");
+  });
+
+  it("answers 404 for an unknown scenario", async () => {
+    const res = await submit(9999, {});
+    assert.equal(res.status, 404);
+  });
+
+  it("keeps a completed level completed when a re-run fails it", async () => {
+    const levelId = basics.level.level_id;
+    const created = await api.request("POST", "/api/scenarios", {
+      token: admin.token,
+      body: { level_id: levelId, title: "Second Kitchen Fire" },
+    });
+    const id = created.body.scenario_id;
+    const step = await api.request("POST", "/api/scenario-steps", {
+      token: admin.token,
+      body: { scenario_id: id, step_order: 1, question_text: "Is water safe on a grease fire?", type: "true_false", answer: false },
+    });
+    assert.equal(step.status, 201);
+    for (const status of ["review", "published"]) {
+      const moved = await api.request("PUT", `/api/scenarios/${id}/status`, { token: admin.token, body: { status } });
+      assert.equal(moved.status, 200);
+    }
+
+    const [{ scenario, steps }] = basics.scenarios;
+    const result = await play(scenario.scenario_id, answersFor(steps, wrongAnswer));
+    assert.equal(result.level_progress.completed, true, "the new scenario is still to play, but the level stays done");
+    assert.equal(result.level_progress.remaining, 1);
+
+    const stored = await api.container.repositories.userLevels.findByUserAndLevel(player.user.id, levelId);
+    assert.ok(stored.completed);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { signUp } from "./helpers/fixtures.js";
+
+const mcStep = {
+  scenario_id: 1,
+  step_order: 9,
+  question_text: "Which number do you call?",
+  option_a: "112",
+  option_b: "411",
+  option_c: "0",
+  option_d: "None",
+  correct_action: "A",
+};
+
+/**
+ * Requests every validator must turn away, with the field it should blame.
+ * `admin: true` sends them with an admin token so the permission check
+ * passes and the validator is what answers.
+ */
+const rejected = [
+  { method: "GET", path: "/api/levels/abc", field: "id" },
+  { method: "POST", path: "/api/levels", admin: true, body: { difficulty_order: 7 }, field: "title" },
+  { method: "POST", path: "/api/levels", admin: true, body: { title: "Seven", difficulty_order: 0 }, field: "difficulty_order" },
+  { method: "POST", path: "/api/levels", admin: true, body: { title: "Seven", difficulty_order: 7, pass_threshold: 101 }, field: "pass_threshold" },
+  { method: "POST", path: "/api/levels", admin: true, body: { title: "Seven", difficulty_order: 7, prerequisites: [0] }, field: "prerequisites[0]" },
+  { method: "POST", path: "/api/levels", admin: true, body: { title: "Seven", difficulty_order: 7, completion_rule: { type: "luck" } }, field: "completion_rule" },
+  { method: "GET", path: "/api/scenarios/level/x", field: "levelId" },
+  { method: "POST", path: "/api/scenarios", admin: true, body: { title: "No level" }, field: "level_id" },
+  { method: "POST", path: "/api/scenarios", admin: true, body: { level_id: 1, title: "" }, field: "title" },
+  { method: "POST", path: "/api/scenario-steps", admin: true, body: { ...mcStep, question_text: "Hm?" }, field: "question_text" },
+  { method: "POST", path: "/api/scenario-steps", admin: true, body: { ...mcStep, correct_action: "E" }, field: "correct_action" },
+  { method: "POST", path: "/api/scenario-steps", admin: true, body: { ...mcStep, option_d: undefined }, field: "option_d" },
+  { method: "POST", path: "/api/badges", admin: true, body: { level_id: 1, name: "Icon", icon_url: "not a url" }, field: "icon_url" },
+  { method: "POST", path: "/api/badges", admin: true, body: { level_id: -1, name: "Nowhere" }, field: "level_id" },
+  { method: "POST", path: "/api/users/register", body: { full_name: "No Password", email: "np@example.com" }, field: "password" },
+  { method: "POST", path: "/api/users/register", body: { full_name: "Bad Mail", email: "nope", password: "Secret123!" }, field: "email" },
+  { method: "POST", path: "/api/users/register", body: { email: "nn@example.com", password: "Secret123!" }, field: "full_name" },
+  { method: "POST", path: "/api/users/login", body: { email: "nope", password: "Secret123!" }, field: "email" },
+  { method: "POST", path: "/api/users/login", body: { email: "np@example.com" }, field: "password" },
+  { method: "POST", path: "/api/users/refresh", body: {}, field: "refresh_token" },
+  { method: "POST", path: "/api/users/verify-email/resend", body: { email: "nope" }, field: "email" },
+];
+
+describe("request validation", () => {
+  let api;
+  let admin;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+  });
+
+  after(() => api.close());
+
+  for (const { method, path, admin: asAdmin, body, field } of rejected) {
+    it(`${method} ${path} rejects a bad ${field}`, async () => {
+      const res = await api.request(method, path, { body, token: asAdmin ? admin.token : undefined });
+
+      assert.equal(res.status, 400);
+      assert.equal(res.body.error, true);
+      assert.equal(res.body.code, "VALIDATION_FAILED");
+      assert.ok(
+        res.body.details.some((detail) => detail.field === field),
+        `expected ${field} in ${JSON.stringify(res.body.details)}`
+      );
+    });
+  }
+
+  it("does not store anything a validator rejected", async () => {
+    const levelsBefore = await api.request("GET", "/api/levels");
+    await api.request("POST", "/api/levels", { token: admin.token, body: { title: "", difficulty_order: 7 } });
+    const levelsAfter = await api.request("GET", "/api/levels");
+
+    assert.equal(levelsAfter.body.length, levelsBefore.body.length);
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startApi } from "./helpers/harness.js";
+import { answersFor, seededLevel, signUp, unlockLevel } from "./helpers/fixtures.js";
+
+describe("scenario publishing and versions", () => {
+  let api;
+  let admin;
+  let author;
+  let reviewer;
+  let learner;
+
+  before(async () => {
+    api = await startApi();
+    admin = await signUp(api, { role: "admin" });
+    author = await signUp(api, { role: "content_author" });
+    reviewer = await signUp(api, { role: "reviewer" });
+    learner = await signUp(api);
+  });
+
+  after(() => api.close());
+
+  const as = (session) => ({
+    get: (path) => api.request("GET", path, { token: session.token }),
+    post: (path, body) => api.request("POST", path, { token: session.token, body }),
+    put: (path, body) => api.request("PUT", path, { token: session.token, body }),
+  });
+
+  const setStatus = (id, status, session = admin, note) =>
+    as(session).put(`/api/scenarios/${id}/status`, { status, note });
+
+  /** Edit a step's question, keeping everything else. */
+  const reword = (step, question_text) =>
+    as(author).put(`/api/scenario-steps/${step.step_id}`, {
+      scenario_id: step.scenario_id,
+      step_order: step.step_order,
+      question_text,
+      type: step.type,
+      options: step.options,
+      answer: step.answer,
+      branches: step.branches,
+      feedback_message: step.feedback_message,
+    });
+
+  it("keeps serving the published version while a seeded scenario is edited", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 2)).scenarios;
+    const id = scenario.scenario_id;
+
+    const edited = await reword(steps[0], "A reworded first question?");
+    assert.equal(edited.status, 200);
+
+    const played = await api.request("GET", `/api/scenarios/${id}`);
+    assert.equal(played.status, 200);
+    assert.equal(played.body.version, 1);
+    assert.equal(played.body.steps[0].question_text, steps[0].question_text);
+
+    const [working] = (await as(author).get("/api/scenarios/authoring")).body.filter((s) => s.scenario_id === id);
+    assert.equal(working.status, "draft");
+    assert.equal(working.published_version, 1);
+
+    const versions = await as(reviewer).get(`/api/scenarios/${id}/versions`);
+    assert.equal(versions.status, 200);
+    assert.deepEqual(
+      versions.body.map((v) => [v.version, v.note, v.step_count]),
+      [[1, "Published before versioning", steps.length]]
+    );
+
+    const diff = await as(reviewer).get(`/api/scenarios/${id}/diff`);
+    assert.equal(diff.status, 200);
+    assert.deepEqual(diff.body.summary, { create: 0, update: 1, delete: 0, unchanged: steps.length });
+    const change = diff.body.changes.find((c) => c.action === "update");
+    assert.equal(change.key, steps[0].slug);
+    assert.deepEqual(change.changes, {
+      question_text: { from: steps[0].question_text, to: "A reworded first question?" },
+    });
+  });
+
+  it("publishes through review, each move needing its own permission", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 3)).scenarios;
+    const id = scenario.scenario_id;
+    await reword(steps[0], "Reviewed wording?");
+
+    const early = await setStatus(id, "published", reviewer);
+    assert.equal(early.status, 409);
+    assert.equal(early.body.code, "INVALID_STATUS_TRANSITION");
+
+    assert.equal((await setStatus(id, "review", author)).status, 200);
+    const refused = await setStatus(id, "published", author);
+    assert.equal(refused.status, 403);
+    assert.equal(refused.body.code, "MISSING_PERMISSION");
+
+    const sentBack = await setStatus(id, "draft", reviewer, "Step 1 needs a source");
+    assert.equal(sentBack.body.status, "draft");
+    assert.equal((await setStatus(id, "review", author)).status, 200);
+
+    const published = await setStatus(id, "published", reviewer, "Clearer first step");
+    assert.equal(published.status, 200);
+    assert.equal(published.body.status, "published");
+    assert.equal(published.body.published_version, 2);
+
+    const played = await api.request("GET", `/api/scenarios/${id}`);
+    assert.equal(played.body.version, 2);
+    assert.equal(played.body.steps[0].question_text, "Reviewed wording?");
+
+    const version = await as(reviewer).get(`/api/scenarios/${id}/versions/2`);
+    assert.equal(version.body.note, "Clearer first step");
+    assert.equal(version.body.published_by, reviewer.user.id);
+    assert.notEqual(version.body.steps[0].answer, undefined, "versions keep the answers");
+  });
+
+  it("hides new scenarios from learners until they are published", async () => {
+    const created = await as(author).post("/api/scenarios", { level_id: 4, title: "Hot Pan" });
+    const id = created.body.scenario_id;
+    assert.equal(created.body.status, "draft");
+
+    const listed = await api.request("GET", "/api/scenarios/level/4");
+    assert.ok(listed.body.every((s) => s.scenario_id !== id));
+    assert.equal((await api.request("GET", `/api/scenarios/${id}`)).status, 404);
+    assert.equal((await as(learner).post(`/api/scenarios/${id}/sessions`)).status, 404);
+
+    await setStatus(id, "review", author);
+    const empty = await setStatus(id, "published", reviewer);
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.code, "EMPTY_SCENARIO");
+
+    const diff = await as(author).get(`/api/scenarios/${id}/diff?from=published&to=draft`);
+    assert.equal(diff.body.changes[0].changes.title.to, "Hot Pan");
+  });
+
+  it("plays, scores and records the version a run started on", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 5)).scenarios;
+    const id = scenario.scenario_id;
+    await unlockLevel(api.container, learner.user.id, 5);
+    await unlockLevel(api.container, admin.user.id, 5);
+
+    const session = await as(learner).post(`/api/scenarios/${id}/sessions`);
+    assert.equal(session.status, 201);
+    assert.equal(session.body.scenario_version, 1);
+
+    await reword(steps[0], "Changed mid-run?");
+    await setStatus(id, "review", author);
+    await setStatus(id, "published", reviewer);
+
+    const resumed = await as(learner).get(`/api/scenarios/${id}/sessions/${session.body.session_id}`);
+    assert.equal(resumed.body.current_step.question_text, steps[0].question_text);
+
+    const submitted = await as(admin).post(`/api/scenarios/${id}/submit`, { userAnswers: answersFor(steps) });
+    assert.equal(submitted.status, 200);
+    assert.equal(submitted.body.score, 100);
+    assert.equal(submitted.body.updated_scenario.version, 2);
+    const attempt = await api.container.repositories.attempts.findById(submitted.body.attempt_id);
+    assert.equal(attempt.scenario_version, 2);
+  });
+
+  it("rolls back by publishing an earlier version again", async () => {
+    const [{ scenario, steps }] = (await seededLevel(api.container, 6)).scenarios;
+    const id = scenario.scenario_id;
+    await reword(steps[0], "A mistake?");
+    await setStatus(id, "review", author);
+    await setStatus(id, "published", reviewer);
+
+    const refused = await as(author).post(`/api/scenarios/${id}/versions/1/rollback`, {});
+    assert.equal(refused.status, 403);
+
+    const current = await as(reviewer).post(`/api/scenarios/${id}/versions/2/rollback`, {});
+    assert.equal(current.status, 409);
+    assert.equal(current.body.code, "ALREADY_PUBLISHED");
+
+    const rolledBack = await as(reviewer).post(`/api/scenarios/${id}/versions/1/rollback`, {});
+    assert.equal(rolledBack.status, 201);
+    assert.equal(rolledBack.body.version, 3);
+    assert.equal(rolledBack.body.note, "Rollback to version 1");
+
+    const played = await api.request("GET", `/api/scenarios/${id}`);
+    assert.equal(played.body.version, 3);
+    assert.equal(played.body.steps[0].question_text, steps[0].question_text);
+
+    const [working] = (await as(author).get("/api/scenarios/authoring")).body.filter((s) => s.scenario_id === id);
+    assert.equal(working.status, "draft", "the working copy keeps the edit");
+    const diff = await as(author).get(`/api/scenarios/${id}/diff?from=1&to=3`);
+    assert.equal(diff.body.summary.update, 0);
+
+    assert.equal((await as(reviewer).get(`/api/scenarios/${id}/versions/9`)).status, 404);
+    assert.equal((await as(learner).get(`/api/scenarios/${id}/versions`)).status, 403);
+  });
+});
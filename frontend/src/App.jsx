@@ -5,7 +5,9 @@
  * -----------------------------------------------------------------------------
  * Top-level router and layout for SimAid.
  * - Renders a global header (brand + scroll-to-top), routed page content, and footer.
- * - Uses `Routes` to map all public pages: landing, auth, profile, home, levels, scenarios, legal.
+ * - Uses `Routes` to map all public pages: landing, auth (incl. password reset and
+ *   email verification), profile, home, levels, scenarios, legal.
+ * - `/admin/*` is the content-authoring console, guarded by AdminRoute.
  * - Applies `100svh` handling for the landing page to fill safe viewport height on mobile.
  *
  * Accessibility
@@ -24,6 +26,11 @@ import LevelPage from "./pages/levelPage";
 import ScenarioPage from "./pages/scenarioPage";
 import PrivacyPage from "./pages/privacyPage";
 import TermsPage from "./pages/termsPage";
+import ForgotPasswordPage from "./pages/forgotPasswordPage";
+import ResetPasswordPage from "./pages/resetPasswordPage";
+import VerifyEmailPage from "./pages/verifyEmailPage";
+import AdminPage from "./pages/adminPage";
+import AdminRoute from "./components/admin/AdminRoute";
 import "./App.css";
 
 export default function App() {
@@ -56,6 +63,9 @@ export default function App() {
           <Route path="/" element={<LandingPage />} />
           <Route path="/signup" element={<SignUpPage />} />
           <Route path="/login" element={<LoginPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password" element={<ResetPasswordPage />} />
+          <Route path="/verify-email" element={<VerifyEmailPage />} />
           <Route path="/home" element={<HomePage/>} />
           <Route path="/profile" element={<ProfilePage/>} />
           {/* key forces re-mount when navigating between different levelId routes */}
@@ -63,6 +73,7 @@ export default function App() {
           <Route path="/level/:levelId/scenario/:scenarioId" element={<ScenarioPage />} />
           <Route path="/privacy" element={<PrivacyPage/>} />
           <Route path="/terms" element={<TermsPage/>} />
+          <Route path="/admin/*" element={<AdminRoute><AdminPage /></AdminRoute>} />
         </Routes>
       </main>
 
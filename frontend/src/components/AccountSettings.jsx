@@ -0,0 +1,178 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * ⚙️ AccountSettings
+ *
+ * Self-service account section of the profile page, with three forms:
+ * - **Name**: update the display name
+ * - **Password**: change it after confirming the current one (other devices
+ *   are logged out by the server)
+ * - **Delete account**: permanently remove the account and all progress,
+ *   confirmed with the password and a typed `DELETE`
+ *
+ * Each form keeps its own busy/error/success state so one failing request
+ * does not hide the others' feedback.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Object|null} props.user - The signed-in user (`name` / `full_name`).
+ * @param {(data: { full_name: string }) => Promise<any>} props.onUpdateName - Saves the new name.
+ * @param {(data: { current_password: string, new_password: string }) => Promise<any>} props.onChangePassword - Changes the password.
+ * @param {(password: string) => Promise<any>} props.onDeleteAccount - Deletes the account.
+ *
+ * @example
+ * <AccountSettings
+ *   user={user}
+ *   onUpdateName={updateProfile}
+ *   onChangePassword={changePassword}
+ *   onDeleteAccount={async (pw) => { await deleteAccount(pw); navigate("/"); }}
+ * />
+ */
+export default function AccountSettings({ user, onUpdateName, onChangePassword, onDeleteAccount }) {
+  const currentName = user?.full_name || user?.name || "";
+
+  const [name, setName] = useState(currentName);
+  const [nameState, setNameState] = useState({ busy: false, error: "", ok: "" });
+
+  const [pw, setPw] = useState({ current: "", next: "", confirm: "" });
+  const [pwState, setPwState] = useState({ busy: false, error: "", ok: "" });
+
+  const [del, setDel] = useState({ password: "", confirm: "" });
+  const [delState, setDelState] = useState({ busy: false, error: "" });
+
+  // Keep the name field in sync once the user has loaded.
+  useEffect(() => setName(currentName), [currentName]);
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const saveName = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return setNameState({ busy: false, error: "Please enter your name.", ok: "" });
+    setNameState({ busy: true, error: "", ok: "" });
+    try {
+      await onUpdateName({ full_name: trimmed });
+      setNameState({ busy: false, error: "", ok: "Name updated." });
+    } catch (err) {
+      setNameState({ busy: false, error: err.message || "Could not update your name.", ok: "" });
+    }
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const savePassword = async (e) => {
+    e.preventDefault();
+    if (!pw.current) return setPwState({ busy: false, error: "Enter your current password.", ok: "" });
+    if (pw.next.length < 6) {
+      return setPwState({ busy: false, error: "New password must be at least 6 characters.", ok: "" });
+    }
+    if (pw.next !== pw.confirm) return setPwState({ busy: false, error: "Passwords do not match.", ok: "" });
+
+    setPwState({ busy: true, error: "", ok: "" });
+    try {
+      await onChangePassword({ current_password: pw.current, new_password: pw.next });
+      setPw({ current: "", next: "", confirm: "" });
+      setPwState({ busy: false, error: "", ok: "Password changed. Your other devices have been logged out." });
+    } catch (err) {
+      setPwState({ busy: false, error: err.message || "Could not change your password.", ok: "" });
+    }
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const deleteAccount = async (e) => {
+    e.preventDefault();
+    if (!del.password) return setDelState({ busy: false, error: "Enter your password to confirm." });
+    if (del.confirm !== "DELETE") return setDelState({ busy: false, error: 'Type "DELETE" to confirm.' });
+
+    setDelState({ busy: true, error: "" });
+    try {
+      await onDeleteAccount(del.password);
+    } catch (err) {
+      setDelState({ busy: false, error: err.message || "Could not delete your account." });
+    }
+  };
+
+  return (
+    <section className="account-settings">
+      <h3>Account Settings ⚙️</h3>
+
+      <form className="settings-card" onSubmit={saveName}>
+        <h4>Profile</h4>
+        <label htmlFor="settings-name">Full name</label>
+        <input
+          id="settings-name"
+          value={name}
+          maxLength={100}
+          onChange={(e) => setName(e.target.value)}
+          disabled={nameState.busy}
+        />
+        <button type="submit" className="btn small primary" disabled={nameState.busy || name.trim() === currentName}>
+          {nameState.busy ? "Saving…" : "Save name"}
+        </button>
+        {nameState.error && <p className="settings-error">{nameState.error}</p>}
+        {nameState.ok && <p className="settings-ok" role="status">{nameState.ok}</p>}
+      </form>
+
+      <form className="settings-card" onSubmit={savePassword}>
+        <h4>Change password</h4>
+        <label htmlFor="settings-current-pw">Current password</label>
+        <input
+          id="settings-current-pw"
+          type="password"
+          autoComplete="current-password"
+          value={pw.current}
+          onChange={(e) => setPw((p) => ({ ...p, current: e.target.value }))}
+          disabled={pwState.busy}
+        />
+        <label htmlFor="settings-new-pw">New password</label>
+        <input
+          id="settings-new-pw"
+          type="password"
+          autoComplete="new-password"
+          value={pw.next}
+          onChange={(e) => setPw((p) => ({ ...p, next: e.target.value }))}
+          disabled={pwState.busy}
+        />
+        <label htmlFor="settings-confirm-pw">Confirm new password</label>
+        <input
+          id="settings-confirm-pw"
+          type="password"
+          autoComplete="new-password"
+          value={pw.confirm}
+          onChange={(e) => setPw((p) => ({ ...p, confirm: e.target.value }))}
+          disabled={pwState.busy}
+        />
+        <button type="submit" className="btn small primary" disabled={pwState.busy}>
+          {pwState.busy ? "Saving…" : "Change password"}
+        </button>
+        {pwState.error && <p className="settings-error">{pwState.error}</p>}
+        {pwState.ok && <p className="settings-ok" role="status">{pwState.ok}</p>}
+      </form>
+
+      <form className="settings-card danger-zone" onSubmit={deleteAccount}>
+        <h4>Delete account</h4>
+        <p className="muted">
+          This permanently deletes your account, attempts, level progress and badges. It cannot be undone.
+        </p>
+        <label htmlFor="settings-delete-pw">Password</label>
+        <input
+          id="settings-delete-pw"
+          type="password"
+          autoComplete="current-password"
+          value={del.password}
+          onChange={(e) => setDel((d) => ({ ...d, password: e.target.value }))}
+          disabled={delState.busy}
+        />
+        <label htmlFor="settings-delete-confirm">Type DELETE to confirm</label>
+        <input
+          id="settings-delete-confirm"
+          value={del.confirm}
+          onChange={(e) => setDel((d) => ({ ...d, confirm: e.target.value }))}
+          disabled={delState.busy}
+        />
+        <button type="submit" className="btn small danger" disabled={delState.busy}>
+          {delState.busy ? "Deleting…" : "Delete my account"}
+        </button>
+        {delState.error && <p className="settings-error">{delState.error}</p>}
+      </form>
+    </section>
+  );
+}
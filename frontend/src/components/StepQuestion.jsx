@@ -0,0 +1,267 @@
+import React, { useState } from "react";
+import "./step-question.css";
+
+/**
+ * 🧩 StepQuestion Component
+ *
+ * Renders the answer area of a scenario step for its question type and
+ * reports the learner's answer through `onAnswer`:
+ * - `multiple_choice` / `true_false`: a single pick, sent immediately.
+ * - `multi_select`: "choose all that apply", sent with a confirm button.
+ * - `ordering`: move items up/down into sequence, sent with a confirm button.
+ * - `hotspot`: tap a point on an image, sent with a confirm button.
+ *
+ * After the step is answered, `revealed.correct` (the server's canonical
+ * answer, e.g. "B", "A,C", "TRUE") marks the right options; for hotspots
+ * `revealed.correctAnswer` holds the target area `{ x, y, radius }`.
+ *
+ * Give the component a `key` per step so its local selection resets.
+ *
+ * @component
+ * @param {object} props - Component props
+ * @param {object} props.step - Public step ({ type, options })
+ * @param {*} [props.picked] - The answer sent for this step, if any
+ * @param {object|null} [props.revealed] - Server feedback once the step is answered
+ * @param {boolean} [props.disabled] - Disable input (answer in flight or revealed)
+ * @param {Function} props.onAnswer - Called with the learner's answer
+ *
+ * @example
+ * <StepQuestion key={step.step_id} step={step} revealed={revealed} onAnswer={send} />
+ */
+export default function StepQuestion({ step, picked, revealed, disabled, onAnswer }) {
+  const props = { step, picked, revealed, disabled: disabled || !!revealed, onAnswer };
+
+  switch (step?.type) {
+    case "multi_select":
+      return <MultiSelectQuestion {...props} />;
+    case "ordering":
+      return <OrderingQuestion {...props} />;
+    case "hotspot":
+      return <HotspotQuestion {...props} />;
+    default:
+      return <SingleChoiceQuestion {...props} />;
+  }
+}
+
+/**
+ * Human-readable form of a canonical answer, for reveal panels and the debrief.
+ *
+ * @component
+ * @param {object} props
+ * @param {object} props.step - Step (or feedback entry) with `type` and, when known, `options`
+ * @param {string|null} props.value - Canonical answer ("B", "A,C", "B,A,C", "TRUE", "40,62")
+ */
+export function AnswerText({ step, value }) {
+  if (!value || value === "No answer") return <>No answer</>;
+  const options = step?.options || {};
+
+  switch (step?.type) {
+    case "true_false":
+      return <>{options[value] || (value === "TRUE" ? "True" : "False")}</>;
+    case "multi_select":
+      return <>{value.split(",").join(", ")}</>;
+    case "ordering":
+      return <>{value.split(",").map((key) => options[key] || key).join(" → ")}</>;
+    case "hotspot":
+      return <>the marked area</>;
+    default:
+      return <>{value}</>;
+  }
+}
+
+/** Multiple choice and true/false: one pick, sent straight away. */
+function SingleChoiceQuestion({ step, picked, revealed, disabled, onAnswer }) {
+  const keys =
+    step.type === "true_false"
+      ? ["TRUE", "FALSE"]
+      : Object.keys(step.options || {}).sort();
+
+  return (
+    <div className="choice-list">
+      {keys.map((key) => {
+        const text = step.options?.[key];
+        if (!text) return null;
+
+        const isPicked = picked === key;
+        const isCorrect = revealed?.correct === key;
+
+        return (
+          <button
+            key={key}
+            className={
+              "choice" +
+              (isPicked ? " active" : "") +
+              (revealed && isCorrect ? " correct" : "") +
+              (revealed && isPicked && !isCorrect ? " wrong" : "")
+            }
+            onClick={() => onAnswer(key)}
+            disabled={disabled}
+          >
+            <span className="chip">{step.type === "true_false" ? key[0] : key}</span>
+            <span className="text">{text}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
+
+/** Choose all that apply. */
+function MultiSelectQuestion({ step, picked, revealed, disabled, onAnswer }) {
+  const [selected, setSelected] = useState(() => new Set(Array.isArray(picked) ? picked : []));
+  const correct = new Set(revealed?.correct ? revealed.correct.split(",") : []);
+  const keys = Object.keys(step.options || {}).sort();
+
+  function toggle(key) {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  return (
+    <>
+      <p className="question-hint">Choose all that apply.</p>
+      <div className="choice-list">
+        {keys.map((key) => {
+          const isPicked = selected.has(key);
+          return (
+            <button
+              key={key}
+              className={
+                "choice" +
+                (isPicked ? " active" : "") +
+                (revealed && correct.has(key) ? " correct" : "") +
+                (revealed && isPicked && !correct.has(key) ? " wrong" : "")
+              }
+              onClick={() => toggle(key)}
+              disabled={disabled}
+              aria-pressed={isPicked}
+            >
+              <span className="chip">{isPicked ? "✔" : key}</span>
+              <span className="text">{step.options[key]}</span>
+            </button>
+          );
+        })}
+      </div>
+      {!revealed && (
+        <button
+          className="btn flow confirm-answer"
+          onClick={() => onAnswer([...selected].sort())}
+          disabled={disabled || selected.size === 0}
+        >
+          Confirm answer
+        </button>
+      )}
+    </>
+  );
+}
+
+/** Put the items in the right sequence. */
+function OrderingQuestion({ step, picked, revealed, disabled, onAnswer }) {
+  const [order, setOrder] = useState(() =>
+    Array.isArray(picked) ? picked : Object.keys(step.options || {})
+  );
+  const correct = revealed?.correct ? revealed.correct.split(",") : [];
+
+  function move(index, delta) {
+    setOrder((prev) => {
+      const target = index + delta;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = prev.slice();
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  }
+
+  return (
+    <>
+      <p className="question-hint">Put these in the right order.</p>
+      <ol className="choice-list ordering-list">
+        {order.map((key, i) => (
+          <li
+            key={key}
+            className={
+              "choice" +
+              (revealed ? (correct[i] === key ? " correct" : " wrong") : "")
+            }
+          >
+            <span className="chip">{i + 1}</span>
+            <span className="text">{step.options[key]}</span>
+            {!revealed && (
+              <span className="order-controls">
+                <button onClick={() => move(i, -1)} disabled={disabled || i === 0} aria-label="Move up">▲</button>
+                <button onClick={() => move(i, 1)} disabled={disabled || i === order.length - 1} aria-label="Move down">▼</button>
+              </span>
+            )}
+          </li>
+        ))}
+      </ol>
+      {!revealed && (
+        <button className="btn flow confirm-answer" onClick={() => onAnswer(order)} disabled={disabled}>
+          Confirm order
+        </button>
+      )}
+      {revealed && !revealed.wasCorrect && correct.length > 0 && (
+        <ol className="ordering-solution">
+          {correct.map((key) => (
+            <li key={key}>{step.options[key]}</li>
+          ))}
+        </ol>
+      )}
+    </>
+  );
+}
+
+/** Tap the right spot on an image; positions are percentages of the image. */
+function HotspotQuestion({ step, picked, revealed, disabled, onAnswer }) {
+  const [point, setPoint] = useState(() =>
+    picked && typeof picked === "object" ? picked : null
+  );
+  const target = revealed?.correctAnswer;
+
+  function onImageClick(e) {
+    if (disabled) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    setPoint({
+      x: Math.round(((e.clientX - rect.left) / rect.width) * 1000) / 10,
+      y: Math.round(((e.clientY - rect.top) / rect.height) * 1000) / 10,
+    });
+  }
+
+  return (
+    <>
+      <p className="question-hint">Tap the right spot on the image.</p>
+      <div className={"hotspot-frame" + (disabled ? " locked" : "")} onClick={onImageClick}>
+        <img src={step.options?.image_url} alt={step.options?.alt || ""} draggable={false} />
+        {target && (
+          <span
+            className="hotspot-target"
+            style={{
+              left: `${target.x}%`,
+              top: `${target.y}%`,
+              width: `${target.radius * 2}%`,
+              height: `${target.radius * 2}%`,
+            }}
+          />
+        )}
+        {point && (
+          <span
+            className={
+              "hotspot-marker" +
+              (revealed ? (revealed.wasCorrect ? " correct" : " wrong") : "")
+            }
+            style={{ left: `${point.x}%`, top: `${point.y}%` }}
+          />
+        )}
+      </div>
+      {!revealed && (
+        <button className="btn flow confirm-answer" onClick={() => onAnswer(point)} disabled={disabled || !point}>
+          Confirm spot
+        </button>
+      )}
+    </>
+  );
+}
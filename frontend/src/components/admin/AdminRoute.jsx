@@ -0,0 +1,62 @@
+import React, { useEffect, useState } from "react";
+import { Link, Navigate } from "react-router-dom";
+import { useAuth } from "../../hooks/useAuth";
+
+/**
+ * Permissions that open the admin console; holding any one of them is enough.
+ * Each section of the console checks its own permission as well.
+ */
+const AUTHORING_PERMISSIONS = [
+  "level:write",
+  "scenario:write",
+  "step:write",
+  "badge:write",
+  "scenario:review",
+  "scenario:publish",
+];
+
+/**
+ * 🔐 AdminRoute
+ *
+ * Guards the `/admin` area by role. The signed-in user is reloaded from
+ * `/users/me` on entry, which also returns the permissions of their role,
+ * so a role change made by another admin applies on the next visit.
+ * - No session → redirect to the login page.
+ * - A role without any authoring permission → "no access" message.
+ *
+ * The API checks every request on its own; this only keeps learners out of
+ * screens they cannot use.
+ *
+ * @component
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - The admin area.
+ *
+ * @example
+ * <Route path="/admin/*" element={<AdminRoute><AdminPage /></AdminRoute>} />
+ */
+export default function AdminRoute({ children }) {
+  const { token, user, loadMe } = useAuth();
+  const [checked, setChecked] = useState(false);
+
+  useEffect(() => {
+    if (!token) return;
+    loadMe().finally(() => setChecked(true));
+  }, [token, loadMe]);
+
+  if (!token) return <Navigate to="/login" replace />;
+  if (!checked) return <div className="admin-shell muted">Checking access…</div>;
+  if (!user) return <Navigate to="/login" replace />;
+
+  const allowed = AUTHORING_PERMISSIONS.some((p) => user.permissions?.includes(p));
+  if (!allowed) {
+    return (
+      <div className="admin-shell admin-denied">
+        <h2>No access</h2>
+        <p className="muted">Your role cannot edit course content. Ask an administrator if you need access.</p>
+        <Link className="btn small" to="/home">Back to home</Link>
+      </div>
+    );
+  }
+
+  return children;
+}
@@ -0,0 +1,173 @@
+import React, { useState } from "react";
+import { useBadges } from "../../hooks/useBadges";
+import { useLevels } from "../../hooks/useLevels";
+import { fieldErrorsFrom, validateBadge } from "../../utils/contentRules";
+import Field from "./Field";
+
+/** Form values of a badge that is not saved yet. */
+const EMPTY_FORM = { level_id: "", name: "", description: "", icon_url: "" };
+
+/**
+ * Form values from a badge record.
+ * @param {object} badge - Badge from `useBadges()`
+ * @returns {object}
+ */
+const toForm = (badge) => ({
+  level_id: String(badge.level_id ?? ""),
+  name: badge.name ?? "",
+  description: badge.description ?? "",
+  icon_url: badge.icon_url ?? "",
+});
+
+/**
+ * 🏅 BadgesAdmin
+ *
+ * Lists the badges and edits one at a time. A badge belongs to a level and
+ * is awarded when a learner completes that level; the icon is an absolute
+ * URL or a path under the app's `/assets`, previewed next to the form.
+ *
+ * @component
+ * @example
+ * <Route path="badges" element={<BadgesAdmin />} />
+ */
+export default function BadgesAdmin() {
+  const { badges, loading, error, createBadge, updateBadge, deleteBadge } = useBadges();
+  const { levels } = useLevels();
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ busy: false, error: "", ok: "" });
+
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const levelTitle = (id) => levels.find((l) => l.id === Number(id))?.title ?? `Level ${id}`;
+
+  /** @param {object|null} badge - Badge to edit, or null for a new one */
+  const open = (badge) => {
+    setEditingId(badge ? badge.badge_id : null);
+    setForm(badge ? toForm(badge) : EMPTY_FORM);
+    setErrors({});
+    setStatus({ busy: false, error: "", ok: "" });
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const save = async (e) => {
+    e.preventDefault();
+    const body = {
+      level_id: Number(form.level_id) || form.level_id,
+      name: form.name.trim(),
+      description: form.description,
+    };
+    if (form.icon_url.trim()) body.icon_url = form.icon_url.trim();
+
+    const found = validateBadge(body);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      return setStatus({ busy: false, error: "Please fix the highlighted fields.", ok: "" });
+    }
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      const saved = editingId ? await updateBadge(editingId, body) : await createBadge(body);
+      setEditingId(saved.badge_id);
+      setForm(toForm(saved));
+      setStatus({ busy: false, error: "", ok: editingId ? "Badge saved." : "Badge created." });
+    } catch (err) {
+      const fromServer = fieldErrorsFrom(err);
+      if (fromServer) setErrors(fromServer);
+      setStatus({ busy: false, error: err.message || "Could not save the badge.", ok: "" });
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm(`Delete badge "${form.name}"? Learners who earned it lose it.`)) return;
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await deleteBadge(editingId);
+      open(null);
+      setStatus({ busy: false, error: "", ok: "Badge deleted." });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not delete the badge.", ok: "" });
+    }
+  };
+
+  return (
+    <section className="admin-section">
+      <div className="admin-list">
+        <div className="admin-list-head">
+          <h2>Badges</h2>
+          <button className="btn small primary" onClick={() => open(null)}>+ New badge</button>
+        </div>
+        {loading && !badges.length && <p className="muted">Loading badges…</p>}
+        {error && <p className="admin-error">{error}</p>}
+        <ul>
+          {badges.map((b) => (
+            <li key={b.id}>
+              <button
+                className={"admin-list-item" + (Number(b.badge_id) === Number(editingId) ? " active" : "")}
+                onClick={() => open(b)}
+              >
+                <span>{b.name}</span>
+                <span className="muted">{levelTitle(b.level_id)}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <form className="admin-card" onSubmit={save} noValidate>
+        <h3>{editingId ? `Edit badge #${editingId}` : "New badge"}</h3>
+
+        <Field label="Level" htmlFor="badge-level" error={errors.level_id} hint="Completing this level awards the badge.">
+          <select id="badge-level" value={form.level_id} onChange={set("level_id")}>
+            <option value="">Choose a level…</option>
+            {levels.map((l) => (
+              <option key={l.id} value={l.id}>{l.title}</option>
+            ))}
+          </select>
+        </Field>
+
+        <Field label="Name" htmlFor="badge-name" error={errors.name}>
+          <input id="badge-name" value={form.name} maxLength={100} onChange={set("name")} />
+        </Field>
+
+        <Field label="Description" htmlFor="badge-description" error={errors.description}>
+          <textarea id="badge-description" rows={2} value={form.description} onChange={set("description")} />
+        </Field>
+
+        <Field
+          label="Icon"
+          htmlFor="badge-icon"
+          error={errors.icon_url}
+          hint="https://… or a path such as /assets/badge1.jpg"
+        >
+          <div className="admin-icon-row">
+            <input id="badge-icon" value={form.icon_url} onChange={set("icon_url")} />
+            {form.icon_url && (
+              <img
+                className="admin-icon-preview"
+                src={form.icon_url}
+                alt=""
+                onError={(e) => { e.currentTarget.src = "/assets/fallback.png"; }}
+              />
+            )}
+          </div>
+        </Field>
+
+        <div className="admin-actions">
+          <button type="submit" className="btn small primary" disabled={status.busy}>
+            {status.busy ? "Saving…" : editingId ? "Save badge" : "Create badge"}
+          </button>
+          {editingId && (
+            <button type="button" className="btn small danger" onClick={remove} disabled={status.busy}>
+              Delete
+            </button>
+          )}
+        </div>
+        {status.error && <p className="admin-error">{status.error}</p>}
+        {status.ok && <p className="admin-ok" role="status">{status.ok}</p>}
+      </form>
+    </section>
+  );
+}
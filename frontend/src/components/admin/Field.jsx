@@ -0,0 +1,37 @@
+import React from "react";
+
+/**
+ * 🏷️ Field
+ *
+ * Label, input and validation message of one admin form field. The message
+ * comes from `utils/contentRules.js` or from the API's `VALIDATION_FAILED`
+ * details, so it reads the same either way. The input is passed as the child
+ * and should carry the same `id` as `htmlFor`.
+ *
+ * @component
+ * @param {Object} props
+ * @param {string} props.label - Visible label.
+ * @param {string} props.htmlFor - `id` of the input.
+ * @param {string} [props.error] - Validation message for the field.
+ * @param {string} [props.hint] - Short help text under the input.
+ * @param {React.ReactNode} props.children - The input element.
+ *
+ * @example
+ * <Field label="Title" htmlFor="level-title" error={errors.title}>
+ *   <input id="level-title" value={form.title} onChange={...} />
+ * </Field>
+ */
+export default function Field({ label, htmlFor, error, hint, children }) {
+  return (
+    <div className={"admin-field" + (error ? " invalid" : "")}>
+      <label htmlFor={htmlFor}>{label}</label>
+      {children}
+      {hint && !error && <p className="admin-hint">{hint}</p>}
+      {error && (
+        <p className="admin-field-error" id={`${htmlFor}-error`} role="alert">
+          {error}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,250 @@
+import React, { useState } from "react";
+import { useLevels } from "../../hooks/useLevels";
+import { COMPLETION_RULE_TYPES, fieldErrorsFrom, validateLevel } from "../../utils/contentRules";
+import Field from "./Field";
+
+/** Form values of a level that is not saved yet. */
+const EMPTY_FORM = {
+  title: "",
+  description: "",
+  difficulty_order: "",
+  pass_threshold: "",
+  prerequisites: [],
+  rule_type: "",
+  rule_value: "",
+};
+
+/** API error codes about the prerequisites, shown on that field. */
+const PREREQUISITE_ERRORS = ["PREREQUISITE_CYCLE", "INVALID_PREREQUISITE"];
+
+/**
+ * Form values from a level record.
+ * @param {object} level - Level from `useLevels()`
+ * @returns {object}
+ */
+function toForm(level) {
+  const rule = level.completion_rule;
+  return {
+    title: level.title ?? "",
+    description: level.description ?? "",
+    difficulty_order: String(level.difficulty_order ?? ""),
+    pass_threshold: level.pass_threshold == null ? "" : String(level.pass_threshold),
+    prerequisites: (level.prerequisites ?? []).map(Number),
+    rule_type: rule?.type ?? "",
+    rule_value: rule ? String(rule.type === "perfect_count" ? rule.count : rule.min_score) : "",
+  };
+}
+
+/**
+ * A number input's value as a number, or as the trimmed text when it is not
+ * one (so that validation reports it).
+ * @param {string} value
+ * @returns {number|string}
+ */
+const toNumber = (value) => {
+  const text = value.trim();
+  return text !== "" && Number.isFinite(Number(text)) ? Number(text) : text;
+};
+
+/**
+ * Request body from form values. Empty optional fields are left out so the
+ * API keeps its defaults; an empty rule type sends `completion_rule: null`
+ * (the level uses the default rule).
+ * @param {object} form
+ * @returns {object}
+ */
+function toBody(form) {
+  const body = {
+    title: form.title.trim(),
+    description: form.description,
+    difficulty_order: toNumber(form.difficulty_order),
+    prerequisites: form.prerequisites,
+    completion_rule: null,
+  };
+  if (form.pass_threshold.trim() !== "") body.pass_threshold = toNumber(form.pass_threshold);
+  if (form.rule_type) {
+    const value = toNumber(form.rule_value);
+    body.completion_rule =
+      form.rule_type === "perfect_count"
+        ? { type: "perfect_count", count: value }
+        : { type: form.rule_type, min_score: value };
+  }
+  return body;
+}
+
+/**
+ * 🗂️ LevelsAdmin
+ *
+ * Lists every level in play order and edits one at a time: title,
+ * description, order, pass threshold, prerequisite levels and completion
+ * rule. Deleting asks for confirmation first.
+ *
+ * Input is checked with the API's rules before saving; the server's own
+ * validation errors (e.g. a prerequisite cycle) are shown the same way.
+ *
+ * @component
+ * @example
+ * <Route path="levels" element={<LevelsAdmin />} />
+ */
+export default function LevelsAdmin() {
+  const { levels, loading, error, createLevel, updateLevel, deleteLevel } = useLevels();
+
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ busy: false, error: "", ok: "" });
+
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  /** @param {object|null} level - Level to edit, or null for a new one */
+  const open = (level) => {
+    setEditingId(level ? level.id : null);
+    setForm(level ? toForm(level) : EMPTY_FORM);
+    setErrors({});
+    setStatus({ busy: false, error: "", ok: "" });
+  };
+
+  /** @param {number} id */
+  const togglePrerequisite = (id) =>
+    setForm((f) => ({
+      ...f,
+      prerequisites: f.prerequisites.includes(id)
+        ? f.prerequisites.filter((p) => p !== id)
+        : [...f.prerequisites, id].sort((a, b) => a - b),
+    }));
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const save = async (e) => {
+    e.preventDefault();
+    const body = toBody(form);
+    const found = validateLevel(body);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      return setStatus({ busy: false, error: "Please fix the highlighted fields.", ok: "" });
+    }
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      const saved = editingId ? await updateLevel(editingId, body) : await createLevel(body);
+      setEditingId(saved.id);
+      setForm(toForm(saved));
+      setStatus({ busy: false, error: "", ok: editingId ? "Level saved." : "Level created." });
+    } catch (err) {
+      const fromServer = fieldErrorsFrom(err);
+      if (fromServer) setErrors(fromServer);
+      else if (PREREQUISITE_ERRORS.includes(err.code)) setErrors({ prerequisites: err.message });
+      setStatus({ busy: false, error: err.message || "Could not save the level.", ok: "" });
+    }
+  };
+
+  const remove = async () => {
+    const level = levels.find((l) => l.id === editingId);
+    if (!level || !window.confirm(`Delete level "${level.title}" with its scenarios, badge and learner progress? This cannot be undone.`)) return;
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await deleteLevel(editingId);
+      open(null);
+      setStatus({ busy: false, error: "", ok: "Level deleted." });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not delete the level.", ok: "" });
+    }
+  };
+
+  const others = levels.filter((l) => l.id !== editingId);
+
+  return (
+    <section className="admin-section">
+      <div className="admin-list">
+        <div className="admin-list-head">
+          <h2>Levels</h2>
+          <button className="btn small primary" onClick={() => open(null)}>+ New level</button>
+        </div>
+        {loading && !levels.length && <p className="muted">Loading levels…</p>}
+        {error && <p className="admin-error">{error}</p>}
+        <ul>
+          {levels.map((l) => (
+            <li key={l.id}>
+              <button
+                className={"admin-list-item" + (l.id === editingId ? " active" : "")}
+                onClick={() => open(l)}
+              >
+                <span className="admin-order">{l.order}</span>
+                <span>{l.title}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <form className="admin-card" onSubmit={save} noValidate>
+        <h3>{editingId ? `Edit level #${editingId}` : "New level"}</h3>
+
+        <Field label="Title" htmlFor="level-title" error={errors.title}>
+          <input id="level-title" value={form.title} maxLength={100} onChange={set("title")} />
+        </Field>
+
+        <Field label="Description" htmlFor="level-description" error={errors.description}>
+          <textarea id="level-description" rows={3} value={form.description} onChange={set("description")} />
+        </Field>
+
+        <div className="admin-row">
+          <Field label="Order" htmlFor="level-order" error={errors.difficulty_order} hint="Position in the level list (1 = first).">
+            <input id="level-order" type="number" min={1} value={form.difficulty_order} onChange={set("difficulty_order")} />
+          </Field>
+          <Field label="Pass threshold (%)" htmlFor="level-threshold" error={errors.pass_threshold} hint="Leave empty for the default.">
+            <input id="level-threshold" type="number" min={0} max={100} value={form.pass_threshold} onChange={set("pass_threshold")} />
+          </Field>
+        </div>
+
+        <Field label="Prerequisites" htmlFor="level-prerequisites" error={errors.prerequisites} hint="Levels to complete before this one unlocks.">
+          <div id="level-prerequisites" className="admin-checks">
+            {others.length === 0 && <span className="muted">No other levels.</span>}
+            {others.map((l) => (
+              <label key={l.id} className="admin-check">
+                <input
+                  type="checkbox"
+                  checked={form.prerequisites.includes(l.id)}
+                  onChange={() => togglePrerequisite(l.id)}
+                />
+                {l.title}
+              </label>
+            ))}
+          </div>
+        </Field>
+
+        <div className="admin-row">
+          <Field label="Completion rule" htmlFor="level-rule" error={errors.completion_rule}>
+            <select id="level-rule" value={form.rule_type} onChange={set("rule_type")}>
+              <option value="">Default (pass threshold on every scenario)</option>
+              {Object.entries(COMPLETION_RULE_TYPES).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </Field>
+          {form.rule_type && (
+            <Field
+              label={form.rule_type === "perfect_count" ? "Perfect scenarios" : "Minimum score (%)"}
+              htmlFor="level-rule-value"
+            >
+              <input id="level-rule-value" type="number" min={0} value={form.rule_value} onChange={set("rule_value")} />
+            </Field>
+          )}
+        </div>
+
+        <div className="admin-actions">
+          <button type="submit" className="btn small primary" disabled={status.busy}>
+            {status.busy ? "Saving…" : editingId ? "Save level" : "Create level"}
+          </button>
+          {editingId && (
+            <button type="button" className="btn small danger" onClick={remove} disabled={status.busy}>
+              Delete
+            </button>
+          )}
+        </div>
+        {status.error && <p className="admin-error">{status.error}</p>}
+        {status.ok && <p className="admin-ok" role="status">{status.ok}</p>}
+      </form>
+    </section>
+  );
+}
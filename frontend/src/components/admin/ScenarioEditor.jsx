@@ -0,0 +1,258 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useScenarios } from "../../hooks/useScenarios";
+import { useScenarioSteps } from "../../hooks/useScenarioSteps";
+import { useLevels } from "../../hooks/useLevels";
+import { useAuth } from "../../hooks/useAuth";
+import { fieldErrorsFrom, validateScenario } from "../../utils/contentRules";
+import Field from "./Field";
+import StepList from "./StepList";
+import StepForm from "./StepForm";
+import ScenarioPreview from "./ScenarioPreview";
+import ScenarioPublishing from "./ScenarioPublishing";
+
+/**
+ * Form values from a scenario record.
+ * @param {object} scenario - Scenario from `useScenarios()`
+ * @returns {object}
+ */
+const toForm = (scenario) => ({
+  level_id: String(scenario.level_id ?? ""),
+  title: scenario.title ?? "",
+  description: scenario.description ?? "",
+  image_url: scenario.image_url ?? "",
+});
+
+/**
+ * 🛠️ ScenarioEditor
+ *
+ * Edits one scenario: its details, its steps and their order, next to a
+ * live preview that plays the scenario as learners will see it, unsaved
+ * changes included. Selecting a step opens it in the step form and moves
+ * the preview to it.
+ *
+ * Scenario details need `scenario:write`; steps need `step:write`. Without
+ * a permission that part is shown read-only. Saving anything puts the
+ * scenario back to draft; learners keep the published version until the
+ * publishing panel publishes again.
+ *
+ * @component
+ * @param {Object} props
+ * @param {number} props.scenarioId - The scenario to edit.
+ *
+ * @example
+ * <ScenarioEditor key={id} scenarioId={id} />
+ */
+export default function ScenarioEditor({ scenarioId }) {
+  const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  const { levels } = useLevels();
+  const { scenarios, loading, error, fetchScenarios, updateScenario, deleteScenario, changeStatus } =
+    useScenarios({ authoring: true });
+  const {
+    steps,
+    loading: stepsLoading,
+    error: stepsError,
+    createStep,
+    updateStep,
+    deleteStep,
+    reorderSteps,
+  } = useScenarioSteps(scenarioId);
+
+  const scenario = scenarios.find((s) => Number(s.scenario_id) === scenarioId);
+  const canEditScenario = hasPermission("scenario:write");
+  const canEditSteps = hasPermission("step:write");
+
+  const [form, setForm] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ busy: false, error: "", ok: "" });
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [revision, setRevision] = useState(0);
+
+  /** Steps changed on the server: reload the scenario's status and the publishing diff. */
+  const stepsSaved = useCallback(() => {
+    setRevision((r) => r + 1);
+    fetchScenarios();
+  }, [fetchScenarios]);
+
+  // Fill the form once the scenario has loaded
+  useEffect(() => {
+    if (scenario && !form) setForm(toForm(scenario));
+  }, [scenario, form]);
+
+  const selected = steps.find((s) => s.step_id === selectedId) ?? null;
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  /** @param {object|null} step - Step to edit, or null for a new one */
+  const select = useCallback((step) => {
+    setSelectedId(step ? step.step_id : null);
+    setDraft(null);
+  }, []);
+
+  /** The steps with the draft in place of its saved version (or appended, when new). */
+  const previewSteps = useMemo(() => {
+    if (!draft) return steps;
+    if (draft.step_id == null) return [...steps, draft];
+    return steps.map((s) => (s.step_id === draft.step_id ? { ...s, ...draft } : s));
+  }, [steps, draft]);
+  const focus = selected ? steps.indexOf(selected) : steps.length;
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const saveScenario = async (e) => {
+    e.preventDefault();
+    const body = {
+      level_id: Number(form.level_id) || form.level_id,
+      title: form.title.trim(),
+      description: form.description,
+      image_url: form.image_url.trim(),
+    };
+
+    const found = validateScenario(body);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      return setStatus({ busy: false, error: "Please fix the highlighted fields.", ok: "" });
+    }
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      const saved = await updateScenario(scenarioId, body);
+      setForm(toForm(saved));
+      setRevision((r) => r + 1);
+      setStatus({ busy: false, error: "", ok: "Scenario saved." });
+    } catch (err) {
+      const fromServer = fieldErrorsFrom(err);
+      if (fromServer) setErrors(fromServer);
+      setStatus({ busy: false, error: err.message || "Could not save the scenario.", ok: "" });
+    }
+  };
+
+  const removeScenario = async () => {
+    if (!window.confirm(`Delete scenario "${scenario.title}" with its ${steps.length} steps and learner attempts?`)) return;
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await deleteScenario(scenarioId);
+      navigate("/admin/scenarios", { replace: true });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not delete the scenario.", ok: "" });
+    }
+  };
+
+  /** @param {object} body - Step request body from StepForm */
+  const saveStep = async (body) => {
+    const saved = selected ? await updateStep(selected.step_id, body) : await createStep(body);
+    select(saved);
+    stepsSaved();
+    return saved;
+  };
+
+  const removeStep = async () => {
+    await deleteStep(selected.step_id);
+    select(null);
+    stepsSaved();
+  };
+
+  /** @param {Array<object>} ordered */
+  const reorder = (ordered) => {
+    // The hook reloads the steps and sets `error` when saving fails
+    reorderSteps(ordered).then(stepsSaved, () => {});
+  };
+
+  if (loading && !scenario) return <p className="muted">Loading scenario…</p>;
+  if (!scenario || !form) {
+    return (
+      <div className="admin-card">
+        <p className="admin-error">{error || "Scenario not found."}</p>
+        <Link className="btn small ghost" to="/admin/scenarios">Back to scenarios</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="admin-editor">
+      <div className="admin-editor-main">
+        <Link className="admin-back" to="/admin/scenarios">← All scenarios</Link>
+
+        <form className="admin-card" onSubmit={saveScenario} noValidate>
+          <h3>Scenario #{scenarioId}</h3>
+          <fieldset disabled={!canEditScenario || status.busy} className="admin-fieldset">
+            <div className="admin-row">
+              <Field label="Title" htmlFor="scenario-title" error={errors.title}>
+                <input id="scenario-title" value={form.title} maxLength={255} onChange={set("title")} />
+              </Field>
+              <Field label="Level" htmlFor="scenario-level" error={errors.level_id}>
+                <select id="scenario-level" value={form.level_id} onChange={set("level_id")}>
+                  {levels.map((l) => (
+                    <option key={l.id} value={l.id}>{l.title}</option>
+                  ))}
+                </select>
+              </Field>
+            </div>
+            <Field label="Description" htmlFor="scenario-description" error={errors.description}>
+              <textarea id="scenario-description" rows={2} value={form.description} onChange={set("description")} />
+            </Field>
+            <Field label="Image" htmlFor="scenario-image" error={errors.image_url}>
+              <input id="scenario-image" value={form.image_url} onChange={set("image_url")} />
+            </Field>
+          </fieldset>
+          {canEditScenario && (
+            <div className="admin-actions">
+              <button type="submit" className="btn small primary" disabled={status.busy}>
+                {status.busy ? "Saving…" : "Save scenario"}
+              </button>
+              <button type="button" className="btn small danger" onClick={removeScenario} disabled={status.busy}>
+                Delete scenario
+              </button>
+            </div>
+          )}
+          {status.error && <p className="admin-error">{status.error}</p>}
+          {status.ok && <p className="admin-ok" role="status">{status.ok}</p>}
+        </form>
+
+        <div className="admin-card">
+          <div className="admin-list-head">
+            <h3>Steps</h3>
+            {canEditSteps && (
+              <button className="btn small primary" onClick={() => select(null)}>+ New step</button>
+            )}
+          </div>
+          {stepsLoading && !steps.length && <p className="muted">Loading steps…</p>}
+          {stepsError && <p className="admin-error">{stepsError}</p>}
+          <StepList
+            steps={steps}
+            selectedId={selectedId}
+            readOnly={!canEditSteps || stepsLoading}
+            onSelect={select}
+            onReorder={reorder}
+          />
+        </div>
+
+        {(selected || canEditSteps) && (
+          <StepForm
+            key={selected?.step_id ?? "new"}
+            step={selected}
+            scenarioId={scenarioId}
+            nextOrder={steps.length ? steps[steps.length - 1].step_order + 1 : 1}
+            readOnly={!canEditSteps}
+            onSave={saveStep}
+            onDelete={removeStep}
+            onDraft={setDraft}
+          />
+        )}
+
+        <ScenarioPublishing
+          scenario={scenario}
+          revision={revision}
+          onStatus={(next, note) => changeStatus(scenarioId, next, note)}
+          onRollback={fetchScenarios}
+        />
+      </div>
+
+      <aside className="admin-editor-preview">
+        <h3>Preview</h3>
+        <ScenarioPreview key={`${selectedId ?? "new"}-${steps.length}`} scenario={form} steps={previewSteps} startIndex={focus} />
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,136 @@
+import React, { useState } from "react";
+import StepQuestion, { AnswerText } from "../StepQuestion";
+import { canonicalAnswer, isCorrectAnswer, toPublicStep } from "../../utils/contentRules";
+import "../../styles/level.css";
+import "../../styles/scenario.css";
+
+/**
+ * Image URL as the scenario page resolves it: absolute URLs and root paths
+ * as they are, bare file names under `/assets`.
+ * @param {string} [value]
+ * @returns {string}
+ */
+function imageUrl(value) {
+  const s = String(value ?? "").trim();
+  if (!s) return "/assets/fallback.png";
+  if (/^https?:\/\//i.test(s) || s.startsWith("/")) return s;
+  return `/assets/${s.replace(/^assets\//, "")}`;
+}
+
+/**
+ * 👀 ScenarioPreview
+ *
+ * Plays the scenario as it is being edited, with the same header, question
+ * card and answer widgets learners see on the scenario page. Answers are
+ * checked in the browser with the API's scoring rules, so unsaved changes
+ * show up straight away; nothing is recorded. Steps play in `step_order`;
+ * branches and the step timer are left out.
+ *
+ * Give the component a `key` per focused step so it restarts there.
+ *
+ * @component
+ * @param {Object} props
+ * @param {{title: string, description?: string, image_url?: string}} props.scenario - Scenario details as entered.
+ * @param {Array<object>} props.steps - Full steps in play order, including unsaved edits.
+ * @param {number} [props.startIndex=0] - Step to open first.
+ *
+ * @example
+ * <ScenarioPreview key={focus} scenario={form} steps={previewSteps} startIndex={focus} />
+ */
+export default function ScenarioPreview({ scenario, steps, startIndex = 0 }) {
+  const [idx, setIdx] = useState(Math.min(startIndex, Math.max(steps.length - 1, 0)));
+  const [picked, setPicked] = useState(undefined);
+  const [round, setRound] = useState(0);
+
+  const step = steps[idx];
+  const publicStep = step ? toPublicStep(step) : null;
+  const answered = picked !== undefined;
+  const revealed =
+    step && answered
+      ? {
+          wasCorrect: isCorrectAnswer(step, picked),
+          correct: canonicalAnswer(step),
+          correctAnswer: step.type === "hotspot" ? step.answer : undefined,
+          feedback: step.feedback_message,
+        }
+      : null;
+
+  /** @param {number} to - Index of the step to show */
+  const go = (to) => {
+    setIdx(to);
+    setPicked(undefined);
+  };
+
+  /** Clear the answer, and the widget's own selection with it. */
+  const retry = () => {
+    setPicked(undefined);
+    setRound((r) => r + 1);
+  };
+
+  return (
+    <div className="scenario-shell admin-preview" aria-label="Preview">
+      <header className="scn-topbar">
+        <div />
+        <div className="scn-title">
+          <div className="title">{scenario.title || "Untitled scenario"}</div>
+          <div className="sub">{steps.length ? `Step ${idx + 1} of ${steps.length}` : "No steps"}</div>
+        </div>
+        <div />
+      </header>
+
+      <section className="scenario-hero" style={{ marginTop: 8 }}>
+        <img
+          src={imageUrl(scenario.image_url)}
+          alt={scenario.title}
+          className="scenario-image"
+          style={{ width: "100%", maxHeight: 180, objectFit: "cover", borderRadius: 12, backgroundColor: "#f5f5f5" }}
+          onError={(e) => { e.currentTarget.src = "/assets/fallback.png"; }}
+        />
+        {scenario.description && <p className="muted" style={{ marginTop: 8 }}>{scenario.description}</p>}
+      </section>
+
+      <div className="scn-progress-wrap">
+        <div className="step-dots">
+          {steps.map((_, i) => (
+            <span key={i} className={i < idx ? "dot done" : i === idx ? "dot current" : "dot"} />
+          ))}
+        </div>
+      </div>
+
+      {publicStep && (
+        <>
+          <div className="question-card">{publicStep.question_text || "Question text"}</div>
+
+          <StepQuestion
+            key={`${idx}-${publicStep.type}-${round}`}
+            step={publicStep}
+            picked={picked}
+            revealed={revealed}
+            onAnswer={setPicked}
+          />
+
+          {revealed && (
+            <div className="reveal-panel">
+              {revealed.wasCorrect ? (
+                <p className="ok">Correct!</p>
+              ) : (
+                <p className="warn">
+                  Not quite. Correct answer: <strong><AnswerText step={publicStep} value={revealed.correct} /></strong>
+                </p>
+              )}
+              {revealed.feedback && <p className="muted">{revealed.feedback}</p>}
+            </div>
+          )}
+        </>
+      )}
+
+      <div className="nav-row admin-preview-nav">
+        <button type="button" className="btn small ghost" onClick={() => go(idx - 1)} disabled={idx === 0}>Previous</button>
+        {answered && (
+          <button type="button" className="btn small ghost" onClick={retry}>Try again</button>
+        )}
+        <button type="button" className="btn small ghost" onClick={() => go(idx + 1)} disabled={idx >= steps.length - 1}>Next</button>
+      </div>
+    </div>
+  );
+}
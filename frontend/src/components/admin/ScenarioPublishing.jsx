@@ -0,0 +1,231 @@
+import React, { useEffect, useState } from "react";
+import { scenarioService } from "../../services/scenarioService";
+import { useAuth } from "../../hooks/useAuth";
+
+/** How each status is shown. */
+const STATUS_LABELS = { draft: "Draft", review: "In review", published: "Published" };
+
+/**
+ * Moves a draft or reviewed scenario on, per status: the new status, the
+ * button label and the permission it needs.
+ */
+const ACTIONS = {
+  draft: [{ status: "review", label: "Submit for review", permission: "scenario:write" }],
+  review: [
+    { status: "draft", label: "Send back to draft", permission: "scenario:review" },
+    { status: "published", label: "Publish", permission: "scenario:publish" },
+  ],
+  published: [],
+};
+
+/** How each kind of change is shown. */
+const CHANGE_LABELS = { create: "added", update: "changed", delete: "removed" };
+
+/** @param {*} value - A changed field's value @returns {string} */
+const show = (value) => (value == null ? "—" : typeof value === "object" ? JSON.stringify(value) : String(value));
+
+/**
+ * What changed between two states of a scenario, leaving out what did not.
+ *
+ * @param {Object} props
+ * @param {object} props.diff - Response of `scenarioService.diff()`.
+ */
+function DiffList({ diff }) {
+  const changed = diff.changes.filter((c) => c.action !== "unchanged");
+  if (!changed.length) return <p className="muted">No changes.</p>;
+
+  return (
+    <ul className="admin-diff">
+      {changed.map((c) => (
+        <li key={`${c.type}-${c.key}`} className={`admin-diff-${c.action}`}>
+          <strong>{c.type === "scenario" ? "Details" : `Step ${c.key}`}</strong> {CHANGE_LABELS[c.action]}
+          {c.changes && (
+            <ul>
+              {Object.entries(c.changes).map(([field, { from, to }]) => (
+                <li key={field}>
+                  <code>{field}</code>: {show(from)} → {show(to)}
+                </li>
+              ))}
+            </ul>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * 🚦 ScenarioPublishing
+ *
+ * The publishing side of a scenario: its status, what changed since the
+ * version learners play, the buttons that move it through review, and its
+ * version history. Any version can be compared with the working copy or,
+ * with `scenario:publish`, published again as a rollback.
+ *
+ * @component
+ * @param {Object} props
+ * @param {object} props.scenario - Working copy, with `status` and `published_version`.
+ * @param {number} props.revision - Changes whenever the scenario or its steps are saved, to reload the diff.
+ * @param {(status: string, note: string) => Promise<object>} props.onStatus - Moves the scenario to a status.
+ * @param {() => void} props.onRollback - Called after a rollback so the scenario is reloaded.
+ *
+ * @example
+ * <ScenarioPublishing scenario={scenario} revision={revision} onStatus={move} onRollback={fetchScenarios} />
+ */
+export default function ScenarioPublishing({ scenario, revision, onStatus, onRollback }) {
+  const { hasPermission } = useAuth();
+  const id = scenario.scenario_id;
+
+  const [pending, setPending] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [compared, setCompared] = useState(null);
+  const [note, setNote] = useState("");
+  const [status, setStatus] = useState({ busy: false, error: "", ok: "" });
+
+  // Reload whenever the scenario is saved, moved or published
+  useEffect(() => {
+    let current = true;
+    Promise.all([scenarioService.diff(id), scenarioService.listVersions(id)])
+      .then(([diff, list]) => {
+        if (!current) return;
+        setPending(diff);
+        setVersions(list);
+      })
+      .catch((err) => current && setStatus((s) => ({ ...s, error: err.message || "Could not load versions." })));
+    return () => {
+      current = false;
+    };
+  }, [id, revision, scenario.status, scenario.published_version]);
+
+  const actions = ACTIONS[scenario.status].filter((a) => hasPermission(a.permission));
+
+  /** @param {{status: string, label: string}} action */
+  const move = async (action) => {
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await onStatus(action.status, note.trim());
+      setNote("");
+      setStatus({ busy: false, error: "", ok: `${STATUS_LABELS[action.status]}.` });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not change the status.", ok: "" });
+    }
+  };
+
+  /** @param {number} version */
+  const compare = async (version) => {
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      setCompared({ version, diff: await scenarioService.diff(id, version, "draft") });
+      setStatus({ busy: false, error: "", ok: "" });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not compare versions.", ok: "" });
+    }
+  };
+
+  /** @param {number} version */
+  const rollback = async (version) => {
+    if (!window.confirm(`Publish version ${version} again? Learners will play it from their next run.`)) return;
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      const restored = await scenarioService.rollback(id, version);
+      onRollback();
+      setStatus({ busy: false, error: "", ok: `Version ${version} is live again as version ${restored.version}.` });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not roll back.", ok: "" });
+    }
+  };
+
+  return (
+    <div className="admin-card admin-publishing">
+      <div className="admin-list-head">
+        <h3>Publishing</h3>
+        <span className={`admin-status ${scenario.status}`}>{STATUS_LABELS[scenario.status]}</span>
+      </div>
+      <p className="muted">
+        {scenario.published_version
+          ? `Learners play version ${scenario.published_version}.`
+          : scenario.status === "published"
+            ? "Learners play the current content."
+            : "Learners cannot play this scenario until it is published."}
+      </p>
+
+      {scenario.status !== "published" && pending && (
+        <>
+          <h4>Changes since {scenario.published_version ? "the published version" : "creation"}</h4>
+          <DiffList diff={pending} />
+        </>
+      )}
+
+      {actions.length > 0 && (
+        <>
+          <div className="admin-field">
+            <label htmlFor="publishing-note">Note (optional)</label>
+            <input
+              id="publishing-note"
+              value={note}
+              maxLength={255}
+              placeholder="What changed, or what still needs work"
+              onChange={(e) => setNote(e.target.value)}
+            />
+          </div>
+          <div className="admin-actions">
+            {actions.map((a) => (
+              <button
+                key={a.status}
+                className={`btn small ${a.status === "published" ? "primary" : "ghost"}`}
+                disabled={status.busy}
+                onClick={() => move(a)}
+              >
+                {a.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+      {status.error && <p className="admin-error">{status.error}</p>}
+      {status.ok && <p className="admin-ok" role="status">{status.ok}</p>}
+
+      <h4>Versions</h4>
+      {!versions.length && <p className="muted">Not published yet.</p>}
+      {versions.length > 0 && (
+        <table className="admin-versions">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Published</th>
+              <th>Note</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {versions.map((v) => (
+              <tr key={v.version} className={v.version === scenario.published_version ? "live" : undefined}>
+                <td>{v.version}</td>
+                <td>{new Date(v.published_at).toLocaleString()}</td>
+                <td>{v.note || <span className="muted">—</span>}</td>
+                <td className="admin-actions">
+                  <button className="btn small ghost" disabled={status.busy} onClick={() => compare(v.version)}>
+                    Compare
+                  </button>
+                  {hasPermission("scenario:publish") && v.version !== scenario.published_version && (
+                    <button className="btn small ghost" disabled={status.busy} onClick={() => rollback(v.version)}>
+                      Roll back
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {compared && (
+        <>
+          <h4>Version {compared.version} → working copy</h4>
+          <DiffList diff={compared.diff} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { useScenarios } from "../../hooks/useScenarios";
+import { useLevels } from "../../hooks/useLevels";
+import { useAuth } from "../../hooks/useAuth";
+import { fieldErrorsFrom, validateScenario } from "../../utils/contentRules";
+import Field from "./Field";
+
+/** Form values of a scenario that is not saved yet. */
+const EMPTY_FORM = { level_id: "", title: "", description: "", image_url: "" };
+
+/**
+ * 🎬 ScenariosAdmin
+ *
+ * Lists the scenarios of one level at a time and creates new ones. Opening
+ * a scenario leads to its editor (`/admin/scenarios/:id`), where its
+ * details and steps are edited; a new scenario opens there once created.
+ * Each scenario shows its publishing status; new ones start as drafts.
+ *
+ * @component
+ * @example
+ * <Route path="scenarios" element={<ScenariosAdmin />} />
+ */
+export default function ScenariosAdmin() {
+  const navigate = useNavigate();
+  const { hasPermission } = useAuth();
+  const { scenarios, loading, error, createScenario } = useScenarios({ authoring: true });
+  const { levels } = useLevels();
+
+  const [levelId, setLevelId] = useState("");
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ busy: false, error: "" });
+
+  const canCreate = hasPermission("scenario:write");
+  const shown = levelId ? scenarios.filter((s) => Number(s.level_id) === Number(levelId)) : scenarios;
+  const levelTitle = (id) => levels.find((l) => l.id === Number(id))?.title ?? `Level ${id}`;
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+
+  /** @param {React.ChangeEvent<HTMLSelectElement>} e */
+  const filter = (e) => {
+    setLevelId(e.target.value);
+    setForm((f) => ({ ...f, level_id: e.target.value }));
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const create = async (e) => {
+    e.preventDefault();
+    const body = {
+      level_id: Number(form.level_id) || form.level_id,
+      title: form.title.trim(),
+      description: form.description,
+    };
+    if (form.image_url.trim()) body.image_url = form.image_url.trim();
+
+    const found = validateScenario(body);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      return setStatus({ busy: false, error: "Please fix the highlighted fields." });
+    }
+
+    setStatus({ busy: true, error: "" });
+    try {
+      const created = await createScenario(body);
+      navigate(`/admin/scenarios/${created.scenario_id}`);
+    } catch (err) {
+      const fromServer = fieldErrorsFrom(err);
+      if (fromServer) setErrors(fromServer);
+      setStatus({ busy: false, error: err.message || "Could not create the scenario." });
+    }
+  };
+
+  return (
+    <section className="admin-section">
+      <div className="admin-list">
+        <div className="admin-list-head">
+          <h2>Scenarios</h2>
+          <select value={levelId} onChange={filter} aria-label="Filter by level">
+            <option value="">All levels</option>
+            {levels.map((l) => (
+              <option key={l.id} value={l.id}>{l.title}</option>
+            ))}
+          </select>
+        </div>
+        {loading && !scenarios.length && <p className="muted">Loading scenarios…</p>}
+        {error && <p className="admin-error">{error}</p>}
+        {!loading && !shown.length && <p className="muted">No scenarios yet.</p>}
+        <ul>
+          {shown.map((s) => (
+            <li key={s.scenario_id}>
+              <Link className="admin-list-item" to={`/admin/scenarios/${s.scenario_id}`}>
+                <span>{s.title}</span>
+                {!levelId && <span className="muted">{levelTitle(s.level_id)}</span>}
+                <span className={`admin-status ${s.status}`}>{s.status}</span>
+              </Link>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      {canCreate ? (
+        <form className="admin-card" onSubmit={create} noValidate>
+          <h3>New scenario</h3>
+
+          <Field label="Level" htmlFor="scenario-level" error={errors.level_id}>
+            <select id="scenario-level" value={form.level_id} onChange={set("level_id")}>
+              <option value="">Choose a level…</option>
+              {levels.map((l) => (
+                <option key={l.id} value={l.id}>{l.title}</option>
+              ))}
+            </select>
+          </Field>
+
+          <Field label="Title" htmlFor="scenario-title" error={errors.title}>
+            <input id="scenario-title" value={form.title} maxLength={255} onChange={set("title")} />
+          </Field>
+
+          <Field label="Description" htmlFor="scenario-description" error={errors.description}>
+            <textarea id="scenario-description" rows={3} value={form.description} onChange={set("description")} />
+          </Field>
+
+          <Field label="Image" htmlFor="scenario-image" error={errors.image_url} hint="https://… or a path such as /assets/scenario1.jpg">
+            <input id="scenario-image" value={form.image_url} onChange={set("image_url")} />
+          </Field>
+
+          <div className="admin-actions">
+            <button type="submit" className="btn small primary" disabled={status.busy}>
+              {status.busy ? "Creating…" : "Create and add steps"}
+            </button>
+          </div>
+          {status.error && <p className="admin-error">{status.error}</p>}
+        </form>
+      ) : (
+        <p className="admin-card muted">Open a scenario to edit its steps.</p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,408 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  CHOICE_KEYS,
+  OPTION_KEYS,
+  QUESTION_TYPES,
+  fieldErrorsFrom,
+  validateStep,
+} from "../../utils/contentRules";
+import Field from "./Field";
+
+/**
+ * Form values from a saved step, or for a new one.
+ *
+ * Option-based types share one list of `choices` (`{ text, correct }`);
+ * keys A, B, C... are given by position when the step is saved, so choices
+ * can be added and removed freely. For ordering steps the list order is the
+ * correct order.
+ *
+ * @param {object|null} step - Step as the admin API returns it
+ * @returns {object}
+ */
+function toForm(step) {
+  const form = {
+    type: step?.type ?? "multiple_choice",
+    question_text: step?.question_text ?? "",
+    feedback_message: step?.feedback_message ?? "",
+    choices: CHOICE_KEYS.map(() => ({ text: "", correct: false })),
+    tf_answer: true,
+    tf_labels: { TRUE: "", FALSE: "" },
+    hotspot: { image_url: "", alt: "", x: "", y: "", radius: "10" },
+  };
+  if (!step) return form;
+
+  const options = step.options || {};
+  switch (step.type) {
+    case "true_false":
+      form.tf_answer = step.answer !== false;
+      form.tf_labels = { TRUE: options.TRUE ?? "", FALSE: options.FALSE ?? "" };
+      break;
+    case "ordering":
+      form.choices = (step.answer || Object.keys(options)).map((k) => ({ text: options[k] ?? "", correct: false }));
+      break;
+    case "hotspot":
+      form.hotspot = {
+        image_url: options.image_url ?? "",
+        alt: options.alt ?? "",
+        x: String(step.answer?.x ?? ""),
+        y: String(step.answer?.y ?? ""),
+        radius: String(step.answer?.radius ?? "10"),
+      };
+      break;
+    default: {
+      const answer = [].concat(step.answer ?? []);
+      form.choices = Object.keys(options)
+        .sort()
+        .map((k) => ({ text: options[k] ?? "", correct: answer.includes(k) }));
+    }
+  }
+  return form;
+}
+
+/** A text field's value as a number, or unchanged when it is not one. */
+const toNumber = (value) => {
+  const text = String(value).trim();
+  return text !== "" && Number.isFinite(Number(text)) ? Number(text) : text;
+};
+
+/**
+ * The `options` and `answer` the API expects for the form's question type.
+ * @param {object} form
+ * @returns {{options: object|null, answer: *}}
+ */
+function toContent(form) {
+  const keyed = Object.fromEntries(form.choices.map((c, i) => [OPTION_KEYS[i], c.text.trim()]));
+  const correctKeys = form.choices.map((c, i) => (c.correct ? OPTION_KEYS[i] : null)).filter(Boolean);
+
+  switch (form.type) {
+    case "multiple_choice":
+      return { options: keyed, answer: correctKeys[0] ?? null };
+    case "true_false": {
+      const { TRUE, FALSE } = form.tf_labels;
+      const labelled = TRUE.trim() || FALSE.trim();
+      return {
+        options: labelled ? { TRUE: TRUE.trim() || "True", FALSE: FALSE.trim() || "False" } : null,
+        answer: form.tf_answer,
+      };
+    }
+    case "multi_select":
+      return { options: keyed, answer: correctKeys };
+    case "ordering":
+      return { options: keyed, answer: Object.keys(keyed) };
+    case "hotspot": {
+      const h = form.hotspot;
+      const options = { image_url: h.image_url.trim() };
+      if (h.alt.trim()) options.alt = h.alt.trim();
+      return { options, answer: { x: toNumber(h.x), y: toNumber(h.y), radius: toNumber(h.radius) } };
+    }
+    default:
+      return { options: null, answer: null };
+  }
+}
+
+/**
+ * ✏️ StepForm
+ *
+ * Creates or edits one scenario step of any question type:
+ * - Multiple choice: four options, one marked correct.
+ * - True / false: the right answer, optionally with custom labels.
+ * - Choose all that apply: 2–8 options, any number marked correct.
+ * - Put in order: 2–8 items, entered in the correct order.
+ * - Image hotspot: an image and the target circle (click the image to place it).
+ *
+ * Every change is reported through `onDraft`, which drives the live
+ * preview. Input is checked with the API's rules before saving; errors from
+ * the server are shown on the same fields. Branches are not edited here:
+ * saving keeps whatever branches the step already has.
+ *
+ * @component
+ * @param {Object} props
+ * @param {object|null} props.step - The step to edit, or null for a new one.
+ * @param {number} props.scenarioId - The scenario the step belongs to.
+ * @param {number} props.nextOrder - `step_order` given to a new step.
+ * @param {boolean} [props.readOnly] - Show the step without saving (no `step:write`).
+ * @param {(body: object) => Promise<object>} props.onSave - Saves the request body; resolves with the saved step.
+ * @param {() => Promise<void>} [props.onDelete] - Deletes the step.
+ * @param {(draft: object) => void} [props.onDraft] - Receives the step as currently entered.
+ *
+ * @example
+ * <StepForm
+ *   key={selected?.step_id ?? "new"}
+ *   step={selected}
+ *   scenarioId={42}
+ *   nextOrder={steps.length + 1}
+ *   onSave={(body) => selected ? updateStep(selected.step_id, body) : createStep(body)}
+ *   onDraft={setDraft}
+ * />
+ */
+export default function StepForm({ step, scenarioId, nextOrder, readOnly, onSave, onDelete, onDraft }) {
+  const [form, setForm] = useState(() => toForm(step));
+  const [errors, setErrors] = useState({});
+  const [status, setStatus] = useState({ busy: false, error: "", ok: "" });
+
+  const body = useMemo(
+    () => ({
+      scenario_id: scenarioId,
+      step_order: step?.step_order ?? nextOrder,
+      question_text: form.question_text,
+      type: form.type,
+      ...toContent(form),
+      feedback_message: form.feedback_message,
+    }),
+    [form, scenarioId, step, nextOrder]
+  );
+
+  useEffect(() => {
+    onDraft?.({ ...body, step_id: step?.step_id ?? null });
+  }, [body, step, onDraft]);
+
+  const set = (field) => (e) => setForm((f) => ({ ...f, [field]: e.target.value }));
+  const setHotspot = (field, value) => setForm((f) => ({ ...f, hotspot: { ...f.hotspot, [field]: value } }));
+
+  /** Switch the question type, keeping option texts where they still fit. */
+  const changeType = (e) => {
+    const type = e.target.value;
+    setForm((f) => {
+      let choices = f.choices.map((c) => ({ ...c, correct: false }));
+      if (type === "multiple_choice") {
+        choices = CHOICE_KEYS.map((_, i) => ({ text: f.choices[i]?.text ?? "", correct: false }));
+      }
+      return { ...f, type, choices };
+    });
+    setErrors({});
+  };
+
+  /** @param {number} index @param {object} patch */
+  const updateChoice = (index, patch) =>
+    setForm((f) => ({
+      ...f,
+      choices: f.choices.map((c, i) => {
+        if (i === index) return { ...c, ...patch };
+        // Only one correct option in a multiple-choice step
+        if (patch.correct && f.type === "multiple_choice") return { ...c, correct: false };
+        return c;
+      }),
+    }));
+
+  const addChoice = () => setForm((f) => ({ ...f, choices: [...f.choices, { text: "", correct: false }] }));
+  const removeChoice = (index) => setForm((f) => ({ ...f, choices: f.choices.filter((_, i) => i !== index) }));
+
+  /** @param {number} index @param {number} delta */
+  const moveChoice = (index, delta) =>
+    setForm((f) => {
+      const target = index + delta;
+      if (target < 0 || target >= f.choices.length) return f;
+      const choices = f.choices.slice();
+      [choices[index], choices[target]] = [choices[target], choices[index]];
+      return { ...f, choices };
+    });
+
+  /** Place the hotspot target where the image was clicked (in % of the image). */
+  const placeTarget = (e) => {
+    if (readOnly) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    setHotspot("x", String(Math.round(((e.clientX - rect.left) / rect.width) * 1000) / 10));
+    setHotspot("y", String(Math.round(((e.clientY - rect.top) / rect.height) * 1000) / 10));
+  };
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const save = async (e) => {
+    e.preventDefault();
+    const found = validateStep(body);
+    setErrors(found);
+    if (Object.keys(found).length) {
+      return setStatus({ busy: false, error: "Please fix the highlighted fields.", ok: "" });
+    }
+
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await onSave(body);
+      setStatus({ busy: false, error: "", ok: step ? "Step saved." : "Step added." });
+    } catch (err) {
+      const fromServer = fieldErrorsFrom(err);
+      if (fromServer) setErrors(fromServer);
+      setStatus({ busy: false, error: err.message || "Could not save the step.", ok: "" });
+    }
+  };
+
+  const remove = async () => {
+    if (!window.confirm("Delete this step? Answers learners gave to it are deleted too.")) return;
+    setStatus({ busy: true, error: "", ok: "" });
+    try {
+      await onDelete();
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not delete the step.", ok: "" });
+    }
+  };
+
+  const keyed = form.type === "multi_select" || form.type === "ordering";
+  const h = form.hotspot;
+
+  return (
+    <form className="admin-card" onSubmit={save} noValidate>
+      <h3>{step ? `Step ${step.step_order}` : "New step"}</h3>
+      {step?.branches && (
+        <p className="admin-hint">This step branches to other steps. Saving keeps its branches.</p>
+      )}
+
+      <fieldset disabled={readOnly || status.busy} className="admin-fieldset">
+        <Field label="Question type" htmlFor="step-type">
+          <select id="step-type" value={form.type} onChange={changeType}>
+            {Object.entries(QUESTION_TYPES).map(([type, label]) => (
+              <option key={type} value={type}>{label}</option>
+            ))}
+          </select>
+        </Field>
+
+        <Field label="Question" htmlFor="step-question" error={errors.question_text}>
+          <textarea id="step-question" rows={2} value={form.question_text} onChange={set("question_text")} />
+        </Field>
+
+        {(form.type === "multiple_choice" || keyed) && (
+          <Field
+            label={form.type === "ordering" ? "Items, in the correct order" : "Options"}
+            htmlFor="step-choice-0"
+            error={errors.answer}
+            hint={
+              form.type === "multiple_choice"
+                ? "Mark the correct option."
+                : form.type === "multi_select"
+                  ? "Tick every correct option."
+                  : "Learners see the items shuffled."
+            }
+          >
+            <ol className="admin-choices">
+              {form.choices.map((c, i) => (
+                <li key={i} className="admin-choice">
+                  <span className="chip">{form.type === "ordering" ? i + 1 : OPTION_KEYS[i]}</span>
+                  <input
+                    id={`step-choice-${i}`}
+                    value={c.text}
+                    onChange={(e) => updateChoice(i, { text: e.target.value })}
+                    aria-label={`Option ${OPTION_KEYS[i]}`}
+                  />
+                  {form.type === "multiple_choice" && (
+                    <input
+                      type="radio"
+                      name="step-correct"
+                      checked={c.correct}
+                      onChange={() => updateChoice(i, { correct: true })}
+                      aria-label={`Option ${OPTION_KEYS[i]} is correct`}
+                    />
+                  )}
+                  {form.type === "multi_select" && (
+                    <input
+                      type="checkbox"
+                      checked={c.correct}
+                      onChange={(e) => updateChoice(i, { correct: e.target.checked })}
+                      aria-label={`Option ${OPTION_KEYS[i]} is correct`}
+                    />
+                  )}
+                  {form.type === "ordering" && (
+                    <span className="order-controls">
+                      <button type="button" onClick={() => moveChoice(i, -1)} disabled={i === 0} aria-label="Move up">▲</button>
+                      <button type="button" onClick={() => moveChoice(i, 1)} disabled={i === form.choices.length - 1} aria-label="Move down">▼</button>
+                    </span>
+                  )}
+                  {keyed && (
+                    <button
+                      type="button"
+                      className="admin-remove"
+                      onClick={() => removeChoice(i)}
+                      disabled={form.choices.length <= 2}
+                      aria-label={`Remove option ${OPTION_KEYS[i]}`}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ol>
+            {keyed && form.choices.length < OPTION_KEYS.length && (
+              <button type="button" className="btn small ghost" onClick={addChoice}>+ Add option</button>
+            )}
+          </Field>
+        )}
+
+        {form.type === "true_false" && (
+          <>
+            <Field label="Correct answer" htmlFor="step-tf" error={errors.answer}>
+              <select
+                id="step-tf"
+                value={form.tf_answer ? "TRUE" : "FALSE"}
+                onChange={(e) => setForm((f) => ({ ...f, tf_answer: e.target.value === "TRUE" }))}
+              >
+                <option value="TRUE">True</option>
+                <option value="FALSE">False</option>
+              </select>
+            </Field>
+            <div className="admin-row">
+              <Field label="Label for true" htmlFor="step-tf-true" hint="Optional, e.g. “Safe”.">
+                <input
+                  id="step-tf-true"
+                  value={form.tf_labels.TRUE}
+                  onChange={(e) => setForm((f) => ({ ...f, tf_labels: { ...f.tf_labels, TRUE: e.target.value } }))}
+                />
+              </Field>
+              <Field label="Label for false" htmlFor="step-tf-false" hint="Optional, e.g. “Unsafe”.">
+                <input
+                  id="step-tf-false"
+                  value={form.tf_labels.FALSE}
+                  onChange={(e) => setForm((f) => ({ ...f, tf_labels: { ...f.tf_labels, FALSE: e.target.value } }))}
+                />
+              </Field>
+            </div>
+          </>
+        )}
+
+        {form.type === "hotspot" && (
+          <>
+            <Field label="Image URL" htmlFor="step-hotspot-image">
+              <input id="step-hotspot-image" value={h.image_url} onChange={(e) => setHotspot("image_url", e.target.value)} />
+            </Field>
+            <Field label="Image description" htmlFor="step-hotspot-alt" hint="Read out by screen readers.">
+              <input id="step-hotspot-alt" value={h.alt} onChange={(e) => setHotspot("alt", e.target.value)} />
+            </Field>
+            {h.image_url && (
+              <div className="hotspot-frame admin-hotspot" onClick={placeTarget}>
+                <img src={h.image_url} alt={h.alt} draggable={false} />
+                {h.x !== "" && h.y !== "" && (
+                  <span
+                    className="hotspot-target"
+                    style={{ left: `${h.x}%`, top: `${h.y}%`, width: `${h.radius * 2}%`, height: `${h.radius * 2}%` }}
+                  />
+                )}
+              </div>
+            )}
+            <Field label="Target (x, y, radius in % of the image)" htmlFor="step-hotspot-x" error={errors.answer} hint="Click the image to place the target.">
+              <div className="admin-row tight">
+                <input id="step-hotspot-x" type="number" min={0} max={100} value={h.x} onChange={(e) => setHotspot("x", e.target.value)} aria-label="x" />
+                <input type="number" min={0} max={100} value={h.y} onChange={(e) => setHotspot("y", e.target.value)} aria-label="y" />
+                <input type="number" min={1} max={100} value={h.radius} onChange={(e) => setHotspot("radius", e.target.value)} aria-label="radius" />
+              </div>
+            </Field>
+          </>
+        )}
+
+        <Field label="Feedback" htmlFor="step-feedback" error={errors.feedback_message} hint="Shown after the step is answered.">
+          <textarea id="step-feedback" rows={2} value={form.feedback_message} onChange={set("feedback_message")} />
+        </Field>
+      </fieldset>
+
+      {!readOnly && (
+        <div className="admin-actions">
+          <button type="submit" className="btn small primary" disabled={status.busy}>
+            {status.busy ? "Saving…" : step ? "Save step" : "Add step"}
+          </button>
+          {step && onDelete && (
+            <button type="button" className="btn small danger" onClick={remove} disabled={status.busy}>
+              Delete
+            </button>
+          )}
+        </div>
+      )}
+      {status.error && <p className="admin-error">{status.error}</p>}
+      {status.ok && <p className="admin-ok" role="status">{status.ok}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,120 @@
+import React, { useState } from "react";
+import { scenarioStepService } from "../../services/scenarioStepService";
+
+/** Columns of a step CSV, in the order of the template. */
+const COLUMNS = [
+  "scenario_id",
+  "step_order",
+  "question_text",
+  "option_a",
+  "option_b",
+  "option_c",
+  "option_d",
+  "correct_action",
+  "feedback_message",
+];
+
+/** Template offered for download: the header and one example row. */
+const TEMPLATE =
+  COLUMNS.join(",") +
+  "\n1,1,Is the area safe to approach?,Yes,No,Not sure,Call someone,A,\"Check for traffic, fire or wires first.\"\n";
+
+/**
+ * 📥 StepImportAdmin
+ *
+ * Uploads a CSV of multiple-choice steps, one row per step, and shows what
+ * happened: how many steps were created and, for every row that was not,
+ * the row and column at fault. Rows are numbered as in a spreadsheet, so
+ * the header is row 1. Fixed rows can be uploaded again on their own.
+ *
+ * @component
+ * @example
+ * <Route path="import" element={<StepImportAdmin />} />
+ */
+export default function StepImportAdmin() {
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState({ busy: false, error: "" });
+
+  const templateUrl = `data:text/csv;charset=utf-8,${encodeURIComponent(TEMPLATE)}`;
+
+  /** @param {React.FormEvent<HTMLFormElement>} e */
+  const upload = async (e) => {
+    e.preventDefault();
+    if (!file) return setStatus({ busy: false, error: "Choose a CSV file first." });
+
+    setStatus({ busy: true, error: "" });
+    setReport(null);
+    try {
+      setReport(await scenarioStepService.importCsv(await file.text()));
+      setStatus({ busy: false, error: "" });
+    } catch (err) {
+      setStatus({ busy: false, error: err.message || "Could not import the file." });
+    }
+  };
+
+  return (
+    <section className="admin-import">
+      <form className="admin-card" onSubmit={upload} noValidate>
+        <h2>Import steps from CSV</h2>
+        <p className="muted">
+          One multiple-choice step per row, with the columns <code>{COLUMNS.join(", ")}</code> in any
+          order. <code>feedback_message</code> may be left out. Rows with problems are skipped; the
+          others are created.
+        </p>
+
+        <div className="admin-field">
+          <label htmlFor="step-import-file">CSV file</label>
+          <input
+            id="step-import-file"
+            type="file"
+            accept=".csv,text/csv"
+            onChange={(e) => {
+              setFile(e.target.files[0] ?? null);
+              setReport(null);
+            }}
+          />
+        </div>
+
+        <div className="admin-actions">
+          <button type="submit" className="btn small primary" disabled={status.busy || !file}>
+            {status.busy ? "Importing…" : "Import steps"}
+          </button>
+          <a className="btn small ghost" href={templateUrl} download="steps-template.csv">
+            Download template
+          </a>
+        </div>
+        {status.error && <p className="admin-error">{status.error}</p>}
+      </form>
+
+      {report && (
+        <div className="admin-card">
+          <p className={report.created ? "admin-ok" : "muted"} role="status">
+            {report.created === 1 ? "1 step created." : `${report.created} steps created.`}
+            {report.errors.length > 0 && ` ${report.errors.length} problem(s) to fix:`}
+          </p>
+          {report.errors.length > 0 && (
+            <table className="admin-import-errors">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Column</th>
+                  <th>Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.errors.map((err, i) => (
+                  <tr key={`${err.row}-${err.field}-${i}`}>
+                    <td>{err.row}</td>
+                    <td><code>{err.field}</code></td>
+                    <td>{err.message}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
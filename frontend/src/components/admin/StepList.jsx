@@ -0,0 +1,99 @@
+import React, { useState } from "react";
+import { QUESTION_TYPES } from "../../utils/contentRules";
+
+/**
+ * The list with one item moved.
+ * @param {Array} list
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index it ends up at
+ * @returns {Array}
+ */
+function move(list, from, to) {
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+/**
+ * 🧱 StepList
+ *
+ * The steps of a scenario in play order. Steps are dragged into a new order
+ * (or moved with the arrow buttons, for keyboard users); every move is
+ * handed to `onReorder` with the whole list in its new order.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Array<object>} props.steps - Steps sorted by `step_order`.
+ * @param {number|null} props.selectedId - `step_id` of the step being edited.
+ * @param {boolean} [props.readOnly] - Disable reordering.
+ * @param {(step: object) => void} props.onSelect - Opens a step in the form.
+ * @param {(ordered: Array<object>) => void} props.onReorder - Receives the new order.
+ *
+ * @example
+ * <StepList steps={steps} selectedId={selectedId} onSelect={select} onReorder={reorderSteps} />
+ */
+export default function StepList({ steps, selectedId, readOnly, onSelect, onReorder }) {
+  const [dragIndex, setDragIndex] = useState(null);
+  const [overIndex, setOverIndex] = useState(null);
+
+  const drop = (index) => {
+    if (dragIndex !== null && dragIndex !== index) onReorder(move(steps, dragIndex, index));
+    setDragIndex(null);
+    setOverIndex(null);
+  };
+
+  if (!steps.length) return <p className="muted">No steps yet. Add the first one with the form.</p>;
+
+  return (
+    <ol className="admin-steps">
+      {steps.map((s, i) => (
+        <li
+          key={s.step_id}
+          className={
+            "admin-step" +
+            (s.step_id === selectedId ? " active" : "") +
+            (i === dragIndex ? " dragging" : "") +
+            (i === overIndex && i !== dragIndex ? " drop-target" : "")
+          }
+          draggable={!readOnly}
+          onDragStart={(e) => {
+            e.dataTransfer.effectAllowed = "move";
+            setDragIndex(i);
+          }}
+          onDragOver={(e) => {
+            if (dragIndex === null) return;
+            e.preventDefault();
+            setOverIndex(i);
+          }}
+          onDrop={(e) => {
+            e.preventDefault();
+            drop(i);
+          }}
+          onDragEnd={() => {
+            setDragIndex(null);
+            setOverIndex(null);
+          }}
+        >
+          {!readOnly && <span className="admin-grip" aria-hidden="true">⋮⋮</span>}
+          <button type="button" className="admin-step-main" onClick={() => onSelect(s)}>
+            <span className="admin-order">{s.step_order}</span>
+            <span className="admin-step-text">
+              {s.question_text}
+              <small className="muted">
+                {QUESTION_TYPES[s.type] ?? s.type}
+                {s.branches ? " · branches" : ""}
+              </small>
+            </span>
+          </button>
+          {!readOnly && (
+            <span className="order-controls">
+              <button type="button" onClick={() => onReorder(move(steps, i, i - 1))} disabled={i === 0} aria-label={`Move step ${s.step_order} up`}>▲</button>
+              <button type="button" onClick={() => onReorder(move(steps, i, i + 1))} disabled={i === steps.length - 1} aria-label={`Move step ${s.step_order} down`}>▼</button>
+            </span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
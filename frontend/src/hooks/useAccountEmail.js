@@ -0,0 +1,95 @@
+import { useState, useCallback } from 'react';
+import { authService } from '../services/authService';
+
+/**
+ * Custom React hook for the emailed account flows: verifying an email
+ * address and resetting a forgotten password.
+ *
+ * Handles:
+ * - Calling the matching `authService` endpoint
+ * - Managing loading and error states
+ *
+ * @returns {object} Hook API
+ * @property {boolean} loading - Indicates if a request is in progress
+ * @property {string} error - Error message from the last request, if any
+ * @property {Function} verifyEmail - Confirm an address with the token from the link
+ * @property {Function} resendVerification - Email a new verification link
+ * @property {Function} forgotPassword - Email a password reset link
+ * @property {Function} resetPassword - Set a new password with the token from the link
+ * @property {Function} clearError - Function to reset the error state
+ *
+ * @example
+ * const { loading, error, forgotPassword } = useAccountEmail();
+ *
+ * async function handleSubmit(email) {
+ *   const { message } = await forgotPassword(email);
+ *   setNotice(message);
+ * }
+ */
+export function useAccountEmail() {
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  /**
+   * Run a request with shared loading/error handling.
+   * @param {() => Promise<any>} fn
+   * @returns {Promise<any>}
+   */
+  const run = useCallback(async (fn) => {
+    setLoading(true);
+    setError('');
+    try {
+      return await fn();
+    } catch (e) {
+      setError(e.message || 'Something went wrong. Please try again.');
+      throw e;
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  /**
+   * Confirm an email address.
+   * @param {string} token - Token from the verification link
+   * @returns {Promise<object>} The verified user
+   */
+  const verifyEmail = useCallback(
+    (token) => run(() => authService.verifyEmail(token)),
+    [run]
+  );
+
+  /**
+   * Email a new verification link.
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  const resendVerification = useCallback(
+    (email) => run(() => authService.resendVerification(email)),
+    [run]
+  );
+
+  /**
+   * Email a password reset link.
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  const forgotPassword = useCallback(
+    (email) => run(() => authService.forgotPassword(email)),
+    [run]
+  );
+
+  /**
+   * Set a new password.
+   * @param {{ token: string, password: string }} payload
+   * @returns {Promise<null>}
+   */
+  const resetPassword = useCallback(
+    (payload) => run(() => authService.resetPassword(payload)),
+    [run]
+  );
+
+  /** Clear any existing error message. */
+  const clearError = () => setError('');
+
+  return { loading, error, verifyEmail, resendVerification, forgotPassword, resetPassword, clearError };
+}
@@ -21,6 +21,7 @@ import { attemptService } from '../services/attemptService';
  * Returned API:
  * - `attempts` {Array} — cached list of attempts
  * - `currentAttempt` {object|null} — last fetched/updated attempt
+ * - `history` {Array} — chronological attempts for the last fetched user/scenario
  * - `stats` {{perfect:number,total:number}} — aggregate counts
  * - `loading` {boolean} — network activity flag
  * - `error` {string|null} — last error message
@@ -28,6 +29,7 @@ import { attemptService } from '../services/attemptService';
  *   - `fetchAttempts()` → Promise<void>
  *   - `fetchAttempt(id)` → Promise<object|null>
  *   - `fetchUserAttempt(userId, scenarioId)` → Promise<object|null>
+ *   - `fetchUserAttemptHistory(userId, scenarioId)` → Promise<Array>
  *   - `saveBestScore(payload)` → Promise<object>
  *   - `countPerfectByUserInLevel(userId, levelId)` → Promise<number>
  *   - `countScenariosInLevel(levelId)` → Promise<number>
@@ -40,6 +42,7 @@ import { attemptService } from '../services/attemptService';
 export function useAttempts() {
     const [attempts, setAttempts] = useState([]);
     const [currentAttempt, setCurrentAttempt] = useState(null);
+    const [history, setHistory] = useState([]);
     const [stats, setStats] = useState({ perfect: 0, total: 0 });
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -123,6 +126,31 @@ export function useAttempts() {
         }
     }, []);
 
+    /**
+     * Fetch every attempt a user made on a scenario (oldest first).
+     * Updates `history`; useful for plotting score trends.
+     * @param {number|string} userId
+     * @param {number|string} scenarioId
+     * @returns {Promise<Array>}
+     * @throws rethrows underlying error after setting `error`.
+     */
+    const fetchUserAttemptHistory = useCallback(async (userId, scenarioId) => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const data = await attemptService.getHistory(userId, scenarioId);
+            const list = Array.isArray(data) ? data : [];
+            setHistory(list);
+            return list;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
     /**
      * Upsert the best score for a user/scenario and sync cache.
      * @param {{user_id:number, scenario_id:number, score:number}} payload
@@ -241,12 +269,14 @@ export function useAttempts() {
     return {
         attempts,
         currentAttempt,
+        history,
         stats,
         loading,
         error,
         fetchAttempts,
         fetchAttempt,
         fetchUserAttempt,
+        fetchUserAttemptHistory,
         saveBestScore,
         countPerfectByUserInLevel,
         countScenariosInLevel,
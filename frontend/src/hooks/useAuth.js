@@ -29,8 +29,13 @@ import { authService } from '../services/authService';
  * @property {Function} registerUser - Registers a new user and stores session data
  * @property {Function} login - Logs in a user and persists the session
  * @property {Function} loadMe - Loads the current user from the API using stored token
- * @property {Function} logout - Clears stored session and resets user/token
+ * @property {Function} logout - Revokes this device's session and clears stored session data
+ * @property {Function} logoutAll - Revokes every session of the user (all devices) and clears stored session data
+ * @property {Function} updateProfile - Updates the user's name and the stored user
+ * @property {Function} changePassword - Changes the password (other devices are logged out)
+ * @property {Function} deleteAccount - Deletes the account and clears stored session data
  * @property {Function} clearError - Resets any error state
+ * @property {Function} hasPermission - Whether the stored user's role grants a permission (after `loadMe`)
  *
  * @example
  * const {
@@ -53,14 +58,17 @@ export function useAuth() {
     const [error, setError] = useState(null);
 
     /**
-     * Helper to persist user and token in localStorage.
-     * @param {{ token?: string, user?: object }} session
+     * Helper to persist user and tokens in localStorage.
+     * @param {{ token?: string, refresh_token?: string, user?: object }} session
      */
-    const storeSession = useCallback(({ token, user }) => {
+    const storeSession = useCallback(({ token, refresh_token, user }) => {
         if (token) {
             localStorage.setItem('token', token);
             setToken(token);
         }
+        if (refresh_token) {
+            localStorage.setItem('refresh_token', refresh_token);
+        }
         if (user) {
             localStorage.setItem('user', JSON.stringify(user));
             setUser(user);
@@ -102,7 +110,7 @@ export function useAuth() {
         setError(null);
 
         try {
-            const data = await authService.login(credentials); // { token, user }
+            const data = await authService.login(credentials); // { token, refresh_token, user }
             storeSession(data);
             return data.user;
         } catch (err) {
@@ -129,9 +137,8 @@ export function useAuth() {
             setUser(me);
             return me;
         } catch (err) {
-            // token invalid → clear session
-            localStorage.removeItem('token');
-            localStorage.removeItem('user');
+            // token invalid and could not be refreshed → clear session
+            authService.clearSession();
             setToken(null);
             setUser(null);
             setError(err.message);
@@ -142,14 +149,86 @@ export function useAuth() {
     }, [token]);
 
     /**
-     * Log out the current user.
-     * Clears token and user data from localStorage.
+     * Log out the current device.
+     * Revokes the session on the server, then clears tokens and user data
+     * from localStorage (even if the server could not be reached).
+     * @returns {Promise<void>}
      */
-    const logout = useCallback(() => {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
-        setToken(null);
-        setUser(null);
+    const logout = useCallback(async () => {
+        try {
+            await authService.logout();
+        } catch (err) {
+            console.warn('Logout request failed:', err.message);
+        } finally {
+            setToken(null);
+            setUser(null);
+        }
+    }, []);
+
+    /**
+     * Log out every device of the current user, this one included.
+     * @returns {Promise<void>}
+     * @throws {Error} if the server rejects the request (local session is cleared anyway)
+     */
+    const logoutAll = useCallback(async () => {
+        try {
+            await authService.logoutAll();
+        } finally {
+            setToken(null);
+            setUser(null);
+        }
+    }, []);
+
+    /**
+     * Update the current user's name.
+     * @param {{ full_name: string }} data
+     * @returns {Promise<object>} The updated user
+     * @throws {Error} if the update fails
+     */
+    const updateProfile = useCallback(async (data) => {
+        setError(null);
+        try {
+            const updated = await authService.updateProfile(data);
+            storeSession({ user: updated });
+            return updated;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    }, [storeSession]);
+
+    /**
+     * Change the current user's password after confirming the current one.
+     * @param {{ current_password: string, new_password: string }} data
+     * @returns {Promise<void>}
+     * @throws {Error} if the current password is wrong or the request fails
+     */
+    const changePassword = useCallback(async (data) => {
+        setError(null);
+        try {
+            await authService.changePassword(data);
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    }, []);
+
+    /**
+     * Permanently delete the account, then clear the local session.
+     * @param {string} password - Current password, to confirm
+     * @returns {Promise<void>}
+     * @throws {Error} if the password is wrong or the request fails
+     */
+    const deleteAccount = useCallback(async (password) => {
+        setError(null);
+        try {
+            await authService.deleteAccount(password);
+            setToken(null);
+            setUser(null);
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
     }, []);
 
     /** Clear the latest error message (if any). */
@@ -157,6 +236,18 @@ export function useAuth() {
         setError(null);
     }, []);
 
+    /**
+     * Whether the user's role grants a permission, e.g. `scenario:write`.
+     * Permissions come with `loadMe()`; the server checks every request
+     * anyway, so this only decides which screens to offer.
+     * @param {string} permission
+     * @returns {boolean}
+     */
+    const hasPermission = useCallback(
+        (permission) => !!user?.permissions?.includes(permission),
+        [user]
+    );
+
     return {
         user,
         token,
@@ -166,7 +257,12 @@ export function useAuth() {
         login,
         loadMe,
         logout,
+        logoutAll,
+        updateProfile,
+        changePassword,
+        deleteAccount,
         clearError,
+        hasPermission,
         isAuthed: !!token
     };
 }
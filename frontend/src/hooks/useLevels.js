@@ -33,6 +33,8 @@ function normalizeLevel(raw) {
  * @property {string|null} error - Error message, if any
  * @property {Function} fetchLevels - Fetch all levels and normalize them
  * @property {Function} fetchLevel - Fetch one level by ID and merge into state
+ * @property {object|null} levelProgress - Last fetched progress against a level's completion rule
+ * @property {Function} fetchLevelProgress - Fetch the signed-in user's progress on a level
  * @property {Function} createLevel - Create a new level
  * @property {Function} updateLevel - Update an existing level
  * @property {Function} deleteLevel - Delete a level
@@ -48,6 +50,7 @@ export function useLevels() {
   const [levels, setLevels] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [levelProgress, setLevelProgress] = useState(null);
 
   /**
    * Fetch all levels from the API and normalize results.
@@ -95,6 +98,24 @@ export function useLevels() {
     }
   }, []);
 
+  /**
+   * Fetch the signed-in user's progress on a level (completion rule status).
+   * Errors are kept out of the shared `error` so the level list still renders.
+   * @param {number|string} id - Level ID
+   * @returns {Promise<object|null>} The progress, or null on failure
+   */
+  const fetchLevelProgress = useCallback(async (id) => {
+    try {
+      const progress = await levelService.getProgress(id);
+      setLevelProgress(progress);
+      return progress;
+    } catch (err) {
+      console.error('Failed to load level progress:', err);
+      setLevelProgress(null);
+      return null;
+    }
+  }, []);
+
   /**
    * Create a new level and prepend it to local state.
    * @param {object} levelData - Level creation payload
@@ -176,6 +197,8 @@ export function useLevels() {
     error,
     fetchLevels,
     fetchLevel,
+    levelProgress,
+    fetchLevelProgress,
     createLevel,
     updateLevel,
     deleteLevel,
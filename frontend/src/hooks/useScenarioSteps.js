@@ -11,39 +11,51 @@
 import { useState, useEffect, useCallback } from 'react';
 import { scenarioStepService } from '../services/scenarioStepService';
 
+/**
+ * Whether a step record has the given ID (records carry `step_id`).
+ * @param {object} s - Step record
+ * @param {number|string} id - Step ID
+ * @returns {boolean}
+ */
+const hasId = (s, id) => Number(s.step_id ?? s.id) === Number(id);
+
+/** Sort steps by `step_order`, as they are played. */
+const byOrder = (a, b) => a.step_order - b.step_order;
+
 /**
  * React hook for managing scenario step data.
  *
  * Handles:
- * - Fetching all scenario steps
- * - Creating, updating, and deleting steps
+ * - Fetching all scenario steps, or the steps of one scenario
+ * - Creating, updating, deleting and reordering steps
  * - Local state management (list, loading, and error)
  *
+ * @param {number|string|null} [scenarioId] - Only load the steps of this scenario (kept in step order)
  * @returns {object} Hook API
  * @property {Array<object>} steps - List of scenario steps
  * @property {boolean} loading - Whether a step-related API request is in progress
  * @property {string|null} error - Error message, if any
- * @property {Function} fetchSteps - Fetch all scenario steps
+ * @property {Function} fetchSteps - Fetch the steps (all, or the scenario's)
  * @property {Function} createStep - Create a new scenario step
  * @property {Function} updateStep - Update an existing scenario step
  * @property {Function} deleteStep - Delete a scenario step
+ * @property {Function} reorderSteps - Save a new order for the scenario's steps
  * @property {Function} clearError - Clear the current error message
  *
  * @example
- * const { steps, fetchSteps, createStep } = useScenarioSteps();
+ * const { steps, createStep, reorderSteps } = useScenarioSteps(scenarioId);
  *
- * useEffect(() => {
- *   fetchSteps();
- * }, [fetchSteps]);
+ * // after a drag and drop
+ * await reorderSteps([third, first, second]);
  */
-export function useScenarioSteps() {
+export function useScenarioSteps(scenarioId = null) {
     const [steps, setSteps] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
     /**
-     * Fetch all scenario steps from the API.
-     * Normalizes array response and updates state.
+     * Fetch the scenario's steps from the API, or every step when the hook
+     * has no scenario. Normalizes array response and updates state.
      * 
      * @returns {Promise<void>}
      */
@@ -52,17 +64,19 @@ export function useScenarioSteps() {
         setError(null);
 
         try {
-            const data = await scenarioStepService.getAll();
+            const data = scenarioId
+                ? await scenarioStepService.listByScenario(scenarioId)
+                : await scenarioStepService.getAll();
             setSteps(Array.isArray(data) ? data : []);
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [scenarioId]);
 
     /**
-     * Create a new scenario step and prepend it to the local list.
+     * Create a new scenario step and add it to the local list.
      *
      * @param {object} stepData - Step creation payload
      * @returns {Promise<object>} The created step object
@@ -74,7 +88,7 @@ export function useScenarioSteps() {
 
         try {
             const newStep = await scenarioStepService.create(stepData);
-            setSteps(prev => [newStep, ...prev]);
+            setSteps(prev => scenarioId ? [...prev, newStep].sort(byOrder) : [newStep, ...prev]);
             return newStep;
         } catch (err) {
             setError(err.message);
@@ -82,7 +96,7 @@ export function useScenarioSteps() {
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [scenarioId]);
 
     /**
      * Update an existing scenario step and merge changes into local state.
@@ -98,7 +112,10 @@ export function useScenarioSteps() {
 
         try {
             const updatedStep = await scenarioStepService.update(id, stepData);
-            setSteps(prev => prev.map(s => s.id === id ? updatedStep : s));
+            setSteps(prev => {
+                const next = prev.map(s => hasId(s, id) ? updatedStep : s);
+                return scenarioId ? next.sort(byOrder) : next;
+            });
             return updatedStep;
         } catch (err) {
             setError(err.message);
@@ -106,7 +123,7 @@ export function useScenarioSteps() {
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [scenarioId]);
 
     /**
      * Delete a scenario step by ID and remove it from local state.
@@ -121,7 +138,7 @@ export function useScenarioSteps() {
 
         try {
             await scenarioStepService.delete(id);
-            setSteps(prev => prev.filter(s => s.id !== id));
+            setSteps(prev => prev.filter(s => !hasId(s, id)));
         } catch (err) {
             setError(err.message);
             throw err;
@@ -130,12 +147,42 @@ export function useScenarioSteps() {
         }
     }, []);
 
+    /**
+     * Save a new order for the scenario's steps. The list is shown in its
+     * new order straight away, then the server renumbers every step
+     * (1, 2, 3, ...) in one request and the list takes its answer. If
+     * saving fails the steps are reloaded, so the list shows what the
+     * server has.
+     *
+     * @param {Array<object>} ordered - The scenario's steps in their new order
+     * @returns {Promise<void>}
+     * @throws {Error} if saving fails
+     */
+    const reorderSteps = useCallback(async (ordered) => {
+        const renumbered = ordered.map((s, i) => ({ ...s, step_order: i + 1 }));
+        if (renumbered.every((s, i) => s.step_order === ordered[i].step_order)) return;
+        setSteps(renumbered);
+
+        setLoading(true);
+        setError(null);
+
+        try {
+            setSteps(await scenarioStepService.reorder(scenarioId, ordered.map((s) => s.step_id)));
+        } catch (err) {
+            setError(err.message);
+            await fetchSteps();
+            throw err;
+        } finally {
+            setLoading(false);
+        }
+    }, [scenarioId, fetchSteps]);
+
     /** Clear the current error message. */
     const clearError = useCallback(() => {
         setError(null);
     }, []);
 
-    // Automatically fetch steps when the hook mounts
+    // Automatically fetch steps when the hook mounts or the scenario changes
     useEffect(() => {
         fetchSteps();
     }, [fetchSteps]);
@@ -148,6 +195,7 @@ export function useScenarioSteps() {
         createStep,
         updateStep,
         deleteStep,
+        reorderSteps,
         clearError
     };
 }
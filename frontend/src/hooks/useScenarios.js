@@ -11,15 +11,30 @@
 import { useState, useEffect, useCallback } from 'react';
 import { scenarioService } from '../services/scenarioService';
 
+/**
+ * Whether a scenario record has the given ID (records carry `scenario_id`).
+ * @param {object} s - Scenario record
+ * @param {number|string} id - Scenario ID
+ * @returns {boolean}
+ */
+const hasId = (s, id) => Number(s.scenario_id ?? s.id) === Number(id);
+
 /**
  * Custom React hook for managing scenario data.
  *
  * Handles:
  * - Fetching scenarios (all or by level)
  * - Creating, updating, and deleting scenarios
+ * - Moving scenarios through the publishing workflow
  * - Local state management (list, loading, and error)
  * - Refreshing individual scenario progress in state
  *
+ * Learners get the published scenarios. The content console passes
+ * `authoring: true` to work on every scenario's working copy, drafts
+ * included, with its `status`.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.authoring=false] - Load working copies (needs `step:read`).
  * @returns {object} Hook API
  * @property {Array<object>} scenarios - Array of loaded scenarios
  * @property {boolean} loading - Whether an API request is in progress
@@ -29,6 +44,7 @@ import { scenarioService } from '../services/scenarioService';
  * @property {Function} createScenario - Create a new scenario
  * @property {Function} updateScenario - Update an existing scenario
  * @property {Function} deleteScenario - Delete a scenario
+ * @property {Function} changeStatus - Submit for review, send back or publish a scenario
  * @property {Function} refreshScenarioProgress - Update progress for a specific scenario in local state
  * @property {Function} clearError - Clear the current error message
  *
@@ -41,7 +57,7 @@ import { scenarioService } from '../services/scenarioService';
  *   fetchScenarios();
  * }, [fetchScenarios]);
  */
-export function useScenarios() {
+export function useScenarios({ authoring = false } = {}) {
     const [scenarios, setScenarios] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
@@ -60,7 +76,7 @@ export function useScenarios() {
     }, []);
 
     /**
-     * Fetch all scenarios from the backend.
+     * Fetch all scenarios from the backend (working copies when `authoring`).
      * Normalizes array response and handles loading/error states.
      * @returns {Promise<void>}
      */
@@ -69,14 +85,14 @@ export function useScenarios() {
         setError(null);
         
         try {
-            const data = await scenarioService.getAll();
+            const data = authoring ? await scenarioService.listAuthoring() : await scenarioService.getAll();
             setScenarios(Array.isArray(data) ? data : []);
         } catch (err) {
             setError(err.message);
         } finally {
             setLoading(false);
         }
-    }, []);
+    }, [authoring]);
 
     /**
      * Fetch all scenarios belonging to a specific level.
@@ -135,7 +151,7 @@ export function useScenarios() {
         
         try {
             const updatedScenario = await scenarioService.update(id, scenarioData);
-            setScenarios(prev => prev.map(s => s.id === id ? updatedScenario : s));
+            setScenarios(prev => prev.map(s => hasId(s, id) ? updatedScenario : s));
             return updatedScenario;
         } catch (err) {
             setError(err.message);
@@ -158,7 +174,7 @@ export function useScenarios() {
         
         try {
             await scenarioService.delete(id);
-            setScenarios(prev => prev.filter(s => s.id !== id));
+            setScenarios(prev => prev.filter(s => !hasId(s, id)));
         } catch (err) {
             setError(err.message);
             throw err;
@@ -167,6 +183,27 @@ export function useScenarios() {
         }
     }, []);
 
+    /**
+     * Move a scenario to another workflow status and replace it in the list.
+     *
+     * @param {number|string} id - Scenario ID
+     * @param {string} status - `review`, `draft` or `published`
+     * @param {string} [note] - Why; kept with the version when publishing
+     * @returns {Promise<object>} Updated scenario object
+     * @throws {Error} if the move is refused
+     */
+    const changeStatus = useCallback(async (id, status, note) => {
+        setError(null);
+        try {
+            const updatedScenario = await scenarioService.setStatus(id, status, note);
+            setScenarios(prev => prev.map(s => hasId(s, id) ? updatedScenario : s));
+            return updatedScenario;
+        } catch (err) {
+            setError(err.message);
+            throw err;
+        }
+    }, []);
+
     /** Clear any existing error message from state. */
     const clearError = useCallback(() => {
         setError(null);
@@ -185,6 +222,7 @@ export function useScenarios() {
         createScenario,
         updateScenario,
         deleteScenario,
+        changeStatus,
         clearError,
         fetchScenariosByLevel,
         refreshScenarioProgress
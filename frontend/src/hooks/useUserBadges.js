@@ -16,7 +16,7 @@ import { userBadgeService } from '../services/userBadgeService';
  *
  * Handles:
  * - Fetching badges for a specific user
- * - Creating, updating, and deleting user badges
+ * - Creating and deleting user badges (admin overrides)
  * - Local caching of badge state
  * - Loading and error handling
  *
@@ -25,9 +25,8 @@ import { userBadgeService } from '../services/userBadgeService';
  * @property {boolean} loading - Indicates if a badge operation is in progress
  * @property {string|null} error - Error message if a request fails
  * @property {Function} fetchUserBadges - Fetch all badges for a user by their ID
- * @property {Function} createUserBadge - Add a new user badge record
- * @property {Function} updateUserBadge - Update an existing user badge record
- * @property {Function} deleteUserBadge - Delete a user badge record
+ * @property {Function} createUserBadge - Add a new user badge record (admin only)
+ * @property {Function} deleteUserBadge - Delete a user badge record (admin only)
  * @property {Function} clearError - Reset the error state
  *
  * @example
@@ -85,29 +84,6 @@ export function useUserBadges() {
     }
   }, []);
 
-  /**
-   * Update an existing user badge record.
-   *
-   * @param {number|string} id - The badge record ID
-   * @param {object} badgeData - Updated badge fields
-   * @returns {Promise<object>} The updated badge record
-   * @throws {Error} If the operation fails
-   */
-  const updateUserBadge = useCallback(async (id, badgeData) => {
-    setLoading(true);
-    setError(null);
-    try {
-      const updated = await userBadgeService.update(id, badgeData);
-      setUserBadges(prev => prev.map(ub => ub.id === id ? updated : ub));
-      return updated;
-    } catch (err) {
-      setError(err.message);
-      throw err;
-    } finally {
-      setLoading(false);
-    }
-  }, []);
-
   /**
    * Delete a user badge and remove it from local state.
    *
@@ -145,7 +121,6 @@ export function useUserBadges() {
     error,
     fetchUserBadges,
     createUserBadge,
-    updateUserBadge,
     deleteUserBadge,
     clearError
   };
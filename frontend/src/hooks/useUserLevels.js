@@ -129,9 +129,9 @@ export function useUserLevels() {
   /**
    * Unlock the next level in sequence after completing the current one.
    *
-   * Uses:
-   * - `order` field from the catalog if available
-   * - Fallback: numeric `levelId + 1`
+   * The next level is the one after the current level in the catalog's
+   * `order` (difficulty_order). Nothing is unlocked without a catalog or
+   * when the current level is the last one.
    *
    * @param {number|string} userId - The user's ID
    * @param {number|string} currentLevelId - The current level's ID
@@ -157,8 +157,7 @@ export function useUserLevels() {
         }
       }
 
-      // Fallback: sequential unlock
-      if (!nextId) nextId = Number(currentLevelId) + 1;
+      if (!nextId) return;
 
       // Skip if already unlocked or completed
       const already = userLevels.some(
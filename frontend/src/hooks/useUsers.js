@@ -70,7 +70,7 @@ export function useUsers() {
    * @param {string} userData.full_name - The user's full name
    * @param {string} userData.email - The user's email address
    * @param {string} userData.password - The user's password
-   * @param {string} [userData.role="user"] - Optional user role
+   * @param {string} [userData.role="learner"] - Optional user role
    * @returns {Promise<object>} The created user record
    * @throws {Error} If the operation fails
    */
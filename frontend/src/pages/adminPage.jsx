@@ -0,0 +1,89 @@
+// src/pages/adminPage.jsx
+
+/**
+ * AdminPage
+ * -----------------------------------------------------------------------------
+ * Content-authoring console at `/admin`, rendered inside AdminRoute:
+ * - Levels: titles, order, prerequisites, pass threshold and completion rule.
+ * - Scenarios: scenarios per level; opening one edits its steps, with
+ *   drag-and-drop reordering and a live preview as learners will see it,
+ *   and moves it through review to publishing, with its version history.
+ * - Badges: the badge awarded for completing each level.
+ * - Import steps: bulk-creates multiple-choice steps from a CSV file.
+ *
+ * Each section is only offered to roles holding its permission
+ * (`level:write`, `scenario:write` / `step:write` / `scenario:review` /
+ * `scenario:publish`, `badge:write`); the first
+ * section the user may open is the landing tab.
+ *
+ * Data & hooks
+ * - useAuth(): the signed-in user and hasPermission()
+ * - Each section loads its own data through the content hooks
+ */
+
+import React from "react";
+import { Link, Navigate, NavLink, Route, Routes, useParams } from "react-router-dom";
+import { useAuth } from "../hooks/useAuth";
+import LevelsAdmin from "../components/admin/LevelsAdmin";
+import ScenariosAdmin from "../components/admin/ScenariosAdmin";
+import ScenarioEditor from "../components/admin/ScenarioEditor";
+import BadgesAdmin from "../components/admin/BadgesAdmin";
+import StepImportAdmin from "../components/admin/StepImportAdmin";
+import "../styles/admin.css";
+
+/** Console sections, in tab order, with the permissions that open them. */
+const SECTIONS = [
+  { path: "levels", label: "Levels", permissions: ["level:write"] },
+  { path: "scenarios", label: "Scenarios & steps", permissions: ["scenario:write", "step:write", "scenario:review", "scenario:publish"] },
+  { path: "badges", label: "Badges", permissions: ["badge:write"] },
+  { path: "import", label: "Import steps", permissions: ["step:write"] },
+];
+
+export default function AdminPage() {
+  const { user, hasPermission } = useAuth();
+  const sections = SECTIONS.filter((s) => s.permissions.some(hasPermission));
+  const can = (path) => sections.some((s) => s.path === path);
+
+  return (
+    <div className="admin-shell">
+      <header className="admin-topbar">
+        <div>
+          <h1>Content console</h1>
+          <p className="muted">
+            Signed in as {user?.full_name || user?.name || user?.email} ({user?.role})
+          </p>
+        </div>
+        <Link className="btn small ghost" to="/home">Back to app</Link>
+      </header>
+
+      <nav className="admin-tabs" aria-label="Content sections">
+        {sections.map((s) => (
+          <NavLink key={s.path} to={s.path} className={({ isActive }) => "admin-tab" + (isActive ? " active" : "")}>
+            {s.label}
+          </NavLink>
+        ))}
+      </nav>
+
+      <Routes>
+        <Route index element={sections[0] ? <Navigate to={sections[0].path} replace /> : null} />
+        {can("levels") && <Route path="levels" element={<LevelsAdmin />} />}
+        {can("scenarios") && <Route path="scenarios" element={<ScenariosAdmin />} />}
+        {can("scenarios") && (
+          <Route path="scenarios/:scenarioId" element={<ScenarioEditorRoute />} />
+        )}
+        {can("badges") && <Route path="badges" element={<BadgesAdmin />} />}
+        {can("import") && <Route path="import" element={<StepImportAdmin />} />}
+        <Route path="*" element={<p className="muted">This section does not exist or your role cannot open it.</p>} />
+      </Routes>
+    </div>
+  );
+}
+
+/**
+ * Mounts ScenarioEditor with a key per scenario, so its forms and step list
+ * start fresh when another scenario is opened.
+ */
+function ScenarioEditorRoute() {
+  const { scenarioId } = useParams();
+  return <ScenarioEditor key={scenarioId} scenarioId={Number(scenarioId)} />;
+}
@@ -0,0 +1,96 @@
+/**
+ * ForgotPasswordPage
+ * -----------------------------------------------------------------------------
+ * Lets a user ask for a password reset link by email.
+ * - The API answers the same way whether or not the address has an account,
+ *   so the page always shows the same confirmation.
+ * - Reuses the glass card styles of the login screen.
+ */
+
+import React, { useEffect, useState } from "react";
+import { useNavigate, Link } from "react-router-dom";
+import { useAccountEmail } from "../hooks/useAccountEmail";
+import "../styles/logIn.css";
+
+export default function ForgotPasswordPage() {
+  const navigate = useNavigate();
+  const { forgotPassword, loading, error, clearError } = useAccountEmail();
+  const [email, setEmail] = useState("");
+  const [localError, setLocalError] = useState("");
+  const [notice, setNotice] = useState("");
+
+  /** Mobile viewport height workaround (see LoginPage). */
+  useEffect(() => {
+    const setVh = () =>
+      document.documentElement.style.setProperty("--vh", `${window.innerHeight * 0.01}px`);
+    setVh();
+    window.addEventListener("resize", setVh);
+    window.addEventListener("orientationchange", setVh);
+    return () => {
+      window.removeEventListener("resize", setVh);
+      window.removeEventListener("orientationchange", setVh);
+    };
+  }, []);
+
+  /**
+   * Validate the address and request the reset link.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   */
+  const submit = async (e) => {
+    e.preventDefault();
+    setLocalError("");
+    clearError();
+    if (!/^\S+@\S+\.\S+$/.test(email)) return setLocalError("Please enter a valid email.");
+    try {
+      const { message } = await forgotPassword(email.trim());
+      setNotice(message);
+    } catch {
+      // error state is set by the hook
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <button className="back-btn" onClick={() => navigate("/login")}>
+            ← Back
+          </button>
+
+          <h1>Forgot password?</h1>
+          <p className="lead">
+            Enter your email and we&apos;ll send you a link to choose a new password.
+          </p>
+
+          {notice ? (
+            <p className="notice-text" role="status">{notice}</p>
+          ) : (
+            <form onSubmit={submit} className="auth-form">
+              <div className="field">
+                <label htmlFor="forgot-email">Email</label>
+                <input
+                  id="forgot-email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  disabled={loading}
+                />
+              </div>
+
+              <button type="submit" disabled={loading} className="btn-primary">
+                {loading ? "Sending…" : "Send reset link"}
+              </button>
+            </form>
+          )}
+
+          {(error || localError) && <p className="error-text">{error || localError}</p>}
+
+          <p className="auth-switch">
+            Remembered it? <Link to="/login">Back to log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
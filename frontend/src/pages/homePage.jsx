@@ -10,8 +10,8 @@
  * - Fetches the list of levels (`useLevels`) and the user's level progress
  *   (`useUserLevels`) on mount and whenever the window regains focus.
  * - Derives which levels are unlocked for the current user.
- * - Renders up to six level cards (locked/unlocked), with friendly fallbacks
- *   when the API provides fewer than six levels.
+ * - Renders one card per level (locked/unlocked) in `difficulty_order`, with
+ *   friendly title/emoji fallbacks and placeholder cards if the API has none.
  *
  * Data flow summary:
  *   useAuth()        -> { user, loadMe }
@@ -21,8 +21,9 @@
  * UX notes:
  * - Shows skeletons while loading, and a retry UI on error.
  * - Uses <Link /> to navigate to an unlocked level.
- * - Unlock state is derived from userLevels (unlocked || completed) and
- *   Level 1 is always unlocked by default for first-time users.
+ * - Unlock state is derived from userLevels (unlocked || completed). The
+ *   entry level (first by order, without prerequisites) is always open so
+ *   first-time users can start; the server unlocks the rest.
  */
 
 import React, { useMemo, useEffect } from "react";
@@ -79,9 +80,22 @@ export default function HomePage() {
     return () => window.removeEventListener("focus", onFocus);
   }, [user?.id, fetchLevels, fetchUserLevels]);
 
+  // Levels in learning-path order (difficulty_order, then ID) -----------------
+  const orderedLevels = useMemo(
+    () =>
+      (levels ?? [])
+        .slice()
+        .sort(
+          (a, b) =>
+            Number(a.order ?? a.id) - Number(b.order ?? b.id) ||
+            Number(a.id ?? a.level_id) - Number(b.id ?? b.level_id)
+        ),
+    [levels]
+  );
+
   // Build a set of unlocked level IDs -----------------------------------------
   // A level is considered unlocked if the user has it marked as unlocked or completed.
-  // We also force Level 1 to be unlocked by default to start the journey.
+  // The entry level is open by default to start the journey.
   const unlockedIds = useMemo(() => {
     const set = new Set();
 
@@ -91,14 +105,18 @@ export default function HomePage() {
       if (id && isUnlocked) set.add(id);
     });
 
-    // Always unlock level 1 by default
-    set.add(1);
+    const entry = orderedLevels[0];
+    if (entry && !entry.prerequisites?.length) {
+      set.add(Number(entry.id ?? entry.level_id));
+    } else if (!entry) {
+      set.add(1); // placeholder catalog below starts at Level 1
+    }
 
     return set;
-  }, [userLevels]);
+  }, [userLevels, orderedLevels]);
 
-  // Prepare up to six level tiles for display ---------------------------------
-  // Uses emoji/title fallbacks if API provides fewer than six.
+  // Prepare one tile per level for display ------------------------------------
+  // Uses emoji/title fallbacks; placeholder tiles only if the API has no levels.
   const displayLevels = useMemo(() => {
     const fallback = {
       1: { title: "Level 1 · Basics", emoji: "🩹" },
@@ -109,33 +127,23 @@ export default function HomePage() {
       6: { title: "Level 6 · Multi-Trauma", emoji: "🧯" },
     };
 
-    const six =
-      levels
-        ?.slice()
-        ?.sort((a, b) => Number(a.order ?? a.id) - Number(b.order ?? b.id))
-        ?.slice(0, 6)
-        ?.map((lv) => {
-          const id = Number(lv.id ?? lv.level_id);
-          return {
-            id,
-            title: lv.title || fallback[id]?.title || `Level ${id}`,
-            emoji: lv.emoji || fallback[id]?.emoji || "🎮",
-            unlocked: unlockedIds.has(id),
-          };
-        }) || [];
-
-    // Fill placeholders if fewer than six come from the API
-    for (let i = six.length + 1; i <= 6; i++) {
-      six.push({
-        id: i,
-        title: fallback[i]?.title || `Level ${i}`,
-        emoji: fallback[i]?.emoji || "🎮",
-        unlocked: unlockedIds.has(i),
-      });
-    }
+    const tiles = orderedLevels.map((lv) => {
+      const id = Number(lv.id ?? lv.level_id);
+      return {
+        id,
+        title: lv.title || fallback[id]?.title || `Level ${id}`,
+        emoji: lv.emoji || fallback[id]?.emoji || "🎮",
+        unlocked: unlockedIds.has(id),
+      };
+    });
+
+    if (tiles.length) return tiles;
 
-    return six.slice(0, 6);
-  }, [levels, unlockedIds]);
+    return Object.entries(fallback).map(([key, meta]) => {
+      const id = Number(key);
+      return { id, ...meta, unlocked: unlockedIds.has(id) };
+    });
+  }, [orderedLevels, unlockedIds]);
 
   // Aggregate load/error states ------------------------------------------------
   const loading = levelsLoading || ulLoading;
@@ -189,7 +197,7 @@ export default function HomePage() {
         </div>
       )}
 
-      {/* Normal display: six cards (locked/unlocked) -------------------------- */}
+      {/* Normal display: one card per level (locked/unlocked) ----------------- */}
       {!loading && !error && (
         <section className="home-grid">
           {displayLevels.map((lv) =>
@@ -212,7 +220,7 @@ export default function HomePage() {
                   <span className="emoji">{lv.emoji}</span>
                 </div>
                 <h3>{lv.title}</h3>
-                <p className="muted">Complete earlier levels to unlock.</p>
+                <p className="muted">Complete the required levels to unlock.</p>
                 <div className="card-actions">
                   <span className="btn small ghost">Locked</span>
                 </div>
@@ -3,12 +3,15 @@
  * -----------------------------------------------------------------------------
  * Displays a level's overview: title/description, progress across scenarios,
  * and the list of scenarios for navigation. Tracks attempts for the current user,
- * computes progress, and awards a one-time completion badge when all scenarios
- * are finished.
+ * explains the level's completion rule and what is still missing, and awards a
+ * one-time completion badge when the rule is met.
  *
  * Notes
- * - Data sources: useAuth, useLevels, useScenarios, useAttempts, useBadges.
+ * - Data sources: useAuth, useLevels (incl. level progress), useScenarios,
+ *   useAttempts, useBadges.
  * - Progress: best score per scenario is normalized to a 0–100% scale.
+ * - Completion: decided by the server (`GET /levels/:id/progress`); scenarios
+ *   still below the rule's target are flagged.
  * - Badge: shown/created once per (user, level), guarded via localStorage.
  * - Icon URLs: normalized to a safe, resolvable path with a fallback image.
  */
@@ -25,6 +28,42 @@ import { useBadges } from "../hooks/useBadges";
 import BadgeEarnedModal from "../components/BadgeEarnedModal";
 import "../styles/level.css";
 
+/**
+ * Describe a level completion rule in learner-friendly words.
+ * @param {{type:string, min_score?:number, count?:number}|undefined} rule
+ * @returns {string}
+ */
+function describeRule(rule) {
+  if (!rule) return "";
+  switch (rule.type) {
+    case "average":
+      return `Reach an average score of ${rule.min_score}% across all scenarios.`;
+    case "perfect_count":
+      return `Get a perfect score on ${rule.count} scenario${rule.count === 1 ? "" : "s"}.`;
+    default:
+      return `Score at least ${rule.min_score}% on every scenario.`;
+  }
+}
+
+/**
+ * Describe what is still needed to complete the level.
+ * @param {object|null} progress Level progress from the API
+ * @returns {string}
+ */
+function describeRemaining(progress) {
+  if (!progress) return "";
+  if (progress.completed) return "Level complete!";
+  const n = progress.remaining;
+  switch (progress.rule?.type) {
+    case "average":
+      return `Your average is ${progress.average_score}% — ${n} more point${n === 1 ? "" : "s"} to go.`;
+    case "perfect_count":
+      return `${n} more perfect score${n === 1 ? "" : "s"} needed.`;
+    default:
+      return `${n} scenario${n === 1 ? "" : "s"} still below ${progress.rule?.min_score}%.`;
+  }
+}
+
 export default function LevelPage() {
   const navigate = useNavigate();
   const { levelId } = useParams();
@@ -49,7 +88,13 @@ export default function LevelPage() {
 
   // ── Auth & data hooks ─────────────────────────────────────────────────────
   const { user } = useAuth();
-  const { levels = [], loading: lvlLoading, fetchLevels } = useLevels();
+  const {
+    levels = [],
+    loading: lvlLoading,
+    fetchLevels,
+    levelProgress,
+    fetchLevelProgress,
+  } = useLevels();
   const {
     scenarios = [],
     loading: scenLoading,
@@ -70,7 +115,10 @@ export default function LevelPage() {
   useEffect(() => {
     if (!levels.length) fetchLevels?.();
     fetchScenariosByLevel?.(id);
-    if (user?.id) fetchAttemptsByUserAndLevel?.(user.id, id);
+    if (user?.id) {
+      fetchAttemptsByUserAndLevel?.(user.id, id);
+      fetchLevelProgress?.(id);
+    }
   }, [
     levels.length,
     id,
@@ -78,6 +126,7 @@ export default function LevelPage() {
     fetchLevels,
     fetchScenariosByLevel,
     fetchAttemptsByUserAndLevel,
+    fetchLevelProgress,
   ]);
 
   // ── Level info with safe fallback ─────────────────────────────────────────
@@ -112,6 +161,12 @@ export default function LevelPage() {
     return map;
   }, [effectiveAttempts]);
 
+  // Scenarios still below the completion rule's per-scenario target
+  const needsWork = useMemo(
+    () => new Set((levelProgress?.needs_work ?? []).map(Number)),
+    [levelProgress]
+  );
+
   // ── Scenarios with progress and robust icon resolution ────────────────────
   const levelScenarios = useMemo(() => {
     return (scenarios ?? [])
@@ -131,13 +186,19 @@ export default function LevelPage() {
           iconUrl: resolveIconUrl(rawIcon),
           steps: 4, // UI-only label; not used for gating logic
           progress,
+          needsWork: needsWork.has(sid),
         };
       });
-  }, [scenarios, id, attemptsByScenario]);
+  }, [scenarios, id, attemptsByScenario, needsWork]);
 
   // Aggregate progress across the level
-  const completedCount = levelScenarios.filter((s) => s.progress >= 100).length;
   const totalScenarios = levelScenarios.length;
+  const completedCount = levelProgress
+    ? totalScenarios - levelScenarios.filter((s) => s.needsWork).length
+    : levelScenarios.filter((s) => s.progress >= 100).length;
+  const levelCompleted = levelProgress
+    ? !!levelProgress.completed
+    : totalScenarios > 0 && completedCount === totalScenarios;
 
   const progressPct = useMemo(() => {
     if (!totalScenarios) return 0;
@@ -148,21 +209,20 @@ export default function LevelPage() {
   const loading = lvlLoading || scenLoading || attemptsLoading;
 
   // ── Badge logic (one-time show per user/level) ────────────────────────────
-  const prevCompletedRef = useRef(0);
+  const prevCompletedRef = useRef(false);
 
   // Reset badge state when user or level changes
   useEffect(() => {
     setEarnedBadge(null);
-    prevCompletedRef.current = 0;
+    prevCompletedRef.current = false;
   }, [user?.id, id]);
 
   useEffect(() => {
     const storageKey = `badge_shown_level_${id}`;
     const alreadyShown = localStorage.getItem(storageKey) === "1";
 
-    const prev = prevCompletedRef.current;
-    const allDoneNow = totalScenarios > 0 && completedCount === totalScenarios;
-    const justCompleted = allDoneNow && prev < totalScenarios;
+    const wasCompleted = prevCompletedRef.current;
+    const justCompleted = levelCompleted && !wasCompleted;
 
     if (justCompleted && !alreadyShown && user?.id) {
       const existing = badges.find(
@@ -192,10 +252,9 @@ export default function LevelPage() {
       }
     }
 
-    prevCompletedRef.current = completedCount;
+    prevCompletedRef.current = levelCompleted;
   }, [
-    completedCount,
-    totalScenarios,
+    levelCompleted,
     id,
     user?.id,
     badges,
@@ -226,6 +285,14 @@ export default function LevelPage() {
         <div className="progress-bar">
           <div className="progress-fill" style={{ width: `${progressPct}%` }} />
         </div>
+        {levelProgress?.rule && (
+          <div className="lp-rule">
+            <p className="muted">{describeRule(levelProgress.rule)}</p>
+            <p className={levelProgress.completed ? "lp-done" : "lp-remaining"}>
+              {describeRemaining(levelProgress)}
+            </p>
+          </div>
+        )}
       </section>
 
       <section className="level-section">
@@ -242,7 +309,7 @@ export default function LevelPage() {
                 key={s.id}
                 to={`/level/${id}/scenario/${s.id}`}
                 state={{ icon_url: s.iconUrl }} // pass resolved URL to Scenario page
-                className="scenario-card"
+                className={"scenario-card" + (s.needsWork ? " needs-work" : "")}
               >
                 <div className="sc-top">
                   <div className="sc-icon">
@@ -266,7 +333,10 @@ export default function LevelPage() {
                   </div>
                   <div className="sc-head">
                     <h3>{s.title}</h3>
-                    <p className="muted">{s.steps} Steps</p>
+                    <p className="muted">
+                      {s.steps} Steps
+                      {s.needsWork && <span className="needs-work-tag"> • Needs work</span>}
+                    </p>
                   </div>
                   <div className="sc-cta">
                     <span className="play-pill">▶</span>
@@ -4,6 +4,7 @@
  * Renders the login screen and wires up authentication via useAuth().
  * - Submits credentials from <LoginForm /> and navigates to /home on success.
  * - Shows loading and error states from both the auth hook and local submission.
+ * - If the account's email is not verified yet (`EMAIL_NOT_VERIFIED`), links to /verify-email.
  * - Applies a mobile viewport height workaround using the --vh CSS variable.
  *
  * Key flows
@@ -22,6 +23,7 @@ export default function LoginPage() {
   const { login, error, clearError, loading } = useAuth();
   const [submitting, setSubmitting] = useState(false);
   const [localError, setLocalError] = useState("");
+  const [unverifiedEmail, setUnverifiedEmail] = useState("");
 
   /**
    * Mobile viewport height workaround:
@@ -54,6 +56,7 @@ export default function LoginPage() {
    */
   const handleLogin = async (data) => {
     setLocalError("");
+    setUnverifiedEmail("");
     clearError?.();
     setSubmitting(true);
     try {
@@ -61,6 +64,7 @@ export default function LoginPage() {
       navigate("/home"); // redirect after successful auth
     } catch (e) {
       setLocalError(e?.message || "Login failed. Please try again.");
+      if (e?.code === "EMAIL_NOT_VERIFIED") setUnverifiedEmail(data.email);
     } finally {
       setSubmitting(false);
     }
@@ -85,6 +89,13 @@ export default function LoginPage() {
           {(error || localError) && (
             <p className="error-text">{error || localError}</p>
           )}
+          {unverifiedEmail && (
+            <p className="auth-switch">
+              <Link to={`/verify-email?email=${encodeURIComponent(unverifiedEmail)}`}>
+                Resend the verification email
+              </Link>
+            </p>
+          )}
 
           <p className="auth-switch">
             New here? <Link to="/signup">Create an account</Link>
@@ -7,10 +7,11 @@
  * - Account info (name, email, joined date)
  * - Overall level progress (computed from user-levels)
  * - Badge collection (locked vs unlocked)
- * - Certificate download when all 6 levels are completed
+ * - Certificate download when every level in the catalog is completed
+ * - Account settings: change name or password, delete the account
  *
  * Data sources
- * - useAuth(): user identity, loadMe(), logout()
+ * - useAuth(): user identity, loadMe(), logout(), account settings actions
  * - useBadges(): catalog of all badges
  * - useLevels(): catalog of all levels
  * - useUserBadges(): user_badges rows (per-user badge unlocks)
@@ -20,7 +21,7 @@
  * - Fetch sequencing runs once per user session (guarded by ref).
  * - Icon URLs are normalized and made robust via resolveIconUrl().
  * - Level progress = completedLevels / totalLevels (percentage).
- * - Certificate is shown only when totalLevels === 6 AND completedLevels === 6.
+ * - Certificate is shown once every level in the catalog is completed.
  */
 
 import React, { useEffect, useMemo, useRef } from "react";
@@ -30,13 +31,23 @@ import { useBadges } from "../hooks/useBadges";
 import { useUserBadges } from "../hooks/useUserBadges";
 import { useUserLevels } from "../hooks/useUserLevels";
 import { useLevels } from "../hooks/useLevels";
+import AccountSettings from "../components/AccountSettings";
 import "../styles/profile.css";
 
 export default function ProfilePage() {
   const navigate = useNavigate();
 
   // Auth
-  const { user, loadMe, loading: meLoading, logout } = useAuth();
+  const {
+    user,
+    loadMe,
+    loading: meLoading,
+    logout,
+    logoutAll,
+    updateProfile,
+    changePassword,
+    deleteAccount,
+  } = useAuth();
 
   // Catalog data
   const { badges = [], loading: badgesLoading, fetchBadges } = useBadges();
@@ -224,8 +235,9 @@ export default function ProfilePage() {
   const loading =
     meLoading || badgesLoading || userBadgesLoading || levelsLoading || levelsAllLoading;
 
-  // Condition for certificate: exactly 6 levels and all completed
-  const showCertificate = totalLevels === 6 && completedLevels === 6;
+  // Condition for certificate: every catalog level completed (no hardcoded level count)
+  const showCertificate =
+    orderedLevels.length > 0 && completedLevels === orderedLevels.length;
 
   // ---------- Render ----------
   return (
@@ -235,14 +247,25 @@ export default function ProfilePage() {
           ← Back
         </button>
         <h1>Your Profile</h1>
-        <button
-          className="btn small danger"
-          onClick={async () => {
-            try { await logout?.(); } finally { navigate("/login"); }
-          }}
-        >
-          Log Out
-        </button>
+        <div className="profile-topbar-actions">
+          <button
+            className="btn small ghost"
+            title="Sign out on every device where you are logged in"
+            onClick={async () => {
+              try { await logoutAll?.(); } finally { navigate("/login"); }
+            }}
+          >
+            Log Out Everywhere
+          </button>
+          <button
+            className="btn small danger"
+            onClick={async () => {
+              try { await logout?.(); } finally { navigate("/login"); }
+            }}
+          >
+            Log Out
+          </button>
+        </div>
       </header>
 
       {/* Profile header */}
@@ -362,6 +385,16 @@ export default function ProfilePage() {
           </a>
         </section>
       )}
+
+      <AccountSettings
+        user={user}
+        onUpdateName={updateProfile}
+        onChangePassword={changePassword}
+        onDeleteAccount={async (password) => {
+          await deleteAccount(password);
+          navigate("/");
+        }}
+      />
     </div>
   );
 }
@@ -0,0 +1,130 @@
+/**
+ * ResetPasswordPage
+ * -----------------------------------------------------------------------------
+ * Opened from the password reset email (`/reset-password?token=…`).
+ * - Asks for the new password twice and submits it with the token.
+ * - On success every session is logged out server-side, so the user is sent
+ *   back to the login screen.
+ */
+
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { useAccountEmail } from "../hooks/useAccountEmail";
+import { authService } from "../services/authService";
+import "../styles/logIn.css";
+
+export default function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const token = params.get("token") || "";
+  const { resetPassword, loading, error, clearError } = useAccountEmail();
+  const [form, setForm] = useState({ password: "", confirm: "" });
+  const [localError, setLocalError] = useState("");
+  const [done, setDone] = useState(false);
+
+  /** Mobile viewport height workaround (see LoginPage). */
+  useEffect(() => {
+    const setVh = () =>
+      document.documentElement.style.setProperty("--vh", `${window.innerHeight * 0.01}px`);
+    setVh();
+    window.addEventListener("resize", setVh);
+    window.addEventListener("orientationchange", setVh);
+    return () => {
+      window.removeEventListener("resize", setVh);
+      window.removeEventListener("orientationchange", setVh);
+    };
+  }, []);
+
+  /** @param {React.ChangeEvent<HTMLInputElement>} e */
+  const onChange = (e) => {
+    setLocalError("");
+    setForm((f) => ({ ...f, [e.target.name]: e.target.value }));
+  };
+
+  /**
+   * Validate and submit the new password.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   */
+  const submit = async (e) => {
+    e.preventDefault();
+    clearError();
+    if (form.password.length < 6) return setLocalError("Password must be at least 6 characters.");
+    if (form.password !== form.confirm) return setLocalError("Passwords do not match.");
+    try {
+      await resetPassword({ token, password: form.password });
+      authService.clearSession();
+      setDone(true);
+    } catch {
+      // error state is set by the hook
+    }
+  };
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <h1>Choose a new password</h1>
+
+          {!token ? (
+            <p className="error-text">
+              This reset link is incomplete. <Link className="text-link" to="/forgot-password">Request a new one</Link>.
+            </p>
+          ) : done ? (
+            <>
+              <p className="notice-text" role="status">
+                Your password has been changed. Please log in again on all your devices.
+              </p>
+              <button className="btn-primary" onClick={() => navigate("/login")}>
+                Go to log in
+              </button>
+            </>
+          ) : (
+            <form onSubmit={submit} className="auth-form">
+              <div className="field">
+                <label htmlFor="reset-password">New password</label>
+                <input
+                  id="reset-password"
+                  type="password"
+                  name="password"
+                  value={form.password}
+                  onChange={onChange}
+                  placeholder="••••••••"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="field">
+                <label htmlFor="reset-confirm">Confirm new password</label>
+                <input
+                  id="reset-confirm"
+                  type="password"
+                  name="confirm"
+                  value={form.confirm}
+                  onChange={onChange}
+                  placeholder="••••••••"
+                  disabled={loading}
+                />
+              </div>
+
+              <button type="submit" disabled={loading} className="btn-primary">
+                {loading ? "Saving…" : "Save new password"}
+              </button>
+            </form>
+          )}
+
+          {(error || localError) && (
+            <p className="error-text">
+              {error || localError}
+              {error && (
+                <>
+                  {" "}
+                  <Link className="text-link" to="/forgot-password">Request a new link</Link>
+                </>
+              )}
+            </p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -4,10 +4,19 @@
  * ScenarioPage
  * -----------------------------------------------------------------------------
  * Plays a multi-step scenario quiz for a given level/scenario ID:
- * - Loads scenario metadata and steps from scenarioService.
- * - Shows a per-step timer; auto-reveals when time runs out.
- * - Tracks answers and per-step correctness, then submits for a final score.
- * - Refreshes scenario progress in the level context after submit.
+ * - Loads scenario metadata from scenarioService and starts a server play session.
+ * - The server serves one step at a time, owns the per-step deadline and
+ *   reveals the correct answer only after a step is answered.
+ * - Each step is rendered by StepQuestion for its question type (multiple
+ *   choice, true/false, multi-select, ordering or image hotspot).
+ * - Branching scenarios: the server picks the next step from the answer given,
+ *   so "Next" always asks the session for the step to play and the run ends
+ *   when the server says it is finished, not after a fixed number of steps.
+ * - The local countdown mirrors the server deadline; on expiry it sends a
+ *   null answer, which the server records as timed out.
+ * - The final answer returns the scored result; progress is refreshed from it.
+ * - The results screen shows the summary and a question-by-question debrief
+ *   built from the server's steps_feedback.
  * - Shows a level-completion badge modal when appropriate.
  *
  * Data & hooks
@@ -19,10 +28,9 @@
  * Notes
  * - Icon URLs are normalized via resolveIconUrl() with a defensive fallback.
  * - Next-level unlock is sanitized against the known catalog to prevent bad IDs.
- * - Submission includes a harmless { suppressUnlock } hint if on the last level.
  */
 
-import React, { useEffect, useRef, useState, useMemo } from "react";
+import React, { useCallback, useEffect, useRef, useState, useMemo } from "react";
 import { Link, useLocation, useNavigate, useParams } from "react-router-dom";
 import { scenarioService } from "../services/scenarioService";
 import { useScenarios } from "../hooks/useScenarios";
@@ -30,6 +38,7 @@ import { useAuth } from "../hooks/useAuth";
 import { useBadges } from "../hooks/useBadges";
 import { useLevels } from "../hooks/useLevels"; // uses catalog to validate unlocks
 import BadgeEarnedModal from "../components/BadgeEarnedModal";
+import StepQuestion, { AnswerText } from "../components/StepQuestion";
 
 import "../styles/level.css";
 import "../styles/scenario.css";
@@ -49,19 +58,21 @@ export default function ScenarioPage() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
-  // Step & answer state
+  // Session, step & answer state
+  const [session, setSession] = useState(null);
   const [idx, setIdx] = useState(0);
-  const [answers, setAnswers] = useState([]);
-  const [_stepResults, setStepResults] = useState([]);
+  const [answers, setAnswers] = useState({}); // by step_id
   const [revealed, setRevealed] = useState(null);
+  const [answering, setAnswering] = useState(false);
   const [submitting, setSubmitting] = useState(false);
+  const [pendingResult, setPendingResult] = useState(null);
   const [result, setResult] = useState(null);
 
   // Level-completion badge (modal)
   const [levelBadge, setLevelBadge] = useState(null);
 
-  // Per-step timer
-  const SECS_PER_STEP = 30;
+  // Per-step timer (the server is authoritative; this only mirrors its limit)
+  const SECS_PER_STEP = session?.secs_per_step ?? 30;
   const [secsLeft, setSecsLeft] = useState(SECS_PER_STEP);
   const timerRef = useRef(null);
 
@@ -97,12 +108,28 @@ export default function ScenarioPage() {
       ),
     [levels]
   );
-  const maxLevelId = useMemo(
-    () => (validLevelIds.size ? Math.max(...validLevelIds) : null),
-    [validLevelIds]
-  );
 
-  // Load scenario and steps; reset local state
+  /**
+   * Apply a session view from the API: sync the current step index and
+   * clear the reveal panel so the new step can be answered.
+   * @param {object} view Session view returned by the API
+   */
+  const applySession = useCallback((view) => {
+    setSession(view);
+    setIdx(Math.min(view.answered_steps ?? 0, Math.max((view.total_steps ?? 1) - 1, 0)));
+    setRevealed(null);
+  }, []);
+
+  /** Start a fresh server session (first load and "Review" replays). */
+  const startRun = useCallback(async (scenarioId = id) => {
+    const view = await scenarioService.startSession(scenarioId);
+    setAnswers({});
+    setPendingResult(null);
+    setResult(null);
+    applySession(view);
+  }, [id, applySession]);
+
+  // Load scenario metadata and start a session; reset local state
   useEffect(() => {
     (async () => {
       try {
@@ -112,21 +139,8 @@ export default function ScenarioPage() {
         const passedUrl = location.state?.icon_url || null;
         const data = await scenarioService.getById(id);
 
-        const steps = (data?.steps || [])
-          .map((s) => ({
-            id: Number(s.step_id ?? s.id ?? 0),
-            order: Number(s.step_order ?? s.order ?? 0),
-            q: s.question_text || s.question || "",
-            options: s.options || {
-              A: s.option_a,
-              B: s.option_b,
-              C: s.option_c,
-              D: s.option_d,
-            },
-            correct: String(s.correct_action || s.correct_option || "").toUpperCase(),
-            feedback: s.feedback_message || "",
-          }))
-          .sort((a, b) => a.order - b.order);
+        // Steps come without answers and in play order; they are only counted.
+        const steps = (data?.steps || []).map((s) => ({ id: Number(s.step_id ?? s.id ?? 0) }));
 
         const apiIcon = data.icon_url ?? data.icon ?? data.image_url ?? null;
 
@@ -139,29 +153,25 @@ export default function ScenarioPage() {
           steps,
         });
 
-        setAnswers(new Array(steps.length).fill(null));
-        setStepResults(new Array(steps.length).fill(null));
-        setIdx(0);
-        setRevealed(null);
-        setResult(null);
-        setSecsLeft(SECS_PER_STEP);
+        await startRun(id);
       } catch (e) {
         setError(e?.message || "Failed to load scenario");
       } finally {
         setLoading(false);
       }
     })();
-  }, [id, levelId, location.state, resolveIconUrl]);
+  }, [id, levelId, location.state, resolveIconUrl, startRun]);
 
-  const total = scenario?.steps?.length ?? 0;
-  const current = scenario?.steps?.[idx];
+  const total = session?.total_steps ?? scenario?.steps?.length ?? 0;
+  const current = session?.current_step ?? null;
 
   /**
-   * (Re)start the per-step countdown when the step changes.
-   * Auto-reveals the correct answer if time elapses.
+   * (Re)start the per-step countdown when the served step changes.
+   * When time elapses a null answer is sent; the server records a timeout.
    */
   useEffect(() => {
     if (!current || result) return;
+    if (revealed) return;
     clearInterval(timerRef.current);
     setSecsLeft(SECS_PER_STEP);
 
@@ -169,7 +179,7 @@ export default function ScenarioPage() {
       setSecsLeft((prev) => {
         if (prev <= 1) {
           clearInterval(timerRef.current);
-          handleReveal(null, true);
+          handleReveal(null);
           return SECS_PER_STEP;
         }
         return prev - 1;
@@ -178,78 +188,77 @@ export default function ScenarioPage() {
 
     return () => clearInterval(timerRef.current);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [idx, current, result]);
+  }, [current?.step_id, result]);
 
   /**
-   * Reveal the correct option for the current step and record the attempt.
-   * @param {"A"|"B"|"C"|"D"|null} pickedLetter User's selected option (or null if timeout)
-   * @param {boolean} timedOut Whether the timer ended the step
+   * Send the answer for the current step and reveal the server's feedback.
+   * The final step's response also carries the scored run result.
+   * @param {*} picked User's answer for the step type (or null if timeout)
    */
-  function handleReveal(pickedLetter, timedOut = false) {
-    if (!current) return;
-    const correctLetter = current.correct;
-    const wasCorrect = !!pickedLetter && pickedLetter === correctLetter;
-
-    setRevealed({ correctLetter, wasCorrect, timedOut });
-
-    setAnswers((prev) => {
-      const copy = prev.slice();
-      copy[idx] = pickedLetter;
-      return copy;
-    });
-
-    setStepResults((prev) => {
-      const copy = prev.slice();
-      copy[idx] = {
-        stepId: current.id,
-        picked: pickedLetter,
-        correct: !!wasCorrect,
-        timedOut: !!timedOut,
-      };
-      return copy;
-    });
+  async function handleReveal(picked) {
+    if (!current || !session || answering) return;
+    setAnswering(true);
+
+    setAnswers((prev) => ({ ...prev, [current.step_id]: picked }));
+
+    try {
+      const res = await scenarioService.answerStep(
+        scenario.id,
+        session.session_id,
+        current.step_id,
+        picked
+      );
+      const fb = res.feedback || {};
+      setRevealed({
+        correct: fb.correct_action,
+        correctAnswer: fb.correct_answer,
+        wasCorrect: !!fb.is_correct,
+        timedOut: !!fb.timed_out && !picked,
+        late: !!fb.timed_out && !!picked,
+        feedback: fb.feedback_message || "",
+        finished: !!res.finished,
+      });
+      if (res.finished) setPendingResult(res.result || null);
+    } catch (e) {
+      setError(e?.message || "Failed to send answer");
+    } finally {
+      setAnswering(false);
+    }
   }
 
   /**
-   * Handle picking an option; stops the timer and reveals correctness.
-   * @param {"A"|"B"|"C"|"D"} letter
+   * Handle an answer from the step renderer; stops the timer and reveals correctness.
+   * @param {*} answer Option key, list of keys, or hotspot point
    */
-  function onPick(letter) {
-    if (revealed) return;
+  function onAnswer(answer) {
+    if (revealed || answering) return;
     clearInterval(timerRef.current);
-    handleReveal(letter, false);
+    handleReveal(answer);
   }
 
-  /** Advance to the next step (keeps current results intact). */
-  function goNext() {
-    setRevealed(null);
-    if (idx < total - 1) setIdx((i) => i + 1);
+  /** Ask the server for the next step (this starts its timer). */
+  async function goNext() {
+    if (!session) return;
+    try {
+      const view = await scenarioService.getSession(scenario.id, session.session_id);
+      applySession(view);
+    } catch (e) {
+      setError(e?.message || "Failed to load next step");
+    }
   }
 
   /**
-   * Submit the scenario:
-   * - Sends answer letters to scenarioService.submit().
-   * - When on the last level, hints API not to unlock a next level.
+   * Finish the scenario using the result returned with the last answer:
    * - Sanitizes any next_level_unlocked against the catalog.
    * - Stores result, refreshes scenario progress, and triggers badge modal.
    */
   async function submit() {
-    if (submitting || !scenario) return;
+    if (submitting || !scenario || !pendingResult) return;
     setSubmitting(true);
     clearInterval(timerRef.current);
 
     try {
-      const letters = answers;
-
-      // Frontend guard: if at last level, ask API not to unlock next
-      const isAtLastLevel = maxLevelId != null && Number(levelId) === maxLevelId;
-
-      const res = await scenarioService.submit(
-        scenario.id,
-        letters,
-        { suppressUnlock: isAtLastLevel } // harmless if API ignores it
-      );
-
+      const res = pendingResult;
       // Sanitize next_level_unlocked against known catalog
       const lp = res?.level_progress;
       let safeNext = null;
@@ -323,8 +332,11 @@ export default function ScenarioPage() {
   if (error) return <div className="scenario-shell error-text">{error}</div>;
   if (!scenario) return null;
 
-  const totalSteps = scenario?.steps?.length ?? 0;
-  const currentStep = scenario?.steps?.[idx];
+  const totalSteps = total;
+  const currentStep = current;
+  // The length of a branching run is only known at its end.
+  const branching = !!session?.branching;
+  const dotCount = branching ? Math.min(idx + 1, totalSteps) : totalSteps;
 
   return (
     <div className="scenario-shell">
@@ -333,7 +345,9 @@ export default function ScenarioPage() {
         <button className="icon-btn" onClick={() => navigate(-1)}>←</button>
         <div className="scn-title">
           <div className="title">{scenario.title}</div>
-          <div className="sub">Step {idx + 1} of {totalSteps}</div>
+          <div className="sub">
+            {branching ? `Step ${idx + 1}` : `Step ${idx + 1} of ${totalSteps}`}
+          </div>
         </div>
         <div />
       </header>
@@ -359,7 +373,7 @@ export default function ScenarioPage() {
         </div>
 
         <div className="step-dots">
-          {Array.from({ length: totalSteps }).map((_, i) => (
+          {Array.from({ length: dotCount }).map((_, i) => (
             <span key={i} className={i < idx ? "dot done" : i === idx ? "dot current" : "dot"} />
           ))}
         </div>
@@ -385,6 +399,31 @@ export default function ScenarioPage() {
               "Review and try to improve your score."
             )}
           </div>
+          {result.summary && <div className="summary">{result.summary}</div>}
+
+          {/* Question-by-question debrief */}
+          {Array.isArray(result.steps_feedback) && result.steps_feedback.length > 0 && (
+            <ol className="debrief">
+              {result.steps_feedback.map((fb, i) => (
+                <li
+                  key={fb.step_id ?? i}
+                  className={"debrief-item" + (fb.is_correct ? " correct" : " wrong")}
+                >
+                  <div className="q">
+                    <span className="mark">{fb.is_correct ? "✔" : "✘"}</span>
+                    {fb.question}
+                  </div>
+                  <div className="answers">
+                    Your answer: <strong><AnswerText step={fb} value={fb.selected_option} /></strong>
+                    {!fb.is_correct && (
+                      <> • Correct: <strong><AnswerText step={fb} value={fb.correct_option} /></strong></>
+                    )}
+                  </div>
+                  {fb.feedback_message && <p className="muted">{fb.feedback_message}</p>}
+                </li>
+              ))}
+            </ol>
+          )}
 
           <div className="row">
             <Link className="btn back" to={`/level/${scenario.level_id}`}>
@@ -394,9 +433,7 @@ export default function ScenarioPage() {
             <button
               className="btn review"
               onClick={() => {
-                setResult(null);
-                setIdx(0);
-                setRevealed(null);
+                startRun().catch((e) => setError(e?.message || "Failed to restart scenario"));
               }}
             >
               Review 🔁
@@ -408,35 +445,16 @@ export default function ScenarioPage() {
       {/* Current question flow */}
       {!result && currentStep && (
         <>
-          <div className="question-card">{currentStep.q}</div>
-
-          <div className="choice-list">
-            {["A", "B", "C", "D"].map((L) => {
-              const text = currentStep.options?.[L];
-              if (!text) return null;
-
-              const isPicked = answers[idx] === L;
-              const isCorrect = revealed?.correctLetter === L;
-              const showState = !!revealed;
-
-              return (
-                <button
-                  key={L}
-                  className={
-                    "choice" +
-                    (isPicked ? " active" : "") +
-                    (showState && isCorrect ? " correct" : "") +
-                    (showState && isPicked && !isCorrect ? " wrong" : "")
-                  }
-                  onClick={() => onPick(L)}
-                  disabled={!!revealed}
-                >
-                  <span className="chip">{L}</span>
-                  <span className="text">{text}</span>
-                </button>
-              );
-            })}
-          </div>
+          <div className="question-card">{currentStep.question_text}</div>
+
+          <StepQuestion
+            key={currentStep.step_id}
+            step={currentStep}
+            picked={answers[currentStep.step_id]}
+            revealed={revealed}
+            disabled={answering}
+            onAnswer={onAnswer}
+          />
 
           {/* Reveal footer */}
           {revealed && (
@@ -444,36 +462,25 @@ export default function ScenarioPage() {
               {revealed.wasCorrect ? (
                 <p className="ok">Correct!</p>
               ) : revealed.timedOut ? (
-                <p className="warn">Time’s up. Correct answer: <strong>{revealed.correctLetter}</strong></p>
+                <p className="warn">Time’s up. Correct answer: <strong><AnswerText step={currentStep} value={revealed.correct} /></strong></p>
+              ) : revealed.late ? (
+                <p className="warn">Too late — the time limit had passed. Correct answer: <strong><AnswerText step={currentStep} value={revealed.correct} /></strong></p>
               ) : (
-                <p className="warn">Not quite. Correct answer: <strong>{revealed.correctLetter}</strong></p>
+                <p className="warn">Not quite. Correct answer: <strong><AnswerText step={currentStep} value={revealed.correct} /></strong></p>
               )}
-              {currentStep.feedback && <p className="muted">{currentStep.feedback}</p>}
+              {revealed.feedback && <p className="muted">{revealed.feedback}</p>}
 
               <div className="nav-row">
-                {idx < totalSteps - 1 ? (
+                {!revealed.finished ? (
                   <button className="btn flow" onClick={goNext}>Next</button>
                 ) : (
-                  <button className="btn flow" onClick={submit} disabled={submitting}>
+                  <button className="btn flow" onClick={submit} disabled={submitting || !pendingResult}>
                     {submitting ? "Submitting…" : "Finish Scenario"}
                   </button>
                 )}
               </div>
             </div>
           )}
-
-          {/* Normal nav row (before reveal) */}
-          {!revealed && (
-            <div className="nav-row">
-              {idx < totalSteps - 1 ? (
-                <button className="btn flow" onClick={goNext} disabled={answers[idx] == null}>Next</button>
-              ) : (
-                <button className="btn flow" onClick={submit} disabled={answers.some((a) => a === null) || submitting}>
-                  {submitting ? "Submitting…" : "Finish Scenario"}
-                </button>
-              )}
-            </div>
-          )}
         </>
       )}
 
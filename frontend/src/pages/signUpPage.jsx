@@ -2,7 +2,8 @@
  * SignUpPage
  * -----------------------------------------------------------------------------
  * Renders the account creation screen and wires it to the useSignUp() hook.
- * - Submits data from <SignUpForm /> and navigates to /login on success.
+ * - Submits data from <SignUpForm /> and, on success, navigates to /verify-email
+ *   where the user is asked to confirm their address.
  * - Shows loading and error states (both hook-level and local).
  * - Applies a mobile viewport height workaround via the --vh CSS variable.
  *
@@ -45,7 +46,7 @@ export default function SignUpPage() {
    * - clears previous errors
    * - sets submitting state
    * - calls signup(userData)
-   * - navigates to /login on success
+   * - navigates to /verify-email on success (the account must be verified before login)
    * - surfaces any thrown error as a user-friendly message
    *
    * @param {Record<string, any>} userData
@@ -57,7 +58,7 @@ export default function SignUpPage() {
     setSubmitting(true);
     try {
       await signup(userData);
-      navigate("/login");
+      navigate(`/verify-email?email=${encodeURIComponent(userData.email)}`);
     } catch (e) {
       setLocalError(e?.message || "Sign up failed.");
     } finally {
@@ -0,0 +1,126 @@
+/**
+ * VerifyEmailPage
+ * -----------------------------------------------------------------------------
+ * Two screens in one route:
+ * - `/verify-email?token=…` (the link from the email): confirms the address
+ *   once on mount and offers to continue to the login page.
+ * - `/verify-email?email=…` (after sign up, or a login refused because the
+ *   address is unverified): tells the user to check their inbox and lets
+ *   them ask for a new link.
+ */
+
+import React, { useEffect, useRef, useState } from "react";
+import { useNavigate, useSearchParams, Link } from "react-router-dom";
+import { useAccountEmail } from "../hooks/useAccountEmail";
+import "../styles/logIn.css";
+
+export default function VerifyEmailPage() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const token = params.get("token");
+  const { verifyEmail, resendVerification, loading, error, clearError } = useAccountEmail();
+  const [email, setEmail] = useState(params.get("email") || "");
+  const [verified, setVerified] = useState(false);
+  const [notice, setNotice] = useState("");
+  const attempted = useRef(false);
+
+  /** Mobile viewport height workaround (see LoginPage). */
+  useEffect(() => {
+    const setVh = () =>
+      document.documentElement.style.setProperty("--vh", `${window.innerHeight * 0.01}px`);
+    setVh();
+    window.addEventListener("resize", setVh);
+    window.addEventListener("orientationchange", setVh);
+    return () => {
+      window.removeEventListener("resize", setVh);
+      window.removeEventListener("orientationchange", setVh);
+    };
+  }, []);
+
+  /**
+   * Use the token once. Tokens are single use, so the ref keeps StrictMode's
+   * double effect run from sending it twice.
+   */
+  useEffect(() => {
+    if (!token || attempted.current) return;
+    attempted.current = true;
+    verifyEmail(token)
+      .then(() => setVerified(true))
+      .catch(() => {});
+  }, [token, verifyEmail]);
+
+  /**
+   * Request a new verification link.
+   * @param {React.FormEvent<HTMLFormElement>} e
+   */
+  const resend = async (e) => {
+    e.preventDefault();
+    clearError();
+    setNotice("");
+    try {
+      const { message } = await resendVerification(email.trim());
+      setNotice(message);
+    } catch {
+      // error state is set by the hook
+    }
+  };
+
+  const showResend = !token || (!!error && !loading);
+
+  return (
+    <div className="auth-root">
+      <div className="auth-stage">
+        <div className="auth-card">
+          <h1>Verify your email</h1>
+
+          {token && loading && <p className="subtle-status">Confirming your email…</p>}
+
+          {verified ? (
+            <>
+              <p className="notice-text" role="status">
+                Your email is confirmed. You can now log in.
+              </p>
+              <button className="btn-primary" onClick={() => navigate("/login")}>
+                Go to log in
+              </button>
+            </>
+          ) : (
+            !token && (
+              <p className="lead">
+                We sent a confirmation link to {email ? <strong>{email}</strong> : "your email address"}.
+                Open it to activate your account.
+              </p>
+            )
+          )}
+
+          {error && <p className="error-text">{error}</p>}
+
+          {showResend && !verified && (
+            <form onSubmit={resend} className="auth-form">
+              <div className="field">
+                <label htmlFor="verify-email">Didn&apos;t get it? Send a new link to</label>
+                <input
+                  id="verify-email"
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="you@example.com"
+                  disabled={loading}
+                />
+              </div>
+              <button type="submit" disabled={loading || !email} className="btn-primary">
+                {loading ? "Sending…" : "Resend verification email"}
+              </button>
+            </form>
+          )}
+
+          {notice && <p className="notice-text" role="status">{notice}</p>}
+
+          <p className="auth-switch">
+            Already verified? <Link to="/login">Log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
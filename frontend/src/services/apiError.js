@@ -0,0 +1,43 @@
+/**
+ * ApiError
+ * ------------------------------------------------------------
+ * Error thrown by the API services for every non-2xx response.
+ *
+ * The API answers errors with one envelope:
+ *   `{ error: true, code, message, details? }`
+ * `code` is stable (e.g. `EMAIL_NOT_VERIFIED`, `VALIDATION_FAILED`) and is
+ * what components should branch on; `message` is meant to be shown.
+ */
+
+export class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message.
+   * @param {number} status - HTTP status of the response.
+   * @param {string} [code="UNKNOWN_ERROR"] - Machine-readable error code.
+   * @param {any} [details] - Extra data, e.g. `[{ field, location, message }]` for validation errors.
+   */
+  constructor(message, status, code = "UNKNOWN_ERROR", details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Build an ApiError from a failed response, reading the error envelope when
+ * the body has one.
+ *
+ * @param {Response} response - A response with `ok === false`.
+ * @returns {Promise<ApiError>}
+ */
+export async function apiErrorFrom(response) {
+  const data = await response.json().catch(() => ({}));
+  return new ApiError(
+    data?.message || `HTTP error! status: ${response.status}`,
+    response.status,
+    data?.code,
+    data?.details
+  );
+}
@@ -1,5 +1,8 @@
 // src/services/attemptService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * AttemptService
  * -----------------------------------------------------------------------------
@@ -34,15 +37,10 @@ class AttemptService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
 
       // Throw for bad responses
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
-        );
-      }
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle DELETE / 204 (no content)
       if (response.status === 204) return null;
@@ -75,15 +73,35 @@ class AttemptService {
   }
 
   /**
-   * Retrieve attempts for a given user and scenario pair.
+   * Retrieve the best attempt for a given user and scenario pair.
    * @param {number|string} userId
    * @param {number|string} scenarioId
-   * @returns {Promise<Object|null>} Attempt record for the user and scenario.
+   * @returns {Promise<Object|null>} Best attempt record for the user and scenario.
    */
   async getByUserAndScenario(userId, scenarioId) {
     return this.request(`/attempts/user/${userId}/scenario/${scenarioId}`);
   }
 
+  /**
+   * Retrieve every attempt a user made on a scenario, oldest first.
+   * @param {number|string} userId
+   * @param {number|string} scenarioId
+   * @returns {Promise<Array>} Chronological list of attempt records.
+   */
+  async getHistory(userId, scenarioId) {
+    return this.request(`/attempts/user/${userId}/scenario/${scenarioId}/history`);
+  }
+
+  /**
+   * Retrieve a user's best score per scenario within a level.
+   * @param {number|string} userId
+   * @param {number|string} levelId
+   * @returns {Promise<Array<{scenario_id:number, score:number}>>}
+   */
+  async getByUserAndLevel(userId, levelId) {
+    return this.request(`/attempts/user/${userId}/level/${levelId}`);
+  }
+
   /**
    * Save or update a user's best score for a scenario.
    * @param {Object} data - Attempt payload.
@@ -7,27 +7,47 @@
  *  - Registering new users
  *  - Logging in existing users
  *  - Fetching the current authenticated user (via token)
+ *  - Refreshing the short-lived access token and logging out
+ *  - Email verification and password resets
+ *  - Self-service account settings (name, password, account deletion)
  *
  * Notes:
  * - All requests go through a unified request() wrapper with consistent error handling.
+ * - The session lives in localStorage: `token` (access token, ~15 minutes),
+ *   `refresh_token` (single use, rotated on every refresh) and `user`.
+ * - Other services send authenticated calls through authorizedFetch(), which
+ *   refreshes an expired access token once and retries the call.
  * - Automatically parses Express-style validation errors (from express-validator).
  * - Uses the browser's Fetch API.
  * - Defaults to localhost unless REACT_APP_API_URL is configured.
  */
 
+import { apiErrorFrom } from "./apiError";
+
 // const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:4000/api';
 const API_BASE_URL = 'http://localhost:4000/api';
 
 class AuthService {
+  /**
+   * In-flight refresh, shared by every caller that hits a 401 meanwhile.
+   * Refresh tokens are single use, so two parallel refreshes with the same
+   * token would make the server revoke the session.
+   * @type {Promise<string|null>|null}
+   */
+  refreshing = null;
+
   /**
    * Unified HTTP request helper.
    *
    * @param {string} url - API endpoint (relative to base).
    * @param {RequestInit} [options={}] - Fetch configuration (method, headers, body, etc.)
+   * @param {boolean} [authorized=false] - Send through authorizedFetch() (token + transparent refresh).
    * @returns {Promise<any>} Parsed JSON data or `null` for 204 responses.
-   * @throws {Error} Network or HTTP error (with parsed message where available).
+   * @throws {import("./apiError").ApiError} HTTP error, with the server's
+   *   `message`, `code`, `details` and the HTTP `status`.
+   * @throws {Error} Network error.
    */
-  async request(url, options = {}) {
+  async request(url, options = {}, authorized = false) {
     const config = {
       headers: {
         "Content-Type": "application/json",
@@ -37,19 +57,11 @@ class AuthService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
-
-      if (!response.ok) {
-        // Attempt to parse common error payloads
-        const errorData = await response.json().catch(() => ({}));
-        const firstValidatorMsg =
-          Array.isArray(errorData.errors) && errorData.errors[0]?.msg;
-        const msg =
-          errorData.message ||
-          firstValidatorMsg ||
-          `HTTP error! status: ${response.status}`;
-        throw new Error(msg);
-      }
+      const response = authorized
+        ? await this.authorizedFetch(`${API_BASE_URL}${url}`, config)
+        : await fetch(`${API_BASE_URL}${url}`, config);
+
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle empty (204) responses
       if (response.status === 204) return null;
@@ -80,10 +92,10 @@ class AuthService {
 
   /**
    * Log in an existing user.
-   * Expected response: `{ token, user }`
+   * Expected response: `{ token, refresh_token, expires_in, user }`
    *
    * @param {{ email: string, password: string }} credentials
-   * @returns {Promise<{ token: string, user: Object }>}
+   * @returns {Promise<{ token: string, refresh_token: string, expires_in: string, user: Object }>}
    */
   async login({ email, password }) {
     return this.request("/users/login", {
@@ -92,17 +104,216 @@ class AuthService {
     });
   }
 
+  /**
+   * Confirm an email address with the token from the verification link.
+   *
+   * @param {string} token
+   * @returns {Promise<Object>} The verified user.
+   */
+  async verifyEmail(token) {
+    return this.request("/users/verify-email", {
+      method: "POST",
+      body: JSON.stringify({ token }),
+    });
+  }
+
+  /**
+   * Ask for a new verification email. The server answers the same way for
+   * every address.
+   *
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  async resendVerification(email) {
+    return this.request("/users/verify-email/resend", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Ask for a password reset link. The server answers the same way whether
+   * or not the address has an account.
+   *
+   * @param {string} email
+   * @returns {Promise<{ message: string }>}
+   */
+  async forgotPassword(email) {
+    return this.request("/users/forgot-password", {
+      method: "POST",
+      body: JSON.stringify({ email }),
+    });
+  }
+
+  /**
+   * Choose a new password with the token from the reset link.
+   * Every existing session of the account is logged out.
+   *
+   * @param {{ token: string, password: string }} payload
+   * @returns {Promise<null>}
+   */
+  async resetPassword({ token, password }) {
+    return this.request("/users/reset-password", {
+      method: "POST",
+      body: JSON.stringify({ token, password }),
+    });
+  }
+
   /**
    * Get the currently authenticated user.
-   * Requires a valid JWT stored in localStorage as `token`.
+   * Requires a session stored in localStorage (`token` / `refresh_token`).
    *
    * @returns {Promise<Object>} Authenticated user data.
    */
   async me() {
-    const token = localStorage.getItem("token");
-    return this.request("/auth/me", {
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return this.request("/users/me", {}, true);
+  }
+
+  /**
+   * Update the current user's name.
+   *
+   * @param {{ full_name: string }} payload
+   * @returns {Promise<Object>} The updated user.
+   */
+  async updateProfile({ full_name }) {
+    return this.request(
+      "/users/me",
+      { method: "PUT", body: JSON.stringify({ full_name }) },
+      true
+    );
+  }
+
+  /**
+   * Change the current user's password. Other devices are logged out;
+   * this one stays signed in.
+   *
+   * @param {{ current_password: string, new_password: string }} payload
+   * @returns {Promise<null>}
+   */
+  async changePassword({ current_password, new_password }) {
+    return this.request(
+      "/users/me/password",
+      { method: "PUT", body: JSON.stringify({ current_password, new_password }) },
+      true
+    );
+  }
+
+  /**
+   * Permanently delete the current user's account and progress, then clear
+   * the stored session.
+   *
+   * @param {string} password - Current password, to confirm.
+   * @returns {Promise<null>}
+   */
+  async deleteAccount(password) {
+    const result = await this.request(
+      "/users/me",
+      { method: "DELETE", body: JSON.stringify({ password }) },
+      true
+    );
+    this.clearSession();
+    return result;
+  }
+
+  /**
+   * Exchange the stored refresh token for a new token pair and store it.
+   * Concurrent calls share one request. If the refresh is rejected, the
+   * stored session is cleared.
+   *
+   * @returns {Promise<string|null>} The new access token, or null if the session is over.
+   */
+  refresh() {
+    if (this.refreshing) return this.refreshing;
+
+    const refreshToken = localStorage.getItem("refresh_token");
+    if (!refreshToken) return Promise.resolve(null);
+
+    this.refreshing = this.request("/users/refresh", {
+      method: "POST",
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    })
+      .then(({ token, refresh_token }) => {
+        localStorage.setItem("token", token);
+        localStorage.setItem("refresh_token", refresh_token);
+        return token;
+      })
+      .catch(() => {
+        this.clearSession();
+        return null;
+      })
+      .finally(() => {
+        this.refreshing = null;
+      });
+
+    return this.refreshing;
+  }
+
+  /**
+   * fetch() for authenticated API calls.
+   * Attaches the current access token; on a 401 it refreshes the token once
+   * and retries, so callers never see an expired access token.
+   *
+   * @param {string} input - Absolute URL to fetch.
+   * @param {RequestInit} [init={}] - Fetch configuration.
+   * @returns {Promise<Response>} The (possibly retried) response.
+   */
+  async authorizedFetch(input, init = {}) {
+    const send = (token) =>
+      fetch(input, {
+        ...init,
+        headers: {
+          ...init.headers,
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+      });
+
+    const response = await send(localStorage.getItem("token"));
+    if (response.status !== 401 || !localStorage.getItem("refresh_token")) {
+      return response;
+    }
+
+    const token = await this.refresh();
+    return token ? send(token) : response;
+  }
+
+  /**
+   * Log out this device: revoke its session on the server, then clear the
+   * stored session. Local data is cleared even if the server call fails.
+   *
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    const refreshToken = localStorage.getItem("refresh_token");
+    try {
+      if (refreshToken) {
+        await this.request("/users/logout", {
+          method: "POST",
+          body: JSON.stringify({ refresh_token: refreshToken }),
+        });
+      }
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  /**
+   * Log out every device of the current user, including this one.
+   *
+   * @returns {Promise<{ revoked: number }>} Number of sessions revoked.
+   */
+  async logoutAll() {
+    try {
+      return await this.request("/users/logout-all", { method: "POST" }, true);
+    } finally {
+      this.clearSession();
+    }
+  }
+
+  /** Remove the stored session (tokens and cached user). */
+  clearSession() {
+    localStorage.removeItem("token");
+    localStorage.removeItem("refresh_token");
+    localStorage.removeItem("user");
   }
 }
 
@@ -1,5 +1,8 @@
 // src/services/badgeService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * BadgeService
  * -----------------------------------------------------------------------------
@@ -37,14 +40,9 @@ class BadgeService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
-        );
-      }
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle empty 204 responses (e.g., after DELETE)
       if (response.status === 204) return null;
@@ -1,5 +1,8 @@
 // src/services/levelService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * LevelService
  * -----------------------------------------------------------------------------
@@ -8,10 +11,11 @@
  * Features:
  * - Common request() wrapper for all HTTP calls.
  * - Handles create, read, update, delete, and list operations.
+ * - Reads per-user level progress (completion rule status).
  * - Automatic JSON parsing and consistent error handling.
  *
  * Notes:
- * - Uses Fetch API for requests.
+ * - Uses Fetch API for requests; sends the stored token when present.
  * - Returns parsed JSON or `null` for 204 (no content) responses.
  * - Defaults to localhost if no `REACT_APP_API_URL` environment variable is set.
  */
@@ -29,23 +33,20 @@ class LevelService {
    * @throws {Error} Descriptive network or HTTP error.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
-        );
-      }
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle DELETE / no-content responses
       if (response.status === 204) return null;
@@ -76,6 +77,16 @@ class LevelService {
     return this.request(`/levels/${id}`);
   }
 
+  /**
+   * Retrieve the signed-in user's progress on a level, evaluated against the
+   * level's completion rule (requires a token).
+   * @param {number|string} id - Level ID.
+   * @returns {Promise<Object>} `{ rule, completed, remaining, needs_work, ... }`
+   */
+  async getProgress(id) {
+    return this.request(`/levels/${id}/progress`);
+  }
+
   /**
    * Create a new level record.
    * @param {Object} levelData - New level payload.
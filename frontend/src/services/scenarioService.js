@@ -1,11 +1,14 @@
 // src/services/scenarioService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * ScenarioService
  * -----------------------------------------------------------------------------
  * Handles all CRUD operations and submissions related to training scenarios.
- * Provides both user-level (play/submit) and admin-level (create/update/delete)
- * endpoints via the backend API.
+ * Provides both user-level (play sessions/submit) and admin-level
+ * (create/update/delete, publishing and versions) endpoints via the backend API.
  *
  * Features:
  * - Includes authorization header if JWT token is present in localStorage.
@@ -41,16 +44,11 @@ class ScenarioService {
       ...options,
     };
 
-    const res = await fetch(`${API_BASE_URL}${url}`, config);
-    const text = await res.text();
-    const data = text ? JSON.parse(text) : null;
-
-    if (!res.ok) {
-      const msg = data?.message || `HTTP ${res.status}`;
-      throw new Error(msg);
-    }
+    const res = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
+    if (!res.ok) throw await apiErrorFrom(res);
 
-    return data;
+    const text = await res.text();
+    return text ? JSON.parse(text) : null;
   }
 
   // ──────────────────────────── User-Facing Endpoints ────────────────────────────
@@ -65,17 +63,53 @@ class ScenarioService {
   }
 
   /**
-   * Submit answers for a given scenario.
-   * Expected payload: `{ userAnswers: string[] }`
+   * Score a whole run at once (staff with `step:read` only; learners play
+   * through sessions, which time each step on the server).
+   * Expected payload: `{ userAnswers: { [step_id]: answer }, stepTimes?: { [step_id]: ms } }`
    *
    * @param {number|string} id - Scenario ID.
-   * @param {string[]} answers - Array of user-selected answers (A–D).
+   * @param {Object<string, *>} answers - The user's answer to each step, keyed by step ID.
+   * @param {Object} [extra={}] - Additional body fields (e.g. `stepTimes` in ms, keyed by step ID).
    * @returns {Promise<Object>} Submission result (score, progress, etc.).
    */
-  async submit(id, answers) {
+  async submit(id, answers, extra = {}) {
     return this.request(`/scenarios/${id}/submit`, {
       method: 'POST',
-      body: JSON.stringify({ userAnswers: answers }),
+      body: JSON.stringify({ ...extra, userAnswers: answers }),
+    });
+  }
+
+  /**
+   * Start a server-timed play session; the response carries the first step.
+   * @param {number|string} id - Scenario ID.
+   * @returns {Promise<Object>} Session view (`session_id`, `current_step`, `secs_per_step`, ...).
+   */
+  async startSession(id) {
+    return this.request(`/scenarios/${id}/sessions`, { method: 'POST' });
+  }
+
+  /**
+   * Fetch a play session and serve its current step (starts that step's timer).
+   * @param {number|string} id - Scenario ID.
+   * @param {string} sessionId - Session ID.
+   * @returns {Promise<Object>} Session view.
+   */
+  async getSession(id, sessionId) {
+    return this.request(`/scenarios/${id}/sessions/${sessionId}`);
+  }
+
+  /**
+   * Answer the current step of a play session.
+   * @param {number|string} id - Scenario ID.
+   * @param {string} sessionId - Session ID.
+   * @param {number|string} stepId - Step being answered.
+   * @param {*} userAction - Answer for the step type ("B", ["A","C"], "TRUE", { x, y }), or null when time ran out.
+   * @returns {Promise<Object>} `{ feedback, finished, session, result? }`.
+   */
+  async answerStep(id, sessionId, stepId, userAction) {
+    return this.request(`/scenarios/${id}/sessions/${sessionId}/steps/${stepId}/answer`, {
+      method: 'POST',
+      body: JSON.stringify({ user_action: userAction }),
     });
   }
 
@@ -91,13 +125,21 @@ class ScenarioService {
   // ──────────────────────────── Admin Endpoints ────────────────────────────────
 
   /**
-   * Retrieve all scenarios (admin).
-   * @returns {Promise<Array>} Array of all scenario records.
+   * Retrieve all published scenarios, as learners play them.
+   * @returns {Promise<Array>} Array of scenario records with the `version` served.
    */
   async getAll() {
     return this.request('/scenarios');
   }
 
+  /**
+   * Retrieve every scenario's working copy with its `status` (admin).
+   * @returns {Promise<Array>} Array of scenario records, drafts included.
+   */
+  async listAuthoring() {
+    return this.request('/scenarios/authoring');
+  }
+
   /**
    * Create a new scenario (admin).
    * @param {Object} data - Scenario payload (title, description, steps, etc.).
@@ -133,6 +175,52 @@ class ScenarioService {
       method: 'DELETE',
     });
   }
+
+  // ──────────────────────────── Publishing Workflow ────────────────────────────
+
+  /**
+   * Move a scenario to another status: `review`, `draft` (send back) or `published`.
+   * @param {number|string} id - Scenario ID.
+   * @param {string} status - The new status.
+   * @param {string} [note] - Why; kept with the version when publishing.
+   * @returns {Promise<Object>} The scenario with its new status and `published_version`.
+   */
+  async setStatus(id, status, note) {
+    return this.request(`/scenarios/${id}/status`, {
+      method: 'PUT',
+      body: JSON.stringify({ status, note: note || undefined }),
+    });
+  }
+
+  /**
+   * List a scenario's published versions, newest first.
+   * @param {number|string} id - Scenario ID.
+   * @returns {Promise<Array>} Version summaries (`version`, `note`, `step_count`, `published_at`, ...).
+   */
+  async listVersions(id) {
+    return this.request(`/scenarios/${id}/versions`);
+  }
+
+  /**
+   * Compare two states of a scenario.
+   * @param {number|string} id - Scenario ID.
+   * @param {number|string} [from='published'] - Version number, `published` or `draft`.
+   * @param {number|string} [to='draft'] - Version number, `published` or `draft`.
+   * @returns {Promise<Object>} `{ summary, changes }`; step changes are keyed by step slug.
+   */
+  async diff(id, from = 'published', to = 'draft') {
+    return this.request(`/scenarios/${id}/diff?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`);
+  }
+
+  /**
+   * Publish an earlier version again, as a new version.
+   * @param {number|string} id - Scenario ID.
+   * @param {number} version - The version to bring back.
+   * @returns {Promise<Object>} The new version.
+   */
+  async rollback(id, version) {
+    return this.request(`/scenarios/${id}/versions/${version}/rollback`, { method: 'POST' });
+  }
 }
 
 // Export singleton instance
@@ -1,15 +1,19 @@
 // src/services/scenarioStepService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * ScenarioStepService
  * -----------------------------------------------------------------------------
  * Provides CRUD operations for managing individual scenario steps.
- * Used primarily for admin or debug purposes to manipulate the step content
- * of scenarios in the backend API.
+ * Used for admin purposes to manipulate the step content of scenarios in the
+ * backend API; every endpoint requires an admin token (steps include answers).
  *
  * Features:
  * - Centralized request() wrapper with consistent JSON parsing and error handling.
  * - Supports standard REST operations: create, read, update, delete.
+ * - Bulk creation of multiple-choice steps from a CSV file.
  *
  * Notes:
  * - Uses Fetch API.
@@ -30,23 +34,20 @@ class ScenarioStepService {
    * @throws {Error} Descriptive network or HTTP error.
    */
   async request(url, options = {}) {
+    const token = localStorage.getItem("token");
     const config = {
       headers: {
         "Content-Type": "application/json",
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
         ...options.headers,
       },
       ...options,
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(
-          errorData.message || `HTTP error! status: ${response.status}`
-        );
-      }
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle DELETE / 204 No Content responses
       if (response.status === 204) return null;
@@ -68,6 +69,15 @@ class ScenarioStepService {
     return this.request("/scenario-steps");
   }
 
+  /**
+   * Retrieve the steps of one scenario, in step order, with their answers.
+   * @param {number|string} scenarioId - Scenario ID.
+   * @returns {Promise<Array>} Array of scenario step objects.
+   */
+  async listByScenario(scenarioId) {
+    return this.request(`/scenario-steps?scenario_id=${encodeURIComponent(scenarioId)}`);
+  }
+
   /**
    * Retrieve a specific step by its ID.
    * @param {number|string} id - Step ID.
@@ -102,6 +112,33 @@ class ScenarioStepService {
     });
   }
 
+  /**
+   * Put a scenario's steps in a new order; the server numbers them 1, 2, 3, ...
+   * @param {number|string} scenarioId - Scenario ID.
+   * @param {Array<number>} stepIds - Every step of the scenario, in the new order.
+   * @returns {Promise<Array<Object>>} The steps in their new order.
+   */
+  async reorder(scenarioId, stepIds) {
+    return this.request(`/scenarios/${scenarioId}/steps/order`, {
+      method: "PUT",
+      body: JSON.stringify({ step_ids: stepIds }),
+    });
+  }
+
+  /**
+   * Create multiple-choice steps in bulk from a CSV file.
+   * @param {string} csv - File contents, with a header row naming the columns.
+   * @returns {Promise<{created: number, steps: Array, errors: Array<{row: number, field: string, message: string}>}>}
+   *   Rows with errors are skipped; the others are created.
+   */
+  async importCsv(csv) {
+    return this.request("/scenario-steps/import", {
+      method: "POST",
+      headers: { "Content-Type": "text/csv" },
+      body: csv,
+    });
+  }
+
   /**
    * Delete a scenario step by ID.
    * @param {number|string} id - Step ID.
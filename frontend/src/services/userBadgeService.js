@@ -1,5 +1,8 @@
 // src/services/userBadgeService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * UserBadgeService
  * -----------------------------------------------------------------------------
@@ -39,17 +42,9 @@ class UserBadgeService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        // express-validator typically returns { errors: [{ msg }] }
-        const firstMsg =
-          Array.isArray(errorData.errors) && errorData.errors[0]?.msg;
-        throw new Error(
-          errorData.message || firstMsg || `HTTP error! status: ${response.status}`
-        );
-      }
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
+
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle 204 (DELETE / no-content)
       if (response.status === 204) return null;
@@ -83,7 +78,8 @@ class UserBadgeService {
   }
 
   /**
-   * Create a new user-badge link.
+   * Award a badge manually (admin only; audited by the API).
+   * Badges are normally awarded by the server when a scenario is submitted.
    * Example body: `{ user_id, badge_id, earned_at }`
    *
    * @param {Object} data - UserBadge payload.
@@ -97,20 +93,7 @@ class UserBadgeService {
   }
 
   /**
-   * Update an existing user-badge record.
-   * @param {number|string} id - Record ID.
-   * @param {Object} data - Updated fields.
-   * @returns {Promise<Object>} Updated record.
-   */
-  async update(id, data) {
-    return this.request(`/user-badges/${id}`, {
-      method: "PUT",
-      body: JSON.stringify(data),
-    });
-  }
-
-  /**
-   * Delete a user-badge record by its ID.
+   * Revoke an award by deleting its user-badge record (admin only; audited by the API).
    * @param {number|string} id - Record ID.
    * @returns {Promise<null>} Null on success.
    */
@@ -124,24 +107,14 @@ class UserBadgeService {
 
   /**
    * Get all badges for a specific user.
-   * Tries `/users/:id/badges` first, falls back to query param endpoint.
+   * Learners may only request their own badges; admins may request anyone's.
    *
    * @param {number|string} userId - User ID.
    * @returns {Promise<Array>} Array of badge records linked to the user.
    */
   async getByUserId(userId) {
     if (!userId) throw new Error("userId is required");
-
-    try {
-      // Prefer RESTful route
-      return await this.request(`/users/${userId}/badges`);
-    } catch (err) {
-      // Fallback for APIs that use query param format
-      if (/HTTP 404|Not Found/i.test(err.message)) {
-        return this.request(`/user-badges?user_id=${encodeURIComponent(userId)}`);
-      }
-      throw err;
-    }
+    return this.request(`/user-badges?user_id=${encodeURIComponent(userId)}`);
   }
 
   /**
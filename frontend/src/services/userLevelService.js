@@ -1,5 +1,8 @@
 // src/services/userLevelService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * UserLevelService
  * -----------------------------------------------------------------------------
@@ -40,17 +43,9 @@ class UserLevelService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        // Supports both { message } and validator { errors: [{ msg }] } formats
-        const firstMsg =
-          Array.isArray(errorData.errors) && errorData.errors[0]?.msg;
-        throw new Error(
-          errorData.message || firstMsg || `HTTP error! status: ${response.status}`
-        );
-      }
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
+
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle DELETE / no-content responses
       if (response.status === 204) return null;
@@ -112,6 +107,8 @@ class UserLevelService {
   }
 
   // ────────────────────────────── Write Operations ──────────────────────────────
+  // Admin overrides only: the API writes learner progress itself when a
+  // scenario is submitted, and records every manual change in its audit log.
 
   /**
    * Create a new user-level record.
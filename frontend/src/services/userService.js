@@ -1,5 +1,8 @@
 // src/services/userService.js
 
+import { authService } from "./authService";
+import { apiErrorFrom } from "./apiError";
+
 /**
  * UserService
  * -----------------------------------------------------------------------------
@@ -39,16 +42,9 @@ class UserService {
     };
 
     try {
-      const response = await fetch(`${API_BASE_URL}${url}`, config);
-
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const firstMsg =
-          Array.isArray(errorData.errors) && errorData.errors[0]?.msg;
-        throw new Error(
-          errorData.message || firstMsg || `HTTP error! status: ${response.status}`
-        );
-      }
+      const response = await authService.authorizedFetch(`${API_BASE_URL}${url}`, config);
+
+      if (!response.ok) throw await apiErrorFrom(response);
 
       // Handle DELETE / no-content
       if (response.status === 204) return null;
@@ -0,0 +1,348 @@
+// src/utils/contentRules.js
+
+/**
+ * Content rules
+ * -----------------------------------------------------------------------------
+ * Client-side copies of the API's express-validator rules for levels,
+ * scenarios, steps and badges, used by the admin console to flag bad input
+ * before a request is sent. Each `validate*` function returns errors keyed by
+ * the API field name, with the message the API would send, so a form shows
+ * the same text whether a problem was caught here or by the server
+ * (see {@link fieldErrorsFrom}).
+ *
+ * The server stays the authority: these only spare a round trip. When an
+ * API rule changes (`api/src/validators`, `api/src/utils/questionTypes.js`),
+ * change it here too.
+ *
+ * Also holds the answer helpers the scenario preview needs to play steps
+ * without the server (`canonicalAnswer`, `normalizeAnswer`, `toPublicStep`).
+ */
+
+/** Question types a step can use, with the label shown in forms. */
+export const QUESTION_TYPES = {
+  multiple_choice: "Multiple choice",
+  true_false: "True / false",
+  multi_select: "Choose all that apply",
+  ordering: "Put in order",
+  hotspot: "Image hotspot",
+};
+
+/** Level completion rule types, with the label shown in forms. */
+export const COMPLETION_RULE_TYPES = {
+  min_each: "Every scenario at least a score",
+  average: "Average score of at least",
+  perfect_count: "Number of perfect scenarios",
+};
+
+/** Option keys of a multiple-choice step. */
+export const CHOICE_KEYS = ["A", "B", "C", "D"];
+
+/** Option keys available to multi-select and ordering steps (2–8 of them). */
+export const OPTION_KEYS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const isPercent = (value) =>
+  typeof value === "number" && Number.isFinite(value) && value >= 0 && value <= 100;
+
+/** Same test as express-validator's `isInt()`, applied to a form value. */
+const isInt = (value) => /^[-+]?\d+$/.test(String(value ?? "").trim());
+
+/** Loose equivalent of express-validator's `isURL()` (host with a dot, optional scheme). */
+const isUrl = (value) =>
+  /^(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(:\d+)?(\/\S*)?$/i.test(String(value).trim());
+
+/** Paths served by the frontend, accepted for badge icons. */
+const isIconPath = (value) => /^\/[^\s/]\S*$/.test(String(value));
+
+/**
+ * Check a level form.
+ *
+ * @param {object} level - `{ title, description, difficulty_order, pass_threshold, prerequisites, completion_rule }`
+ * @returns {Object<string, string>} Errors by field; empty when valid.
+ */
+export function validateLevel(level) {
+  const errors = {};
+  const title = level.title ?? "";
+
+  if (typeof title !== "string" || title.length < 1 || title.length > 100) {
+    errors.title = "title must be a string between 1–100 characters";
+  }
+  if (!isInt(level.difficulty_order) || Number(level.difficulty_order) <= 0) {
+    errors.difficulty_order = "difficulty_order must be a positive integer";
+  }
+  if (level.pass_threshold !== undefined && level.pass_threshold !== "") {
+    const n = Number(level.pass_threshold);
+    if (!isInt(level.pass_threshold) || n < 0 || n > 100) {
+      errors.pass_threshold = "pass_threshold must be an integer between 0 and 100";
+    }
+  }
+  if (level.prerequisites !== undefined) {
+    if (!Array.isArray(level.prerequisites)) {
+      errors.prerequisites = "prerequisites must be an array of level IDs";
+    } else if (level.prerequisites.some((id) => !isInt(id) || Number(id) <= 0)) {
+      errors.prerequisites = "each prerequisite must be a positive integer level ID";
+    }
+  }
+
+  const rule = level.completion_rule;
+  if (rule != null) {
+    const problem = completionRuleProblem(rule);
+    if (problem) errors.completion_rule = problem;
+  }
+  return errors;
+}
+
+/**
+ * @param {*} rule - A completion rule object.
+ * @returns {string|null} What is wrong with it, or null.
+ */
+function completionRuleProblem(rule) {
+  if (!isPlainObject(rule)) return "completion_rule must be an object or null";
+  const types = Object.keys(COMPLETION_RULE_TYPES);
+  if (!types.includes(rule.type)) {
+    return `completion_rule.type must be one of: ${types.join(", ")}`;
+  }
+  if (rule.type === "perfect_count") {
+    return Number.isInteger(rule.count) && rule.count >= 1
+      ? null
+      : "completion_rule.count must be a positive integer";
+  }
+  return Number.isInteger(rule.min_score) && rule.min_score >= 0 && rule.min_score <= 100
+    ? null
+    : "completion_rule.min_score must be an integer between 0 and 100";
+}
+
+/**
+ * Check a scenario form.
+ *
+ * @param {object} scenario - `{ level_id, title, description, image_url }`
+ * @returns {Object<string, string>} Errors by field; empty when valid.
+ */
+export function validateScenario(scenario) {
+  const errors = {};
+  if (!isInt(scenario.level_id) || Number(scenario.level_id) <= 0) {
+    errors.level_id = "level_id must be a positive integer";
+  }
+  const title = scenario.title ?? "";
+  if (typeof title !== "string" || title.length < 1 || title.length > 255) {
+    errors.title = "title must be a string between 1–255 characters";
+  }
+  return errors;
+}
+
+/**
+ * Check a step in the shape the admin console sends it
+ * (`{ scenario_id, step_order, question_text, type, options, answer, feedback_message }`).
+ * Problems with the options or the answer are reported under `answer`,
+ * as the API does.
+ *
+ * @param {object} step
+ * @returns {Object<string, string>} Errors by field; empty when valid.
+ */
+export function validateStep(step) {
+  const errors = {};
+  if (!isInt(step.scenario_id) || Number(step.scenario_id) <= 0) {
+    errors.scenario_id = "scenario_id must be a positive integer";
+  }
+  if (!isInt(step.step_order) || Number(step.step_order) <= 0) {
+    errors.step_order = "step_order must be a positive integer";
+  }
+  if (typeof step.question_text !== "string" || step.question_text.length < 5) {
+    errors.question_text = "question_text must be at least 5 characters long";
+  }
+  const problem = stepContentProblem(step.type, step.options ?? null, step.answer);
+  if (problem) errors.answer = problem;
+  return errors;
+}
+
+/**
+ * @param {*} options - Option texts by key.
+ * @param {number} min - Minimum number of options.
+ * @returns {string|null}
+ */
+function keyedOptionsProblem(options, min) {
+  if (!isPlainObject(options)) return "options must be an object of option texts";
+  const keys = Object.keys(options);
+  if (keys.length < min || keys.length > 8) return `options must have between ${min} and 8 entries`;
+  if (!keys.every((k) => OPTION_KEYS.includes(k))) return "option keys must be single letters from A to H";
+  if (!keys.every((k) => typeof options[k] === "string" && options[k].trim())) {
+    return "every option must be a non-empty string";
+  }
+  return null;
+}
+
+/**
+ * Same checks as `validateStepContent` in the API.
+ * @param {string} type
+ * @param {*} options
+ * @param {*} answer
+ * @returns {string|null}
+ */
+function stepContentProblem(type, options, answer) {
+  switch (type) {
+    case "multiple_choice":
+      if (!isPlainObject(options) || !CHOICE_KEYS.every((k) => typeof options[k] === "string" && options[k].trim())) {
+        return "options must contain non-empty texts for A, B, C and D";
+      }
+      return CHOICE_KEYS.includes(answer) ? null : "answer must be one of 'A', 'B', 'C' or 'D'";
+
+    case "true_false":
+      if (options != null && (!isPlainObject(options) || typeof options.TRUE !== "string" || typeof options.FALSE !== "string")) {
+        return "true_false options, when given, must be labels { TRUE, FALSE }";
+      }
+      return typeof answer === "boolean" ? null : "answer must be true or false";
+
+    case "multi_select":
+    case "ordering": {
+      const problem = keyedOptionsProblem(options, 2);
+      if (problem) return problem;
+      if (!Array.isArray(answer) || !answer.length) return "answer must be a non-empty array of option keys";
+      const keys = Object.keys(options);
+      if (!answer.every((k) => keys.includes(k))) return "answer must only use keys from options";
+      if (new Set(answer).size !== answer.length) return "answer must not repeat a key";
+      if (type === "ordering" && answer.length !== keys.length) {
+        return "ordering answer must list every option exactly once";
+      }
+      return null;
+    }
+
+    case "hotspot":
+      if (!isPlainObject(options) || typeof options.image_url !== "string" || !options.image_url.trim()) {
+        return "hotspot options must include an image_url";
+      }
+      if (!isPlainObject(answer) || !isPercent(answer.x) || !isPercent(answer.y)) {
+        return "hotspot answer must have x and y between 0 and 100";
+      }
+      if (!(typeof answer.radius === "number" && answer.radius > 0 && answer.radius <= 100)) {
+        return "hotspot answer radius must be greater than 0 and at most 100";
+      }
+      return null;
+
+    default:
+      return `type must be one of: ${Object.keys(QUESTION_TYPES).join(", ")}`;
+  }
+}
+
+/**
+ * Check a badge form.
+ *
+ * @param {object} badge - `{ level_id, name, description, icon_url }`
+ * @returns {Object<string, string>} Errors by field; empty when valid.
+ */
+export function validateBadge(badge) {
+  const errors = {};
+  if (!isInt(badge.level_id) || Number(badge.level_id) <= 0) {
+    errors.level_id = "level_id must be a positive integer";
+  }
+  const name = badge.name ?? "";
+  if (typeof name !== "string" || name.length < 1 || name.length > 100) {
+    errors.name = "name must be a string between 1-100 characters";
+  }
+  if (badge.icon_url && !isIconPath(badge.icon_url) && !isUrl(badge.icon_url)) {
+    errors.icon_url = "icon_url must be a valid URL or a path starting with /";
+  }
+  return errors;
+}
+
+/**
+ * Turn a `VALIDATION_FAILED` API error into errors by field, in the same
+ * shape as the `validate*` functions. Nested fields are reported on their
+ * top-level field (`prerequisites[0]` → `prerequisites`).
+ *
+ * @param {Error} err - Error thrown by a service (an `ApiError` for HTTP errors).
+ * @returns {Object<string, string>|null} Errors by field, or null when the error is not about fields.
+ */
+export function fieldErrorsFrom(err) {
+  if (err?.code !== "VALIDATION_FAILED" || !Array.isArray(err.details)) return null;
+  const errors = {};
+  for (const { field, message } of err.details) {
+    const key = String(field ?? "").split(/[.[]/)[0];
+    if (key && !errors[key]) errors[key] = message;
+  }
+  return errors;
+}
+
+/**
+ * Reduce an answer to its canonical string (`"B"`, `"TRUE"`, `"A,C"`,
+ * `"B,A,C"`, `"x,y"`), like `normalizeUserAnswer` in the API.
+ *
+ * @param {string} type - Step type.
+ * @param {*} raw - The answer as a step renderer reports it.
+ * @returns {string|null}
+ */
+export function normalizeAnswer(type, raw) {
+  if (raw == null) return null;
+  const keys = (list) =>
+    (Array.isArray(list) ? list : String(list).split(","))
+      .map((k) => String(k ?? "").trim().toUpperCase())
+      .filter(Boolean);
+
+  switch (type) {
+    case "multi_select": {
+      const list = [...new Set(keys(raw))].sort();
+      return list.length ? list.join(",") : null;
+    }
+    case "ordering": {
+      const list = keys(raw);
+      return list.length ? list.join(",") : null;
+    }
+    case "hotspot":
+      return isPlainObject(raw) ? `${raw.x},${raw.y}` : null;
+    default: {
+      const value = String(raw).trim().toUpperCase();
+      return value || null;
+    }
+  }
+}
+
+/**
+ * A step's correct answer in canonical form (hotspots: their target centre).
+ * @param {object} step - Step with `type` and `answer`.
+ * @returns {string|null}
+ */
+export function canonicalAnswer(step) {
+  if (step.type === "hotspot") {
+    return isPlainObject(step.answer) ? `${step.answer.x},${step.answer.y}` : null;
+  }
+  return normalizeAnswer(step.type, step.answer);
+}
+
+/**
+ * Whether an answer scores a step, as the API decides it.
+ * @param {object} step - Step with `type` and `answer`.
+ * @param {*} raw - The answer as a step renderer reports it.
+ * @returns {boolean}
+ */
+export function isCorrectAnswer(step, raw) {
+  if (step.type === "hotspot") {
+    const target = step.answer;
+    if (!isPlainObject(raw) || !isPlainObject(target)) return false;
+    return Math.hypot(raw.x - target.x, raw.y - target.y) <= target.radius;
+  }
+  const picked = normalizeAnswer(step.type, raw);
+  return !!picked && picked === canonicalAnswer(step);
+}
+
+/**
+ * The learner's view of a step, as `GET /scenarios/:id` and play sessions
+ * send it: no answer, default true/false labels filled in.
+ * Ordering items keep their stored order so the preview is stable.
+ *
+ * @param {object} step - Full step, as the admin API returns it.
+ * @returns {{step_id: number, step_order: number, question_text: string, type: string, options: object}}
+ */
+export function toPublicStep(step) {
+  const options =
+    step.type === "true_false"
+      ? { TRUE: "True", FALSE: "False", ...(step.options || {}) }
+      : step.options || {};
+  return {
+    step_id: step.step_id,
+    step_order: step.step_order,
+    question_text: step.question_text,
+    type: step.type,
+    options,
+  };
+}